@@ -114,6 +114,148 @@ CREATE TABLE IF NOT EXISTS custom_feeds (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ---------------------------------------------
+-- DATASET SNAPSHOTS
+-- One row per background refresh cycle per dataset (risk, tension, ...)
+-- Also created at startup by snapshot.service.js
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS dataset_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    dataset VARCHAR(64) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    content_hash CHAR(40) NOT NULL,  -- SHA-1 of payload, skips unchanged cycles
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dataset_snapshots_dataset_time
+ON dataset_snapshots(dataset, recorded_at DESC);
+
+-- ---------------------------------------------
+-- ALERT RULES
+-- User-defined alert conditions (see alerts.service.js)
+-- Also created at startup by alerts.service.js
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id VARCHAR(64) PRIMARY KEY,
+    rule JSONB NOT NULL,             -- {dataset, type, metric, key, threshold, ...}
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- ---------------------------------------------
+-- SEARCH DOCUMENTS
+-- Backing store for the in-memory full-text index (see searchIndex.service.js)
+-- Also created at startup by searchIndex.service.js
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS search_documents (
+    id VARCHAR(128) PRIMARY KEY,     -- <dataset>:<item id>
+    dataset VARCHAR(32) NOT NULL,    -- feed, conflict, tariffs, court, sanctions
+    doc JSONB NOT NULL,              -- normalized item (title, summary, url, countries, ...)
+    published_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    indexed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_documents_published
+ON search_documents(published_at DESC);
+
+-- ---------------------------------------------
+-- TARIFF OVERRIDE PROPOSALS
+-- Rate changes detected in tariff news, awaiting admin review
+-- (see tariffOverrides.service.js). Also created at startup.
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS tariff_override_proposals (
+    id VARCHAR(64) PRIMARY KEY,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',  -- pending, approved, rejected
+    proposal JSONB NOT NULL,         -- {country, sector, rate, effectiveDate, sources, ...}
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    reviewed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ---------------------------------------------
+-- REFERENCE DATA
+-- Versioned curated datasets served to the frontend (elections, tariffs,
+-- leaders, economic, scotus) and their edit history
+-- (see referenceData.service.js). Also created and seeded at startup.
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS reference_datasets (
+    name VARCHAR(32) PRIMARY KEY,
+    version INTEGER NOT NULL,
+    data JSONB NOT NULL,             -- {table: {key: record}}
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS reference_changes (
+    id BIGSERIAL PRIMARY KEY,
+    dataset VARCHAR(32) NOT NULL,
+    version INTEGER NOT NULL,
+    author VARCHAR(120),
+    note TEXT,
+    changes JSONB NOT NULL,          -- [{table, key, before, after}]
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reference_changes_dataset
+ON reference_changes(dataset, version DESC);
+
+-- ---------------------------------------------
+-- FRONTLINE SNAPSHOTS
+-- Dated frontline traces and control areas per conflict
+-- (see frontline.service.js). Also created and seeded at startup.
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS frontline_snapshots (
+    conflict VARCHAR(32) NOT NULL,   -- ukraine, sudan, myanmar, gaza
+    as_of DATE NOT NULL,
+    source TEXT,
+    note TEXT,
+    features JSONB NOT NULL,         -- GeoJSON Features, properties.kind 'line' | 'area'
+    area_km2 JSONB NOT NULL,         -- {side: km2}
+    imported_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (conflict, as_of)
+);
+
+-- ---------------------------------------------
+-- AIS CHOKEPOINT TRANSITS
+-- One row per vessel entering a chokepoint geofence
+-- (see ais.service.js). Also created at startup.
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS ais_transits (
+    chokepoint VARCHAR(32) NOT NULL,   -- shipping.service.js CHOKEPOINTS id
+    mmsi INTEGER NOT NULL,
+    at TIMESTAMP WITH TIME ZONE NOT NULL,
+    vessel_class VARCHAR(16) NOT NULL, -- tanker, cargo, passenger, fishing, military, other, unknown
+    ship_type SMALLINT,                -- AIS ship type code
+    name TEXT,
+    destination TEXT,
+    cape_diversion BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (chokepoint, mmsi, at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ais_transits_at ON ais_transits (at);
+
+-- ---------------------------------------------
+-- PREDICTION MARKET HISTORY
+-- Probability/volume per market per refresh, written
+-- on change plus an hourly heartbeat
+-- (see predictionHistory.service.js). Also created at startup.
+-- ---------------------------------------------
+CREATE TABLE IF NOT EXISTS prediction_markets (
+    market_id VARCHAR(160) PRIMARY KEY,  -- <venue>:<venue id>
+    venue VARCHAR(16) NOT NULL,          -- polymarket, kalshi, metaculus
+    title TEXT NOT NULL,
+    url TEXT,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS prediction_prices (
+    market_id VARCHAR(160) NOT NULL,
+    outcome VARCHAR(200) NOT NULL,       -- 'Yes' for binary markets
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    probability DOUBLE PRECISION NOT NULL, -- 0-1
+    volume DOUBLE PRECISION,             -- USD; forecasters for Metaculus
+    PRIMARY KEY (market_id, outcome, recorded_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prediction_prices_time ON prediction_prices (recorded_at);
+
 -- ---------------------------------------------
 -- SEED DEFAULT SOURCES
 -- ---------------------------------------------
@@ -3,7 +3,7 @@
  * REST endpoints for news aggregation platform
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import { aggregationService } from '../services/aggregation.service.js';
 import { newsService } from '../services/news.service.js';
 import { socialService } from '../services/social.service.js';
@@ -14,6 +14,9 @@ import { stocksService } from '../services/stocks.service.js';
 import { polymarketService } from '../services/polymarket.service.js';
 import { conflictService } from '../services/conflict.service.js';
 import { tariffService } from '../services/tariff.service.js';
+import { tariffOverrideService } from '../services/tariffOverrides.service.js';
+import { referenceDataService } from '../services/referenceData.service.js';
+import { frontlineService } from '../services/frontline.service.js';
 import { worldBankService } from '../services/worldbank.service.js';
 import { wikidataService } from '../services/wikidata.service.js';
 import { ucdpService } from '../services/ucdp.service.js';
@@ -28,8 +31,13 @@ import { commoditiesService } from '../services/commodities.service.js';
 import { metaculusService } from '../services/metaculus.service.js';
 import { sanctionsService } from '../services/sanctions.service.js';
 import { shippingService } from '../services/shipping.service.js';
-import { countryRiskService } from '../services/countryRisk.service.js';
+import { flightsService, parseBbox } from '../services/flights.service.js';
+import { aisService } from '../services/ais.service.js';
+import { electionResultsService, ElectionResultsError } from '../services/electionResults.service.js';
+import { electionForecastService } from '../services/electionForecast.service.js';
+import { countryRiskService, RiskModelError } from '../services/countryRisk.service.js';
 import { tensionIndexService } from '../services/tensionIndex.service.js';
+import { portfolioService, PortfolioError } from '../services/portfolio.service.js';
 import { arbitrageService } from '../services/arbitrage.service.js';
 import { briefingService } from '../services/briefing.service.js';
 import { narrativeService } from '../services/narrative.service.js';
@@ -39,6 +47,14 @@ import { infrastructureService } from '../services/infrastructure.service.js';
 import { demographicService } from '../services/demographic.service.js';
 import { credibilityService } from '../services/credibility.service.js';
 import { leadershipService } from '../services/leadership.service.js';
+import { snapshotService } from '../services/snapshot.service.js';
+import { scheduler } from '../services/scheduler.service.js';
+import { sourceHealth } from '../services/sourceHealth.service.js';
+import { alertsService } from '../services/alerts.service.js';
+import { liveChannels } from '../services/liveChannels.service.js';
+import { searchIndexService } from '../services/searchIndex.service.js';
+import { predictionHistoryService, MOVER_WINDOWS, PREDICTION_VENUES } from '../services/predictionHistory.service.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
 
 const router = Router();
 
@@ -55,10 +71,20 @@ router.get('/health', async (req, res) => {
     services: {
       redis: redisHealth,
       websocket: wsHandler.getStats(),
+      channels: liveChannels.getStatus(),
+      sources: sourceHealth.getSummary(),
     },
   });
 });
 
+/**
+ * GET /api/sources/health
+ * Per-upstream health: status, latency, last-good timestamp, error rate, fallback state
+ */
+router.get('/sources/health', (req, res) => {
+  res.json({ success: true, data: sourceHealth.getStatus(), timestamp: new Date().toISOString() });
+});
+
 router.get('/stats', async (req, res) => {
   try {
     const stats = await aggregationService.getStats();
@@ -126,7 +152,8 @@ router.get('/polymarket', async (req, res) => {
 
 /**
  * GET /api/feed
- * Get combined feed from all sources
+ * Get combined feed from all sources, as story clusters: each item is the
+ * canonical copy of a story with `cluster` { id, size, firstSeenBy, sources }
  * 
  * Query params:
  * - limit: number of items (default 50)
@@ -157,6 +184,37 @@ router.get('/feed', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/feed/geo
+ * Recent geotagged stories as GeoJSON Points (one per story cluster)
+ *
+ * Query params:
+ * - limit: max features (default 300, max 1000)
+ * - hours: only stories published in the last N hours (default 24)
+ * - types: comma-separated content types
+ */
+router.get('/feed/geo', async (req, res) => {
+  try {
+    const { limit = 300, hours = 24, types } = req.query;
+
+    const geojson = await aggregationService.getGeoFeed({
+      limit: Math.min(parseInt(limit, 10) || 300, 1000),
+      hours: parseFloat(hours) || 24,
+      types: types ? types.split(',') : undefined,
+    });
+
+    res.json({
+      success: true,
+      count: geojson.features.length,
+      data: geojson,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[API] Geo feed error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch geotagged feed' });
+  }
+});
+
 // ===========================================
 // NEWS ARTICLES
 // ===========================================
@@ -304,25 +362,79 @@ router.get('/rss/sources', (req, res) => {
 // SEARCH (across all sources)
 // ===========================================
 
+/**
+ * Parse a comma-separated list query param. Repeated params (`?source=a&source=b`)
+ * arrive as an array and are merged. Returns undefined when absent, null when
+ * not a string or array of strings (e.g. `?source[a]=b`).
+ */
+function parseListParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const parts = [].concat(value);
+  if (parts.some(part => typeof part !== 'string')) return null;
+  const list = parts.join(',').split(',').map(v => v.trim()).filter(Boolean);
+  return list.length > 0 ? list : undefined;
+}
+
 /**
  * GET /api/search
- * Search across all content types
+ * Full-text search over everything ingested within the retention window:
+ * feed articles, tweets and Reddit posts, plus conflict, tariff, court and
+ * sanctions news (see searchIndex.service.js for the query syntax)
+ * Query params:
+ *   - q: query, e.g. `"red sea" shipping -houthi`, `(iran OR iraq) AND sanction*`
+ *   - from, to: ISO dates (inclusive, optional)
+ *   - source, type, country, dataset: comma-separated facet filters
+ *   - sort: 'relevance' (default with a query) or 'date'
+ *   - group: 'false' to return individual documents instead of story clusters
+ *   - limit (default 20, max 100), offset
+ * `q` may be omitted when at least one filter is given.
  */
 router.get('/search', async (req, res) => {
   try {
-    const { q, limit = 20 } = req.query;
+    const { q, source, type, country, dataset, sort, group, limit = 20, offset = 0 } = req.query;
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ success: false, error: 'Query parameter "q" must be given once' });
+    }
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: 'Invalid "from" or "to" date' });
+    }
+    if (sort && sort !== 'relevance' && sort !== 'date') {
+      return res.status(400).json({ success: false, error: 'sort must be "relevance" or "date"' });
+    }
 
-    if (!q) {
-      return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
+    const filters = {
+      sources: parseListParam(source),
+      types: parseListParam(type),
+      countries: parseListParam(country),
+      datasets: parseListParam(dataset),
+    };
+    if (Object.values(filters).includes(null)) {
+      return res.status(400).json({ success: false, error: 'source, type, country and dataset must be comma-separated strings' });
+    }
+    if (!q && !from && !to && !Object.values(filters).some(Boolean)) {
+      return res.status(400).json({ success: false, error: 'Query parameter "q" or a filter is required' });
     }
 
-    const results = await aggregationService.search(q, parseInt(limit, 10));
+    const { total, results, facets } = searchIndexService.search(q, {
+      ...filters,
+      from,
+      to,
+      sort,
+      group: group !== 'false',
+      limit: parseInt(limit, 10) || 20,
+      offset: Math.max(parseInt(offset, 10) || 0, 0),
+    });
 
     res.json({
       success: true,
       count: results.length,
-      query: q,
+      total,
+      query: q || null,
+      facets,
       data: results,
+      timestamp: new Date().toISOString(),
     });
   } catch (error) {
     console.error('[API] Search error:', error);
@@ -447,6 +559,50 @@ router.get('/tariffs/news', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/tariffs/proposals
+ * Tariff rate changes detected in the news, awaiting review (admin token required)
+ * Query params:
+ *   - status: pending | approved | rejected (default: all)
+ */
+router.get('/admin/tariffs/proposals', requireAdmin, (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ success: false, error: 'status must be pending, approved or rejected' });
+  }
+  const data = tariffOverrideService.listProposals(status);
+  res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/admin/tariffs/proposals/:id/approve
+ * Apply a proposed override to the live tariff map (admin token required)
+ * Body (optional corrections): { rate?, sector?, effectiveDate? }
+ */
+router.post('/admin/tariffs/proposals/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    const data = await tariffOverrideService.approve(req.params.id, req.body || {});
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
+    }
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/tariffs/proposals/:id/reject
+ * Dismiss a proposed override (admin token required)
+ */
+router.post('/admin/tariffs/proposals/:id/reject', requireAdmin, async (req, res) => {
+  const data = await tariffOverrideService.reject(req.params.id);
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Proposal not found' });
+  }
+  res.json({ success: true, data, timestamp: new Date().toISOString() });
+});
+
 // ===========================================
 // ECONOMIC DATA (World Bank live indicators)
 // ===========================================
@@ -622,6 +778,93 @@ router.get('/predictions', async (req, res) => {
   }
 });
 
+// ===========================================
+// PREDICTION MARKET HISTORY
+// ===========================================
+
+/**
+ * GET /api/predictions/movers
+ * Biggest probability swings across Polymarket, Kalshi and Metaculus
+ * Query params:
+ *   - window: 1h, 24h or 7d (default: all three)
+ *   - venue: polymarket, kalshi or metaculus
+ *   - limit: markets per window (default 20, max 100)
+ *   - minChange: minimum swing in percentage points (default 1)
+ */
+router.get('/predictions/movers', (req, res) => {
+  try {
+    const { window, venue, limit = 20, minChange = 1 } = req.query;
+    if (window && !MOVER_WINDOWS[window]) {
+      return res.status(400).json({ success: false, error: `window must be one of ${Object.keys(MOVER_WINDOWS).join(', ')}` });
+    }
+    if (venue && !PREDICTION_VENUES.includes(venue)) {
+      return res.status(400).json({ success: false, error: `venue must be one of ${PREDICTION_VENUES.join(', ')}` });
+    }
+    const data = predictionHistoryService.getMovers({
+      windows: window ? [window] : undefined,
+      venue: venue || null,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      minChange: Math.max(parseFloat(minChange) || 0, 0),
+    });
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Prediction movers error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rank prediction movers' });
+  }
+});
+
+/**
+ * GET /api/predictions/sparklines
+ * Recent YES (or leading outcome) series for many markets at once, for list views
+ * Query params:
+ *   - ids: comma-separated market ids (<venue>:<id>, max 100)
+ *   - window: 1h, 24h or 7d (default 7d)
+ */
+router.get('/predictions/sparklines', (req, res) => {
+  try {
+    const { window = '7d' } = req.query;
+    const ids = parseListParam(req.query.ids);
+    if (!ids) {
+      return res.status(400).json({ success: false, error: 'Query parameter "ids" must be a comma-separated list of market ids' });
+    }
+    if (!MOVER_WINDOWS[window]) {
+      return res.status(400).json({ success: false, error: `window must be one of ${Object.keys(MOVER_WINDOWS).join(', ')}` });
+    }
+    const data = predictionHistoryService.getSparklines(ids, { window });
+    res.json({ success: true, count: Object.keys(data).length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Prediction sparklines error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch prediction sparklines' });
+  }
+});
+
+/**
+ * GET /api/predictions/:marketId/history
+ * Recorded probability and volume for one market, one series per outcome
+ * Query params:
+ *   - from, to: ISO dates (default: last 7 days)
+ *   - outcome: a single outcome name
+ */
+router.get('/predictions/:marketId/history', async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: 'Invalid "from" or "to" date' });
+    }
+    const data = await predictionHistoryService.getHistory(req.params.marketId, {
+      from, to, outcome: req.query.outcome || null,
+    });
+    if (!data) {
+      return res.status(404).json({ success: false, error: `No history for market: ${req.params.marketId}` });
+    }
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Prediction history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch prediction history' });
+  }
+});
+
 // ===========================================
 // UCDP CONFLICT EVENTS (Global conflict data)
 // ===========================================
@@ -705,6 +948,72 @@ router.get('/elections/live/:state', async (req, res) => {
   }
 });
 
+// ===========================================
+// ELECTION FORECAST
+// ===========================================
+
+/**
+ * GET /api/elections/forecast
+ * Win probability per Senate, Governor and competitive House race, plus
+ * simulated seat distributions, control odds and tipping-point races for
+ * both chambers. Recomputed every 15 minutes; also on the `election-forecast` channel
+ */
+router.get('/elections/forecast', async (req, res) => {
+  try {
+    const data = await electionForecastService.getForecast();
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Election forecast error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compute election forecast' });
+  }
+});
+
+// ===========================================
+// ELECTION RESULTS (election-night vote counts)
+// ===========================================
+
+/**
+ * GET /api/elections/results
+ * Every race's vote totals, % reporting, margin and call status, keyed like
+ * /api/elections/live marketRatings; also pushed on the `election-results` channel
+ */
+router.get('/elections/results', (req, res) => {
+  res.json({ success: true, data: electionResultsService.getResults(), timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/elections/results/:race
+ * One race with county-level results, by id (GA-senate, AZ-01) or key (Georgia:senate)
+ */
+router.get('/elections/results/:race', (req, res) => {
+  const data = electionResultsService.getRace(req.params.race);
+  if (!data) {
+    return res.status(404).json({ success: false, error: `No results for race "${req.params.race}"` });
+  }
+  res.json({ success: true, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/admin/elections/results
+ * Push results by hand or from a feed relay (admin token required)
+ * JSON body: { results: [...] } or a bare array; or a text/csv body.
+ * Formats in docs/ARCHITECTURE.md (Election Results).
+ */
+router.post('/admin/elections/results', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), (req, res) => {
+  try {
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const summary = electionResultsService.ingest(format, req.body);
+    liveChannels.publish('election-results', electionResultsService.getResults());
+    res.json({ success: true, data: summary, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof ElectionResultsError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('[API] Election results ingest error:', error);
+    res.status(500).json({ success: false, error: 'Failed to ingest election results' });
+  }
+});
+
 // ===========================================
 // GOOGLE CIVIC INFORMATION
 // ===========================================
@@ -808,7 +1117,8 @@ router.get('/stability', async (req, res) => {
 
 /**
  * GET /api/stability/protests
- * Protest/unrest heatmap data with GDELT article counts per country
+ * Protest/unrest heatmap data with GDELT article counts per country where
+ * events happen (from headline places and GDELT GEO, not the outlet's country)
  */
 router.get('/stability/protests', async (req, res) => {
   try {
@@ -1002,6 +1312,121 @@ router.get('/shipping', async (req, res) => {
   }
 });
 
+// ===========================================
+// AIS VESSEL TRACKING (chokepoint transits)
+// ===========================================
+
+/**
+ * GET /api/ais
+ * Chokepoint transit counts (last 24h vs prior 7-day average, by vessel
+ * class), dark / loitering vessels and Cape diversions. Also pushed on the
+ * `ais` WebSocket channel.
+ */
+router.get('/ais', (req, res) => {
+  try {
+    res.json({ success: true, data: aisService.getSummary(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] AIS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch AIS summary' });
+  }
+});
+
+/**
+ * GET /api/ais/transits
+ * Daily transits per chokepoint (UTC days, oldest first)
+ * Query params:
+ *   - days: 1–365 (default 14)
+ *   - chokepoint: e.g. 'hormuz'
+ */
+router.get('/ais/transits', async (req, res) => {
+  try {
+    const data = await aisService.getDailyTransits({ days: req.query.days, chokepoint: req.query.chokepoint || null });
+    res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] AIS transits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch transit counts' });
+  }
+});
+
+/**
+ * GET /api/ais/vessels
+ * Current vessel positions
+ * Query params:
+ *   - bbox: minLon,minLat,maxLon,maxLat
+ *   - chokepoint: only vessels inside that geofence
+ *   - class: tanker | cargo | passenger | fishing | military | other | unknown
+ *   - limit: default 3000, max 20000 (vessels inside chokepoints kept first)
+ */
+router.get('/ais/vessels', (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (req.query.bbox && !bbox) {
+      return res.status(400).json({ success: false, error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+    }
+    const { vessels, matched } = aisService.getVessels({
+      bbox,
+      chokepoint: req.query.chokepoint || null,
+      vesselClass: req.query.class || null,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, count: vessels.length, matched, data: vessels, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] AIS vessels error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch vessels' });
+  }
+});
+
+// ===========================================
+// FLIGHTS (ADS-B, military/government tagging)
+// ===========================================
+
+/**
+ * GET /api/flights
+ * Aircraft from the configured ADS-B provider (refreshed by the `flights` job).
+ * Query params:
+ *   - bbox: minLon,minLat,maxLon,maxLat (minLon > maxLon crosses the antimeridian)
+ *   - military: 'true' for military and government aircraft only
+ *   - limit: max aircraft (default 2000, max 10000; tagged aircraft are kept first)
+ *   - trail: 'true' to include recent positions as [lon, lat] pairs
+ */
+router.get('/flights', (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (req.query.bbox && !bbox) {
+      return res.status(400).json({ success: false, error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+    }
+    const { flights, matched } = flightsService.getFlights({
+      bbox,
+      militaryOnly: req.query.military === 'true',
+      limit: req.query.limit,
+      trail: req.query.trail === 'true',
+    });
+    res.json({
+      success: true,
+      count: flights.length,
+      matched,
+      data: flights,
+      status: flightsService.getStatus(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[API] Flights error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch flights' });
+  }
+});
+
+/**
+ * GET /api/flights/:icao24
+ * One aircraft with its trail
+ */
+router.get('/flights/:icao24', (req, res) => {
+  const data = flightsService.getAircraft(req.params.icao24);
+  if (!data) {
+    return res.status(404).json({ success: false, error: `Aircraft ${req.params.icao24} not currently tracked` });
+  }
+  res.json({ success: true, data, timestamp: new Date().toISOString() });
+});
+
 // ===========================================
 // COUNTRY RISK SCORES
 // ===========================================
@@ -1020,6 +1445,94 @@ router.get('/risk', async (req, res) => {
   }
 });
 
+function sendRiskModelError(res, error, label) {
+  if (error instanceof RiskModelError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`[API] Risk ${label} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${label}` });
+}
+
+/**
+ * GET /api/risk/model
+ * The scoring spec: factor weights, caps and tiers, category baselines,
+ * per-country categories and level thresholds. Edit it through
+ * PATCH /api/admin/reference/riskModel (versioned, revertible).
+ */
+router.get('/risk/model', (req, res) => {
+  res.json({ success: true, data: countryRiskService.getModel(), timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/risk/preview (admin)
+ * Score today's inputs with what-if model overrides (nothing is saved)
+ * Body: { model: { factors?: { <factor>: { weight?, cap?, ... } }, baselines?, countries?, levels? } }
+ */
+router.post('/risk/preview', requireAdmin, async (req, res) => {
+  try {
+    const data = await countryRiskService.previewScores(req.body?.model);
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendRiskModelError(res, error, 'preview risk scores');
+  }
+});
+
+/**
+ * POST /api/risk/backtest (admin)
+ * Replay stored snapshots through the current model, or a what-if variant
+ * of it, and report how scores would have moved
+ * Body:
+ *   - from, to: ISO dates (required)
+ *   - stepDays: days between points (default 1, at most 60 points)
+ *   - model: overrides as for /risk/preview (optional)
+ *   - countries: names or ISO codes to return series for (optional)
+ *   - limit: without countries, the N biggest movers (default 25, max 250)
+ */
+router.post('/risk/backtest', requireAdmin, async (req, res) => {
+  try {
+    const { stepDays = 1, model, countries, limit } = req.body || {};
+    const from = parseDateParam(req.body?.from);
+    const to = parseDateParam(req.body?.to);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'Valid "from" and "to" dates are required' });
+    }
+
+    const data = await countryRiskService.backtest({
+      from,
+      to,
+      stepDays,
+      model,
+      countries,
+      limit: Math.min(parseInt(limit, 10) || 25, 250),
+    });
+    res.json({ success: true, count: data.points.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendRiskModelError(res, error, 'run risk backtest');
+  }
+});
+
+/**
+ * GET /api/risk/:country
+ * One country's score explained: baseline, each factor's raw points, cap,
+ * weight and contribution, the evidence behind it (UCDP events, geolocated
+ * articles, sanctions programs and news, World Bank indicators, ...) and
+ * the change since the previous snapshot
+ * Params:
+ *   - country: ISO alpha-2 code or name
+ */
+router.get('/risk/:country', async (req, res) => {
+  try {
+    const data = await countryRiskService.explainCountry(req.params.country);
+    if (!data) {
+      return res.status(404).json({ success: false, error: `Unknown country: ${req.params.country}` });
+    }
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Risk explanation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to explain risk score' });
+  }
+});
+
 // ===========================================
 // GLOBAL TENSION INDEX
 // ===========================================
@@ -1038,13 +1551,40 @@ router.get('/tension', async (req, res) => {
   }
 });
 
+// ===========================================
+// PORTFOLIO EXPOSURE
+// ===========================================
+
+/**
+ * POST /api/portfolio/exposure
+ * Country/sector exposure, geopolitical risk score, touched conflicts and
+ * flashpoints, and related alerts for a portfolio (not stored).
+ * JSON body: { holdings: [{ symbol, weight | value }] } or a bare array;
+ * or a text/csv body with symbol and optional weight/value columns.
+ */
+router.post('/portfolio/exposure', express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+  try {
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const data = await portfolioService.analyze(format, req.body);
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof PortfolioError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('[API] Portfolio exposure error:', error);
+    res.status(500).json({ success: false, error: 'Failed to analyze portfolio' });
+  }
+});
+
 // ===========================================
 // PREDICTION MARKET ARBITRAGE
 // ===========================================
 
 /**
  * GET /api/arbitrage
- * Polymarket vs Kalshi divergence detection
+ * Polymarket vs Kalshi contracts matched on event, entities, deadline and
+ * threshold, with YES/NO aligned, spreads net of fees, a Metaculus reference
+ * and near misses. Pins, blocks and fees: reference dataset `marketMatching`.
  */
 router.get('/arbitrage', async (req, res) => {
   try {
@@ -1056,6 +1596,28 @@ router.get('/arbitrage', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/arbitrage/match?a=polymarket:123&b=kalshi:FED-26DEC#Cut 25bps
+ * Explain whether two contracts match: parses, per-check results, alignment
+ * and the fee-adjusted trade. Use it before pinning or blocking a pair.
+ */
+router.get('/arbitrage/match', async (req, res) => {
+  try {
+    const { a, b } = req.query;
+    if (!a || !b) {
+      return res.status(400).json({ success: false, error: 'a and b contract ids are required' });
+    }
+    const data = await arbitrageService.explainMatch(String(a), String(b));
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Contract not currently listed' });
+    }
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] Arbitrage match error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compare contracts' });
+  }
+});
+
 // ===========================================
 // INTELLIGENCE BRIEFINGS
 // ===========================================
@@ -1214,4 +1776,449 @@ router.get('/leadership', async (req, res) => {
   }
 });
 
+// ===========================================
+// HISTORICAL SNAPSHOTS (PostgreSQL)
+// ===========================================
+
+/**
+ * Parse an optional ISO date query param. Returns undefined when absent,
+ * null when present but invalid.
+ */
+function parseDateParam(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /api/history
+ * List datasets with stored snapshots and their time coverage
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const data = await snapshotService.listDatasets();
+    res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] History list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list history datasets' });
+  }
+});
+
+/**
+ * GET /api/history/at
+ * State of several datasets as of a past date, for timeline playback
+ * Query params:
+ *   - date: ISO date (required)
+ *   - datasets: comma-separated dataset names (max 10)
+ */
+router.get('/history/at', async (req, res) => {
+  try {
+    const at = parseDateParam(req.query.date);
+    if (!at) {
+      return res.status(400).json({ success: false, error: 'A valid "date" is required' });
+    }
+    const datasets = [...new Set(String(req.query.datasets || '').split(',').map(d => d.trim()).filter(Boolean))];
+    if (datasets.length === 0 || datasets.length > 10) {
+      return res.status(400).json({ success: false, error: 'Provide between 1 and 10 datasets' });
+    }
+
+    const data = await snapshotService.getAt(datasets, at);
+    res.json({ success: true, date: at.toISOString(), data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] History as-of error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch historical state' });
+  }
+});
+
+/**
+ * GET /api/history/:dataset
+ * Time-range query over stored refresh snapshots for a dataset
+ * Query params:
+ *   - from: ISO date (inclusive, optional)
+ *   - to: ISO date (inclusive, optional)
+ *   - key: entity within the dataset (e.g. country for risk, conflict id for tension).
+ *          When the dataset supports series extraction, returns [{ recordedAt, value }]
+ *   - series: 'true' to return extracted values instead of full snapshots
+ *   - limit: max snapshots (default 100, max 2000)
+ */
+router.get('/history/:dataset', async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const { key, series, limit = 100 } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, error: 'Invalid "from" or "to" date' });
+    }
+
+    const options = { key, from, to, limit: parseInt(limit, 10) || 100 };
+
+    if (key || series === 'true') {
+      const data = await snapshotService.getSeries(dataset, options);
+      if (!data) {
+        return res.status(400).json({ success: false, error: `Series queries not supported for ${dataset}` });
+      }
+      return res.json({ success: true, dataset, key: key || null, count: data.length, data, timestamp: new Date().toISOString() });
+    }
+
+    const data = await snapshotService.query(dataset, options);
+    res.json({ success: true, dataset, count: data.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('[API] History error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch history' });
+  }
+});
+
+// ===========================================
+// BACKGROUND JOBS (Scheduler status)
+// ===========================================
+
+/**
+ * GET /api/jobs
+ * Status of every background refresh job: last run, duration, outcome, next run
+ */
+router.get('/jobs', (req, res) => {
+  res.json({ success: true, data: scheduler.getStatus(), timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/jobs/:name
+ * Status of a single background job
+ */
+router.get('/jobs/:name', (req, res) => {
+  const data = scheduler.getJobStatus(req.params.name);
+  if (!data) {
+    return res.status(404).json({ success: false, error: `Unknown job: ${req.params.name}` });
+  }
+  res.json({ success: true, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Trigger a job immediately (admin token required). Waits for the run to finish.
+ */
+router.post('/admin/jobs/:name/run', requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!scheduler.has(name)) {
+      return res.status(404).json({ success: false, error: `Unknown job: ${name}` });
+    }
+    const result = await scheduler.trigger(name);
+    const statusCode = result.status === 'skipped' ? 409 : 200;
+    res.status(statusCode).json({
+      success: result.status === 'success',
+      data: { ...result, job: scheduler.getJobStatus(name) },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[API] Job trigger error:', error);
+    res.status(500).json({ success: false, error: 'Failed to trigger job' });
+  }
+});
+
+// ===========================================
+// REFERENCE DATA (versioned curated datasets)
+// ===========================================
+
+function sendReferenceError(res, error, label) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`[API] Reference ${label} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${label} reference data` });
+}
+
+/**
+ * GET /api/reference
+ * Available datasets with their current version and record counts per table
+ */
+router.get('/reference', (req, res) => {
+  const data = referenceDataService.list();
+  res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/reference/:dataset
+ * Full dataset: { name, version, updatedAt, tables }
+ * Query params:
+ *   - since: version the client already has; if still current, returns
+ *            { name, version, updatedAt, unchanged: true } without tables
+ */
+router.get('/reference/:dataset', (req, res) => {
+  const dataset = referenceDataService.get(req.params.dataset);
+  if (!dataset) {
+    return res.status(404).json({ success: false, error: `Unknown dataset: ${req.params.dataset}` });
+  }
+  const since = parseInt(req.query.since, 10);
+  const data = since === dataset.version
+    ? { name: dataset.name, version: dataset.version, updatedAt: dataset.updatedAt, unchanged: true }
+    : dataset;
+  res.json({ success: true, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/reference/:dataset/history
+ * Change history, newest first: { version, author, note, changes: [{ table, key, before, after }], createdAt }
+ * Query params:
+ *   - limit: max entries (default 50, max 500)
+ */
+router.get('/reference/:dataset/history', async (req, res) => {
+  try {
+    if (!referenceDataService.has(req.params.dataset)) {
+      return res.status(404).json({ success: false, error: `Unknown dataset: ${req.params.dataset}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const data = await referenceDataService.getHistory(req.params.dataset, limit);
+    res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendReferenceError(res, error, 'load history for');
+  }
+});
+
+/**
+ * PATCH /api/admin/reference/:dataset
+ * Edit records as one new version (admin token required)
+ * Body: { changes: [{ table, key, value } | { table, key, patch } | { table, key, delete: true }],
+ *         note?, author?, baseVersion? }
+ */
+router.patch('/admin/reference/:dataset', requireAdmin, async (req, res) => {
+  try {
+    const { changes, note, author, baseVersion } = req.body || {};
+    const { dataset, entry } = await referenceDataService.applyChanges(req.params.dataset, changes, { note, author, baseVersion });
+    res.json({
+      success: true,
+      data: { version: dataset.version, updatedAt: dataset.updatedAt, changed: entry?.changes.length || 0 },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendReferenceError(res, error, 'update');
+  }
+});
+
+/**
+ * POST /api/admin/reference/:dataset/import
+ * Import one table (admin token required)
+ * JSON body: { table, format: 'json' | 'csv', mode?: 'merge' | 'replace', data, note?, author?, baseVersion? }
+ * or a text/csv body with ?table=&mode=&note= query params
+ */
+router.post('/admin/reference/:dataset/import', requireAdmin, express.text({ type: 'text/csv', limit: '5mb' }), async (req, res) => {
+  try {
+    const options = typeof req.body === 'string'
+      ? { ...req.query, format: 'csv', data: req.body }
+      : (req.body || {});
+    const { dataset, entry } = await referenceDataService.importTable(req.params.dataset, options);
+    res.json({
+      success: true,
+      data: { version: dataset.version, updatedAt: dataset.updatedAt, changed: entry?.changes.length || 0 },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendReferenceError(res, error, 'import');
+  }
+});
+
+/**
+ * POST /api/admin/reference/:dataset/revert
+ * Restore an earlier version; recorded as a new version (admin token required)
+ * Body: { version, note?, author? }
+ */
+router.post('/admin/reference/:dataset/revert', requireAdmin, async (req, res) => {
+  try {
+    const { version, note, author } = req.body || {};
+    const { dataset, entry } = await referenceDataService.revert(req.params.dataset, version, { note, author });
+    res.json({
+      success: true,
+      data: { version: dataset.version, updatedAt: dataset.updatedAt, changed: entry?.changes.length || 0 },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendReferenceError(res, error, 'revert');
+  }
+});
+
+// ===========================================
+// FRONTLINES (dated territorial control)
+// ===========================================
+
+function sendFrontlineError(res, error, label) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`[API] Frontline ${label} error:`, error);
+  res.status(500).json({ success: false, error: `Failed to ${label} frontline data` });
+}
+
+const FRONTLINE_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/frontlines
+ * Conflicts with control maps: sides (label, color), map center/zoom and snapshot dates
+ */
+router.get('/frontlines', (req, res) => {
+  const data = frontlineService.listConflicts();
+  res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/frontlines/:conflict
+ * Snapshot in effect on a date: { conflict, asOf, source, note, areaKm2, features: FeatureCollection }
+ * Query params:
+ *   - date: YYYY-MM-DD (default: latest snapshot)
+ */
+router.get('/frontlines/:conflict', (req, res) => {
+  try {
+    const { date } = req.query;
+    if (date && !FRONTLINE_DATE_RE.test(date)) {
+      return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
+    const data = frontlineService.getAt(req.params.conflict, date || null);
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFrontlineError(res, error, 'load');
+  }
+});
+
+/**
+ * GET /api/frontlines/:conflict/dates
+ * Stored snapshot dates with held area per side, oldest first
+ */
+router.get('/frontlines/:conflict/dates', (req, res) => {
+  try {
+    const data = frontlineService.getDates(req.params.conflict);
+    res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFrontlineError(res, error, 'list');
+  }
+});
+
+/**
+ * GET /api/frontlines/:conflict/change
+ * Territory gained or lost per side (km²) between the snapshots in effect on two dates
+ * Query params:
+ *   - from: YYYY-MM-DD (required)
+ *   - to: YYYY-MM-DD (default: latest snapshot)
+ */
+router.get('/frontlines/:conflict/change', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!FRONTLINE_DATE_RE.test(from || '') || (to && !FRONTLINE_DATE_RE.test(to))) {
+      return res.status(400).json({ success: false, error: '"from" (and optional "to") must be YYYY-MM-DD' });
+    }
+    const data = frontlineService.getChange(req.params.conflict, from, to || null);
+    res.json({ success: true, data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFrontlineError(res, error, 'compare');
+  }
+});
+
+/**
+ * POST /api/admin/frontlines/:conflict/import
+ * Store a dated snapshot, replacing any with the same date (admin token required)
+ * JSON body: { asOf, format: 'geojson' | 'kml', data, side?, source?, note? }
+ * or a raw GeoJSON (application/geo+json) / KML body with ?asOf=&side=&source=&note=
+ * Area features take their side from properties.side (KML: ExtendedData "side"), else `side`.
+ */
+router.post(
+  '/admin/frontlines/:conflict/import',
+  requireAdmin,
+  express.text({ type: ['application/geo+json', 'application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml'], limit: '20mb' }),
+  async (req, res) => {
+    try {
+      const options = typeof req.body === 'string'
+        ? { ...req.query, format: /kml|xml/.test(req.get('content-type')) ? 'kml' : 'geojson', data: req.body }
+        : (req.body || {});
+      const data = await frontlineService.importSnapshot(req.params.conflict, options);
+      res.json({ success: true, data, timestamp: new Date().toISOString() });
+    } catch (error) {
+      sendFrontlineError(res, error, 'import');
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/frontlines/:conflict/:date
+ * Remove one dated snapshot (admin token required)
+ */
+router.delete('/admin/frontlines/:conflict/:date', requireAdmin, async (req, res) => {
+  try {
+    await frontlineService.deleteSnapshot(req.params.conflict, req.params.date);
+    res.json({ success: true, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendFrontlineError(res, error, 'delete');
+  }
+});
+
+// ===========================================
+// ALERT RULES
+// ===========================================
+
+/**
+ * GET /api/alerts
+ * Recently fired alerts, newest first
+ * Query params:
+ * - limit: max alerts (default 50, max 200)
+ */
+router.get('/alerts', (req, res) => {
+  const limit = parseInt(req.query.limit || '50', 10) || 50;
+  const data = alertsService.getRecentAlerts(limit);
+  res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/alerts/datasets
+ * Datasets and metrics that rules can watch
+ */
+router.get('/alerts/datasets', (req, res) => {
+  res.json({ success: true, data: alertsService.getDatasets(), timestamp: new Date().toISOString() });
+});
+
+/**
+ * GET /api/alerts/rules
+ */
+router.get('/alerts/rules', (req, res) => {
+  const data = alertsService.listRules();
+  res.json({ success: true, count: data.length, data, timestamp: new Date().toISOString() });
+});
+
+/**
+ * POST /api/alerts/rules (admin)
+ * Body: { name?, dataset, type: above|below|change|new_item, metric?, key?, threshold?,
+ *         windowMinutes?, direction?, match?, cooldownMinutes?, webhook?, enabled? }
+ */
+router.post('/alerts/rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await alertsService.createRule(req.body || {});
+    res.status(201).json({ success: true, data: rule, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id (admin)
+ * Partial update; the merged rule is re-validated
+ */
+router.put('/alerts/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await alertsService.updateRule(req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    res.json({ success: true, data: rule, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id (admin)
+ */
+router.delete('/alerts/rules/:id', requireAdmin, async (req, res) => {
+  const deleted = await alertsService.deleteRule(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: 'Rule not found' });
+  }
+  res.json({ success: true, timestamp: new Date().toISOString() });
+});
+
 export default router;
@@ -0,0 +1,90 @@
+/**
+ * Aircraft tagging tables for the flights service.
+ *
+ * MILITARY_HEX_RANGES are ICAO 24-bit address blocks that states reserve
+ * for military aircraft (the list readsb / tar1090 ship for their "mil"
+ * filter). Anything inside one is tagged military regardless of callsign.
+ *
+ * CALLSIGN_PREFIXES catch military and state flights flying on civil-range
+ * addresses (transports, tankers, VIP fleets). Matched against the start of
+ * the trimmed callsign; the remainder must begin with a digit so "RCH123"
+ * matches but an airline "RCHxyz" designator would not.
+ */
+
+export const MILITARY_HEX_RANGES = [
+  { start: 0x010070, end: 0x01008F, country: 'Egypt' },
+  { start: 0x0A4000, end: 0x0A4FFF, country: 'Algeria' },
+  { start: 0x33FF00, end: 0x33FFFF, country: 'Italy' },
+  { start: 0x350000, end: 0x37FFFF, country: 'Spain' },
+  { start: 0x3AA000, end: 0x3AFFFF, country: 'France' },
+  { start: 0x3B7000, end: 0x3BFFFF, country: 'France' },
+  { start: 0x3EA000, end: 0x3EBFFF, country: 'Germany' },
+  { start: 0x3F4000, end: 0x3FBFFF, country: 'Germany' },
+  { start: 0x400000, end: 0x40003F, country: 'United Kingdom' },
+  { start: 0x43C000, end: 0x43CFFF, country: 'United Kingdom' },
+  { start: 0x444000, end: 0x446FFF, country: 'Austria' },
+  { start: 0x44F000, end: 0x44FFFF, country: 'Belgium' },
+  { start: 0x457000, end: 0x457FFF, country: 'Bulgaria' },
+  { start: 0x45F400, end: 0x45F4FF, country: 'Denmark' },
+  { start: 0x468000, end: 0x4683FF, country: 'Greece' },
+  { start: 0x473C00, end: 0x473C0F, country: 'Hungary' },
+  { start: 0x478100, end: 0x4781FF, country: 'Norway' },
+  { start: 0x480000, end: 0x480FFF, country: 'Netherlands' },
+  { start: 0x48D800, end: 0x48D87F, country: 'Poland' },
+  { start: 0x497C00, end: 0x497CFF, country: 'Portugal' },
+  { start: 0x498420, end: 0x49842F, country: 'Czechia' },
+  { start: 0x4B7000, end: 0x4B7FFF, country: 'Switzerland' },
+  { start: 0x4B8200, end: 0x4B82FF, country: 'Turkey' },
+  { start: 0x506F00, end: 0x506FFF, country: 'Slovenia' },
+  { start: 0x70C070, end: 0x70C07F, country: 'Oman' },
+  { start: 0x710258, end: 0x71028F, country: 'Saudi Arabia' },
+  { start: 0x710380, end: 0x71039F, country: 'Saudi Arabia' },
+  { start: 0x738A00, end: 0x738AFF, country: 'Israel' },
+  { start: 0x7C822E, end: 0x7C84FF, country: 'Australia' },
+  { start: 0x7C8800, end: 0x7C88FF, country: 'Australia' },
+  { start: 0x7C9000, end: 0x7CBFFF, country: 'Australia' },
+  { start: 0x7CF800, end: 0x7CFAFF, country: 'Australia' },
+  { start: 0x7D0000, end: 0x7FFFFF, country: 'Australia' },
+  { start: 0x800200, end: 0x8002FF, country: 'India' },
+  { start: 0xADF7C8, end: 0xAFFFFF, country: 'United States' },
+  { start: 0xC20000, end: 0xC3FFFF, country: 'Canada' },
+  { start: 0xE40000, end: 0xE41FFF, country: 'Brazil' },
+  { start: 0xE80600, end: 0xE806FF, country: 'Chile' },
+];
+
+export const CALLSIGN_PREFIXES = {
+  military: {
+    RCH: 'US Air Mobility Command',
+    CNV: 'US Navy transport',
+    PAT: 'US Army priority transport',
+    NAVY: 'US Navy',
+    ARMY: 'US Army',
+    DUKE: 'US Army',
+    FORTE: 'RQ-4 Global Hawk',
+    HOMER: 'P-8 Poseidon',
+    JAKE: 'E-6 Mercury',
+    LAGR: 'RC-135',
+    NATO: 'NATO AWACS',
+    MMF: 'NATO Multinational MRTT Fleet',
+    ASCOT: 'Royal Air Force transport',
+    RRR: 'Royal Air Force',
+    TARTAN: 'Royal Air Force tanker',
+    GAF: 'German Air Force',
+    CTM: 'French Air and Space Force transport',
+    IAM: 'Italian Air Force',
+    BAF: 'Belgian Air Component',
+    PLF: 'Polish Air Force',
+    CFC: 'Royal Canadian Air Force',
+    ASY: 'Royal Australian Air Force',
+    KIWI: 'Royal New Zealand Air Force',
+  },
+  government: {
+    SAM: 'US Special Air Mission',
+    SPAR: 'US government VIP',
+    VENUS: 'US government VIP',
+    EXEC: 'US government executive',
+    AF1: 'Air Force One',
+    AF2: 'Air Force Two',
+    RSD: 'Russia State Transport Company',
+  },
+};
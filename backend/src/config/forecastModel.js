@@ -0,0 +1,73 @@
+/**
+ * Election Forecast Model
+ * The spec used by electionForecast.service.js. Every race gets an expected
+ * Democratic margin (points, D minus R) blended from the sources it has:
+ *
+ *   market       — Polymarket/Kalshi D win probability, turned into a margin
+ *                  through the race's total error (probit)
+ *   rating       — the hand-entered rating's typical margin
+ *   fundamentals — national environment (generic ballot margin × swing)
+ *                  + 2 × PVI + incumbency
+ *
+ * and then nudged by money: candidate receipts plus outside spending for
+ * minus against, `pointsPerDoubling` for every 2× one side has over the
+ * other, capped at `maxShift`. Weights are renormalized over the sources a
+ * race actually has.
+ *
+ * Each simulation draws one national error shared by every race and one
+ * error per race; a race goes D when margin + national + race error > 0.
+ */
+
+export default {
+  version: 1,
+  simulations: 10000,
+  // Same seed every run, so an unchanged input gives an unchanged forecast
+  seed: 20261103,
+
+  weights: {
+    market: 0.45,
+    rating: 0.35,
+    fundamentals: 0.2,
+  },
+
+  ratingMargins: {
+    'safe-d': 15,
+    'likely-d': 8,
+    'lean-d': 4,
+    'toss-up': 0,
+    'lean-r': -4,
+    'likely-r': -8,
+    'safe-r': -15,
+  },
+
+  fundamentals: {
+    // Share of the generic-ballot margin that shows up in a race
+    nationalSwing: 0.5,
+    incumbencyPoints: 3,
+  },
+
+  money: {
+    pointsPerDoubling: 1,
+    maxShift: 3,
+    // Below this much combined money the ratio is noise
+    minTotal: 500000,
+  },
+
+  // Standard deviation of the errors, in margin points
+  error: {
+    national: 3,
+    senate: 6,
+    governor: 6,
+    house: 7,
+  },
+
+  // Market probabilities are clamped before the probit so a 99¢ market
+  // doesn't turn into a 30-point margin
+  marketClamp: [0.03, 0.97],
+
+  chambers: {
+    // Democrats need 51 (the Vice President breaks ties for Republicans)
+    senate: { seats: 100, dMajority: 51, rMajority: 50 },
+    house: { seats: 435, dMajority: 218, rMajority: 218 },
+  },
+};
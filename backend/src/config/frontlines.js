@@ -0,0 +1,246 @@
+/**
+ * Frontline / territorial-control seed snapshots.
+ * Served by frontline.service.js until PostgreSQL holds its own copy; admins add
+ * newer (or older) dates through POST /api/admin/frontlines/:conflict/import.
+ *
+ * Each snapshot is one conflict at one date: frontline traces (LineString
+ * features, `kind: 'line'`) and areas held by each side (Polygon features,
+ * `kind: 'area'`, `side` from the conflict's `sides`).
+ *
+ * All geometry here is a coarse approximation from public reporting
+ * (DeepStateMap / ISW for Ukraine, ISW-CTP and ACLED maps for Sudan and
+ * Myanmar, the October 2025 ceasefire "yellow line" for Gaza) and is meant
+ * to be replaced by imported, sourced GeoJSON/KML.
+ */
+
+export const FRONTLINE_CONFLICTS = {
+  ukraine: {
+    name: 'Russia–Ukraine',
+    center: [35.5, 48.4],
+    zoom: 5.3,
+    sides: {
+      russia: { label: 'Russian-held', color: '#D52B1E' },
+      ukraine: { label: 'Ukrainian-held', color: '#005BBB' },
+    },
+  },
+  sudan: {
+    name: 'Sudan (SAF–RSF)',
+    center: [29.5, 14.5],
+    zoom: 4.6,
+    sides: {
+      saf: { label: 'Sudanese Armed Forces', color: '#2E7D32' },
+      rsf: { label: 'Rapid Support Forces', color: '#C77C02' },
+    },
+  },
+  myanmar: {
+    name: 'Myanmar civil war',
+    center: [96.0, 20.5],
+    zoom: 4.8,
+    sides: {
+      junta: { label: 'Military junta (SAC)', color: '#8E24AA' },
+      resistance: { label: 'Resistance & ethnic armed groups', color: '#00897B' },
+    },
+  },
+  gaza: {
+    name: 'Gaza',
+    center: [34.39, 31.42],
+    zoom: 9.6,
+    sides: {
+      idf: { label: 'IDF-held (yellow line)', color: '#1565C0' },
+      hamas: { label: 'Hamas-administered', color: '#558B2F' },
+    },
+  },
+};
+
+const line = (id, label, coordinates, status = null) => ({
+  type: 'Feature',
+  properties: { kind: 'line', id, label, ...(status ? { status } : {}) },
+  geometry: { type: 'LineString', coordinates },
+});
+
+const area = (side, label, ring) => ({
+  type: 'Feature',
+  properties: { kind: 'area', side, label },
+  geometry: { type: 'Polygon', coordinates: [ring] },
+});
+
+export default [
+  {
+    conflict: 'ukraine',
+    asOf: '2025-01-15',
+    source: 'DeepStateMap / ISW (approximate)',
+    note: 'Early-2025 trace only; no control area recorded for this date',
+    features: [
+      line('north', 'Kharkiv Sector', [
+        [36.85, 50.38], [36.80, 50.30], [36.70, 50.18], [36.65, 50.05], [36.72, 49.92], [36.80, 49.80],
+        [36.90, 49.68], [37.00, 49.55], [37.10, 49.45], [37.20, 49.35],
+      ]),
+      line('luhansk', 'Luhansk Sector', [
+        [37.20, 49.35], [37.35, 49.22], [37.50, 49.10], [37.60, 49.00], [37.70, 48.88], [37.75, 48.75],
+        [37.80, 48.62], [37.75, 48.50],
+      ]),
+      line('donetsk', 'Donetsk Sector', [
+        [37.75, 48.50], [37.68, 48.38], [37.60, 48.25], [37.50, 48.12], [37.42, 48.00], [37.32, 47.90],
+        [37.18, 47.82], [37.00, 47.75], [36.80, 47.68], [36.60, 47.60],
+      ]),
+      line('zaporizhzhia', 'Zaporizhzhia Sector', [
+        [36.60, 47.60], [36.38, 47.52], [36.15, 47.45], [35.90, 47.38], [35.65, 47.32], [35.40, 47.28],
+        [35.15, 47.22], [34.90, 47.15], [34.65, 47.05], [34.40, 46.95],
+      ]),
+      line('kherson', 'Kherson Sector', [
+        [34.40, 46.95], [34.15, 46.82], [33.90, 46.70], [33.65, 46.62], [33.38, 46.58], [33.10, 46.58],
+        [32.90, 46.60], [32.75, 46.55],
+      ]),
+    ],
+  },
+  {
+    conflict: 'ukraine',
+    asOf: '2026-02-01',
+    source: 'DeepStateMap / ISW (approximate)',
+    note: 'Sector traces dated 2026-01-15 to 2026-02-03',
+    features: [
+      line('kharkiv', 'Kharkiv', [
+        [36.30, 50.34], [36.38, 50.32], [36.46, 50.30], [36.55, 50.31], [36.62, 50.29], [36.70, 50.28],
+        [36.78, 50.30], [36.85, 50.29], [36.92, 50.27], [36.96, 50.23], [36.93, 50.18], [36.88, 50.14],
+        [36.84, 50.10], [36.82, 50.05], [36.85, 50.00], [36.90, 49.96], [36.94, 49.92], [36.98, 49.87],
+        [37.02, 49.82], [37.05, 49.77], [37.10, 49.73], [37.16, 49.70], [37.22, 49.67], [37.28, 49.64],
+        [37.34, 49.60], [37.38, 49.56], [37.42, 49.52], [37.48, 49.49], [37.54, 49.46], [37.58, 49.42],
+      ], 'contested'),
+      line('luhansk', 'Luhansk', [
+        [37.58, 49.42], [37.62, 49.38], [37.66, 49.34], [37.70, 49.30], [37.74, 49.25], [37.78, 49.20],
+        [37.82, 49.16], [37.85, 49.12], [37.88, 49.08], [37.92, 49.04], [37.95, 49.00], [37.97, 48.96],
+        [37.98, 48.92], [37.99, 48.88], [38.00, 48.84], [38.02, 48.80], [38.05, 48.76], [38.08, 48.73],
+        [38.10, 48.70], [38.08, 48.66], [38.05, 48.62], [38.02, 48.58],
+      ], 'contested'),
+      line('donetsk-north', 'Donetsk (North)', [
+        [38.02, 48.58], [37.98, 48.55], [37.94, 48.52], [37.90, 48.49], [37.86, 48.46], [37.82, 48.44],
+        [37.78, 48.42], [37.75, 48.40], [37.72, 48.38], [37.70, 48.35], [37.68, 48.32], [37.66, 48.29],
+        [37.64, 48.26], [37.62, 48.23], [37.60, 48.20], [37.58, 48.17], [37.55, 48.14], [37.52, 48.12],
+        [37.50, 48.10], [37.48, 48.08],
+      ], 'active'),
+      line('donetsk-south', 'Donetsk (South)', [
+        [37.48, 48.08], [37.46, 48.05], [37.44, 48.02], [37.42, 47.99], [37.40, 47.96], [37.38, 47.93],
+        [37.35, 47.90], [37.30, 47.87], [37.24, 47.84], [37.18, 47.80], [37.12, 47.76], [37.06, 47.73],
+        [37.00, 47.70], [36.94, 47.67], [36.88, 47.64], [36.82, 47.62], [36.76, 47.60], [36.72, 47.58],
+        [36.68, 47.55], [36.64, 47.52], [36.60, 47.50],
+      ], 'active'),
+      line('zaporizhzhia', 'Zaporizhzhia', [
+        [36.60, 47.50], [36.54, 47.48], [36.48, 47.46], [36.42, 47.44], [36.36, 47.42], [36.28, 47.40],
+        [36.20, 47.38], [36.12, 47.36], [36.04, 47.34], [35.96, 47.32], [35.88, 47.30], [35.80, 47.29],
+        [35.72, 47.28], [35.64, 47.26], [35.56, 47.24], [35.48, 47.22], [35.40, 47.20], [35.32, 47.18],
+        [35.24, 47.16], [35.16, 47.14], [35.08, 47.12], [35.00, 47.10], [34.92, 47.07], [34.84, 47.04],
+        [34.76, 47.01], [34.68, 46.98], [34.60, 46.96], [34.52, 46.93], [34.44, 46.90],
+      ], 'stable'),
+      line('kherson', 'Kherson / Dnipro', [
+        [34.44, 46.90], [34.36, 46.88], [34.28, 46.85], [34.20, 46.82], [34.12, 46.79], [34.04, 46.76],
+        [33.96, 46.74], [33.88, 46.72], [33.80, 46.70], [33.72, 46.68], [33.64, 46.66], [33.56, 46.64],
+        [33.48, 46.63], [33.40, 46.62], [33.32, 46.62], [33.24, 46.61], [33.16, 46.60], [33.08, 46.60],
+        [33.00, 46.60], [32.92, 46.58], [32.84, 46.56], [32.76, 46.54], [32.68, 46.52],
+      ], 'stable'),
+      area('russia', 'Russian-held', [
+        [36.30, 50.34], [37.00, 50.40], [37.60, 50.35], [38.20, 50.20], [38.80, 50.00], [39.40, 49.70],
+        [39.80, 49.40], [40.10, 49.10], [40.20, 48.80], [40.10, 48.40], [39.90, 48.00], [39.70, 47.60],
+        [39.30, 47.20], [38.80, 46.90], [38.30, 46.70], [37.80, 46.50], [37.30, 46.30], [36.80, 46.10],
+        [36.40, 45.90], [36.10, 45.70], [35.80, 45.50], [35.60, 45.35], [36.60, 45.20], [36.40, 45.00],
+        [35.80, 44.80], [35.40, 44.60], [34.80, 44.45], [34.20, 44.40], [33.60, 44.42], [33.20, 44.50],
+        [32.80, 44.58], [33.00, 44.80], [33.20, 45.00], [33.30, 45.20], [33.40, 45.40], [33.50, 45.60],
+        [33.40, 45.80], [33.20, 46.00], [33.00, 46.20], [32.68, 46.52], [32.76, 46.54], [32.84, 46.56],
+        [32.92, 46.58], [33.00, 46.60], [33.08, 46.60], [33.16, 46.60], [33.24, 46.61], [33.32, 46.62],
+        [33.40, 46.62], [33.48, 46.63], [33.56, 46.64], [33.64, 46.66], [33.72, 46.68], [33.80, 46.70],
+        [33.88, 46.72], [33.96, 46.74], [34.04, 46.76], [34.12, 46.79], [34.20, 46.82], [34.28, 46.85],
+        [34.36, 46.88], [34.44, 46.90], [34.52, 46.93], [34.60, 46.96], [34.68, 46.98], [34.76, 47.01],
+        [34.84, 47.04], [34.92, 47.07], [35.00, 47.10], [35.08, 47.12], [35.16, 47.14], [35.24, 47.16],
+        [35.32, 47.18], [35.40, 47.20], [35.48, 47.22], [35.56, 47.24], [35.64, 47.26], [35.72, 47.28],
+        [35.80, 47.29], [35.88, 47.30], [35.96, 47.32], [36.04, 47.34], [36.12, 47.36], [36.20, 47.38],
+        [36.28, 47.40], [36.36, 47.42], [36.42, 47.44], [36.48, 47.46], [36.54, 47.48], [36.60, 47.50],
+        [36.64, 47.52], [36.68, 47.55], [36.72, 47.58], [36.76, 47.60], [36.82, 47.62], [36.88, 47.64],
+        [36.94, 47.67], [37.00, 47.70], [37.06, 47.73], [37.12, 47.76], [37.18, 47.80], [37.24, 47.84],
+        [37.30, 47.87], [37.35, 47.90], [37.38, 47.93], [37.40, 47.96], [37.42, 47.99], [37.44, 48.02],
+        [37.46, 48.05], [37.48, 48.08], [37.50, 48.10], [37.52, 48.12], [37.55, 48.14], [37.58, 48.17],
+        [37.60, 48.20], [37.62, 48.23], [37.64, 48.26], [37.66, 48.29], [37.68, 48.32], [37.70, 48.35],
+        [37.72, 48.38], [37.75, 48.40], [37.78, 48.42], [37.82, 48.44], [37.86, 48.46], [37.90, 48.49],
+        [37.94, 48.52], [37.98, 48.55], [38.02, 48.58], [38.05, 48.62], [38.08, 48.66], [38.10, 48.70],
+        [38.08, 48.73], [38.05, 48.76], [38.02, 48.80], [38.00, 48.84], [37.99, 48.88], [37.98, 48.92],
+        [37.97, 48.96], [37.95, 49.00], [37.92, 49.04], [37.88, 49.08], [37.85, 49.12], [37.82, 49.16],
+        [37.78, 49.20], [37.74, 49.25], [37.70, 49.30], [37.66, 49.34], [37.62, 49.38], [37.58, 49.42],
+        [37.54, 49.46], [37.48, 49.49], [37.42, 49.52], [37.38, 49.56], [37.34, 49.60], [37.28, 49.64],
+        [37.22, 49.67], [37.16, 49.70], [37.10, 49.73], [37.05, 49.77], [37.02, 49.82], [36.98, 49.87],
+        [36.94, 49.92], [36.90, 49.96], [36.85, 50.00], [36.82, 50.05], [36.84, 50.10], [36.88, 50.14],
+        [36.93, 50.18], [36.96, 50.23], [36.92, 50.27], [36.85, 50.29], [36.78, 50.30], [36.70, 50.28],
+        [36.62, 50.29], [36.55, 50.31], [36.46, 50.30], [36.38, 50.32], [36.30, 50.34],
+      ]),
+    ],
+  },
+  {
+    conflict: 'sudan',
+    asOf: '2025-11-01',
+    source: 'ISW-CTP / ACLED (approximate)',
+    note: 'After the fall of El Fasher: RSF holds Darfur and most of West Kordofan',
+    features: [
+      line('kordofan', 'Kordofan front', [
+        [27.00, 19.50], [27.80, 16.00], [28.00, 13.50], [29.00, 12.50], [29.50, 10.00],
+      ], 'active'),
+      area('rsf', 'RSF-held', [
+        [24.00, 19.50], [27.00, 19.50], [27.80, 16.00], [28.00, 13.50], [29.00, 12.50], [29.50, 10.00],
+        [27.00, 9.60], [25.00, 10.30], [22.90, 10.90], [22.40, 12.00], [21.90, 12.60], [22.60, 14.00],
+        [23.30, 15.70], [24.00, 19.50],
+      ]),
+      area('saf', 'SAF-held', [
+        [24.00, 19.50], [24.00, 20.00], [25.00, 22.00], [31.40, 22.00], [36.90, 22.00], [37.30, 21.00],
+        [37.40, 19.50], [38.60, 18.00], [37.00, 17.00], [36.50, 14.30], [35.50, 12.50], [34.30, 10.50],
+        [33.20, 10.20], [31.50, 9.70], [29.50, 10.00], [29.00, 12.50], [28.00, 13.50], [27.80, 16.00],
+        [27.00, 19.50], [24.00, 19.50],
+      ]),
+    ],
+  },
+  {
+    conflict: 'myanmar',
+    asOf: '2025-10-01',
+    source: 'ISW / Myanmar Peace Monitor (approximate)',
+    note: 'Largest contiguous resistance-held areas only; contested and junta-held areas are not drawn',
+    features: [
+      area('resistance', 'Arakan Army (northern & central Rakhine)', [
+        [92.20, 21.10], [92.65, 21.30], [93.10, 20.90], [93.80, 19.90], [94.20, 19.00], [94.50, 18.30],
+        [94.30, 18.00], [93.90, 18.70], [93.40, 19.40], [93.00, 19.90], [92.80, 20.30], [92.40, 20.60],
+        [92.20, 21.10],
+      ]),
+      area('resistance', 'Chin resistance', [
+        [93.10, 22.60], [93.40, 23.40], [93.80, 23.30], [94.10, 22.40], [94.00, 21.40], [93.50, 21.20],
+        [93.20, 21.80], [93.10, 22.60],
+      ]),
+      area('resistance', 'Kachin Independence Army', [
+        [96.80, 26.80], [97.70, 27.20], [98.40, 26.50], [98.50, 25.60], [97.90, 24.60], [97.40, 24.90],
+        [96.90, 25.60], [96.60, 26.20], [96.80, 26.80],
+      ]),
+      area('resistance', 'Northern Shan (TNLA / MNDAA / UWSA)', [
+        [97.40, 23.90], [98.20, 24.00], [98.90, 23.30], [99.50, 22.70], [99.30, 22.10], [98.60, 22.30],
+        [97.90, 22.60], [97.40, 23.20], [97.40, 23.90],
+      ]),
+      area('resistance', 'Karenni Interim Executive Council', [
+        [97.00, 19.70], [97.50, 19.80], [97.80, 19.40], [97.60, 18.90], [97.20, 18.90], [96.90, 19.30],
+        [97.00, 19.70],
+      ]),
+    ],
+  },
+  {
+    conflict: 'gaza',
+    asOf: '2025-10-10',
+    source: 'IDF withdrawal map, October 2025 ceasefire (approximate)',
+    note: 'IDF pulled back to the "yellow line", holding roughly half of the Strip',
+    features: [
+      line('yellow-line', 'Yellow line', [
+        [34.475, 31.575], [34.470, 31.530], [34.440, 31.470], [34.390, 31.420], [34.340, 31.370], [34.280, 31.335],
+        [34.245, 31.340],
+      ], 'ceasefire'),
+      area('hamas', 'West of the yellow line', [
+        [34.245, 31.340], [34.270, 31.360], [34.320, 31.420], [34.430, 31.520], [34.475, 31.575], [34.470, 31.530],
+        [34.440, 31.470], [34.390, 31.420], [34.340, 31.370], [34.280, 31.335], [34.245, 31.340],
+      ]),
+      area('idf', 'East of the yellow line and Rafah', [
+        [34.475, 31.575], [34.490, 31.595], [34.567, 31.593], [34.550, 31.560], [34.480, 31.470], [34.400, 31.370],
+        [34.267, 31.220], [34.220, 31.320], [34.245, 31.340], [34.280, 31.335], [34.340, 31.370], [34.390, 31.420],
+        [34.440, 31.470], [34.470, 31.530], [34.475, 31.575],
+      ]),
+    ],
+  },
+];
@@ -0,0 +1,498 @@
+/**
+ * Economic & Financial Data
+ * Static baseline data for key economic indicators per country.
+ * Live data from World Bank API supplements inflation, GDP growth, and unemployment.
+ *
+ * Central bank rates and bond yields change at scheduled meetings / daily,
+ * so this static data serves as the baseline. Rates as of early 2026.
+ *
+ * Seed for the `economic` reference dataset (see referenceData.service.js).
+ */
+
+const ECONOMIC_DATA = {
+  // ─── Americas ───
+  'United States': {
+    centralBank: 'Federal Reserve',
+    policyRate: 4.25, policyRateDate: '2025-12',
+    bondYield10Y: 4.52, bondYieldDate: '2026-02',
+    inflation: 2.9, inflationDate: '2025-12',
+    gdpGrowth: 2.8, gdpDate: '2024',
+    unemployment: 4.0, unemploymentDate: '2025-12',
+    debtToGdp: 123, debtDate: '2024',
+    creditRating: 'AA+/Aaa',
+    stockIndex: 'S&P 500',
+    cca2: 'US',
+  },
+  'Canada': {
+    centralBank: 'Bank of Canada',
+    policyRate: 3.00, policyRateDate: '2025-12',
+    bondYield10Y: 3.15, bondYieldDate: '2026-02',
+    inflation: 2.0, inflationDate: '2025-12',
+    gdpGrowth: 1.5, gdpDate: '2024',
+    unemployment: 6.7, unemploymentDate: '2025-12',
+    debtToGdp: 107, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    stockIndex: 'TSX',
+    cca2: 'CA',
+  },
+  'Mexico': {
+    centralBank: 'Banco de México',
+    policyRate: 9.50, policyRateDate: '2025-12',
+    bondYield10Y: 9.8, bondYieldDate: '2026-02',
+    inflation: 4.2, inflationDate: '2025-12',
+    gdpGrowth: 1.5, gdpDate: '2024',
+    unemployment: 2.7, unemploymentDate: '2025-12',
+    debtToGdp: 52, debtDate: '2024',
+    creditRating: 'BBB/Baa2',
+    stockIndex: 'IPC',
+    cca2: 'MX',
+  },
+  'Brazil': {
+    centralBank: 'Banco Central do Brasil',
+    policyRate: 13.25, policyRateDate: '2025-12',
+    bondYield10Y: 14.5, bondYieldDate: '2026-02',
+    inflation: 4.8, inflationDate: '2025-12',
+    gdpGrowth: 3.0, gdpDate: '2024',
+    unemployment: 6.1, unemploymentDate: '2025-12',
+    debtToGdp: 78, debtDate: '2024',
+    creditRating: 'BB/Ba1',
+    stockIndex: 'Ibovespa',
+    cca2: 'BR',
+  },
+  'Argentina': {
+    centralBank: 'Banco Central (BCRA)',
+    policyRate: 32.0, policyRateDate: '2025-12',
+    inflation: 118, inflationDate: '2025-12',
+    gdpGrowth: -1.6, gdpDate: '2024',
+    unemployment: 6.9, unemploymentDate: '2025-12',
+    debtToGdp: 89, debtDate: '2024',
+    creditRating: 'CCC+/Ca',
+    stockIndex: 'Merval',
+    cca2: 'AR',
+  },
+  'Colombia': {
+    centralBank: 'Banco de la República',
+    policyRate: 9.50, policyRateDate: '2025-12',
+    inflation: 5.2, inflationDate: '2025-12',
+    gdpGrowth: 1.6, gdpDate: '2024',
+    unemployment: 10.2, unemploymentDate: '2025-12',
+    debtToGdp: 55, debtDate: '2024',
+    creditRating: 'BB+/Baa2',
+    cca2: 'CO',
+  },
+  'Chile': {
+    centralBank: 'Banco Central de Chile',
+    policyRate: 5.00, policyRateDate: '2025-12',
+    inflation: 4.5, inflationDate: '2025-12',
+    gdpGrowth: 2.5, gdpDate: '2024',
+    unemployment: 8.7, unemploymentDate: '2025-12',
+    debtToGdp: 40, debtDate: '2024',
+    creditRating: 'A/A1',
+    cca2: 'CL',
+  },
+  'Peru': {
+    centralBank: 'BCRP',
+    policyRate: 5.00, policyRateDate: '2025-12',
+    inflation: 2.3, inflationDate: '2025-12',
+    gdpGrowth: 3.1, gdpDate: '2024',
+    unemployment: 6.0, unemploymentDate: '2025-12',
+    debtToGdp: 33, debtDate: '2024',
+    creditRating: 'BBB/Baa1',
+    cca2: 'PE',
+  },
+
+  // ─── Europe ───
+  'United Kingdom': {
+    centralBank: 'Bank of England',
+    policyRate: 4.50, policyRateDate: '2025-12',
+    bondYield10Y: 4.48, bondYieldDate: '2026-02',
+    inflation: 2.5, inflationDate: '2025-12',
+    gdpGrowth: 0.9, gdpDate: '2024',
+    unemployment: 4.4, unemploymentDate: '2025-12',
+    debtToGdp: 100, debtDate: '2024',
+    creditRating: 'AA/Aa3',
+    stockIndex: 'FTSE 100',
+    cca2: 'GB',
+  },
+  'France': {
+    centralBank: 'ECB',
+    policyRate: 2.65, policyRateDate: '2025-06',
+    bondYield10Y: 3.20, bondYieldDate: '2026-02',
+    inflation: 1.8, inflationDate: '2025-12',
+    gdpGrowth: 1.1, gdpDate: '2024',
+    unemployment: 7.3, unemploymentDate: '2025-12',
+    debtToGdp: 112, debtDate: '2024',
+    creditRating: 'AA-/Aa2',
+    stockIndex: 'CAC 40',
+    cca2: 'FR',
+  },
+  'Germany': {
+    centralBank: 'ECB',
+    policyRate: 2.65, policyRateDate: '2025-06',
+    bondYield10Y: 2.55, bondYieldDate: '2026-02',
+    inflation: 2.0, inflationDate: '2025-12',
+    gdpGrowth: -0.2, gdpDate: '2024',
+    unemployment: 3.4, unemploymentDate: '2025-12',
+    debtToGdp: 64, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    stockIndex: 'DAX',
+    cca2: 'DE',
+  },
+  'Italy': {
+    centralBank: 'ECB',
+    policyRate: 2.65, policyRateDate: '2025-06',
+    bondYield10Y: 3.55, bondYieldDate: '2026-02',
+    inflation: 1.3, inflationDate: '2025-12',
+    gdpGrowth: 0.7, gdpDate: '2024',
+    unemployment: 6.2, unemploymentDate: '2025-12',
+    debtToGdp: 137, debtDate: '2024',
+    creditRating: 'BBB/Baa3',
+    stockIndex: 'FTSE MIB',
+    cca2: 'IT',
+  },
+  'Spain': {
+    centralBank: 'ECB',
+    policyRate: 2.65, policyRateDate: '2025-06',
+    bondYield10Y: 3.10, bondYieldDate: '2026-02',
+    inflation: 2.8, inflationDate: '2025-12',
+    gdpGrowth: 3.1, gdpDate: '2024',
+    unemployment: 10.6, unemploymentDate: '2025-12',
+    debtToGdp: 105, debtDate: '2024',
+    creditRating: 'A/Baa1',
+    stockIndex: 'IBEX 35',
+    cca2: 'ES',
+  },
+  'Netherlands': {
+    centralBank: 'ECB',
+    policyRate: 2.65, policyRateDate: '2025-06',
+    bondYield10Y: 2.70, bondYieldDate: '2026-02',
+    inflation: 2.8, inflationDate: '2025-12',
+    gdpGrowth: 0.7, gdpDate: '2024',
+    unemployment: 3.7, unemploymentDate: '2025-12',
+    debtToGdp: 47, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    cca2: 'NL',
+  },
+  'Switzerland': {
+    centralBank: 'SNB',
+    policyRate: 0.50, policyRateDate: '2025-12',
+    bondYield10Y: 0.55, bondYieldDate: '2026-02',
+    inflation: 1.1, inflationDate: '2025-12',
+    gdpGrowth: 1.3, gdpDate: '2024',
+    unemployment: 2.8, unemploymentDate: '2025-12',
+    debtToGdp: 38, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    cca2: 'CH',
+  },
+  'Sweden': {
+    centralBank: 'Riksbank',
+    policyRate: 2.25, policyRateDate: '2025-12',
+    bondYield10Y: 2.40, bondYieldDate: '2026-02',
+    inflation: 1.5, inflationDate: '2025-12',
+    gdpGrowth: 0.9, gdpDate: '2024',
+    unemployment: 8.5, unemploymentDate: '2025-12',
+    debtToGdp: 33, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    cca2: 'SE',
+  },
+  'Norway': {
+    centralBank: 'Norges Bank',
+    policyRate: 4.50, policyRateDate: '2025-12',
+    bondYield10Y: 3.85, bondYieldDate: '2026-02',
+    inflation: 3.0, inflationDate: '2025-12',
+    gdpGrowth: 1.0, gdpDate: '2024',
+    unemployment: 4.0, unemploymentDate: '2025-12',
+    debtToGdp: 43, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    cca2: 'NO',
+  },
+  'Poland': {
+    centralBank: 'NBP',
+    policyRate: 5.75, policyRateDate: '2025-12',
+    bondYield10Y: 5.60, bondYieldDate: '2026-02',
+    inflation: 4.7, inflationDate: '2025-12',
+    gdpGrowth: 3.0, gdpDate: '2024',
+    unemployment: 5.0, unemploymentDate: '2025-12',
+    debtToGdp: 50, debtDate: '2024',
+    creditRating: 'A-/A2',
+    cca2: 'PL',
+  },
+  'Ukraine': {
+    centralBank: 'NBU',
+    policyRate: 13.50, policyRateDate: '2025-12',
+    inflation: 9.7, inflationDate: '2025-12',
+    gdpGrowth: 3.5, gdpDate: '2024',
+    unemployment: 15.0, unemploymentDate: '2025-12',
+    debtToGdp: 84, debtDate: '2024',
+    creditRating: 'CC/Ca',
+    cca2: 'UA',
+  },
+  'Russia': {
+    centralBank: 'Bank of Russia',
+    policyRate: 21.0, policyRateDate: '2025-12',
+    bondYield10Y: 16.5, bondYieldDate: '2026-01',
+    inflation: 9.5, inflationDate: '2025-12',
+    gdpGrowth: 3.6, gdpDate: '2024',
+    unemployment: 2.3, unemploymentDate: '2025-12',
+    debtToGdp: 22, debtDate: '2024',
+    creditRating: 'NR (sanctioned)',
+    cca2: 'RU',
+  },
+
+  // ─── Asia-Pacific ───
+  'Japan': {
+    centralBank: 'Bank of Japan',
+    policyRate: 0.50, policyRateDate: '2025-12',
+    bondYield10Y: 1.35, bondYieldDate: '2026-02',
+    inflation: 3.6, inflationDate: '2025-12',
+    gdpGrowth: 0.1, gdpDate: '2024',
+    unemployment: 2.5, unemploymentDate: '2025-12',
+    debtToGdp: 255, debtDate: '2024',
+    creditRating: 'A+/A1',
+    stockIndex: 'Nikkei 225',
+    cca2: 'JP',
+  },
+  'China': {
+    centralBank: 'PBOC',
+    policyRate: 3.10, policyRateDate: '2025-12',
+    bondYield10Y: 1.65, bondYieldDate: '2026-02',
+    inflation: 0.1, inflationDate: '2025-12',
+    gdpGrowth: 5.0, gdpDate: '2024',
+    unemployment: 5.1, unemploymentDate: '2025-12',
+    debtToGdp: 83, debtDate: '2024',
+    creditRating: 'A+/A1',
+    stockIndex: 'SSE Composite',
+    cca2: 'CN',
+  },
+  'India': {
+    centralBank: 'RBI',
+    policyRate: 6.25, policyRateDate: '2025-12',
+    bondYield10Y: 6.70, bondYieldDate: '2026-02',
+    inflation: 5.2, inflationDate: '2025-12',
+    gdpGrowth: 6.5, gdpDate: '2024',
+    unemployment: 3.2, unemploymentDate: '2025-12',
+    debtToGdp: 83, debtDate: '2024',
+    creditRating: 'BBB-/Baa3',
+    stockIndex: 'Nifty 50',
+    cca2: 'IN',
+  },
+  'South Korea': {
+    centralBank: 'Bank of Korea',
+    policyRate: 2.75, policyRateDate: '2025-12',
+    bondYield10Y: 2.80, bondYieldDate: '2026-02',
+    inflation: 1.9, inflationDate: '2025-12',
+    gdpGrowth: 2.0, gdpDate: '2024',
+    unemployment: 3.7, unemploymentDate: '2025-12',
+    debtToGdp: 54, debtDate: '2024',
+    creditRating: 'AA/Aa2',
+    stockIndex: 'KOSPI',
+    cca2: 'KR',
+  },
+  'Indonesia': {
+    centralBank: 'Bank Indonesia',
+    policyRate: 5.75, policyRateDate: '2025-12',
+    bondYield10Y: 6.90, bondYieldDate: '2026-02',
+    inflation: 1.6, inflationDate: '2025-12',
+    gdpGrowth: 5.0, gdpDate: '2024',
+    unemployment: 4.9, unemploymentDate: '2025-12',
+    debtToGdp: 39, debtDate: '2024',
+    creditRating: 'BBB/Baa2',
+    cca2: 'ID',
+  },
+  'Australia': {
+    centralBank: 'RBA',
+    policyRate: 4.10, policyRateDate: '2025-12',
+    bondYield10Y: 4.35, bondYieldDate: '2026-02',
+    inflation: 2.8, inflationDate: '2025-12',
+    gdpGrowth: 1.1, gdpDate: '2024',
+    unemployment: 4.0, unemploymentDate: '2025-12',
+    debtToGdp: 44, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    stockIndex: 'ASX 200',
+    cca2: 'AU',
+  },
+  'New Zealand': {
+    centralBank: 'RBNZ',
+    policyRate: 3.75, policyRateDate: '2025-12',
+    bondYield10Y: 4.40, bondYieldDate: '2026-02',
+    inflation: 2.2, inflationDate: '2025-12',
+    gdpGrowth: 0.6, gdpDate: '2024',
+    unemployment: 5.1, unemploymentDate: '2025-12',
+    debtToGdp: 44, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    cca2: 'NZ',
+  },
+  'Taiwan': {
+    centralBank: 'CBC',
+    policyRate: 2.00, policyRateDate: '2025-12',
+    bondYield10Y: 1.55, bondYieldDate: '2026-02',
+    inflation: 2.3, inflationDate: '2025-12',
+    gdpGrowth: 4.2, gdpDate: '2024',
+    unemployment: 3.4, unemploymentDate: '2025-12',
+    debtToGdp: 28, debtDate: '2024',
+    creditRating: 'AA+/Aa3',
+    stockIndex: 'TAIEX',
+    cca2: 'TW',
+  },
+  'Thailand': {
+    centralBank: 'BOT',
+    policyRate: 2.00, policyRateDate: '2025-12',
+    bondYield10Y: 2.40, bondYieldDate: '2026-02',
+    inflation: 1.1, inflationDate: '2025-12',
+    gdpGrowth: 2.7, gdpDate: '2024',
+    unemployment: 1.2, unemploymentDate: '2025-12',
+    debtToGdp: 63, debtDate: '2024',
+    creditRating: 'BBB+/Baa1',
+    cca2: 'TH',
+  },
+  'Philippines': {
+    centralBank: 'BSP',
+    policyRate: 5.75, policyRateDate: '2025-12',
+    inflation: 2.9, inflationDate: '2025-12',
+    gdpGrowth: 5.6, gdpDate: '2024',
+    unemployment: 3.2, unemploymentDate: '2025-12',
+    debtToGdp: 61, debtDate: '2024',
+    creditRating: 'BBB+/Baa2',
+    cca2: 'PH',
+  },
+  'Malaysia': {
+    centralBank: 'BNM',
+    policyRate: 3.00, policyRateDate: '2025-12',
+    bondYield10Y: 3.80, bondYieldDate: '2026-02',
+    inflation: 2.0, inflationDate: '2025-12',
+    gdpGrowth: 5.1, gdpDate: '2024',
+    unemployment: 3.3, unemploymentDate: '2025-12',
+    debtToGdp: 64, debtDate: '2024',
+    creditRating: 'A-/A3',
+    cca2: 'MY',
+  },
+  'Singapore': {
+    centralBank: 'MAS',
+    inflation: 2.4, inflationDate: '2025-12',
+    gdpGrowth: 4.0, gdpDate: '2024',
+    unemployment: 2.0, unemploymentDate: '2025-12',
+    debtToGdp: 168, debtDate: '2024',
+    creditRating: 'AAA/Aaa',
+    stockIndex: 'STI',
+    cca2: 'SG',
+    note: 'MAS uses exchange rate as policy tool, not interest rates',
+  },
+  'Pakistan': {
+    centralBank: 'SBP',
+    policyRate: 13.0, policyRateDate: '2025-12',
+    inflation: 4.1, inflationDate: '2025-12',
+    gdpGrowth: 2.5, gdpDate: '2024',
+    unemployment: 8.0, unemploymentDate: '2025-12',
+    debtToGdp: 76, debtDate: '2024',
+    creditRating: 'CCC+/Caa3',
+    cca2: 'PK',
+  },
+
+  // ─── Middle East ───
+  'Turkey': {
+    centralBank: 'CBRT',
+    policyRate: 45.0, policyRateDate: '2025-12',
+    bondYield10Y: 28.5, bondYieldDate: '2026-01',
+    inflation: 44.4, inflationDate: '2025-12',
+    gdpGrowth: 3.2, gdpDate: '2024',
+    unemployment: 8.8, unemploymentDate: '2025-12',
+    debtToGdp: 30, debtDate: '2024',
+    creditRating: 'B+/B3',
+    stockIndex: 'BIST 100',
+    cca2: 'TR',
+  },
+  'Saudi Arabia': {
+    centralBank: 'SAMA',
+    policyRate: 5.00, policyRateDate: '2025-12',
+    inflation: 2.0, inflationDate: '2025-12',
+    gdpGrowth: 1.3, gdpDate: '2024',
+    unemployment: 3.5, unemploymentDate: '2025-12',
+    debtToGdp: 26, debtDate: '2024',
+    creditRating: 'A/A1',
+    stockIndex: 'Tadawul',
+    cca2: 'SA',
+    note: 'Rate pegged to US Fed via USD peg',
+  },
+  'Israel': {
+    centralBank: 'Bank of Israel',
+    policyRate: 4.50, policyRateDate: '2025-12',
+    bondYield10Y: 4.65, bondYieldDate: '2026-02',
+    inflation: 3.6, inflationDate: '2025-12',
+    gdpGrowth: 0.9, gdpDate: '2024',
+    unemployment: 3.5, unemploymentDate: '2025-12',
+    debtToGdp: 68, debtDate: '2024',
+    creditRating: 'A+/A2',
+    stockIndex: 'TA-35',
+    cca2: 'IL',
+  },
+  'United Arab Emirates': {
+    centralBank: 'CBUAE',
+    policyRate: 4.65, policyRateDate: '2025-12',
+    inflation: 2.1, inflationDate: '2025-12',
+    gdpGrowth: 3.9, gdpDate: '2024',
+    unemployment: 2.7, unemploymentDate: '2025-12',
+    debtToGdp: 30, debtDate: '2024',
+    creditRating: 'AA/Aa2',
+    cca2: 'AE',
+  },
+
+  // ─── Africa ───
+  'South Africa': {
+    centralBank: 'SARB',
+    policyRate: 7.50, policyRateDate: '2025-12',
+    bondYield10Y: 9.20, bondYieldDate: '2026-02',
+    inflation: 3.2, inflationDate: '2025-12',
+    gdpGrowth: 0.6, gdpDate: '2024',
+    unemployment: 32.1, unemploymentDate: '2025-12',
+    debtToGdp: 74, debtDate: '2024',
+    creditRating: 'BB-/Ba2',
+    stockIndex: 'JSE Top 40',
+    cca2: 'ZA',
+  },
+  'Nigeria': {
+    centralBank: 'CBN',
+    policyRate: 27.50, policyRateDate: '2025-12',
+    inflation: 24.5, inflationDate: '2025-12',
+    gdpGrowth: 3.2, gdpDate: '2024',
+    unemployment: 5.3, unemploymentDate: '2025-12',
+    debtToGdp: 42, debtDate: '2024',
+    creditRating: 'B-/Caa1',
+    cca2: 'NG',
+  },
+  'Egypt': {
+    centralBank: 'CBE',
+    policyRate: 27.25, policyRateDate: '2025-12',
+    inflation: 24.1, inflationDate: '2025-12',
+    gdpGrowth: 2.4, gdpDate: '2024',
+    unemployment: 6.9, unemploymentDate: '2025-12',
+    debtToGdp: 92, debtDate: '2024',
+    creditRating: 'B-/Caa1',
+    cca2: 'EG',
+  },
+  'Kenya': {
+    centralBank: 'CBK',
+    policyRate: 10.0, policyRateDate: '2025-12',
+    inflation: 3.6, inflationDate: '2025-12',
+    gdpGrowth: 5.0, gdpDate: '2024',
+    unemployment: 5.7, unemploymentDate: '2025-12',
+    debtToGdp: 72, debtDate: '2024',
+    creditRating: 'B/B3',
+    cca2: 'KE',
+  },
+  'Morocco': {
+    centralBank: 'BAM',
+    policyRate: 2.50, policyRateDate: '2025-12',
+    inflation: 1.0, inflationDate: '2025-12',
+    gdpGrowth: 3.0, gdpDate: '2024',
+    unemployment: 13.0, unemploymentDate: '2025-12',
+    debtToGdp: 70, debtDate: '2024',
+    creditRating: 'BB+/Ba1',
+    cca2: 'MA',
+  },
+};
+
+export default {
+  tables: {
+    countries: ECONOMIC_DATA,
+  },
+};
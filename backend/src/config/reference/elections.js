@@ -0,0 +1,2343 @@
+/**
+ * 2026 US Midterm Election Data
+ * Real races, candidates, polling data, and key dates
+ * Sources: Cook Political Report, Sabato's Crystal Ball, 270toWin, Ballotpedia, OpenSecrets
+ *
+ * Seed for the `elections` reference dataset (see referenceData.service.js).
+ * Ratings use the scale: 'safe-d', 'likely-d', 'lean-d', 'toss-up', 'lean-r', 'likely-r', 'safe-r'
+ */
+
+const GENERAL_ELECTION_DATE = '2026-11-03';
+const DATA_LAST_UPDATED = '2026-02-13';
+
+// Cook Partisan Voting Index (PVI) by state
+const STATE_PVI = {
+  'Alabama': 'R+16', 'Alaska': 'R+9', 'Arizona': 'R+3', 'Arkansas': 'R+18',
+  'California': 'D+14', 'Colorado': 'D+4', 'Connecticut': 'D+7', 'Delaware': 'D+7',
+  'Florida': 'R+5', 'Georgia': 'R+3', 'Hawaii': 'D+16', 'Idaho': 'R+21',
+  'Illinois': 'D+8', 'Indiana': 'R+12', 'Iowa': 'R+6', 'Kansas': 'R+12',
+  'Kentucky': 'R+17', 'Louisiana': 'R+14', 'Maine': 'D+3', 'Maryland': 'D+14',
+  'Massachusetts': 'D+16', 'Michigan': 'R+1', 'Minnesota': 'D+1', 'Mississippi': 'R+12',
+  'Missouri': 'R+11', 'Montana': 'R+12', 'Nebraska': 'R+13', 'Nevada': 'R+1',
+  'New Hampshire': 'D+1', 'New Jersey': 'D+7', 'New Mexico': 'D+4', 'New York': 'D+10',
+  'North Carolina': 'R+3', 'North Dakota': 'R+20', 'Ohio': 'R+6', 'Oklahoma': 'R+22',
+  'Oregon': 'D+6', 'Pennsylvania': 'R+1', 'Rhode Island': 'D+9', 'South Carolina': 'R+10',
+  'South Dakota': 'R+18', 'Tennessee': 'R+16', 'Texas': 'R+7', 'Utah': 'R+14',
+  'Vermont': 'D+14', 'Virginia': 'D+3', 'Washington': 'D+7', 'West Virginia': 'R+23',
+  'Wisconsin': 'EVEN', 'Wyoming': 'R+26',
+};
+
+// Primary dates by state
+const PRIMARY_DATES = {
+  'Alabama': { primary: '2026-05-19', runoff: '2026-06-16' },
+  'Alaska': { primary: '2026-08-18' },
+  'Arizona': { primary: '2026-07-21' },
+  'Arkansas': { primary: '2026-03-03', runoff: '2026-03-31' },
+  'California': { primary: '2026-06-02' },
+  'Colorado': { primary: '2026-06-30' },
+  'Connecticut': { primary: '2026-08-11' },
+  'Delaware': { primary: '2026-09-15' },
+  'Florida': { primary: '2026-08-18' },
+  'Georgia': { primary: '2026-05-19', runoff: '2026-06-16', generalRunoff: '2026-12-01' },
+  'Hawaii': { primary: '2026-08-08' },
+  'Idaho': { primary: '2026-05-19' },
+  'Illinois': { primary: '2026-03-17' },
+  'Indiana': { primary: '2026-05-05' },
+  'Iowa': { primary: '2026-06-02' },
+  'Kansas': { primary: '2026-08-04' },
+  'Kentucky': { primary: '2026-05-19' },
+  'Louisiana': { primary: '2026-05-16', runoff: '2026-06-27' },
+  'Maine': { primary: '2026-06-09' },
+  'Maryland': { primary: '2026-06-23' },
+  'Massachusetts': { primary: '2026-09-01' },
+  'Michigan': { primary: '2026-08-04' },
+  'Minnesota': { primary: '2026-08-11' },
+  'Mississippi': { primary: '2026-03-10', runoff: '2026-04-07' },
+  'Missouri': { primary: '2026-08-04' },
+  'Montana': { primary: '2026-06-02' },
+  'Nebraska': { primary: '2026-05-12' },
+  'Nevada': { primary: '2026-06-09' },
+  'New Hampshire': { primary: '2026-09-08' },
+  'New Jersey': { primary: '2026-06-02' },
+  'New Mexico': { primary: '2026-06-02' },
+  'New York': { primary: '2026-06-23' },
+  'North Carolina': { primary: '2026-03-03', runoff: '2026-05-12' },
+  'North Dakota': { primary: '2026-06-09' },
+  'Ohio': { primary: '2026-05-05' },
+  'Oklahoma': { primary: '2026-06-16', runoff: '2026-08-25' },
+  'Oregon': { primary: '2026-05-19' },
+  'Pennsylvania': { primary: '2026-05-19' },
+  'Rhode Island': { primary: '2026-09-08' },
+  'South Carolina': { primary: '2026-06-09', runoff: '2026-06-23' },
+  'South Dakota': { primary: '2026-06-02', runoff: '2026-07-28' },
+  'Tennessee': { primary: '2026-08-06' },
+  'Texas': { primary: '2026-03-03', runoff: '2026-05-26' },
+  'Utah': { primary: '2026-06-23' },
+  'Vermont': { primary: '2026-08-11' },
+  'Virginia': { primary: '2026-06-23' },
+  'Washington': { primary: '2026-08-04' },
+  'West Virginia': { primary: '2026-05-12' },
+  'Wisconsin': { primary: '2026-08-11' },
+  'Wyoming': { primary: '2026-08-18' },
+};
+
+// Senate races (Class 2 + Special Elections)
+const SENATE_RACES = {
+  'Alabama': {
+    type: 'regular',
+    incumbent: 'Tommy Tuberville',
+    incumbentParty: 'R',
+    status: 'open',
+    statusDetail: 'Tuberville running for Governor',
+    rating: 'safe-r',
+    note: 'Trump endorsed Barry Moore; large undecided pool remains',
+    keyIssues: ['Economy', 'Immigration', 'Military/defense', 'Agriculture'],
+    endorsements: { R: ['Trump (Moore)', 'MAGA movement'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Barry Moore', polling: 33 },
+          { name: 'Steve Marshall', polling: 18 },
+          { name: 'Jared Hudson', polling: 11 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 34 },
+      ],
+    },
+  },
+  'Alaska': {
+    type: 'regular',
+    incumbent: 'Dan Sullivan',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    prevMargin: 'R+8.7',
+    note: 'Alaska uses ranked-choice voting',
+    keyIssues: ['Oil & gas development', 'Cost of living', 'Native affairs', 'Ranked-choice voting'],
+    fundraising: { R: '$4.2M', D: '$3.8M' },
+    endorsements: { R: ['Trump', 'NRA'], D: ['AFL-CIO', 'EMILY\'s List'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Dan Sullivan', polling: 78 }],
+        D: [{ name: 'Mary Peltola', polling: 85 }],
+      },
+      general: [
+        { name: 'Dan Sullivan', party: 'R', polling: 47 },
+        { name: 'Mary Peltola', party: 'D', polling: 45 },
+      ],
+    },
+  },
+  'Arkansas': {
+    type: 'regular',
+    incumbent: 'Tom Cotton',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Tom Cotton', polling: 90 }],
+        D: [],
+      },
+      general: [
+        { name: 'Tom Cotton', party: 'R', polling: 68 },
+        { name: 'TBD', party: 'D', polling: 28 },
+      ],
+    },
+  },
+  'Colorado': {
+    type: 'regular',
+    incumbent: 'John Hickenlooper',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'John Hickenlooper', polling: 82 }],
+        R: [],
+      },
+      general: [
+        { name: 'John Hickenlooper', party: 'D', polling: 56 },
+        { name: 'TBD', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'Delaware': {
+    type: 'regular',
+    incumbent: 'Chris Coons',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Chris Coons', polling: 75 }],
+        R: [],
+      },
+      general: [
+        { name: 'Chris Coons', party: 'D', polling: 60 },
+        { name: 'TBD', party: 'R', polling: 34 },
+      ],
+    },
+  },
+  'Florida': {
+    type: 'special',
+    incumbent: 'Ashley Moody',
+    incumbentParty: 'R',
+    status: 'running',
+    statusDetail: 'Appointed to replace Rubio (now Sec of State)',
+    rating: 'likely-r',
+    prevMargin: 'R+13.0',
+    note: 'Vindman entered after Jenkins dropped out; race moved from Safe R to Likely R',
+    keyIssues: ['Insurance costs', 'Immigration', 'Abortion rights', 'Climate/hurricanes'],
+    fundraising: { R: '$8.1M', D: '$3.5M' },
+    endorsements: { R: ['Trump', 'Gov DeSantis', 'Florida Chamber'], D: ['Mucarsel-Powell (endorsed Vindman)'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Ashley Moody', polling: 65 }],
+        D: [
+          { name: 'Alexander Vindman', polling: 45 },
+        ],
+      },
+      general: [
+        { name: 'Ashley Moody', party: 'R', polling: 49 },
+        { name: 'Alexander Vindman', party: 'D', polling: 38 },
+      ],
+    },
+  },
+  'Georgia': {
+    type: 'regular',
+    incumbent: 'Jon Ossoff',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    prevMargin: 'D+1.2',
+    note: 'Georgia may require runoff if no candidate gets 50%',
+    keyIssues: ['Economy/jobs', 'Healthcare', 'Voting rights', 'Immigration'],
+    fundraising: { D: '$12.5M', R: '$4.8M' },
+    endorsements: { D: ['Obama', 'Stacey Abrams', 'AFL-CIO'], R: ['Trump'] },
+    candidates: {
+      primary: {
+        D: [{ name: 'Jon Ossoff', polling: 88 }],
+        R: [
+          { name: 'Buddy Carter', polling: 32 },
+          { name: 'Mike Collins', polling: 28 },
+          { name: 'Derek Dooley', polling: 22 },
+        ],
+      },
+      general: [
+        { name: 'Jon Ossoff', party: 'D', polling: 49 },
+        { name: 'R Nominee', party: 'R', polling: 45 },
+      ],
+    },
+  },
+  'Idaho': {
+    type: 'regular',
+    incumbent: 'Jim Risch',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Jim Risch', polling: 72 }],
+        D: [],
+      },
+      general: [
+        { name: 'Jim Risch', party: 'R', polling: 66 },
+        { name: 'TBD', party: 'D', polling: 28 },
+      ],
+    },
+  },
+  'Illinois': {
+    type: 'regular',
+    incumbent: 'Dick Durbin',
+    incumbentParty: 'D',
+    status: 'open',
+    statusDetail: 'Durbin retiring',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Raja Krishnamoorthi', polling: 31 },
+          { name: 'Juliana Stratton', polling: 24 },
+          { name: 'Robin Kelly', polling: 18 },
+        ],
+        R: [],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 58 },
+        { name: 'TBD', party: 'R', polling: 36 },
+      ],
+    },
+  },
+  'Iowa': {
+    type: 'regular',
+    incumbent: 'Joni Ernst',
+    incumbentParty: 'R',
+    status: 'open',
+    statusDetail: 'Ernst retiring',
+    rating: 'likely-r',
+    prevMargin: 'R+6.6',
+    keyIssues: ['Agriculture/trade', 'Healthcare', 'Immigration', 'Education'],
+    fundraising: { R: '$5.1M', D: '$3.2M' },
+    endorsements: { R: ['Trump', 'Thune', 'NRSC', 'Iowa Farm Bureau'], D: ['UAW'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Ashley Hinson', polling: 48 },
+          { name: 'Jim Carlin', polling: 14 },
+        ],
+        D: [
+          { name: 'Zach Wahls', polling: 25 },
+          { name: 'Jackie Norris', polling: 23 },
+          { name: 'Josh Turek', polling: 18 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 52 },
+        { name: 'D Nominee', party: 'D', polling: 43 },
+      ],
+    },
+  },
+  'Kansas': {
+    type: 'regular',
+    incumbent: 'Roger Marshall',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Roger Marshall', polling: 78 }],
+        D: [],
+      },
+      general: [
+        { name: 'Roger Marshall', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'Kentucky': {
+    type: 'regular',
+    incumbent: 'Mitch McConnell',
+    incumbentParty: 'R',
+    status: 'open',
+    statusDetail: 'McConnell retiring — first open seat since 1984',
+    rating: 'safe-r',
+    note: 'Three-way R primary; 38% undecided. D unlikely to flip despite Beshear popularity',
+    keyIssues: ['Economy', 'Healthcare', 'Coal/energy transition', 'Opioid crisis'],
+    fundraising: { R: '$6.5M', D: '$2.1M' },
+    endorsements: { R: [], D: [] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Andy Barr', polling: 24 },
+          { name: 'Daniel Cameron', polling: 21 },
+          { name: 'Nate Morris', polling: 14 },
+        ],
+        D: [
+          { name: 'Charles Booker', polling: 30 },
+          { name: 'Amy McGrath', polling: 19 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 58 },
+        { name: 'D Nominee', party: 'D', polling: 36 },
+      ],
+    },
+  },
+  'Louisiana': {
+    type: 'regular',
+    incumbent: 'Bill Cassidy',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Bill Cassidy', polling: 72 }],
+        D: [],
+      },
+      general: [
+        { name: 'Bill Cassidy', party: 'R', polling: 60 },
+        { name: 'TBD', party: 'D', polling: 34 },
+      ],
+    },
+  },
+  'Maine': {
+    type: 'regular',
+    incumbent: 'Susan Collins',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'toss-up',
+    prevMargin: 'R+8.6',
+    note: 'Senate Leadership Fund pledged $42M to defend Collins',
+    keyIssues: ['Healthcare/ACA', 'Economy', 'Abortion rights', 'Climate/fisheries'],
+    fundraising: { R: '$14.2M', D: '$9.8M' },
+    endorsements: { R: ['Senate Leadership Fund', 'Collins PAC'], D: ['EMILY\'s List', 'LCV', 'Planned Parenthood'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Susan Collins', polling: 68 },
+          { name: 'Dan Smeriglio', polling: 15 },
+        ],
+        D: [
+          { name: 'Janet Mills', polling: 45 },
+          { name: 'David Costello', polling: 20 },
+          { name: 'Graham Platner', polling: 18 },
+          { name: 'Jordan Wood', polling: 12 },
+        ],
+      },
+      general: [
+        { name: 'Susan Collins', party: 'R', polling: 47 },
+        { name: 'Janet Mills', party: 'D', polling: 48 },
+      ],
+    },
+  },
+  'Massachusetts': {
+    type: 'regular',
+    incumbent: 'Ed Markey',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Ed Markey', polling: 80 }],
+        R: [],
+      },
+      general: [
+        { name: 'Ed Markey', party: 'D', polling: 64 },
+        { name: 'TBD', party: 'R', polling: 30 },
+      ],
+    },
+  },
+  'Michigan': {
+    type: 'regular',
+    incumbent: 'Gary Peters',
+    incumbentParty: 'D',
+    status: 'open',
+    statusDetail: 'Peters retiring',
+    rating: 'toss-up',
+    prevMargin: 'D+1.7',
+    keyIssues: ['Auto industry/manufacturing', 'Economy', 'Abortion rights', 'Education'],
+    fundraising: { D: '$8.4M', R: '$7.1M' },
+    endorsements: { D: ['UAW', 'EMILY\'s List'], R: ['Trump', 'NRSC'] },
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Mallory McMorrow', polling: 28 },
+          { name: 'Haley Stevens', polling: 26 },
+          { name: 'Abdul El-Sayed', polling: 18 },
+          { name: 'Joe Tate', polling: 14 },
+        ],
+        R: [
+          { name: 'Mike Rogers', polling: 55 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 47 },
+        { name: 'Mike Rogers', party: 'R', polling: 46 },
+      ],
+    },
+  },
+  'Minnesota': {
+    type: 'regular',
+    incumbent: 'Tina Smith',
+    incumbentParty: 'D',
+    status: 'open',
+    statusDetail: 'Smith retiring',
+    rating: 'likely-d',
+    prevMargin: 'D+5.4',
+    note: 'Flanagan (progressive) vs Craig (moderate) proxy battle; Tafoya dominates thin GOP field',
+    keyIssues: ['Healthcare', 'Economy', 'Education', 'Public safety'],
+    fundraising: { D: '$3.5M', R: '$1.8M' },
+    endorsements: { D: ['Tina Smith (Flanagan)', 'Bernie Sanders (Flanagan)', 'Hakeem Jeffries (Craig)', 'AIPAC (Craig)'], R: ['NRSC (Tafoya)', 'Tim Scott (Tafoya)'] },
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Peggy Flanagan', polling: 40 },
+          { name: 'Angie Craig', polling: 28 },
+        ],
+        R: [
+          { name: 'Michele Tafoya', polling: 41 },
+          { name: 'Royce White', polling: 11 },
+        ],
+      },
+      general: [
+        { name: 'Peggy Flanagan', party: 'D', polling: 47 },
+        { name: 'Michele Tafoya', party: 'R', polling: 41 },
+      ],
+    },
+  },
+  'Mississippi': {
+    type: 'regular',
+    incumbent: 'Cindy Hyde-Smith',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Cindy Hyde-Smith', polling: 70 }],
+        D: [],
+      },
+      general: [
+        { name: 'Cindy Hyde-Smith', party: 'R', polling: 60 },
+        { name: 'TBD', party: 'D', polling: 35 },
+      ],
+    },
+  },
+  'Montana': {
+    type: 'regular',
+    incumbent: 'Steve Daines',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Steve Daines', polling: 80 }],
+        D: [],
+      },
+      general: [
+        { name: 'Steve Daines', party: 'R', polling: 58 },
+        { name: 'TBD', party: 'D', polling: 36 },
+      ],
+    },
+  },
+  'Nebraska': {
+    type: 'regular',
+    incumbent: 'Pete Ricketts',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'likely-r',
+    prevMargin: 'R+25.9',
+    note: 'Dan Osborn (I) endorsed by NE Democratic Party',
+    keyIssues: ['Agriculture', 'Economy', 'Immigration', 'Trade policy'],
+    fundraising: { R: '$6.2M', I: '$4.1M' },
+    endorsements: { R: ['Trump', 'NRA'], I: ['NE Democratic Party', 'Working families'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Pete Ricketts', polling: 75 }],
+        D: [],
+      },
+      general: [
+        { name: 'Pete Ricketts', party: 'R', polling: 50 },
+        { name: 'Dan Osborn', party: 'I', polling: 44 },
+      ],
+    },
+  },
+  'New Hampshire': {
+    type: 'regular',
+    incumbent: 'Jeanne Shaheen',
+    incumbentParty: 'D',
+    status: 'open',
+    statusDetail: 'Shaheen retiring',
+    rating: 'lean-d',
+    prevMargin: 'D+15.6',
+    keyIssues: ['Economy/cost of living', 'Healthcare', 'Opioid crisis', 'Education'],
+    fundraising: { D: '$2.1M', R: '$1.5M' },
+    endorsements: { D: ['Shaheen'], R: [] },
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Maggie Goodlander', polling: 35 },
+          { name: 'Colin Van Ostern', polling: 22 },
+        ],
+        R: [
+          { name: 'Chuck Morse', polling: 30 },
+          { name: 'Don Bolduc', polling: 24 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 50 },
+        { name: 'R Nominee', party: 'R', polling: 44 },
+      ],
+    },
+  },
+  'New Jersey': {
+    type: 'regular',
+    incumbent: 'Cory Booker',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Cory Booker', polling: 78 }],
+        R: [],
+      },
+      general: [
+        { name: 'Cory Booker', party: 'D', polling: 58 },
+        { name: 'TBD', party: 'R', polling: 36 },
+      ],
+    },
+  },
+  'New Mexico': {
+    type: 'regular',
+    incumbent: 'Ben Ray Lujan',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Ben Ray Lujan', polling: 72 }],
+        R: [],
+      },
+      general: [
+        { name: 'Ben Ray Lujan', party: 'D', polling: 54 },
+        { name: 'TBD', party: 'R', polling: 40 },
+      ],
+    },
+  },
+  'North Carolina': {
+    type: 'regular',
+    incumbent: 'Thom Tillis',
+    incumbentParty: 'R',
+    status: 'open',
+    statusDetail: 'Tillis retiring',
+    rating: 'lean-d',
+    prevMargin: 'R+1.8',
+    note: 'Cooper leads by 8+ pts; Dems\' best pickup opportunity. Could see $500M+ in spending',
+    keyIssues: ['Economy', 'Education', 'Abortion rights', 'Voting rights'],
+    fundraising: { D: '$18M', R: '$6.8M' },
+    endorsements: { D: ['Obama', 'DSCC', 'EMILY\'s List'], R: ['Trump (Whatley)'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Michael Whatley', polling: 36 },
+          { name: 'Don Brown', polling: 6 },
+          { name: 'Michele Morrow', polling: 4 },
+        ],
+        D: [
+          { name: 'Roy Cooper', polling: 72 },
+        ],
+      },
+      general: [
+        { name: 'Roy Cooper', party: 'D', polling: 48 },
+        { name: 'Michael Whatley', party: 'R', polling: 39 },
+      ],
+    },
+  },
+  'Ohio': {
+    type: 'special',
+    incumbent: 'Jon Husted',
+    incumbentParty: 'R',
+    status: 'running',
+    statusDetail: 'Appointed to replace Vance (now VP)',
+    rating: 'lean-r',
+    prevMargin: 'R+11.3',
+    note: 'Moved from Likely R to Lean R after Brown entered; race within margin of error',
+    keyIssues: ['Economy/manufacturing', 'Immigration', 'Healthcare', 'Trade'],
+    fundraising: { R: '$9.5M', D: '$12.8M' },
+    endorsements: { R: ['Trump', 'Ohio Chamber'], D: ['AFL-CIO', 'UAW', 'DSCC'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Jon Husted', polling: 68 }],
+        D: [{ name: 'Sherrod Brown', polling: 72 }],
+      },
+      general: [
+        { name: 'Jon Husted', party: 'R', polling: 49 },
+        { name: 'Sherrod Brown', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'Oklahoma': {
+    type: 'regular',
+    incumbent: 'James Lankford',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'James Lankford', polling: 70 }],
+        D: [],
+      },
+      general: [
+        { name: 'James Lankford', party: 'R', polling: 64 },
+        { name: 'TBD', party: 'D', polling: 30 },
+      ],
+    },
+  },
+  'Oregon': {
+    type: 'regular',
+    incumbent: 'Jeff Merkley',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Jeff Merkley', polling: 78 }],
+        R: [],
+      },
+      general: [
+        { name: 'Jeff Merkley', party: 'D', polling: 56 },
+        { name: 'TBD', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'Rhode Island': {
+    type: 'regular',
+    incumbent: 'Jack Reed',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Jack Reed', polling: 80 }],
+        R: [],
+      },
+      general: [
+        { name: 'Jack Reed', party: 'D', polling: 62 },
+        { name: 'TBD', party: 'R', polling: 32 },
+      ],
+    },
+  },
+  'South Carolina': {
+    type: 'regular',
+    incumbent: 'Lindsey Graham',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Lindsey Graham', polling: 68 }],
+        D: [],
+      },
+      general: [
+        { name: 'Lindsey Graham', party: 'R', polling: 58 },
+        { name: 'TBD', party: 'D', polling: 38 },
+      ],
+    },
+  },
+  'South Dakota': {
+    type: 'regular',
+    incumbent: 'Mike Rounds',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Mike Rounds', polling: 75 }],
+        D: [],
+      },
+      general: [
+        { name: 'Mike Rounds', party: 'R', polling: 64 },
+        { name: 'TBD', party: 'D', polling: 30 },
+      ],
+    },
+  },
+  'Tennessee': {
+    type: 'regular',
+    incumbent: 'Bill Hagerty',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Bill Hagerty', polling: 72 }],
+        D: [],
+      },
+      general: [
+        { name: 'Bill Hagerty', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'Texas': {
+    type: 'regular',
+    incumbent: 'John Cornyn',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    prevMargin: 'R+9.7',
+    note: 'Paxton leads Cornyn; likely headed to May runoff. General election polls show coin-flip races',
+    keyIssues: ['Immigration/border', 'Economy', 'Energy', 'Abortion'],
+    fundraising: { R: '$18.2M', D: '$8.5M' },
+    endorsements: { R: ['NRA', 'split endorsements'], D: ['Beto O\'Rourke'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Ken Paxton', polling: 38 },
+          { name: 'John Cornyn', polling: 31 },
+          { name: 'Wesley Hunt', polling: 17 },
+        ],
+        D: [
+          { name: 'Jasmine Crockett', polling: 47 },
+          { name: 'James Talarico', polling: 39 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 49 },
+        { name: 'D Nominee', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'Virginia': {
+    type: 'regular',
+    incumbent: 'Mark Warner',
+    incumbentParty: 'D',
+    status: 'running',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Mark Warner', polling: 82 }],
+        R: [],
+      },
+      general: [
+        { name: 'Mark Warner', party: 'D', polling: 56 },
+        { name: 'TBD', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'West Virginia': {
+    type: 'regular',
+    incumbent: 'Shelley Moore Capito',
+    incumbentParty: 'R',
+    status: 'running',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Shelley Moore Capito', polling: 78 }],
+        D: [],
+      },
+      general: [
+        { name: 'Shelley Moore Capito', party: 'R', polling: 64 },
+        { name: 'TBD', party: 'D', polling: 30 },
+      ],
+    },
+  },
+  'Wyoming': {
+    type: 'regular',
+    incumbent: 'Cynthia Lummis',
+    incumbentParty: 'R',
+    status: 'open',
+    statusDetail: 'Lummis retiring',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Harriet Hageman', polling: 45 },
+          { name: 'Tim Salazar', polling: 18 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 70 },
+        { name: 'TBD', party: 'D', polling: 24 },
+      ],
+    },
+  },
+};
+
+// Governor races (36 states)
+const GOVERNOR_RACES = {
+  'Alabama': {
+    incumbent: 'Kay Ivey',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-r',
+    prevMargin: 'R+34.1',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Tommy Tuberville', polling: 35 },
+          { name: 'Tim James', polling: 22 },
+          { name: 'Wes Allen', polling: 18 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 34 },
+      ],
+    },
+  },
+  'Alaska': {
+    incumbent: 'Mike Dunleavy',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'lean-r',
+    keyIssues: ['Oil & gas development', 'Cost of living', 'Native affairs', 'PFD'],
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Nancy Dahlstrom', polling: 32 },
+          { name: 'Mike Dunleavy Jr', polling: 22 },
+        ],
+        D: [
+          { name: 'Les Gara', polling: 38 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 50 },
+        { name: 'D Nominee', party: 'D', polling: 44 },
+      ],
+    },
+  },
+  'Arizona': {
+    incumbent: 'Katie Hobbs',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'toss-up',
+    prevMargin: 'D+0.7',
+    note: 'Key swing state; Trump won AZ in 2024',
+    keyIssues: ['Immigration/border', 'Water rights', 'Economy', 'Abortion'],
+    fundraising: { D: '$9.4M', R: '$5.2M' },
+    endorsements: { D: ['EMILY\'s List', 'LCV'], R: [] },
+    candidates: {
+      primary: {
+        D: [{ name: 'Katie Hobbs', polling: 72 }],
+        R: [],
+      },
+      general: [
+        { name: 'Katie Hobbs', party: 'D', polling: 47 },
+        { name: 'R Nominee', party: 'R', polling: 48 },
+      ],
+    },
+  },
+  'Arkansas': {
+    incumbent: 'Sarah Huckabee Sanders',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Sarah Huckabee Sanders', polling: 80 }],
+        D: [],
+      },
+      general: [
+        { name: 'Sarah Huckabee Sanders', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'California': {
+    incumbent: 'Gavin Newsom',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'likely-d',
+    note: 'Top-two jungle primary; fragmented D field risks two Rs advancing. 31% undecided',
+    keyIssues: ['Housing costs', 'Homelessness', 'Wildfires/climate', 'Immigration'],
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Eric Swalwell', polling: 12 },
+          { name: 'Katie Porter', polling: 11 },
+          { name: 'Tom Steyer', polling: 8 },
+          { name: 'Xavier Becerra', polling: 7 },
+        ],
+        R: [
+          { name: 'Chad Bianco', polling: 13 },
+          { name: 'Steve Hilton', polling: 12 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 55 },
+        { name: 'R Nominee', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'Colorado': {
+    incumbent: 'Jared Polis',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Phil Weiser', polling: 30 },
+          { name: 'Jena Griswold', polling: 28 },
+        ],
+        R: [
+          { name: 'Heidi Ganahl', polling: 35 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 55 },
+        { name: 'R Nominee', party: 'R', polling: 40 },
+      ],
+    },
+  },
+  'Connecticut': {
+    incumbent: 'Ned Lamont',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Ned Lamont', polling: 70 }],
+        R: [],
+      },
+      general: [
+        { name: 'Ned Lamont', party: 'D', polling: 56 },
+        { name: 'TBD', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'Florida': {
+    incumbent: 'Ron DeSantis',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'likely-r',
+    prevMargin: 'R+19.4',
+    note: 'Donalds leads with Trump endorsement and ~$50M war chest; 30-40pt lead in polls',
+    keyIssues: ['Insurance costs', 'Immigration', 'Economy', 'Education', 'Abortion'],
+    fundraising: { R: '$50M+', D: '$6.8M' },
+    endorsements: { R: ['Trump (Donalds)', 'DeSantis (Collins)'], D: ['EMILY\'s List'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Byron Donalds', polling: 39 },
+          { name: 'Jay Collins', polling: 14 },
+          { name: 'Paul Renner', polling: 8 },
+          { name: 'James Fishback', polling: 5 },
+        ],
+        D: [
+          { name: 'Nikki Fried', polling: 38 },
+          { name: 'Debbie Mucarsel-Powell', polling: 28 },
+          { name: 'Anna Eskamani', polling: 22 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 54 },
+        { name: 'D Nominee', party: 'D', polling: 42 },
+      ],
+    },
+  },
+  'Georgia': {
+    incumbent: 'Brian Kemp',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'toss-up',
+    prevMargin: 'R+7.5',
+    note: 'Both primaries fiercely contested; billionaire Rick Jackson shaking up GOP field',
+    keyIssues: ['Economy', 'Education', 'Voting rights', 'Healthcare', 'Immigration'],
+    fundraising: { R: '$50M+ (Jackson self-funding)', D: '$5.2M' },
+    endorsements: { R: ['Kemp allies (Carr)', 'MTG running'], D: ['Bottoms network'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Burt Jones', polling: 32 },
+          { name: 'Chris Carr', polling: 12 },
+          { name: 'Brad Raffensperger', polling: 15 },
+          { name: 'Rick Jackson', polling: 10 },
+        ],
+        D: [
+          { name: 'Keisha Lance Bottoms', polling: 40 },
+          { name: 'Michael Thurmond', polling: 11 },
+          { name: 'Geoff Duncan', polling: 5 },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 48 },
+        { name: 'D Nominee', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'Hawaii': {
+    incumbent: 'Josh Green',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Josh Green', polling: 68 }],
+        R: [],
+      },
+      general: [
+        { name: 'Josh Green', party: 'D', polling: 62 },
+        { name: 'TBD', party: 'R', polling: 32 },
+      ],
+    },
+  },
+  'Idaho': {
+    incumbent: 'Brad Little',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Brad Little', polling: 65 }],
+        D: [],
+      },
+      general: [
+        { name: 'Brad Little', party: 'R', polling: 64 },
+        { name: 'TBD', party: 'D', polling: 30 },
+      ],
+    },
+  },
+  'Illinois': {
+    incumbent: 'JB Pritzker',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'JB Pritzker', polling: 72 }],
+        R: [],
+      },
+      general: [
+        { name: 'JB Pritzker', party: 'D', polling: 56 },
+        { name: 'TBD', party: 'R', polling: 38 },
+      ],
+    },
+  },
+  'Iowa': {
+    incumbent: 'Kim Reynolds',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'likely-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Kim Reynolds', polling: 70 }],
+        D: [],
+      },
+      general: [
+        { name: 'Kim Reynolds', party: 'R', polling: 54 },
+        { name: 'TBD', party: 'D', polling: 42 },
+      ],
+    },
+  },
+  'Kansas': {
+    incumbent: 'Laura Kelly',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'lean-r',
+    note: 'Dem governor in red state; open seat favors R',
+    keyIssues: ['Economy', 'Education', 'Abortion rights', 'Agriculture'],
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Derek Schmidt', polling: 35 },
+          { name: 'Kris Kobach', polling: 30 },
+        ],
+        D: [
+          { name: 'Sharice Davids', polling: 40 },
+          { name: 'TBD', polling: null },
+        ],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 52 },
+        { name: 'D Nominee', party: 'D', polling: 43 },
+      ],
+    },
+  },
+  'Maine': {
+    incumbent: 'Janet Mills',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'lean-d',
+    note: 'Mills running for Senate instead; open seat',
+    keyIssues: ['Economy', 'Healthcare', 'Climate/fisheries', 'Housing costs'],
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Aaron Frey', polling: 30 },
+          { name: 'Mike Tipping', polling: 22 },
+        ],
+        R: [
+          { name: 'Paul LePage', polling: 38 },
+          { name: 'Shawn Moody', polling: 24 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 50 },
+        { name: 'R Nominee', party: 'R', polling: 44 },
+      ],
+    },
+  },
+  'Maryland': {
+    incumbent: 'Wes Moore',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Wes Moore', polling: 78 }],
+        R: [],
+      },
+      general: [
+        { name: 'Wes Moore', party: 'D', polling: 60 },
+        { name: 'TBD', party: 'R', polling: 34 },
+      ],
+    },
+  },
+  'Massachusetts': {
+    incumbent: 'Maura Healey',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Maura Healey', polling: 75 }],
+        R: [],
+      },
+      general: [
+        { name: 'Maura Healey', party: 'D', polling: 62 },
+        { name: 'TBD', party: 'R', polling: 32 },
+      ],
+    },
+  },
+  'Michigan': {
+    incumbent: 'Gretchen Whitmer',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'toss-up',
+    prevMargin: 'D+10.6',
+    note: 'Benson dominates D primary; John James leads R. Duggan running as Independent may split D vote',
+    keyIssues: ['Auto industry', 'Economy', 'Abortion rights', 'Education'],
+    fundraising: { D: '$5.8M', R: '$4.1M', I: '$5M' },
+    endorsements: { D: ['UAW', 'Whitmer'], R: ['Trump'] },
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Jocelyn Benson', polling: 59 },
+          { name: 'Chris Swanson', polling: 12 },
+        ],
+        R: [
+          { name: 'John James', polling: 45 },
+          { name: 'Aric Nesbitt', polling: 13 },
+          { name: 'Mike Cox', polling: 8 },
+        ],
+      },
+      general: [
+        { name: 'John James', party: 'R', polling: 37 },
+        { name: 'Jocelyn Benson', party: 'D', polling: 31 },
+        { name: 'Mike Duggan', party: 'I', polling: 18 },
+      ],
+    },
+  },
+  'Minnesota': {
+    incumbent: 'Tim Walz',
+    incumbentParty: 'D',
+    termLimited: false,
+    status: 'open',
+    statusDetail: 'Walz dropped out Jan 2026 amid fraud scandal',
+    rating: 'lean-d',
+    note: 'Klobuchar entered Jan 29, 2026 as clear D frontrunner; if she wins, her Senate seat opens',
+    keyIssues: ['Economy', 'Education', 'Public safety', 'Healthcare'],
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Amy Klobuchar', polling: 52 },
+        ],
+        R: [
+          { name: 'Lisa Demuth', polling: 22 },
+          { name: 'Mike Lindell', polling: 18 },
+          { name: 'Scott Jensen', polling: 15 },
+        ],
+      },
+      general: [
+        { name: 'Amy Klobuchar', party: 'D', polling: 52 },
+        { name: 'R Nominee', party: 'R', polling: 42 },
+      ],
+    },
+  },
+  'Nebraska': {
+    incumbent: 'Jim Pillen',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Jim Pillen', polling: 65 }],
+        D: [],
+      },
+      general: [
+        { name: 'Jim Pillen', party: 'R', polling: 58 },
+        { name: 'TBD', party: 'D', polling: 36 },
+      ],
+    },
+  },
+  'Nevada': {
+    incumbent: 'Joe Lombardo',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'toss-up',
+    prevMargin: 'R+1.5',
+    note: 'Key swing state',
+    keyIssues: ['Economy/tourism', 'Housing costs', 'Water/drought', 'Education'],
+    fundraising: { R: '$7.3M', D: '$4.6M' },
+    endorsements: { R: ['NRA', 'Nevada Chamber'], D: ['Culinary Union'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Joe Lombardo', polling: 72 }],
+        D: [],
+      },
+      general: [
+        { name: 'Joe Lombardo', party: 'R', polling: 48 },
+        { name: 'D Nominee', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'New Hampshire': {
+    incumbent: 'Kelly Ayotte',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'lean-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Kelly Ayotte', polling: 70 }],
+        D: [],
+      },
+      general: [
+        { name: 'Kelly Ayotte', party: 'R', polling: 50 },
+        { name: 'D Nominee', party: 'D', polling: 45 },
+      ],
+    },
+  },
+  'New Mexico': {
+    incumbent: 'Michelle Lujan Grisham',
+    incumbentParty: 'D',
+    termLimited: true,
+    status: 'open',
+    rating: 'lean-d',
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Raul Torrez', polling: 32 },
+          { name: 'Melanie Stansbury', polling: 26 },
+        ],
+        R: [
+          { name: 'Mark Ronchetti', polling: 42 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 52 },
+        { name: 'R Nominee', party: 'R', polling: 42 },
+      ],
+    },
+  },
+  'New York': {
+    incumbent: 'Kathy Hochul',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'likely-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Kathy Hochul', polling: 60 }],
+        R: [],
+      },
+      general: [
+        { name: 'Kathy Hochul', party: 'D', polling: 52 },
+        { name: 'R Nominee', party: 'R', polling: 42 },
+      ],
+    },
+  },
+  'Ohio': {
+    incumbent: 'Mike DeWine',
+    incumbentParty: 'R',
+    termLimited: true,
+    rating: 'lean-r',
+    note: 'Vivek Ramaswamy running in R primary',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Vivek Ramaswamy', polling: 32 },
+          { name: 'TBD', polling: 25 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 52 },
+        { name: 'D Nominee', party: 'D', polling: 43 },
+      ],
+    },
+  },
+  'Oklahoma': {
+    incumbent: 'Kevin Stitt',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Ryan Walters', polling: 28 },
+          { name: 'Matt Pinnell', polling: 26 },
+          { name: 'TBD', polling: null },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'Oregon': {
+    incumbent: 'Tina Kotek',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'lean-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Tina Kotek', polling: 60 }],
+        R: [],
+      },
+      general: [
+        { name: 'Tina Kotek', party: 'D', polling: 50 },
+        { name: 'R Nominee', party: 'R', polling: 44 },
+      ],
+    },
+  },
+  'Pennsylvania': {
+    incumbent: 'Josh Shapiro',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'likely-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Josh Shapiro', polling: 80 }],
+        R: [],
+      },
+      general: [
+        { name: 'Josh Shapiro', party: 'D', polling: 54 },
+        { name: 'R Nominee', party: 'R', polling: 40 },
+      ],
+    },
+  },
+  'Rhode Island': {
+    incumbent: 'Dan McKee',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'safe-d',
+    candidates: {
+      primary: {
+        D: [{ name: 'Dan McKee', polling: 55 }],
+        R: [],
+      },
+      general: [
+        { name: 'Dan McKee', party: 'D', polling: 58 },
+        { name: 'TBD', party: 'R', polling: 36 },
+      ],
+    },
+  },
+  'South Carolina': {
+    incumbent: 'Henry McMaster',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Alan Wilson', polling: 32 },
+          { name: 'Mark Hammond', polling: 22 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 58 },
+        { name: 'TBD', party: 'D', polling: 38 },
+      ],
+    },
+  },
+  'South Dakota': {
+    incumbent: 'Larry Rhoden',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'safe-r',
+    statusDetail: 'Rhoden succeeded Noem',
+    candidates: {
+      primary: {
+        R: [{ name: 'Larry Rhoden', polling: 55 }],
+        D: [],
+      },
+      general: [
+        { name: 'Larry Rhoden', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'Tennessee': {
+    incumbent: 'Bill Lee',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Andy Ogles', polling: 28 },
+          { name: 'Cameron Sexton', polling: 24 },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 62 },
+        { name: 'TBD', party: 'D', polling: 32 },
+      ],
+    },
+  },
+  'Texas': {
+    incumbent: 'Greg Abbott',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'likely-r',
+    candidates: {
+      primary: {
+        R: [{ name: 'Greg Abbott', polling: 68 }],
+        D: [],
+      },
+      general: [
+        { name: 'Greg Abbott', party: 'R', polling: 54 },
+        { name: 'D Nominee', party: 'D', polling: 42 },
+      ],
+    },
+  },
+  'Vermont': {
+    incumbent: 'Phil Scott',
+    incumbentParty: 'R',
+    termLimited: false,
+    rating: 'likely-r',
+    note: 'Popular R governor in deep blue state',
+    candidates: {
+      primary: {
+        R: [{ name: 'Phil Scott', polling: 80 }],
+        D: [],
+      },
+      general: [
+        { name: 'Phil Scott', party: 'R', polling: 56 },
+        { name: 'D Nominee', party: 'D', polling: 38 },
+      ],
+    },
+  },
+  'Wisconsin': {
+    incumbent: 'Tony Evers',
+    incumbentParty: 'D',
+    termLimited: false,
+    rating: 'toss-up',
+    prevMargin: 'D+3.4',
+    note: 'Key swing state',
+    keyIssues: ['Economy', 'Education', 'Abortion rights', 'Redistricting'],
+    fundraising: { D: '$8.9M', R: '$5.5M' },
+    endorsements: { D: ['AFL-CIO', 'WI Education Assoc.'], R: ['Trump'] },
+    candidates: {
+      primary: {
+        D: [{ name: 'Tony Evers', polling: 75 }],
+        R: [],
+      },
+      general: [
+        { name: 'Tony Evers', party: 'D', polling: 49 },
+        { name: 'R Nominee', party: 'R', polling: 47 },
+      ],
+    },
+  },
+  'Wyoming': {
+    incumbent: 'Mark Gordon',
+    incumbentParty: 'R',
+    termLimited: true,
+    status: 'open',
+    rating: 'safe-r',
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Mark Gordon Jr', polling: 30 },
+          { name: 'TBD', polling: null },
+        ],
+        D: [],
+      },
+      general: [
+        { name: 'R Nominee', party: 'R', polling: 68 },
+        { name: 'TBD', party: 'D', polling: 26 },
+      ],
+    },
+  },
+};
+
+// Competitive House district races — detailed per-district data
+// Only includes competitive/toss-up districts; safe seats are in HOUSE_FORECAST
+const HOUSE_DISTRICTS = {
+  'AZ-01': {
+    state: 'Arizona', district: 1, pvi: 'R+2',
+    incumbent: null, incumbentParty: null,
+    status: 'open', statusDetail: 'David Schweikert retired',
+    rating: 'toss-up',
+    note: 'Trump endorsed Abe Swoboda; James McCain (son of John) running as D',
+    keyIssues: ['Immigration/border', 'Water', 'Cost of living', 'Veterans'],
+    endorsements: { R: ['Trump (Swoboda)'], D: ['VoteVets (McCain)'] },
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Abe Swoboda', polling: 42 },
+          { name: 'Blake Masters', polling: 28 },
+        ],
+        D: [
+          { name: 'Amish Shah', polling: 38 },
+          { name: 'James McCain', polling: 32 },
+        ],
+      },
+      general: [
+        { name: 'Abe Swoboda', party: 'R', polling: 47 },
+        { name: 'Amish Shah', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'AZ-06': {
+    state: 'Arizona', district: 6, pvi: 'R+3',
+    incumbent: 'Juan Ciscomani', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    note: 'Ciscomani won by 5pts in 2024; Mendoza strong D recruit',
+    keyIssues: ['Immigration/border', 'Economy', 'Water', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Juan Ciscomani', polling: 78 }],
+        D: [{ name: 'JoAnna Mendoza', polling: 65 }],
+      },
+      general: [
+        { name: 'Juan Ciscomani', party: 'R', polling: 50 },
+        { name: 'JoAnna Mendoza', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'CA-13': {
+    state: 'California', district: 13, pvi: 'R+3',
+    incumbent: 'Adam Gray', incumbentParty: 'D',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Gray flipped this seat in 2024; top GOP target in CA',
+    keyIssues: ['Agriculture/water', 'Economy', 'Immigration', 'Healthcare'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Adam Gray', polling: 48 }],
+        R: [{ name: 'Kevin Lincoln', polling: 42 }],
+      },
+      general: [
+        { name: 'Adam Gray', party: 'D', polling: 48 },
+        { name: 'Kevin Lincoln', party: 'R', polling: 47 },
+      ],
+    },
+  },
+  'CA-22': {
+    state: 'California', district: 22, pvi: 'R+5',
+    incumbent: 'David Valadao', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    note: 'Valadao one of few Rs who voted to impeach Trump; survived primary challenges',
+    keyIssues: ['Agriculture/water', 'Immigration', 'Economy', 'Healthcare'],
+    candidates: {
+      primary: {
+        R: [{ name: 'David Valadao', polling: 55 }],
+        D: [{ name: 'Jasmeet Bains', polling: 58 }],
+      },
+      general: [
+        { name: 'David Valadao', party: 'R', polling: 51 },
+        { name: 'Jasmeet Bains', party: 'D', polling: 45 },
+      ],
+    },
+  },
+  'CA-27': {
+    state: 'California', district: 27, pvi: 'R+4',
+    incumbent: 'Mike Garcia', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    keyIssues: ['Economy', 'Aerospace/defense', 'Immigration', 'Wildfires'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Mike Garcia', polling: 62 }],
+        D: [{ name: 'George Whitesides', polling: 55 }],
+      },
+      general: [
+        { name: 'Mike Garcia', party: 'R', polling: 51 },
+        { name: 'George Whitesides', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'CA-45': {
+    state: 'California', district: 45, pvi: 'D+1',
+    incumbent: 'Derek Tran', incumbentParty: 'D',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Tran flipped this seat from Michelle Steel in 2024; rematch expected',
+    keyIssues: ['Economy', 'Healthcare', 'Immigration', 'Education'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Derek Tran', polling: 52 }],
+        R: [{ name: 'Michelle Steel', polling: 60 }],
+      },
+      general: [
+        { name: 'Derek Tran', party: 'D', polling: 49 },
+        { name: 'Michelle Steel', party: 'R', polling: 48 },
+      ],
+    },
+  },
+  'CO-08': {
+    state: 'Colorado', district: 8, pvi: 'D+2',
+    incumbent: 'Gabe Evans', incumbentParty: 'R',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Evans flipped this Biden+4 district in 2024; top D target',
+    keyIssues: ['Immigration', 'Cost of living', 'Oil & gas', 'Healthcare'],
+    endorsements: { D: ['DCCC priority'] },
+    candidates: {
+      primary: {
+        R: [{ name: 'Gabe Evans', polling: 72 }],
+        D: [
+          { name: 'Yadira Caraveo', polling: 38 },
+          { name: 'Manny Rutinel', polling: 32 },
+        ],
+      },
+      general: [
+        { name: 'Gabe Evans', party: 'R', polling: 48 },
+        { name: 'D Nominee', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'IA-01': {
+    state: 'Iowa', district: 1, pvi: 'R+4',
+    incumbent: 'Mariannette Miller-Meeks', incumbentParty: 'R',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Jan 2026 poll: Bohannan 43%, Miller-Meeks 39%. Rematch from 2020 6-vote margin',
+    keyIssues: ['Agriculture', 'Healthcare', 'Economy', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Mariannette Miller-Meeks', polling: 75 }],
+        D: [{ name: 'Christina Bohannan', polling: 68 }],
+      },
+      general: [
+        { name: 'Mariannette Miller-Meeks', party: 'R', polling: 39 },
+        { name: 'Christina Bohannan', party: 'D', polling: 43 },
+      ],
+    },
+  },
+  'IA-03': {
+    state: 'Iowa', district: 3, pvi: 'R+3',
+    incumbent: 'Zach Nunn', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    keyIssues: ['Agriculture', 'Economy', 'Tariffs/trade', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Zach Nunn', polling: 70 }],
+        D: [{ name: 'Lanon Baccam', polling: 60 }],
+      },
+      general: [
+        { name: 'Zach Nunn', party: 'R', polling: 50 },
+        { name: 'Lanon Baccam', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'ME-02': {
+    state: 'Maine', district: 2, pvi: 'R+6',
+    incumbent: null, incumbentParty: null,
+    status: 'open', statusDetail: 'Jared Golden did not seek re-election',
+    rating: 'lean-r',
+    note: 'LePage (former governor) leads; Baldacci name well-known in ME',
+    keyIssues: ['Economy', 'Healthcare', 'Fisheries/climate', 'Veterans'],
+    candidates: {
+      primary: {
+        R: [
+          { name: 'Paul LePage', polling: 49 },
+          { name: 'Austin Theriault', polling: 28 },
+        ],
+        D: [{ name: 'Joe Baldacci', polling: 55 }],
+      },
+      general: [
+        { name: 'Paul LePage', party: 'R', polling: 49 },
+        { name: 'Joe Baldacci', party: 'D', polling: 44 },
+      ],
+    },
+  },
+  'MI-07': {
+    state: 'Michigan', district: 7, pvi: 'R+3',
+    incumbent: 'Tom Barrett', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    keyIssues: ['Auto industry', 'Economy', 'Agriculture', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Tom Barrett', polling: 72 }],
+        D: [{ name: 'Curtis Hertel Jr', polling: 55 }],
+      },
+      general: [
+        { name: 'Tom Barrett', party: 'R', polling: 50 },
+        { name: 'Curtis Hertel Jr', party: 'D', polling: 46 },
+      ],
+    },
+  },
+  'MI-08': {
+    state: 'Michigan', district: 8, pvi: 'D+2',
+    incumbent: 'Kristen McDonald Rivet', incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    keyIssues: ['Auto industry', 'Economy', 'Healthcare', 'Education'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Kristen McDonald Rivet', polling: 70 }],
+        R: [{ name: 'Amir Hassan', polling: 55 }],
+      },
+      general: [
+        { name: 'Kristen McDonald Rivet', party: 'D', polling: 51 },
+        { name: 'Amir Hassan', party: 'R', polling: 45 },
+      ],
+    },
+  },
+  'MN-02': {
+    state: 'Minnesota', district: 2, pvi: 'D+1',
+    incumbent: null, incumbentParty: null,
+    status: 'open', statusDetail: 'Angie Craig running for Senate',
+    rating: 'toss-up',
+    keyIssues: ['Economy', 'Healthcare', 'Education', 'Public safety'],
+    candidates: {
+      primary: {
+        D: [
+          { name: 'Joe Teirab', polling: 35 },
+          { name: 'Alec Paulson', polling: 28 },
+        ],
+        R: [
+          { name: 'Tayler Rahimi', polling: 40 },
+          { name: 'Tyler Kistner', polling: 32 },
+        ],
+      },
+      general: [
+        { name: 'D Nominee', party: 'D', polling: 47 },
+        { name: 'R Nominee', party: 'R', polling: 47 },
+      ],
+    },
+  },
+  'NE-02': {
+    state: 'Nebraska', district: 2, pvi: 'EVEN',
+    incumbent: null, incumbentParty: null,
+    status: 'open', statusDetail: 'Don Bacon retired',
+    rating: 'toss-up',
+    note: 'Omaha-area blue dot in red state; Biden won this district in 2020',
+    keyIssues: ['Economy', 'Healthcare', 'Immigration', 'Education'],
+    candidates: {
+      primary: {
+        D: [{ name: 'John Cavanaugh', polling: 55 }],
+        R: [{ name: 'Brinker Harding', polling: 42 }],
+      },
+      general: [
+        { name: 'John Cavanaugh', party: 'D', polling: 49 },
+        { name: 'Brinker Harding', party: 'R', polling: 47 },
+      ],
+    },
+  },
+  'NC-01': {
+    state: 'North Carolina', district: 1, pvi: 'D+3',
+    incumbent: 'Don Davis', incumbentParty: 'D',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Redistricted from D+12 to D+3; Trump endorsed Buckhout',
+    keyIssues: ['Economy', 'Healthcare', 'Military/veterans', 'Education'],
+    endorsements: { R: ['Trump (Buckhout)'], D: ['CBC'] },
+    candidates: {
+      primary: {
+        D: [{ name: 'Don Davis', polling: 72 }],
+        R: [{ name: 'Laurie Buckhout', polling: 58 }],
+      },
+      general: [
+        { name: 'Don Davis', party: 'D', polling: 48 },
+        { name: 'Laurie Buckhout', party: 'R', polling: 47 },
+      ],
+    },
+  },
+  'NY-17': {
+    state: 'New York', district: 17, pvi: 'D+3',
+    incumbent: 'Mike Lawler', incumbentParty: 'R',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Lawler is top D target nationally; crowded D primary field',
+    keyIssues: ['Economy/taxes', 'Healthcare', 'Immigration', 'Environment'],
+    fundraising: { R: '$8.2M', D: '$5.5M' },
+    candidates: {
+      primary: {
+        R: [{ name: 'Mike Lawler', polling: 78 }],
+        D: [
+          { name: 'Mondaire Jones', polling: 32 },
+          { name: 'Liz Whitmer Gereghty', polling: 28 },
+          { name: 'TBD', polling: null },
+        ],
+      },
+      general: [
+        { name: 'Mike Lawler', party: 'R', polling: 48 },
+        { name: 'D Nominee', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'NY-19': {
+    state: 'New York', district: 19, pvi: 'D+2',
+    incumbent: 'Josh Riley', incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    note: 'Riley won in 2024; Molinaro may attempt rematch',
+    keyIssues: ['Economy', 'Agriculture', 'Healthcare', 'Infrastructure'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Josh Riley', polling: 72 }],
+        R: [{ name: 'Marc Molinaro', polling: 55 }],
+      },
+      general: [
+        { name: 'Josh Riley', party: 'D', polling: 50 },
+        { name: 'Marc Molinaro', party: 'R', polling: 46 },
+      ],
+    },
+  },
+  'OH-09': {
+    state: 'Ohio', district: 9, pvi: 'R+3',
+    incumbent: 'Marcy Kaptur', incumbentParty: 'D',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Redistricted from D+4 to R+3; Kaptur is longest-serving woman in House',
+    keyIssues: ['Manufacturing', 'Economy', 'Healthcare', 'Great Lakes/water'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Marcy Kaptur', polling: 68 }],
+        R: [
+          { name: 'Derek Merrin', polling: 42 },
+          { name: 'Craig Riedel', polling: 28 },
+        ],
+      },
+      general: [
+        { name: 'Marcy Kaptur', party: 'D', polling: 47 },
+        { name: 'Derek Merrin', party: 'R', polling: 48 },
+      ],
+    },
+  },
+  'OH-13': {
+    state: 'Ohio', district: 13, pvi: 'D+3',
+    incumbent: 'Emilia Sykes', incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    keyIssues: ['Manufacturing', 'Economy', 'Healthcare', 'Education'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Emilia Sykes', polling: 72 }],
+        R: [{ name: 'Kevin Coughlin', polling: 55 }],
+      },
+      general: [
+        { name: 'Emilia Sykes', party: 'D', polling: 51 },
+        { name: 'Kevin Coughlin', party: 'R', polling: 45 },
+      ],
+    },
+  },
+  'PA-01': {
+    state: 'Pennsylvania', district: 1, pvi: 'R+2',
+    incumbent: 'Brian Fitzpatrick', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    note: 'Fitzpatrick is a moderate R in a Biden+1 district',
+    keyIssues: ['Economy', 'Healthcare', 'Environment', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Brian Fitzpatrick', polling: 72 }],
+        D: [{ name: 'Ashley Ehasz', polling: 55 }],
+      },
+      general: [
+        { name: 'Brian Fitzpatrick', party: 'R', polling: 51 },
+        { name: 'Ashley Ehasz', party: 'D', polling: 45 },
+      ],
+    },
+  },
+  'PA-07': {
+    state: 'Pennsylvania', district: 7, pvi: 'R+2',
+    incumbent: 'Ryan Mackenzie', incumbentParty: 'R',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Mackenzie flipped this Biden+4 seat in 2024; DCCC priority',
+    keyIssues: ['Economy', 'Healthcare', 'Immigration', 'Education'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Ryan Mackenzie', polling: 70 }],
+        D: [{ name: 'Susan Wild', polling: 58 }],
+      },
+      general: [
+        { name: 'Ryan Mackenzie', party: 'R', polling: 49 },
+        { name: 'Susan Wild', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'PA-10': {
+    state: 'Pennsylvania', district: 10, pvi: 'R+6',
+    incumbent: 'Scott Perry', incumbentParty: 'R',
+    status: 'running',
+    rating: 'lean-r',
+    note: 'Perry chaired Freedom Caucus; Stelson came within 2pts in 2024',
+    keyIssues: ['Economy', 'Immigration', 'Military', 'Healthcare'],
+    candidates: {
+      primary: {
+        R: [{ name: 'Scott Perry', polling: 68 }],
+        D: [{ name: 'Janelle Stelson', polling: 62 }],
+      },
+      general: [
+        { name: 'Scott Perry', party: 'R', polling: 50 },
+        { name: 'Janelle Stelson', party: 'D', polling: 47 },
+      ],
+    },
+  },
+  'TX-28': {
+    state: 'Texas', district: 28, pvi: 'D+5',
+    incumbent: 'Henry Cuellar', incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    note: 'Cuellar is conservative D; GOP targets him every cycle',
+    keyIssues: ['Immigration/border', 'Energy', 'Economy', 'Trade'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Henry Cuellar', polling: 55 }],
+        R: [{ name: 'Tano Tijerina', polling: 45 }],
+      },
+      general: [
+        { name: 'Henry Cuellar', party: 'D', polling: 52 },
+        { name: 'Tano Tijerina', party: 'R', polling: 44 },
+      ],
+    },
+  },
+  'TX-34': {
+    state: 'Texas', district: 34, pvi: 'D+7',
+    incumbent: 'Vicente Gonzalez', incumbentParty: 'D',
+    status: 'running',
+    rating: 'lean-d',
+    note: 'Redistricted; Flores attempted to flip in 2022 special but lost general',
+    keyIssues: ['Immigration/border', 'Economy', 'Healthcare', 'Trade'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Vicente Gonzalez', polling: 62 }],
+        R: [{ name: 'Mayra Flores', polling: 58 }],
+      },
+      general: [
+        { name: 'Vicente Gonzalez', party: 'D', polling: 52 },
+        { name: 'Mayra Flores', party: 'R', polling: 44 },
+      ],
+    },
+  },
+  'WA-03': {
+    state: 'Washington', district: 3, pvi: 'R+5',
+    incumbent: 'Marie Gluesenkamp Perez', incumbentParty: 'D',
+    status: 'running',
+    rating: 'toss-up',
+    note: 'Gluesenkamp Perez is a blue-collar D in deep-red turf; top R target',
+    keyIssues: ['Economy', 'Trade/tariffs', 'Timber/environment', 'Healthcare'],
+    candidates: {
+      primary: {
+        D: [{ name: 'Marie Gluesenkamp Perez', polling: 68 }],
+        R: [
+          { name: 'John Braun', polling: 38 },
+          { name: 'Joe Kent', polling: 30 },
+        ],
+      },
+      general: [
+        { name: 'Marie Gluesenkamp Perez', party: 'D', polling: 48 },
+        { name: 'John Braun', party: 'R', polling: 47 },
+      ],
+    },
+  },
+};
+
+// Redistricting status by state — court cases, status, and impact on House
+const REDISTRICTING = {
+  'Texas': {
+    status: 'new-map',
+    statusLabel: 'New Map in Effect',
+    mapDrawnBy: 'R Legislature',
+    impact: 'R+5 target',
+    note: 'SCOTUS allowed new R-drawn map 6-3; eliminates 5 D-held seats',
+    courtCases: [
+      {
+        name: 'LULAC v. Abbott',
+        court: 'U.S. Supreme Court',
+        status: 'decided',
+        date: '2025-12-15',
+        summary: 'SCOTUS allowed Texas to implement new congressional map; VRA Section 2 challenge rejected 6-3',
+      },
+    ],
+  },
+  'Alabama': {
+    status: 'settled',
+    statusLabel: 'Map Settled',
+    mapDrawnBy: 'Court-Ordered',
+    impact: 'D+1 (new majority-minority district)',
+    note: 'Allen v. Milligan landmark VRA case settled; 2nd majority-Black district created',
+    courtCases: [
+      {
+        name: 'Allen v. Milligan',
+        court: 'U.S. Supreme Court',
+        status: 'decided',
+        date: '2023-06-08',
+        summary: 'SCOTUS upheld VRA Section 2; ordered 2nd majority-minority district',
+      },
+      {
+        name: 'Stone v. Allen',
+        court: '11th Circuit',
+        status: 'pending',
+        date: null,
+        summary: 'State senate redistricting challenge; appeal pending',
+      },
+    ],
+  },
+  'Louisiana': {
+    status: 'litigation',
+    statusLabel: 'Active Litigation',
+    mapDrawnBy: 'Court-Ordered',
+    impact: 'Potentially D+1',
+    note: 'Most consequential VRA case of 2026; SCOTUS decision expected June 2026',
+    courtCases: [
+      {
+        name: 'Louisiana v. Callais',
+        court: 'U.S. Supreme Court',
+        status: 'pending',
+        date: '2026-06-01',
+        summary: 'Challenge to court-ordered 2nd majority-Black district; could reshape VRA precedent nationwide',
+      },
+    ],
+  },
+  'New York': {
+    status: 'litigation',
+    statusLabel: 'Partial Redraw',
+    mapDrawnBy: 'Bipartisan Commission',
+    impact: 'D+1 potential',
+    note: 'CD-11 (Staten Island) ordered redrawn by state court; appeal pending',
+    courtCases: [
+      {
+        name: 'NY CD-11 Challenge',
+        court: 'NY Court of Appeals',
+        status: 'pending',
+        date: null,
+        summary: 'State court ordered CD-11 redrawn for 2026; may shift SI district from Safe R to Lean R',
+      },
+    ],
+  },
+  'North Carolina': {
+    status: 'new-map',
+    statusLabel: 'New R Map',
+    mapDrawnBy: 'R Legislature',
+    impact: 'R+3 (reduced D seats)',
+    note: 'R-drawn map in effect since 2024; CD-1 targeted from D+12 to D+3',
+    courtCases: [
+      {
+        name: 'Harper v. Hall',
+        court: 'NC Supreme Court',
+        status: 'decided',
+        date: '2023-04-28',
+        summary: 'R-majority NC Supreme Court reversed prior ruling; allowed partisan gerrymander',
+      },
+    ],
+  },
+  'Ohio': {
+    status: 'new-map',
+    statusLabel: 'New Bipartisan Map',
+    mapDrawnBy: 'Bipartisan Commission',
+    impact: 'D+1-2 vs old map',
+    note: 'Voter-approved bipartisan commission drew new map for 2026; OH-09 shifted to Toss-Up',
+    courtCases: [
+      {
+        name: 'League of Women Voters v. Ohio',
+        court: 'Ohio Supreme Court',
+        status: 'decided',
+        date: '2024-03-15',
+        summary: 'Court upheld new bipartisan redistricting commission process',
+      },
+    ],
+  },
+  'Florida': {
+    status: 'pending',
+    statusLabel: 'Possible Redraw',
+    mapDrawnBy: 'R Legislature',
+    impact: 'Uncertain',
+    note: 'DeSantis plans special session April 2026 to redraw maps; could target D seats',
+    courtCases: [
+      {
+        name: "Cubanos Pa'Lante v. Florida",
+        court: 'FL Supreme Court',
+        status: 'pending',
+        date: null,
+        summary: 'Challenge to DeSantis-drawn congressional map; Fair Districts amendment claims',
+      },
+    ],
+  },
+  'Georgia': {
+    status: 'litigation',
+    statusLabel: 'Active Litigation',
+    mapDrawnBy: 'R Legislature',
+    impact: 'Potentially D+1',
+    note: 'VRA challenge to congressional and legislative maps at 11th Circuit',
+    courtCases: [
+      {
+        name: 'Pendergrass v. Raffensperger',
+        court: '11th Circuit',
+        status: 'pending',
+        date: null,
+        summary: 'VRA Section 2 challenge seeking additional majority-minority districts',
+      },
+    ],
+  },
+  'South Carolina': {
+    status: 'settled',
+    statusLabel: 'Map Upheld',
+    mapDrawnBy: 'R Legislature',
+    impact: 'Neutral',
+    note: 'SCOTUS ruled in favor of R-drawn map; racial gerrymandering claim rejected',
+    courtCases: [
+      {
+        name: 'Alexander v. SC NAACP',
+        court: 'U.S. Supreme Court',
+        status: 'decided',
+        date: '2024-05-23',
+        summary: 'SCOTUS reversed lower court; ruled CD-1 map was partisan not racial gerrymander',
+      },
+    ],
+  },
+  'California': {
+    status: 'settled',
+    statusLabel: 'Maps Upheld',
+    mapDrawnBy: 'Independent Commission',
+    impact: 'Neutral',
+    note: 'Prop 50 citizen-drawn maps upheld by SCOTUS Feb 4, 2026',
+    courtCases: [
+      {
+        name: 'CA Prop 50 Challenge',
+        court: 'U.S. Supreme Court',
+        status: 'decided',
+        date: '2026-02-04',
+        summary: 'SCOTUS upheld independent commission redistricting maps',
+      },
+    ],
+  },
+  'Missouri': {
+    status: 'litigation',
+    statusLabel: 'Active Litigation',
+    mapDrawnBy: 'R Legislature',
+    impact: 'Potentially D+1',
+    note: 'HB 1 map veto referendum litigation; ruling imminent',
+    courtCases: [
+      {
+        name: 'MO HB 1 Map Challenge',
+        court: 'MO Supreme Court',
+        status: 'pending',
+        date: null,
+        summary: 'Challenge to R-drawn HB 1 congressional map; veto referendum dispute',
+      },
+    ],
+  },
+  'Utah': {
+    status: 'new-map',
+    statusLabel: 'Court-Ordered Map',
+    mapDrawnBy: 'Court-Ordered',
+    impact: 'D+1 potential',
+    note: 'Court ordered fair map after voters passed redistricting reform; federal challenge pending',
+    courtCases: [
+      {
+        name: 'League of Women Voters v. Utah',
+        court: 'Utah Supreme Court',
+        status: 'decided',
+        date: '2024-12-10',
+        summary: 'Court ruled legislature violated voter-approved redistricting reform',
+      },
+    ],
+  },
+  'Virginia': {
+    status: 'settled',
+    statusLabel: 'Map Stable',
+    mapDrawnBy: 'Court-Drawn (2022)',
+    impact: 'Neutral',
+    note: 'Constitutional amendment for independent commission was blocked by court',
+    courtCases: [],
+  },
+};
+
+// Aggregated House forecast by state
+// Shows number of competitive districts and overall state delegation lean
+const HOUSE_FORECAST = {
+  'Alabama': { total: 7, safeR: 6, safeD: 1, competitive: 0, lean: 'R+6' },
+  'Alaska': { total: 1, safeR: 0, safeD: 0, competitive: 1, lean: 'Lean R', tossUpDistricts: ['AL-Large'] },
+  'Arizona': { total: 9, safeR: 4, safeD: 3, competitive: 2, lean: 'R+1', tossUpDistricts: ['AZ-01', 'AZ-06'] },
+  'Arkansas': { total: 4, safeR: 4, safeD: 0, competitive: 0, lean: 'R+4' },
+  'California': { total: 52, safeR: 12, safeD: 36, competitive: 4, lean: 'D+24', tossUpDistricts: ['CA-13', 'CA-22', 'CA-27', 'CA-45'] },
+  'Colorado': { total: 8, safeR: 3, safeD: 4, competitive: 1, lean: 'D+1', tossUpDistricts: ['CO-08'] },
+  'Connecticut': { total: 5, safeR: 0, safeD: 5, competitive: 0, lean: 'D+5' },
+  'Delaware': { total: 1, safeR: 0, safeD: 1, competitive: 0, lean: 'D+1' },
+  'Florida': { total: 28, safeR: 18, safeD: 10, competitive: 0, lean: 'R+8' },
+  'Georgia': { total: 14, safeR: 8, safeD: 5, competitive: 1, lean: 'R+3' },
+  'Hawaii': { total: 2, safeR: 0, safeD: 2, competitive: 0, lean: 'D+2' },
+  'Idaho': { total: 2, safeR: 2, safeD: 0, competitive: 0, lean: 'R+2' },
+  'Illinois': { total: 17, safeR: 5, safeD: 12, competitive: 0, lean: 'D+7' },
+  'Indiana': { total: 9, safeR: 7, safeD: 2, competitive: 0, lean: 'R+5' },
+  'Iowa': { total: 4, safeR: 1, safeD: 1, competitive: 2, lean: 'Even', tossUpDistricts: ['IA-01', 'IA-03'] },
+  'Kansas': { total: 4, safeR: 3, safeD: 1, competitive: 0, lean: 'R+2' },
+  'Kentucky': { total: 6, safeR: 5, safeD: 1, competitive: 0, lean: 'R+4' },
+  'Louisiana': { total: 6, safeR: 5, safeD: 1, competitive: 0, lean: 'R+4' },
+  'Maine': { total: 2, safeR: 0, safeD: 1, competitive: 1, lean: 'D+1', tossUpDistricts: ['ME-02'] },
+  'Maryland': { total: 8, safeR: 1, safeD: 7, competitive: 0, lean: 'D+6' },
+  'Massachusetts': { total: 9, safeR: 0, safeD: 9, competitive: 0, lean: 'D+9' },
+  'Michigan': { total: 13, safeR: 5, safeD: 6, competitive: 2, lean: 'D+1', tossUpDistricts: ['MI-07', 'MI-08'] },
+  'Minnesota': { total: 8, safeR: 3, safeD: 4, competitive: 1, lean: 'D+1' },
+  'Mississippi': { total: 4, safeR: 3, safeD: 1, competitive: 0, lean: 'R+2' },
+  'Missouri': { total: 8, safeR: 6, safeD: 2, competitive: 0, lean: 'R+4' },
+  'Montana': { total: 2, safeR: 2, safeD: 0, competitive: 0, lean: 'R+2' },
+  'Nebraska': { total: 3, safeR: 2, safeD: 0, competitive: 1, lean: 'R+1', tossUpDistricts: ['NE-02'] },
+  'Nevada': { total: 4, safeR: 1, safeD: 3, competitive: 0, lean: 'D+2' },
+  'New Hampshire': { total: 2, safeR: 0, safeD: 2, competitive: 0, lean: 'D+2' },
+  'New Jersey': { total: 12, safeR: 4, safeD: 8, competitive: 0, lean: 'D+4' },
+  'New Mexico': { total: 3, safeR: 1, safeD: 2, competitive: 0, lean: 'D+1' },
+  'New York': { total: 26, safeR: 9, safeD: 15, competitive: 2, lean: 'D+6', tossUpDistricts: ['NY-17', 'NY-19'] },
+  'North Carolina': { total: 14, safeR: 8, safeD: 5, competitive: 1, lean: 'R+3', tossUpDistricts: ['NC-01'] },
+  'North Dakota': { total: 1, safeR: 1, safeD: 0, competitive: 0, lean: 'R+1' },
+  'Ohio': { total: 15, safeR: 9, safeD: 4, competitive: 2, lean: 'R+5', tossUpDistricts: ['OH-09', 'OH-13'] },
+  'Oklahoma': { total: 5, safeR: 5, safeD: 0, competitive: 0, lean: 'R+5' },
+  'Oregon': { total: 6, safeR: 2, safeD: 4, competitive: 0, lean: 'D+2' },
+  'Pennsylvania': { total: 17, safeR: 6, safeD: 8, competitive: 3, lean: 'D+2', tossUpDistricts: ['PA-01', 'PA-07', 'PA-10'] },
+  'Rhode Island': { total: 2, safeR: 0, safeD: 2, competitive: 0, lean: 'D+2' },
+  'South Carolina': { total: 7, safeR: 6, safeD: 1, competitive: 0, lean: 'R+5' },
+  'South Dakota': { total: 1, safeR: 1, safeD: 0, competitive: 0, lean: 'R+1' },
+  'Tennessee': { total: 9, safeR: 7, safeD: 2, competitive: 0, lean: 'R+5' },
+  'Texas': { total: 38, safeR: 22, safeD: 14, competitive: 2, lean: 'R+8', tossUpDistricts: ['TX-34', 'TX-28'] },
+  'Utah': { total: 4, safeR: 4, safeD: 0, competitive: 0, lean: 'R+4' },
+  'Vermont': { total: 1, safeR: 0, safeD: 1, competitive: 0, lean: 'D+1' },
+  'Virginia': { total: 11, safeR: 4, safeD: 7, competitive: 0, lean: 'D+3' },
+  'Washington': { total: 10, safeR: 3, safeD: 6, competitive: 1, lean: 'D+3', tossUpDistricts: ['WA-03'] },
+  'West Virginia': { total: 2, safeR: 2, safeD: 0, competitive: 0, lean: 'R+2' },
+  'Wisconsin': { total: 8, safeR: 4, safeD: 4, competitive: 0, lean: 'Even' },
+  'Wyoming': { total: 1, safeR: 1, safeD: 0, competitive: 0, lean: 'R+1' },
+};
+
+// National overview data
+const NATIONAL_OVERVIEW = {
+  senate: {
+    current: { R: 53, D: 47 },
+    seatsUp: 35,
+    dNeedForMajority: 4,
+    genericBallot: { D: 52, R: 46 },
+  },
+  house: {
+    current: { R: 218, D: 214, vacant: 3 },
+    dNeedForMajority: 3,
+    totalTossUps: 18,
+    rTossUps: 14,
+    dTossUps: 4,
+    genericBallot: { D: 52, R: 46 },
+  },
+  trumpApproval: {
+    approve: 41,
+    disapprove: 54,
+    net: -13,
+  },
+  voterMotivation: {
+    overall: 76,
+    democratic: 82,
+    republican: 76,
+    independent: 61,
+  },
+};
+
+export default {
+  updatedAt: DATA_LAST_UPDATED,
+  tables: {
+    senateRaces: SENATE_RACES,
+    governorRaces: GOVERNOR_RACES,
+    houseDistricts: HOUSE_DISTRICTS,
+    houseForecast: HOUSE_FORECAST,
+    redistricting: REDISTRICTING,
+    statePvi: STATE_PVI,
+    primaryDates: PRIMARY_DATES,
+    meta: { generalElectionDate: GENERAL_ELECTION_DATE, national: NATIONAL_OVERVIEW },
+  },
+};
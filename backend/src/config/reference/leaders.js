@@ -0,0 +1,781 @@
+/**
+ * Leader Approval Rating Data
+ * Historical approve/disapprove polling data, election dates, and political context.
+ * Sources: aggregate polling averages (FiveThirtyEight, Morning Consult, IFOP, Infratest dimap, etc.)
+ *
+ * Seed for the `leaders` reference dataset (see referenceData.service.js).
+ */
+
+const LEADER_APPROVAL = {
+  'United States': {
+    lastElection: '2024-11-05',
+    nextElection: '2028-11-03',
+    party: 'Republican',
+    termNumber: 2,
+    termLimit: 2,
+    inaugurated: '2025-01-20',
+    governmentType: 'Federal presidential republic',
+    approvalHistory: [
+      { date: '2025-02', approve: 48, disapprove: 47 },
+      { date: '2025-03', approve: 46, disapprove: 49 },
+      { date: '2025-04', approve: 45, disapprove: 50 },
+      { date: '2025-05', approve: 44, disapprove: 51 },
+      { date: '2025-06', approve: 43, disapprove: 52 },
+      { date: '2025-07', approve: 44, disapprove: 51 },
+      { date: '2025-08', approve: 43, disapprove: 52 },
+      { date: '2025-09', approve: 42, disapprove: 53 },
+      { date: '2025-10', approve: 41, disapprove: 54 },
+      { date: '2025-11', approve: 42, disapprove: 53 },
+      { date: '2025-12', approve: 43, disapprove: 52 },
+      { date: '2026-01', approve: 42, disapprove: 53 },
+      { date: '2026-02', approve: 41, disapprove: 54 },
+    ],
+  },
+  'United Kingdom': {
+    lastElection: '2024-07-04',
+    nextElection: '2029-07-04',
+    party: 'Labour',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2024-07-05',
+    governmentType: 'Parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2024-08', approve: 36, disapprove: 27 },
+      { date: '2024-09', approve: 31, disapprove: 36 },
+      { date: '2024-10', approve: 28, disapprove: 42 },
+      { date: '2024-11', approve: 26, disapprove: 46 },
+      { date: '2024-12', approve: 24, disapprove: 50 },
+      { date: '2025-01', approve: 23, disapprove: 52 },
+      { date: '2025-02', approve: 22, disapprove: 54 },
+      { date: '2025-03', approve: 23, disapprove: 53 },
+      { date: '2025-04', approve: 24, disapprove: 52 },
+      { date: '2025-05', approve: 25, disapprove: 51 },
+      { date: '2025-06', approve: 24, disapprove: 52 },
+      { date: '2025-07', approve: 23, disapprove: 54 },
+      { date: '2025-08', approve: 24, disapprove: 53 },
+      { date: '2025-09', approve: 25, disapprove: 52 },
+      { date: '2025-10', approve: 24, disapprove: 53 },
+      { date: '2025-11', approve: 25, disapprove: 52 },
+      { date: '2025-12', approve: 26, disapprove: 51 },
+      { date: '2026-01', approve: 25, disapprove: 52 },
+      { date: '2026-02', approve: 24, disapprove: 53 },
+    ],
+  },
+  'France': {
+    lastElection: '2022-04-24',
+    nextElection: '2027-04-10',
+    party: 'Renaissance (LREM)',
+    termNumber: 2,
+    termLimit: 2,
+    inaugurated: '2022-05-07',
+    governmentType: 'Semi-presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 27, disapprove: 66 },
+      { date: '2024-08', approve: 26, disapprove: 67 },
+      { date: '2024-09', approve: 25, disapprove: 68 },
+      { date: '2024-10', approve: 24, disapprove: 69 },
+      { date: '2024-11', approve: 23, disapprove: 70 },
+      { date: '2024-12', approve: 22, disapprove: 71 },
+      { date: '2025-01', approve: 23, disapprove: 70 },
+      { date: '2025-02', approve: 22, disapprove: 71 },
+      { date: '2025-03', approve: 23, disapprove: 70 },
+      { date: '2025-04', approve: 24, disapprove: 69 },
+      { date: '2025-05', approve: 23, disapprove: 70 },
+      { date: '2025-06', approve: 22, disapprove: 71 },
+      { date: '2025-07', approve: 23, disapprove: 70 },
+      { date: '2025-08', approve: 24, disapprove: 69 },
+      { date: '2025-09', approve: 23, disapprove: 70 },
+      { date: '2025-10', approve: 22, disapprove: 71 },
+      { date: '2025-11', approve: 23, disapprove: 70 },
+      { date: '2025-12', approve: 24, disapprove: 69 },
+      { date: '2026-01', approve: 23, disapprove: 70 },
+      { date: '2026-02', approve: 22, disapprove: 71 },
+    ],
+  },
+  'Germany': {
+    lastElection: '2025-02-23',
+    nextElection: '2029-09-01',
+    party: 'CDU/CSU',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2025-05-06',
+    governmentType: 'Federal parliamentary republic',
+    approvalHistory: [
+      { date: '2025-05', approve: 52, disapprove: 30 },
+      { date: '2025-06', approve: 48, disapprove: 34 },
+      { date: '2025-07', approve: 45, disapprove: 37 },
+      { date: '2025-08', approve: 43, disapprove: 39 },
+      { date: '2025-09', approve: 42, disapprove: 40 },
+      { date: '2025-10', approve: 40, disapprove: 42 },
+      { date: '2025-11', approve: 41, disapprove: 41 },
+      { date: '2025-12', approve: 39, disapprove: 43 },
+      { date: '2026-01', approve: 38, disapprove: 44 },
+      { date: '2026-02', approve: 37, disapprove: 45 },
+    ],
+  },
+  'Canada': {
+    lastElection: '2025-04-28',
+    nextElection: '2029-10-20',
+    party: 'Liberal',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2025-04-29',
+    governmentType: 'Federal parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2025-05', approve: 46, disapprove: 38 },
+      { date: '2025-06', approve: 44, disapprove: 40 },
+      { date: '2025-07', approve: 42, disapprove: 41 },
+      { date: '2025-08', approve: 41, disapprove: 43 },
+      { date: '2025-09', approve: 40, disapprove: 44 },
+      { date: '2025-10', approve: 39, disapprove: 45 },
+      { date: '2025-11', approve: 38, disapprove: 46 },
+      { date: '2025-12', approve: 39, disapprove: 45 },
+      { date: '2026-01', approve: 38, disapprove: 46 },
+      { date: '2026-02', approve: 37, disapprove: 47 },
+    ],
+  },
+  'Japan': {
+    lastElection: '2026-02-08',
+    nextElection: '2029-10-21',
+    party: 'Liberal Democratic Party',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2025-10-21',
+    governmentType: 'Parliamentary constitutional monarchy',
+    note: 'First female PM. Won Feb 2026 snap election with LDP supermajority (316/465 seats).',
+    approvalHistory: [
+      { date: '2025-10', approve: 52, disapprove: 28 },
+      { date: '2025-11', approve: 55, disapprove: 26 },
+      { date: '2025-12', approve: 54, disapprove: 27 },
+      { date: '2026-01', approve: 56, disapprove: 25 },
+      { date: '2026-02', approve: 60, disapprove: 22 },
+    ],
+  },
+  'India': {
+    lastElection: '2024-06-04',
+    nextElection: '2029-05-01',
+    party: 'BJP',
+    termNumber: 3,
+    termLimit: null,
+    inaugurated: '2024-06-09',
+    governmentType: 'Federal parliamentary republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 65, disapprove: 25 },
+      { date: '2024-08', approve: 64, disapprove: 26 },
+      { date: '2024-09', approve: 63, disapprove: 27 },
+      { date: '2024-10', approve: 64, disapprove: 26 },
+      { date: '2024-11', approve: 65, disapprove: 25 },
+      { date: '2024-12', approve: 66, disapprove: 24 },
+      { date: '2025-01', approve: 65, disapprove: 25 },
+      { date: '2025-02', approve: 64, disapprove: 26 },
+      { date: '2025-03', approve: 63, disapprove: 27 },
+      { date: '2025-04', approve: 64, disapprove: 26 },
+      { date: '2025-05', approve: 65, disapprove: 25 },
+      { date: '2025-06', approve: 66, disapprove: 24 },
+      { date: '2025-07', approve: 67, disapprove: 23 },
+      { date: '2025-08', approve: 66, disapprove: 24 },
+      { date: '2025-09', approve: 65, disapprove: 25 },
+      { date: '2025-10', approve: 64, disapprove: 26 },
+      { date: '2025-11', approve: 65, disapprove: 25 },
+      { date: '2025-12', approve: 66, disapprove: 24 },
+      { date: '2026-01', approve: 65, disapprove: 25 },
+      { date: '2026-02', approve: 64, disapprove: 26 },
+    ],
+  },
+  'Brazil': {
+    lastElection: '2022-10-30',
+    nextElection: '2026-10-04',
+    party: 'PT (Workers\' Party)',
+    termNumber: 3,
+    termLimit: 2,
+    inaugurated: '2023-01-01',
+    governmentType: 'Federal presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 35, disapprove: 38 },
+      { date: '2024-08', approve: 34, disapprove: 39 },
+      { date: '2024-09', approve: 33, disapprove: 40 },
+      { date: '2024-10', approve: 32, disapprove: 41 },
+      { date: '2024-11', approve: 31, disapprove: 42 },
+      { date: '2024-12', approve: 30, disapprove: 43 },
+      { date: '2025-01', approve: 29, disapprove: 44 },
+      { date: '2025-02', approve: 28, disapprove: 45 },
+      { date: '2025-03', approve: 29, disapprove: 44 },
+      { date: '2025-04', approve: 30, disapprove: 43 },
+      { date: '2025-05', approve: 29, disapprove: 44 },
+      { date: '2025-06', approve: 28, disapprove: 45 },
+      { date: '2025-07', approve: 27, disapprove: 46 },
+      { date: '2025-08', approve: 28, disapprove: 45 },
+      { date: '2025-09', approve: 29, disapprove: 44 },
+      { date: '2025-10', approve: 28, disapprove: 45 },
+      { date: '2025-11', approve: 27, disapprove: 46 },
+      { date: '2025-12', approve: 28, disapprove: 45 },
+      { date: '2026-01', approve: 27, disapprove: 46 },
+      { date: '2026-02', approve: 26, disapprove: 47 },
+    ],
+  },
+  'Australia': {
+    lastElection: '2025-05-03',
+    nextElection: '2028-05-01',
+    party: 'Labor',
+    termNumber: 2,
+    termLimit: null,
+    inaugurated: '2025-05-04',
+    governmentType: 'Federal parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2025-06', approve: 48, disapprove: 36 },
+      { date: '2025-07', approve: 46, disapprove: 38 },
+      { date: '2025-08', approve: 44, disapprove: 40 },
+      { date: '2025-09', approve: 43, disapprove: 41 },
+      { date: '2025-10', approve: 42, disapprove: 42 },
+      { date: '2025-11', approve: 41, disapprove: 43 },
+      { date: '2025-12', approve: 40, disapprove: 44 },
+      { date: '2026-01', approve: 39, disapprove: 45 },
+      { date: '2026-02', approve: 38, disapprove: 46 },
+    ],
+  },
+  'Italy': {
+    lastElection: '2022-09-25',
+    nextElection: '2027-09-25',
+    party: 'Fratelli d\'Italia',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2022-10-22',
+    governmentType: 'Parliamentary republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 42, disapprove: 44 },
+      { date: '2024-08', approve: 41, disapprove: 45 },
+      { date: '2024-09', approve: 40, disapprove: 46 },
+      { date: '2024-10', approve: 41, disapprove: 45 },
+      { date: '2024-11', approve: 40, disapprove: 46 },
+      { date: '2024-12', approve: 39, disapprove: 47 },
+      { date: '2025-01', approve: 40, disapprove: 46 },
+      { date: '2025-02', approve: 41, disapprove: 45 },
+      { date: '2025-03', approve: 40, disapprove: 46 },
+      { date: '2025-04', approve: 39, disapprove: 47 },
+      { date: '2025-05', approve: 38, disapprove: 48 },
+      { date: '2025-06', approve: 39, disapprove: 47 },
+      { date: '2025-07', approve: 40, disapprove: 46 },
+      { date: '2025-08', approve: 39, disapprove: 47 },
+      { date: '2025-09', approve: 38, disapprove: 48 },
+      { date: '2025-10', approve: 37, disapprove: 49 },
+      { date: '2025-11', approve: 38, disapprove: 48 },
+      { date: '2025-12', approve: 39, disapprove: 47 },
+      { date: '2026-01', approve: 38, disapprove: 48 },
+      { date: '2026-02', approve: 37, disapprove: 49 },
+    ],
+  },
+  'Mexico': {
+    lastElection: '2024-06-02',
+    nextElection: '2030-06-02',
+    party: 'Morena',
+    termNumber: 1,
+    termLimit: 1,
+    inaugurated: '2024-10-01',
+    governmentType: 'Federal presidential republic',
+    approvalHistory: [
+      { date: '2024-11', approve: 58, disapprove: 28 },
+      { date: '2024-12', approve: 56, disapprove: 30 },
+      { date: '2025-01', approve: 55, disapprove: 31 },
+      { date: '2025-02', approve: 54, disapprove: 32 },
+      { date: '2025-03', approve: 53, disapprove: 33 },
+      { date: '2025-04', approve: 52, disapprove: 34 },
+      { date: '2025-05', approve: 51, disapprove: 35 },
+      { date: '2025-06', approve: 50, disapprove: 36 },
+      { date: '2025-07', approve: 49, disapprove: 37 },
+      { date: '2025-08', approve: 50, disapprove: 36 },
+      { date: '2025-09', approve: 49, disapprove: 37 },
+      { date: '2025-10', approve: 48, disapprove: 38 },
+      { date: '2025-11', approve: 47, disapprove: 39 },
+      { date: '2025-12', approve: 48, disapprove: 38 },
+      { date: '2026-01', approve: 47, disapprove: 39 },
+      { date: '2026-02', approve: 46, disapprove: 40 },
+    ],
+  },
+  'South Korea': {
+    lastElection: '2025-06-03',
+    nextElection: '2030-06-03',
+    party: 'Democratic Party',
+    termNumber: 1,
+    termLimit: 1,
+    inaugurated: '2025-06-04',
+    governmentType: 'Presidential republic',
+    note: 'Elected after Yoon impeachment upheld Apr 2025. Won snap election Jun 2025 with record 17.28M votes.',
+    approvalHistory: [
+      { date: '2025-06', approve: 62, disapprove: 22 },
+      { date: '2025-07', approve: 58, disapprove: 26 },
+      { date: '2025-08', approve: 55, disapprove: 29 },
+      { date: '2025-09', approve: 52, disapprove: 32 },
+      { date: '2025-10', approve: 50, disapprove: 34 },
+      { date: '2025-11', approve: 48, disapprove: 36 },
+      { date: '2025-12', approve: 46, disapprove: 38 },
+      { date: '2026-01', approve: 45, disapprove: 39 },
+      { date: '2026-02', approve: 44, disapprove: 40 },
+    ],
+  },
+  'Turkey': {
+    lastElection: '2023-05-28',
+    nextElection: '2028-06-18',
+    party: 'AKP',
+    termNumber: 3,
+    termLimit: 2,
+    inaugurated: '2023-06-03',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 42, disapprove: 48 },
+      { date: '2024-09', approve: 40, disapprove: 50 },
+      { date: '2024-11', approve: 39, disapprove: 51 },
+      { date: '2025-01', approve: 38, disapprove: 52 },
+      { date: '2025-03', approve: 37, disapprove: 53 },
+      { date: '2025-05', approve: 36, disapprove: 54 },
+      { date: '2025-07', approve: 37, disapprove: 53 },
+      { date: '2025-09', approve: 36, disapprove: 54 },
+      { date: '2025-11', approve: 35, disapprove: 55 },
+      { date: '2026-01', approve: 34, disapprove: 56 },
+      { date: '2026-02', approve: 34, disapprove: 56 },
+    ],
+  },
+  'Poland': {
+    lastElection: '2023-10-15',
+    nextElection: '2025-05-18',
+    party: 'Civic Platform',
+    termNumber: 3,
+    termLimit: null,
+    inaugurated: '2023-12-13',
+    governmentType: 'Parliamentary republic',
+    note: 'Presidential election May 2025',
+    approvalHistory: [
+      { date: '2024-07', approve: 44, disapprove: 38 },
+      { date: '2024-09', approve: 42, disapprove: 40 },
+      { date: '2024-11', approve: 40, disapprove: 42 },
+      { date: '2025-01', approve: 39, disapprove: 43 },
+      { date: '2025-03', approve: 38, disapprove: 44 },
+      { date: '2025-05', approve: 39, disapprove: 43 },
+      { date: '2025-07', approve: 38, disapprove: 44 },
+      { date: '2025-09', approve: 37, disapprove: 45 },
+      { date: '2025-11', approve: 38, disapprove: 44 },
+      { date: '2026-01', approve: 37, disapprove: 45 },
+      { date: '2026-02', approve: 36, disapprove: 46 },
+    ],
+  },
+  'Ukraine': {
+    lastElection: '2019-04-21',
+    nextElection: null,
+    party: 'Servant of the People',
+    termNumber: 1,
+    termLimit: 2,
+    inaugurated: '2019-05-20',
+    governmentType: 'Semi-presidential republic',
+    note: 'Elections suspended under martial law due to ongoing Russian invasion',
+    approvalHistory: [
+      { date: '2024-07', approve: 59, disapprove: 31 },
+      { date: '2024-09', approve: 57, disapprove: 33 },
+      { date: '2024-11', approve: 55, disapprove: 35 },
+      { date: '2025-01', approve: 54, disapprove: 36 },
+      { date: '2025-03', approve: 52, disapprove: 38 },
+      { date: '2025-05', approve: 53, disapprove: 37 },
+      { date: '2025-07', approve: 51, disapprove: 39 },
+      { date: '2025-09', approve: 50, disapprove: 40 },
+      { date: '2025-11', approve: 49, disapprove: 41 },
+      { date: '2026-01', approve: 48, disapprove: 42 },
+      { date: '2026-02', approve: 47, disapprove: 43 },
+    ],
+  },
+  'Argentina': {
+    lastElection: '2023-11-19',
+    nextElection: '2025-10-26',
+    party: 'La Libertad Avanza',
+    termNumber: 1,
+    termLimit: 2,
+    inaugurated: '2023-12-10',
+    governmentType: 'Federal presidential republic',
+    note: 'Midterm legislative elections Oct 2025',
+    approvalHistory: [
+      { date: '2024-07', approve: 46, disapprove: 42 },
+      { date: '2024-08', approve: 44, disapprove: 44 },
+      { date: '2024-09', approve: 43, disapprove: 45 },
+      { date: '2024-10', approve: 44, disapprove: 44 },
+      { date: '2024-11', approve: 46, disapprove: 42 },
+      { date: '2024-12', approve: 48, disapprove: 40 },
+      { date: '2025-01', approve: 50, disapprove: 38 },
+      { date: '2025-02', approve: 52, disapprove: 36 },
+      { date: '2025-03', approve: 51, disapprove: 37 },
+      { date: '2025-04', approve: 50, disapprove: 38 },
+      { date: '2025-05', approve: 49, disapprove: 39 },
+      { date: '2025-06', approve: 48, disapprove: 40 },
+      { date: '2025-07', approve: 47, disapprove: 41 },
+      { date: '2025-08', approve: 48, disapprove: 40 },
+      { date: '2025-09', approve: 49, disapprove: 39 },
+      { date: '2025-10', approve: 48, disapprove: 40 },
+      { date: '2025-11', approve: 47, disapprove: 41 },
+      { date: '2025-12', approve: 46, disapprove: 42 },
+      { date: '2026-01', approve: 45, disapprove: 43 },
+      { date: '2026-02', approve: 44, disapprove: 44 },
+    ],
+  },
+  'Israel': {
+    lastElection: '2022-11-01',
+    nextElection: '2026-10-26',
+    party: 'Likud',
+    termNumber: 6,
+    termLimit: null,
+    inaugurated: '2022-12-29',
+    governmentType: 'Parliamentary republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 36, disapprove: 56 },
+      { date: '2024-09', approve: 34, disapprove: 58 },
+      { date: '2024-11', approve: 33, disapprove: 59 },
+      { date: '2025-01', approve: 32, disapprove: 60 },
+      { date: '2025-03', approve: 34, disapprove: 58 },
+      { date: '2025-05', approve: 33, disapprove: 59 },
+      { date: '2025-07', approve: 32, disapprove: 60 },
+      { date: '2025-09', approve: 31, disapprove: 61 },
+      { date: '2025-11', approve: 30, disapprove: 62 },
+      { date: '2026-01', approve: 31, disapprove: 61 },
+      { date: '2026-02', approve: 30, disapprove: 62 },
+    ],
+  },
+  'South Africa': {
+    lastElection: '2024-05-29',
+    nextElection: '2029-05-29',
+    party: 'ANC',
+    termNumber: 2,
+    termLimit: 2,
+    inaugurated: '2024-06-19',
+    governmentType: 'Parliamentary republic',
+    note: 'ANC-led coalition government (GNU)',
+    approvalHistory: [
+      { date: '2024-07', approve: 38, disapprove: 45 },
+      { date: '2024-09', approve: 36, disapprove: 47 },
+      { date: '2024-11', approve: 35, disapprove: 48 },
+      { date: '2025-01', approve: 34, disapprove: 49 },
+      { date: '2025-03', approve: 33, disapprove: 50 },
+      { date: '2025-05', approve: 32, disapprove: 51 },
+      { date: '2025-07', approve: 33, disapprove: 50 },
+      { date: '2025-09', approve: 32, disapprove: 51 },
+      { date: '2025-11', approve: 31, disapprove: 52 },
+      { date: '2026-01', approve: 30, disapprove: 53 },
+      { date: '2026-02', approve: 30, disapprove: 53 },
+    ],
+  },
+  'Spain': {
+    lastElection: '2023-07-23',
+    nextElection: '2027-12-10',
+    party: 'PSOE',
+    termNumber: 2,
+    termLimit: null,
+    inaugurated: '2023-11-17',
+    governmentType: 'Parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2024-07', approve: 34, disapprove: 52 },
+      { date: '2024-09', approve: 33, disapprove: 53 },
+      { date: '2024-11', approve: 32, disapprove: 54 },
+      { date: '2025-01', approve: 31, disapprove: 55 },
+      { date: '2025-03', approve: 30, disapprove: 56 },
+      { date: '2025-05', approve: 31, disapprove: 55 },
+      { date: '2025-07', approve: 32, disapprove: 54 },
+      { date: '2025-09', approve: 31, disapprove: 55 },
+      { date: '2025-11', approve: 30, disapprove: 56 },
+      { date: '2026-01', approve: 29, disapprove: 57 },
+      { date: '2026-02', approve: 29, disapprove: 57 },
+    ],
+  },
+  'Indonesia': {
+    lastElection: '2024-02-14',
+    nextElection: '2029-02-14',
+    party: 'Gerindra',
+    termNumber: 1,
+    termLimit: 2,
+    inaugurated: '2024-10-20',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-11', approve: 68, disapprove: 18 },
+      { date: '2024-12', approve: 66, disapprove: 20 },
+      { date: '2025-01', approve: 65, disapprove: 21 },
+      { date: '2025-02', approve: 63, disapprove: 23 },
+      { date: '2025-03', approve: 62, disapprove: 24 },
+      { date: '2025-04', approve: 60, disapprove: 26 },
+      { date: '2025-05', approve: 59, disapprove: 27 },
+      { date: '2025-06', approve: 58, disapprove: 28 },
+      { date: '2025-07', approve: 57, disapprove: 29 },
+      { date: '2025-08', approve: 58, disapprove: 28 },
+      { date: '2025-09', approve: 57, disapprove: 29 },
+      { date: '2025-10', approve: 56, disapprove: 30 },
+      { date: '2025-11', approve: 55, disapprove: 31 },
+      { date: '2025-12', approve: 56, disapprove: 30 },
+      { date: '2026-01', approve: 55, disapprove: 31 },
+      { date: '2026-02', approve: 54, disapprove: 32 },
+    ],
+  },
+  'Nigeria': {
+    lastElection: '2023-02-25',
+    nextElection: '2027-02-27',
+    party: 'APC',
+    termNumber: 1,
+    termLimit: 2,
+    inaugurated: '2023-05-29',
+    governmentType: 'Federal presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 24, disapprove: 62 },
+      { date: '2024-09', approve: 22, disapprove: 64 },
+      { date: '2024-11', approve: 21, disapprove: 65 },
+      { date: '2025-01', approve: 20, disapprove: 66 },
+      { date: '2025-03', approve: 19, disapprove: 67 },
+      { date: '2025-05', approve: 20, disapprove: 66 },
+      { date: '2025-07', approve: 21, disapprove: 65 },
+      { date: '2025-09', approve: 20, disapprove: 66 },
+      { date: '2025-11', approve: 19, disapprove: 67 },
+      { date: '2026-01', approve: 18, disapprove: 68 },
+      { date: '2026-02', approve: 18, disapprove: 68 },
+    ],
+  },
+  'Colombia': {
+    lastElection: '2022-06-19',
+    nextElection: '2026-05-31',
+    party: 'Colombia Humana',
+    termNumber: 1,
+    termLimit: 1,
+    inaugurated: '2022-08-07',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 30, disapprove: 60 },
+      { date: '2024-09', approve: 28, disapprove: 62 },
+      { date: '2024-11', approve: 27, disapprove: 63 },
+      { date: '2025-01', approve: 26, disapprove: 64 },
+      { date: '2025-03', approve: 25, disapprove: 65 },
+      { date: '2025-05', approve: 26, disapprove: 64 },
+      { date: '2025-07', approve: 27, disapprove: 63 },
+      { date: '2025-09', approve: 26, disapprove: 64 },
+      { date: '2025-11', approve: 25, disapprove: 65 },
+      { date: '2026-01', approve: 24, disapprove: 66 },
+      { date: '2026-02', approve: 24, disapprove: 66 },
+    ],
+  },
+  'Egypt': {
+    lastElection: '2023-12-10',
+    nextElection: '2030-03-01',
+    party: 'Independent (military)',
+    termNumber: 3,
+    termLimit: null,
+    inaugurated: '2024-04-02',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 52, disapprove: 32 },
+      { date: '2024-09', approve: 50, disapprove: 34 },
+      { date: '2024-11', approve: 49, disapprove: 35 },
+      { date: '2025-01', approve: 48, disapprove: 36 },
+      { date: '2025-03', approve: 47, disapprove: 37 },
+      { date: '2025-05', approve: 46, disapprove: 38 },
+      { date: '2025-07', approve: 47, disapprove: 37 },
+      { date: '2025-09', approve: 46, disapprove: 38 },
+      { date: '2025-11', approve: 45, disapprove: 39 },
+      { date: '2026-01', approve: 44, disapprove: 40 },
+      { date: '2026-02', approve: 44, disapprove: 40 },
+    ],
+  },
+  'Philippines': {
+    lastElection: '2022-05-09',
+    nextElection: '2028-05-08',
+    party: 'PFP',
+    termNumber: 1,
+    termLimit: 1,
+    inaugurated: '2022-06-30',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 48, disapprove: 36 },
+      { date: '2024-09', approve: 46, disapprove: 38 },
+      { date: '2024-11', approve: 44, disapprove: 40 },
+      { date: '2025-01', approve: 42, disapprove: 42 },
+      { date: '2025-03', approve: 40, disapprove: 44 },
+      { date: '2025-05', approve: 41, disapprove: 43 },
+      { date: '2025-07', approve: 40, disapprove: 44 },
+      { date: '2025-09', approve: 39, disapprove: 45 },
+      { date: '2025-11', approve: 38, disapprove: 46 },
+      { date: '2026-01', approve: 37, disapprove: 47 },
+      { date: '2026-02', approve: 36, disapprove: 48 },
+    ],
+  },
+  'Kenya': {
+    lastElection: '2022-08-09',
+    nextElection: '2027-08-09',
+    party: 'UDA / Kenya Kwanza',
+    termNumber: 1,
+    termLimit: 2,
+    inaugurated: '2022-09-13',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 26, disapprove: 60 },
+      { date: '2024-09', approve: 24, disapprove: 62 },
+      { date: '2024-11', approve: 23, disapprove: 63 },
+      { date: '2025-01', approve: 22, disapprove: 64 },
+      { date: '2025-03', approve: 23, disapprove: 63 },
+      { date: '2025-05', approve: 24, disapprove: 62 },
+      { date: '2025-07', approve: 23, disapprove: 63 },
+      { date: '2025-09', approve: 22, disapprove: 64 },
+      { date: '2025-11', approve: 21, disapprove: 65 },
+      { date: '2026-01', approve: 20, disapprove: 66 },
+      { date: '2026-02', approve: 20, disapprove: 66 },
+    ],
+  },
+  'El Salvador': {
+    lastElection: '2024-02-04',
+    nextElection: '2029-02-01',
+    party: 'Nuevas Ideas',
+    termNumber: 2,
+    termLimit: null,
+    inaugurated: '2024-06-01',
+    governmentType: 'Presidential republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 82, disapprove: 12 },
+      { date: '2024-09', approve: 80, disapprove: 14 },
+      { date: '2024-11', approve: 78, disapprove: 16 },
+      { date: '2025-01', approve: 77, disapprove: 17 },
+      { date: '2025-03', approve: 76, disapprove: 18 },
+      { date: '2025-05', approve: 75, disapprove: 19 },
+      { date: '2025-07', approve: 74, disapprove: 20 },
+      { date: '2025-09', approve: 73, disapprove: 21 },
+      { date: '2025-11', approve: 72, disapprove: 22 },
+      { date: '2026-01', approve: 71, disapprove: 23 },
+      { date: '2026-02', approve: 70, disapprove: 24 },
+    ],
+  },
+  'Hungary': {
+    lastElection: '2022-04-03',
+    nextElection: '2026-04-01',
+    party: 'Fidesz',
+    termNumber: 5,
+    termLimit: null,
+    inaugurated: '2022-05-24',
+    governmentType: 'Parliamentary republic',
+    approvalHistory: [
+      { date: '2024-07', approve: 42, disapprove: 48 },
+      { date: '2024-09', approve: 40, disapprove: 50 },
+      { date: '2024-11', approve: 39, disapprove: 51 },
+      { date: '2025-01', approve: 38, disapprove: 52 },
+      { date: '2025-03', approve: 37, disapprove: 53 },
+      { date: '2025-05', approve: 38, disapprove: 52 },
+      { date: '2025-07', approve: 37, disapprove: 53 },
+      { date: '2025-09', approve: 36, disapprove: 54 },
+      { date: '2025-11', approve: 35, disapprove: 55 },
+      { date: '2026-01', approve: 34, disapprove: 56 },
+      { date: '2026-02', approve: 34, disapprove: 56 },
+    ],
+  },
+  'China': {
+    lastElection: '2023-03-10',
+    nextElection: '2028-03-01',
+    party: 'CPC',
+    termNumber: 3,
+    termLimit: null,
+    inaugurated: '2013-03-14',
+    governmentType: 'One-party socialist republic',
+    note: 'Term limits removed in 2018 constitutional amendment. Approval data from external surveys.',
+    approvalHistory: [
+      { date: '2024-07', approve: 80, disapprove: 8 },
+      { date: '2024-09', approve: 79, disapprove: 9 },
+      { date: '2024-11', approve: 78, disapprove: 10 },
+      { date: '2025-01', approve: 79, disapprove: 9 },
+      { date: '2025-03', approve: 78, disapprove: 10 },
+      { date: '2025-05', approve: 77, disapprove: 11 },
+      { date: '2025-07', approve: 78, disapprove: 10 },
+      { date: '2025-09', approve: 77, disapprove: 11 },
+      { date: '2025-11', approve: 76, disapprove: 12 },
+      { date: '2026-01', approve: 76, disapprove: 12 },
+      { date: '2026-02', approve: 75, disapprove: 13 },
+    ],
+  },
+  'Russia': {
+    lastElection: '2024-03-17',
+    nextElection: '2030-03-15',
+    party: 'United Russia',
+    termNumber: 5,
+    termLimit: null,
+    inaugurated: '2024-05-07',
+    governmentType: 'Federal semi-presidential republic',
+    note: 'Constitutional reset in 2020 allows terms through 2036. Limited independent polling.',
+    approvalHistory: [
+      { date: '2024-07', approve: 82, disapprove: 12 },
+      { date: '2024-09', approve: 81, disapprove: 13 },
+      { date: '2024-11', approve: 80, disapprove: 14 },
+      { date: '2025-01', approve: 79, disapprove: 15 },
+      { date: '2025-03', approve: 78, disapprove: 16 },
+      { date: '2025-05', approve: 77, disapprove: 17 },
+      { date: '2025-07', approve: 76, disapprove: 18 },
+      { date: '2025-09', approve: 75, disapprove: 19 },
+      { date: '2025-11', approve: 74, disapprove: 20 },
+      { date: '2026-01', approve: 73, disapprove: 21 },
+      { date: '2026-02', approve: 73, disapprove: 21 },
+    ],
+  },
+  'Saudi Arabia': {
+    lastElection: null,
+    nextElection: null,
+    party: 'Absolute monarchy',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2022-09-27',
+    governmentType: 'Absolute monarchy',
+    note: 'No democratic elections. Approval from external surveys.',
+    approvalHistory: [
+      { date: '2024-07', approve: 76, disapprove: 8 },
+      { date: '2024-09', approve: 75, disapprove: 9 },
+      { date: '2024-11', approve: 74, disapprove: 10 },
+      { date: '2025-01', approve: 75, disapprove: 9 },
+      { date: '2025-03', approve: 74, disapprove: 10 },
+      { date: '2025-05', approve: 73, disapprove: 11 },
+      { date: '2025-07', approve: 74, disapprove: 10 },
+      { date: '2025-09', approve: 73, disapprove: 11 },
+      { date: '2025-11', approve: 72, disapprove: 12 },
+      { date: '2026-01', approve: 72, disapprove: 12 },
+      { date: '2026-02', approve: 71, disapprove: 13 },
+    ],
+  },
+  'Netherlands': {
+    lastElection: '2023-11-22',
+    nextElection: '2028-03-15',
+    party: 'NSC (coalition)',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2024-07-02',
+    governmentType: 'Parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2024-08', approve: 38, disapprove: 40 },
+      { date: '2024-10', approve: 36, disapprove: 42 },
+      { date: '2024-12', approve: 34, disapprove: 44 },
+      { date: '2025-02', approve: 32, disapprove: 46 },
+      { date: '2025-04', approve: 31, disapprove: 47 },
+      { date: '2025-06', approve: 30, disapprove: 48 },
+      { date: '2025-08', approve: 31, disapprove: 47 },
+      { date: '2025-10', approve: 30, disapprove: 48 },
+      { date: '2025-12', approve: 29, disapprove: 49 },
+      { date: '2026-02', approve: 28, disapprove: 50 },
+    ],
+  },
+  'Sweden': {
+    lastElection: '2022-09-11',
+    nextElection: '2026-09-13',
+    party: 'Moderate Party',
+    termNumber: 1,
+    termLimit: null,
+    inaugurated: '2022-10-18',
+    governmentType: 'Parliamentary constitutional monarchy',
+    approvalHistory: [
+      { date: '2024-07', approve: 32, disapprove: 52 },
+      { date: '2024-09', approve: 30, disapprove: 54 },
+      { date: '2024-11', approve: 29, disapprove: 55 },
+      { date: '2025-01', approve: 28, disapprove: 56 },
+      { date: '2025-03', approve: 29, disapprove: 55 },
+      { date: '2025-05', approve: 30, disapprove: 54 },
+      { date: '2025-07', approve: 29, disapprove: 55 },
+      { date: '2025-09', approve: 28, disapprove: 56 },
+      { date: '2025-11', approve: 27, disapprove: 57 },
+      { date: '2026-01', approve: 26, disapprove: 58 },
+      { date: '2026-02', approve: 26, disapprove: 58 },
+    ],
+  },
+};
+
+export default {
+  tables: {
+    approval: LEADER_APPROVAL,
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * Cross-venue market matching
+ * Trading fees per venue and manual match decisions used by
+ * arbitrage.service.js.
+ *
+ * Fees are per $1 contract bought at price p:
+ *   basis 'notional' → rate × p
+ *   basis 'variance' → rate × p × (1 − p)   (Kalshi's taker formula)
+ *
+ * Contract ids are `<venue>:<id>` for binary markets and
+ * `<venue>:<id>#<outcome>` for one outcome of a multi-outcome event
+ * (the same ids as /api/predictions). Pins force a Polymarket/Kalshi pair
+ * (optionally with a Metaculus reference) regardless of the parser;
+ * `inverted` means Polymarket YES is Kalshi NO. Blocks forbid a pair, or
+ * with no `b`, keep a contract out of matching entirely.
+ *
+ * Seed for the `marketMatching` reference dataset (see referenceData.service.js).
+ */
+
+const FEES = {
+  polymarket: {
+    label: 'Polymarket',
+    rate: 0,
+    basis: 'notional',
+    note: 'No trading fee on most markets; set a rate for fee-enabled markets',
+  },
+  kalshi: {
+    label: 'Kalshi',
+    rate: 0.07,
+    basis: 'variance',
+    note: 'Taker fee 0.07 × contracts × P × (1 − P), rounded up to the cent per order',
+  },
+};
+
+export default {
+  tables: {
+    fees: FEES,
+    pins: {},
+    blocks: {},
+  },
+};
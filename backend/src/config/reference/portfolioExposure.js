@@ -0,0 +1,113 @@
+/**
+ * Portfolio exposure
+ * How holdings map to countries and sectors, used by portfolio.service.js.
+ *
+ * `securities` gives a ticker's economic footprint: approximate shares of
+ * revenue, production and critical supply (fabs, assembly) by country, not
+ * where it is listed. That is what lets a US-listed chipmaker show up under
+ * Taiwan. ETFs use their country and sector mix. Shares are rounded and
+ * should sum to about 1; anything left over is counted as unallocated.
+ *
+ * Tickers not listed here fall back to the market lists in
+ * markets.service.js (indices, top stocks, credit ETFs), then to the
+ * exchange suffix (`.T` → Japan), then to currency codes. A currency maps
+ * to its one country from markets.service.js unless `currencies` splits it
+ * (the euro is shared, so it is spread by eurozone GDP).
+ *
+ * Seed for the `portfolioExposure` reference dataset (see referenceData.service.js).
+ */
+
+const SECURITIES = {
+  // ── US megacaps ──
+  AAPL: { name: 'Apple', type: 'stock', sector: 'Technology hardware', countries: { US: 0.42, CN: 0.3, TW: 0.12, JP: 0.06, IN: 0.05, VN: 0.05 } },
+  MSFT: { name: 'Microsoft', type: 'stock', sector: 'Software', countries: { US: 0.5, GB: 0.06, DE: 0.05, JP: 0.05, CN: 0.03, TW: 0.06, FR: 0.05, IN: 0.03, CA: 0.04 }, note: 'TW share is cloud hardware supply' },
+  GOOGL: { name: 'Alphabet', type: 'stock', sector: 'Communication services', countries: { US: 0.48, GB: 0.08, DE: 0.06, JP: 0.06, TW: 0.06, IN: 0.04, FR: 0.05, CA: 0.04, AU: 0.03 } },
+  AMZN: { name: 'Amazon', type: 'stock', sector: 'Consumer discretionary', countries: { US: 0.6, DE: 0.08, GB: 0.07, JP: 0.05, CN: 0.1, TW: 0.03, IN: 0.03 } },
+  META: { name: 'Meta', type: 'stock', sector: 'Communication services', countries: { US: 0.43, GB: 0.05, DE: 0.04, IN: 0.05, BR: 0.04, JP: 0.04, CN: 0.1, TW: 0.05, IE: 0.05 }, note: 'CN share is Chinese advertisers' },
+  TSLA: { name: 'Tesla', type: 'stock', sector: 'Automobiles', countries: { US: 0.48, CN: 0.3, DE: 0.1, NO: 0.03, TW: 0.04, KR: 0.03 } },
+  NVDA: { name: 'NVIDIA', type: 'stock', sector: 'Semiconductors', countries: { US: 0.45, TW: 0.3, CN: 0.13, SG: 0.07, KR: 0.03 }, note: 'Leading-edge production at TSMC' },
+  JPM: { name: 'JPMorgan Chase', type: 'stock', sector: 'Financials', countries: { US: 0.82, GB: 0.08, DE: 0.03, FR: 0.02, CN: 0.02, JP: 0.02 } },
+  // ── Semiconductors ──
+  TSM: { name: 'TSMC (ADR)', type: 'stock', sector: 'Semiconductors', countries: { TW: 0.85, US: 0.08, JP: 0.04, CN: 0.03 } },
+  '2330.TW': { name: 'TSMC', type: 'stock', sector: 'Semiconductors', countries: { TW: 0.85, US: 0.08, JP: 0.04, CN: 0.03 } },
+  '2317.TW': { name: 'Hon Hai (Foxconn)', type: 'stock', sector: 'Technology hardware', countries: { CN: 0.55, TW: 0.2, IN: 0.1, VN: 0.08, MX: 0.07 } },
+  '2454.TW': { name: 'MediaTek', type: 'stock', sector: 'Semiconductors', countries: { TW: 0.6, CN: 0.3, IN: 0.05, US: 0.05 } },
+  AMD: { name: 'AMD', type: 'stock', sector: 'Semiconductors', countries: { US: 0.35, TW: 0.35, CN: 0.2, JP: 0.05, SG: 0.05 } },
+  AVGO: { name: 'Broadcom', type: 'stock', sector: 'Semiconductors', countries: { US: 0.35, TW: 0.3, CN: 0.25, SG: 0.1 } },
+  QCOM: { name: 'Qualcomm', type: 'stock', sector: 'Semiconductors', countries: { US: 0.15, TW: 0.25, CN: 0.45, KR: 0.15 } },
+  INTC: { name: 'Intel', type: 'stock', sector: 'Semiconductors', countries: { US: 0.45, CN: 0.25, TW: 0.15, IE: 0.08, IL: 0.07 } },
+  MU: { name: 'Micron', type: 'stock', sector: 'Semiconductors', countries: { US: 0.35, TW: 0.25, JP: 0.15, CN: 0.15, SG: 0.1 } },
+  ASML: { name: 'ASML', type: 'stock', sector: 'Semiconductor equipment', countries: { NL: 0.15, TW: 0.35, CN: 0.25, KR: 0.15, US: 0.1 } },
+  'ASML.AS': { name: 'ASML', type: 'stock', sector: 'Semiconductor equipment', countries: { NL: 0.15, TW: 0.35, CN: 0.25, KR: 0.15, US: 0.1 } },
+  AMAT: { name: 'Applied Materials', type: 'stock', sector: 'Semiconductor equipment', countries: { US: 0.2, CN: 0.35, TW: 0.2, KR: 0.15, JP: 0.1 } },
+  LRCX: { name: 'Lam Research', type: 'stock', sector: 'Semiconductor equipment', countries: { US: 0.1, CN: 0.4, TW: 0.2, KR: 0.2, JP: 0.1 } },
+  '005930.KS': { name: 'Samsung Electronics', type: 'stock', sector: 'Technology hardware', countries: { KR: 0.35, US: 0.3, CN: 0.2, VN: 0.1, TW: 0.05 } },
+  // ── Other geopolitically sensitive names ──
+  BABA: { name: 'Alibaba (ADR)', type: 'stock', sector: 'Consumer discretionary', countries: { CN: 0.9, HK: 0.05, SG: 0.05 } },
+  '9988.HK': { name: 'Alibaba', type: 'stock', sector: 'Consumer discretionary', countries: { CN: 0.9, HK: 0.05, SG: 0.05 } },
+  '0700.HK': { name: 'Tencent', type: 'stock', sector: 'Communication services', countries: { CN: 0.95, HK: 0.05 } },
+  XOM: { name: 'Exxon Mobil', type: 'stock', sector: 'Energy', countries: { US: 0.6, QA: 0.08, GY: 0.1, AU: 0.07, SG: 0.05, NG: 0.05, KZ: 0.05 } },
+  'SHEL.L': { name: 'Shell', type: 'stock', sector: 'Energy', countries: { GB: 0.2, NL: 0.1, US: 0.25, QA: 0.1, NG: 0.1, AU: 0.1, BR: 0.1, SG: 0.05 } },
+  LMT: { name: 'Lockheed Martin', type: 'stock', sector: 'Aerospace & defense', countries: { US: 0.73, SA: 0.04, JP: 0.04, TW: 0.04, PL: 0.05, IL: 0.05, AU: 0.05 } },
+  RTX: { name: 'RTX', type: 'stock', sector: 'Aerospace & defense', countries: { US: 0.58, SA: 0.05, TW: 0.04, PL: 0.05, QA: 0.04, GB: 0.08, DE: 0.08, JP: 0.08 } },
+  CAT: { name: 'Caterpillar', type: 'stock', sector: 'Industrials', countries: { US: 0.5, CN: 0.08, AU: 0.08, BR: 0.06, DE: 0.06, CA: 0.07, MX: 0.05, ZA: 0.05, IN: 0.05 } },
+
+  // ── Broad ETFs ──
+  SPY: { name: 'SPDR S&P 500', type: 'etf', sector: 'Broad market', countries: { US: 0.72, CN: 0.06, TW: 0.04, GB: 0.03, JP: 0.03, DE: 0.03, IN: 0.02, FR: 0.02, CA: 0.02, KR: 0.01, MX: 0.01, BR: 0.01 }, sectors: { Technology: 0.31, Financials: 0.13, 'Health care': 0.11, 'Consumer discretionary': 0.1, 'Communication services': 0.09, Industrials: 0.08, Other: 0.18 }, note: 'Revenue-weighted, not by domicile' },
+  VOO: { name: 'Vanguard S&P 500', type: 'etf', sector: 'Broad market', countries: { US: 0.72, CN: 0.06, TW: 0.04, GB: 0.03, JP: 0.03, DE: 0.03, IN: 0.02, FR: 0.02, CA: 0.02, KR: 0.01, MX: 0.01, BR: 0.01 }, sectors: { Technology: 0.31, Financials: 0.13, 'Health care': 0.11, 'Consumer discretionary': 0.1, 'Communication services': 0.09, Industrials: 0.08, Other: 0.18 } },
+  VTI: { name: 'Vanguard Total US Market', type: 'etf', sector: 'Broad market', countries: { US: 0.74, CN: 0.05, TW: 0.04, GB: 0.03, JP: 0.03, DE: 0.03, IN: 0.02, FR: 0.02, CA: 0.02, MX: 0.01, BR: 0.01 }, sectors: { Technology: 0.3, Financials: 0.13, 'Health care': 0.11, 'Consumer discretionary': 0.1, Industrials: 0.1, Other: 0.26 } },
+  QQQ: { name: 'Invesco QQQ', type: 'etf', sector: 'Broad market', countries: { US: 0.55, CN: 0.12, TW: 0.1, GB: 0.03, JP: 0.04, DE: 0.04, KR: 0.03, IN: 0.03, NL: 0.02, SG: 0.02, VN: 0.02 }, sectors: { Technology: 0.5, 'Communication services': 0.16, 'Consumer discretionary': 0.18, Other: 0.16 } },
+  EFA: { name: 'iShares MSCI EAFE', type: 'etf', sector: 'Broad market', countries: { JP: 0.22, GB: 0.14, FR: 0.11, CH: 0.1, DE: 0.09, AU: 0.07, NL: 0.05, SE: 0.03, DK: 0.03, ES: 0.03, IT: 0.03, HK: 0.02, SG: 0.02 } },
+  VEA: { name: 'Vanguard FTSE Developed', type: 'etf', sector: 'Broad market', countries: { JP: 0.2, GB: 0.11, CA: 0.1, FR: 0.08, CH: 0.08, DE: 0.08, AU: 0.07, KR: 0.05, NL: 0.04, SE: 0.03, DK: 0.03, ES: 0.03, IT: 0.03 } },
+  EEM: { name: 'iShares MSCI Emerging Markets', type: 'etf', sector: 'Broad market', countries: { CN: 0.25, TW: 0.2, IN: 0.19, KR: 0.1, BR: 0.04, SA: 0.04, ZA: 0.03, MX: 0.02, ID: 0.02, TH: 0.02, MY: 0.02, AE: 0.02 } },
+  VWO: { name: 'Vanguard FTSE Emerging', type: 'etf', sector: 'Broad market', countries: { CN: 0.3, TW: 0.19, IN: 0.22, BR: 0.05, SA: 0.05, ZA: 0.03, MX: 0.02, TH: 0.02, MY: 0.02, ID: 0.02, AE: 0.02 } },
+  // ── Country ETFs ──
+  EWT: { name: 'iShares MSCI Taiwan', type: 'etf', sector: 'Broad market', countries: { TW: 1 }, sectors: { Semiconductors: 0.6, 'Technology hardware': 0.15, Financials: 0.15, Other: 0.1 } },
+  FXI: { name: 'iShares China Large-Cap', type: 'etf', sector: 'Broad market', countries: { CN: 0.95, HK: 0.05 } },
+  MCHI: { name: 'iShares MSCI China', type: 'etf', sector: 'Broad market', countries: { CN: 0.95, HK: 0.05 } },
+  KWEB: { name: 'KraneShares China Internet', type: 'etf', sector: 'Communication services', countries: { CN: 0.95, HK: 0.05 } },
+  EWJ: { name: 'iShares MSCI Japan', type: 'etf', sector: 'Broad market', countries: { JP: 1 } },
+  EWY: { name: 'iShares MSCI South Korea', type: 'etf', sector: 'Broad market', countries: { KR: 1 }, sectors: { Semiconductors: 0.35, Other: 0.65 } },
+  INDA: { name: 'iShares MSCI India', type: 'etf', sector: 'Broad market', countries: { IN: 1 } },
+  EWZ: { name: 'iShares MSCI Brazil', type: 'etf', sector: 'Broad market', countries: { BR: 1 } },
+  EWG: { name: 'iShares MSCI Germany', type: 'etf', sector: 'Broad market', countries: { DE: 1 } },
+  EWU: { name: 'iShares MSCI United Kingdom', type: 'etf', sector: 'Broad market', countries: { GB: 1 } },
+  EWW: { name: 'iShares MSCI Mexico', type: 'etf', sector: 'Broad market', countries: { MX: 1 } },
+  EIS: { name: 'iShares MSCI Israel', type: 'etf', sector: 'Broad market', countries: { IL: 1 } },
+  TUR: { name: 'iShares MSCI Turkey', type: 'etf', sector: 'Broad market', countries: { TR: 1 } },
+  // ── Sector ETFs ──
+  SMH: { name: 'VanEck Semiconductor', type: 'etf', sector: 'Semiconductors', countries: { US: 0.35, TW: 0.35, CN: 0.15, NL: 0.05, KR: 0.05, JP: 0.05 } },
+  SOXX: { name: 'iShares Semiconductor', type: 'etf', sector: 'Semiconductors', countries: { US: 0.4, TW: 0.3, CN: 0.17, KR: 0.05, JP: 0.04, NL: 0.04 } },
+  XLE: { name: 'Energy Select Sector SPDR', type: 'etf', sector: 'Energy', countries: { US: 0.8, QA: 0.03, GY: 0.04, AU: 0.03, CA: 0.05, NG: 0.02, KZ: 0.03 } },
+  ITA: { name: 'iShares US Aerospace & Defense', type: 'etf', sector: 'Aerospace & defense', countries: { US: 0.75, GB: 0.04, SA: 0.04, JP: 0.04, PL: 0.04, TW: 0.03, IL: 0.03, DE: 0.03 } },
+  GLD: { name: 'SPDR Gold', type: 'etf', sector: 'Commodities', countries: {}, note: 'Safe-haven asset; no country exposure' },
+  // ── Fixed income ──
+  TLT: { name: 'iShares 20+ Yr Treasury', type: 'etf', sector: 'Fixed income', countries: { US: 1 } },
+  HYG: { name: 'iShares US High Yield', type: 'etf', sector: 'Fixed income', countries: { US: 1 } },
+  LQD: { name: 'iShares US Investment Grade', type: 'etf', sector: 'Fixed income', countries: { US: 1 } },
+  EMB: { name: 'iShares EM Sovereign', type: 'etf', sector: 'Fixed income', countries: { MX: 0.07, SA: 0.07, ID: 0.05, TR: 0.05, BR: 0.04, CO: 0.04, PH: 0.04, CL: 0.04, AE: 0.04, QA: 0.04, ZA: 0.04, EG: 0.03, NG: 0.03, AR: 0.03 } },
+  CBON: { name: 'VanEck China Bond', type: 'etf', sector: 'Fixed income', countries: { CN: 1 } },
+};
+
+// Listing suffix → country (ticker.SUFFIX)
+const EXCHANGES = {
+  TO: 'CA', V: 'CA', L: 'GB', T: 'JP', TW: 'TW', TWO: 'TW', HK: 'HK', SS: 'CN', SZ: 'CN',
+  NS: 'IN', BO: 'IN', DE: 'DE', F: 'DE', PA: 'FR', AS: 'NL', BR: 'BE', MI: 'IT', MC: 'ES',
+  LS: 'PT', SW: 'CH', ST: 'SE', OL: 'NO', CO: 'DK', HE: 'FI', IR: 'IE', VI: 'AT', WA: 'PL',
+  KS: 'KR', KQ: 'KR', AX: 'AU', NZ: 'NZ', SI: 'SG', KL: 'MY', BK: 'TH', JK: 'ID',
+  SA: 'BR', MX: 'MX', BA: 'AR', SN: 'CL', JO: 'ZA', IS: 'TR', TA: 'IL', SR: 'SA', QA: 'QA',
+  ME: 'RU',
+};
+
+// Currencies shared by several countries → country shares
+const CURRENCIES = {
+  EUR: { DE: 0.29, FR: 0.2, IT: 0.15, ES: 0.1, NL: 0.07, BE: 0.04, IE: 0.04, AT: 0.03, FI: 0.02, PT: 0.02, GR: 0.02, HR: 0.01 },
+};
+
+export default {
+  tables: {
+    securities: SECURITIES,
+    exchanges: EXCHANGES,
+    currencies: CURRENCIES,
+  },
+};
@@ -0,0 +1,119 @@
+/**
+ * Country Risk Model
+ * The scoring spec used by countryRisk.service.js. A country's score is its
+ * category baseline plus, for every factor, min(points, cap) * weight,
+ * clamped to 0-100.
+ *
+ * Tiers are checked in order and the first match wins: `min` matches
+ * value >= min, `above` value > above, `below` value < below. `scale` factors
+ * multiply a 0-100 score from another service (coup risk, demographic risk,
+ * conflict intensity) into points.
+ *
+ * Countries not listed in `countries` use the `stable` baseline.
+ *
+ * Seed for the `riskModel` reference dataset (see referenceData.service.js).
+ */
+
+const FACTORS = {
+  ucdpConflict: {
+    label: 'UCDP conflict',
+    source: 'ucdp',
+    weight: 1,
+    cap: 20,
+    eventTiers: [
+      { min: 50, points: 10 }, { min: 20, points: 7 }, { min: 10, points: 5 },
+      { min: 5, points: 3 }, { min: 1, points: 1 },
+    ],
+    deathTiers: [
+      { min: 1000, points: 10 }, { min: 500, points: 7 }, { min: 100, points: 5 },
+      { min: 25, points: 3 }, { min: 1, points: 1 },
+    ],
+    warPoints: 5,
+  },
+  stability: {
+    label: 'Stability (protests, military, instability)',
+    source: 'stability',
+    weight: 1,
+    cap: 15,
+    protestTiers: [{ min: 8, points: 5 }, { min: 5, points: 3 }, { min: 2, points: 1 }],
+    militaryPoints: { critical: 5, high: 3, elevated: 2 },
+    instabilityPoints: { critical: 5, high: 3, elevated: 2, other: 1 },
+  },
+  sanctions: {
+    label: 'Sanctions',
+    source: 'sanctions',
+    weight: 1,
+    cap: 10,
+    levelPoints: { comprehensive: 10, targeted: 5, other: 3 },
+  },
+  economic: {
+    label: 'Economic (World Bank)',
+    source: 'worldbank',
+    weight: 1,
+    cap: 10,
+    indicators: {
+      inflation: [{ above: 20, points: 3 }, { above: 10, points: 2 }, { above: 7, points: 1 }],
+      gdpGrowth: [{ below: -5, points: 3 }, { below: -2, points: 2 }, { below: 0, points: 1 }],
+      unemployment: [{ above: 20, points: 2 }, { above: 12, points: 1 }],
+      debtToGdp: [{ above: 100, points: 2 }, { above: 80, points: 1 }],
+    },
+  },
+  coupRisk: {
+    label: 'Regime coup risk',
+    source: 'regime',
+    weight: 1,
+    cap: 10,
+    scale: 0.1,
+  },
+  demographic: {
+    label: 'Demographic risk',
+    source: 'demographic',
+    weight: 1,
+    cap: 5,
+    scale: 0.05,
+  },
+  tensionExposure: {
+    label: 'Tension exposure',
+    source: 'tension',
+    weight: 1,
+    cap: 10,
+    conflictScale: 0.1,
+    flashpointScale: 0.05,
+  },
+};
+
+const BASELINES = {
+  fragile: { score: 70, label: 'Fragile state (Fragile States Index top tier)' },
+  developing: { score: 40, label: 'Elevated: not fragile but not fully stable' },
+  stable: { score: 20, label: 'Stable (default)' },
+};
+
+const FRAGILE = [
+  'AF', 'SY', 'YE', 'SO', 'SD', 'SS', 'CD', 'CF', 'TD', 'HT', 'ML', 'BF',
+  'NE', 'ER', 'MM', 'LY', 'IQ', 'PS', 'ET', 'MZ', 'NG', 'CM', 'LB',
+];
+
+const DEVELOPING = [
+  'PK', 'VE', 'KP', 'IR', 'UA', 'CU', 'CO', 'MX', 'HN', 'GT', 'SV', 'BD',
+  'PH', 'KE', 'UG', 'ZW', 'EG', 'TN', 'DZ', 'RU', 'BY', 'IN', 'TR',
+];
+
+const LEVELS = {
+  critical: { min: 80 },
+  high: { min: 60 },
+  elevated: { min: 40 },
+  moderate: { min: 20 },
+  low: { min: 0 },
+};
+
+export default {
+  tables: {
+    factors: FACTORS,
+    baselines: BASELINES,
+    countries: Object.fromEntries([
+      ...FRAGILE.map(code => [code, { category: 'fragile' }]),
+      ...DEVELOPING.map(code => [code, { category: 'developing' }]),
+    ]),
+    levels: LEVELS,
+  },
+};
@@ -11,34 +11,24 @@ import { createServer } from 'http';
 
 import config from './config/index.js';
 import { cacheService } from './services/cache.service.js';
-import { aggregationService } from './services/aggregation.service.js';
-import { conflictService } from './services/conflict.service.js';
-import { tariffService } from './services/tariff.service.js';
-import { worldBankService, PRELOAD_COUNTRIES } from './services/worldbank.service.js';
-import { wikidataService } from './services/wikidata.service.js';
-import { ucdpService } from './services/ucdp.service.js';
+import { db } from './services/db.js';
+import { snapshotService } from './services/snapshot.service.js';
+import { alertsService } from './services/alerts.service.js';
+import { searchIndexService } from './services/searchIndex.service.js';
+import { tariffOverrideService } from './services/tariffOverrides.service.js';
+import { referenceDataService } from './services/referenceData.service.js';
+import { frontlineService } from './services/frontline.service.js';
+import { flightsService } from './services/flights.service.js';
+import { aisService } from './services/ais.service.js';
+import { electionResultsService } from './services/electionResults.service.js';
+import { predictionHistoryService } from './services/predictionHistory.service.js';
+import { gdeltClient } from './services/gdelt.service.js';
+import { sourceHealth } from './services/sourceHealth.service.js';
 import { wsHandler } from './services/websocket.service.js';
-import { electionLiveService } from './services/electionLive.service.js';
-import { stabilityService } from './services/stability.service.js';
-import { disastersService } from './services/disasters.service.js';
-import { cyberService } from './services/cyber.service.js';
-import { refugeeService } from './services/refugee.service.js';
-import { courtService } from './services/court.service.js';
-import { commoditiesService } from './services/commodities.service.js';
-import { metaculusService } from './services/metaculus.service.js';
-import { sanctionsService } from './services/sanctions.service.js';
-import { shippingService } from './services/shipping.service.js';
-import { countryRiskService } from './services/countryRisk.service.js';
-import { tensionIndexService } from './services/tensionIndex.service.js';
-import { briefingService } from './services/briefing.service.js';
-import { narrativeService } from './services/narrative.service.js';
-import { regimeService } from './services/regime.service.js';
-import { allianceService } from './services/alliance.service.js';
-import { infrastructureService } from './services/infrastructure.service.js';
-import { demographicService } from './services/demographic.service.js';
-import { credibilityService } from './services/credibility.service.js';
-import { leadershipService } from './services/leadership.service.js';
+import { scheduler } from './services/scheduler.service.js';
+import { registerJobs } from './jobs.js';
 import apiRoutes from './api/routes.js';
+import { cacheMetadata } from './middleware/cacheMetadata.js';
 
 const app = express();
 const server = createServer(app);
@@ -68,7 +58,7 @@ app.use((req, res, next) => {
 // ROUTES
 // ===========================================
 
-app.use('/api', apiRoutes);
+app.use('/api', cacheMetadata, apiRoutes);
 
 app.get('/', (req, res) => {
   res.json({
@@ -94,10 +84,17 @@ app.get('/', (req, res) => {
       court: '/api/court',
       commodities: '/api/commodities',
       metaculus: '/api/metaculus',
+      predictionMovers: '/api/predictions/movers',
       sanctions: '/api/sanctions',
       shipping: '/api/shipping',
+      flights: '/api/flights',
+      ais: '/api/ais',
+      electionForecast: '/api/elections/forecast',
+      electionResults: '/api/elections/results',
       risk: '/api/risk',
+      riskModel: '/api/risk/model',
       tension: '/api/tension',
+      portfolioExposure: '/api/portfolio/exposure',
       arbitrage: '/api/arbitrage',
       briefing: '/api/briefing',
       narrative: '/api/narrative',
@@ -108,6 +105,12 @@ app.get('/', (req, res) => {
       credibility: '/api/credibility',
       leadership: '/api/leadership',
       search: '/api/search',
+      history: '/api/history/:dataset',
+      reference: '/api/reference/:dataset',
+      frontlines: '/api/frontlines/:conflict',
+      jobs: '/api/jobs',
+      sourcesHealth: '/api/sources/health',
+      alerts: '/api/alerts',
       health: '/health',
     },
     websocket: '/ws',
@@ -116,13 +119,23 @@ app.get('/', (req, res) => {
 
 app.get('/health', async (req, res) => {
   const redisHealth = await cacheService.health();
+  const databaseHealth = await db.health();
+  // Without Redis the in-memory cache still serves requests: degraded, not down
   const isHealthy = redisHealth.status === 'healthy';
-  
-  res.status(isHealthy ? 200 : 503).json({
-    status: isHealthy ? 'healthy' : 'unhealthy',
+
+  res.status(200).json({
+    status: isHealthy ? 'healthy' : 'degraded',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     redis: redisHealth,
+    database: databaseHealth,
+    search: searchIndexService.getStatus(),
+    gdelt: gdeltClient.getStatus(),
+    tariffProposals: tariffOverrideService.getStatus(),
+    flights: flightsService.getStatus(),
+    ais: aisService.getStatus(),
+    electionResults: electionResultsService.getStatus(),
+    sources: sourceHealth.getSummary(),
   });
 });
 
@@ -141,340 +154,12 @@ app.use((err, req, res, next) => {
 });
 
 // ===========================================
-// BACKGROUND REFRESH
+// BACKGROUND JOBS
 // ===========================================
 
-let refreshInterval = null;
-let conflictRefreshInterval = null;
-let tariffRefreshInterval = null;
-let leadersRefreshInterval = null;
-let economicRefreshInterval = null;
-let ucdpRefreshInterval = null;
-let electionRefreshInterval = null;
-let stabilityRefreshInterval = null;
-let disasterRefreshInterval = null;
-let cyberRefreshInterval = null;
-let refugeeRefreshInterval = null;
-let courtRefreshInterval = null;
-let commoditiesRefreshInterval = null;
-let metaculusRefreshInterval = null;
-let sanctionsRefreshInterval = null;
-let shippingRefreshInterval = null;
-let riskRefreshInterval = null;
-let tensionRefreshInterval = null;
-let briefingRefreshInterval = null;
-let narrativeRefreshInterval = null;
-let regimeRefreshInterval = null;
-let allianceRefreshInterval = null;
-let infrastructureRefreshInterval = null;
-let demographicRefreshInterval = null;
-let credibilityRefreshInterval = null;
-let leadershipRefreshInterval = null;
-
-function startBackgroundRefresh() {
-  // Initial fetch
-  console.log('[Worker] Starting initial content fetch...');
-  aggregationService.getCombinedFeed({ refresh: true }).catch(console.error);
-
-  // Initial conflict data fetch
-  console.log('[Worker] Starting initial conflict data fetch...');
-  conflictService.getLiveData().catch(console.error);
-
-  // Initial tariff data fetch
-  console.log('[Worker] Starting initial tariff data fetch...');
-  tariffService.getLiveData().catch(console.error);
-
-  // Initial world leaders fetch (Wikidata)
-  console.log('[Worker] Starting initial world leaders fetch...');
-  wikidataService.getWorldLeaders().catch(console.error);
-
-  // Initial UCDP conflict events fetch
-  console.log('[Worker] Starting initial UCDP conflict events fetch...');
-  ucdpService.getActiveConflicts().catch(console.error);
-
-  // Pre-warm World Bank economic data for major countries (delayed to avoid startup contention)
-  setTimeout(() => {
-    console.log('[Worker] Pre-warming World Bank economic data...');
-    worldBankService.preloadCountries(PRELOAD_COUNTRIES).catch(console.error);
-  }, 10000);
-
-  // Periodic refresh — news content
-  refreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing content...');
-    aggregationService.getCombinedFeed({ refresh: true }).catch(console.error);
-  }, config.polling.news);
-
-  // Periodic refresh — conflict data (every 30 min)
-  const CONFLICT_POLL_MS = 30 * 60 * 1000;
-  conflictRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing conflict data...');
-    conflictService.getLiveData().catch(console.error);
-  }, CONFLICT_POLL_MS);
-
-  // Periodic refresh — tariff data (every 15 min)
-  const TARIFF_POLL_MS = 15 * 60 * 1000;
-  tariffRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing tariff data...');
-    tariffService.getLiveData().catch(console.error);
-  }, TARIFF_POLL_MS);
-
-  // Periodic refresh — world leaders (every 24 hours)
-  const LEADERS_POLL_MS = 24 * 60 * 60 * 1000;
-  leadersRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing world leaders data...');
-    wikidataService.getWorldLeaders().catch(console.error);
-  }, LEADERS_POLL_MS);
-
-  // Periodic refresh — World Bank economic data (every 24 hours)
-  const ECONOMIC_POLL_MS = 24 * 60 * 60 * 1000;
-  economicRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing World Bank economic data...');
-    worldBankService.preloadCountries(PRELOAD_COUNTRIES).catch(console.error);
-  }, ECONOMIC_POLL_MS);
-
-  // Periodic refresh — UCDP conflict events (every 24 hours)
-  const UCDP_POLL_MS = 24 * 60 * 60 * 1000;
-  ucdpRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing UCDP conflict events...');
-    ucdpService.getActiveConflicts().catch(console.error);
-  }, UCDP_POLL_MS);
-
-  // Initial election live data fetch (delayed to let market services warm up)
-  setTimeout(() => {
-    console.log('[Worker] Starting initial election live data fetch...');
-    electionLiveService.getLiveData().catch(console.error);
-  }, 15000);
-
-  // Periodic refresh — election live data (every 15 min)
-  const ELECTION_POLL_MS = 15 * 60 * 1000;
-  electionRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing election live data...');
-    electionLiveService.getLiveData().catch(console.error);
-  }, ELECTION_POLL_MS);
-
-  // Initial stability data fetch (delayed to avoid startup contention)
-  setTimeout(() => {
-    console.log('[Worker] Starting initial stability data fetch...');
-    stabilityService.getCombinedData().catch(console.error);
-  }, 20000);
-
-  // Periodic refresh — stability data (every 15 min)
-  const STABILITY_POLL_MS = 15 * 60 * 1000;
-  stabilityRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing stability data...');
-    stabilityService.getCombinedData().catch(console.error);
-  }, STABILITY_POLL_MS);
-
-  // ── New service workers (staggered startup to avoid contention) ──
-
-  // Disasters — every 10 minutes (NASA EONET + ReliefWeb)
-  setTimeout(() => {
-    console.log('[Worker] Starting initial disasters fetch...');
-    disastersService.getCombinedData().catch(console.error);
-  }, 25000);
-  const DISASTER_POLL_MS = 10 * 60 * 1000;
-  disasterRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing disaster data...');
-    disastersService.getCombinedData().catch(console.error);
-  }, DISASTER_POLL_MS);
-
-  // Cyber — every 10 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial cyber fetch...');
-    cyberService.getCombinedData().catch(console.error);
-  }, 28000);
-  const CYBER_POLL_MS = 10 * 60 * 1000;
-  cyberRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing cyber data...');
-    cyberService.getCombinedData().catch(console.error);
-  }, CYBER_POLL_MS);
-
-  // Refugees — every 1 hour
-  setTimeout(() => {
-    console.log('[Worker] Starting initial refugee data fetch...');
-    refugeeService.getCombinedData().catch(console.error);
-  }, 30000);
-  const REFUGEE_POLL_MS = 60 * 60 * 1000;
-  refugeeRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing refugee data...');
-    refugeeService.getCombinedData().catch(console.error);
-  }, REFUGEE_POLL_MS);
-
-  // Court — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial court data fetch...');
-    courtService.getCombinedData().catch(console.error);
-  }, 32000);
-  const COURT_POLL_MS = 15 * 60 * 1000;
-  courtRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing court data...');
-    courtService.getCombinedData().catch(console.error);
-  }, COURT_POLL_MS);
-
-  // Commodities — every 5 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial commodities fetch...');
-    commoditiesService.getCombinedData().catch(console.error);
-  }, 34000);
-  const COMMODITIES_POLL_MS = 5 * 60 * 1000;
-  commoditiesRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing commodity data...');
-    commoditiesService.getCombinedData().catch(console.error);
-  }, COMMODITIES_POLL_MS);
-
-  // Metaculus — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial Metaculus fetch...');
-    metaculusService.getCombinedData().catch(console.error);
-  }, 36000);
-  const METACULUS_POLL_MS = 15 * 60 * 1000;
-  metaculusRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing Metaculus data...');
-    metaculusService.getCombinedData().catch(console.error);
-  }, METACULUS_POLL_MS);
-
-  // Sanctions — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial sanctions fetch...');
-    sanctionsService.getCombinedData().catch(console.error);
-  }, 38000);
-  const SANCTIONS_POLL_MS = 15 * 60 * 1000;
-  sanctionsRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing sanctions data...');
-    sanctionsService.getCombinedData().catch(console.error);
-  }, SANCTIONS_POLL_MS);
-
-  // Shipping — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial shipping fetch...');
-    shippingService.getCombinedData().catch(console.error);
-  }, 40000);
-  const SHIPPING_POLL_MS = 15 * 60 * 1000;
-  shippingRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing shipping data...');
-    shippingService.getCombinedData().catch(console.error);
-  }, SHIPPING_POLL_MS);
-
-  // Country risk scores — every 30 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial risk score computation...');
-    countryRiskService.getCountryRiskScores().catch(console.error);
-  }, 45000);
-  const RISK_POLL_MS = 30 * 60 * 1000;
-  riskRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing risk scores...');
-    countryRiskService.getCountryRiskScores().catch(console.error);
-  }, RISK_POLL_MS);
-
-  // Global tension index — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial tension index computation...');
-    tensionIndexService.getGlobalTension().catch(console.error);
-  }, 48000);
-  const TENSION_POLL_MS = 15 * 60 * 1000;
-  tensionRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing tension index...');
-    tensionIndexService.getGlobalTension().catch(console.error);
-  }, TENSION_POLL_MS);
-
-  // Briefing — every 10 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial briefing generation...');
-    briefingService.getGlobalBriefing().catch(console.error);
-  }, 55000);
-  const BRIEFING_POLL_MS = 10 * 60 * 1000;
-  briefingRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing global briefing...');
-    briefingService.getGlobalBriefing().catch(console.error);
-  }, BRIEFING_POLL_MS);
-
-  // ── New Phase 2 services (staggered startup) ──
-
-  // Narrative & Sentiment — every 10 minutes (GDELT Tone)
-  setTimeout(() => {
-    console.log('[Worker] Starting initial narrative tracking...');
-    narrativeService.getCombinedData().catch(console.error);
-  }, 58000);
-  const NARRATIVE_POLL_MS = 10 * 60 * 1000;
-  narrativeRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing narrative data...');
-    narrativeService.getCombinedData().catch(console.error);
-  }, NARRATIVE_POLL_MS);
-
-  // Regime Stability — every 30 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial regime stability computation...');
-    regimeService.getCombinedData().catch(console.error);
-  }, 62000);
-  const REGIME_POLL_MS = 30 * 60 * 1000;
-  regimeRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing regime data...');
-    regimeService.getCombinedData().catch(console.error);
-  }, REGIME_POLL_MS);
-
-  // Alliance Network — every 1 hour
-  setTimeout(() => {
-    console.log('[Worker] Starting initial alliance network analysis...');
-    allianceService.getCombinedData().catch(console.error);
-  }, 65000);
-  const ALLIANCE_POLL_MS = 60 * 60 * 1000;
-  allianceRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing alliance data...');
-    allianceService.getCombinedData().catch(console.error);
-  }, ALLIANCE_POLL_MS);
-
-  // Infrastructure Vulnerability — every 15 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial infrastructure monitoring...');
-    infrastructureService.getCombinedData().catch(console.error);
-  }, 68000);
-  const INFRA_POLL_MS = 15 * 60 * 1000;
-  infrastructureRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing infrastructure data...');
-    infrastructureService.getCombinedData().catch(console.error);
-  }, INFRA_POLL_MS);
-
-  // Demographic Risk — every 24 hours (World Bank data is slow-moving)
-  setTimeout(() => {
-    console.log('[Worker] Starting initial demographic risk analysis...');
-    demographicService.getCombinedData().catch(console.error);
-  }, 72000);
-  const DEMOGRAPHIC_POLL_MS = 24 * 60 * 60 * 1000;
-  demographicRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing demographic data...');
-    demographicService.getCombinedData().catch(console.error);
-  }, DEMOGRAPHIC_POLL_MS);
-
-  // Source Credibility — every 10 minutes
-  setTimeout(() => {
-    console.log('[Worker] Starting initial credibility analysis...');
-    credibilityService.getCombinedData().catch(console.error);
-  }, 75000);
-  const CREDIBILITY_POLL_MS = 10 * 60 * 1000;
-  credibilityRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing credibility data...');
-    credibilityService.getCombinedData().catch(console.error);
-  }, CREDIBILITY_POLL_MS);
-
-  // Leadership Intelligence — every 1 hour
-  setTimeout(() => {
-    console.log('[Worker] Starting initial leadership intelligence...');
-    leadershipService.getCombinedData().catch(console.error);
-  }, 78000);
-  const LEADERSHIP_POLL_MS = 60 * 60 * 1000;
-  leadershipRefreshInterval = setInterval(() => {
-    console.log('[Worker] Refreshing leadership data...');
-    leadershipService.getCombinedData().catch(console.error);
-  }, LEADERSHIP_POLL_MS);
-
-  console.log(`[Worker] Background refresh every ${config.polling.news / 1000}s`);
-  console.log(`[Worker] Conflict data refresh every ${CONFLICT_POLL_MS / 1000}s`);
-  console.log(`[Worker] Tariff data refresh every ${TARIFF_POLL_MS / 1000}s`);
-  console.log(`[Worker] World leaders refresh every ${LEADERS_POLL_MS / 1000}s`);
-  console.log(`[Worker] Economic data refresh every ${ECONOMIC_POLL_MS / 1000}s`);
-  console.log(`[Worker] UCDP conflict data refresh every ${UCDP_POLL_MS / 1000}s`);
-  console.log(`[Worker] New services: disasters(${DISASTER_POLL_MS/1000}s) cyber(${CYBER_POLL_MS/1000}s) commodities(${COMMODITIES_POLL_MS/1000}s) tensions(${TENSION_POLL_MS/1000}s)`);
-}
+// Refresh workers are defined in jobs.js and run by the scheduler
+// (status at /api/jobs, manual trigger at POST /api/admin/jobs/:name/run)
+registerJobs();
 
 // ===========================================
 // STARTUP
@@ -492,12 +177,26 @@ async function start() {
     console.warn('[Startup] Redis not connected - caching disabled');
   }
 
+  // Connect to PostgreSQL (historical snapshots)
+  console.log('[Startup] Connecting to PostgreSQL...');
+  const dbConnected = await snapshotService.connect();
+  if (!dbConnected) {
+    console.warn('[Startup] PostgreSQL not connected - history disabled');
+  }
+  await alertsService.connect();
+  await searchIndexService.connect();
+  await tariffOverrideService.connect();
+  await referenceDataService.connect();
+  await frontlineService.connect();
+  await aisService.connect();
+  await predictionHistoryService.connect();
+
   // Initialize WebSocket
   console.log('[Startup] Initializing WebSocket...');
   wsHandler.initialize(server);
 
-  // Start background content refresh
-  startBackgroundRefresh();
+  // Start background refresh jobs
+  scheduler.start();
 
   // Start HTTP server
   server.listen(config.port, () => {
@@ -520,34 +219,11 @@ async function shutdown(signal) {
 
   server.close(() => console.log('[Shutdown] HTTP server closed'));
   
-  if (refreshInterval) clearInterval(refreshInterval);
-  if (conflictRefreshInterval) clearInterval(conflictRefreshInterval);
-  if (tariffRefreshInterval) clearInterval(tariffRefreshInterval);
-  if (leadersRefreshInterval) clearInterval(leadersRefreshInterval);
-  if (economicRefreshInterval) clearInterval(economicRefreshInterval);
-  if (ucdpRefreshInterval) clearInterval(ucdpRefreshInterval);
-  if (electionRefreshInterval) clearInterval(electionRefreshInterval);
-  if (stabilityRefreshInterval) clearInterval(stabilityRefreshInterval);
-  if (disasterRefreshInterval) clearInterval(disasterRefreshInterval);
-  if (cyberRefreshInterval) clearInterval(cyberRefreshInterval);
-  if (refugeeRefreshInterval) clearInterval(refugeeRefreshInterval);
-  if (courtRefreshInterval) clearInterval(courtRefreshInterval);
-  if (commoditiesRefreshInterval) clearInterval(commoditiesRefreshInterval);
-  if (metaculusRefreshInterval) clearInterval(metaculusRefreshInterval);
-  if (sanctionsRefreshInterval) clearInterval(sanctionsRefreshInterval);
-  if (shippingRefreshInterval) clearInterval(shippingRefreshInterval);
-  if (riskRefreshInterval) clearInterval(riskRefreshInterval);
-  if (tensionRefreshInterval) clearInterval(tensionRefreshInterval);
-  if (briefingRefreshInterval) clearInterval(briefingRefreshInterval);
-  if (narrativeRefreshInterval) clearInterval(narrativeRefreshInterval);
-  if (regimeRefreshInterval) clearInterval(regimeRefreshInterval);
-  if (allianceRefreshInterval) clearInterval(allianceRefreshInterval);
-  if (infrastructureRefreshInterval) clearInterval(infrastructureRefreshInterval);
-  if (demographicRefreshInterval) clearInterval(demographicRefreshInterval);
-  if (credibilityRefreshInterval) clearInterval(credibilityRefreshInterval);
-  if (leadershipRefreshInterval) clearInterval(leadershipRefreshInterval);
+  scheduler.stop();
   wsHandler.shutdown();
   await cacheService.disconnect();
+  await aisService.disconnect();
+  await db.end();
 
   console.log('[Shutdown] Complete');
   process.exit(0);
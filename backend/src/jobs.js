@@ -0,0 +1,187 @@
+/**
+ * Background Jobs
+ * Registers every periodic refresh with the scheduler.
+ *
+ * Job names double as snapshot dataset names (see /api/history/:dataset)
+ * alert rule datasets (see alerts.service.js) and WebSocket channels
+ * (see liveChannels.service.js).
+ * Initial delays are staggered to avoid startup contention on shared upstreams.
+ */
+
+import config from './config/index.js';
+import { scheduler } from './services/scheduler.service.js';
+import { snapshotService } from './services/snapshot.service.js';
+import { alertsService } from './services/alerts.service.js';
+import { liveChannels } from './services/liveChannels.service.js';
+import { searchIndexService } from './services/searchIndex.service.js';
+import { gdeltClient } from './services/gdelt.service.js';
+import { aggregationService } from './services/aggregation.service.js';
+import { conflictService } from './services/conflict.service.js';
+import { tariffService } from './services/tariff.service.js';
+import { tariffOverrideService } from './services/tariffOverrides.service.js';
+import { worldBankService, PRELOAD_COUNTRIES } from './services/worldbank.service.js';
+import { wikidataService } from './services/wikidata.service.js';
+import { ucdpService } from './services/ucdp.service.js';
+import { polymarketService } from './services/polymarket.service.js';
+import { kalshiService } from './services/kalshi.service.js';
+import { predictionHistoryService } from './services/predictionHistory.service.js';
+import { electionLiveService } from './services/electionLive.service.js';
+import { electionResultsService } from './services/electionResults.service.js';
+import { electionForecastService } from './services/electionForecast.service.js';
+import { stabilityService } from './services/stability.service.js';
+import { disastersService } from './services/disasters.service.js';
+import { cyberService } from './services/cyber.service.js';
+import { refugeeService } from './services/refugee.service.js';
+import { courtService } from './services/court.service.js';
+import { commoditiesService } from './services/commodities.service.js';
+import { metaculusService } from './services/metaculus.service.js';
+import { sanctionsService } from './services/sanctions.service.js';
+import { shippingService } from './services/shipping.service.js';
+import { flightsService } from './services/flights.service.js';
+import { aisService } from './services/ais.service.js';
+import { countryRiskService } from './services/countryRisk.service.js';
+import { tensionIndexService } from './services/tensionIndex.service.js';
+import { briefingService } from './services/briefing.service.js';
+import { narrativeService } from './services/narrative.service.js';
+import { regimeService } from './services/regime.service.js';
+import { allianceService } from './services/alliance.service.js';
+import { infrastructureService } from './services/infrastructure.service.js';
+import { demographicService } from './services/demographic.service.js';
+import { credibilityService } from './services/credibility.service.js';
+import { leadershipService } from './services/leadership.service.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Job definitions. `snapshot: true` persists each run's result to the
+ * snapshot store under the job name. `sources` are the source health ids
+ * the job fetches from; a run in which every one it called failed counts as
+ * a failure and backs the job off (see scheduler.service.js).
+ */
+const JOBS = [
+  // News content (NewsAPI, Twitter, Reddit, RSS)
+  { name: 'feed', description: 'Combined news/social feed', intervalMs: config.polling.news, initialDelayMs: 0, snapshot: true,
+    sources: ['newsapi', 'twitter', 'reddit'],
+    run: () => aggregationService.getCombinedFeed({ refresh: true }) },
+  { name: 'conflict', description: 'Russia-Ukraine losses + war news', intervalMs: 30 * MINUTE, initialDelayMs: 0, snapshot: true,
+    sources: ['russianwarship'],
+    run: () => conflictService.getLiveData() },
+  { name: 'tariffs', description: 'Tariff news + rate overrides', intervalMs: 15 * MINUTE, initialDelayMs: 0, snapshot: true,
+    run: async () => {
+      await tariffOverrideService.scan();
+      return tariffService.getLiveData();
+    } },
+  { name: 'leaders', description: 'World leaders (Wikidata)', intervalMs: 24 * HOUR, initialDelayMs: 0, snapshot: true,
+    sources: ['wikidata'],
+    run: () => wikidataService.getWorldLeaders() },
+  { name: 'ucdp', description: 'UCDP active conflicts', intervalMs: 24 * HOUR, initialDelayMs: 0, snapshot: true,
+    sources: ['ucdp'],
+    run: () => ucdpService.getActiveConflicts({ refresh: true }) },
+  { name: 'economic', description: 'World Bank indicator pre-warm', intervalMs: 24 * HOUR, initialDelayMs: 10000,
+    sources: ['worldbank'],
+    run: () => worldBankService.preloadCountries(PRELOAD_COUNTRIES) },
+  { name: 'markets', description: 'Polymarket prices (alert rules, price history)', intervalMs: 5 * MINUTE, initialDelayMs: 12000,
+    sources: ['polymarket'],
+    run: () => polymarketService.getAllMarkets() },
+  { name: 'kalshi', description: 'Kalshi prices (price history)', intervalMs: 5 * MINUTE, initialDelayMs: 14000,
+    sources: ['kalshi'],
+    run: () => kalshiService.getAllMarkets() },
+  { name: 'elections', description: 'Market-derived race ratings + FEC', intervalMs: 15 * MINUTE, initialDelayMs: 15000, snapshot: true,
+    sources: ['polymarket', 'kalshi', 'fec'],
+    run: () => electionLiveService.getLiveData() },
+  { name: 'election-forecast', description: 'Race win probabilities + chamber control simulation', intervalMs: 15 * MINUTE, initialDelayMs: 18000, snapshot: true,
+    run: () => electionForecastService.getForecast({ refresh: true }) },
+  { name: 'stability', description: 'Protests, military, instability', intervalMs: 15 * MINUTE, initialDelayMs: 20000, snapshot: true,
+    sources: ['gdelt'],
+    run: () => stabilityService.getCombinedData({ refresh: true }) },
+  { name: 'disasters', description: 'NASA EONET + ReliefWeb', intervalMs: 10 * MINUTE, initialDelayMs: 25000, snapshot: true,
+    sources: ['eonet', 'reliefweb'],
+    run: () => disastersService.getCombinedData({ refresh: true }) },
+  { name: 'cyber', description: 'Cyber incidents + CISA KEV', intervalMs: 10 * MINUTE, initialDelayMs: 28000, snapshot: true,
+    sources: ['cisakev', 'gdelt'],
+    run: () => cyberService.getCombinedData({ refresh: true }) },
+  { name: 'refugees', description: 'Refugee situations + migration news', intervalMs: HOUR, initialDelayMs: 30000, snapshot: true,
+    sources: ['unhcr'],
+    run: () => refugeeService.getCombinedData({ refresh: true }) },
+  { name: 'court', description: 'Court rulings + legal news', intervalMs: 15 * MINUTE, initialDelayMs: 32000, snapshot: true,
+    run: () => courtService.getCombinedData({ refresh: true }) },
+  { name: 'commodities', description: 'Commodity prices + supply news', intervalMs: 5 * MINUTE, initialDelayMs: 34000, snapshot: true,
+    sources: ['yahoo'],
+    run: () => commoditiesService.getCombinedData({ refresh: true }) },
+  { name: 'metaculus', description: 'Metaculus forecasts', intervalMs: 15 * MINUTE, initialDelayMs: 36000, snapshot: true,
+    sources: ['metaculus'],
+    run: () => metaculusService.getCombinedData({ refresh: true }) },
+  { name: 'sanctions', description: 'Sanctions regimes + compliance news', intervalMs: 15 * MINUTE, initialDelayMs: 38000, snapshot: true,
+    run: () => sanctionsService.getCombinedData({ refresh: true }) },
+  { name: 'shipping', description: 'Chokepoints + shipping news', intervalMs: 15 * MINUTE, initialDelayMs: 40000, snapshot: true,
+    run: () => shippingService.getCombinedData({ refresh: true }) },
+  { name: 'flights', description: 'ADS-B aircraft + military tagging', intervalMs: config.flights.pollSeconds * 1000, initialDelayMs: 42000,
+    sources: ['opensky'],
+    run: () => flightsService.refresh() },
+  { name: 'ais', description: 'AIS chokepoint transits + vessel flags', intervalMs: config.ais.pollSeconds * 1000, initialDelayMs: 43000,
+    run: () => aisService.refresh() },
+  { name: 'election-results', description: 'Election-night vote counts + calls', intervalMs: config.electionResults.pollSeconds * 1000, initialDelayMs: 44000,
+    run: () => electionResultsService.refresh() },
+  { name: 'risk', description: 'Country risk scores', intervalMs: 30 * MINUTE, initialDelayMs: 45000, snapshot: true,
+    run: () => countryRiskService.getCountryRiskScores({ refresh: true }) },
+  { name: 'tension', description: 'Global tension index', intervalMs: 15 * MINUTE, initialDelayMs: 48000, snapshot: true,
+    run: () => tensionIndexService.getGlobalTension({ refresh: true }) },
+  { name: 'briefing', description: 'Global intelligence briefing', intervalMs: 10 * MINUTE, initialDelayMs: 55000, snapshot: true,
+    run: () => briefingService.getGlobalBriefing({ refresh: true }) },
+  { name: 'narrative', description: 'Narrative & sentiment (GDELT tone)', intervalMs: 10 * MINUTE, initialDelayMs: 58000, snapshot: true,
+    sources: ['gdelt'],
+    run: () => narrativeService.getCombinedData() },
+  { name: 'regime', description: 'Regime stability + coup risk', intervalMs: 30 * MINUTE, initialDelayMs: 62000, snapshot: true,
+    sources: ['gdelt', 'worldbank'],
+    run: () => regimeService.getCombinedData() },
+  { name: 'alliance', description: 'Alliance network', intervalMs: HOUR, initialDelayMs: 65000, snapshot: true,
+    sources: ['gdelt'],
+    run: () => allianceService.getCombinedData() },
+  { name: 'infrastructure', description: 'Infrastructure vulnerability', intervalMs: 15 * MINUTE, initialDelayMs: 68000, snapshot: true,
+    sources: ['gdelt'],
+    run: () => infrastructureService.getCombinedData() },
+  { name: 'demographic', description: 'Demographic risk (World Bank)', intervalMs: 24 * HOUR, initialDelayMs: 72000, snapshot: true,
+    sources: ['worldbank'],
+    run: () => demographicService.getCombinedData() },
+  { name: 'credibility', description: 'Source credibility', intervalMs: 10 * MINUTE, initialDelayMs: 75000, snapshot: true,
+    sources: ['gdelt'],
+    run: () => credibilityService.getCombinedData() },
+  { name: 'leadership', description: 'Leadership intelligence', intervalMs: HOUR, initialDelayMs: 78000, snapshot: true,
+    sources: ['wikidata', 'gdelt'],
+    run: () => leadershipService.getCombinedData() },
+
+  // Maintenance
+  { name: 'snapshot-prune', description: 'Delete snapshots past retention', intervalMs: 24 * HOUR, initialDelayMs: HOUR,
+    run: () => snapshotService.prune() },
+  { name: 'search-prune', description: 'Drop search documents past retention', intervalMs: 24 * HOUR, initialDelayMs: HOUR,
+    run: () => searchIndexService.prune() },
+  { name: 'prediction-prune', description: 'Drop prediction prices past retention', intervalMs: 24 * HOUR, initialDelayMs: HOUR,
+    run: () => predictionHistoryService.prune() },
+  { name: 'gdelt-cache-prune', description: 'Delete expired GDELT cache files', intervalMs: 24 * HOUR, initialDelayMs: HOUR,
+    run: () => gdeltClient.pruneCache() },
+];
+
+/**
+ * Register all background jobs with the scheduler (does not start them).
+ * Each run's output is snapshotted (if enabled), added to the search index
+ * (news-bearing datasets only), checked against alert rules and pushed to
+ * WebSocket subscribers.
+ */
+export function registerJobs() {
+  for (const { snapshot, run, ...job } of JOBS) {
+    scheduler.register({
+      ...job,
+      run: async () => {
+        const data = await run();
+        if (snapshot) await snapshotService.record(job.name, data);
+        await searchIndexService.ingestJob(job.name, data);
+        await alertsService.evaluate(job.name, data);
+        await liveChannels.publishJob(job.name, data);
+        return data;
+      },
+    });
+  }
+}
+
+export default registerJobs;
@@ -0,0 +1,38 @@
+/**
+ * Admin authentication middleware
+ *
+ * Guards /api/admin/* endpoints with a shared bearer token (ADMIN_API_TOKEN).
+ * If no token is configured the admin API is disabled entirely — there is no
+ * open-by-default mode, even in development.
+ */
+
+import { timingSafeEqual } from 'crypto';
+import config from '../config/index.js';
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware: accepts `Authorization: Bearer <token>` or `X-Admin-Token: <token>`.
+ */
+export function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(403).json({ success: false, error: 'Admin API disabled (ADMIN_API_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ')
+    ? header.slice(7).trim()
+    : (req.get('x-admin-token') || '');
+
+  if (!provided || !tokensMatch(provided, config.admin.token)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+  }
+
+  next();
+}
+
+export default requireAdmin;
@@ -0,0 +1,54 @@
+/**
+ * Cache metadata middleware
+ *
+ * Adds `fetchedAt`, `ageSeconds` and `stale` to every successful JSON object
+ * response under /api, based on the oldest cache entry read while handling
+ * the request (see cacheContext in cache.service.js). Responses that read no
+ * cached data are reported as fetched now.
+ *
+ * GET responses also get ETag / Last-Modified headers. Express answers
+ * If-None-Match / If-Modified-Since with 304 when they match.
+ */
+
+import { createHash } from 'crypto';
+import { cacheContext } from '../services/cache.service.js';
+
+// The ETag covers the payload only; per-request timestamps are left out
+// so unchanged data keeps the same tag
+function computeEtag(body) {
+  const stable = { ...body };
+  delete stable.timestamp;
+  const hash = createHash('sha1').update(JSON.stringify(stable)).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+export function cacheMetadata(req, res, next) {
+  const meta = { fetchedAt: null, stale: false };
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const isObject = body !== null && typeof body === 'object' && !Array.isArray(body);
+    if (!isObject || res.statusCode < 200 || res.statusCode >= 300) return json(body);
+
+    const now = Date.now();
+    const fetchedAt = meta.fetchedAt ?? now;
+    const decorated = {
+      ...body,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      ageSeconds: Math.max(0, Math.round((now - fetchedAt) / 1000)),
+      stale: meta.stale,
+    };
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      res.set('ETag', computeEtag(body));
+      res.set('Last-Modified', new Date(fetchedAt).toUTCString());
+      if (!res.get('Cache-Control')) res.set('Cache-Control', 'no-cache');
+    }
+
+    return json(decorated);
+  };
+
+  cacheContext.run(meta, next);
+}
+
+export default cacheMetadata;
@@ -7,6 +7,9 @@ import { cacheService } from './cache.service.js';
 import { newsService } from './news.service.js';
 import { socialService } from './social.service.js';
 import { feedService } from './feed.service.js';
+import { storyClusterService } from './storyCluster.service.js';
+import { geotagService } from './geotag.service.js';
+import { searchIndexService } from './searchIndex.service.js';
 import config from '../config/index.js';
 
 const CACHE_KEYS = {
@@ -14,10 +17,22 @@ const CACHE_KEYS = {
   byType: (type) => `aggregated:type:${type}`,
 };
 
+// Max new items pushed with a content:updates refresh
+const MAX_PUSHED_ITEMS = 50;
+
 class AggregationService {
+  constructor() {
+    // Cluster ids already announced over content:updates (null until first refresh)
+    this.publishedKeys = null;
+  }
+
   /**
    * Get combined feed from all sources
    * This is the main endpoint for the frontend
+   *
+   * Items are story clusters: the canonical item of each group of
+   * near-duplicates, with the other sources under `cluster`
+   * (see storyCluster.service.js)
    */
   async getCombinedFeed(options = {}) {
     const { 
@@ -67,9 +82,6 @@ class AggregationService {
       ...rssItems,
     ];
 
-    // Sort by date (newest first)
-    allItems.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-
     // Deduplicate by URL
     const seen = new Set();
     const uniqueItems = allItems.filter(item => {
@@ -79,45 +91,57 @@ class AggregationService {
       return true;
     });
 
+    // Tag places mentioned in each item, then group syndicated copies of
+    // the same story (newest first)
+    const taggedItems = geotagService.tagItems(uniqueItems);
+    const clusters = storyClusterService.cluster(taggedItems);
+
+    // Every item goes into the search index, not just the cached stories
+    await searchIndexService.addItems('feed', taggedItems);
+
     // Cache combined results
-    await cacheService.set(cacheKey, uniqueItems, config.cache.combined);
+    await cacheService.set(cacheKey, clusters, config.cache.combined);
 
-    console.log(`[Aggregation] Combined ${uniqueItems.length} unique items`);
+    console.log(`[Aggregation] Combined ${uniqueItems.length} unique items into ${clusters.length} stories`);
+
+    // Publish update for WebSocket clients, with the stories that are new since
+    // the last refresh (clients' set_filters are applied per connection)
+    const newClusters = this.publishedKeys
+      ? clusters.filter(cluster => !this.publishedKeys.has(cluster.cluster.id)).slice(0, MAX_PUSHED_ITEMS)
+      : [];
+    this.publishedKeys = new Set(clusters.map(cluster => cluster.cluster.id));
 
-    // Publish update for WebSocket clients
     await cacheService.publish('content:updates', {
       type: 'refresh',
-      count: uniqueItems.length,
+      count: clusters.length,
+      items: newClusters,
       timestamp: new Date().toISOString(),
     });
 
-    return this.filterAndLimit(uniqueItems, { limit, types, sources });
+    return this.filterAndLimit(clusters, { limit, types, sources });
   }
 
   /**
    * Filter and limit results
+   * A cluster matches when any of its items (canonical or sibling) does
+   * (see storyClusterService.matchesFilters, also used for WebSocket filters)
    */
   filterAndLimit(items, { limit, types, sources }) {
-    let filtered = items;
-
-    // Filter by content type
-    if (types && types.length > 0) {
-      filtered = filtered.filter(item => types.includes(item.contentType));
-    }
-
-    // Filter by source
-    if (sources && sources.length > 0) {
-      const sourcesLower = sources.map(s => s.toLowerCase());
-      filtered = filtered.filter(item => 
-        sourcesLower.some(s => 
-          item.source?.toLowerCase().includes(s) ||
-          item.sourceName?.toLowerCase().includes(s)
-        )
-      );
-    }
+    return items
+      .filter(item => storyClusterService.matchesFilters(item, { types, sources }))
+      .slice(0, limit);
+  }
 
-    // Limit results
-    return filtered.slice(0, limit);
+  /**
+   * Recent geotagged stories as a GeoJSON FeatureCollection
+   */
+  async getGeoFeed({ limit = 300, hours = 24, types } = {}) {
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    const stories = await this.getCombinedFeed({ limit: 1000, types });
+    const recent = stories
+      .filter(story => story.geo && new Date(story.publishedAt).getTime() >= cutoff)
+      .slice(0, limit);
+    return geotagService.toGeoJSON(recent);
   }
 
   /**
@@ -155,22 +179,6 @@ class AggregationService {
     return items.slice(0, limit);
   }
 
-  /**
-   * Search across all content
-   */
-  async search(query, limit = 20) {
-    const allItems = await this.getCombinedFeed({ limit: 500 });
-    const queryLower = query.toLowerCase();
-    
-    return allItems
-      .filter(item =>
-        item.title?.toLowerCase().includes(queryLower) ||
-        item.content?.toLowerCase().includes(queryLower) ||
-        item.summary?.toLowerCase().includes(queryLower)
-      )
-      .slice(0, limit);
-  }
-
   /**
    * Get stats about aggregated content
    */
@@ -179,15 +187,20 @@ class AggregationService {
     
     const byType = {};
     const bySource = {};
+    let totalItems = 0;
     
-    allItems.forEach(item => {
-      byType[item.contentType] = (byType[item.contentType] || 0) + 1;
-      const source = item.sourceName || item.source;
-      bySource[source] = (bySource[source] || 0) + 1;
+    allItems.forEach(cluster => {
+      storyClusterService.members(cluster).forEach(item => {
+        byType[item.contentType] = (byType[item.contentType] || 0) + 1;
+        const source = item.sourceName || item.source;
+        bySource[source] = (bySource[source] || 0) + 1;
+        totalItems++;
+      });
     });
 
     return {
-      totalItems: allItems.length,
+      totalItems,
+      totalStories: allItems.length,
       byType,
       bySource,
       lastUpdated: allItems[0]?.fetchedAt || null,
@@ -0,0 +1,850 @@
+/**
+ * AIS Vessel Tracking Service
+ * Ingests AIS position and static reports, keeps a live vessel table and
+ * counts transits through the shipping chokepoints (shipping.service.js).
+ *
+ * Input (config.ais.provider):
+ *   nmea-tcp — raw !AIVDM/!AIVDO sentences streamed over TCP
+ *   json-url — a JSON vessel list polled on every tick
+ *   replay   — AIS_REPLAY_FILE played back on its own clock; lines are NMEA
+ *              (optionally with a \c:<unix>\ tag block or a leading
+ *              timestamp) or NDJSON vessel records
+ *
+ * Signals:
+ *   transit        — a moving vessel (>= 2 kn) enters a chokepoint geofence;
+ *                    once per vessel per chokepoint per 12 hours
+ *   dark           — a moving vessel last seen inside a geofence has been
+ *                    silent for AIS_DARK_MINUTES
+ *   loitering      — under 1.5 kn within a 3 km circle for AIS_LOITER_HOURS
+ *                    inside a geofence while not reporting anchored/moored
+ *   cape diversion — a tanker transiting the Cape of Good Hope that is not
+ *                    bound for a South African port
+ *
+ * Transits are stored in PostgreSQL (ais_transits) so daily counts survive
+ * restarts; without PostgreSQL the last 30 days are kept in memory.
+ */
+
+import net from 'net';
+import { readFile } from 'fs/promises';
+import config from '../config/index.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { CHOKEPOINTS } from './shipping.service.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS ais_transits (
+    chokepoint VARCHAR(32) NOT NULL,
+    mmsi INTEGER NOT NULL,
+    at TIMESTAMP WITH TIME ZONE NOT NULL,
+    vessel_class VARCHAR(16) NOT NULL,
+    ship_type SMALLINT,
+    name TEXT,
+    destination TEXT,
+    cape_diversion BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (chokepoint, mmsi, at)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ais_transits_at ON ais_transits (at);
+`;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MEMORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 365;
+const TRANSIT_DEDUP_MS = 12 * HOUR_MS;
+const VESSEL_TTL_MS = 48 * HOUR_MS;
+const FRAGMENT_TTL_MS = 60 * 1000;
+const MOVING_KN = 2;
+const LOITER_KN = 1.5;
+const LOITER_RADIUS_KM = 3;
+const MAX_FLAGS = 50;
+const RECONNECT_MS = 30000;
+const STREAM_IDLE_MS = 120000;
+const FETCH_TIMEOUT_MS = 20000;
+const DEFAULT_VESSEL_LIMIT = 3000;
+const MAX_VESSEL_LIMIT = 20000;
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Navigational status 1 = at anchor, 5 = moored: stationary by declaration
+const STATIONARY_NAV_STATUS = new Set([1, 5]);
+const ZA_PORT_RE = /\b(ZA[A-Z]{3}|CAPE ?TOWN|DURBAN|SALDANHA|NGQURA|COEGA|PORT ELIZABETH|MOSSEL ?BAY|RICHARDS ?BAY|EAST LONDON)\b/i;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function zoneFor(lat, lon) {
+  return CHOKEPOINTS.find(cp => distanceKm(lat, lon, cp.lat, cp.lon) <= cp.radiusKm) || null;
+}
+
+/** AIS ship-type code (ITU-R M.1371 table 53) → coarse class. */
+export function vesselClass(shipType) {
+  if (shipType == null || !Number.isFinite(shipType) || shipType === 0) return 'unknown';
+  if (shipType >= 80 && shipType <= 89) return 'tanker';
+  if (shipType >= 70 && shipType <= 79) return 'cargo';
+  if (shipType >= 60 && shipType <= 69) return 'passenger';
+  if (shipType === 30) return 'fishing';
+  if (shipType === 35) return 'military';
+  return 'other';
+}
+
+const isCapeDiversion = (chokepoint, vClass, destination) => (
+  chokepoint === 'cape' && vClass === 'tanker' && !ZA_PORT_RE.test(destination || '')
+);
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// ── AIVDM decoding ───────────────────────────────────────────────────────────
+
+const SIXBIT_TEXT = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+const NMEA_RE = /^!(?:AI|AB|AD|AN|AR|AS|AT|AX|BS|SA)VD[MO],(\d),(\d),(\d?),([AB12]?),([0-9:;<=>?@A-W`a-w]*),([0-5])\*([0-9A-F]{2})/i;
+
+function nmeaChecksumOk(sentence) {
+  const star = sentence.indexOf('*');
+  if (star < 0) return false;
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+  return sum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+function payloadBits(payload, fillBits) {
+  let bits = '';
+  for (let i = 0; i < payload.length; i++) {
+    let v = payload.charCodeAt(i) - 48;
+    if (v > 40) v -= 8;
+    bits += v.toString(2).padStart(6, '0');
+  }
+  return fillBits ? bits.slice(0, bits.length - fillBits) : bits;
+}
+
+const uint = (bits, start, len) => (start + len <= bits.length ? parseInt(bits.slice(start, start + len), 2) : null);
+
+function int(bits, start, len) {
+  const v = uint(bits, start, len);
+  return v != null && v >= 2 ** (len - 1) ? v - 2 ** len : v;
+}
+
+function sixbitText(bits, start, len) {
+  let out = '';
+  for (let i = start; i + 6 <= start + len && i + 6 <= bits.length; i += 6) {
+    out += SIXBIT_TEXT[parseInt(bits.slice(i, i + 6), 2)];
+  }
+  return out.replace(/@.*$/, '').trim() || null;
+}
+
+// Field offsets for position reports: Class A (1-3) and Class B (18, 19)
+const POSITION_LAYOUT = {
+  A: { sog: 50, lon: 61, lat: 89, cog: 116, heading: 128 },
+  B: { sog: 46, lon: 57, lat: 85, cog: 112, heading: 124 },
+};
+
+function decodePosition(bits, layout) {
+  const sog = uint(bits, layout.sog, 10);
+  const lon = int(bits, layout.lon, 28);
+  const lat = int(bits, layout.lat, 27);
+  const cog = uint(bits, layout.cog, 12);
+  const heading = uint(bits, layout.heading, 9);
+  return {
+    sog: sog == null || sog === 1023 ? null : sog / 10,
+    lon: lon == null || lon === 181 * 600000 ? null : lon / 600000,
+    lat: lat == null || lat === 91 * 600000 ? null : lat / 600000,
+    cog: cog == null || cog >= 3600 ? null : cog / 10,
+    heading: heading == null || heading === 511 ? null : heading,
+  };
+}
+
+/**
+ * Decode one assembled AIVDM payload. Returns a partial vessel report
+ * ({ mmsi, ...fields }) or null for message types we don't use.
+ */
+export function decodePayload(payload, fillBits = 0) {
+  const bits = payloadBits(payload, fillBits);
+  const type = uint(bits, 0, 6);
+  const mmsi = uint(bits, 8, 30);
+  if (mmsi == null) return null;
+
+  switch (type) {
+    case 1: case 2: case 3:
+      return { mmsi, navStatus: uint(bits, 38, 4), ...decodePosition(bits, POSITION_LAYOUT.A) };
+    case 18:
+      return { mmsi, ...decodePosition(bits, POSITION_LAYOUT.B) };
+    case 19:
+      return { mmsi, ...decodePosition(bits, POSITION_LAYOUT.B), name: sixbitText(bits, 143, 120), shipType: uint(bits, 263, 8) };
+    case 5: {
+      const draught = uint(bits, 294, 8);
+      return {
+        mmsi,
+        imo: uint(bits, 40, 30) || null,
+        callsign: sixbitText(bits, 70, 42),
+        name: sixbitText(bits, 112, 120),
+        shipType: uint(bits, 232, 8),
+        draught: draught ? draught / 10 : null,
+        destination: sixbitText(bits, 302, 120),
+      };
+    }
+    case 24:
+      return uint(bits, 38, 2) === 0
+        ? { mmsi, name: sixbitText(bits, 40, 120) }
+        : { mmsi, shipType: uint(bits, 40, 8), callsign: sixbitText(bits, 90, 42) };
+    default:
+      return null;
+  }
+}
+
+const num = (value) => {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/** Unix seconds, unix ms or a date string → epoch ms (null if unparseable). */
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n > 1e11 ? n : n * 1000;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * A JSON vessel record → report. Accepts our own field names and AISHub's
+ * upper-case ones (MMSI, LATITUDE, SOG, NAVSTAT, TYPE, DEST, TIME, ...).
+ */
+function fromJsonRecord(record) {
+  const get = (...keys) => {
+    for (const key of keys) if (record[key] != null && record[key] !== '') return record[key];
+    return null;
+  };
+  const cog = num(get('cog', 'course', 'COG'));
+  const heading = num(get('heading', 'HEADING'));
+  return {
+    report: {
+      mmsi: num(get('mmsi', 'MMSI', 'userid')),
+      lat: num(get('lat', 'latitude', 'LATITUDE')),
+      lon: num(get('lon', 'lng', 'longitude', 'LONGITUDE')),
+      sog: num(get('sog', 'speed', 'SOG')),
+      cog: cog != null && cog < 360 ? cog : null,
+      heading: heading != null && heading < 360 ? heading : null,
+      navStatus: num(get('navStatus', 'navstat', 'NAVSTAT', 'status')),
+      name: get('name', 'shipname', 'NAME'),
+      callsign: get('callsign', 'CALLSIGN'),
+      imo: num(get('imo', 'IMO')) || null,
+      shipType: num(get('shipType', 'ship_type', 'shiptype', 'type', 'TYPE')),
+      destination: get('destination', 'dest', 'DEST'),
+      draught: num(get('draught', 'DRAUGHT')),
+    },
+    at: parseTime(get('timestamp', 'time', 'TIME', 'lastSeen')),
+  };
+}
+
+const LEADING_TIME_RE = /^(\d{10}(?:\.\d+)?|\d{13}|\d{4}-\d{2}-\d{2}[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)[\s,;]+(.*)$/;
+const TAG_BLOCK_RE = /^\\([^\\]*)\\/;
+
+/** Split a log line into { at, body }; `at` is null when the line carries no time. */
+function splitTimestamp(line) {
+  let body = line.trim();
+  let at = null;
+  const leading = body.match(LEADING_TIME_RE);
+  if (leading) {
+    at = parseTime(leading[1].replace(' ', 'T'));
+    body = leading[2];
+  }
+  const tag = body.match(TAG_BLOCK_RE);
+  if (tag) {
+    const c = tag[1].match(/(?:^|,)c:(\d+)/);
+    if (c) at = parseTime(c[1]);
+    body = body.slice(tag[0].length);
+  }
+  return { at, body };
+}
+
+function lineTime(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{')) return splitTimestamp(trimmed).at;
+  try {
+    return fromJsonRecord(JSON.parse(trimmed)).at;
+  } catch {
+    return null;
+  }
+}
+
+const isShipMmsi = (mmsi) => Number.isInteger(mmsi) && mmsi >= 200000000 && mmsi < 800000000;
+
+class AisService {
+  constructor() {
+    this.provider = config.ais.provider;
+    this.isConnected = false;
+    this.vessels = new Map();      // mmsi → vessel
+    this.fragments = new Map();    // multi-sentence assembly, key → { parts, at }
+    this.transits = [];            // oldest first, last MEMORY_DAYS
+    this.transitKeys = new Set();
+    this.gaps = [];                // vessels that reappeared after going dark
+    this.clock = 0;                // newest message time (ms); the replay's "now"
+    this.messages = 0;
+    this.lastMessageAt = null;
+    this.lastError = null;
+    this.socket = null;
+    this.streamConnected = false;
+    this.reconnectTimer = null;
+    this.stopped = false;
+    this.replay = null;            // { lines, startedAt, cursor, loop }
+  }
+
+  get enabled() {
+    return this.provider !== 'none';
+  }
+
+  now() {
+    return this.provider === 'replay' ? this.clock : Date.now();
+  }
+
+  async connect() {
+    await this.connectDatabase();
+    if (this.provider === 'nmea-tcp') this.startStream();
+  }
+
+  async connectDatabase() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[AIS] PostgreSQL unavailable - transit counts kept in memory only');
+      return false;
+    }
+    try {
+      const { rows } = await db.query(
+        `SELECT chokepoint, mmsi, at, vessel_class, ship_type, name, destination, cape_diversion
+         FROM ais_transits WHERE at >= NOW() - INTERVAL '${MEMORY_DAYS} days' ORDER BY at`
+      );
+      for (const row of rows) {
+        this.remember({
+          chokepoint: row.chokepoint,
+          mmsi: row.mmsi,
+          at: row.at.getTime(),
+          vesselClass: row.vessel_class,
+          shipType: row.ship_type,
+          name: row.name,
+          destination: row.destination,
+          capeDiversion: row.cape_diversion,
+        });
+      }
+
+      this.isConnected = true;
+      console.log(`[AIS] Loaded ${rows.length} transits from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[AIS] Failed to load transits:', error.message);
+      return false;
+    }
+  }
+
+  // ── Inputs ─────────────────────────────────────────────────────────────────
+
+  startStream() {
+    let url;
+    try {
+      url = new URL(config.ais.url);
+      if (url.protocol !== 'tcp:' || !url.port) throw new Error('expected tcp://host:port');
+    } catch (error) {
+      this.lastError = `Invalid AIS_URL: ${error.message}`;
+      console.error(`[AIS] ${this.lastError}`);
+      return;
+    }
+
+    let buffer = '';
+    const socket = net.createConnection({ host: url.hostname, port: Number(url.port) });
+    this.socket = socket;
+    socket.setEncoding('latin1');
+    socket.setTimeout(STREAM_IDLE_MS, () => socket.destroy(new Error('AIS stream idle')));
+
+    socket.on('connect', () => {
+      this.streamConnected = true;
+      this.lastError = null;
+      console.log(`[AIS] Connected to ${url.host}`);
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      // A stream that never sends a newline isn't NMEA; don't let it grow without bound
+      if (buffer.length > 65536) buffer = '';
+      const at = Date.now();
+      for (const line of lines) this.ingestLine(line, at);
+    });
+    socket.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('[AIS] Stream error:', error.message);
+    });
+    socket.on('close', () => {
+      this.streamConnected = false;
+      if (this.stopped) return;
+      this.reconnectTimer = setTimeout(() => this.startStream(), RECONNECT_MS);
+    });
+  }
+
+  async fetchJson() {
+    const res = await trackedFetch(config.ais.url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`AIS feed HTTP ${res.status}`);
+    const json = await res.json();
+    // AISHub: [{ ERROR, ... }, [vessels]]
+    const records = Array.isArray(json)
+      ? (json.length === 2 && Array.isArray(json[1]) ? json[1] : json)
+      : (json.vessels || json.data || []);
+    const fetchedAt = Date.now();
+    for (const record of records) {
+      const { report, at } = fromJsonRecord(record);
+      this.applyReport(report, at || fetchedAt);
+    }
+  }
+
+  async loadReplay() {
+    const file = config.ais.replayFile;
+    if (!file) throw new Error('AIS_REPLAY_FILE is not set');
+    const raw = (await readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+
+    // Lines without their own time inherit the previous line's
+    let last = null;
+    const lines = raw.map((line) => {
+      const at = lineTime(line);
+      if (at != null) last = at;
+      return { at: last, line };
+    });
+    const firstAt = lines.find(l => l.at != null)?.at ?? Date.now();
+    for (const l of lines) if (l.at == null) l.at = firstAt;
+    // Merged logs from several receivers aren't always in order
+    lines.sort((a, b) => a.at - b.at);
+
+    console.log(`[AIS] Loaded ${lines.length} replay lines from ${file}`);
+    return { lines, startedAt: Date.now(), cursor: 0, loop: 0 };
+  }
+
+  /**
+   * Ingest every replay line due by now at AIS_REPLAY_SPEED, looping (and
+   * clearing vessel state) once the file runs out.
+   */
+  async advanceReplay() {
+    if (!this.replay) this.replay = await this.loadReplay();
+    const { lines, startedAt } = this.replay;
+    const first = lines[0].at;
+    const span = lines[lines.length - 1].at - first + 1000;
+    const speed = config.ais.replaySpeed > 0 ? config.ais.replaySpeed : 1;
+    const elapsed = (Date.now() - startedAt) * speed;
+    const loop = Math.floor(elapsed / span);
+
+    if (loop !== this.replay.loop) {
+      this.replay.loop = loop;
+      this.replay.cursor = 0;
+      this.vessels.clear();
+      this.fragments.clear();
+      this.gaps = [];
+    }
+
+    const due = first + (elapsed % span);
+    while (this.replay.cursor < lines.length && lines[this.replay.cursor].at <= due) {
+      const { line, at } = lines[this.replay.cursor++];
+      this.ingestLine(line, at);
+    }
+  }
+
+  /**
+   * One line of input: an NMEA sentence (with optional tag block / leading
+   * timestamp) or a JSON vessel record.
+   */
+  ingestLine(line, receivedAt) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (trimmed.startsWith('{')) {
+      try {
+        const { report, at } = fromJsonRecord(JSON.parse(trimmed));
+        this.applyReport(report, at || receivedAt);
+      } catch {
+        // Not JSON after all; ignore
+      }
+      return;
+    }
+
+    const { at, body } = splitTimestamp(trimmed);
+    const match = body.match(NMEA_RE);
+    if (!match || !nmeaChecksumOk(body)) return;
+    const [, total, index, seqId, channel, payload, fillBits] = match;
+    const time = at || receivedAt;
+
+    if (total === '1') {
+      this.applyReport(decodePayload(payload, Number(fillBits)), time);
+      return;
+    }
+
+    const key = `${seqId}|${channel}|${total}`;
+    const entry = index === '1' ? { parts: [], at: time } : this.fragments.get(key);
+    if (!entry) return;
+    entry.parts[Number(index) - 1] = payload;
+    this.fragments.set(key, entry);
+    if (index === total && entry.parts.filter(Boolean).length === Number(total)) {
+      this.fragments.delete(key);
+      this.applyReport(decodePayload(entry.parts.join(''), Number(fillBits)), time);
+    }
+  }
+
+  // ── Vessel state ───────────────────────────────────────────────────────────
+
+  applyReport(report, at) {
+    if (!report || !isShipMmsi(report.mmsi) || !Number.isFinite(at)) return;
+    this.messages++;
+    this.lastMessageAt = at;
+    if (at > this.clock) this.clock = at;
+
+    let vessel = this.vessels.get(report.mmsi);
+    if (!vessel) {
+      vessel = { mmsi: report.mmsi, lat: null, lon: null, lastSeen: null, zone: null, lastTransit: {} };
+      this.vessels.set(report.mmsi, vessel);
+    }
+    vessel.heardAt = Math.max(vessel.heardAt || 0, at);
+
+    if (report.shipType != null || report.name || report.destination) this.applyStatic(vessel, report, at);
+    if (Number.isFinite(report.lat) && Number.isFinite(report.lon) && !(report.lat === 0 && report.lon === 0)) {
+      this.applyPosition(vessel, report, at);
+    }
+  }
+
+  applyStatic(vessel, report, at) {
+    for (const field of ['name', 'callsign', 'imo', 'destination', 'draught']) {
+      if (report[field] != null) vessel[field] = report[field];
+    }
+    if (report.shipType != null && report.shipType !== vessel.shipType) {
+      vessel.shipType = report.shipType;
+      vessel.vesselClass = vesselClass(report.shipType);
+      this.reclassifyTransits(vessel, at);
+    }
+  }
+
+  applyPosition(vessel, report, at) {
+    // Out-of-order sentences (e.g. from a second receiver) would rewind the track
+    if (vessel.lastSeen != null && at < vessel.lastSeen) return;
+
+    if (vessel.zone && vessel.lastSeen != null && (vessel.sog ?? 0) >= MOVING_KN
+      && at - vessel.lastSeen >= config.ais.darkMinutes * 60000) {
+      this.gaps.push({
+        mmsi: vessel.mmsi,
+        name: vessel.name || null,
+        vesselClass: vessel.vesselClass || 'unknown',
+        chokepoint: vessel.zone,
+        lastSeen: new Date(vessel.lastSeen).toISOString(),
+        reappearedAt: new Date(at).toISOString(),
+        gapHours: Math.round(((at - vessel.lastSeen) / HOUR_MS) * 10) / 10,
+        distanceKm: Math.round(distanceKm(vessel.lat, vessel.lon, report.lat, report.lon)),
+      });
+      if (this.gaps.length > MAX_FLAGS) this.gaps.shift();
+    }
+
+    vessel.lat = report.lat;
+    vessel.lon = report.lon;
+    vessel.sog = report.sog ?? null;
+    vessel.cog = report.cog ?? null;
+    vessel.heading = report.heading ?? null;
+    if (report.navStatus != null) vessel.navStatus = report.navStatus;
+    vessel.lastSeen = at;
+
+    const zone = zoneFor(report.lat, report.lon);
+    if (zone && zone.id !== vessel.zone && (vessel.sog ?? 0) >= MOVING_KN
+      && at - (vessel.lastTransit[zone.id] || 0) > TRANSIT_DEDUP_MS) {
+      vessel.lastTransit[zone.id] = at;
+      this.recordTransit(vessel, zone.id, at);
+    }
+    vessel.zone = zone?.id || null;
+
+    if (vessel.sog != null && vessel.sog < LOITER_KN) {
+      if (!vessel.slowSince || distanceKm(vessel.slowLat, vessel.slowLon, vessel.lat, vessel.lon) > LOITER_RADIUS_KM) {
+        vessel.slowSince = at;
+        vessel.slowLat = vessel.lat;
+        vessel.slowLon = vessel.lon;
+      }
+    } else {
+      vessel.slowSince = null;
+    }
+  }
+
+  recordTransit(vessel, chokepoint, at) {
+    const vClass = vessel.vesselClass || 'unknown';
+    const transit = {
+      chokepoint,
+      mmsi: vessel.mmsi,
+      at,
+      vesselClass: vClass,
+      shipType: vessel.shipType ?? null,
+      name: vessel.name || null,
+      destination: vessel.destination || null,
+      capeDiversion: isCapeDiversion(chokepoint, vClass, vessel.destination),
+    };
+    if (!this.remember(transit)) return;
+    this.persistTransit(transit);
+  }
+
+  /** Add a transit to the in-memory window; false if already counted. */
+  remember(transit) {
+    const key = `${transit.chokepoint}:${transit.mmsi}:${transit.at}`;
+    if (this.transitKeys.has(key)) return false;
+    this.transitKeys.add(key);
+    this.transits.push(transit);
+    return true;
+  }
+
+  /**
+   * Static data (type 5 / 24) often arrives minutes after the first position,
+   * so a transit recorded as 'unknown' is upgraded once the ship type is known.
+   */
+  reclassifyTransits(vessel, at) {
+    const since = at - TRANSIT_DEDUP_MS;
+    for (const transit of this.transits) {
+      if (transit.mmsi !== vessel.mmsi || transit.vesselClass !== 'unknown' || transit.at < since) continue;
+      transit.vesselClass = vessel.vesselClass;
+      transit.shipType = vessel.shipType;
+      transit.name = vessel.name || transit.name;
+      transit.destination = vessel.destination || transit.destination;
+      transit.capeDiversion = isCapeDiversion(transit.chokepoint, transit.vesselClass, transit.destination);
+      this.persistTransit(transit);
+    }
+  }
+
+  async persistTransit(transit) {
+    if (!this.isConnected) return;
+    try {
+      await db.query(
+        `INSERT INTO ais_transits (chokepoint, mmsi, at, vessel_class, ship_type, name, destination, cape_diversion)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (chokepoint, mmsi, at) DO UPDATE SET
+           vessel_class = EXCLUDED.vessel_class, ship_type = EXCLUDED.ship_type, name = EXCLUDED.name,
+           destination = EXCLUDED.destination, cape_diversion = EXCLUDED.cape_diversion`,
+        [transit.chokepoint, transit.mmsi, new Date(transit.at), transit.vesselClass, transit.shipType,
+          transit.name, transit.destination, transit.capeDiversion]
+      );
+    } catch (error) {
+      console.error('[AIS] Persist error:', error.message);
+    }
+  }
+
+  prune(now) {
+    for (const [mmsi, vessel] of this.vessels) {
+      if (now - vessel.heardAt > VESSEL_TTL_MS) this.vessels.delete(mmsi);
+    }
+    for (const [key, entry] of this.fragments) {
+      if (now - entry.at > FRAGMENT_TTL_MS) this.fragments.delete(key);
+    }
+    const cutoff = now - MEMORY_DAYS * DAY_MS;
+    while (this.transits.length && this.transits[0].at < cutoff) {
+      const old = this.transits.shift();
+      this.transitKeys.delete(`${old.chokepoint}:${old.mmsi}:${old.at}`);
+    }
+  }
+
+  /**
+   * Background tick: poll JSON / advance the replay, prune, and return the
+   * summary pushed on the `ais` channel.
+   */
+  async refresh() {
+    if (!this.enabled) return this.getSummary();
+    try {
+      if (this.provider === 'json-url') await this.fetchJson();
+      else if (this.provider === 'replay') await this.advanceReplay();
+      if (this.provider !== 'nmea-tcp') this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('[AIS] Refresh error:', error.message);
+    }
+    this.prune(this.now());
+    return this.getSummary();
+  }
+
+  // ── Queries ────────────────────────────────────────────────────────────────
+
+  describeVessel(vessel) {
+    return {
+      mmsi: vessel.mmsi,
+      name: vessel.name || null,
+      callsign: vessel.callsign || null,
+      imo: vessel.imo || null,
+      shipType: vessel.shipType ?? null,
+      vesselClass: vessel.vesselClass || 'unknown',
+      destination: vessel.destination || null,
+      draught: vessel.draught ?? null,
+      lat: vessel.lat,
+      lon: vessel.lon,
+      sog: vessel.sog ?? null,
+      cog: vessel.cog ?? null,
+      heading: vessel.heading ?? null,
+      navStatus: vessel.navStatus ?? null,
+      chokepoint: vessel.zone,
+      lastSeen: new Date(vessel.lastSeen).toISOString(),
+    };
+  }
+
+  /**
+   * Dark, loitering, reappeared-after-gap and Cape-diverting vessels.
+   */
+  getFlags(now = this.now()) {
+    const darkMs = config.ais.darkMinutes * 60000;
+    const loiterMs = config.ais.loiterHours * HOUR_MS;
+    const dark = [];
+    const loitering = [];
+
+    for (const vessel of this.vessels.values()) {
+      if (!vessel.zone || vessel.lastSeen == null) continue;
+      const silentMs = now - vessel.lastSeen;
+      if (silentMs >= darkMs && (vessel.sog ?? 0) >= MOVING_KN) {
+        dark.push({ ...this.describeVessel(vessel), silentHours: Math.round((silentMs / HOUR_MS) * 10) / 10 });
+      } else if (silentMs < darkMs && vessel.slowSince != null && now - vessel.slowSince >= loiterMs
+        && !STATIONARY_NAV_STATUS.has(vessel.navStatus)) {
+        loitering.push({ ...this.describeVessel(vessel), loiterHours: Math.round(((now - vessel.slowSince) / HOUR_MS) * 10) / 10 });
+      }
+    }
+
+    const weekAgo = now - 7 * DAY_MS;
+    const capeDiversions = this.transits
+      .filter(t => t.capeDiversion && t.at >= weekAgo)
+      .slice(-MAX_FLAGS)
+      .reverse()
+      .map(t => ({ ...t, at: new Date(t.at).toISOString() }));
+
+    return {
+      dark: dark.sort((a, b) => b.silentHours - a.silentHours).slice(0, MAX_FLAGS),
+      loitering: loitering.sort((a, b) => b.loiterHours - a.loiterHours).slice(0, MAX_FLAGS),
+      capeDiversions,
+      gaps: this.gaps.slice().reverse(),
+    };
+  }
+
+  /**
+   * Per-chokepoint transit counts: last 24 hours against the daily average
+   * of the 7 days before, split by vessel class.
+   */
+  getChokepointStats(now = this.now()) {
+    const stats = new Map(CHOKEPOINTS.map(cp => [cp.id, {
+      id: cp.id,
+      name: cp.name,
+      last24h: 0,
+      byClass24h: {},
+      prior7d: 0,
+    }]));
+    const dayAgo = now - DAY_MS;
+    const eightDaysAgo = now - 8 * DAY_MS;
+
+    for (const t of this.transits) {
+      const entry = stats.get(t.chokepoint);
+      if (!entry || t.at > now) continue;
+      if (t.at >= dayAgo) {
+        entry.last24h++;
+        entry.byClass24h[t.vesselClass] = (entry.byClass24h[t.vesselClass] || 0) + 1;
+      } else if (t.at >= eightDaysAgo) {
+        entry.prior7d++;
+      }
+    }
+
+    return [...stats.values()].map(({ prior7d, ...entry }) => {
+      const avg7d = Math.round((prior7d / 7) * 10) / 10;
+      return {
+        ...entry,
+        avg7d,
+        changePct: avg7d > 0 ? Math.round(((entry.last24h - avg7d) / avg7d) * 100) : null,
+      };
+    });
+  }
+
+  /**
+   * Transits per chokepoint per UTC day, oldest first. Windows beyond the
+   * in-memory 30 days are read from PostgreSQL.
+   */
+  async getDailyTransits({ days = 14, chokepoint = null } = {}) {
+    const span = Math.min(Math.max(parseInt(days, 10) || 14, 1), MAX_HISTORY_DAYS);
+    const now = this.now() || Date.now();
+    const dates = Array.from({ length: span }, (_, i) => dayKey(now - (span - 1 - i) * DAY_MS));
+    const since = Date.parse(`${dates[0]}T00:00:00Z`);
+
+    let rows;
+    if (span > MEMORY_DAYS && this.isConnected) {
+      const { rows: dbRows } = await db.query(
+        `SELECT chokepoint, to_char(at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, vessel_class, COUNT(*)::int AS count
+         FROM ais_transits WHERE at >= $1 GROUP BY 1, 2, 3`,
+        [new Date(since)]
+      );
+      rows = dbRows.map(r => ({ chokepoint: r.chokepoint, day: r.day, vesselClass: r.vessel_class, count: r.count }));
+    } else {
+      rows = this.transits
+        .filter(t => t.at >= since)
+        .map(t => ({ chokepoint: t.chokepoint, day: dayKey(t.at), vesselClass: t.vesselClass, count: 1 }));
+    }
+
+    const series = new Map(CHOKEPOINTS
+      .filter(cp => !chokepoint || cp.id === chokepoint)
+      .map(cp => [cp.id, new Map(dates.map(date => [date, { date, total: 0, byClass: {} }]))]));
+    for (const row of rows) {
+      const day = series.get(row.chokepoint)?.get(row.day);
+      if (!day) continue;
+      day.total += row.count;
+      day.byClass[row.vesselClass] = (day.byClass[row.vesselClass] || 0) + row.count;
+    }
+
+    return CHOKEPOINTS
+      .filter(cp => series.has(cp.id))
+      .map(cp => ({ id: cp.id, name: cp.name, days: [...series.get(cp.id).values()] }));
+  }
+
+  /**
+   * Vessels with a known position, optionally within a bbox
+   * ({ minLon, minLat, maxLon, maxLat }), a chokepoint zone or a class.
+   */
+  getVessels({ bbox = null, chokepoint = null, vesselClass: vClass = null, limit = DEFAULT_VESSEL_LIMIT } = {}) {
+    const cap = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_VESSEL_LIMIT, 1), MAX_VESSEL_LIMIT);
+    const matched = [...this.vessels.values()].filter((v) => {
+      if (v.lat == null) return false;
+      if (chokepoint && v.zone !== chokepoint) return false;
+      if (vClass && (v.vesselClass || 'unknown') !== vClass) return false;
+      if (!bbox) return true;
+      if (v.lat < bbox.minLat || v.lat > bbox.maxLat) return false;
+      return bbox.minLon <= bbox.maxLon
+        ? v.lon >= bbox.minLon && v.lon <= bbox.maxLon
+        : v.lon >= bbox.minLon || v.lon <= bbox.maxLon;
+    });
+    // Vessels inside a chokepoint first so a limit keeps the ones that matter
+    matched.sort((a, b) => (!a.zone) - (!b.zone) || b.lastSeen - a.lastSeen);
+    return { vessels: matched.slice(0, cap).map(v => this.describeVessel(v)), matched: matched.length };
+  }
+
+  getStatus() {
+    return {
+      provider: this.provider,
+      enabled: this.enabled,
+      streamConnected: this.provider === 'nmea-tcp' ? this.streamConnected : null,
+      persistent: this.isConnected,
+      vessels: this.vessels.size,
+      messages: this.messages,
+      lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+
+  getSummary() {
+    const now = this.now();
+    const flags = this.getFlags(now);
+    return {
+      status: this.getStatus(),
+      asOf: now ? new Date(now).toISOString() : null,
+      chokepoints: this.getChokepointStats(now),
+      flags,
+      counts: {
+        dark: flags.dark.length,
+        loitering: flags.loitering.length,
+        capeDiversions7d: flags.capeDiversions.length,
+      },
+    };
+  }
+
+  async disconnect() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) this.socket.destroy();
+  }
+}
+
+export const aisService = new AisService();
+export default aisService;
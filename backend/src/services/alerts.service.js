@@ -0,0 +1,493 @@
+/**
+ * Alert Rules Engine
+ * User-defined conditions over refreshed datasets (risk, tension, markets,
+ * disasters, cyber, sanctions). Rules are evaluated after each background
+ * refresh (see jobs.js); matches are pushed to WebSocket clients on the
+ * `alerts` channel and POSTed to the configured outbound webhooks.
+ *
+ * Rule types:
+ *   above / below - metric crosses a threshold (fires on the crossing, not while it stays there)
+ *   change        - metric moves by at least `threshold` within `windowMinutes`
+ *   new_item      - a new entry appears in a dataset list (e.g. a CISA KEV CVE)
+ *
+ * Rules persist to PostgreSQL (alert_rules) when available, otherwise they
+ * live in memory until restart.
+ */
+
+import { createHmac } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { wsHandler } from './websocket.service.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id VARCHAR(64) PRIMARY KEY,
+    rule JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+  );
+`;
+
+const RULE_TYPES = ['above', 'below', 'change', 'new_item'];
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_RULES = 500;
+const RECENT_ALERTS_LIMIT = 200;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const round = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Dataset adapters. Each turns a job's output into
+ *   values: { [entityKey]: { [metric]: number } }
+ *   items:  [{ id, title, url }]   (for new_item rules)
+ * Entity keys are lower-cased for matching; `labels` keeps display names.
+ */
+const DATASETS = {
+  tension: {
+    label: 'Global tension index',
+    metrics: ['index', 'tension', 'intensity'],
+    defaultKey: 'global',
+    extract(data) {
+      const values = { global: { index: data.index } };
+      const labels = { global: 'Global' };
+      for (const f of data.flashpoints || []) {
+        values[f.id.toLowerCase()] = { tension: f.tension };
+        labels[f.id.toLowerCase()] = f.name || f.id;
+      }
+      for (const c of data.activeConflicts || []) {
+        values[c.id.toLowerCase()] = { intensity: c.intensity };
+        labels[c.id.toLowerCase()] = c.name || c.id;
+      }
+      return { values, labels, items: [] };
+    },
+  },
+  risk: {
+    label: 'Country risk scores',
+    metrics: ['score'],
+    defaultKey: null,
+    extract(data) {
+      const values = {};
+      const labels = {};
+      for (const s of data.scores || []) {
+        values[s.country.toLowerCase()] = { score: s.score };
+        labels[s.country.toLowerCase()] = s.country;
+      }
+      return { values, labels, items: [] };
+    },
+  },
+  markets: {
+    label: 'Polymarket probabilities (%)',
+    metrics: ['probability'],
+    defaultKey: null,
+    extract(data) {
+      const values = {};
+      const labels = {};
+      for (const m of Array.isArray(data) ? data : []) {
+        // Binary markets: YES price; multi-outcome events: first listed outcome
+        const price = m.outcomes?.[0]?.price;
+        if (price == null) continue;
+        const key = String(m.id).toLowerCase();
+        values[key] = { probability: round(price * 100) };
+        labels[key] = m.question;
+      }
+      return { values, labels, items: [] };
+    },
+  },
+  disasters: {
+    label: 'Natural disasters (EONET / ReliefWeb)',
+    metrics: ['active'],
+    defaultKey: 'global',
+    extract(data) {
+      return {
+        values: { global: { active: data.summary?.totalActive || 0 } },
+        labels: { global: 'Global' },
+        items: [...(data.activeEvents || []), ...(data.recentDisasters || [])]
+          .map(e => ({ id: e.id, title: e.title, url: e.link || e.url || null })),
+      };
+    },
+  },
+  cyber: {
+    label: 'Cyber incidents + CISA KEV',
+    metrics: ['incidents', 'vulnerabilities', 'ransomware'],
+    defaultKey: 'global',
+    extract(data) {
+      const s = data.summary || {};
+      return {
+        values: { global: { incidents: s.totalIncidents || 0, vulnerabilities: s.totalVulnerabilities || 0, ransomware: s.ransomwareRelated || 0 } },
+        labels: { global: 'Global' },
+        items: (data.vulnerabilities || []).map(v => ({
+          id: v.id,
+          title: [v.cve, v.vendor, v.product, v.name].filter(Boolean).join(' — '),
+          url: v.cve ? `https://nvd.nist.gov/vuln/detail/${v.cve}` : null,
+        })),
+      };
+    },
+  },
+  sanctions: {
+    label: 'Sanctions news',
+    metrics: [],
+    defaultKey: 'global',
+    extract(data) {
+      return {
+        values: {},
+        labels: {},
+        items: (data.recentNews || []).map(n => ({ id: n.link || n.title, title: n.title, url: n.link || null })),
+      };
+    },
+  },
+};
+
+/**
+ * A non-negative number of minutes, or `fallback` when omitted. Throws on
+ * anything else: NaN would silently disable cooldown and window checks.
+ */
+function parseMinutes(value, field, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) throw new Error(`${field} must be a non-negative number`);
+  return minutes;
+}
+
+/**
+ * Validate and normalize a rule definition. Throws with a user-facing
+ * message on invalid input.
+ */
+function normalizeRule(input, existing = null) {
+  const rule = { ...input };
+  const dataset = DATASETS[rule.dataset];
+  if (!dataset) throw new Error(`Unknown dataset (expected one of: ${Object.keys(DATASETS).join(', ')})`);
+  if (!RULE_TYPES.includes(rule.type)) throw new Error(`Unknown rule type (expected one of: ${RULE_TYPES.join(', ')})`);
+
+  const normalized = {
+    id: existing?.id || uuidv4(),
+    name: String(rule.name || '').trim().slice(0, 120),
+    dataset: rule.dataset,
+    type: rule.type,
+    enabled: rule.enabled !== false,
+    webhook: rule.webhook !== false,
+    cooldownMinutes: parseMinutes(rule.cooldownMinutes, 'cooldownMinutes', 60),
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  if (rule.type === 'new_item') {
+    normalized.match = rule.match ? String(rule.match).trim().slice(0, 120) : null;
+  } else {
+    if (!dataset.metrics.includes(rule.metric)) {
+      throw new Error(`Dataset "${rule.dataset}" supports metrics: ${dataset.metrics.join(', ') || 'none'}`);
+    }
+    const threshold = Number(rule.threshold);
+    if (!Number.isFinite(threshold)) throw new Error('threshold must be a number');
+    const key = String(rule.key || dataset.defaultKey || '').trim();
+    if (!key) throw new Error(`key is required for dataset "${rule.dataset}" (use "*" for any)`);
+
+    normalized.metric = rule.metric;
+    normalized.key = key;
+    normalized.threshold = threshold;
+    if (rule.type === 'change') {
+      normalized.direction = ['up', 'down'].includes(rule.direction) ? rule.direction : 'any';
+      normalized.windowMinutes = Math.min(MAX_WINDOW_MINUTES, Math.max(1, parseMinutes(rule.windowMinutes, 'windowMinutes', 60)));
+    }
+  }
+
+  if (!normalized.name) normalized.name = describeRule(normalized);
+  return normalized;
+}
+
+function describeRule(rule) {
+  switch (rule.type) {
+    case 'above': return `${rule.dataset} ${rule.key} ${rule.metric} > ${rule.threshold}`;
+    case 'below': return `${rule.dataset} ${rule.key} ${rule.metric} < ${rule.threshold}`;
+    case 'change': return `${rule.dataset} ${rule.key} ${rule.metric} moves ${rule.threshold}+ in ${rule.windowMinutes}m`;
+    default: return `New ${rule.dataset} item${rule.match ? ` matching "${rule.match}"` : ''}`;
+  }
+}
+
+class AlertsService {
+  constructor() {
+    this.isConnected = false;
+    this.rules = new Map();
+    this.recent = [];
+    // `${dataset}|${entity}|${metric}` -> [{ t, v }] within MAX_WINDOW_MINUTES
+    this.samples = new Map();
+    // `${ruleId}|${entity}` -> whether the threshold condition held last time
+    this.conditionState = new Map();
+    // `${ruleId}|${entity}` -> last fired timestamp (ms)
+    this.lastFired = new Map();
+    // dataset -> Set of item ids already seen (first refresh only seeds it)
+    this.seenItems = new Map();
+  }
+
+  async connect() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[Alerts] PostgreSQL unavailable - rules kept in memory only');
+      return false;
+    }
+    try {
+      const { rows } = await db.query('SELECT rule FROM alert_rules ORDER BY created_at');
+      for (const { rule } of rows) this.rules.set(rule.id, rule);
+      this.isConnected = true;
+      console.log(`[Alerts] Loaded ${rows.length} rules from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[Alerts] Failed to load rules:', error.message);
+      return false;
+    }
+  }
+
+  // ── Rule management ──
+
+  listRules() {
+    return Array.from(this.rules.values());
+  }
+
+  getRule(id) {
+    return this.rules.get(id) || null;
+  }
+
+  async createRule(input) {
+    if (this.rules.size >= MAX_RULES) throw new Error(`Rule limit reached (${MAX_RULES})`);
+    const rule = normalizeRule(input);
+    this.rules.set(rule.id, rule);
+    await this.persist(rule);
+    return rule;
+  }
+
+  async updateRule(id, input) {
+    const existing = this.rules.get(id);
+    if (!existing) return null;
+    const rule = normalizeRule({ ...existing, ...input }, existing);
+    this.rules.set(id, rule);
+    this.resetRuleState(id);
+    await this.persist(rule);
+    return rule;
+  }
+
+  async deleteRule(id) {
+    if (!this.rules.delete(id)) return false;
+    this.resetRuleState(id);
+    if (this.isConnected) {
+      try {
+        await db.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+      } catch (error) {
+        console.error('[Alerts] Delete error:', error.message);
+      }
+    }
+    return true;
+  }
+
+  async persist(rule) {
+    if (!this.isConnected) return;
+    try {
+      await db.query(
+        `INSERT INTO alert_rules (id, rule) VALUES ($1, $2)
+         ON CONFLICT (id) DO UPDATE SET rule = EXCLUDED.rule`,
+        [rule.id, JSON.stringify(rule)]
+      );
+    } catch (error) {
+      console.error('[Alerts] Persist error:', error.message);
+    }
+  }
+
+  resetRuleState(id) {
+    for (const map of [this.conditionState, this.lastFired]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(`${id}|`)) map.delete(key);
+      }
+    }
+  }
+
+  getDatasets() {
+    return Object.entries(DATASETS).map(([id, d]) => ({
+      id,
+      label: d.label,
+      metrics: d.metrics,
+      defaultKey: d.defaultKey,
+      supportsNewItems: id === 'disasters' || id === 'cyber' || id === 'sanctions',
+    }));
+  }
+
+  getRecentAlerts(limit = 50) {
+    return this.recent.slice(0, Math.min(limit, RECENT_ALERTS_LIMIT));
+  }
+
+  // ── Evaluation ──
+
+  /**
+   * Evaluate all enabled rules for a dataset against fresh job output.
+   * Never throws: a bad rule or payload must not fail the refresh job.
+   * @returns {Promise<object[]>} alerts fired
+   */
+  async evaluate(datasetName, data) {
+    const dataset = DATASETS[datasetName];
+    if (!dataset || data == null) return [];
+
+    let alerts = [];
+    try {
+      const now = Date.now();
+      const { values, labels, items } = dataset.extract(data);
+      this.recordSamples(datasetName, values, now);
+      const newItems = this.diffItems(datasetName, items);
+
+      for (const rule of this.rules.values()) {
+        if (!rule.enabled || rule.dataset !== datasetName) continue;
+        const matches = rule.type === 'new_item'
+          ? this.matchNewItems(rule, newItems)
+          : this.matchMetric(rule, values, labels, now);
+
+        for (const match of matches) {
+          const stateKey = `${rule.id}|${match.entity}`;
+          const last = this.lastFired.get(stateKey);
+          if (last && now - last < rule.cooldownMinutes * 60 * 1000) continue;
+          this.lastFired.set(stateKey, now);
+          alerts.push(this.buildAlert(rule, match, now));
+        }
+      }
+    } catch (error) {
+      console.error(`[Alerts] Evaluation error (${datasetName}):`, error.message);
+      return [];
+    }
+
+    for (const alert of alerts) await this.dispatch(alert);
+    if (alerts.length > 0) console.log(`[Alerts] ${alerts.length} alert(s) fired for ${datasetName}`);
+    return alerts;
+  }
+
+  recordSamples(datasetName, values, now) {
+    const cutoff = now - MAX_WINDOW_MINUTES * 60 * 1000;
+    for (const [entity, metrics] of Object.entries(values)) {
+      for (const [metric, v] of Object.entries(metrics)) {
+        if (!Number.isFinite(v)) continue;
+        const key = `${datasetName}|${entity}|${metric}`;
+        const series = this.samples.get(key) || [];
+        series.push({ t: now, v });
+        while (series.length > 0 && series[0].t < cutoff) series.shift();
+        this.samples.set(key, series);
+      }
+    }
+  }
+
+  diffItems(datasetName, items) {
+    const seen = this.seenItems.get(datasetName);
+    const ids = new Set(items.map(i => i.id).filter(Boolean));
+    this.seenItems.set(datasetName, ids);
+    // First refresh after startup only establishes the baseline
+    if (!seen) return [];
+    return items.filter(i => i.id && !seen.has(i.id));
+  }
+
+  matchNewItems(rule, newItems) {
+    const needle = rule.match?.toLowerCase();
+    return newItems
+      .filter(i => !needle || i.title?.toLowerCase().includes(needle))
+      .map(i => ({ entity: i.id, label: i.title, item: i }));
+  }
+
+  matchMetric(rule, values, labels, now) {
+    const entities = rule.key === '*' ? Object.keys(values) : [rule.key.toLowerCase()];
+    const matches = [];
+
+    for (const entity of entities) {
+      const value = values[entity]?.[rule.metric];
+      if (!Number.isFinite(value)) continue;
+      const label = labels[entity] || entity;
+
+      if (rule.type === 'above' || rule.type === 'below') {
+        const holds = rule.type === 'above' ? value > rule.threshold : value < rule.threshold;
+        const stateKey = `${rule.id}|${entity}`;
+        const held = this.conditionState.get(stateKey) || false;
+        this.conditionState.set(stateKey, holds);
+        if (holds && !held) matches.push({ entity, label, value });
+        continue;
+      }
+
+      // change: largest move against any sample inside the window
+      const series = this.samples.get(`${rule.dataset}|${entity}|${rule.metric}`) || [];
+      const windowStart = now - rule.windowMinutes * 60 * 1000;
+      let best = null;
+      // Last sample is the value just recorded
+      for (const s of series.slice(0, -1)) {
+        if (s.t < windowStart) continue;
+        const delta = value - s.v;
+        if (rule.direction === 'up' && delta <= 0) continue;
+        if (rule.direction === 'down' && delta >= 0) continue;
+        if (Math.abs(delta) >= rule.threshold && (!best || Math.abs(delta) > Math.abs(best.delta))) {
+          best = { delta, previous: s.v, since: new Date(s.t).toISOString() };
+        }
+      }
+      if (best) matches.push({ entity, label, value, ...best });
+    }
+    return matches;
+  }
+
+  buildAlert(rule, match, now) {
+    let message;
+    if (rule.type === 'new_item') {
+      message = `New ${rule.dataset} item: ${match.label}`;
+    } else if (rule.type === 'change') {
+      const sign = match.delta > 0 ? '+' : '';
+      message = `${match.label} ${rule.metric} ${sign}${round(match.delta)} (${match.previous} → ${match.value}) within ${rule.windowMinutes}m`;
+    } else {
+      message = `${match.label} ${rule.metric} ${rule.type} ${rule.threshold} (now ${match.value})`;
+    }
+
+    return {
+      id: uuidv4(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      dataset: rule.dataset,
+      type: rule.type,
+      entity: match.entity,
+      label: match.label,
+      metric: rule.metric || null,
+      value: match.value ?? null,
+      previous: match.previous ?? null,
+      delta: match.delta != null ? round(match.delta) : null,
+      item: match.item || null,
+      message,
+      triggeredAt: new Date(now).toISOString(),
+    };
+  }
+
+  async dispatch(alert) {
+    this.recent.unshift(alert);
+    if (this.recent.length > RECENT_ALERTS_LIMIT) this.recent.length = RECENT_ALERTS_LIMIT;
+
+    wsHandler.broadcast('alerts', { type: 'alert', alert });
+
+    const rule = this.rules.get(alert.ruleId);
+    if (rule?.webhook !== false) await this.sendWebhooks(alert);
+  }
+
+  /**
+   * POST an alert to every configured webhook. When ALERT_WEBHOOK_SECRET is
+   * set, the body is signed: X-Monitored-Signature: sha256=<hex hmac>.
+   */
+  async sendWebhooks(alert) {
+    const urls = config.alerts.webhookUrls;
+    if (urls.length === 0) return;
+
+    const body = JSON.stringify({ type: 'alert', alert });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'Monitored-Alerts/1.0' };
+    if (config.alerts.webhookSecret) {
+      headers['X-Monitored-Signature'] = `sha256=${createHmac('sha256', config.alerts.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    await Promise.allSettled(urls.map(async (url) => {
+      try {
+        const res = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        if (!res.ok) console.error(`[Alerts] Webhook ${url} responded ${res.status}`);
+      } catch (error) {
+        console.error(`[Alerts] Webhook ${url} failed:`, error.message);
+      }
+    }));
+  }
+}
+
+export const alertsService = new AlertsService();
+export default alertsService;
@@ -9,6 +9,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_TTL = 3600; // 1 hour
 
@@ -18,7 +19,6 @@ const CACHE_KEYS = {
   tensions: 'alliance:tensions',
 };
 
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 // ---------------------------------------------------------------------------
 // Reference data: major alliances and blocs
@@ -374,38 +374,17 @@ const BILATERAL_TENSIONS = [
 // ---------------------------------------------------------------------------
 
 /**
- * Fetch GDELT articles and extract average tone for a given query.
+ * Fetch the GDELT tone timeline for a given query and average it.
  * Returns { articleCount, avgTone } where tone ranges from -10 (very negative) to +10 (very positive).
+ * articleCount is the number of timeline bins.
  */
 async function fetchGdeltTone(query, timespan = '14d') {
   try {
-    const url =
-      `${GDELT_BASE}?query=${encodeURIComponent(query)}` +
-      `&mode=ToneChart&timespan=${timespan}&format=json`;
+    const points = await gdeltClient.timelineTone(query, { timespan });
+    if (points.length === 0) return { articleCount: 0, avgTone: 0 };
 
-    const resp = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!resp.ok) return { articleCount: 0, avgTone: 0 };
-
-    const data = await resp.json();
-    const timeline = data.timeline || [];
-
-    if (timeline.length === 0) return { articleCount: 0, avgTone: 0 };
-
-    // ToneChart returns series of tone data points
-    let totalTone = 0;
-    let totalCount = 0;
-
-    for (const series of timeline) {
-      const dataPoints = series.data || [];
-      for (const point of dataPoints) {
-        const value = point.value || 0;
-        totalTone += value;
-        totalCount += 1;
-      }
-    }
-
-    const avgTone = totalCount > 0 ? totalTone / totalCount : 0;
-    return { articleCount: totalCount, avgTone };
+    const avgTone = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    return { articleCount: points.length, avgTone };
   } catch {
     return { articleCount: 0, avgTone: 0 };
   }
@@ -417,15 +396,7 @@ async function fetchGdeltTone(query, timespan = '14d') {
  */
 async function fetchGdeltArticleCount(query, timespan = '14d') {
   try {
-    const url =
-      `${GDELT_BASE}?query=${encodeURIComponent(query)}` +
-      `&mode=ArtList&maxrecords=250&timespan=${timespan}&format=json`;
-
-    const resp = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!resp.ok) return 0;
-
-    const data = await resp.json();
-    const articles = data.articles || [];
+    const articles = await gdeltClient.artList(query, { maxRecords: 250, timespan });
     return articles.length;
   } catch {
     return 0;
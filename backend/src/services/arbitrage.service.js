@@ -1,145 +1,306 @@
 /**
  * Prediction Market Arbitrage Detection Service
- * Compares Polymarket vs Kalshi odds for the same events
- * Detects divergences and potential arbitrage opportunities
+ * Pairs Polymarket and Kalshi contracts that ask the same question (see
+ * marketMatching.service.js), aligns their YES/NO sides and prices the
+ * two-leg trade net of each venue's fees. A matching Metaculus question is
+ * attached as a reference forecast.
+ *
+ * Fees, pinned matches and blocked matches come from the `marketMatching`
+ * reference dataset. Prices are each venue's last trade rather than an
+ * executable ask, so a positive net spread is a lead to check against the
+ * order book, not a locked-in profit.
  */
 
 import { cacheService } from './cache.service.js';
 import { polymarketService } from './polymarket.service.js';
 import { kalshiService } from './kalshi.service.js';
+import { metaculusService } from './metaculus.service.js';
+import { marketMatchingService } from './marketMatching.service.js';
+import { referenceDataService } from './referenceData.service.js';
 
 const CACHE_KEY = 'arbitrage:opportunities';
 const CACHE_TTL = 300; // 5 minutes
+const RULES_DATASET = 'marketMatching';
 
-// Topics to scan for arbitrage
-const SCAN_TOPICS = [
-  { keywords: ['president', 'election', '2028'], boost: ['winner', 'nominee'] },
-  { keywords: ['ukraine', 'russia', 'war'], boost: ['ceasefire', 'peace'] },
-  { keywords: ['china', 'taiwan'], boost: ['invasion', 'conflict'] },
-  { keywords: ['fed', 'interest', 'rate'], boost: ['cut', 'hike', 'FOMC'] },
-  { keywords: ['recession', 'GDP', 'economy'], boost: ['2026', '2027'] },
-  { keywords: ['bitcoin', 'crypto'], boost: ['price', 'ETF'] },
-  { keywords: ['AI', 'artificial intelligence'], boost: ['regulation', 'GPT'] },
-  { keywords: ['oil', 'OPEC', 'crude'], boost: ['price', 'barrel'] },
-  { keywords: ['NATO', 'alliance'], boost: ['expansion', 'defense'] },
-  { keywords: ['immigration', 'border'], boost: ['policy', 'wall'] },
-];
-
-function normalizeTitle(title) {
-  return (title || '').toLowerCase()
-    .replace(/[^a-z0-9\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+const MIN_DIVERGENCE = 0.03;
+// What the old title-only matcher accepted: similar text that fails a check
+// is reported as a near miss so traders can see why it was rejected
+const NEAR_MISS_SIMILARITY = 0.35;
+const MAX_OPPORTUNITIES = 30;
+const MAX_NEAR_MISSES = 20;
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+const pct = (n) => parseFloat((n * 100).toFixed(1));
+
+function loadRules() {
+  const { version, tables } = referenceDataService.get(RULES_DATASET);
+  const blockedPairs = new Set();
+  const excluded = new Set();
+  for (const block of Object.values(tables.blocks || {})) {
+    if (!block.b) excluded.add(block.a);
+    else blockedPairs.add(`${block.a}|${block.b}`).add(`${block.b}|${block.a}`);
+  }
+  return { version, fees: tables.fees || {}, pins: tables.pins || {}, blockedPairs, excluded };
 }
 
-function computeSimilarity(a, b) {
-  const wordsA = new Set(normalizeTitle(a).split(' '));
-  const wordsB = new Set(normalizeTitle(b).split(' '));
-  const intersection = [...wordsA].filter(w => wordsB.has(w));
-  const union = new Set([...wordsA, ...wordsB]);
-  return intersection.length / union.size; // Jaccard similarity
+/** Fee per $1 contract bought at `price` on `venue`. */
+function legFee(fees, venue, price) {
+  const schedule = fees[venue];
+  if (!schedule || !schedule.rate) return 0;
+  return schedule.basis === 'variance'
+    ? schedule.rate * price * (1 - price)
+    : schedule.rate * price;
 }
 
-function findMatches(polymarkets, kalshiMarkets) {
-  const matches = [];
+/**
+ * Cheapest complete set across the two venues: buy YES where the (aligned)
+ * probability is lower and the opposite side on the other venue. One of the
+ * two legs pays $1 whatever happens, so gross edge = 1 − cost.
+ */
+function priceTrade(pm, km, alignment, fees) {
+  const inverted = alignment === 'inverted';
+  const kAligned = inverted ? 1 - km.probability : km.probability;
+  const pmCheaper = pm.probability <= kAligned;
+
+  // Kalshi leg that pays when the Polymarket leg doesn't
+  const kalshiSide = pmCheaper !== inverted ? 'NO' : 'YES';
+  const legs = [
+    { venue: 'polymarket', side: pmCheaper ? 'YES' : 'NO', price: pmCheaper ? pm.probability : 1 - pm.probability },
+    { venue: 'kalshi', side: kalshiSide, price: kalshiSide === 'YES' ? km.probability : 1 - km.probability },
+  ].map(leg => ({ ...leg, price: round3(leg.price), fee: round3(legFee(fees, leg.venue, leg.price)) }));
 
-  for (const pm of polymarkets) {
-    let bestMatch = null;
-    let bestScore = 0;
+  const cost = legs[0].price + legs[1].price;
+  const totalFees = legs[0].fee + legs[1].fee;
+  const gross = 1 - cost;
+  return {
+    legs,
+    cost: round3(cost),
+    gross: round3(gross),
+    fees: round3(totalFees),
+    net: round3(gross - totalFees),
+    netPct: pct(gross - totalFees),
+    profitable: gross - totalFees > 0,
+  };
+}
 
-    for (const km of kalshiMarkets) {
-      const score = computeSimilarity(pm.question || pm.title, km.question || km.title);
-      if (score > bestScore && score >= 0.35) {
-        bestScore = score;
-        bestMatch = km;
-      }
+function contractView(contract) {
+  return {
+    contractId: contract.id,
+    marketId: contract.marketId,
+    title: contract.title,
+    outcome: contract.outcome,
+    probability: contract.probability,
+    volume: contract.volume || 0,
+    url: contract.url,
+    parsed: marketMatchingService.describeParse(contract.parsed),
+  };
+}
+
+/** Best Metaculus question for a Polymarket contract, aligned to its YES. */
+function referenceFor(pm, metaculus, pin) {
+  let best = null;
+  if (pin?.metaculus) {
+    const contract = metaculus.find(q => q.id === pin.metaculus);
+    if (contract) best = { contract, confidence: 1, alignment: pin.metaculusInverted ? 'inverted' : 'same' };
+  } else {
+    for (const contract of metaculus) {
+      if (!marketMatchingService.isCandidate(pm, contract)) continue;
+      const result = marketMatchingService.compare(pm, contract);
+      if (result.ok && (!best || result.confidence > best.confidence)) best = { contract, ...result };
     }
+  }
+  if (!best) return null;
+
+  const inverted = best.alignment === 'inverted';
+  return {
+    contractId: best.contract.id,
+    title: best.contract.title,
+    url: best.contract.url,
+    probability: round3(inverted ? 1 - best.contract.probability : best.contract.probability),
+    alignment: best.alignment,
+    forecasters: best.contract.volume,
+    confidence: best.confidence,
+  };
+}
+
+/**
+ * One-to-one Polymarket ↔ Kalshi pairing: pins first, then parsed matches
+ * greedily by confidence. Returns { pairs, nearMisses }.
+ */
+function pairContracts(pmContracts, kContracts, rules) {
+  const pmById = new Map(pmContracts.map(c => [c.id, c]));
+  const kById = new Map(kContracts.map(c => [c.id, c]));
+  const usedPm = new Set();
+  const usedK = new Set();
+  const pairs = [];
+
+  for (const [key, pin] of Object.entries(rules.pins)) {
+    const pm = pmById.get(pin.polymarket);
+    const km = kById.get(pin.kalshi);
+    if (!pm || !km || usedPm.has(pm.id) || usedK.has(km.id)) continue;
+    const { similarity, checks } = marketMatchingService.compare(pm, km);
+    pairs.push({
+      pm, km, source: 'pinned', pin: { key, note: pin.note || null }, pinRecord: pin,
+      similarity, confidence: 1, alignment: pin.inverted ? 'inverted' : 'same', checks,
+    });
+    usedPm.add(pm.id);
+    usedK.add(km.id);
+  }
 
-    if (bestMatch) {
-      const pmPrice = pm.probability ?? pm.outcomePrices?.[0] ?? null;
-      const kmPrice = bestMatch.probability ?? bestMatch.yes_price ?? null;
-
-      if (pmPrice !== null && kmPrice !== null) {
-        const divergence = Math.abs(pmPrice - kmPrice);
-        if (divergence >= 0.03) { // At least 3% divergence
-          matches.push({
-            polymarket: {
-              title: pm.question || pm.title,
-              probability: pmPrice,
-              volume: pm.volume || 0,
-              url: pm.url,
-            },
-            kalshi: {
-              title: bestMatch.question || bestMatch.title,
-              probability: kmPrice,
-              volume: bestMatch.volume || 0,
-              url: bestMatch.url,
-            },
-            similarity: parseFloat(bestScore.toFixed(3)),
-            divergence: parseFloat(divergence.toFixed(3)),
-            divergencePct: parseFloat((divergence * 100).toFixed(1)),
-            direction: pmPrice > kmPrice ? 'Polymarket higher' : 'Kalshi higher',
-          });
-        }
+  const kByEvent = new Map();
+  for (const km of kContracts) {
+    if (usedK.has(km.id) || rules.excluded.has(km.id)) continue;
+    const event = km.parsed.event;
+    if (!kByEvent.has(event)) kByEvent.set(event, []);
+    kByEvent.get(event).push(km);
+  }
+
+  const candidates = [];
+  const nearMisses = new Map();
+  for (const pm of pmContracts) {
+    if (usedPm.has(pm.id) || rules.excluded.has(pm.id)) continue;
+    for (const km of kByEvent.get(pm.parsed.event) || []) {
+      if (rules.blockedPairs.has(`${pm.id}|${km.id}`) || !marketMatchingService.isCandidate(pm, km)) continue;
+      const result = marketMatchingService.compare(pm, km);
+      if (result.ok) {
+        candidates.push({ pm, km, source: 'parsed', ...result });
+      } else if (result.similarity >= NEAR_MISS_SIMILARITY
+        && result.similarity > (nearMisses.get(pm.id)?.similarity ?? 0)) {
+        nearMisses.set(pm.id, { pm, km, ...result });
       }
     }
   }
 
-  return matches.sort((a, b) => b.divergence - a.divergence);
+  candidates.sort((a, b) => b.confidence - a.confidence || b.similarity - a.similarity);
+  for (const candidate of candidates) {
+    if (usedPm.has(candidate.pm.id) || usedK.has(candidate.km.id)) continue;
+    pairs.push(candidate);
+    usedPm.add(candidate.pm.id);
+    usedK.add(candidate.km.id);
+  }
+
+  return {
+    pairs,
+    nearMisses: [...nearMisses.values()]
+      .filter(miss => !usedPm.has(miss.pm.id))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_NEAR_MISSES),
+  };
+}
+
+function describePair(pair, metaculus, fees) {
+  const { pm, km, alignment } = pair;
+  const kAligned = alignment === 'inverted' ? 1 - km.probability : km.probability;
+  const divergence = Math.abs(pm.probability - kAligned);
+  return {
+    id: `${pm.id}|${km.id}`,
+    source: pair.source,
+    ...(pair.pin ? { pin: pair.pin } : {}),
+    confidence: pair.confidence,
+    similarity: pair.similarity,
+    alignment,
+    checks: pair.checks,
+    polymarket: contractView(pm),
+    kalshi: { ...contractView(km), alignedProbability: round3(kAligned) },
+    metaculus: referenceFor(pm, metaculus, pair.pinRecord),
+    spread: priceTrade(pm, km, alignment, fees),
+    divergence: round3(divergence),
+    divergencePct: pct(divergence),
+    direction: pm.probability > kAligned ? 'Polymarket higher' : 'Kalshi higher',
+  };
+}
+
+async function loadContracts() {
+  const [pmResult, kResult, mResult] = await Promise.allSettled([
+    polymarketService.getAllMarkets(),
+    kalshiService.getAllMarkets(),
+    metaculusService.getCombinedData(),
+  ]);
+  for (const result of [pmResult, kResult, mResult]) {
+    if (result.status === 'rejected') console.error('[Arbitrage] Venue fetch failed:', result.reason?.message);
+  }
+  return {
+    polymarket: marketMatchingService.contractsOf('polymarket', pmResult.status === 'fulfilled' ? pmResult.value : []),
+    kalshi: marketMatchingService.contractsOf('kalshi', kResult.status === 'fulfilled' ? kResult.value : []),
+    metaculus: marketMatchingService.contractsOf('metaculus', mResult.status === 'fulfilled' ? mResult.value?.questions : []),
+  };
 }
 
 export const arbitrageService = {
   async getOpportunities() {
-    const cached = await cacheService.get(CACHE_KEY);
+    const rules = loadRules();
+    const cacheKey = `${CACHE_KEY}:v${rules.version}`;
+    const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
 
-    const allMatches = [];
-
-    // Scan each topic
-    for (const topic of SCAN_TOPICS) {
-      try {
-        const [pmResult, kmResult] = await Promise.allSettled([
-          polymarketService.getMarketsByTopic(topic.keywords, topic.boost),
-          kalshiService.getMarketsByTopic(topic.keywords, topic.boost),
-        ]);
-
-        const pmMarkets = pmResult.status === 'fulfilled' ? pmResult.value : [];
-        const kmMarkets = kmResult.status === 'fulfilled' ? kmResult.value : [];
-
-        if (pmMarkets.length > 0 && kmMarkets.length > 0) {
-          const matches = findMatches(pmMarkets, kmMarkets);
-          allMatches.push(...matches);
-        }
-      } catch (err) {
-        console.error(`[Arbitrage] Error scanning topic:`, err.message);
-      }
-    }
-
-    // Deduplicate
-    const seen = new Set();
-    const unique = allMatches.filter(m => {
-      const key = normalizeTitle(m.polymarket.title).slice(0, 40);
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+    const contracts = await loadContracts();
+    const { pairs, nearMisses } = pairContracts(contracts.polymarket, contracts.kalshi, rules);
+    const matched = pairs.map(pair => describePair(pair, contracts.metaculus, rules.fees));
+    const opportunities = matched
+      .filter(m => m.divergence >= MIN_DIVERGENCE)
+      .sort((a, b) => b.spread.net - a.spread.net || b.divergence - a.divergence);
 
     const result = {
-      opportunities: unique.slice(0, 20),
+      opportunities: opportunities.slice(0, MAX_OPPORTUNITIES),
+      nearMisses: nearMisses.map(miss => ({
+        polymarket: contractView(miss.pm),
+        kalshi: contractView(miss.km),
+        similarity: miss.similarity,
+        failed: miss.checks.filter(c => !c.ok),
+      })),
+      fees: rules.fees,
       summary: {
-        totalScanned: SCAN_TOPICS.length,
-        divergencesFound: unique.length,
-        avgDivergence: unique.length > 0
-          ? parseFloat((unique.reduce((s, m) => s + m.divergencePct, 0) / unique.length).toFixed(1))
+        polymarketContracts: contracts.polymarket.length,
+        kalshiContracts: contracts.kalshi.length,
+        metaculusQuestions: contracts.metaculus.length,
+        matched: matched.length,
+        pinned: matched.filter(m => m.source === 'pinned').length,
+        withReference: matched.filter(m => m.metaculus).length,
+        divergencesFound: opportunities.length,
+        profitableAfterFees: opportunities.filter(m => m.spread.profitable).length,
+        nearMisses: nearMisses.length,
+        avgDivergence: opportunities.length > 0
+          ? parseFloat((opportunities.reduce((s, m) => s + m.divergencePct, 0) / opportunities.length).toFixed(1))
           : 0,
-        maxDivergence: unique.length > 0
-          ? Math.max(...unique.map(m => m.divergencePct))
+        maxDivergence: opportunities.length > 0
+          ? Math.max(...opportunities.map(m => m.divergencePct))
           : 0,
       },
+      rulesVersion: rules.version,
+      priceBasis: 'last trade',
       updatedAt: new Date().toISOString(),
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
+    await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   },
+
+  /**
+   * Why two contracts do or don't match — parse results, every check and,
+   * for a Polymarket/Kalshi pair, the fee-adjusted trade. Null when either
+   * contract id isn't currently listed.
+   */
+  async explainMatch(aId, bId) {
+    const rules = loadRules();
+    const contracts = await loadContracts();
+    const all = [...contracts.polymarket, ...contracts.kalshi, ...contracts.metaculus];
+    const a = all.find(c => c.id === aId);
+    const b = all.find(c => c.id === bId);
+    if (!a || !b) return null;
+
+    const result = marketMatchingService.compare(a, b);
+    const [pm, km] = a.venue === 'kalshi' ? [b, a] : [a, b];
+    const pin = Object.entries(rules.pins).find(([, p]) => p.polymarket === pm.id && p.kalshi === km.id);
+    const alignment = pin ? (pin[1].inverted ? 'inverted' : 'same') : result.alignment;
+
+    return {
+      a: contractView(a),
+      b: contractView(b),
+      ...result,
+      alignment,
+      pinned: pin ? pin[0] : null,
+      blocked: rules.blockedPairs.has(`${a.id}|${b.id}`) || rules.excluded.has(a.id) || rules.excluded.has(b.id),
+      spread: pm.venue === 'polymarket' && km.venue === 'kalshi' ? priceTrade(pm, km, alignment, rules.fees) : null,
+    };
+  },
 };
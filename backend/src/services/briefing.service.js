@@ -66,10 +66,11 @@ function categorizeHeadlines(items) {
 }
 
 export const briefingService = {
-  async getGlobalBriefing() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getGlobalBriefing({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.computeGlobalBriefing(), { refresh });
+  },
 
+  async computeGlobalBriefing() {
     const [feedResult, tensionResult, riskResult, disasterResult, cyberResult] = await Promise.allSettled([
       aggregationService.getCombinedFeed({ limit: 50 }),
       tensionIndexService.getGlobalTension(),
@@ -110,7 +111,6 @@ export const briefingService = {
       })),
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 
@@ -1,17 +1,105 @@
 /**
- * Cache Service using Redis
- * Handles caching, pub/sub, and rate limiting
+ * Cache Service
+ * Two-tier cache: a bounded in-process LRU (L1, always on) in front of
+ * Redis (L2, optional). Also handles pub/sub and request coalescing.
+ *
+ * When Redis is down the app keeps working off L1 and pub/sub falls back
+ * to an in-process event emitter, so a single instance still gets
+ * real-time updates.
+ *
+ * Entries are kept for `config.cache.staleTtl` seconds past their TTL.
+ * get() only returns fresh values; wrap() keeps serving the last good value
+ * while it refreshes in the background (stale-while-revalidate).
+ *
+ * Each cache read made while handling an API request is recorded in the
+ * request's cacheContext store, so responses can report how old their data is.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
 import Redis from 'ioredis';
 import config from '../config/index.js';
 
+/**
+ * Per-request cache metadata: { fetchedAt (ms, oldest entry read), stale }.
+ * Populated by CacheService reads; see middleware/cacheMetadata.js.
+ */
+export const cacheContext = new AsyncLocalStorage();
+
+function noteRead(fetchedAt, stale) {
+  const meta = cacheContext.getStore();
+  if (!meta) return;
+  if (meta.fetchedAt === null || fetchedAt < meta.fetchedAt) meta.fetchedAt = fetchedAt;
+  if (stale) meta.stale = true;
+}
+
+/**
+ * Bounded LRU map with per-entry TTL. Map iteration order is insertion
+ * order, so re-inserting on read keeps the most recently used entries last.
+ * Values are stored serialized so callers get a fresh copy (same as Redis).
+ */
+class MemoryCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    if (ttlMs <= 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRatio: lookups > 0 ? Math.round((this.hits / lookups) * 100) / 100 : null,
+    };
+  }
+}
+
 class CacheService {
   constructor() {
     this.client = null;
     this.subscriber = null;
     this.publisher = null;
     this.isConnected = false;
+    this.memory = new MemoryCache(config.cache.memoryMaxEntries);
+    this.localBus = new EventEmitter();
+    this.localBus.setMaxListeners(0);
+    this.inflight = new Map();
+    this.coalesced = 0;
+    this.staleServed = 0;
   }
 
   async connect() {
@@ -48,30 +136,57 @@ class CacheService {
         this.isConnected = true;
         return true;
       } catch {
-        console.log('[Cache] Redis unavailable - caching disabled (app will still work)');
+        console.log('[Cache] Redis unavailable - using in-memory cache only (app will still work)');
         this.isConnected = false;
         return false;
       }
     } catch (error) {
-      console.log('[Cache] Redis unavailable - caching disabled (app will still work)');
+      console.log('[Cache] Redis unavailable - using in-memory cache only (app will still work)');
       return false;
     }
   }
 
-  async get(key) {
-    if (!this.isConnected) return null;
-    try {
-      const value = await this.client.get(key);
-      return value ? JSON.parse(value) : null;
-    } catch (error) {
-      return null;
+  /**
+   * Read the stored envelope { data, fetchedAt, freshUntil } for a key,
+   * fresh or stale, from L1 then Redis. Returns null on a miss.
+   */
+  async getEntry(key) {
+    let raw = this.memory.get(key);
+
+    if (raw === null && this.isConnected) {
+      try {
+        // Fetch value + remaining TTL so L1 never outlives the Redis entry
+        const [[, value], [, pttl]] = await this.client.multi().get(key).pttl(key).exec();
+        if (value && pttl > 0) this.memory.set(key, value, pttl);
+        raw = value;
+      } catch (error) {
+        return null;
+      }
     }
+
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    // Values written before envelopes were introduced are treated as misses
+    return entry && typeof entry === 'object' && 'freshUntil' in entry ? entry : null;
+  }
+
+  async get(key) {
+    const entry = await this.getEntry(key);
+    if (!entry || entry.freshUntil <= Date.now()) return null;
+    noteRead(entry.fetchedAt, false);
+    return entry.data;
   }
 
   async set(key, value, ttlSeconds = 60) {
-    if (!this.isConnected) return false;
+    const now = Date.now();
+    const retainSeconds = ttlSeconds + config.cache.staleTtl;
+    const serialized = JSON.stringify({ data: value, fetchedAt: now, freshUntil: now + ttlSeconds * 1000 });
+    this.memory.set(key, serialized, retainSeconds * 1000);
+    noteRead(now, false);
+
+    if (!this.isConnected) return true;
     try {
-      await this.client.setex(key, ttlSeconds, JSON.stringify(value));
+      await this.client.setex(key, retainSeconds, serialized);
       return true;
     } catch (error) {
       return false;
@@ -79,7 +194,9 @@ class CacheService {
   }
 
   async delete(key) {
-    if (!this.isConnected) return false;
+    this.memory.delete(key);
+
+    if (!this.isConnected) return true;
     try {
       await this.client.del(key);
       return true;
@@ -89,8 +206,82 @@ class CacheService {
     }
   }
 
+  /**
+   * Read-through cache with stale-while-revalidate and request coalescing.
+   * - fresh hit: returned as-is
+   * - stale hit: returned immediately; fetcher() runs once in the background
+   * - miss: concurrent callers for the same key share a single fetcher() call
+   * null/undefined results are returned but not cached, and a failed
+   * background refresh leaves the last good value in place.
+   *
+   * With `refresh: true` (background jobs) the cached value is skipped:
+   * fetcher() runs now, its result is awaited and its errors are rethrown.
+   *
+   * @param {string} key
+   * @param {number} ttlSeconds - freshness window
+   * @param {() => Promise<*>} fetcher
+   * @param {{ refresh?: boolean }} [options]
+   */
+  async wrap(key, ttlSeconds, fetcher, { refresh = false } = {}) {
+    if (refresh) return this.refresh(key, ttlSeconds, fetcher);
+
+    const entry = await this.getEntry(key);
+
+    if (entry) {
+      const stale = entry.freshUntil <= Date.now();
+      noteRead(entry.fetchedAt, stale);
+      if (stale) {
+        this.staleServed++;
+        if (!this.inflight.has(key)) {
+          // Detach from the request so the refresh doesn't report into its metadata
+          cacheContext.exit(() => {
+            this.refresh(key, ttlSeconds, fetcher).catch((error) => {
+              console.error(`[Cache] Background refresh failed for ${key}:`, error.message);
+            });
+          });
+        }
+      }
+      return entry.data;
+    }
+
+    if (this.inflight.has(key)) {
+      this.coalesced++;
+      // Hand each waiter its own copy, as a cache hit would
+      const shared = await this.inflight.get(key);
+      noteRead(Date.now(), false);
+      return shared == null ? shared : structuredClone(shared);
+    }
+
+    return this.refresh(key, ttlSeconds, fetcher);
+  }
+
+  /**
+   * Run fetcher() for a key and store the result. Registered in `inflight`
+   * so concurrent misses coalesce onto it; a refresh already in flight for
+   * the key is joined rather than started twice. Rejects when fetcher() does.
+   */
+  refresh(key, ttlSeconds, fetcher) {
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await fetcher();
+        if (value != null) await this.set(key, value, ttlSeconds);
+        return value;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
   async publish(channel, message) {
-    if (!this.isConnected) return false;
+    if (!this.isConnected) {
+      this.localBus.emit(channel, message);
+      return true;
+    }
     try {
       await this.publisher.publish(channel, JSON.stringify(message));
       return true;
@@ -101,7 +292,10 @@ class CacheService {
   }
 
   async subscribe(channel, callback) {
-    if (!this.isConnected) return false;
+    // Local bus always delivers messages published while Redis is down
+    this.localBus.on(channel, callback);
+
+    if (!this.isConnected) return true;
     try {
       await this.subscriber.subscribe(channel);
       this.subscriber.on('message', (ch, message) => {
@@ -117,11 +311,20 @@ class CacheService {
   }
 
   async health() {
+    const memory = {
+      ...this.memory.stats(),
+      inflight: this.inflight.size,
+      coalesced: this.coalesced,
+      staleServed: this.staleServed,
+    };
+    if (!this.client) {
+      return { status: 'unhealthy', connected: false, error: 'Not initialized', memory };
+    }
     try {
       await this.client.ping();
-      return { status: 'healthy', connected: true };
+      return { status: 'healthy', connected: true, memory };
     } catch (error) {
-      return { status: 'unhealthy', connected: false, error: error.message };
+      return { status: 'unhealthy', connected: false, error: error.message, memory };
     }
   }
 
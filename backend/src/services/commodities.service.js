@@ -6,6 +6,7 @@
 
 import { cacheService } from './cache.service.js';
 import Parser from 'rss-parser';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const parser = new Parser({ timeout: 10000 });
 const CACHE_KEY = 'commodities:combined';
@@ -33,7 +34,7 @@ const COMMODITY_TICKERS = [
 async function fetchYahooCommodity(symbol) {
   try {
     const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=5d&interval=1d`;
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       signal: AbortSignal.timeout(10000),
       headers: { 'User-Agent': 'Mozilla/5.0' },
     });
@@ -100,10 +101,11 @@ async function fetchSupplyNews() {
 }
 
 export const commoditiesService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const [prices, news] = await Promise.allSettled([
       fetchCommodityPrices(),
       fetchSupplyNews(),
@@ -122,7 +124,6 @@ export const commoditiesService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 };
@@ -8,6 +8,7 @@
 
 import Parser from 'rss-parser';
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const CACHE_KEYS = {
   losses: 'conflict:losses',
@@ -55,7 +56,7 @@ class ConflictService {
     console.log('[Conflict] Fetching latest Russian losses from russianwarship.rip...');
 
     try {
-      const res = await fetch('https://russianwarship.rip/api/v2/statistics/latest', {
+      const res = await trackedFetch('https://russianwarship.rip/api/v2/statistics/latest', {
         headers: { 'Accept': 'application/json' },
         signal: AbortSignal.timeout(15000),
       });
@@ -126,7 +127,7 @@ class ConflictService {
     console.log(`[Conflict] Fetching ${days}-day losses history...`);
 
     try {
-      const res = await fetch(
+      const res = await trackedFetch(
         `https://russianwarship.rip/api/v2/statistics?offset=0&limit=${days}`,
         {
           headers: { 'Accept': 'application/json' },
@@ -1,14 +1,18 @@
 /**
  * Country Risk Scoring Service
- * Dynamically computes composite risk scores from multiple live data sources:
- * - UCDP conflict events (event counts, fatalities, active conflicts)
+ * Computes composite risk scores for every country in the gazetteer from
+ * multiple live data sources:
+ * - UCDP conflict events (event counts, fatalities, active wars)
  * - Stability data (protests intensity, military indicators, instability alerts)
  * - Sanctions status (comprehensive vs targeted regimes)
- * - World Bank economic indicators (inflation, unemployment, debt)
+ * - World Bank economic indicators (inflation, GDP growth, unemployment, debt)
+ * - Regime coup risk, demographic risk and exposure to tension-index conflicts
  *
- * Instead of hardcoded per-country BASE_RISK scores, countries are assigned a
- * category-based baseline (fragile=70, developing=40, stable=20) which is then
- * adjusted dynamically from live data feeds.
+ * The model (category baselines, per-factor weights, caps and tiers, level
+ * thresholds) is the `riskModel` reference dataset, so it is versioned and
+ * editable through the reference-data admin API. Scoring itself is a pure
+ * function of (inputs, model), which lets the backtest replay stored
+ * snapshots through the current model or a what-if variant of it.
  */
 
 import { cacheService } from './cache.service.js';
@@ -16,356 +20,717 @@ import { ucdpService } from './ucdp.service.js';
 import { stabilityService } from './stability.service.js';
 import { worldBankService } from './worldbank.service.js';
 import { sanctionsService } from './sanctions.service.js';
+import { regimeService } from './regime.service.js';
+import { demographicService } from './demographic.service.js';
+import { tensionIndexService } from './tensionIndex.service.js';
+import { referenceDataService } from './referenceData.service.js';
+import { snapshotService } from './snapshot.service.js';
+import { COUNTRIES } from 'monitored-shared/gazetteer';
 
 const CACHE_KEY = 'countryrisk:scores';
 const CACHE_TTL = 1800; // 30 minutes
+const MODEL_DATASET = 'riskModel';
+const WB_BATCH_SIZE = 10;
+
+// Inputs replayed by the backtest; `risk` is the score the live model recorded
+const BACKTEST_DATASETS = ['ucdp', 'stability', 'sanctions', 'regime', 'demographic', 'tension', 'risk'];
+const MAX_BACKTEST_POINTS = 60;
+const UCDP_EVENT_WINDOW_MS = 365 * 24 * 60 * 60 * 1000;
+
+export class RiskModelError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RiskModelError';
+    this.status = status;
+  }
+}
 
-// Country coordinates for map display
-const COUNTRY_COORDS = {
-  'Afghanistan': { lat: 33.94, lon: 67.71 }, 'Iraq': { lat: 33.22, lon: 43.68 },
-  'Syria': { lat: 34.8, lon: 38.99 }, 'Yemen': { lat: 15.55, lon: 48.52 },
-  'Somalia': { lat: 5.15, lon: 46.2 }, 'Libya': { lat: 26.34, lon: 17.23 },
-  'Sudan': { lat: 12.86, lon: 30.22 }, 'South Sudan': { lat: 6.87, lon: 31.31 },
-  'DR Congo': { lat: -4.04, lon: 21.76 }, 'Central African Republic': { lat: 6.61, lon: 20.94 },
-  'Myanmar': { lat: 21.91, lon: 95.96 }, 'Ukraine': { lat: 48.38, lon: 31.17 },
-  'Venezuela': { lat: 6.42, lon: -66.59 }, 'Haiti': { lat: 18.97, lon: -72.29 },
-  'Mali': { lat: 17.57, lon: -4.0 }, 'Burkina Faso': { lat: 12.37, lon: -1.52 },
-  'Niger': { lat: 17.61, lon: 8.08 }, 'Nigeria': { lat: 9.08, lon: 7.49 },
-  'Ethiopia': { lat: 9.15, lon: 40.49 }, 'Mozambique': { lat: -15.41, lon: 40.52 },
-  'Pakistan': { lat: 30.38, lon: 69.35 }, 'Lebanon': { lat: 33.87, lon: 35.51 },
-  'North Korea': { lat: 39.04, lon: 125.76 }, 'Iran': { lat: 35.69, lon: 51.39 },
-  'Russia': { lat: 55.75, lon: 37.62 }, 'Belarus': { lat: 53.9, lon: 27.57 },
-  'China': { lat: 39.9, lon: 116.41 }, 'Cuba': { lat: 23.11, lon: -82.37 },
-  'Eritrea': { lat: 15.33, lon: 38.93 }, 'Palestine': { lat: 31.95, lon: 35.23 },
-  'Israel': { lat: 31.77, lon: 35.22 }, 'Egypt': { lat: 30.04, lon: 31.24 },
-  'Tunisia': { lat: 36.81, lon: 10.17 }, 'Algeria': { lat: 36.75, lon: 3.06 },
-  'Colombia': { lat: 4.71, lon: -74.07 }, 'Mexico': { lat: 19.43, lon: -99.13 },
-  'Honduras': { lat: 14.07, lon: -87.19 }, 'Guatemala': { lat: 14.63, lon: -90.51 },
-  'El Salvador': { lat: 13.69, lon: -89.22 }, 'Bangladesh': { lat: 23.81, lon: 90.41 },
-  'Philippines': { lat: 14.6, lon: 120.98 }, 'Thailand': { lat: 13.76, lon: 100.5 },
-  'Cameroon': { lat: 3.85, lon: 11.5 }, 'Chad': { lat: 12.13, lon: 15.05 },
-  'Kenya': { lat: -1.29, lon: 36.82 }, 'Uganda': { lat: 0.35, lon: 32.58 },
-  'Tanzania': { lat: -6.79, lon: 39.28 }, 'Zimbabwe': { lat: -17.83, lon: 31.05 },
-  'India': { lat: 28.61, lon: 77.21 }, 'Turkey': { lat: 39.93, lon: 32.87 },
-  'Saudi Arabia': { lat: 24.69, lon: 46.72 }, 'United Arab Emirates': { lat: 24.45, lon: 54.65 },
-};
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const round1 = (n) => Math.round(n * 10) / 10;
 
-// Fragile States (derived from the Fund for Peace Fragile States Index top-tier countries)
-const FRAGILE_STATES = new Set([
-  'Afghanistan', 'Syria', 'Yemen', 'Somalia', 'Sudan', 'South Sudan',
-  'DR Congo', 'Central African Republic', 'Chad', 'Haiti', 'Mali',
-  'Burkina Faso', 'Niger', 'Eritrea', 'Myanmar', 'Libya', 'Iraq',
-  'Palestine', 'Ethiopia', 'Mozambique', 'Nigeria', 'Cameroon',
-  'Lebanon',
-]);
-
-// Developing countries (elevated baseline, not fragile but not fully stable)
-const DEVELOPING_STATES = new Set([
-  'Pakistan', 'Venezuela', 'North Korea', 'Iran', 'Ukraine', 'Cuba',
-  'Colombia', 'Mexico', 'Honduras', 'Guatemala', 'El Salvador',
-  'Bangladesh', 'Philippines', 'Kenya', 'Uganda', 'Zimbabwe',
-  'Egypt', 'Tunisia', 'Algeria', 'Russia', 'Belarus', 'India',
-  'Turkey',
-]);
-
-// All other countries in COUNTRY_COORDS default to "stable" baseline
-
-// Map country names to ISO alpha-2 codes for cross-referencing with stability data
-const COUNTRY_TO_ISO = {
-  'Afghanistan': 'AF', 'Iraq': 'IQ', 'Syria': 'SY', 'Yemen': 'YE',
-  'Somalia': 'SO', 'Libya': 'LY', 'Sudan': 'SD', 'South Sudan': 'SS',
-  'DR Congo': 'CD', 'Central African Republic': 'CF', 'Myanmar': 'MM',
-  'Ukraine': 'UA', 'Venezuela': 'VE', 'Haiti': 'HT', 'Mali': 'ML',
-  'Burkina Faso': 'BF', 'Niger': 'NE', 'Nigeria': 'NG', 'Ethiopia': 'ET',
-  'Mozambique': 'MZ', 'Pakistan': 'PK', 'Lebanon': 'LB', 'North Korea': 'KP',
-  'Iran': 'IR', 'Russia': 'RU', 'Belarus': 'BY', 'China': 'CN',
-  'Cuba': 'CU', 'Eritrea': 'ER', 'Palestine': 'PS', 'Israel': 'IL',
-  'Egypt': 'EG', 'Tunisia': 'TN', 'Algeria': 'DZ', 'Colombia': 'CO',
-  'Mexico': 'MX', 'Honduras': 'HN', 'Guatemala': 'GT', 'El Salvador': 'SV',
-  'Bangladesh': 'BD', 'Philippines': 'PH', 'Thailand': 'TH', 'Cameroon': 'CM',
-  'Chad': 'TD', 'Kenya': 'KE', 'Uganda': 'UG', 'Tanzania': 'TZ',
-  'Zimbabwe': 'ZW', 'India': 'IN', 'Turkey': 'TR', 'Saudi Arabia': 'SA',
-  'United Arab Emirates': 'AE',
-};
+function deepMerge(target, patch) {
+  if (!isPlainObject(target) || !isPlainObject(patch)) return patch;
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = deepMerge(target[key], value);
+  }
+  return merged;
+}
 
-/**
- * Determine the category-based baseline score for a country.
- *   Fragile state  -> 70
- *   Developing     -> 40
- *   Stable         -> 20
- */
-function getBaselineScore(country) {
-  if (FRAGILE_STATES.has(country)) return 70;
-  if (DEVELOPING_STATES.has(country)) return 40;
-  return 20;
+// ── Country name resolution ──
+
+// Source feeds name countries differently ("DR Congo (Zaire)", "Yemen (Houthis)",
+// "Russia (Soviet Union)"); parentheticals are dropped and aliases consulted.
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/\s*\([^)]*\)/g, '').trim();
+
+const CODE_BY_NAME = new Map();
+for (const c of COUNTRIES) CODE_BY_NAME.set(normalizeName(c.name), c.code);
+for (const c of COUNTRIES) {
+  for (const alias of c.aliases || []) {
+    const key = normalizeName(alias);
+    if (!CODE_BY_NAME.has(key)) CODE_BY_NAME.set(key, c.code);
+  }
+}
+
+function resolveCountryCode(name) {
+  return CODE_BY_NAME.get(normalizeName(name)) || null;
 }
 
+const COUNTRY_BY_CODE = new Map(COUNTRIES.map(c => [c.code, c]));
+
 /**
- * Compute the UCDP conflict adjustment for a country.
- * Considers both event counts and fatalities.
- * Returns 0-20 additional risk points.
+ * Gazetteer entry for an ISO alpha-2 code, name or alias.
  */
-function computeUCDPAdjustment(country, ucdpEvents, activeConflicts) {
-  let adjustment = 0;
+function findCountry(query) {
+  const text = String(query || '').trim();
+  return COUNTRY_BY_CODE.get(text.toUpperCase()) || COUNTRY_BY_CODE.get(resolveCountryCode(text)) || null;
+}
 
-  // Count events for this country
-  if (ucdpEvents?.events) {
-    const countryEvents = ucdpEvents.events.filter(
-      e => e.country?.toLowerCase() === country.toLowerCase()
-    );
-    const eventCount = countryEvents.length;
-    const totalDeaths = countryEvents.reduce(
-      (sum, e) => sum + (e.deathsBest || 0), 0
-    );
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    // Event count contribution (0-10 points)
-    if (eventCount >= 50) adjustment += 10;
-    else if (eventCount >= 20) adjustment += 7;
-    else if (eventCount >= 10) adjustment += 5;
-    else if (eventCount >= 5) adjustment += 3;
-    else if (eventCount >= 1) adjustment += 1;
-
-    // Fatality contribution (0-10 points)
-    if (totalDeaths >= 1000) adjustment += 10;
-    else if (totalDeaths >= 500) adjustment += 7;
-    else if (totalDeaths >= 100) adjustment += 5;
-    else if (totalDeaths >= 25) adjustment += 3;
-    else if (totalDeaths >= 1) adjustment += 1;
-  }
+// Whole-word name/alias matchers, built on first use per country
+const MENTION_PATTERNS = new Map();
 
-  // Check if country has active conflicts marked as "War" intensity
-  if (activeConflicts?.conflicts) {
-    const hasWar = activeConflicts.conflicts.some(
-      c => c.location?.toLowerCase().includes(country.toLowerCase()) &&
-           c.intensity === 'War'
-    );
-    if (hasWar) adjustment += 5;
+function mentionsCountry(text, code) {
+  if (!MENTION_PATTERNS.has(code)) {
+    const country = COUNTRIES.find(c => c.code === code);
+    const names = country ? [country.name, ...(country.aliases || [])].filter(n => n.length > 3) : [];
+    MENTION_PATTERNS.set(code, names.length ? new RegExp(`\\b(${names.map(escapeRegExp).join('|')})\\b`, 'i') : null);
   }
+  const pattern = MENTION_PATTERNS.get(code);
+  return Boolean(pattern && text && pattern.test(text));
+}
 
-  return Math.min(adjustment, 20);
+// ── Factor scorers ──
+
+/**
+ * First matching tier's points. Tiers are ordered most severe first:
+ * { min } matches value >= min, { above } value > above, { below } value < below.
+ */
+function tierPoints(value, tiers) {
+  if (value == null || !Array.isArray(tiers)) return 0;
+  const tier = tiers.find(t =>
+    (t.min != null && value >= t.min) ||
+    (t.above != null && value > t.above) ||
+    (t.below != null && value < t.below)
+  );
+  return tier?.points || 0;
 }
 
 /**
- * Compute stability adjustment based on protest, military, and instability data.
- * Uses the ISO alpha-2 country code to match stability heatmap points.
- * Returns 0-15 additional risk points.
+ * Raw (uncapped, unweighted) points per factor key. Each scorer reads the
+ * per-country index built by buildContext() and the factor's spec record.
+ * A factor in the model without a scorer here is rejected by resolveModel().
  */
-function computeStabilityAdjustment(isoCode, stabilityData) {
-  if (!isoCode || !stabilityData) return 0;
+const FACTOR_SCORERS = {
+  ucdpConflict: (code, ctx, f) => {
+    const conflict = ctx.ucdp.get(code);
+    if (!conflict) return 0;
+    return tierPoints(conflict.events, f.eventTiers) +
+      tierPoints(conflict.deaths, f.deathTiers) +
+      (conflict.war ? f.warPoints || 0 : 0);
+  },
 
-  let adjustment = 0;
-  const code = isoCode.toUpperCase();
+  stability: (code, ctx, f) => {
+    const signals = ctx.stability.get(code);
+    if (!signals) return 0;
+    let points = tierPoints(signals.protestIntensity, f.protestTiers);
+    if (signals.military) points += f.militaryPoints?.[signals.military.severity] || 0;
+    if (signals.instability) {
+      points += f.instabilityPoints?.[signals.instability.severity] ?? f.instabilityPoints?.other ?? 0;
+    }
+    return points;
+  },
 
-  // Protest intensity (0-5 points)
-  if (stabilityData.protests?.heatmapPoints) {
-    const protestPoint = stabilityData.protests.heatmapPoints.find(
-      p => p.countryCode === code
-    );
-    if (protestPoint) {
-      const intensity = protestPoint.intensity || 0;
-      if (intensity >= 8) adjustment += 5;
-      else if (intensity >= 5) adjustment += 3;
-      else if (intensity >= 2) adjustment += 1;
+  sanctions: (code, ctx, f) => {
+    const regime = ctx.sanctions.get(code);
+    if (!regime) return 0;
+    return f.levelPoints?.[regime.level] ?? f.levelPoints?.other ?? 0;
+  },
+
+  economic: (code, ctx, f) => {
+    const wb = ctx.economic.get(code);
+    if (!wb) return 0;
+    return Object.entries(f.indicators || {}).reduce((sum, [key, tiers]) => sum + tierPoints(wb[key], tiers), 0);
+  },
+
+  coupRisk: (code, ctx, f) => (ctx.regime.get(code)?.coupRisk?.score || 0) * (f.scale ?? 0),
+
+  demographic: (code, ctx, f) => (ctx.demographic.get(code)?.risk?.score || 0) * (f.scale ?? 0),
+
+  tensionExposure: (code, ctx, f) => {
+    const exposure = ctx.tension.get(code);
+    if (!exposure) return 0;
+    return Math.max(exposure.conflict * (f.conflictScale ?? 0), exposure.flashpoint * (f.flashpointScale ?? 0));
+  },
+};
+
+const MAX_EVIDENCE_ITEMS = 8;
+
+const articleEvidence = (articles) => (articles || []).slice(0, MAX_EVIDENCE_ITEMS).map(a => ({
+  title: a.title, url: a.url || a.link, date: a.date, source: a.source,
+}));
+
+/**
+ * The inputs behind each factor's points for one country, for
+ * explainCountry(): the tier each signal fell in and the source items
+ * (UCDP events, geolocated articles, sanctions programs and news, World
+ * Bank indicators, coup / demographic factors, conflicts the country is in).
+ */
+const FACTOR_EVIDENCE = {
+  ucdpConflict: (code, ctx, f) => {
+    const conflict = ctx.ucdp.get(code);
+    if (!conflict) return null;
+    return {
+      events: conflict.events,
+      eventPoints: tierPoints(conflict.events, f.eventTiers),
+      deaths: conflict.deaths,
+      deathPoints: tierPoints(conflict.deaths, f.deathTiers),
+      war: conflict.war,
+      warPoints: conflict.war ? f.warPoints || 0 : 0,
+      wars: conflict.wars.map(c => ({ id: c.id, name: c.name, sideA: c.sideA, sideB: c.sideB })),
+      items: [...conflict.items]
+        .sort((a, b) => (b.deathsBest || 0) - (a.deathsBest || 0))
+        .slice(0, MAX_EVIDENCE_ITEMS)
+        .map(e => ({
+          id: e.id, date: e.date, location: e.location, type: e.type,
+          sideA: e.sideA, sideB: e.sideB, deaths: e.deathsBest,
+          url: e.id ? `https://ucdp.uu.se/event/${e.id}` : null,
+        })),
+    };
+  },
+
+  stability: (code, ctx, f) => {
+    const signals = ctx.stability.get(code);
+    if (!signals) return null;
+    const { protest, military, instability } = signals;
+    return {
+      protests: protest ? {
+        intensity: protest.intensity, count: protest.count,
+        points: tierPoints(signals.protestIntensity, f.protestTiers), articles: articleEvidence(protest.articles),
+      } : null,
+      military: military ? {
+        severity: military.severity, count: military.count,
+        points: f.militaryPoints?.[military.severity] || 0, articles: articleEvidence(military.articles),
+      } : null,
+      instability: instability ? {
+        severity: instability.severity, type: instability.type, count: instability.count,
+        points: f.instabilityPoints?.[instability.severity] ?? f.instabilityPoints?.other ?? 0,
+        articles: articleEvidence(instability.articles),
+      } : null,
+    };
+  },
+
+  sanctions: (code, ctx) => {
+    const regime = ctx.sanctions.get(code);
+    if (!regime) return null;
+    return {
+      level: regime.level,
+      programs: regime.programs || [],
+      sectors: regime.sectors || [],
+      news: articleEvidence(ctx.sanctionsNews.filter(item => mentionsCountry(item.title, code))),
+    };
+  },
+
+  economic: (code, ctx, f) => {
+    const wb = ctx.economic.get(code);
+    if (!wb) return null;
+    return {
+      source: wb.source || 'World Bank',
+      indicators: Object.entries(f.indicators || {}).map(([key, tiers]) => ({
+        key, value: wb[key] ?? null, date: wb[`${key}Date`] ?? null, points: tierPoints(wb[key], tiers),
+      })),
+      url: `https://data.worldbank.org/country/${code}`,
+    };
+  },
+
+  coupRisk: (code, ctx) => {
+    const profile = ctx.regime.get(code);
+    if (!profile?.coupRisk) return null;
+    const { score, level, factors, signals } = profile.coupRisk;
+    return { score, level, regimeType: profile.regimeType, factors: factors || [], signals: (signals || []).slice(0, MAX_EVIDENCE_ITEMS) };
+  },
+
+  demographic: (code, ctx) => {
+    const profile = ctx.demographic.get(code);
+    if (!profile?.risk) return null;
+    const { score, level, factors } = profile.risk;
+    return { score, level, factors: factors || [] };
+  },
+
+  tensionExposure: (code, ctx) => {
+    const exposure = ctx.tension.get(code);
+    if (!exposure) return null;
+    return { conflict: exposure.conflict, flashpoint: exposure.flashpoint, items: exposure.items };
+  },
+};
+
+/**
+ * Index every input by ISO alpha-2 code. Any input may be null (source
+ * down, or no snapshot yet at a backtest date); its factors then score 0.
+ */
+function buildContext({ ucdpEvents, ucdpConflicts, stability, sanctions, regime, demographic, tension, economic }) {
+  const ucdp = new Map();
+  const ucdpEntry = (code) => {
+    if (!ucdp.has(code)) ucdp.set(code, { events: 0, deaths: 0, war: false, items: [], wars: [] });
+    return ucdp.get(code);
+  };
+  for (const e of ucdpEvents || []) {
+    const code = resolveCountryCode(e.country);
+    if (!code) continue;
+    const entry = ucdpEntry(code);
+    entry.events += 1;
+    entry.deaths += e.deathsBest || 0;
+    entry.items.push(e);
+  }
+  for (const c of ucdpConflicts || []) {
+    if (c.intensity !== 'War') continue;
+    for (const place of String(c.location || '').split(',')) {
+      const code = resolveCountryCode(place);
+      if (!code) continue;
+      const entry = ucdpEntry(code);
+      entry.war = true;
+      if (!entry.wars.includes(c)) entry.wars.push(c);
     }
   }
 
-  // Military indicators (0-5 points)
-  if (stabilityData.military?.indicators) {
-    const milIndicator = stabilityData.military.indicators.find(
-      m => m.countryCode === code
-    );
-    if (milIndicator) {
-      if (milIndicator.severity === 'critical') adjustment += 5;
-      else if (milIndicator.severity === 'high') adjustment += 3;
-      else if (milIndicator.severity === 'elevated') adjustment += 2;
+  const stabilityIndex = new Map();
+  const stabilityEntry = (code) => {
+    if (!stabilityIndex.has(code)) stabilityIndex.set(code, {});
+    return stabilityIndex.get(code);
+  };
+  for (const p of stability?.protests?.heatmapPoints || []) {
+    const entry = p.countryCode && stabilityEntry(p.countryCode.toUpperCase());
+    if (entry && !entry.protest) {
+      entry.protest = p;
+      entry.protestIntensity = p.intensity || 0;
     }
   }
+  for (const m of stability?.military?.indicators || []) {
+    const entry = m.countryCode && stabilityEntry(m.countryCode.toUpperCase());
+    if (entry && !entry.military) entry.military = m;
+  }
+  for (const a of stability?.instability?.alerts || []) {
+    const entry = a.countryCode && stabilityEntry(a.countryCode.toUpperCase());
+    if (entry && !entry.instability) entry.instability = a;
+  }
 
-  // Instability alerts (0-5 points)
-  if (stabilityData.instability?.alerts) {
-    const alert = stabilityData.instability.alerts.find(
-      a => a.countryCode === code
-    );
-    if (alert) {
-      if (alert.severity === 'critical') adjustment += 5;
-      else if (alert.severity === 'high') adjustment += 3;
-      else if (alert.severity === 'elevated') adjustment += 2;
-      else adjustment += 1;
+  const sanctionsIndex = new Map();
+  for (const r of sanctions?.regimes || []) {
+    const code = r.code || resolveCountryCode(r.country);
+    if (code && !sanctionsIndex.has(code)) sanctionsIndex.set(code, r);
+  }
+
+  const profilesByCode = (profiles) => {
+    const index = new Map();
+    for (const p of profiles || []) {
+      const code = p.iso2 || resolveCountryCode(p.country);
+      if (code) index.set(code, p);
+    }
+    return index;
+  };
+
+  const tensionIndex = new Map();
+  const expose = (entry, field, value) => {
+    // Older tension snapshots predate `countries`; fall back to party names
+    const codes = entry.countries || (entry.parties || []).map(resolveCountryCode).filter(Boolean);
+    for (const code of codes) {
+      if (!tensionIndex.has(code)) tensionIndex.set(code, { conflict: 0, flashpoint: 0, items: [] });
+      const exposure = tensionIndex.get(code);
+      exposure[field] = Math.max(exposure[field], value || 0);
+      exposure.items.push({ id: entry.id, name: entry.name, kind: field, value: value || 0, parties: entry.parties || [] });
     }
+  };
+  for (const c of tension?.activeConflicts || []) expose(c, 'conflict', c.intensity);
+  for (const f of tension?.flashpoints || []) expose(f, 'flashpoint', f.tension);
+
+  return {
+    ucdp,
+    stability: stabilityIndex,
+    sanctions: sanctionsIndex,
+    sanctionsNews: sanctions?.recentNews || [],
+    economic: economic || new Map(),
+    regime: profilesByCode(regime?.profiles),
+    demographic: profilesByCode(demographic?.profiles),
+    tension: tensionIndex,
+  };
+}
+
+// A stored factor without a scorer (e.g. added through the admin API) is ignored
+const modelFactors = (model) => Object.entries(model.factors).filter(([key]) => FACTOR_SCORERS[key]);
+const modelLevels = (model) => Object.entries(model.levels).sort((a, b) => b[1].min - a[1].min);
+
+/**
+ * Score one country from a built context.
+ */
+function scoreCountry({ code, name, lat, lon }, ctx, model, factors = modelFactors(model), levels = modelLevels(model)) {
+  const category = model.countries[code]?.category || 'stable';
+  const baseline = model.baselines[category]?.score ?? model.baselines.stable?.score ?? 0;
+
+  const breakdown = { baseline };
+  let total = baseline;
+  for (const [key, factor] of factors) {
+    const points = round1(Math.min(FACTOR_SCORERS[key](code, ctx, factor), factor.cap) * factor.weight);
+    breakdown[key] = points;
+    total += points;
   }
 
-  return Math.min(adjustment, 15);
+  const score = Math.round(Math.max(0, Math.min(100, total)));
+  return {
+    country: name,
+    code,
+    score,
+    level: levels.find(([, l]) => score >= l.min)?.[0] || 'low',
+    category,
+    sanctioned: ctx.sanctions.has(code),
+    lat,
+    lon,
+    trend: 'stable', // Could be computed from historical snapshots
+    breakdown,
+  };
 }
 
 /**
- * Compute sanctions adjustment.
- * Comprehensive sanctions add more risk than targeted sanctions.
- * Returns 0-10 additional risk points.
+ * Score every gazetteer country with a model spec.
+ * @param {Object} inputs - see buildContext()
+ * @param {{ version, factors, baselines, countries, levels }} model
  */
-function computeSanctionsAdjustment(country, sanctionsData) {
-  if (!sanctionsData?.regimes) return 0;
+function scoreCountries(inputs, model) {
+  const ctx = buildContext(inputs);
+  const factors = modelFactors(model);
+  const levels = modelLevels(model);
 
-  const regime = sanctionsData.regimes.find(
-    r => r.country?.toLowerCase() === country.toLowerCase() ||
-         r.country?.toLowerCase().startsWith(country.toLowerCase())
-  );
+  const scores = COUNTRIES.map(country => scoreCountry(country, ctx, model, factors, levels));
+  scores.sort((a, b) => b.score - a.score);
 
-  if (!regime) return 0;
+  const summary = { total: scores.length };
+  for (const [level] of levels) summary[level] = scores.filter(s => s.level === level).length;
+  summary.avgScore = Math.round(scores.reduce((s, c) => s + c.score, 0) / scores.length);
 
-  if (regime.level === 'comprehensive') return 10;
-  if (regime.level === 'targeted') return 5;
-  return 3;
+  return { scores, summary };
 }
 
-/**
- * Compute economic risk adjustment from World Bank indicators.
- * High inflation, unemployment, or debt contribute to risk.
- * Returns 0-10 additional risk points.
- */
-function computeEconomicAdjustment(wbData) {
-  if (!wbData) return 0;
+export const countryRiskService = {
+  /**
+   * Current model spec plus its reference-data version.
+   */
+  getModel() {
+    const { version, updatedAt, tables } = referenceDataService.get(MODEL_DATASET);
+    return { version, updatedAt, ...tables };
+  },
 
-  let adjustment = 0;
+  /**
+   * The current model with what-if overrides deep-merged per record, e.g.
+   * { factors: { coupRisk: { weight: 2 } }, countries: { BR: { category: 'developing' } } }.
+   * Merged records are checked with the reference dataset's validators.
+   */
+  resolveModel(overrides) {
+    const model = this.getModel();
+    if (overrides == null) return model;
+    if (!isPlainObject(overrides)) throw new RiskModelError('model must be an object of table -> { key: record }');
+
+    const resolved = { ...model, version: `${model.version}+overrides` };
+    for (const [table, records] of Object.entries(overrides)) {
+      if (!['factors', 'baselines', 'countries', 'levels'].includes(table)) {
+        throw new RiskModelError(`Unknown model table "${table}" (expected factors, baselines, countries or levels)`);
+      }
+      if (!isPlainObject(records)) throw new RiskModelError(`model.${table} must be an object`);
+
+      resolved[table] = { ...model[table] };
+      for (const [key, patch] of Object.entries(records)) {
+        if (table === 'factors' && !FACTOR_SCORERS[key]) {
+          throw new RiskModelError(`Unknown factor "${key}" (expected one of: ${Object.keys(FACTOR_SCORERS).join(', ')})`);
+        }
+        const record = deepMerge(model[table][key] ?? {}, patch);
+        try {
+          referenceDataService.validateRecord(MODEL_DATASET, table, record);
+        } catch (error) {
+          throw new RiskModelError(`model.${table}.${key}: ${error.message}`);
+        }
+        resolved[table][key] = record;
+      }
+    }
+    return resolved;
+  },
 
-  // High inflation (>20% = +3, >10% = +2, >7% = +1)
-  if (wbData.inflation != null) {
-    if (wbData.inflation > 20) adjustment += 3;
-    else if (wbData.inflation > 10) adjustment += 2;
-    else if (wbData.inflation > 7) adjustment += 1;
-  }
+  /**
+   * Cached risk scores. Concurrent misses share one computation. The key
+   * carries the model version, so an edited model takes effect immediately.
+   */
+  async getCountryRiskScores({ refresh = false } = {}) {
+    const model = this.getModel();
+    return cacheService.wrap(`${CACHE_KEY}:v${model.version}`, CACHE_TTL, () => this.computeCountryRiskScores(model), { refresh });
+  },
 
-  // Negative GDP growth (recession indicator)
-  if (wbData.gdpGrowth != null) {
-    if (wbData.gdpGrowth < -5) adjustment += 3;
-    else if (wbData.gdpGrowth < -2) adjustment += 2;
-    else if (wbData.gdpGrowth < 0) adjustment += 1;
-  }
+  async computeCountryRiskScores(model = this.getModel()) {
+    const inputs = await this.loadLiveInputs();
+    return {
+      ...scoreCountries(inputs, model),
+      model: { version: model.version, updatedAt: model.updatedAt },
+      updatedAt: new Date().toISOString(),
+    };
+  },
 
-  // High unemployment (>20% = +2, >12% = +1)
-  if (wbData.unemployment != null) {
-    if (wbData.unemployment > 20) adjustment += 2;
-    else if (wbData.unemployment > 12) adjustment += 1;
-  }
+  /**
+   * Score today's inputs with what-if model overrides (uncached).
+   */
+  async previewScores(overrides) {
+    const model = this.resolveModel(overrides);
+    return this.computeCountryRiskScores(model);
+  },
 
-  // Extreme debt-to-GDP (>100% = +2, >80% = +1)
-  if (wbData.debtToGdp != null) {
-    if (wbData.debtToGdp > 100) adjustment += 2;
-    else if (wbData.debtToGdp > 80) adjustment += 1;
-  }
+  /**
+   * Why a country scores what it does: the baseline, each factor's raw
+   * points, cap, weight and contribution with the evidence behind it, and
+   * the change since the previous published snapshot.
+   *
+   * Explains the published score (the cached result, else the newest `risk`
+   * snapshot) without computing a new one, so it matches the panel. Raw
+   * points and evidence come from the current inputs; when those would score
+   * differently, `live` carries the score the next refresh will publish.
+   * @param {string} query - ISO alpha-2 code or country name
+   * @returns {Promise<Object|null>} null for an unknown country
+   */
+  async explainCountry(query) {
+    const country = findCountry(query);
+    if (!country) return null;
+
+    const model = this.getModel();
+    const [inputs, cached, history] = await Promise.all([
+      this.loadLiveInputs({ codes: [country.code] }),
+      cacheService.getEntry(`${CACHE_KEY}:v${model.version}`),
+      snapshotService.query('risk', { limit: 5 }),
+    ]);
+    const published = cached?.data ?? history[0]?.data ?? null;
+    const findIn = (result) => result?.scores?.find(
+      s => s.code === country.code || s.country?.toLowerCase() === country.name.toLowerCase()
+    );
 
-  return Math.min(adjustment, 10);
-}
+    const ctx = buildContext(inputs);
+    const live = scoreCountry(country, ctx, model);
+    const shown = findIn(published) ?? live;
 
-function computeRiskLevel(score) {
-  if (score >= 80) return 'critical';
-  if (score >= 60) return 'high';
-  if (score >= 40) return 'elevated';
-  if (score >= 20) return 'moderate';
-  return 'low';
-}
+    const factors = modelFactors(model).map(([key, factor]) => {
+      const raw = FACTOR_SCORERS[key](country.code, ctx, factor);
+      return {
+        key,
+        label: factor.label || key,
+        weight: factor.weight,
+        cap: factor.cap,
+        raw: round1(raw),
+        capped: raw > factor.cap,
+        points: shown.breakdown[key] ?? 0,
+        evidence: FACTOR_EVIDENCE[key]?.(country.code, ctx, factor) ?? null,
+      };
+    });
 
-export const countryRiskService = {
-  async getCountryRiskScores() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+    // The newest snapshot is normally the published result itself; compare with the one before it
+    const snapshot = history.find(s => s.data?.updatedAt !== published?.updatedAt);
+    const before = findIn(snapshot?.data);
+    const previous = before ? {
+      recordedAt: snapshot.recordedAt,
+      score: before.score,
+      level: before.level,
+      delta: shown.score - before.score,
+      levelChanged: before.level !== shown.level,
+      factors: Object.fromEntries(
+        Object.entries(shown.breakdown)
+          .filter(([key]) => before.breakdown?.[key] != null)
+          .map(([key, points]) => [key, round1(points - before.breakdown[key])])
+      ),
+    } : null;
+
+    return {
+      ...shown,
+      baseline: {
+        category: shown.category,
+        score: shown.breakdown.baseline,
+        label: model.baselines[shown.category]?.label || shown.category,
+      },
+      factors,
+      previous,
+      live: shown !== live && live.score !== shown.score ? { score: live.score, level: live.level } : null,
+      model: { version: model.version, updatedAt: model.updatedAt },
+      updatedAt: shown === live ? new Date().toISOString() : published.updatedAt,
+    };
+  },
 
-    // Fetch all data sources in parallel; each can fail independently
-    const [ucdpEventsResult, activeConflictsResult, stabilityResult, sanctionsResult] =
+  /**
+   * Fetch all data sources in parallel; each can fail independently.
+   * World Bank data is loaded for `codes` (default: every country).
+   */
+  async loadLiveInputs({ codes } = {}) {
+    const [ucdpEventsResult, activeConflictsResult, stabilityResult, sanctionsResult, regimeResult, demographicResult, tensionResult] =
       await Promise.allSettled([
         ucdpService.getRecentEvents({ limit: 500 }),
         ucdpService.getActiveConflicts(),
         stabilityService.getCombinedData(),
         sanctionsService.getCombinedData(),
+        regimeService.getCombinedData(),
+        demographicService.getCombinedData(),
+        tensionIndexService.getGlobalTension(),
       ]);
+    const value = (result) => (result.status === 'fulfilled' ? result.value : null);
+
+    return {
+      ucdpEvents: value(ucdpEventsResult)?.events || null,
+      ucdpConflicts: value(activeConflictsResult)?.conflicts || null,
+      stability: value(stabilityResult),
+      sanctions: value(sanctionsResult),
+      regime: value(regimeResult),
+      demographic: value(demographicResult),
+      tension: value(tensionResult),
+      economic: await this.loadEconomicData(codes),
+    };
+  },
 
-    const ucdpEvents = ucdpEventsResult.status === 'fulfilled' ? ucdpEventsResult.value : null;
-    const activeConflicts = activeConflictsResult.status === 'fulfilled' ? activeConflictsResult.value : null;
-    const stabilityData = stabilityResult.status === 'fulfilled' ? stabilityResult.value : null;
-    const sanctionsData = sanctionsResult.status === 'fulfilled' ? sanctionsResult.value : null;
-
-    // Fetch World Bank data for all countries in parallel (batched)
-    const countries = Object.keys(COUNTRY_COORDS);
-    const wbDataMap = {};
-
-    const wbPromises = countries.map(async (country) => {
-      const isoCode = COUNTRY_TO_ISO[country];
-      if (!isoCode) return;
-      try {
-        const data = await worldBankService.getEconomicData(isoCode);
-        if (data) wbDataMap[country] = data;
-      } catch (e) {
-        // Silently skip countries where WB data is unavailable
-      }
-    });
-
-    await Promise.allSettled(wbPromises);
+  /**
+   * World Bank indicators for every country, in small batches (cached 24h
+   * per country by the World Bank service, so only a cold start is slow).
+   * @param {string[]} [codes] - ISO alpha-2 codes (default: every country)
+   * @returns {Promise<Map<string, Object>>} ISO alpha-2 -> indicators
+   */
+  async loadEconomicData(codes = COUNTRIES.map(c => c.code)) {
+    const economic = new Map();
+    for (let i = 0; i < codes.length; i += WB_BATCH_SIZE) {
+      const batch = codes.slice(i, i + WB_BATCH_SIZE);
+      const results = await Promise.allSettled(batch.map(code => worldBankService.getEconomicData(code)));
+      results.forEach((result, j) => {
+        if (result.status === 'fulfilled' && result.value) economic.set(batch[j], result.value);
+      });
+    }
+    return economic;
+  },
 
-    // Build the sanctioned countries set for the result flag
-    const sanctionedCountries = new Set(
-      (sanctionsData?.regimes || []).map(r => r.country)
-    );
+  /**
+   * Replay stored snapshots through the model and report how scores would
+   * have moved. With `model` overrides, each point and country series also
+   * carries the current model's score for comparison; `recorded` is what the
+   * live model actually published at the time (null before it existed).
+   *
+   * Not every input is snapshotted: UCDP events come from the live feed,
+   * filtered to the year before each date, and World Bank indicators are
+   * today's values (they move annually).
+   *
+   * @param {{ from: Date, to: Date, stepDays?: number, model?: Object,
+   *           countries?: string[], limit?: number }} options
+   */
+  async backtest({ from, to, stepDays = 1, model: overrides, countries, limit = 25 }) {
+    if (!snapshotService.isConnected) {
+      throw new RiskModelError('Backtesting needs stored history (PostgreSQL unavailable or HISTORY_ENABLED=false)', 503);
+    }
+    if (!(from instanceof Date) || !(to instanceof Date) || from >= to) {
+      throw new RiskModelError('"from" must be a date before "to"');
+    }
+    const step = Number(stepDays);
+    if (!(step > 0)) throw new RiskModelError('stepDays must be a positive number');
+    const stepMs = step * 24 * 60 * 60 * 1000;
+    const count = Math.floor((to - from) / stepMs) + 1;
+    if (count > MAX_BACKTEST_POINTS) {
+      throw new RiskModelError(`At most ${MAX_BACKTEST_POINTS} points per backtest (this range needs ${count}); increase stepDays`);
+    }
 
-    // Compute dynamic scores for every country
-    const scores = countries.map((country) => {
-      const isoCode = COUNTRY_TO_ISO[country] || null;
+    const current = this.getModel();
+    const candidate = this.resolveModel(overrides);
+    const compare = overrides != null;
 
-      // 1. Category-based baseline (fragile=70, developing=40, stable=20)
-      const baseline = getBaselineScore(country);
+    let wanted = null;
+    if (countries != null) {
+      if (!Array.isArray(countries)) throw new RiskModelError('countries must be an array of names or ISO codes');
+      wanted = new Set(countries.map(c => (String(c).length === 2 ? String(c).toUpperCase() : resolveCountryCode(c))).filter(Boolean));
+    }
 
-      // 2. UCDP conflict adjustment (0-20)
-      const ucdpAdj = computeUCDPAdjustment(country, ucdpEvents, activeConflicts);
+    const [liveEvents, economic] = await Promise.all([
+      ucdpService.getRecentEvents({ limit: 500 }).then(r => r?.events || []).catch(() => []),
+      this.loadEconomicData(),
+    ]);
 
-      // 3. Stability adjustment — protests, military, instability (0-15)
-      const stabilityAdj = computeStabilityAdjustment(isoCode, stabilityData);
+    const points = [];
+    const series = new Map(); // code -> [{ date, score, level, current?, recorded }]
+    let skipped = 0;
 
-      // 4. Sanctions adjustment (0-10)
-      const sanctionsAdj = computeSanctionsAdjustment(country, sanctionsData);
+    for (let i = 0; i < count; i++) {
+      const at = new Date(from.getTime() + i * stepMs);
+      const snapshots = await snapshotService.getAt(BACKTEST_DATASETS, at);
+      const data = (dataset) => snapshots[dataset]?.data ?? null;
 
-      // 5. Economic risk adjustment from World Bank (0-10)
-      const economicAdj = computeEconomicAdjustment(wbDataMap[country] || null);
+      const inputDatasets = BACKTEST_DATASETS.filter(d => d !== 'risk');
+      if (inputDatasets.every(d => !snapshots[d])) {
+        skipped += 1;
+        continue;
+      }
 
-      // Composite score clamped to [0, 100]
-      const rawScore = baseline + ucdpAdj + stabilityAdj + sanctionsAdj + economicAdj;
-      const finalScore = Math.max(0, Math.min(100, rawScore));
+      const inputs = {
+        ucdpEvents: liveEvents.filter(e => {
+          const time = new Date(e.date).getTime();
+          return time <= at.getTime() && time > at.getTime() - UCDP_EVENT_WINDOW_MS;
+        }),
+        ucdpConflicts: data('ucdp')?.conflicts || null,
+        stability: data('stability'),
+        sanctions: data('sanctions'),
+        regime: data('regime'),
+        demographic: data('demographic'),
+        tension: data('tension'),
+        economic,
+      };
 
-      const coords = COUNTRY_COORDS[country] || {};
-      const isSanctioned = sanctionedCountries.has(country);
+      const scored = scoreCountries(inputs, candidate);
+      const baseline = compare ? scoreCountries(inputs, current) : null;
+      const baselineByCode = new Map((baseline?.scores || []).map(s => [s.code, s.score]));
+      const recordedByName = new Map((data('risk')?.scores || []).map(s => [s.country?.toLowerCase(), s.score]));
+
+      const date = at.toISOString();
+      points.push({
+        date,
+        datasets: Object.fromEntries(BACKTEST_DATASETS.map(d => [d, snapshots[d]?.recordedAt || null])),
+        summary: scored.summary,
+        ...(compare && { current: baseline.summary }),
+        recorded: data('risk')?.summary ? { avgScore: data('risk').summary.avgScore } : null,
+      });
+
+      for (const s of scored.scores) {
+        if (wanted && !wanted.has(s.code)) continue;
+        if (!series.has(s.code)) series.set(s.code, { country: s.country, code: s.code, points: [] });
+        series.get(s.code).points.push({
+          date,
+          score: s.score,
+          level: s.level,
+          ...(compare && { current: baselineByCode.get(s.code) }),
+          recorded: recordedByName.get(s.country.toLowerCase()) ?? null,
+        });
+      }
+    }
 
+    const countrySeries = [...series.values()].map(({ country, code, points: p }) => {
+      const scores = p.map(x => x.score);
+      const levelChanges = p.filter((x, i) => i > 0 && x.level !== p[i - 1].level).length;
       return {
         country,
-        score: finalScore,
-        level: computeRiskLevel(finalScore),
-        sanctioned: isSanctioned,
-        lat: coords.lat || null,
-        lon: coords.lon || null,
-        trend: 'stable', // Could be computed from historical snapshots
-        breakdown: {
-          baseline,
-          ucdpConflict: ucdpAdj,
-          stability: stabilityAdj,
-          sanctions: sanctionsAdj,
-          economic: economicAdj,
-        },
+        code,
+        start: scores[0],
+        end: scores[scores.length - 1],
+        change: scores[scores.length - 1] - scores[0],
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        levelChanges,
+        ...(compare && { avgDeltaVsCurrent: round1(p.reduce((sum, x) => sum + (x.score - (x.current ?? x.score)), 0) / p.length) }),
+        series: p,
       };
     });
-
-    scores.sort((a, b) => b.score - a.score);
-
-    const result = {
-      scores,
-      summary: {
-        total: scores.length,
-        critical: scores.filter(s => s.level === 'critical').length,
-        high: scores.filter(s => s.level === 'high').length,
-        elevated: scores.filter(s => s.level === 'elevated').length,
-        moderate: scores.filter(s => s.level === 'moderate').length,
-        low: scores.filter(s => s.level === 'low').length,
-        avgScore: Math.round(scores.reduce((s, c) => s + c.score, 0) / scores.length),
-      },
-      updatedAt: new Date().toISOString(),
+    countrySeries.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.end - a.end);
+
+    return {
+      model: { version: candidate.version, baseVersion: current.version, overrides: overrides ?? null },
+      from: from.toISOString(),
+      to: to.toISOString(),
+      stepDays: step,
+      points,
+      skipped,
+      countries: wanted ? countrySeries : countrySeries.slice(0, Math.max(1, limit)),
+      notes: [
+        'UCDP events come from the live feed, filtered to the 365 days before each date',
+        'World Bank indicators are current values',
+      ],
     };
-
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
-    return result;
   },
 };
@@ -59,10 +59,11 @@ async function fetchCourtNews() {
 }
 
 export const courtService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const news = await fetchCourtNews();
 
     const result = {
@@ -76,7 +77,6 @@ export const courtService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 };
@@ -7,9 +7,9 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_TTL = 600; // 10 minutes
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 /* ── Source Credibility Database ─────────────────────────────────────────────
  * Static credibility ratings for 80+ major news sources.
@@ -362,14 +362,7 @@ class CredibilityService {
       const allArticles = [];
 
       const results = await Promise.allSettled(
-        queries.map(async (query) => {
-          const encoded = encodeURIComponent(query);
-          const url = `${GDELT_BASE}?query=${encoded}&mode=artlist&maxrecords=50&format=json&timespan=3d&sort=datedesc`;
-          const res = await fetch(url, { signal: AbortSignal.timeout(12000) });
-          if (!res.ok) throw new Error(`GDELT ${res.status}`);
-          const data = await res.json();
-          return data.articles || [];
-        })
+        queries.map((query) => gdeltClient.artList(query, { maxRecords: 50, timespan: '3d', sort: 'datedesc' }))
       );
 
       for (const result of results) {
@@ -487,12 +480,11 @@ class CredibilityService {
 
     try {
       // Fetch a broad set of recent articles
-      const query = encodeURIComponent('breaking OR crisis OR scandal OR threat OR war');
-      const url = `${GDELT_BASE}?query=${query}&mode=artlist&maxrecords=100&format=json&timespan=2d&sort=datedesc`;
-      const res = await fetch(url, { signal: AbortSignal.timeout(12000) });
-      if (!res.ok) throw new Error(`GDELT ${res.status}`);
-      const data = await res.json();
-      const articles = data.articles || [];
+      const articles = await gdeltClient.artList('breaking OR crisis OR scandal OR threat OR war', {
+        maxRecords: 100,
+        timespan: '2d',
+        sort: 'datedesc',
+      });
 
       // Group by approximate topic
       const topicGroups = new Map();
@@ -621,12 +613,7 @@ class CredibilityService {
 
     try {
       // Fetch a wide sample of recent articles
-      const query = encodeURIComponent('*');
-      const url = `${GDELT_BASE}?query=${query}&mode=artlist&maxrecords=100&format=json&timespan=1d&sort=datedesc`;
-      const res = await fetch(url, { signal: AbortSignal.timeout(12000) });
-      if (!res.ok) throw new Error(`GDELT ${res.status}`);
-      const data = await res.json();
-      const articles = data.articles || [];
+      const articles = await gdeltClient.artList('*', { maxRecords: 100, timespan: '1d', sort: 'datedesc' });
 
       // Count by tier
       const tierCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, unknown: 0 };
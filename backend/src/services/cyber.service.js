@@ -6,6 +6,8 @@
 
 import { cacheService } from './cache.service.js';
 import Parser from 'rss-parser';
+import { trackedFetch } from './sourceHealth.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const parser = new Parser({ timeout: 10000 });
 const CACHE_KEY = 'cyber:combined';
@@ -51,7 +53,7 @@ async function fetchRSSCyber() {
 
 async function fetchCISAVulns() {
   try {
-    const res = await fetch(CISA_KEV_URL, { signal: AbortSignal.timeout(15000) });
+    const res = await trackedFetch(CISA_KEV_URL, { signal: AbortSignal.timeout(15000) });
     if (!res.ok) throw new Error(`CISA ${res.status}`);
     const data = await res.json();
     const vulns = (data.vulnerabilities || [])
@@ -77,12 +79,11 @@ async function fetchCISAVulns() {
 
 async function fetchGDELTCyber() {
   try {
-    const query = encodeURIComponent('cyberattack OR "data breach" OR ransomware OR "critical infrastructure"');
-    const url = `https://api.gdeltproject.org/api/v2/doc/doc?query=${query}&mode=artlist&maxrecords=30&format=json&timespan=7d`;
-    const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
-    if (!res.ok) throw new Error(`GDELT ${res.status}`);
-    const data = await res.json();
-    return (data.articles || []).map(a => ({
+    const articles = await gdeltClient.artList(
+      'cyberattack OR "data breach" OR ransomware OR "critical infrastructure"',
+      { maxRecords: 30, timespan: '7d' }
+    );
+    return articles.map(a => ({
       id: `gdelt-cyber-${Buffer.from(a.url || '').toString('base64').slice(0, 20)}`,
       title: a.title,
       link: a.url,
@@ -100,10 +101,11 @@ async function fetchGDELTCyber() {
 }
 
 export const cyberService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const [rssItems, cisaVulns, gdeltItems] = await Promise.allSettled([
       fetchRSSCyber(),
       fetchCISAVulns(),
@@ -137,7 +139,6 @@ export const cyberService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 };
@@ -0,0 +1,95 @@
+/**
+ * PostgreSQL
+ * The one connection pool shared by every service that persists to
+ * PostgreSQL (snapshots, alert rules, search index, reference data, ...).
+ *
+ * The database is optional. The first isAvailable() call probes it once for
+ * the whole process; when it is unreachable, services keep their data in
+ * memory and ensureSchema() returns false.
+ */
+
+import pg from 'pg';
+import config from '../config/index.js';
+
+const POOL_SIZE = 10;
+
+class Database {
+  constructor() {
+    this.pool = null;
+    this.available = null;
+  }
+
+  /**
+   * Whether PostgreSQL answered the first connection attempt.
+   * Concurrent callers share the one probe.
+   * @returns {Promise<boolean>}
+   */
+  isAvailable() {
+    if (!this.available) this.available = this.probe();
+    return this.available;
+  }
+
+  async probe() {
+    this.pool = new pg.Pool({
+      connectionString: config.database.url,
+      max: POOL_SIZE,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    });
+    // Suppress unhandled idle-client errors (e.g. database restart)
+    this.pool.on('error', () => {});
+
+    try {
+      await this.pool.query('SELECT 1');
+      console.log('[DB] Connected to PostgreSQL');
+      return true;
+    } catch (error) {
+      console.log(`[DB] PostgreSQL unavailable (${error.message})`);
+      await this.pool.end().catch(() => {});
+      this.pool = null;
+      return false;
+    }
+  }
+
+  /**
+   * Run a service's `CREATE ... IF NOT EXISTS` script.
+   * @returns {Promise<boolean>} false when the database is unavailable or the script fails
+   */
+  async ensureSchema(sql) {
+    if (!(await this.isAvailable())) return false;
+    try {
+      await this.pool.query(sql);
+      return true;
+    } catch (error) {
+      console.error(`[DB] Schema setup failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  query(text, params) {
+    return this.pool.query(text, params);
+  }
+
+  /** A dedicated client for transactions; release() it when done. */
+  connect() {
+    return this.pool.connect();
+  }
+
+  async health() {
+    if (!this.pool) return { status: 'disabled', connected: false };
+    try {
+      await this.pool.query('SELECT 1');
+      return { status: 'healthy', connected: true };
+    } catch (error) {
+      return { status: 'unhealthy', connected: false, error: error.message };
+    }
+  }
+
+  async end() {
+    if (this.pool) await this.pool.end();
+    this.pool = null;
+  }
+}
+
+export const db = new Database();
+export default db;
@@ -23,6 +23,7 @@
 
 import { cacheService } from './cache.service.js';
 import { worldBankService } from './worldbank.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const WB_BASE = 'https://api.worldbank.org/v2/country';
 
@@ -158,7 +159,7 @@ async function fetchSingleIndicator(iso2, indicatorCode) {
     `?format=json&per_page=5&mrv=1`;
 
   try {
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: { Accept: 'application/json' },
       signal: AbortSignal.timeout(15000),
     });
@@ -6,6 +6,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const EONET_API = 'https://eonet.gsfc.nasa.gov/api/v3';
 const RELIEFWEB_API = 'https://api.reliefweb.int/v1';
@@ -32,7 +33,7 @@ const CATEGORY_MAP = {
 async function fetchEONET() {
   try {
     const url = `${EONET_API}/events?status=open&limit=100`;
-    const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    const res = await trackedFetch(url, { signal: AbortSignal.timeout(15000) });
     if (!res.ok) throw new Error(`EONET ${res.status}`);
     const data = await res.json();
 
@@ -68,7 +69,7 @@ async function fetchEONET() {
 async function fetchReliefWeb() {
   try {
     const url = `${RELIEFWEB_API}/disasters?appname=monitored&limit=30&sort[]=date:desc&fields[include][]=name&fields[include][]=date&fields[include][]=status&fields[include][]=country&fields[include][]=type&fields[include][]=url&fields[include][]=glide`;
-    const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    const res = await trackedFetch(url, { signal: AbortSignal.timeout(15000) });
     if (!res.ok) throw new Error(`ReliefWeb ${res.status}`);
     const data = await res.json();
 
@@ -90,10 +91,11 @@ async function fetchReliefWeb() {
 }
 
 export const disastersService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const [eonetEvents, reliefWebEvents] = await Promise.allSettled([
       fetchEONET(),
       fetchReliefWeb(),
@@ -117,7 +119,6 @@ export const disastersService = {
       });
     }
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 
@@ -0,0 +1,383 @@
+/**
+ * Election Forecast Service
+ * Win probabilities for every 2026 Senate, Governor and competitive House
+ * race, and a Monte Carlo simulation of Senate and House control.
+ *
+ * Inputs:
+ *   - elections reference dataset — ratings, PVI, incumbents, safe House
+ *     seats per state (houseForecast) and the generic ballot / current
+ *     chamber balance (meta.national)
+ *   - electionLive.service.js — market-implied D win probabilities, FEC
+ *     receipts and outside spending
+ *
+ * The blend and error sizes are in config/forecastModel.js. Seats that are
+ * not modeled (Senate holdovers, safe House seats) are counted as they sit.
+ * The tipping-point race of a simulation is the one that delivers the
+ * winning party's majority when races are ordered from its best to worst.
+ */
+
+import { cacheService } from './cache.service.js';
+import { referenceDataService } from './referenceData.service.js';
+import { electionLiveService, STATE_CODES } from './electionLive.service.js';
+import MODEL from '../config/forecastModel.js';
+
+const CACHE_KEY = 'elections:forecast';
+const CACHE_TTL = 900; // 15 minutes
+const TOP_TIPPING_POINTS = 5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const clamp = (n, lo, hi) => Math.min(Math.max(n, lo), hi);
+
+/** 'D+3' → 3, 'R+16' → -16, 'Even' → 0 */
+function parsePvi(pvi) {
+  if (!pvi) return null;
+  if (/^even$/i.test(pvi.trim())) return 0;
+  const m = /^([DR])\+(\d+(?:\.\d+)?)$/i.exec(pvi.trim());
+  if (!m) return null;
+  return m[1].toUpperCase() === 'D' ? Number(m[2]) : -Number(m[2]);
+}
+
+/** 'Lean R' (houseForecast.lean) → 'lean-r' */
+function parseLeanRating(lean) {
+  const m = /^(safe|likely|lean) ([DR])$/i.exec(String(lean || '').trim());
+  return m ? `${m[1].toLowerCase()}-${m[2].toLowerCase()}` : 'toss-up';
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+function normalInv(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalInv(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/** Seeded standard-normal generator (mulberry32 + Box-Muller). */
+function gaussianRng(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  let spare = null;
+  return () => {
+    if (spare != null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const u = uniform() || Number.MIN_VALUE;
+    const v = uniform();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/** D money minus R money as a margin shift: receipts plus outside spending for, minus against. */
+function moneyShift(receipts, outside) {
+  const side = (party) => {
+    const ie = outside?.byParty?.[party];
+    const other = outside?.byParty?.[party === 'D' ? 'R' : 'D'];
+    return (receipts?.[party] || 0) + (ie?.supportSpendingRaw || 0) + (other?.opposeSpendingRaw || 0);
+  };
+  const d = side('D');
+  const r = side('R');
+  if (d + r < MODEL.money.minTotal || d <= 0 || r <= 0) return 0;
+  return clamp(Math.log2(d / r) * MODEL.money.pointsPerDoubling, -MODEL.money.maxShift, MODEL.money.maxShift);
+}
+
+/**
+ * Expected D margin for one race and what it was made of.
+ * @returns {{ mean: number, sources: object, moneyShift: number }}
+ */
+function raceMargin(race, environment) {
+  const sigma = Math.hypot(MODEL.error.national, MODEL.error[race.office]);
+  const sources = {};
+
+  if (race.marketProb != null) {
+    const p = clamp(race.marketProb / 100, ...MODEL.marketClamp);
+    sources.market = normalInv(p) * sigma;
+  }
+  if (MODEL.ratingMargins[race.rating] != null) sources.rating = MODEL.ratingMargins[race.rating];
+  if (race.pvi != null) {
+    const incumbency = race.incumbentRunning === 'D' ? MODEL.fundamentals.incumbencyPoints
+      : race.incumbentRunning === 'R' ? -MODEL.fundamentals.incumbencyPoints : 0;
+    sources.fundamentals = environment * MODEL.fundamentals.nationalSwing + 2 * race.pvi + incumbency;
+  }
+
+  let weighted = 0;
+  let weight = 0;
+  for (const [source, value] of Object.entries(sources)) {
+    weighted += value * MODEL.weights[source];
+    weight += MODEL.weights[source];
+  }
+  const money = moneyShift(race.receipts, race.outside);
+  return { mean: (weight ? weighted / weight : 0) + money, sources, moneyShift: money };
+}
+
+/** Every modeled race plus the seats each chamber carries over unmodeled. */
+function collectRaces(tables, live) {
+  const races = [];
+  const add = (race) => races.push(race);
+  const incumbentRunning = (record) => (record.status === 'running' ? record.incumbentParty : null);
+
+  for (const [state, record] of Object.entries(tables.senateRaces || {})) {
+    const code = STATE_CODES[state];
+    add({
+      key: `${state}:senate`,
+      label: `${code} Senate${record.type === 'special' ? ' (special)' : ''}`,
+      state,
+      office: 'senate',
+      rating: record.rating,
+      pvi: parsePvi(tables.statePvi?.[state]),
+      incumbentParty: record.incumbentParty,
+      incumbentRunning: incumbentRunning(record),
+      marketProb: live.marketRatings?.[`${state}:senate`]?.dWinProb ?? null,
+      receipts: live.fecData?.[code]?.receiptsByParty || null,
+      outside: live.independentExpenditures?.[code] || null,
+    });
+  }
+
+  for (const [state, record] of Object.entries(tables.governorRaces || {})) {
+    add({
+      key: `${state}:governor`,
+      label: `${STATE_CODES[state]} Governor`,
+      state,
+      office: 'governor',
+      rating: record.rating,
+      pvi: parsePvi(tables.statePvi?.[state]),
+      incumbentParty: record.incumbentParty,
+      incumbentRunning: incumbentRunning(record),
+      marketProb: live.marketRatings?.[`${state}:governor`]?.dWinProb ?? null,
+    });
+  }
+
+  // House: safe seats are fixed; competitive seats are the tracked districts,
+  // plus a state-level stand-in for any competitive seat without one
+  const house = { D: 0, R: 0 };
+  for (const [state, outlook] of Object.entries(tables.houseForecast || {})) {
+    house.D += outlook.safeD || 0;
+    house.R += outlook.safeR || 0;
+    const districts = Object.entries(tables.houseDistricts || {}).filter(([, d]) => d.state === state);
+    for (const [code, record] of districts) {
+      add({
+        key: `${state}:house:${code}`,
+        label: code,
+        state,
+        office: 'house',
+        district: code,
+        rating: record.rating,
+        pvi: parsePvi(record.pvi),
+        incumbentParty: record.incumbentParty,
+        incumbentRunning: incumbentRunning(record),
+        marketProb: live.marketRatings?.[`${state}:house:${code}`]?.dWinProb ?? null,
+      });
+    }
+    for (let i = districts.length; i < (outlook.competitive || 0); i++) {
+      add({
+        key: `${state}:house:competitive-${i + 1}`,
+        label: `${STATE_CODES[state]} competitive seat`,
+        state,
+        office: 'house',
+        district: null,
+        rating: parseLeanRating(outlook.lean),
+        pvi: parsePvi(tables.statePvi?.[state]),
+        incumbentParty: null,
+        incumbentRunning: null,
+        marketProb: null,
+      });
+    }
+  }
+
+  // Senate: current seats minus the ones up this cycle
+  const current = tables.meta?.national?.senate?.current || {};
+  const senateUp = races.filter(r => r.office === 'senate');
+  const held = (party) => (current[party] || 0) - senateUp.filter(r => r.incumbentParty === party).length;
+
+  return { races, fixed: { senate: { D: held('D'), R: held('R') }, house } };
+}
+
+/** { dSeats → count } over all simulations → sorted distribution and percentiles */
+function summarizeSeats(counts, simulations) {
+  const seats = [...counts.keys()].sort((a, b) => a - b);
+  const percentile = (q) => {
+    let seen = 0;
+    for (const s of seats) {
+      seen += counts.get(s);
+      if (seen >= q * simulations) return s;
+    }
+    return seats[seats.length - 1];
+  };
+  let total = 0;
+  for (const s of seats) total += s * counts.get(s);
+  return {
+    meanDSeats: round1(total / simulations),
+    p10: percentile(0.1),
+    median: percentile(0.5),
+    p90: percentile(0.9),
+    distribution: seats.map(dSeats => ({ dSeats, probability: round1((counts.get(dSeats) / simulations) * 100) })),
+  };
+}
+
+class ElectionForecastService {
+  /**
+   * Current forecast (cached per model version).
+   */
+  async getForecast({ refresh = false } = {}) {
+    return cacheService.wrap(`${CACHE_KEY}:v${MODEL.version}`, CACHE_TTL, () => this.computeForecast(), { refresh });
+  }
+
+  async computeForecast() {
+    const tables = referenceDataService.get('elections')?.tables || {};
+    const live = await electionLiveService.getLiveData();
+    const national = tables.meta?.national || {};
+    const ballot = national.house?.genericBallot || national.senate?.genericBallot || { D: 50, R: 50 };
+    const environment = ballot.D - ballot.R;
+
+    const { races, fixed } = collectRaces(tables, live);
+    const modeled = races.map(race => ({ ...race, ...raceMargin(race, environment) }));
+    const result = this.simulate(modeled, fixed);
+
+    const racesByKey = {};
+    modeled.forEach((race, i) => {
+      const sigma = Math.hypot(MODEL.error.national, MODEL.error[race.office]);
+      racesByKey[race.key] = {
+        key: race.key,
+        label: race.label,
+        state: race.state,
+        office: race.office,
+        district: race.district || null,
+        rating: race.rating,
+        incumbentParty: race.incumbentParty,
+        dWinProb: round1((result.dWins[i] / MODEL.simulations) * 100),
+        // Closed-form check on the simulation
+        dWinProbExact: round1(normalCdf(race.mean / sigma) * 100),
+        meanMargin: round1(race.mean),
+        sources: Object.fromEntries(Object.entries(race.sources).map(([k, v]) => [k, round1(v)])),
+        marketProb: race.marketProb,
+        moneyShift: round1(race.moneyShift),
+      };
+    });
+
+    const withLabels = (tipping) => [...tipping.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_TIPPING_POINTS)
+      .map(([i, count]) => ({
+        key: modeled[i].key,
+        label: modeled[i].label,
+        probability: round1((count / MODEL.simulations) * 100),
+        dWinProb: racesByKey[modeled[i].key].dWinProb,
+      }));
+
+    const chamber = (office) => {
+      const sim = result.chambers[office];
+      const spec = MODEL.chambers[office];
+      return {
+        seats: spec.seats,
+        dMajority: spec.dMajority,
+        rMajority: spec.rMajority,
+        seatsUp: modeled.filter(r => r.office === office).length,
+        fixed: fixed[office],
+        dControlProb: round1((sim.dControl / MODEL.simulations) * 100),
+        rControlProb: round1(100 - (sim.dControl / MODEL.simulations) * 100),
+        ...summarizeSeats(sim.seats, MODEL.simulations),
+        tippingPoints: withLabels(sim.tipping),
+      };
+    };
+
+    const forecast = {
+      modelVersion: MODEL.version,
+      simulations: MODEL.simulations,
+      national: { genericBallot: ballot, environment, error: MODEL.error.national },
+      senate: chamber('senate'),
+      house: chamber('house'),
+      governors: {
+        seatsUp: modeled.filter(r => r.office === 'governor').length,
+        ...summarizeSeats(result.governors, MODEL.simulations),
+      },
+      races: racesByKey,
+      inputs: {
+        marketRaces: modeled.filter(r => r.marketProb != null).length,
+        fundraisingRaces: modeled.filter(r => r.moneyShift !== 0).length,
+        fecConfigured: Boolean(live.fecConfigured),
+      },
+      updatedAt: new Date().toISOString(),
+    };
+
+    console.log(`[ElectionForecast] Senate D control ${forecast.senate.dControlProb}%, House D control ${forecast.house.dControlProb}% (${MODEL.simulations} sims, ${forecast.inputs.marketRaces} races with markets)`);
+    return forecast;
+  }
+
+  /**
+   * Run the simulations.
+   * @returns {{ dWins: number[], chambers: object, governors: Map }}
+   */
+  simulate(races, fixed) {
+    const gaussian = gaussianRng(MODEL.seed);
+    const dWins = new Array(races.length).fill(0);
+    const governors = new Map();
+    const chambers = {};
+    const byOffice = {};
+    for (const office of Object.keys(MODEL.chambers)) {
+      chambers[office] = { dControl: 0, seats: new Map(), tipping: new Map() };
+    }
+    races.forEach((race, i) => {
+      (byOffice[race.office] ||= []).push(i);
+    });
+
+    const margins = new Array(races.length);
+    for (let s = 0; s < MODEL.simulations; s++) {
+      const national = gaussian() * MODEL.error.national;
+      for (let i = 0; i < races.length; i++) {
+        margins[i] = races[i].mean + national + gaussian() * MODEL.error[races[i].office];
+        if (margins[i] > 0) dWins[i]++;
+      }
+
+      for (const [office, spec] of Object.entries(MODEL.chambers)) {
+        const indices = byOffice[office] || [];
+        const won = indices.filter(i => margins[i] > 0).length;
+        const dSeats = fixed[office].D + won;
+        const sim = chambers[office];
+        sim.seats.set(dSeats, (sim.seats.get(dSeats) || 0) + 1);
+
+        // Order races from the winner's best to worst; the seat that reaches
+        // the majority is this simulation's tipping point
+        const dControl = dSeats >= spec.dMajority;
+        if (dControl) sim.dControl++;
+        const ordered = [...indices].sort((a, b) => (dControl ? margins[b] - margins[a] : margins[a] - margins[b]));
+        const needed = dControl ? spec.dMajority - fixed[office].D : spec.rMajority - fixed[office].R;
+        const tipping = ordered[needed - 1];
+        if (tipping !== undefined) sim.tipping.set(tipping, (sim.tipping.get(tipping) || 0) + 1);
+      }
+
+      const govWon = (byOffice.governor || []).filter(i => margins[i] > 0).length;
+      governors.set(govWon, (governors.get(govWon) || 0) + 1);
+    }
+
+    return { dWins, chambers, governors };
+  }
+}
+
+export const electionForecastService = new ElectionForecastService();
+export default electionForecastService;
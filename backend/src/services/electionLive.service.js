@@ -66,7 +66,7 @@ const HOUSE_DISTRICTS = [
   { state: 'Washington', district: 3, code: 'WA-03' },
 ];
 
-const STATE_CODES = {
+export const STATE_CODES = {
   'Alabama': 'AL', 'Alaska': 'AK', 'Arizona': 'AZ', 'Arkansas': 'AR',
   'California': 'CA', 'Colorado': 'CO', 'Connecticut': 'CT', 'Delaware': 'DE',
   'Florida': 'FL', 'Georgia': 'GA', 'Hawaii': 'HI', 'Idaho': 'ID',
@@ -322,6 +322,8 @@ class ElectionLiveService {
               },
             ])
           ),
+          // Raw totals for the forecast model
+          receiptsByParty: Object.fromEntries(Object.entries(byParty).map(([party, data]) => [party, data.total])),
         };
       }
 
@@ -0,0 +1,544 @@
+/**
+ * Election Results Service
+ * Election-night vote counts for Senate, Governor and House races, ingested
+ * from a results feed and pushed to the map and ElectionPanel over the
+ * `election-results` WebSocket channel.
+ *
+ * Input (config.electionResults.provider):
+ *   url    — ELECTION_RESULTS_URL polled every ELECTION_RESULTS_POLL_SECONDS;
+ *            JSON or CSV, over http(s) or from a local file
+ *   replay — ELECTION_RESULTS_REPLAY_FILE played back on its own clock;
+ *            NDJSON frames { t, format: 'json' | 'csv', data }
+ *   none   — only results POSTed to /api/admin/elections/results
+ *
+ * Each result row is one reporting unit — a whole race or one county of it —
+ * and replaces that unit's previous numbers. County rows are summed when a
+ * race has no race-level row. The formats are documented in
+ * docs/ARCHITECTURE.md (Election Results).
+ *
+ * Per race: percent of the expected vote counted, candidate totals, margin
+ * and a status —
+ *   awaiting  — no votes yet
+ *   counting  — votes in, outcome open
+ *   too-close — 95%+ counted and the margin is under 0.5 points
+ *   decided   — the lead is larger than the expected votes still out
+ *   called    — the feed carried a call (AP, a decision desk, ...)
+ * Results are kept in memory only; a restart rebuilds them from the feed.
+ */
+
+import { readFile } from 'fs/promises';
+import config from '../config/index.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { referenceDataService, parseCsv } from './referenceData.service.js';
+import { STATE_CODES } from './electionLive.service.js';
+
+const FETCH_TIMEOUT_MS = 20000;
+const OFFICES = ['senate', 'governor', 'house'];
+const RECOUNT_MARGIN_PCT = 0.5;
+const TOO_CLOSE_REPORTING = 95;
+const MAX_EVENTS = 50;
+
+// Feed party labels → the single-letter codes used by the elections dataset
+const PARTY_CODES = {
+  D: 'D', DEM: 'D', DEMOCRAT: 'D', DEMOCRATIC: 'D', DFL: 'D',
+  R: 'R', REP: 'R', REPUBLICAN: 'R', GOP: 'R',
+  I: 'I', IND: 'I', INDEPENDENT: 'I',
+  L: 'L', LIB: 'L', LIBERTARIAN: 'L',
+  G: 'G', GRN: 'G', GREEN: 'G',
+};
+
+const STATE_NAMES = Object.fromEntries(Object.entries(STATE_CODES).map(([name, code]) => [code, name]));
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export class ElectionResultsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ElectionResultsError';
+    this.status = status;
+  }
+}
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const n = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+function partyCode(value) {
+  if (!value) return null;
+  const label = String(value).trim().toUpperCase();
+  return PARTY_CODES[label] || label.slice(0, 3);
+}
+
+/** 'GA' | 'Georgia' → { code, name } */
+function resolveState(value) {
+  const raw = String(value || '').trim();
+  if (STATE_NAMES[raw.toUpperCase()]) return { code: raw.toUpperCase(), name: STATE_NAMES[raw.toUpperCase()] };
+  const name = Object.keys(STATE_CODES).find(n => n.toLowerCase() === raw.toLowerCase());
+  return name ? { code: STATE_CODES[name], name } : null;
+}
+
+/**
+ * Identify the race a row belongs to.
+ * @returns {{ id, key, state, stateCode, office, district }}
+ */
+function raceIdentity(row) {
+  const state = resolveState(row.state);
+  if (!state) throw new ElectionResultsError(`Unknown state "${row.state}"`);
+  const office = String(row.office || '').trim().toLowerCase();
+  if (!OFFICES.includes(office)) {
+    throw new ElectionResultsError(`office must be one of: ${OFFICES.join(', ')}`);
+  }
+  if (office !== 'house') {
+    return { id: `${state.code}-${office}`, key: `${state.name}:${office}`, state: state.name, stateCode: state.code, office, district: null };
+  }
+
+  const number = parseInt(String(row.district ?? '').replace(/^[A-Z]{2}-?/i, ''), 10);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ElectionResultsError(`House result for ${state.code} needs a district number`);
+  }
+  const district = `${state.code}-${String(number).padStart(2, '0')}`;
+  return { id: district, key: `${state.name}:house:${district}`, state: state.name, stateCode: state.code, office, district };
+}
+
+/**
+ * One result row → { race, unit } with candidates normalized.
+ * @throws {ElectionResultsError}
+ */
+function normalizeRow(row) {
+  if (!row || typeof row !== 'object') throw new ElectionResultsError('Each result must be an object');
+  const race = raceIdentity(row);
+  if (!Array.isArray(row.candidates) || row.candidates.length === 0) {
+    throw new ElectionResultsError(`${race.id}: candidates must be a non-empty array`);
+  }
+
+  const candidates = row.candidates.map((c) => {
+    const votes = toNumber(c?.votes);
+    if (!c?.name || votes == null || votes < 0) {
+      throw new ElectionResultsError(`${race.id}: every candidate needs a name and a non-negative vote count`);
+    }
+    return { name: String(c.name).trim(), party: partyCode(c.party), votes };
+  });
+
+  const county = row.county || row.fips ? { name: row.county ? String(row.county).trim() : null, fips: row.fips ? String(row.fips).trim() : null } : null;
+  const call = row.call?.winner
+    ? { winner: String(row.call.winner).trim(), source: row.call.source || null, at: row.call.at || null }
+    : null;
+
+  return {
+    race,
+    unit: {
+      county,
+      candidates,
+      reporting: toNumber(row.reporting),
+      expectedVotes: toNumber(row.expectedVotes),
+      precinctsReporting: toNumber(row.precinctsReporting),
+      precinctsTotal: toNumber(row.precinctsTotal),
+      call,
+    },
+  };
+}
+
+/**
+ * CSV feed: one line per candidate per reporting unit, columns
+ * state, office, district, county, fips, candidate, party, votes, reporting,
+ * expected_votes, precincts_reporting, precincts_total, winner.
+ * `winner` (true or the calling desk's name) on a candidate's line is a call.
+ */
+function rowsFromCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header || lines.length === 0) throw new ElectionResultsError('CSV needs a header row and at least one result line');
+  const columns = header.map(h => h.trim().toLowerCase());
+  for (const required of ['state', 'office', 'candidate', 'votes']) {
+    if (!columns.includes(required)) throw new ElectionResultsError(`CSV is missing the "${required}" column`);
+  }
+
+  const units = new Map();
+  for (const line of lines) {
+    const cell = (name) => {
+      const i = columns.indexOf(name);
+      return i >= 0 ? (line[i] || '').trim() : '';
+    };
+    const unitKey = ['state', 'office', 'district', 'county', 'fips'].map(cell).join('|');
+    if (!units.has(unitKey)) {
+      units.set(unitKey, {
+        state: cell('state'),
+        office: cell('office'),
+        district: cell('district') || null,
+        county: cell('county') || null,
+        fips: cell('fips') || null,
+        reporting: cell('reporting'),
+        expectedVotes: cell('expected_votes'),
+        precinctsReporting: cell('precincts_reporting'),
+        precinctsTotal: cell('precincts_total'),
+        candidates: [],
+      });
+    }
+    const unit = units.get(unitKey);
+    unit.candidates.push({ name: cell('candidate'), party: cell('party') || null, votes: cell('votes') });
+    const winner = cell('winner');
+    if (winner && !/^(false|0|no)$/i.test(winner)) {
+      unit.call = { winner: cell('candidate'), source: /^(true|1|yes)$/i.test(winner) ? null : winner };
+    }
+  }
+  return [...units.values()];
+}
+
+/** A feed document (JSON object/array or CSV text) → result rows. */
+function rowsFromDocument(format, data) {
+  if (format === 'csv') return rowsFromCsv(String(data || ''));
+  const doc = typeof data === 'string' ? JSON.parse(data) : data;
+  const rows = Array.isArray(doc) ? doc : doc?.results;
+  if (!Array.isArray(rows)) throw new ElectionResultsError('JSON results must be an array or { results: [...] }');
+  return rows;
+}
+
+function detectFormat(text, hint = '') {
+  if (/csv/i.test(hint)) return 'csv';
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+/** Sum county units into race totals. */
+function sumUnits(units) {
+  const votes = new Map();
+  let expected = 0;
+  let precinctsReporting = 0;
+  let precinctsTotal = 0;
+  let allExpected = true;
+  let allPrecincts = true;
+
+  for (const unit of units) {
+    for (const c of unit.candidates) {
+      const prev = votes.get(c.name);
+      votes.set(c.name, { name: c.name, party: c.party ?? prev?.party ?? null, votes: (prev?.votes || 0) + c.votes });
+    }
+    if (unit.expectedVotes != null) expected += unit.expectedVotes; else allExpected = false;
+    if (unit.precinctsTotal != null) {
+      precinctsReporting += unit.precinctsReporting || 0;
+      precinctsTotal += unit.precinctsTotal;
+    } else allPrecincts = false;
+  }
+
+  return {
+    candidates: [...votes.values()],
+    reporting: null,
+    expectedVotes: allExpected && units.length ? expected : null,
+    precinctsReporting: allPrecincts && units.length ? precinctsReporting : null,
+    precinctsTotal: allPrecincts && units.length ? precinctsTotal : null,
+  };
+}
+
+/** Percent of the expected vote counted: explicit, else votes/expected, else precincts. */
+function reportingPct(unit, totalVotes) {
+  if (unit.reporting != null) return round1(Math.min(Math.max(unit.reporting, 0), 100));
+  if (unit.expectedVotes) return round1(Math.min(100, (totalVotes / unit.expectedVotes) * 100));
+  if (unit.precinctsTotal) return round1(Math.min(100, ((unit.precinctsReporting || 0) / unit.precinctsTotal) * 100));
+  return null;
+}
+
+/** Totals, margin and leader for one reporting unit. */
+function tally(unit) {
+  const totalVotes = unit.candidates.reduce((sum, c) => sum + c.votes, 0);
+  const candidates = [...unit.candidates]
+    .sort((a, b) => b.votes - a.votes)
+    .map(c => ({ ...c, pct: totalVotes ? round1((c.votes / totalVotes) * 100) : 0 }));
+  const [leader, runnerUp] = candidates;
+  const reporting = reportingPct(unit, totalVotes);
+
+  // Outstanding votes: from the expected-vote estimate, or extrapolated from % reporting
+  let outstanding = null;
+  if (unit.expectedVotes != null) outstanding = Math.max(0, unit.expectedVotes - totalVotes);
+  else if (reporting != null && reporting > 0) outstanding = Math.round((totalVotes * (100 - reporting)) / reporting);
+
+  return {
+    candidates,
+    totalVotes,
+    reporting,
+    expectedVotes: unit.expectedVotes,
+    outstanding,
+    leader: totalVotes > 0 ? leader?.name ?? null : null,
+    leaderParty: totalVotes > 0 ? leader?.party ?? null : null,
+    margin: totalVotes > 0 && leader
+      ? { votes: leader.votes - (runnerUp?.votes || 0), pct: round1(leader.pct - (runnerUp?.pct || 0)) }
+      : null,
+  };
+}
+
+function raceStatus(result, call) {
+  if (call) return 'called';
+  if (result.totalVotes === 0) return 'awaiting';
+  const { margin, outstanding, reporting } = result;
+  if (reporting != null && reporting >= TOO_CLOSE_REPORTING && margin.pct < RECOUNT_MARGIN_PCT) return 'too-close';
+  if (outstanding != null && margin.votes > outstanding) return 'decided';
+  return 'counting';
+}
+
+function incumbentParty(race) {
+  const tables = referenceDataService.get('elections')?.tables || {};
+  const record = race.office === 'senate' ? tables.senateRaces?.[race.state]
+    : race.office === 'governor' ? tables.governorRaces?.[race.state]
+      : tables.houseDistricts?.[race.district];
+  return record?.incumbentParty || null;
+}
+
+class ElectionResultsService {
+  constructor() {
+    this.provider = config.electionResults.provider;
+    this.races = new Map();   // race id → { race, total, counties: Map, call, updatedAt }
+    this.views = new Map();   // race id → last computed view (for change events)
+    this.events = [];         // newest first
+    this.feedTime = null;
+    this.updatedAt = null;
+    this.lastError = null;
+    this.replay = null;       // { frames, startedAt, cursor, loop }
+  }
+
+  get enabled() {
+    return this.provider === 'url' || this.provider === 'replay';
+  }
+
+  /**
+   * Pull the feed (or advance the replay) and ingest it.
+   * @returns {Promise<object|null>} current results, or null when there are none to push
+   */
+  async refresh() {
+    if (this.enabled) {
+      try {
+        if (this.provider === 'replay') await this.advanceReplay();
+        else await this.fetchFeed();
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        console.error('[ElectionResults] Refresh error:', error.message);
+      }
+    }
+    return this.races.size > 0 ? this.getResults() : null;
+  }
+
+  async fetchFeed() {
+    const source = config.electionResults.url;
+    if (!source) throw new Error('ELECTION_RESULTS_URL is not set');
+    if (!/^https?:\/\//i.test(source)) {
+      const text = await readFile(source, 'utf8');
+      return this.ingest(detectFormat(text, source), text);
+    }
+    const res = await trackedFetch(source, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`Results feed HTTP ${res.status}`);
+    const text = await res.text();
+    return this.ingest(detectFormat(text, `${res.headers.get('content-type') || ''} ${source}`), text);
+  }
+
+  async loadReplay() {
+    const file = config.electionResults.replayFile;
+    if (!file) throw new Error('ELECTION_RESULTS_REPLAY_FILE is not set');
+    const frames = (await readFile(file, 'utf8'))
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          console.warn(`[ElectionResults] Skipping malformed replay line ${i + 1}`);
+          return null;
+        }
+      })
+      .filter(frame => frame && ['json', 'csv'].includes(frame.format) && Number.isFinite(frame.t))
+      .sort((a, b) => a.t - b.t);
+    if (frames.length === 0) throw new Error(`No replayable frames in ${file}`);
+    console.log(`[ElectionResults] Loaded ${frames.length} replay frames from ${file}`);
+    return { frames, startedAt: Date.now(), cursor: 0, loop: 0 };
+  }
+
+  /**
+   * Ingest every frame due by now at ELECTION_RESULTS_REPLAY_SPEED, starting
+   * the night over (with results cleared) once the recording runs out.
+   */
+  async advanceReplay() {
+    if (!this.replay) this.replay = await this.loadReplay();
+    const { frames, startedAt } = this.replay;
+    const first = frames[0].t;
+    const span = frames[frames.length - 1].t - first + 1;
+    const speed = config.electionResults.replaySpeed > 0 ? config.electionResults.replaySpeed : 1;
+    const elapsed = ((Date.now() - startedAt) / 1000) * speed;
+    const loop = Math.floor(elapsed / span);
+
+    if (loop !== this.replay.loop) {
+      this.replay.loop = loop;
+      this.replay.cursor = 0;
+      this.clear();
+    }
+
+    const due = first + (elapsed % span);
+    while (this.replay.cursor < frames.length && (this.replay.cursor === 0 || frames[this.replay.cursor].t <= due)) {
+      const frame = frames[this.replay.cursor++];
+      this.ingest(frame.format, frame.data, new Date(frame.t * 1000).toISOString());
+    }
+  }
+
+  /**
+   * Merge one feed document. Invalid rows are skipped and reported.
+   * @param {'json'|'csv'} format
+   * @param {object|array|string} data
+   * @param {string} [feedTime] - the feed's own clock (defaults to updatedAt in the document, or now)
+   * @returns {{ accepted: number, rejected: { index, error }[], races: number }}
+   */
+  ingest(format, data, feedTime = null) {
+    if (!['json', 'csv'].includes(format)) throw new ElectionResultsError('format must be json or csv');
+    let rows;
+    try {
+      rows = rowsFromDocument(format, data);
+    } catch (error) {
+      throw error instanceof ElectionResultsError ? error : new ElectionResultsError(`Unreadable ${format}: ${error.message}`);
+    }
+
+    const at = feedTime || (format === 'json' && data?.updatedAt) || new Date().toISOString();
+    const touched = new Set();
+    const rejected = [];
+    rows.forEach((row, index) => {
+      try {
+        const { race, unit } = normalizeRow(row);
+        if (!this.races.has(race.id)) this.races.set(race.id, { race, total: null, counties: new Map(), call: null });
+        const entry = this.races.get(race.id);
+        if (unit.county) entry.counties.set(unit.county.fips || unit.county.name, unit);
+        else entry.total = unit;
+        if (unit.call) entry.call = { ...unit.call, at: unit.call.at || at };
+        entry.updatedAt = at;
+        touched.add(race.id);
+      } catch (error) {
+        if (!(error instanceof ElectionResultsError)) throw error;
+        rejected.push({ index, error: error.message });
+      }
+    });
+
+    for (const id of touched) this.recordChanges(id, at);
+    this.feedTime = at;
+    this.updatedAt = new Date().toISOString();
+    if (touched.size > 0) {
+      console.log(`[ElectionResults] Ingested ${rows.length - rejected.length} results for ${touched.size} races`);
+    }
+    return { accepted: rows.length - rejected.length, rejected, races: touched.size };
+  }
+
+  /** Compare a race's new view with the last one and log calls, decisions and lead changes. */
+  recordChanges(id, at) {
+    const prev = this.views.get(id);
+    const next = this.buildRace(id);
+    this.views.set(id, next);
+    const push = (type, detail) => {
+      this.events.unshift({ at, race: id, key: next.key, type, detail });
+      if (this.events.length > MAX_EVENTS) this.events.length = MAX_EVENTS;
+    };
+
+    if (next.status === 'called' && prev?.status !== 'called') {
+      push('call', `${next.winner} (${next.winnerParty || '?'}) wins${next.call.source ? `, called by ${next.call.source}` : ''}`);
+    } else if (next.status === 'decided' && prev?.status !== 'decided') {
+      push('decided', `${next.leader} (${next.leaderParty || '?'}) leads by more than the ${next.outstanding?.toLocaleString('en-US')} votes outstanding`);
+    } else if (next.status === 'too-close' && prev?.status !== 'too-close') {
+      push('too-close', `${next.margin.pct} pt margin with ${next.reporting}% counted`);
+    }
+    if (prev?.leader && next.leader && prev.leader !== next.leader && next.status !== 'called') {
+      push('lead-change', `${next.leader} (${next.leaderParty || '?'}) overtakes ${prev.leader}`);
+    }
+  }
+
+  /** Full view of one race, counties included. */
+  buildRace(id) {
+    const { race, total, counties, call, updatedAt } = this.races.get(id);
+    const countyUnits = [...counties.values()];
+    const result = tally(total || sumUnits(countyUnits));
+    const status = raceStatus(result, call);
+    const winner = status === 'called' ? call.winner : status === 'decided' ? result.leader : null;
+    const winnerParty = winner ? result.candidates.find(c => c.name === winner)?.party ?? null : null;
+    const incumbent = incumbentParty(race);
+
+    return {
+      ...race,
+      ...result,
+      status,
+      call,
+      winner,
+      winnerParty,
+      incumbentParty: incumbent,
+      flip: Boolean(incumbent && winnerParty && winnerParty !== incumbent),
+      countiesReporting: countyUnits.length,
+      counties: countyUnits.map((unit) => {
+        const county = tally(unit);
+        return {
+          name: unit.county.name,
+          fips: unit.county.fips,
+          reporting: county.reporting,
+          totalVotes: county.totalVotes,
+          leader: county.leader,
+          leaderParty: county.leaderParty,
+          marginPct: county.margin?.pct ?? null,
+          candidates: county.candidates,
+        };
+      }).sort((a, b) => b.totalVotes - a.totalVotes),
+      updatedAt,
+    };
+  }
+
+  /**
+   * Every race without county detail (the WebSocket payload), keyed like
+   * /api/elections/live marketRatings (`Georgia:senate`, `Arizona:house:AZ-01`).
+   */
+  getResults() {
+    const races = {};
+    const seats = Object.fromEntries(OFFICES.map(office => [office, { won: {}, leading: {} }]));
+    const counts = { reporting: 0, called: 0, decided: 0, tooClose: 0, flips: 0 };
+
+    for (const id of this.races.keys()) {
+      const race = { ...(this.views.get(id) || this.buildRace(id)) };
+      delete race.counties;
+      races[race.key] = race;
+
+      if (race.totalVotes > 0) counts.reporting++;
+      if (race.status === 'called') counts.called++;
+      if (race.status === 'decided') counts.decided++;
+      if (race.status === 'too-close') counts.tooClose++;
+      if (race.flip) counts.flips++;
+
+      const bucket = race.winnerParty ? seats[race.office].won : race.leaderParty ? seats[race.office].leading : null;
+      const party = race.winnerParty || race.leaderParty;
+      if (bucket) bucket[party] = (bucket[party] || 0) + 1;
+    }
+
+    return {
+      active: counts.reporting > 0,
+      provider: this.provider,
+      feedTime: this.feedTime,
+      updatedAt: this.updatedAt,
+      races,
+      summary: { races: this.races.size, ...counts, seats },
+      events: this.events,
+    };
+  }
+
+  /** One race with county results, by id (`GA-senate`, `AZ-01`) or key (`Georgia:senate`). */
+  getRace(idOrKey) {
+    const id = this.races.has(idOrKey)
+      ? idOrKey
+      : [...this.races.values()].find(entry => entry.race.key === idOrKey)?.race.id;
+    return id ? this.views.get(id) || this.buildRace(id) : null;
+  }
+
+  clear() {
+    this.races.clear();
+    this.views.clear();
+    this.events = [];
+  }
+
+  getStatus() {
+    return {
+      provider: this.provider,
+      enabled: this.enabled,
+      races: this.races.size,
+      feedTime: this.feedTime,
+      updatedAt: this.updatedAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+export const electionResultsService = new ElectionResultsService();
+export default electionResultsService;
@@ -6,6 +6,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const FEC_API_BASE = 'https://api.open.fec.gov/v1';
 const CACHE_KEY_PREFIX = 'fec';
@@ -51,7 +52,7 @@ class FECService {
     const timeout = setTimeout(() => controller.abort(), 15000);
 
     try {
-      const response = await fetch(url, {
+      const response = await trackedFetch(url, {
         headers: { 'Accept': 'application/json' },
         signal: controller.signal,
       });
@@ -388,10 +389,14 @@ class FECService {
         D: {
           supportSpending: this._formatMoney(totalForD),
           opposeSpending: this._formatMoney(totalAgainstD),
+          supportSpendingRaw: totalForD,
+          opposeSpendingRaw: totalAgainstD,
         },
         R: {
           supportSpending: this._formatMoney(totalForR),
           opposeSpending: this._formatMoney(totalAgainstR),
+          supportSpendingRaw: totalForR,
+          opposeSpendingRaw: totalAgainstR,
         },
       },
       expenditureCount: allIEs.length,
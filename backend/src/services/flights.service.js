@@ -0,0 +1,404 @@
+/**
+ * Flights Service (ADS-B)
+ * Ingests aircraft state vectors from one configured provider, normalizes
+ * them to a single shape and tags military / government aircraft.
+ *
+ * Providers (config.flights.provider, default none):
+ *   opensky — OpenSky Network /states/all; needs API credentials or a bbox
+ *   readsb  — dump1090 / readsb aircraft.json from a local receiver or file,
+ *             or an adsb.lol / adsb.fi style { ac: [...] } API
+ *   replay  — plays back an NDJSON recording ({ t, format, data } per line)
+ *
+ * Each refresh merges one frame into an in-memory table keyed by ICAO hex,
+ * appends to a short position trail and drops aircraft not seen for
+ * staleSeconds (measured against the frame's own clock, so replays age
+ * aircraft out the same way live data does).
+ */
+
+import { readFile, appendFile } from 'fs/promises';
+import config from '../config/index.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { MILITARY_HEX_RANGES, CALLSIGN_PREFIXES } from '../config/aircraft.js';
+
+const OPENSKY_STATES_URL = 'https://opensky-network.org/api/states/all';
+const OPENSKY_TOKEN_URL = 'https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token';
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_TRAIL_POINTS = 20;
+const DEFAULT_LIMIT = 2000;
+const MAX_LIMIT = 10000;
+
+const M_TO_FT = 3.28084;
+const MS_TO_KT = 1.943844;
+const MS_TO_FPM = 196.8504;
+
+const round = (value, digits = 0) => {
+  if (value == null || !Number.isFinite(Number(value))) return null;
+  const f = 10 ** digits;
+  return Math.round(Number(value) * f) / f;
+};
+
+// Unit conversion that keeps missing values missing (null * factor would be 0)
+const convert = (value, factor) => (value == null ? null : round(Number(value) * factor));
+
+// Longest prefix first so "AF1" is tried before a shorter overlapping prefix
+const CALLSIGN_RULES = Object.entries(CALLSIGN_PREFIXES)
+  .flatMap(([category, prefixes]) => Object.entries(prefixes).map(([prefix, operator]) => ({ prefix, category, operator })))
+  .sort((a, b) => b.prefix.length - a.prefix.length);
+
+/**
+ * Classify an aircraft as military, government or civil.
+ * @returns {{ category: string, tagReason: string|null }}
+ */
+export function classifyAircraft({ icao24, callsign, dbMilitary = false }) {
+  const hex = parseInt(icao24, 16);
+  if (Number.isFinite(hex)) {
+    const range = MILITARY_HEX_RANGES.find(r => hex >= r.start && hex <= r.end);
+    if (range) return { category: 'military', tagReason: `ICAO block: ${range.country} military` };
+  }
+  if (dbMilitary) return { category: 'military', tagReason: 'Receiver database: military' };
+
+  const cs = (callsign || '').toUpperCase();
+  for (const rule of CALLSIGN_RULES) {
+    if (cs.startsWith(rule.prefix) && /^\d/.test(cs.slice(rule.prefix.length))) {
+      return { category: rule.category, tagReason: `Callsign: ${rule.operator}` };
+    }
+  }
+  return { category: 'civil', tagReason: null };
+}
+
+// ── Provider payload → { time, aircraft[] } ──────────────────────────────────
+
+/**
+ * OpenSky /states/all: { time, states: [[icao24, callsign, origin_country,
+ * time_position, last_contact, lon, lat, baro_altitude, on_ground, velocity,
+ * true_track, vertical_rate, sensors, geo_altitude, squawk, ...], ...] }.
+ * Metric units.
+ */
+function parseOpenSky(data) {
+  const time = Number(data?.time) || Math.floor(Date.now() / 1000);
+  const aircraft = (data?.states || []).map(s => ({
+    icao24: s[0],
+    callsign: s[1],
+    originCountry: s[2] || null,
+    lon: s[5],
+    lat: s[6],
+    altitudeFt: convert(s[7] ?? s[13], M_TO_FT),
+    onGround: Boolean(s[8]),
+    speedKt: convert(s[9], MS_TO_KT),
+    track: round(s[10]),
+    verticalRateFpm: convert(s[11], MS_TO_FPM),
+    squawk: s[14] || null,
+    seenAt: Number(s[4]) || time,
+  }));
+  return { time, aircraft };
+}
+
+/**
+ * dump1090 / readsb aircraft.json ({ now: seconds, aircraft: [...] }) and the
+ * adsb.lol / adsb.fi API ({ now: ms, ac: [...] }). Feet and knots already.
+ */
+function parseReadsb(data) {
+  const rawNow = Number(data?.now) || Date.now() / 1000;
+  const time = rawNow > 1e12 ? rawNow / 1000 : rawNow;
+  const aircraft = (data?.aircraft || data?.ac || []).map(a => ({
+    icao24: a.hex,
+    callsign: a.flight,
+    registration: a.r || null,
+    type: a.t || null,
+    lon: a.lon,
+    lat: a.lat,
+    altitudeFt: a.alt_baro === 'ground' ? 0 : round(a.alt_baro ?? a.alt_geom ?? a.altitude),
+    onGround: a.alt_baro === 'ground',
+    speedKt: round(a.gs ?? a.speed),
+    track: round(a.track),
+    verticalRateFpm: round(a.baro_rate ?? a.geom_rate ?? a.vert_rate),
+    squawk: a.squawk || null,
+    dbMilitary: Boolean(Number(a.dbFlags) & 1),
+    seenAt: time - (Number(a.seen_pos ?? a.seen) || 0),
+  }));
+  return { time, aircraft };
+}
+
+const PARSERS = { opensky: parseOpenSky, readsb: parseReadsb };
+
+/**
+ * Parse "minLon,minLat,maxLon,maxLat". minLon > maxLon means the box crosses
+ * the antimeridian. Returns null for a missing or malformed box.
+ */
+export function parseBbox(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLat > maxLat || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) return null;
+  if (Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) return null;
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function inBbox(flight, bbox) {
+  if (flight.lat < bbox.minLat || flight.lat > bbox.maxLat) return false;
+  return bbox.minLon <= bbox.maxLon
+    ? flight.lon >= bbox.minLon && flight.lon <= bbox.maxLon
+    : flight.lon >= bbox.minLon || flight.lon <= bbox.maxLon;
+}
+
+class FlightsService {
+  constructor() {
+    this.provider = config.flights.provider;
+    this.aircraft = new Map(); // icao24 → normalized flight
+    this.frameTime = null;     // provider clock (unix seconds) of the last frame
+    this.updatedAt = null;
+    this.lastError = null;
+    this.token = null;         // { value, expiresAt } — OpenSky OAuth2
+    this.replay = null;        // { frames, startedAt, cursor, loop }
+  }
+
+  get enabled() {
+    return this.provider !== 'none' && !this.configError;
+  }
+
+  /**
+   * Why the configured provider can't be polled, or null. Anonymous OpenSky
+   * /states/all for the whole world every couple of minutes runs through the
+   * anonymous daily credit within hours.
+   */
+  get configError() {
+    if (this.provider !== 'opensky') return null;
+    const { clientId, clientSecret, bbox } = config.flights;
+    const box = parseBbox(bbox);
+    if ((clientId && clientSecret) || (box && box.minLon <= box.maxLon)) return null;
+    return 'Anonymous OpenSky needs FLIGHTS_BBOX (or FLIGHTS_CLIENT_ID/FLIGHTS_CLIENT_SECRET)';
+  }
+
+  /**
+   * Pull one frame from the provider and merge it.
+   * @returns {Promise<object>} status summary
+   */
+  async refresh() {
+    if (!this.enabled) return this.getStatus();
+    try {
+      if (this.provider === 'replay') {
+        await this.advanceReplay();
+      } else {
+        const format = this.provider === 'opensky' ? 'opensky' : 'readsb';
+        const data = format === 'opensky' ? await this.fetchOpenSky() : await this.fetchReadsb();
+        this.ingest(format, data);
+        await this.record(format, data);
+      }
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('[Flights] Refresh error:', error.message);
+    }
+    return this.getStatus();
+  }
+
+  async getOpenSkyToken() {
+    const { clientId, clientSecret } = config.flights;
+    if (!clientId || !clientSecret) return null;
+    if (this.token && this.token.expiresAt > Date.now()) return this.token.value;
+
+    const res = await trackedFetch(OPENSKY_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret }),
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`OpenSky token HTTP ${res.status}`);
+    const json = await res.json();
+    // Refresh a minute early so a poll never goes out with an expiring token
+    this.token = { value: json.access_token, expiresAt: Date.now() + ((json.expires_in || 1800) - 60) * 1000 };
+    return this.token.value;
+  }
+
+  async fetchOpenSky() {
+    const url = new URL(OPENSKY_STATES_URL);
+    const bbox = parseBbox(config.flights.bbox);
+    if (bbox && bbox.minLon <= bbox.maxLon) {
+      url.searchParams.set('lamin', bbox.minLat);
+      url.searchParams.set('lomin', bbox.minLon);
+      url.searchParams.set('lamax', bbox.maxLat);
+      url.searchParams.set('lomax', bbox.maxLon);
+    }
+    const token = await this.getOpenSkyToken();
+    const res = await trackedFetch(url.toString(), {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`OpenSky HTTP ${res.status}`);
+    return res.json();
+  }
+
+  async fetchReadsb() {
+    const source = config.flights.url;
+    if (!source) throw new Error('FLIGHTS_URL is not set');
+    if (!/^https?:\/\//i.test(source)) {
+      return JSON.parse(await readFile(source, 'utf8'));
+    }
+    const res = await trackedFetch(source, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`ADS-B feed HTTP ${res.status}`);
+    return res.json();
+  }
+
+  /** Append a raw frame to the recording file (FLIGHTS_RECORD_FILE). */
+  async record(format, data) {
+    if (!config.flights.recordFile) return;
+    try {
+      const line = JSON.stringify({ t: Math.floor(Date.now() / 1000), format, data });
+      await appendFile(config.flights.recordFile, line + '\n');
+    } catch (error) {
+      console.error('[Flights] Record error:', error.message);
+    }
+  }
+
+  async loadReplay() {
+    const file = config.flights.replayFile;
+    if (!file) throw new Error('FLIGHTS_REPLAY_FILE is not set');
+    const frames = (await readFile(file, 'utf8'))
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          console.warn(`[Flights] Skipping malformed replay line ${i + 1}`);
+          return null;
+        }
+      })
+      .filter(frame => frame && PARSERS[frame.format] && Number.isFinite(frame.t))
+      .sort((a, b) => a.t - b.t);
+    if (frames.length === 0) throw new Error(`No replayable frames in ${file}`);
+    console.log(`[Flights] Loaded ${frames.length} replay frames from ${file}`);
+    return { frames, startedAt: Date.now(), cursor: 0, loop: 0 };
+  }
+
+  /**
+   * Ingest every recorded frame due by now at FLIGHTS_REPLAY_SPEED, looping
+   * (and clearing state) once the recording runs out.
+   */
+  async advanceReplay() {
+    if (!this.replay) this.replay = await this.loadReplay();
+    const { frames, startedAt } = this.replay;
+    const first = frames[0].t;
+    const span = frames[frames.length - 1].t - first + 1;
+    const speed = config.flights.replaySpeed > 0 ? config.flights.replaySpeed : 1;
+    const elapsed = ((Date.now() - startedAt) / 1000) * speed;
+    const loop = Math.floor(elapsed / span);
+
+    if (loop !== this.replay.loop) {
+      this.replay.loop = loop;
+      this.replay.cursor = 0;
+      this.aircraft.clear();
+    }
+
+    // The first frame is always due, so a fresh loop never starts empty
+    const due = first + (elapsed % span);
+    while (this.replay.cursor < frames.length && (this.replay.cursor === 0 || frames[this.replay.cursor].t <= due)) {
+      const frame = frames[this.replay.cursor++];
+      this.ingest(frame.format, frame.data);
+    }
+  }
+
+  /**
+   * Merge one provider payload into the aircraft table.
+   * @returns {number} aircraft with a position in this frame
+   */
+  ingest(format, data) {
+    const { time, aircraft } = PARSERS[format](data);
+    let positioned = 0;
+
+    for (const raw of aircraft) {
+      const icao24 = String(raw.icao24 || '').trim().toLowerCase().replace(/^~/, '');
+      const lat = Number(raw.lat);
+      const lon = Number(raw.lon);
+      if (!/^[0-9a-f]{6}$/.test(icao24) || raw.lat == null || raw.lon == null) continue;
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      positioned++;
+
+      const callsign = (raw.callsign || '').trim() || null;
+      const prev = this.aircraft.get(icao24);
+      const trail = prev?.trail || [];
+      const last = trail[trail.length - 1];
+      if (!last || last[0] !== lon || last[1] !== lat) {
+        trail.push([round(lon, 4), round(lat, 4)]);
+        if (trail.length > MAX_TRAIL_POINTS) trail.shift();
+      }
+
+      this.aircraft.set(icao24, {
+        icao24,
+        callsign: callsign || prev?.callsign || null,
+        registration: raw.registration || prev?.registration || null,
+        type: raw.type || prev?.type || null,
+        originCountry: raw.originCountry || prev?.originCountry || null,
+        lat: round(lat, 4),
+        lon: round(lon, 4),
+        altitudeFt: raw.altitudeFt,
+        speedKt: raw.speedKt,
+        track: raw.track,
+        verticalRateFpm: raw.verticalRateFpm,
+        squawk: raw.squawk,
+        onGround: raw.onGround,
+        lastSeen: new Date(raw.seenAt * 1000).toISOString(),
+        ...classifyAircraft({ icao24, callsign: callsign || prev?.callsign, dbMilitary: raw.dbMilitary }),
+        trail,
+      });
+    }
+
+    this.frameTime = time;
+    this.updatedAt = new Date().toISOString();
+    this.pruneStale();
+    return positioned;
+  }
+
+  pruneStale() {
+    const cutoff = (this.frameTime - config.flights.staleSeconds) * 1000;
+    for (const [icao24, flight] of this.aircraft) {
+      if (new Date(flight.lastSeen).getTime() < cutoff) this.aircraft.delete(icao24);
+    }
+  }
+
+  /**
+   * Current aircraft, optionally limited to a bounding box and to
+   * military/government traffic. Trails are omitted unless requested.
+   */
+  getFlights({ bbox = null, militaryOnly = false, limit = DEFAULT_LIMIT, trail = false } = {}) {
+    const cap = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const matched = [...this.aircraft.values()]
+      .filter(f => !bbox || inBbox(f, bbox))
+      .filter(f => !militaryOnly || f.category !== 'civil');
+
+    // Tagged aircraft first so a limit never hides them behind airliners
+    matched.sort((a, b) => (a.category === 'civil') - (b.category === 'civil') || b.lastSeen.localeCompare(a.lastSeen));
+
+    return {
+      flights: matched.slice(0, cap).map(({ trail: points, ...flight }) => (trail ? { ...flight, trail: points } : flight)),
+      matched: matched.length,
+    };
+  }
+
+  getAircraft(icao24) {
+    return this.aircraft.get(String(icao24).toLowerCase()) || null;
+  }
+
+  getStatus() {
+    let military = 0;
+    let government = 0;
+    for (const flight of this.aircraft.values()) {
+      if (flight.category === 'military') military++;
+      else if (flight.category === 'government') government++;
+    }
+    return {
+      provider: this.provider,
+      enabled: this.enabled,
+      total: this.aircraft.size,
+      military,
+      government,
+      frameTime: this.frameTime ? new Date(this.frameTime * 1000).toISOString() : null,
+      updatedAt: this.updatedAt,
+      lastError: this.lastError ?? this.configError,
+    };
+  }
+}
+
+export const flightsService = new FlightsService();
+export default flightsService;
@@ -0,0 +1,431 @@
+/**
+ * Frontline History Service
+ * Dated frontline traces and territorial-control areas per conflict, so the
+ * map can show any date and how much ground changed hands between two dates.
+ *
+ * A snapshot is one conflict at one date (YYYY-MM-DD):
+ *   { conflict, asOf, source, note, features, areaKm2: { side: km² }, importedAt }
+ * where `features` are GeoJSON Features with `properties.kind` 'line'
+ * (frontline traces) or 'area' (Polygon/MultiPolygon held by `properties.side`).
+ *
+ * Snapshots are imported as GeoJSON or KML and stored in PostgreSQL
+ * (frontline_snapshots); config/frontlines.js seeds the first ones. Without
+ * PostgreSQL the seeds are served and imports last until restart.
+ */
+
+import seedSnapshots, { FRONTLINE_CONFLICTS } from '../config/frontlines.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS frontline_snapshots (
+    conflict VARCHAR(32) NOT NULL,
+    as_of DATE NOT NULL,
+    source TEXT,
+    note TEXT,
+    features JSONB NOT NULL,
+    area_km2 JSONB NOT NULL,
+    imported_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (conflict, as_of)
+  );
+`;
+
+const EARTH_RADIUS_KM = 6371.0088;
+const MAX_FEATURES = 5000;
+const MAX_POINTS = 250000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export class FrontlineError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FrontlineError';
+    this.status = status;
+  }
+}
+
+// ── Geometry ──
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Area of a closed lon/lat ring on the sphere, in km² (unsigned).
+ * Same approximation as d3-geo / turf: sum of (λ2 − λ1)(2 + sin φ1 + sin φ2).
+ */
+function ringAreaKm2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    sum += toRad(lon2 - lon1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+function polygonAreaKm2(rings) {
+  const [outer, ...holes] = rings;
+  return Math.max(0, ringAreaKm2(outer) - holes.reduce((total, hole) => total + ringAreaKm2(hole), 0));
+}
+
+/**
+ * Held area per side, in whole km². Overlapping polygons of one side are
+ * counted twice, so imports should not overlap.
+ */
+export function areaBySide(features) {
+  const totals = {};
+  for (const feature of features) {
+    if (feature.properties.kind !== 'area') continue;
+    const { type, coordinates } = feature.geometry;
+    const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+    const km2 = polygons.reduce((total, rings) => total + polygonAreaKm2(rings), 0);
+    totals[feature.properties.side] = (totals[feature.properties.side] || 0) + km2;
+  }
+  return Object.fromEntries(Object.entries(totals).map(([side, km2]) => [side, Math.round(km2)]));
+}
+
+// ── Import parsing ──
+
+function checkPosition(position) {
+  if (!Array.isArray(position) || position.length < 2) throw new FrontlineError('coordinates must be [lon, lat] pairs');
+  const [lon, lat] = position.map(Number);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lon) > 180 || Math.abs(lat) > 90) {
+    throw new FrontlineError(`invalid coordinate [${position.slice(0, 2).join(', ')}]`);
+  }
+  return [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5];
+}
+
+function checkRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) throw new FrontlineError('polygon rings need at least 3 points');
+  const points = ring.map(checkPosition);
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) points.push(first);
+  return points;
+}
+
+const countPoints = (coordinates) => (
+  typeof coordinates[0] === 'number' ? 1 : coordinates.reduce((total, c) => total + countPoints(c), 0)
+);
+
+function checkLine(line) {
+  if (!Array.isArray(line) || line.length < 2) throw new FrontlineError('lines need at least 2 points');
+  return line.map(checkPosition);
+}
+
+function checkArray(value, what) {
+  if (!Array.isArray(value)) throw new FrontlineError(`${what} must be an array`);
+  return value;
+}
+
+/**
+ * Turn one GeoJSON geometry into normalized frontline features.
+ * Points and unsupported geometries are skipped.
+ */
+function featuresFromGeometry(geometry) {
+  switch (geometry?.type) {
+    case 'LineString':
+      return [{ kind: 'line', geometry: { type: 'LineString', coordinates: checkLine(geometry.coordinates) } }];
+    case 'MultiLineString':
+      return checkArray(geometry.coordinates, 'coordinates')
+        .map(line => ({ kind: 'line', geometry: { type: 'LineString', coordinates: checkLine(line) } }));
+    case 'Polygon':
+      return [{ kind: 'area', geometry: { type: 'Polygon', coordinates: checkArray(geometry.coordinates, 'coordinates').map(checkRing) } }];
+    case 'MultiPolygon':
+      return [{
+        kind: 'area',
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: checkArray(geometry.coordinates, 'coordinates').map(rings => checkArray(rings, 'coordinates').map(checkRing)),
+        },
+      }];
+    case 'GeometryCollection':
+      return checkArray(geometry.geometries || [], 'geometries').flatMap(g => featuresFromGeometry(g));
+    default:
+      return [];
+  }
+}
+
+function parseGeoJson(data) {
+  const doc = typeof data === 'string' ? JSON.parse(data) : data;
+  if (doc?.type === 'FeatureCollection') return doc.features || [];
+  if (doc?.type === 'Feature') return [doc];
+  if (doc?.type) return [{ type: 'Feature', properties: {}, geometry: doc }];
+  throw new FrontlineError('GeoJSON must be a FeatureCollection, Feature or geometry');
+}
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+  .trim();
+
+const kmlTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+const kmlBlocks = (xml, tag) => [...xml.matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g'))].map(m => m[1]);
+
+const kmlCoordinates = (text) => (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(Number));
+
+/**
+ * Minimal KML reader: Placemarks with LineString / Polygon geometry (also
+ * inside MultiGeometry). Properties come from <name> and <ExtendedData>
+ * (<Data name="side"><value>rsf</value></Data> or <SimpleData name="side">).
+ */
+function parseKml(text) {
+  if (typeof text !== 'string' || !/<kml[\s>]/i.test(text)) throw new FrontlineError('KML imports need the KML document as text');
+
+  return kmlBlocks(text, 'Placemark').map((placemark) => {
+    const properties = { label: kmlTag(placemark, 'name') };
+    for (const [, name, value] of placemark.matchAll(/<Data\s+name="([^"]+)"[^>]*>\s*<value>([\s\S]*?)<\/value>/g)) {
+      properties[name] = decodeXml(value);
+    }
+    for (const [, name, value] of placemark.matchAll(/<SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/g)) {
+      properties[name] = decodeXml(value);
+    }
+
+    const geometries = [
+      ...kmlBlocks(placemark, 'LineString').map(block => ({ type: 'LineString', coordinates: kmlCoordinates(kmlTag(block, 'coordinates')) })),
+      ...kmlBlocks(placemark, 'Polygon').map(block => ({
+        type: 'Polygon',
+        coordinates: [
+          ...kmlBlocks(block, 'outerBoundaryIs'),
+          ...kmlBlocks(block, 'innerBoundaryIs'),
+        ].map(boundary => kmlCoordinates(kmlTag(boundary, 'coordinates'))),
+      })),
+    ];
+    return { type: 'Feature', properties, geometry: { type: 'GeometryCollection', geometries } };
+  });
+}
+
+// ── Service ──
+
+const byDate = (a, b) => a.asOf.localeCompare(b.asOf);
+
+class FrontlineService {
+  constructor() {
+    this.isConnected = false;
+    this.snapshots = new Map();  // conflict -> [snapshot], oldest first
+    for (const id of Object.keys(FRONTLINE_CONFLICTS)) this.snapshots.set(id, []);
+    for (const seed of seedSnapshots) {
+      this.store({ ...seed, areaKm2: areaBySide(seed.features), importedAt: new Date().toISOString() });
+    }
+  }
+
+  async connect() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[Frontline] PostgreSQL unavailable - serving seed snapshots, imports kept in memory only');
+      return false;
+    }
+    try {
+      // Seed conflicts that have never been stored; after that PostgreSQL is the source of truth
+      const { rows: seeded } = await db.query('SELECT DISTINCT conflict FROM frontline_snapshots');
+      const stored = new Set(seeded.map(row => row.conflict));
+      for (const [conflict, snapshots] of this.snapshots) {
+        if (stored.has(conflict)) continue;
+        for (const snapshot of snapshots) {
+          await db.query(
+            `INSERT INTO frontline_snapshots (conflict, as_of, source, note, features, area_km2)
+             VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (conflict, as_of) DO NOTHING`,
+            [snapshot.conflict, snapshot.asOf, snapshot.source, snapshot.note, JSON.stringify(snapshot.features), JSON.stringify(snapshot.areaKm2)]
+          );
+        }
+      }
+
+      const { rows } = await db.query(
+        `SELECT conflict, to_char(as_of, 'YYYY-MM-DD') AS as_of, source, note, features, area_km2, imported_at
+         FROM frontline_snapshots ORDER BY as_of`
+      );
+      for (const id of this.snapshots.keys()) this.snapshots.set(id, []);
+      for (const row of rows) {
+        if (!this.snapshots.has(row.conflict)) continue;
+        this.store({
+          conflict: row.conflict,
+          asOf: row.as_of,
+          source: row.source,
+          note: row.note,
+          features: row.features,
+          areaKm2: row.area_km2,
+          importedAt: row.imported_at.toISOString(),
+        });
+      }
+
+      this.isConnected = true;
+      console.log(`[Frontline] Loaded ${rows.length} snapshots from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[Frontline] Failed to load frontline snapshots:', error.message);
+      return false;
+    }
+  }
+
+  store(snapshot) {
+    const list = this.snapshots.get(snapshot.conflict).filter(s => s.asOf !== snapshot.asOf);
+    list.push(snapshot);
+    list.sort(byDate);
+    this.snapshots.set(snapshot.conflict, list);
+  }
+
+  requireConflict(conflict) {
+    if (!Object.hasOwn(FRONTLINE_CONFLICTS, conflict)) throw new FrontlineError(`Unknown conflict: ${conflict}`, 404);
+    return FRONTLINE_CONFLICTS[conflict];
+  }
+
+  // ── Reads ──
+
+  listConflicts() {
+    return Object.entries(FRONTLINE_CONFLICTS).map(([id, def]) => {
+      const snapshots = this.snapshots.get(id);
+      return {
+        id,
+        ...def,
+        dates: snapshots.map(s => s.asOf),
+        latest: snapshots[snapshots.length - 1]?.asOf || null,
+      };
+    });
+  }
+
+  /**
+   * Dated snapshots for a conflict without geometry, oldest first.
+   */
+  getDates(conflict) {
+    this.requireConflict(conflict);
+    return this.snapshots.get(conflict).map(({ asOf, source, note, areaKm2, importedAt }) => ({ asOf, source, note, areaKm2, importedAt }));
+  }
+
+  /**
+   * The snapshot in effect on a date: the latest one dated on or before it.
+   * @param {string} conflict
+   * @param {string} [date] - YYYY-MM-DD; defaults to the latest snapshot
+   * @returns {object|null} snapshot with `features` as a FeatureCollection
+   */
+  getAt(conflict, date = null) {
+    this.requireConflict(conflict);
+    const snapshots = this.snapshots.get(conflict);
+    const snapshot = date
+      ? snapshots.filter(s => s.asOf <= date).pop()
+      : snapshots[snapshots.length - 1];
+    if (!snapshot) return null;
+    return { ...snapshot, features: { type: 'FeatureCollection', features: snapshot.features } };
+  }
+
+  /**
+   * Net territory change per side between the snapshots in effect on two dates.
+   * Positive km² means the side held more at `to` than at `from`.
+   */
+  getChange(conflict, from, to = null) {
+    const def = this.requireConflict(conflict);
+    const before = this.getAt(conflict, from);
+    const after = this.getAt(conflict, to);
+    if (!before || !after) return null;
+
+    const sides = Object.keys(def.sides).filter(side => side in before.areaKm2 || side in after.areaKm2);
+    const change = Object.fromEntries(sides.map(side => {
+      const start = before.areaKm2[side] ?? null;
+      const end = after.areaKm2[side] ?? null;
+      return [side, { from: start, to: end, changeKm2: start !== null && end !== null ? end - start : null }];
+    }));
+    return { conflict, from: before.asOf, to: after.asOf, sides: change };
+  }
+
+  // ── Imports ──
+
+  /**
+   * Store a dated snapshot from GeoJSON or KML, replacing any snapshot with
+   * the same date. Area features take their side from `properties.side`,
+   * falling back to the `side` option.
+   * @returns {Promise<object>} the stored snapshot summary
+   */
+  async importSnapshot(conflict, { asOf, format = 'geojson', data, side, source = null, note = null } = {}) {
+    const def = this.requireConflict(conflict);
+    if (!DATE_RE.test(String(asOf || '')) || Number.isNaN(Date.parse(asOf))) {
+      throw new FrontlineError('asOf must be a YYYY-MM-DD date');
+    }
+    if (data === undefined || data === null || data === '') throw new FrontlineError('data is required');
+
+    let raw;
+    try {
+      if (format === 'geojson') raw = parseGeoJson(data);
+      else if (format === 'kml') raw = parseKml(data);
+      else throw new FrontlineError('format must be geojson or kml');
+    } catch (error) {
+      if (error instanceof FrontlineError) throw error;
+      throw new FrontlineError(`Could not parse ${format}: ${error.message}`);
+    }
+    if (raw.length > MAX_FEATURES) throw new FrontlineError(`At most ${MAX_FEATURES} features per import`);
+
+    const features = [];
+    let points = 0;
+    for (const feature of raw) {
+      const properties = feature?.properties || {};
+      for (const { kind, geometry } of featuresFromGeometry(feature?.geometry)) {
+        const featureSide = properties.side ?? side;
+        if (kind === 'area' && !Object.hasOwn(def.sides, featureSide)) {
+          throw new FrontlineError(`area features need a side (one of: ${Object.keys(def.sides).join(', ')})`);
+        }
+        points += countPoints(geometry.coordinates);
+        features.push({
+          type: 'Feature',
+          properties: {
+            kind,
+            ...(kind === 'area' ? { side: featureSide } : {}),
+            ...(properties.id != null ? { id: String(properties.id) } : {}),
+            ...(properties.label || properties.name ? { label: String(properties.label || properties.name).slice(0, 200) } : {}),
+            ...(properties.status ? { status: String(properties.status).slice(0, 40) } : {}),
+          },
+          geometry,
+        });
+      }
+    }
+    if (features.length === 0) throw new FrontlineError('No line or polygon features found');
+    if (points > MAX_POINTS) throw new FrontlineError(`At most ${MAX_POINTS} points per import`);
+
+    const snapshot = {
+      conflict,
+      asOf,
+      source: source ? String(source).slice(0, 500) : null,
+      note: note ? String(note).slice(0, 1000) : null,
+      features,
+      areaKm2: areaBySide(features),
+      importedAt: new Date().toISOString(),
+    };
+    await this.persist(snapshot);
+    this.store(snapshot);
+    console.log(`[Frontline] Imported ${conflict} ${asOf}: ${features.length} features (${format})`);
+
+    return {
+      conflict, asOf, source: snapshot.source, note: snapshot.note,
+      areaKm2: snapshot.areaKm2, importedAt: snapshot.importedAt, featureCount: features.length,
+    };
+  }
+
+  async deleteSnapshot(conflict, asOf) {
+    this.requireConflict(conflict);
+    const snapshots = this.snapshots.get(conflict);
+    if (!snapshots.some(s => s.asOf === asOf)) throw new FrontlineError(`No ${conflict} snapshot dated ${asOf}`, 404);
+    if (this.isConnected) {
+      await db.query('DELETE FROM frontline_snapshots WHERE conflict = $1 AND as_of = $2', [conflict, asOf]);
+    }
+    this.snapshots.set(conflict, snapshots.filter(s => s.asOf !== asOf));
+    console.log(`[Frontline] Deleted ${conflict} ${asOf}`);
+  }
+
+  async persist(snapshot) {
+    if (!this.isConnected) return;
+    try {
+      await db.query(
+        `INSERT INTO frontline_snapshots (conflict, as_of, source, note, features, area_km2, imported_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (conflict, as_of) DO UPDATE SET
+           source = EXCLUDED.source, note = EXCLUDED.note, features = EXCLUDED.features,
+           area_km2 = EXCLUDED.area_km2, imported_at = EXCLUDED.imported_at`,
+        [snapshot.conflict, snapshot.asOf, snapshot.source, snapshot.note,
+          JSON.stringify(snapshot.features), JSON.stringify(snapshot.areaKm2), snapshot.importedAt]
+      );
+    } catch (error) {
+      console.error('[Frontline] Persist error:', error.message);
+      throw new FrontlineError('Failed to save frontline snapshot', 500);
+    }
+  }
+
+}
+
+export const frontlineService = new FrontlineService();
+export default frontlineService;
@@ -0,0 +1,343 @@
+/**
+ * GDELT API Client
+ * Every GDELT query in the backend goes through this module so the whole
+ * process respects GDELT's rate limit, instead of each service firing its
+ * own burst of parallel requests and getting throttled.
+ *
+ * - One global queue: a single request in flight, started at least
+ *   GDELT_MIN_INTERVAL_MS after the previous one. A 429 pauses the queue.
+ * - Identical queries share one request while it is queued or in flight.
+ * - Queued artlist queries that differ only in maxrecords are batched into
+ *   one request for the largest count; each caller gets its own top N.
+ * - Responses are cached on disk (GDELT_CACHE_DIR), so restarts do not
+ *   re-fetch everything. Entries are fresh for `ttl` seconds; older entries
+ *   (up to GDELT_MAX_STALE_HOURS) are served when GDELT fails.
+ *
+ * Helpers:
+ *   artList(query, opts)       -> raw GDELT article objects
+ *   timelineTone(query, opts)  -> [{ date, value }] average tone per bin
+ *   timelineVol(query, opts)   -> [{ date, value }] coverage volume per bin
+ *   geoPoints(query, opts)     -> [{ name, lat, lon, count, urls }] places
+ *                                 mentioned in matching articles (GEO API)
+ * They throw GdeltError when GDELT fails and nothing is cached.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+import { sourceHealth, trackedFetch } from './sourceHealth.service.js';
+
+const GDELT_DOC_URL = 'https://api.gdeltproject.org/api/v2/doc/doc';
+const GDELT_GEO_URL = 'https://api.gdeltproject.org/api/v2/geo/geo';
+const REQUEST_TIMEOUT_MS = 15000;
+const THROTTLE_PAUSE_MS = 30 * 1000;
+const USER_AGENT = 'Monitored/1.0 (+gdelt-client)';
+
+// Default freshness per mode, in seconds
+const DEFAULT_TTL = {
+  artlist: 10 * 60,
+  timelinetone: 30 * 60,
+  timelinevol: 30 * 60,
+  timelinevolraw: 30 * 60,
+  pointdata: 30 * 60,
+};
+
+export class GdeltError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'GdeltError';
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stable URL: parameters sorted so equivalent queries share cache entries
+function buildUrl(params, baseUrl = GDELT_DOC_URL) {
+  const search = new URLSearchParams();
+  for (const key of Object.keys(params).sort()) {
+    if (params[key] !== undefined && params[key] !== null) search.set(key, String(params[key]));
+  }
+  return `${baseUrl}?${search.toString()}`;
+}
+
+// GDELT dates look like 20261018T101500Z
+function parseGdeltDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T?(\d{2})?(\d{2})?(\d{2})?Z?$/.exec(value || '');
+  if (!match) return value || null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}Z`;
+}
+
+// Artlist requests with the same key differ only in maxrecords
+function batchKey(params) {
+  return params.mode === 'artlist' ? buildUrl({ ...params, maxrecords: undefined }) : null;
+}
+
+function parseTimeline(data) {
+  const series = data?.timeline?.[0]?.data || [];
+  return series.map(point => ({ date: parseGdeltDate(point.date), value: Number(point.value) || 0 }));
+}
+
+// GEO API features carry the matching articles as HTML links
+function parseGeoPoints(data) {
+  return (data?.features || [])
+    .filter(feature => feature.geometry?.type === 'Point')
+    .map(feature => {
+      const [lon, lat] = feature.geometry.coordinates;
+      const html = feature.properties?.html || '';
+      const urls = Array.from(html.matchAll(/href="([^"]+)"/g), match => match[1]);
+      return { name: feature.properties?.name || '', lat, lon, count: Number(feature.properties?.count) || 0, urls };
+    });
+}
+
+class GdeltClient {
+  constructor() {
+    this.queue = [];              // [{ url, params, resolve, reject }]
+    this.inFlight = new Map();    // url -> Promise (queued or running)
+    this.draining = false;
+    this.lastRequestAt = 0;
+    this.pausedUntil = 0;
+    this.stats = { requests: 0, cacheHits: 0, staleServed: 0, deduped: 0, batched: 0, throttled: 0, failures: 0 };
+  }
+
+  // ── Typed helpers ──
+
+  /**
+   * Article list for a query.
+   * @param {string} query - GDELT query syntax
+   * @param {{ maxRecords?: number, timespan?: string, sort?: string, ttl?: number }} opts
+   * @returns {Promise<Array>} raw article objects ({ url, title, seendate, domain, sourcecountry, language, ... })
+   */
+  async artList(query, { maxRecords = 75, timespan = '7d', sort, ttl } = {}) {
+    const data = await this.request({
+      query, mode: 'artlist', maxrecords: Math.min(maxRecords, 250), timespan, sort, format: 'json',
+    }, { ttl });
+    return data?.articles || [];
+  }
+
+  /**
+   * Average tone over time for a query (roughly -10 to +10).
+   * @returns {Promise<Array<{ date: string, value: number }>>}
+   */
+  async timelineTone(query, { timespan = '7d', ttl } = {}) {
+    const data = await this.request({ query, mode: 'timelinetone', timespan, format: 'json' }, { ttl });
+    return parseTimeline(data);
+  }
+
+  /**
+   * Coverage volume over time for a query: share of all monitored articles
+   * (percent), or article counts with `raw: true`.
+   * @returns {Promise<Array<{ date: string, value: number }>>}
+   */
+  async timelineVol(query, { timespan = '7d', raw = false, ttl } = {}) {
+    const mode = raw ? 'timelinevolraw' : 'timelinevol';
+    const data = await this.request({ query, mode, timespan, format: 'json' }, { ttl });
+    return parseTimeline(data);
+  }
+
+  /**
+   * Places mentioned in articles matching a query, from the GEO 2.0 API
+   * (which only covers the last 7 days). `name` is "City, Region, Country"
+   * or just the country; `urls` are the articles mentioning the place.
+   * @returns {Promise<Array<{ name: string, lat: number, lon: number, count: number, urls: string[] }>>}
+   */
+  async geoPoints(query, { timespan = '7d', maxPoints = 500, ttl } = {}) {
+    const data = await this.request(
+      { query, mode: 'pointdata', format: 'geojson', timespan, maxpoints: maxPoints },
+      { ttl, baseUrl: GDELT_GEO_URL },
+    );
+    return parseGeoPoints(data);
+  }
+
+  /**
+   * Run one query. Serves a fresh disk cache entry if there is one;
+   * otherwise queues the request (sharing it with identical callers) and
+   * falls back to a stale entry if GDELT fails.
+   */
+  async request(params, { ttl, baseUrl } = {}) {
+    const url = buildUrl(params, baseUrl);
+    const ttlMs = (ttl ?? DEFAULT_TTL[params.mode] ?? DEFAULT_TTL.artlist) * 1000;
+
+    const cached = await this.readCache(url);
+    if (cached && Date.now() - cached.fetchedAt < ttlMs) {
+      this.stats.cacheHits++;
+      return cached.data;
+    }
+
+    try {
+      return await this.enqueue(url, params);
+    } catch (error) {
+      const maxStaleMs = config.gdelt.maxStaleHours * 60 * 60 * 1000;
+      if (cached && Date.now() - cached.fetchedAt < maxStaleMs) {
+        this.stats.staleServed++;
+        sourceHealth.markFallback('gdelt', `Serving cached responses (${error.message})`);
+        return cached.data;
+      }
+      throw error;
+    }
+  }
+
+  enqueue(url, params) {
+    const pending = this.inFlight.get(url);
+    if (pending) {
+      this.stats.deduped++;
+      return pending;
+    }
+    if (this.queue.length >= config.gdelt.maxQueueLength) {
+      return Promise.reject(new GdeltError('GDELT request queue is full'));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ url, params, resolve, reject });
+    }).finally(() => this.inFlight.delete(url));
+    this.inFlight.set(url, promise);
+    this.drain();
+    return promise;
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      while (this.queue.length > 0) {
+        const wait = Math.max(
+          this.lastRequestAt + config.gdelt.minIntervalMs - Date.now(),
+          this.pausedUntil - Date.now(),
+        );
+        if (wait > 0) await sleep(wait);
+
+        const batch = this.takeBatch();
+        this.lastRequestAt = Date.now();
+        try {
+          const data = await this.fetchUrl(batch.url);
+          for (const entry of batch.entries) {
+            const own = batch.entries.length > 1
+              ? { ...data, articles: (data?.articles || []).slice(0, entry.params.maxrecords) }
+              : data;
+            await this.writeCache(entry.url, own);
+            entry.resolve(own);
+          }
+        } catch (error) {
+          this.stats.failures++;
+          batch.entries.forEach(entry => entry.reject(error));
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Take the next queued request plus any queued artlist requests for the
+   * same query, timespan and sort → { url, entries }. The batch fetches the
+   * largest maxrecords among them.
+   */
+  takeBatch() {
+    const first = this.queue.shift();
+    const key = batchKey(first.params);
+    if (!key) return { url: first.url, entries: [first] };
+
+    const entries = [first];
+    this.queue = this.queue.filter(entry => {
+      if (batchKey(entry.params) !== key) return true;
+      entries.push(entry);
+      return false;
+    });
+    if (entries.length === 1) return { url: first.url, entries };
+
+    this.stats.batched += entries.length - 1;
+    const largest = entries.reduce((a, b) => (b.params.maxrecords > a.params.maxrecords ? b : a));
+    return { url: largest.url, entries };
+  }
+
+  async fetchUrl(url) {
+    this.stats.requests++;
+    const res = await trackedFetch(url, {
+      headers: { 'Accept': 'application/json', 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (res.status === 429) {
+      this.stats.throttled++;
+      this.pausedUntil = Date.now() + THROTTLE_PAUSE_MS;
+      console.warn(`[GDELT] Throttled - pausing queue for ${THROTTLE_PAUSE_MS / 1000}s`);
+      throw new GdeltError('GDELT rate limit exceeded', 429);
+    }
+    if (!res.ok) throw new GdeltError(`GDELT HTTP ${res.status}`, res.status);
+
+    // Errors such as "query too short" come back as 200 with a plain-text body
+    const text = await res.text();
+    if (!text.trim()) return {};
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new GdeltError(`GDELT: ${text.trim().slice(0, 120)}`);
+    }
+  }
+
+  // ── Disk cache ──
+
+  cachePath(url) {
+    return path.join(config.gdelt.cacheDir, `${createHash('sha1').update(url).digest('hex')}.json`);
+  }
+
+  async readCache(url) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.cachePath(url), 'utf-8'));
+      return entry.url === url ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async writeCache(url, data) {
+    try {
+      await fs.mkdir(config.gdelt.cacheDir, { recursive: true });
+      await fs.writeFile(this.cachePath(url), JSON.stringify({ url, fetchedAt: Date.now(), data }));
+    } catch (error) {
+      console.warn('[GDELT] Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Delete cache files too old to be served even as a fallback.
+   */
+  async pruneCache() {
+    const maxStaleMs = config.gdelt.maxStaleHours * 60 * 60 * 1000;
+    let removed = 0;
+    let files = [];
+    try {
+      files = await fs.readdir(config.gdelt.cacheDir);
+    } catch {
+      return { removed };
+    }
+    for (const file of files) {
+      const filePath = path.join(config.gdelt.cacheDir, file);
+      try {
+        const { mtimeMs } = await fs.stat(filePath);
+        if (Date.now() - mtimeMs > maxStaleMs) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      } catch {
+        // Removed concurrently
+      }
+    }
+    return { removed, remaining: files.length - removed };
+  }
+
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      inFlight: this.inFlight.size,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      minIntervalMs: config.gdelt.minIntervalMs,
+      ...this.stats,
+    };
+  }
+}
+
+export const gdeltClient = new GdeltClient();
+export default gdeltClient;
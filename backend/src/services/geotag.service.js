@@ -0,0 +1,168 @@
+/**
+ * Geotagging Service
+ * Extracts country and city mentions from feed items using the gazetteer in
+ * shared/gazetteer.js, and picks a primary location to plot them on the map.
+ *
+ * Tagged items get:
+ *   geo: {
+ *     countries: [{ code, name, mentions }],   // most mentioned first
+ *     cities: [{ name, country, lat, lon }],
+ *     country, countryName, city,              // primary location
+ *     lat, lon,
+ *     precision: 'city' | 'country',
+ *   }
+ * or `geo: null` when no place is mentioned.
+ */
+
+import { COUNTRIES, CITIES, CAPITAL_ALIASES, NON_PLACES, AMBIGUOUS_NAMES } from 'monitored-shared/gazetteer';
+
+// Title mentions say more about where a story happens than body mentions
+const TITLE_WEIGHT = 3;
+const MAX_TEXT_LENGTH = 1500;
+
+const GEO_CONTEXT = /\b(government|president|minister|military|troops|war|conflict|crisis|protest|capital|border|region|province|country|nation|attack|bomb|strike|sanction|embassy|diplomat|foreign|unrest|coup|refugee)/i;
+
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2018\u2019]/g, "'");
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Surface form -> place. Matching is case-sensitive (place names are proper
+ * nouns), on diacritic-folded text.
+ */
+function buildIndex() {
+  const index = new Map();
+  const countriesByCode = new Map(COUNTRIES.map(c => [c.code, c]));
+  const add = (form, place) => {
+    const key = fold(form);
+    if (!index.has(key)) index.set(key, place);
+  };
+
+  for (const phrase of NON_PLACES) add(phrase, null);
+  for (const country of COUNTRIES) {
+    const place = { type: 'country', code: country.code, ambiguous: AMBIGUOUS_NAMES.has(country.name) };
+    add(country.name, place);
+    country.aliases.forEach(alias => add(alias, place));
+  }
+  for (const country of COUNTRIES) {
+    if (!country.capital) continue;
+    const place = {
+      type: 'city', name: country.capital, code: country.code, lat: country.lat, lon: country.lon,
+      ambiguous: AMBIGUOUS_NAMES.has(country.capital),
+    };
+    add(country.capital, place);
+    (CAPITAL_ALIASES[country.capital] || []).forEach(alias => add(alias, place));
+  }
+  for (const city of CITIES) {
+    if (!countriesByCode.has(city.country)) continue;
+    const place = {
+      type: 'city', name: city.name, code: city.country, lat: city.lat, lon: city.lon,
+      ambiguous: AMBIGUOUS_NAMES.has(city.name),
+    };
+    add(city.name, place);
+    (city.aliases || []).forEach(alias => add(alias, place));
+  }
+
+  // Longest forms first so "South Sudan" wins over "Sudan"
+  const forms = Array.from(index.keys()).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?<![A-Za-z0-9])(?:${forms.map(escapeRegex).join('|')})(?![A-Za-z0-9])`, 'g');
+
+  return { index, pattern, countriesByCode };
+}
+
+const { index: PLACE_INDEX, pattern: PLACE_PATTERN, countriesByCode: COUNTRIES_BY_CODE } = buildIndex();
+
+function findPlaces(text) {
+  if (!text) return [];
+  const folded = fold(text.slice(0, MAX_TEXT_LENGTH));
+  const hasContext = GEO_CONTEXT.test(folded);
+  const found = [];
+  for (const match of folded.matchAll(PLACE_PATTERN)) {
+    const place = PLACE_INDEX.get(match[0]);
+    if (!place || (place.ambiguous && !hasContext)) continue;
+    found.push(place);
+  }
+  return found;
+}
+
+export const geotagService = {
+  /**
+   * @returns {Object|null} geo tag for a normalized feed item
+   */
+  tag(item) {
+    const inTitle = findPlaces(item.title);
+    const inBody = findPlaces(item.summary || item.content);
+    if (inTitle.length === 0 && inBody.length === 0) return null;
+
+    const scores = new Map();   // country code -> { score, mentions, order }
+    const cities = new Map();   // city name -> place
+    let order = 0;
+    const count = (places, weight) => {
+      for (const place of places) {
+        const entry = scores.get(place.code) || { score: 0, mentions: 0, order: order++ };
+        entry.score += weight;
+        entry.mentions++;
+        scores.set(place.code, entry);
+        if (place.type === 'city' && !cities.has(place.name)) cities.set(place.name, place);
+      }
+    };
+    count(inTitle, TITLE_WEIGHT);
+    count(inBody, 1);
+
+    const ranked = Array.from(scores.entries())
+      .sort((a, b) => b[1].score - a[1].score || a[1].order - b[1].order);
+    const primary = COUNTRIES_BY_CODE.get(ranked[0][0]);
+    const city = Array.from(cities.values()).find(c => c.code === primary.code) || null;
+
+    return {
+      countries: ranked.map(([code, entry]) => ({
+        code,
+        name: COUNTRIES_BY_CODE.get(code).name,
+        mentions: entry.mentions,
+      })),
+      cities: Array.from(cities.values()).map(c => ({ name: c.name, country: c.code, lat: c.lat, lon: c.lon })),
+      country: primary.code,
+      countryName: primary.name,
+      city: city ? city.name : null,
+      lat: city ? city.lat : primary.lat,
+      lon: city ? city.lon : primary.lon,
+      precision: city ? 'city' : 'country',
+    };
+  },
+
+  /**
+   * Returns copies of the items with a `geo` field.
+   */
+  tagItems(items) {
+    return items.map(item => ({ ...item, geo: this.tag(item) }));
+  },
+
+  /**
+   * GeoJSON FeatureCollection of tagged items (untagged items are skipped).
+   */
+  toGeoJSON(items) {
+    return {
+      type: 'FeatureCollection',
+      features: items
+        .filter(item => item.geo)
+        .map(item => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [item.geo.lon, item.geo.lat] },
+          properties: {
+            id: item.id,
+            title: item.title,
+            url: item.url,
+            source: item.sourceName || item.source,
+            contentType: item.contentType,
+            publishedAt: item.publishedAt,
+            country: item.geo.country,
+            countryName: item.geo.countryName,
+            city: item.geo.city,
+            precision: item.geo.precision,
+            coverage: item.cluster?.size || 1,
+          },
+        })),
+    };
+  },
+};
+
+export default geotagService;
@@ -9,6 +9,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { sourceHealth, trackedFetch } from './sourceHealth.service.js';
 
 const CIVIC_API_BASE = 'https://www.googleapis.com/civicinfo/v2';
 const CACHE_KEY_PREFIX = 'civic';
@@ -29,7 +30,10 @@ class GoogleCivicService {
   }
 
   async _fetch(endpoint, params = {}) {
-    if (!this.isConfigured) return null;
+    if (!this.isConfigured) {
+      sourceHealth.markFallback('googlecivic', 'GOOGLE_CIVIC_API_KEY not set');
+      return null;
+    }
 
     params.key = this.apiKey;
     const qs = new URLSearchParams(params).toString();
@@ -39,7 +43,7 @@ class GoogleCivicService {
     const timeout = setTimeout(() => controller.abort(), 12000);
 
     try {
-      const response = await fetch(url, {
+      const response = await trackedFetch(url, {
         headers: { 'Accept': 'application/json' },
         signal: controller.signal,
       });
@@ -5,9 +5,9 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_TTL = 900; // 15 minutes
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 /* ────────────────────────────────────────────────────────────────────────────
  * CRITICAL INFRASTRUCTURE DATABASE
@@ -352,34 +352,16 @@ const CRITICAL_INFRASTRUCTURE = [
  * ──────────────────────────────────────────────────────────────────────────── */
 
 /**
- * Build a GDELT API query URL with standard parameters.
- * @param {string} queryTerms - Raw search terms (will be URI-encoded)
- * @param {object} opts - Optional overrides: maxrecords, timespan, mode
- * @returns {string} Fully formed GDELT API URL
+ * Fetch GDELT articles for a query via the shared GDELT client.
+ * @param {string} queryTerms - GDELT query
+ * @param {object} opts - maxRecords, timespan
+ * @returns {Array|null} Raw GDELT articles or null on failure
  */
-function buildGdeltUrl(queryTerms, opts = {}) {
-  const {
-    maxrecords = 50,
-    timespan = '7d',
-    mode = 'artlist',
-    format = 'json',
-  } = opts;
-  const encoded = encodeURIComponent(queryTerms);
-  return `${GDELT_BASE}?query=${encoded}&mode=${mode}&maxrecords=${maxrecords}&format=${format}&timespan=${timespan}`;
-}
-
-/**
- * Safely fetch JSON from a URL with timeout.
- * @param {string} url - URL to fetch
- * @returns {object|null} Parsed JSON or null on failure
- */
-async function safeFetchJson(url) {
+async function fetchGdeltArticles(queryTerms, opts = {}) {
   try {
-    const res = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.json();
+    return await gdeltClient.artList(queryTerms, opts);
   } catch (err) {
-    console.error('[Infrastructure] Fetch error:', err.message);
+    console.error('[Infrastructure] GDELT error:', err.message);
     return null;
   }
 }
@@ -500,14 +482,13 @@ class InfrastructureService {
     if (cached) return cached;
 
     const query = 'infrastructure attack OR infrastructure sabotage OR infrastructure disruption OR infrastructure outage OR critical infrastructure threat';
-    const url = buildGdeltUrl(query, { maxrecords: 75, timespan: '7d' });
-    const data = await safeFetchJson(url);
+    const articles = await fetchGdeltArticles(query, { maxRecords: 75, timespan: '7d' });
 
-    if (!data || !data.articles) {
+    if (!articles) {
       return [];
     }
 
-    const threats = data.articles.map(article => {
+    const threats = articles.map(article => {
       const matchedInfra = matchArticleToInfrastructure(article, this.infrastructure);
       const tone = typeof article.tone === 'string'
         ? parseFloat(article.tone.split(',')[0])
@@ -551,16 +532,15 @@ class InfrastructureService {
     if (cached) return cached;
 
     const query = 'submarine cable cut OR submarine cable damaged OR submarine cable severed OR undersea cable fault OR internet cable disruption';
-    const url = buildGdeltUrl(query, { maxrecords: 30, timespan: '14d' });
-    const data = await safeFetchJson(url);
+    const articles = await fetchGdeltArticles(query, { maxRecords: 30, timespan: '14d' });
 
-    if (!data || !data.articles) {
+    if (!articles) {
       return [];
     }
 
     const cableInfra = this.infrastructure.filter(i => i.subcategory === 'submarine_cable');
 
-    const alerts = data.articles.map(article => {
+    const alerts = articles.map(article => {
       const matchedCables = matchArticleToInfrastructure(article, cableInfra);
       const tone = typeof article.tone === 'string'
         ? parseFloat(article.tone.split(',')[0])
@@ -599,16 +579,15 @@ class InfrastructureService {
     if (cached) return cached;
 
     const query = 'pipeline explosion OR oil facility attack OR power grid failure OR blackout OR energy infrastructure sabotage OR refinery fire';
-    const url = buildGdeltUrl(query, { maxrecords: 50, timespan: '7d' });
-    const data = await safeFetchJson(url);
+    const articles = await fetchGdeltArticles(query, { maxRecords: 50, timespan: '7d' });
 
-    if (!data || !data.articles) {
+    if (!articles) {
       return [];
     }
 
     const energyInfra = this.infrastructure.filter(i => i.category === 'energy');
 
-    const alerts = data.articles.map(article => {
+    const alerts = articles.map(article => {
       const matchedEnergy = matchArticleToInfrastructure(article, energyInfra);
       const tone = typeof article.tone === 'string'
         ? parseFloat(article.tone.split(',')[0])
@@ -5,6 +5,8 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { predictionHistoryService } from './predictionHistory.service.js';
 
 const CACHE_KEY_PREFIX = 'kalshi:markets';
 const CACHE_TTL = 300; // 5 minutes
@@ -36,7 +38,7 @@ class KalshiService {
     const timeout = setTimeout(() => controller.abort(), 15000);
 
     try {
-      const response = await fetch(url, {
+      const response = await trackedFetch(url, {
         headers: { 'Accept': 'application/json', 'User-Agent': 'MonitoringTheSituation/1.0' },
         signal: controller.signal,
       });
@@ -75,6 +77,8 @@ class KalshiService {
         .map(m => ({
           name: m.title || m.subtitle || m.ticker || 'Yes',
           price: extractPrice(m),
+          question: m.title || null,
+          closeTime: m.close_time || null,
         }));
 
       // For simple yes/no with single sub-market
@@ -159,6 +163,7 @@ class KalshiService {
         await cacheService.set(cacheKey, normalized, CACHE_TTL);
         this._memCache = normalized;
         this._memCacheTime = Date.now();
+        predictionHistoryService.record('kalshi', normalized);
       }
 
       return normalized;
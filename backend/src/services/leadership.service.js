@@ -18,8 +18,8 @@
 
 import { cacheService } from './cache.service.js';
 import { wikidataService } from './wikidata.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 const CACHE_TTL = 3600; // 1 hour
 
 const CACHE_KEYS = {
@@ -156,24 +156,12 @@ class LeadershipService {
     console.log(`[Leadership] Fetching GDELT activity for ${leaderName}...`);
 
     try {
-      // Build GDELT doc API query for this leader
-      const query = encodeURIComponent(`"${leaderName}"`);
-      const timespan = '7d';
-      const url = `${GDELT_BASE}?query=${query}&mode=artlist&maxrecords=50&timespan=${timespan}&format=json&sort=datedesc`;
-
-      const res = await fetch(url, {
-        headers: { 'User-Agent': 'Monitored/1.0 (leadership-intelligence)' },
-        signal: AbortSignal.timeout(12000),
+      const articles = await gdeltClient.artList(`"${leaderName}"`, {
+        maxRecords: 50,
+        timespan: '7d',
+        sort: 'datedesc',
       });
 
-      if (!res.ok) {
-        console.warn(`[Leadership] GDELT responded ${res.status} for ${leaderName}`);
-        return this._emptyActivity();
-      }
-
-      const data = await res.json();
-      const articles = data?.articles || [];
-
       // Calculate visibility index (article count normalized to 0-100)
       const articleCount = articles.length;
       const visibility = Math.min(100, Math.round((articleCount / 50) * 100));
@@ -204,11 +192,7 @@ class LeadershipService {
       await cacheService.set(cacheKey, result, CACHE_TTL);
       return result;
     } catch (error) {
-      if (error.name === 'TimeoutError') {
-        console.warn(`[Leadership] GDELT timeout for ${leaderName}`);
-      } else {
-        console.error(`[Leadership] Activity fetch failed for ${leaderName}:`, error.message);
-      }
+      console.warn(`[Leadership] Activity fetch failed for ${leaderName}:`, error.message);
       return this._emptyActivity();
     }
   }
@@ -310,17 +294,14 @@ class LeadershipService {
     try {
       // 1. GDELT scan for leadership instability keywords
       const keywords = 'resignation OR impeachment OR "election result" OR coup OR "succession crisis" OR "removed from office"';
-      const query = encodeURIComponent(keywords);
-      const url = `${GDELT_BASE}?query=${query}&mode=artlist&maxrecords=75&timespan=3d&format=json&sort=datedesc`;
-
-      const res = await fetch(url, {
-        headers: { 'User-Agent': 'Monitored/1.0 (leadership-intelligence)' },
-        signal: AbortSignal.timeout(12000),
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        const articles = data?.articles || [];
+      const articles = await gdeltClient
+        .artList(keywords, { maxRecords: 75, timespan: '3d', sort: 'datedesc' })
+        .catch((err) => {
+          console.warn('[Leadership] GDELT change scan failed:', err.message);
+          return [];
+        });
+
+      if (articles.length > 0) {
 
         // Match articles to tracked leaders
         for (const profile of LEADER_PROFILES) {
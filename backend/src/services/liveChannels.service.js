@@ -0,0 +1,170 @@
+/**
+ * Live Dataset Channels
+ * Pushes each background refresh to WebSocket clients on a channel named
+ * after the dataset (tension, risk, disasters, elections, ...), plus
+ * per-country Polymarket channels (markets:<country>).
+ *
+ * Protocol (see websocket.service.js):
+ *   on subscribe / resync → { channel, type: 'snapshot', version, data }
+ *   on refresh            → { channel, type: 'diff', baseVersion, version, ops }
+ * `ops` are JSON Patch (RFC 6902) operations against the previous version.
+ * A client whose version != baseVersion sends { type: 'resync', channel }.
+ */
+
+import { wsHandler } from './websocket.service.js';
+import { polymarketService } from './polymarket.service.js';
+
+// Jobs whose output is not pushed (feed uses content:updates; kalshi only feeds
+// prediction price history; the rest are maintenance)
+const EXCLUDED_JOBS = new Set([
+  'feed', 'economic', 'snapshot-prune', 'search-prune', 'prediction-prune', 'gdelt-cache-prune', 'markets', 'kalshi',
+]);
+const MARKETS_PREFIX = 'markets:';
+const MAX_COUNTRY_MARKETS = 50;
+// Send a full snapshot instead when the patch is nearly as large as the data
+const MAX_PATCH_RATIO = 0.6;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Structural diff producing JSON Patch ops. Objects are diffed key by key;
+ * arrays element-wise when their length is unchanged, otherwise replaced.
+ */
+function diff(prev, next, path = '', ops = []) {
+  if (prev === next) return ops;
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (!(key in next)) ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+    }
+    for (const key of Object.keys(next)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in prev)) ops.push({ op: 'add', path: childPath, value: next[key] });
+      else diff(prev[key], next[key], childPath, ops);
+    }
+    return ops;
+  }
+
+  if (Array.isArray(prev) && Array.isArray(next) && prev.length === next.length) {
+    for (let i = 0; i < next.length; i++) diff(prev[i], next[i], `${path}/${i}`, ops);
+    return ops;
+  }
+
+  if (JSON.stringify(prev) !== JSON.stringify(next)) {
+    ops.push({ op: 'replace', path: path || '', value: next });
+  }
+  return ops;
+}
+
+// Polymarket objects carry large search-index fields the UI never uses
+function compactMarkets(markets) {
+  return markets.slice(0, MAX_COUNTRY_MARKETS).map((market) => {
+    const compact = { ...market };
+    delete compact.searchText;
+    delete compact.rawSearchText;
+    return compact;
+  });
+}
+
+class LiveChannels {
+  constructor() {
+    // channel -> { version, data, updatedAt }
+    this.channels = new Map();
+    wsHandler.onSubscribe((clientId, channel) => this.sendSnapshot(clientId, channel));
+  }
+
+  /**
+   * Route a finished job's output to its channel(s). Never throws.
+   */
+  async publishJob(name, data) {
+    if (data == null) return;
+    try {
+      if (name === 'markets') await this.publishMarkets(data);
+      else if (!EXCLUDED_JOBS.has(name)) this.publish(name, data);
+    } catch (error) {
+      console.error(`[LiveChannels] Publish error (${name}):`, error.message);
+    }
+  }
+
+  /**
+   * Store the new value for a channel and push a diff (or snapshot) to subscribers.
+   * @returns {number|null} new version, or null if nothing changed
+   */
+  publish(channel, data) {
+    const prev = this.channels.get(channel);
+    const ops = prev ? diff(prev.data, data) : null;
+    if (prev && ops.length === 0) return null;
+
+    const version = (prev?.version || 0) + 1;
+    const entry = { version, data, updatedAt: new Date().toISOString() };
+    this.channels.set(channel, entry);
+
+    if (!wsHandler.hasSubscribers(channel)) return version;
+
+    const patchSize = ops ? JSON.stringify(ops).length : Infinity;
+    if (patchSize > JSON.stringify(data).length * MAX_PATCH_RATIO) {
+      wsHandler.broadcast(channel, { type: 'snapshot', version, data, timestamp: entry.updatedAt });
+    } else {
+      wsHandler.broadcast(channel, {
+        type: 'diff',
+        baseVersion: prev.version,
+        version,
+        ops,
+        timestamp: entry.updatedAt,
+      });
+    }
+    return version;
+  }
+
+  /**
+   * Only countries someone is subscribed to are filtered and pushed.
+   */
+  async publishMarkets(allMarkets) {
+    const active = wsHandler.getActiveChannels(MARKETS_PREFIX);
+    for (const channel of this.channels.keys()) {
+      if (channel.startsWith(MARKETS_PREFIX) && !active.includes(channel)) this.channels.delete(channel);
+    }
+    for (const channel of active) {
+      const country = channel.slice(MARKETS_PREFIX.length);
+      this.publish(channel, compactMarkets(polymarketService.filterByCountry(allMarkets, country)));
+    }
+  }
+
+  async sendSnapshot(clientId, channel) {
+    let entry = this.channels.get(channel);
+
+    // Country market channels are built on first subscribe from the cached market list
+    if (!entry && channel.startsWith(MARKETS_PREFIX)) {
+      const country = channel.slice(MARKETS_PREFIX.length);
+      const markets = await polymarketService.getMarketsByCountry(country);
+      entry = this.channels.get(channel) || {
+        version: 1,
+        data: compactMarkets(markets),
+        updatedAt: new Date().toISOString(),
+      };
+      this.channels.set(channel, entry);
+    }
+
+    if (!entry) return;
+    wsHandler.sendToClient(clientId, {
+      channel,
+      type: 'snapshot',
+      version: entry.version,
+      data: entry.data,
+      timestamp: entry.updatedAt,
+    });
+  }
+
+  getStatus() {
+    return Array.from(this.channels.entries()).map(([channel, e]) => ({
+      channel,
+      version: e.version,
+      updatedAt: e.updatedAt,
+      subscribed: wsHandler.hasSubscribers(channel),
+    }));
+  }
+}
+
+export const liveChannels = new LiveChannels();
+export default liveChannels;
@@ -0,0 +1,525 @@
+/**
+ * Prediction Market Matching Service
+ * Decides whether contracts on different venues ask the same question.
+ *
+ * Every tradeable contract (a binary market, or one outcome of a
+ * multi-outcome event) is parsed into:
+ *   {
+ *     event,       // 'ceasefire' | 'rate' | 'election' | ... | null
+ *     countries,   // ISO codes from the gazetteer
+ *     assets,      // 'bitcoin', 'oil', ...
+ *     names,       // people: runs of capitalized words that aren't places, months or title words
+ *     deadline: { date, start, precision, by, source: 'text' | 'close' } | null,
+ *     threshold: { comparator: 'gte' | 'lte' | 'eq' | 'between', value, high?, unit } | null,
+ *     negated,     // "no ceasefire", "remain in office", ...
+ *   }
+ * and two contracts only match when every check passes: same event type,
+ * the same countries, overlapping assets, the same people, an outcome label the other side
+ * mentions, deadlines that agree and thresholds that agree. Opposite
+ * comparators ("above 4%" vs "below 4%") or opposite polarity align one
+ * contract's YES with the other's NO.
+ */
+
+import { COUNTRIES } from 'monitored-shared/gazetteer';
+import { predictionMarketId } from './predictionHistory.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEXT_DEADLINE_TOLERANCE_MS = 3 * DAY_MS;
+const CLOSE_DEADLINE_TOLERANCE_MS = 14 * DAY_MS;
+const THRESHOLD_TOLERANCE = 0.01;
+const MIN_SIMILARITY = 0.2;
+const MIN_UNTYPED_SIMILARITY = 0.5;
+
+// First match wins, so more specific events come before the ones they mention
+const EVENT_TYPES = [
+  ['ceasefire', /\b(cease-?fire|truce|armistice|peace (deal|agreement|treaty))\b/i],
+  ['nuclear', /\bnuclear (test|weapon|strike|detonation)\b/i],
+  ['invasion', /\b(invades?|invasion|blockade|military (action|clash|conflict)|declare war|war with)\b/i],
+  ['leader-exit', /\b(out as|leaves? office|resigns?|resignation|removed from office|impeach(ed|ment)?|ousted|steps? down|in office|(remains?|stays?) (in power|president|prime minister))\b/i],
+  ['shutdown', /\bgovernment shutdown\b/i],
+  ['recession', /\brecession\b/i],
+  ['inflation', /\b(inflation|cpi|pce)\b/i],
+  ['gdp', /\bgdp\b/i],
+  ['rate', /\b(fed|fomc|interest rates?|rate (cut|hike|decision)|cuts? rates|raises? rates|ecb|bank of england|bps|basis points)\b/i],
+  ['tariff', /\btariffs?\b/i],
+  ['election', /\b(elections?|elected|nominee|nomination|primary|presidential|win the presidency|next (president|prime minister))\b/i],
+  ['meeting', /\b(meets?|meeting|summit|visits?)\b/i],
+  ['price', /\b(price|bitcoin|btc|ethereum|eth|solana|crude|oil|wti|brent|gold|s&p|nasdaq|dow)\b/i],
+];
+
+// Events whose subject is a person: both sides must name the same people
+const PERSON_EVENTS = new Set(['election', 'leader-exit', 'meeting']);
+// Events that are meaningless without a number: both sides need one
+const NUMERIC_EVENTS = new Set(['rate', 'inflation', 'gdp', 'price']);
+
+const ASSETS = {
+  bitcoin: ['bitcoin', 'btc'],
+  ethereum: ['ethereum', 'eth', 'ether'],
+  solana: ['solana', 'sol'],
+  oil: ['oil', 'crude', 'wti', 'brent'],
+  gold: ['gold'],
+  sp500: ['s&p 500', 's&p', 'spx', 'sp500'],
+  nasdaq: ['nasdaq', 'ndx'],
+};
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4,
+  jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11,
+};
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'will', 'be', 'by', 'in', 'on', 'of', 'to', 'for', 'at', 'or', 'and', 'is', 'are',
+  'before', 'after', 'end', 'than', 'more', 'less', 'next', 'this', 'that', 'with', 'as', 'any', 'its',
+  'who', 'what', 'which', 'how', 'many', 'much', 'does', 'do', 'yes', 'no', 'market', 'price',
+]);
+
+// Capitalized words that name things other than people
+const TITLE_WORDS = new Set([
+  'Will', 'Who', 'What', 'Which', 'When', 'How', 'The', 'Before', 'After', 'By', 'In', 'On', 'Of',
+  'Yes', 'No', 'Fed', 'FOMC', 'ECB', 'GDP', 'CPI', 'PCE', 'President', 'Presidential', 'Prime',
+  'Minister', 'Election', 'Elections', 'Party', 'Democratic', 'Democrat', 'Democrats', 'Republican',
+  'Republicans', 'Senate', 'House', 'Congress', 'Supreme', 'Court', 'Governor', 'Mayor', 'Nominee',
+  'Nomination', 'Primary', 'Win', 'Wins', 'Out', 'Office', 'Meet', 'Meeting', 'Summit', 'Q1', 'Q2',
+  'Q3', 'Q4', 'Other', 'Someone', 'Else', 'Any', 'Next', 'End', 'Above', 'Below', 'Between', 'Over',
+  'Under', 'Rate', 'Rates', 'Cut', 'Hike', 'Decision', 'Recession', 'Inflation', 'Ceasefire', 'War',
+  'Winner', 'Leader',
+]);
+
+const COMPARATORS = [
+  ['gte', /\b(above|over|more than|greater than|higher than|exceeds?|at least|reach(es)?|hits?)\b|>=?|≥/i],
+  ['lte', /\b(below|under|less than|fewer than|lower than|at most)\b|<=?|≤/i],
+];
+const OR_MORE = /^\s*(\+|or (more|higher|above)\b)/i;
+const OR_LESS = /^\s*or (less|lower|fewer|below)\b/i;
+const INVERSE_COMPARATOR = { gte: 'lte', lte: 'gte', eq: 'eq', between: 'between' };
+
+// Not "without": "win without a runoff" narrows the question rather than negating it
+const NEGATION = /\b(not|won't|doesn't|fails? to)\b|\b(remains?|stays?|still) (in office|in power|president|prime minister|leader)\b/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+const COUNTRY_FORMS = COUNTRIES
+  .flatMap(country => [country.name, ...country.aliases].map(form => ({ form, code: country.code })))
+  .sort((a, b) => b.form.length - a.form.length);
+const COUNTRY_REGEX = new RegExp(`(?<![A-Za-z])(${COUNTRY_FORMS.map(f => escapeRegex(f.form)).join('|')})(?![A-Za-z])`, 'g');
+const COUNTRY_BY_FORM = new Map(COUNTRY_FORMS.map(f => [f.form, f.code]));
+const ASSET_FORMS = Object.entries(ASSETS).flatMap(([asset, forms]) => forms.map(form => ({ form, asset })));
+
+function tokenize(text) {
+  return new Set((text || '').toLowerCase()
+    .replace(/(\d)([a-z%])/g, '$1 $2')
+    .replace(/[^a-z0-9%\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w && !STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+const overlaps = (a, b) => a.some(x => b.includes(x));
+
+function endOfMonth(year, month) {
+  return Date.UTC(year, month + 1, 0, 23, 59, 59);
+}
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Deadline from the question text, falling back to the contract's close
+ * time. Returns the text with the date removed so day numbers and years
+ * aren't read as thresholds.
+ */
+function parseDeadline(text, closeTime) {
+  const close = toTime(closeTime);
+  const defaultYear = new Date(close ?? Date.now()).getUTCFullYear();
+  const by = (index) => /\b(by|before|until|through)\s+(the\s+)?(end of\s+)?$/i.test(text.slice(Math.max(0, index - 20), index));
+
+  const patterns = [
+    [new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(20\\d{2})\\b`, 'i'), (m) => {
+      const t = Date.UTC(+m[3], MONTHS[m[1].toLowerCase()], +m[2], 23, 59, 59);
+      return { start: t, date: t, precision: 'day' };
+    }],
+    [/\b(20\d{2})-(\d{2})-(\d{2})\b/, (m) => {
+      const t = Date.UTC(+m[1], +m[2] - 1, +m[3], 23, 59, 59);
+      return { start: t, date: t, precision: 'day' };
+    }],
+    [new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!,?\\s*\\d)`, 'i'), (m) => {
+      const t = Date.UTC(defaultYear, MONTHS[m[1].toLowerCase()], +m[2], 23, 59, 59);
+      return { start: t, date: t, precision: 'day' };
+    }],
+    [new RegExp(`\\b(${MONTH_PATTERN})\\.?,?\\s+(20\\d{2})\\b`, 'i'), (m) => {
+      const month = MONTHS[m[1].toLowerCase()];
+      return { start: Date.UTC(+m[2], month, 1), date: endOfMonth(+m[2], month), precision: 'month' };
+    }],
+    [/\bQ([1-4])\s*(20\d{2})\b/i, (m) => ({
+      start: Date.UTC(+m[2], (m[1] - 1) * 3, 1), date: endOfMonth(+m[2], m[1] * 3 - 1), precision: 'quarter',
+    })],
+    [/(?<!\$)\b(20\d{2})\b(?![\d,.%])/, (m, index) => {
+      const year = /\bbefore\s+$/i.test(text.slice(Math.max(0, index - 8), index)) ? +m[1] - 1 : +m[1];
+      return { start: Date.UTC(year, 0, 1), date: endOfMonth(year, 11), precision: 'year' };
+    }],
+    [new RegExp(`\\b(?:in|by|before|during)\\s+(${MONTH_PATTERN})\\b`, 'i'), (m) => {
+      const month = MONTHS[m[1].toLowerCase()];
+      return { start: Date.UTC(defaultYear, month, 1), date: endOfMonth(defaultYear, month), precision: 'month' };
+    }],
+  ];
+
+  for (const [regex, build] of patterns) {
+    const m = regex.exec(text);
+    if (!m) continue;
+    const deadline = build(m, m.index);
+    return {
+      deadline: { ...deadline, by: by(m.index), source: 'text' },
+      rest: text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length),
+    };
+  }
+
+  return {
+    deadline: close != null ? { start: close, date: close, precision: 'day', by: true, source: 'close' } : null,
+    rest: text,
+  };
+}
+
+function parseNumber(raw, suffix, unitWord) {
+  let value = parseFloat(raw.replace(/,/g, ''));
+  const scale = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+  if (suffix) value *= scale[suffix.toLowerCase()] || 1;
+  let unit = null;
+  if (unitWord) {
+    if (/^(bps|basis points?)$/i.test(unitWord)) { value /= 100; unit = '%'; }
+    else unit = unitWord === '%' || /^percent/i.test(unitWord) ? '%' : null;
+  }
+  return { value, unit };
+}
+
+const NUMBER_REGEX = /(\$)?(?<![A-Za-z\d.,])(\d[\d,]*(?:\.\d+)?)(\+)?\s*(?:(k|thousand|million|billion|trillion|bn|m|b|t)\b)?\s*(%|percent(?:age points?)?|bps|basis points?)?/gi;
+
+function comparatorAt(text, match) {
+  const after = text.slice(match.index + match[0].length, match.index + match[0].length + 16);
+  if (match[3] || OR_MORE.test(after)) return 'gte';
+  if (OR_LESS.test(after)) return 'lte';
+  const before = text.slice(Math.max(0, match.index - 24), match.index);
+  return COMPARATORS.find(([, regex]) => regex.test(before))?.[0] || null;
+}
+
+/**
+ * Numeric threshold ("above $100k", "between 3.5% and 3.75%", "cut 25 bps").
+ * `text` should already have dates stripped.
+ */
+function parseThreshold(text) {
+  const between = /\bbetween\s+(\$)?(\d[\d,]*(?:\.\d+)?)\s*(k|m|b|bn)?\s*(%|bps)?\s*(?:and|-|to)\s*(\$)?(\d[\d,]*(?:\.\d+)?)\s*(k|m|b|bn)?\s*(%|bps)?/i.exec(text);
+  if (between) {
+    const low = parseNumber(between[2], between[3], between[4] || between[8]);
+    const high = parseNumber(between[6], between[7], between[8]);
+    return { comparator: 'between', value: low.value, high: high.value, unit: between[1] || between[5] ? '$' : high.unit };
+  }
+
+  const numbers = [...text.matchAll(NUMBER_REGEX)]
+    .filter(m => m[1] || m[4] || m[5] || m[2].includes(',') || m[2].includes('.') || !/^(19|20)\d{2}$/.test(m[2]));
+  if (numbers.length === 0) return null;
+
+  // Prefer a number that follows a comparator, then one with a unit
+  let best = null;
+  for (const m of numbers) {
+    const comparator = comparatorAt(text, m);
+    const rank = (comparator ? 2 : 0) + (m[1] || m[4] || m[5] ? 1 : 0);
+    if (!best || rank > best.rank) best = { m, comparator: comparator || 'eq', rank };
+  }
+
+  const { m, comparator } = best;
+  const { value, unit } = parseNumber(m[2], m[4], m[5]);
+  return { comparator, value, unit: m[1] ? '$' : unit };
+}
+
+function parseEntities(text) {
+  const countries = new Set();
+  for (const m of text.matchAll(COUNTRY_REGEX)) countries.add(COUNTRY_BY_FORM.get(m[1]));
+
+  const lower = ` ${text.toLowerCase()} `;
+  const assets = new Set(ASSET_FORMS
+    .filter(({ form }) => new RegExp(`(?<![a-z0-9])${escapeRegex(form)}(?![a-z0-9])`).test(lower))
+    .map(({ asset }) => asset));
+
+  // Adjacent name words are one person ("Gavin Newsom", "Kim Jong Un"); hyphens separate ("Trump-Kim")
+  const isName = (w) => w.length >= 3 && !TITLE_WORDS.has(w) && !COUNTRY_BY_FORM.has(w)
+    && MONTHS[w.toLowerCase()] === undefined && !ASSET_FORMS.some(({ form }) => form === w.toLowerCase());
+  const names = new Set();
+  for (const [run] of text.matchAll(/\b[A-Z][a-zA-Z']*(?: [A-Z][a-zA-Z']*)*/g)) {
+    let person = [];
+    for (const word of [...run.split(' '), '']) {
+      if (isName(word)) {
+        person.push(word.toLowerCase());
+      } else if (person.length > 0) {
+        names.add(person.join(' '));
+        person = [];
+      }
+    }
+  }
+
+  return { countries: [...countries], assets: [...assets], names: [...names] };
+}
+
+/**
+ * Parse free text (question plus outcome label) into the fields above.
+ */
+function parse(text, closeTime = null) {
+  const clean = (text || '').replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+  const event = EVENT_TYPES.find(([, regex]) => regex.test(clean))?.[0] || null;
+  const { deadline, rest } = parseDeadline(clean, closeTime);
+  return {
+    event,
+    ...parseEntities(clean),
+    deadline,
+    threshold: parseThreshold(rest),
+    negated: NEGATION.test(clean),
+  };
+}
+
+/**
+ * Normalized markets from one venue → contracts:
+ *   { id, venue, marketId, outcome, title, text, probability, volume, url, closeTime, parsed, tokens }
+ * `id` is `<venue>:<market>` for binary markets and `<venue>:<market>#<outcome>`
+ * for each outcome of a multi-outcome event.
+ */
+function contractsOf(venue, markets) {
+  const contracts = [];
+  const add = (contract) => {
+    if (contract.probability == null || !Number.isFinite(contract.probability)) return;
+    contracts.push({
+      ...contract,
+      parsed: parse(contract.text, contract.closeTime),
+      tokens: tokenize(contract.text),
+    });
+  };
+
+  for (const market of markets || []) {
+    if (!market || market.id == null) continue;
+    const marketId = predictionMarketId(venue, market.id);
+
+    if (venue === 'metaculus') {
+      if (market.type !== 'binary') continue;
+      add({
+        id: marketId, venue, marketId, outcome: null, title: market.title, text: market.title || '',
+        probability: market.communityPrediction, volume: market.numForecasters ?? null, url: market.url,
+        closeTime: market.resolveTime || market.closeTime || null,
+      });
+      continue;
+    }
+
+    const outcomes = (market.outcomes || []).filter(o => o && o.name && o.price != null);
+    const base = { venue, marketId, title: market.question, volume: market.volume ?? null, url: market.url };
+    if (outcomes.length === 2 && /^yes$/i.test(outcomes[0].name) && /^no$/i.test(outcomes[1].name)) {
+      add({
+        ...base, id: marketId, outcome: null, text: market.question || '',
+        probability: outcomes[0].price, closeTime: market.endDate || null,
+      });
+      continue;
+    }
+    for (const o of outcomes) {
+      const label = String(o.name);
+      add({
+        ...base,
+        id: `${marketId}#${label}`,
+        outcome: label,
+        text: o.question && o.question !== market.question ? `${market.question} — ${o.question}` : `${market.question} — ${label}`,
+        probability: o.price,
+        closeTime: o.closeTime || market.endDate || null,
+      });
+    }
+  }
+  return contracts;
+}
+
+/**
+ * A month, quarter or year deadline only matches the same period (March ≠
+ * April, Q1 ≠ Q2, 2025 ≠ 2026), or a day inside it. The 3/14-day tolerance
+ * only applies between day-precision or close-time deadlines.
+ */
+function compareDeadlines(a, b) {
+  if (!a || !b) return { ok: true, skipped: true, detail: 'no deadline on one side' };
+  const tolerance = a.source === 'close' || b.source === 'close' ? CLOSE_DEADLINE_TOLERANCE_MS : TEXT_DEADLINE_TOLERANCE_MS;
+  const days = (ms) => Math.round(Math.abs(ms) / DAY_MS);
+  const fmt = (d) => new Date(d.date).toISOString().slice(0, 10);
+  const isPeriod = (d) => d.precision !== 'day';
+
+  let ok;
+  if (isPeriod(a) && isPeriod(b)) {
+    ok = a.precision === b.precision && a.start === b.start;
+  } else if (isPeriod(a) || isPeriod(b)) {
+    const [period, day] = isPeriod(a) ? [a, b] : [b, a];
+    ok = period.by && day.by
+      ? Math.abs(period.date - day.date) <= tolerance
+      : period.start <= day.date && day.date <= period.date;
+  } else {
+    ok = a.by && b.by
+      ? Math.abs(a.date - b.date) <= tolerance
+      : a.start - tolerance <= b.date && b.start - tolerance <= a.date;
+  }
+  return {
+    ok,
+    detail: ok
+      ? `${fmt(a)} ≈ ${fmt(b)}`
+      : `${fmt(a)} vs ${fmt(b)} (${days(a.date - b.date)} days apart)`,
+  };
+}
+
+function compareThresholds(a, b, event) {
+  if (!a && !b) return { ok: true, skipped: true, inverted: false, detail: 'no threshold' };
+  if (!a || !b) {
+    return NUMERIC_EVENTS.has(event)
+      ? { ok: false, inverted: false, detail: 'threshold on one side only' }
+      : { ok: true, skipped: true, inverted: false, detail: 'threshold on one side only' };
+  }
+  const fmt = (t) => `${t.comparator} ${t.unit === '$' ? '$' : ''}${t.value}${t.high != null ? `–${t.high}` : ''}${t.unit === '%' ? '%' : ''}`;
+  const close = (x, y) => Math.abs(x - y) <= THRESHOLD_TOLERANCE * Math.max(Math.abs(x), Math.abs(y), 1e-9);
+
+  if ((a.unit && b.unit && a.unit !== b.unit) || !close(a.value, b.value)
+    || (a.comparator === 'between') !== (b.comparator === 'between')
+    || (a.high != null && b.high != null && !close(a.high, b.high))) {
+    return { ok: false, inverted: false, detail: `${fmt(a)} vs ${fmt(b)}` };
+  }
+  if (a.comparator === b.comparator) return { ok: true, inverted: false, detail: fmt(a) };
+  if (INVERSE_COMPARATOR[a.comparator] === b.comparator) {
+    return { ok: true, inverted: true, detail: `${fmt(a)} is the inverse of ${fmt(b)}` };
+  }
+  return { ok: false, inverted: false, detail: `${fmt(a)} vs ${fmt(b)}` };
+}
+
+/** The outcome label of a multi-outcome contract must appear on the other side. */
+function compareOutcome(a, b) {
+  const labelTokens = (contract) => tokenize(contract.outcome);
+  const checkSide = (side, other) => {
+    if (!side.outcome) return true;
+    const label = labelTokens(side);
+    return label.size === 0 || [...label].some(w => other.tokens.has(w));
+  };
+  if (!a.outcome && !b.outcome) return { ok: true, skipped: true, detail: 'both binary' };
+  const ok = checkSide(a, b) && checkSide(b, a);
+  return {
+    ok,
+    detail: ok
+      ? [a.outcome, b.outcome].filter(Boolean).join(' ≈ ')
+      : `outcome "${a.outcome || b.outcome}" not mentioned on the other side`,
+  };
+}
+
+/**
+ * `exact` requires both sides to name the same set ("US strike Iran" ≠
+ * "Israel strike Iran"); otherwise one shared entry is enough.
+ */
+function compareSets(name, a, b, { required = false, exact = false } = {}) {
+  if (a.length === 0 && b.length === 0) return { name, ok: true, skipped: true, detail: 'none' };
+  if (a.length === 0 || b.length === 0) {
+    return { name, ok: !required, skipped: !required, detail: `only one side names ${(a.length ? a : b).join(', ')}` };
+  }
+  const ok = exact
+    ? a.length === b.length && a.every(x => b.includes(x))
+    : overlaps(a, b);
+  return { name, ok, detail: ok ? a.filter(x => b.includes(x)).join(', ') : `${a.join(', ')} vs ${b.join(', ')}` };
+}
+
+/**
+ * Both sides must name the same people: every person on one side shares a
+ * name word with a person on the other ("Newsom" ≈ "Gavin Newsom"), so
+ * "Trump meet Putin" ≠ "Trump meet Zelensky" and "Macron" ≠ "Macron or Bayrou".
+ */
+function comparePeople(a, b) {
+  if (a.length === 0 || b.length === 0) return compareSets('names', a, b);
+  const words = (person) => person.split(' ');
+  const samePerson = (p, q) => overlaps(words(p), words(q));
+  const unmatched = [
+    ...a.filter(p => !b.some(q => samePerson(p, q))),
+    ...b.filter(q => !a.some(p => samePerson(p, q))),
+  ];
+  return {
+    name: 'names',
+    ok: unmatched.length === 0,
+    detail: unmatched.length === 0 ? a.join(', ') : `${a.join(', ')} vs ${b.join(', ')} (${unmatched.join(', ')} on one side only)`,
+  };
+}
+
+/**
+ * Compare two contracts → { ok, similarity, confidence, alignment, checks }.
+ * `alignment` is 'inverted' when a's YES corresponds to b's NO.
+ */
+function compare(a, b) {
+  const similarity = jaccard(a.tokens, b.tokens);
+  const pa = a.parsed;
+  const pb = b.parsed;
+
+  const checks = [];
+  checks.push({
+    name: 'event',
+    ok: pa.event === pb.event && (pa.event != null || similarity >= MIN_UNTYPED_SIMILARITY),
+    detail: pa.event === pb.event ? (pa.event || 'unclassified, high text similarity') : `${pa.event || 'unclassified'} vs ${pb.event || 'unclassified'}`,
+  });
+  checks.push(compareSets('countries', pa.countries, pb.countries, { exact: true }));
+  checks.push(compareSets('assets', pa.assets, pb.assets, { required: pa.event === 'price' }));
+  if (PERSON_EVENTS.has(pa.event) && pa.event === pb.event) {
+    checks.push(comparePeople(pa.names, pb.names));
+  }
+  checks.push({ name: 'outcome', ...compareOutcome(a, b) });
+  checks.push({ name: 'deadline', ...compareDeadlines(pa.deadline, pb.deadline) });
+  const threshold = compareThresholds(pa.threshold, pb.threshold, pa.event);
+  checks.push({ name: 'threshold', ok: threshold.ok, skipped: threshold.skipped, detail: threshold.detail });
+
+  const polarityFlipped = pa.negated !== pb.negated;
+  if (polarityFlipped) {
+    checks.push({ name: 'polarity', ok: true, detail: `${pa.negated ? a.venue : b.venue} asks the negative` });
+  }
+  const inverted = threshold.inverted !== polarityFlipped;
+
+  const ok = checks.every(c => c.ok);
+  const verified = checks.filter(c => c.ok && !c.skipped).length;
+  const confidence = ok ? Math.min(1, 0.3 + similarity * 0.4 + verified * 0.08) : 0;
+
+  return {
+    ok,
+    similarity: round3(similarity),
+    confidence: round3(confidence),
+    alignment: inverted ? 'inverted' : 'same',
+    checks: checks.map(({ name, ok: passed, skipped, detail }) => ({ name, ok: passed, ...(skipped ? { skipped } : {}), detail })),
+  };
+}
+
+/** Whether two contracts are worth a full comparison (cheap pre-filter). */
+function isCandidate(a, b) {
+  if (a.parsed.event !== b.parsed.event) return false;
+  const similarity = jaccard(a.tokens, b.tokens);
+  return a.parsed.event ? similarity >= MIN_SIMILARITY : similarity >= MIN_UNTYPED_SIMILARITY;
+}
+
+/** Compact parse result for API responses. */
+function describeParse(parsed) {
+  return {
+    event: parsed.event,
+    countries: parsed.countries,
+    assets: parsed.assets,
+    deadline: parsed.deadline
+      ? { date: new Date(parsed.deadline.date).toISOString().slice(0, 10), precision: parsed.deadline.precision, source: parsed.deadline.source }
+      : null,
+    threshold: parsed.threshold,
+    negated: parsed.negated,
+  };
+}
+
+export const marketMatchingService = {
+  parse,
+  contractsOf,
+  compare,
+  isCandidate,
+  describeParse,
+  similarity: (a, b) => round3(jaccard(a.tokens, b.tokens)),
+};
+
+export default marketMatchingService;
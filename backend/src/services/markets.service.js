@@ -6,6 +6,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const CACHE_TTL = 30; // 30 seconds — live ticking
 const FOREX_CACHE_TTL = 120; // 2 minutes (forex moves slower)
@@ -14,7 +15,7 @@ const FOREX_CACHE_TTL = 120; // 2 minutes (forex moves slower)
 async function fetchQuote(symbol) {
   try {
     const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=1d&range=1d`;
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)' },
     });
     if (!res.ok) return null;
@@ -579,6 +580,32 @@ const COUNTRY_CURRENCIES = {
 
 const MAJOR_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'CAD', 'CNY'];
 
+// Symbol → the country whose list it came from, built on first lookup.
+// 'EU' and '(ref)' entries are borrowed from another market, so they don't
+// count as the symbol's home.
+let symbolIndex = null;
+
+function buildSymbolIndex() {
+  const index = new Map();
+  const lists = [
+    ['stock', COUNTRY_TOP_STOCKS],
+    ['index', COUNTRY_INDICES],
+    ['credit', COUNTRY_CREDIT_ETFS],
+    ['bond', COUNTRY_BOND_YIELDS],
+    ['volatility', COUNTRY_VOLATILITY],
+  ];
+  for (const [kind, byCountry] of lists) {
+    for (const [country, defs] of Object.entries(byCountry)) {
+      if (country === 'EU') continue;
+      for (const def of defs) {
+        if (def.name.endsWith('(ref)') || index.has(def.symbol)) continue;
+        index.set(def.symbol, { symbol: def.symbol, name: def.name, country, kind });
+      }
+    }
+  }
+  return index;
+}
+
 class MarketsService {
   async getIndices(countryCode) {
     const code = countryCode.toUpperCase();
@@ -692,7 +719,7 @@ class MarketsService {
     if (targets.length === 0) return null;
 
     try {
-      const res = await fetch(
+      const res = await trackedFetch(
         `https://api.frankfurter.app/latest?from=${localCurrency}&to=${targets.join(',')}`
       );
       if (!res.ok) return null;
@@ -889,6 +916,31 @@ class MarketsService {
     return data;
   }
 
+  /**
+   * Which country's market lists a symbol appears in (top stocks, indices,
+   * credit ETFs, bond yields, volatility), without fetching a quote.
+   * @returns {{ symbol, name, country, kind } | null}
+   */
+  lookupSymbol(symbol) {
+    if (!symbolIndex) symbolIndex = buildSymbolIndex();
+    return symbolIndex.get(String(symbol).toUpperCase()) || null;
+  }
+
+  /**
+   * Countries that use a currency ('EUR' → every eurozone member).
+   * @returns {string[]}
+   */
+  currencyCountries(currency) {
+    const code = String(currency).toUpperCase();
+    return Object.entries(COUNTRY_CURRENCIES)
+      .filter(([country, cur]) => cur === code && country !== 'EU')
+      .map(([country]) => country);
+  }
+
+  isCurrency(code) {
+    return Object.values(COUNTRY_CURRENCIES).includes(String(code).toUpperCase());
+  }
+
   hasMarketData(countryCode) {
     const code = countryCode.toUpperCase();
     return !!(COUNTRY_INDICES[code] || COUNTRY_CURRENCIES[code]);
@@ -4,6 +4,8 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { predictionHistoryService } from './predictionHistory.service.js';
 
 const METACULUS_API = 'https://www.metaculus.com/api2';
 const CACHE_KEY = 'metaculus:combined';
@@ -28,7 +30,7 @@ async function fetchMetaculusQuestions(topic = '', limit = 20) {
     if (topic) params.set('search', topic);
 
     const url = `${METACULUS_API}/questions/?${params}`;
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       signal: AbortSignal.timeout(15000),
       headers: { 'Accept': 'application/json' },
     });
@@ -57,10 +59,11 @@ async function fetchMetaculusQuestions(topic = '', limit = 20) {
 }
 
 export const metaculusService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     // Fetch general geopolitical questions
     const results = await Promise.allSettled([
       fetchMetaculusQuestions('geopolitics war conflict', 15),
@@ -98,7 +101,7 @@ export const metaculusService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
+    predictionHistoryService.record('metaculus', allQuestions);
     return result;
   },
 
@@ -6,16 +6,16 @@
  * detects divergence across source countries, and builds a country-level sentiment map.
  *
  * Data source: GDELT Project (Global Database of Events, Language, and Tone)
- *   - ToneChart mode: tone over time for a given query
- *   - ArtList mode:   article listings with tone metadata
+ *   - TimelineTone mode: tone over time for a given query
+ *   - ArtList mode:      article listings with tone metadata
+ * All requests go through the shared GDELT client (gdelt.service.js).
  */
 
 import { cacheService } from './cache.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_TTL = 600; // 10 minutes
 
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
-
 // ─── Tracked geopolitical narratives ───────────────────────────────────────────
 
 const TRACKED_TOPICS = [
@@ -114,51 +114,37 @@ function determineMomentum(articles) {
 }
 
 /**
- * Build a GDELT API URL with the given parameters.
+ * Tone timeline for a query. Returns null on any error.
  */
-function buildGdeltUrl(params) {
-  const searchParams = new URLSearchParams(params);
-  return `${GDELT_BASE}?${searchParams.toString()}`;
+async function fetchToneTimeline(query, timespan, label) {
+  try {
+    return await gdeltClient.timelineTone(query, { timespan });
+  } catch (err) {
+    console.warn(`[Narrative] ${label} fetch error:`, err.message);
+    return null;
+  }
 }
 
 /**
- * Safely fetch JSON from a URL with a 12-second timeout.
- * Returns null on any error.
+ * Article list for a query. Returns null on any error.
  */
-async function safeFetchJson(url, label = 'GDELT') {
+async function fetchArticleList(query, { maxRecords, timespan, sort }, label) {
   try {
-    const res = await fetch(url, {
-      signal: AbortSignal.timeout(12000),
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Monitored/1.0 (narrative-tracker)',
-      },
-    });
-    if (!res.ok) {
-      console.warn(`[Narrative] ${label} responded ${res.status} for ${url.substring(0, 120)}`);
-      return null;
-    }
-    const text = await res.text();
-    if (!text || text.trim().length === 0) return null;
-    return JSON.parse(text);
+    return await gdeltClient.artList(query, { maxRecords, timespan, sort });
   } catch (err) {
-    if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-      console.warn(`[Narrative] ${label} request timed out`);
-    } else {
-      console.warn(`[Narrative] ${label} fetch error:`, err.message);
-    }
+    console.warn(`[Narrative] ${label} fetch error:`, err.message);
     return null;
   }
 }
 
 /**
- * Extract average tone from a GDELT ToneChart response.
- * ToneChart returns an array of { date, tone } objects (or similar structure).
+ * Extract average tone from a GDELT tone timeline.
+ * Accepts the client's [{ date, value }] points (or similar structures).
  */
 function extractAvgToneFromChart(chartData) {
   if (!chartData) return { avgTone: 0, toneHistory: [] };
 
-  // GDELT ToneChart may return data in various formats
+  // Tone data may come in various formats
   let entries = [];
   if (Array.isArray(chartData)) {
     entries = chartData;
@@ -233,7 +219,7 @@ class NarrativeService {
   // ─── 1. Fetch Narrative Tone ─────────────────────────────────────────────────
 
   /**
-   * Fetch tone over time for a given topic using GDELT ToneChart mode.
+   * Fetch tone over time for a given topic using GDELT TimelineTone mode.
    * Returns { avgTone, toneHistory: [{ date, tone, volume }] }
    */
   async fetchNarrativeTone(topic) {
@@ -241,16 +227,9 @@ class NarrativeService {
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
 
-    console.log(`[Narrative] Fetching tone chart for "${topic}"...`);
+    console.log(`[Narrative] Fetching tone timeline for "${topic}"...`);
 
-    const url = buildGdeltUrl({
-      query: topic,
-      mode: 'ToneChart',
-      timespan: '30d',
-      format: 'json',
-    });
-
-    const data = await safeFetchJson(url, `ToneChart(${topic})`);
+    const data = await fetchToneTimeline(topic, '30d', `TimelineTone(${topic})`);
     const result = extractAvgToneFromChart(data);
 
     await cacheService.set(cacheKey, result, CACHE_TTL);
@@ -274,26 +253,10 @@ class NarrativeService {
     const narrativePromises = TRACKED_TOPICS.map(async (topicDef) => {
       try {
         // Fetch articles for this topic from the last 7 days
-        const artUrl = buildGdeltUrl({
-          query: topicDef.query,
-          mode: 'ArtList',
-          maxrecords: '50',
-          timespan: '7d',
-          format: 'json',
-          sort: 'DateDesc',
-        });
-
-        // Fetch tone chart concurrently
-        const toneUrl = buildGdeltUrl({
-          query: topicDef.query,
-          mode: 'ToneChart',
-          timespan: '14d',
-          format: 'json',
-        });
-
+        // and the tone timeline alongside
         const [artData, toneData] = await Promise.all([
-          safeFetchJson(artUrl, `ArtList(${topicDef.query})`),
-          safeFetchJson(toneUrl, `ToneChart(${topicDef.query})`),
+          fetchArticleList(topicDef.query, { maxRecords: 50, timespan: '7d', sort: 'DateDesc' }, `ArtList(${topicDef.query})`),
+          fetchToneTimeline(topicDef.query, '14d', `TimelineTone(${topicDef.query})`),
         ]);
 
         const articles = extractArticles(artData);
@@ -389,26 +352,15 @@ class NarrativeService {
 
       const batchPromises = batch.map(async (country) => {
         try {
-          const url = buildGdeltUrl({
-            query: `sourcecountry:${country.code}`,
-            mode: 'ToneChart',
-            timespan: '7d',
-            format: 'json',
-          });
-
-          const data = await safeFetchJson(url, `CountryTone(${country.code})`);
+          const data = await fetchToneTimeline(`sourcecountry:${country.code}`, '7d', `CountryTone(${country.code})`);
           const { avgTone, toneHistory } = extractAvgToneFromChart(data);
 
           // Also fetch a small article sample for context
-          const artUrl = buildGdeltUrl({
-            query: `sourcecountry:${country.code}`,
-            mode: 'ArtList',
-            maxrecords: '10',
-            timespan: '7d',
-            format: 'json',
-            sort: 'ToneDesc',
-          });
-          const artData = await safeFetchJson(artUrl, `CountryArt(${country.code})`);
+          const artData = await fetchArticleList(
+            `sourcecountry:${country.code}`,
+            { maxRecords: 10, timespan: '7d', sort: 'ToneDesc' },
+            `CountryArt(${country.code})`
+          );
           const articles = extractArticles(artData);
 
           return {
@@ -476,26 +428,16 @@ class NarrativeService {
 
       const sourcePromises = DIVERGENCE_SOURCES.map(async (countryCode) => {
         try {
-          const url = buildGdeltUrl({
-            query: `${topicDef.query} sourcecountry:${countryCode}`,
-            mode: 'ToneChart',
-            timespan: '7d',
-            format: 'json',
-          });
-
-          const data = await safeFetchJson(url, `Divergence(${topicDef.query}/${countryCode})`);
+          const query = `${topicDef.query} sourcecountry:${countryCode}`;
+          const data = await fetchToneTimeline(query, '7d', `Divergence(${topicDef.query}/${countryCode})`);
           const { avgTone, toneHistory } = extractAvgToneFromChart(data);
 
           // Fetch a few articles for context
-          const artUrl = buildGdeltUrl({
-            query: `${topicDef.query} sourcecountry:${countryCode}`,
-            mode: 'ArtList',
-            maxrecords: '5',
-            timespan: '7d',
-            format: 'json',
-            sort: 'DateDesc',
-          });
-          const artData = await safeFetchJson(artUrl, `DivArt(${topicDef.query}/${countryCode})`);
+          const artData = await fetchArticleList(
+            query,
+            { maxRecords: 5, timespan: '7d', sort: 'DateDesc' },
+            `DivArt(${topicDef.query}/${countryCode})`
+          );
           const articles = extractArticles(artData);
 
           return {
@@ -5,6 +5,7 @@
 
 import config from '../config/index.js';
 import { cacheService } from './cache.service.js';
+import { sourceHealth, trackedFetch } from './sourceHealth.service.js';
 
 const CACHE_KEYS = {
   topHeadlines: 'news:headlines',
@@ -23,6 +24,7 @@ class NewsService {
   async fetchFromNewsApi(endpoint, params = {}) {
     if (!this.hasApiKey) {
       console.log('[News] No API key, using mock data');
+      sourceHealth.markFallback('newsapi', 'NEWS_API_KEY not set — serving mock articles');
       return this.getMockNews();
     }
 
@@ -31,7 +33,7 @@ class NewsService {
     Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
 
     try {
-      const response = await fetch(url.toString());
+      const response = await trackedFetch(url.toString());
       const data = await response.json();
 
       if (data.status === 'error') {
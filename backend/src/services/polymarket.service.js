@@ -5,6 +5,8 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
+import { predictionHistoryService } from './predictionHistory.service.js';
 
 const CACHE_KEY_PREFIX = 'polymarket:markets';
 const CACHE_TTL = 300; // 5 minutes
@@ -127,7 +129,7 @@ class PolymarketService {
     const timeout = setTimeout(() => controller.abort(), 15000);
 
     try {
-      const response = await fetch(url, {
+      const response = await trackedFetch(url, {
         headers: { 'Accept': 'application/json', 'User-Agent': 'MonitoringTheSituation/1.0' },
         signal: controller.signal,
       });
@@ -184,6 +186,8 @@ class PolymarketService {
             return {
               name: m.groupItemTitle || m.question || m.title || 'Unknown',
               price: yesPrice,
+              question: m.question || null,
+              closeTime: m.endDate || null,
             };
           });
         }
@@ -277,6 +281,7 @@ class PolymarketService {
         await cacheService.set(cacheKey, normalized, CACHE_TTL);
         this._memCache = normalized;
         this._memCacheTime = Date.now();
+        predictionHistoryService.record('polymarket', normalized);
       }
 
       return normalized;
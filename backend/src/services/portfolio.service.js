@@ -0,0 +1,398 @@
+/**
+ * Portfolio Exposure Service
+ * Maps a portfolio of stocks, ETFs and currencies to the countries and
+ * sectors it depends on, then scores it against country risk and the tension
+ * index: an exposure-weighted risk score, the countries driving it, the
+ * conflicts and flashpoints each position touches, and the recent alerts on
+ * those countries and hotspots.
+ *
+ * Each holding resolves through, in order:
+ *   reference — the `portfolioExposure` dataset's economic footprint
+ *               (revenue, production, critical supply), so NVDA counts
+ *               Taiwan through TSMC rather than only its US listing
+ *   markets   — the per-country lists in markets.service.js
+ *   currency  — 'TWD', 'USDJPY', 'EUR/USD', 'JPY=X'; the non-USD leg
+ *   exchange  — the listing suffix ('7203.T' → Japan)
+ *   listing   — a bare US-style ticker is taken as a US listing
+ * and is otherwise reported as unresolved. Anything a footprint leaves
+ * unassigned counts as unallocated, not as low risk.
+ *
+ * Portfolios are not stored; the frontend keeps them in localStorage.
+ */
+
+import { COUNTRIES } from 'monitored-shared/gazetteer';
+import { referenceDataService, parseCsv } from './referenceData.service.js';
+import { marketsService } from './markets.service.js';
+import { countryRiskService } from './countryRisk.service.js';
+import { tensionIndexService } from './tensionIndex.service.js';
+import { alertsService } from './alerts.service.js';
+
+const EXPOSURE_DATASET = 'portfolioExposure';
+const MAX_HOLDINGS = 500;
+const MAX_ALERTS = 25;
+const MAX_HOTSPOT_POSITIONS = 10;
+const US_TICKER = /^[A-Z]{1,5}([.-][A-Z])?$/;
+
+// Sector for holdings that resolve without a reference footprint
+const KIND_SECTORS = {
+  index: 'Broad market',
+  credit: 'Fixed income',
+  bond: 'Fixed income',
+  volatility: 'Volatility',
+  currency: 'Currency',
+};
+const UNCLASSIFIED = 'Unclassified';
+
+const COUNTRY_NAMES = Object.fromEntries(COUNTRIES.map(c => [c.code, c.name]));
+const round4 = (n) => Math.round(n * 10000) / 10000;
+const round1 = (n) => Math.round(n * 10) / 10;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export class PortfolioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PortfolioError';
+    this.status = status;
+  }
+}
+
+/** '$1,200' | '12.5%' | 3 → number, or null when empty */
+function toAmount(value) {
+  if (value == null || value === '') return null;
+  const n = Number(String(value).replace(/[$,%\s]/g, ''));
+  if (!Number.isFinite(n)) throw new PortfolioError(`"${value}" is not a number`);
+  return n;
+}
+
+/**
+ * CSV with a header row: symbol (or ticker) plus an optional weight or
+ * value (market_value) column.
+ */
+function holdingsFromCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header || lines.length === 0) throw new PortfolioError('CSV needs a header row and at least one holding');
+  const columns = header.map(h => h.trim().toLowerCase());
+  const symbolCol = columns.findIndex(c => c === 'symbol' || c === 'ticker');
+  if (symbolCol < 0) throw new PortfolioError('CSV is missing the "symbol" column');
+  const sizeCol = ['weight', 'value', 'market_value'].map(c => columns.indexOf(c)).find(i => i >= 0);
+  const sizeKey = sizeCol == null ? null : columns[sizeCol] === 'weight' ? 'weight' : 'value';
+
+  return lines.map(line => ({
+    symbol: line[symbolCol],
+    ...(sizeKey ? { [sizeKey]: line[sizeCol] } : {}),
+  }));
+}
+
+/**
+ * Normalize a JSON body or CSV text to [{ symbol, weight }] with weights
+ * summing to 1. Sizes may be weights or market values but not a mix; with
+ * neither, holdings are equal-weighted. Repeated symbols are merged.
+ */
+function normalizeHoldings(format, data) {
+  let rows;
+  if (format === 'csv') rows = holdingsFromCsv(String(data || ''));
+  else rows = Array.isArray(data) ? data : data?.holdings;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new PortfolioError('Provide holdings as [{ symbol, weight | value }] or a CSV with a symbol column');
+  }
+  if (rows.length > MAX_HOLDINGS) throw new PortfolioError(`At most ${MAX_HOLDINGS} holdings per portfolio`);
+
+  const merged = new Map();
+  let sized = 0;
+  for (const row of rows) {
+    const symbol = String((typeof row === 'string' ? row : row?.symbol) || '').trim().toUpperCase();
+    if (!symbol) throw new PortfolioError('Every holding needs a symbol');
+    const amount = typeof row === 'string' ? null : toAmount(row.weight ?? row.value);
+    if (amount != null) {
+      if (amount <= 0) throw new PortfolioError(`${symbol}: size must be positive (short positions are not supported)`);
+      sized++;
+    }
+    merged.set(symbol, (merged.get(symbol) ?? 0) + (amount ?? 0));
+  }
+  if (sized > 0 && sized < rows.length) {
+    throw new PortfolioError('Give every holding a weight or value, or leave them all blank for equal weights');
+  }
+
+  const total = sized > 0 ? [...merged.values()].reduce((s, v) => s + v, 0) : merged.size;
+  return [...merged.entries()].map(([symbol, amount]) => ({
+    symbol,
+    weight: sized > 0 ? amount / total : 1 / total,
+  }));
+}
+
+/**
+ * The currency codes in 'TWD', 'USDJPY', 'EUR/USD' or 'EURUSD=X', or null.
+ * Yahoo's 'JPY=X' (USD/JPY) reads as JPY.
+ */
+function parseCurrency(symbol) {
+  const code = symbol.replace(/=X$/, '').replace(/[/\s-]/g, '');
+  if (code.length === 3 && marketsService.isCurrency(code)) return [code];
+  if (code.length === 6) {
+    const legs = [code.slice(0, 3), code.slice(3)];
+    if (legs.every(c => marketsService.isCurrency(c))) return legs;
+  }
+  return null;
+}
+
+function currencyShares(currency, tables) {
+  if (tables.currencies?.[currency]) return { ...tables.currencies[currency] };
+  const countries = marketsService.currencyCountries(currency);
+  return Object.fromEntries(countries.map(c => [c, 1 / countries.length]));
+}
+
+/**
+ * Where one symbol's exposure lies.
+ * @returns {{ name, type, source, sector, sectors, countries, note? } | null}
+ */
+function resolveSymbol(symbol, tables) {
+  const security = tables.securities?.[symbol];
+  if (security) {
+    return {
+      name: security.name,
+      type: security.type,
+      source: 'reference',
+      sector: security.sector,
+      sectors: security.sectors || { [security.sector]: 1 },
+      countries: security.countries,
+      note: security.note,
+    };
+  }
+
+  const listed = marketsService.lookupSymbol(symbol);
+  if (listed) {
+    const sector = KIND_SECTORS[listed.kind] || UNCLASSIFIED;
+    return {
+      name: listed.name,
+      type: listed.kind,
+      source: 'markets',
+      sector,
+      sectors: { [sector]: 1 },
+      countries: { [listed.country]: 1 },
+    };
+  }
+
+  const legs = parseCurrency(symbol);
+  if (legs) {
+    // A pair is a position in its base currency unless that is the dollar
+    const currency = legs.length === 2 && legs[0] === 'USD' ? legs[1] : legs[0];
+    return {
+      name: legs.length === 2 ? `${legs[0]}/${legs[1]}` : currency,
+      type: 'currency',
+      source: 'currency',
+      sector: KIND_SECTORS.currency,
+      sectors: { [KIND_SECTORS.currency]: 1 },
+      countries: currencyShares(currency, tables),
+    };
+  }
+
+  const suffix = symbol.includes('.') ? symbol.slice(symbol.lastIndexOf('.') + 1) : null;
+  const exchangeCountry = suffix ? tables.exchanges?.[suffix] : null;
+  if (exchangeCountry || US_TICKER.test(symbol)) {
+    return {
+      name: symbol,
+      type: 'stock',
+      source: exchangeCountry ? 'exchange' : 'listing',
+      sector: UNCLASSIFIED,
+      sectors: { [UNCLASSIFIED]: 1 },
+      countries: { [exchangeCountry || 'US']: 1 },
+    };
+  }
+  return null;
+}
+
+/** Add one holding's country or sector shares, scaled by its weight, to a running total */
+function addShares(target, shares, weight, symbol) {
+  for (const [key, share] of Object.entries(shares)) {
+    if (!share) continue;
+    const entry = target.get(key) || { exposure: 0, positions: [] };
+    entry.exposure += weight * share;
+    entry.positions.push({ symbol, exposure: weight * share });
+    target.set(key, entry);
+  }
+}
+
+const levelFor = (levels, score) => levels.find(([, l]) => score >= l.min)?.[0] || 'low';
+
+class PortfolioService {
+  /**
+   * Exposure and risk report for a portfolio.
+   * @param {'json' | 'csv'} format
+   * @param {object | object[] | string} data - { holdings: [...] }, an array, or CSV text
+   */
+  async analyze(format, data) {
+    const holdings = normalizeHoldings(format, data);
+    const { version, tables } = referenceDataService.get(EXPOSURE_DATASET);
+
+    const [risk, tension] = await Promise.all([
+      countryRiskService.getCountryRiskScores().catch(() => null),
+      tensionIndexService.getGlobalTension().catch(() => null),
+    ]);
+    const riskByCode = new Map((risk?.scores || []).map(s => [s.code, s]));
+    const levels = Object.entries(countryRiskService.getModel().levels).sort((a, b) => b[1].min - a[1].min);
+
+    const countries = new Map();
+    const sectors = new Map();
+    const positions = [];
+    let unresolvedWeight = 0;
+    let unallocatedWeight = 0;
+
+    for (const { symbol, weight } of holdings) {
+      const resolved = resolveSymbol(symbol, tables);
+      if (!resolved) {
+        unresolvedWeight += weight;
+        positions.push({
+          symbol, name: null, type: null, weight: round4(weight), source: null,
+          sector: null, countries: {}, riskScore: null, note: null,
+        });
+        continue;
+      }
+
+      const allocated = Object.values(resolved.countries).reduce((s, v) => s + v, 0);
+      unallocatedWeight += weight * Math.max(0, 1 - allocated);
+      addShares(countries, resolved.countries, weight, symbol);
+      addShares(sectors, resolved.sectors, weight, symbol);
+
+      const scored = Object.entries(resolved.countries).filter(([code]) => riskByCode.has(code));
+      const scoredShare = scored.reduce((s, [, share]) => s + share, 0);
+      const score = scoredShare > 0
+        ? scored.reduce((s, [code, share]) => s + riskByCode.get(code).score * share, 0) / scoredShare
+        : null;
+
+      positions.push({
+        symbol,
+        name: resolved.name,
+        type: resolved.type,
+        weight: round4(weight),
+        source: resolved.source,
+        sector: resolved.sector,
+        countries: resolved.countries,
+        riskScore: score == null ? null : round1(score),
+        note: resolved.note || null,
+      });
+    }
+
+    // ── Aggregate risk: exposure-weighted over countries with a score ──
+    let scoredExposure = 0;
+    let weightedScore = 0;
+    for (const [code, entry] of countries) {
+      const countryRisk = riskByCode.get(code);
+      if (!countryRisk) continue;
+      scoredExposure += entry.exposure;
+      weightedScore += entry.exposure * countryRisk.score;
+    }
+    const score = scoredExposure > 0 ? weightedScore / scoredExposure : null;
+
+    const countryRows = [...countries.entries()].map(([code, entry]) => {
+      const countryRisk = riskByCode.get(code);
+      const contribution = countryRisk && scoredExposure > 0 ? entry.exposure * countryRisk.score / scoredExposure : 0;
+      return {
+        code,
+        name: COUNTRY_NAMES[code] || code,
+        exposure: round4(entry.exposure),
+        score: countryRisk?.score ?? null,
+        level: countryRisk?.level ?? null,
+        // Points of the portfolio score this country accounts for
+        contribution: round1(contribution),
+        positions: entry.positions
+          .sort((a, b) => b.exposure - a.exposure)
+          .map(p => ({ symbol: p.symbol, exposure: round4(p.exposure) })),
+      };
+    }).sort((a, b) => b.contribution - a.contribution || b.exposure - a.exposure);
+
+    const sectorRows = [...sectors.entries()]
+      .map(([sector, entry]) => ({ sector, exposure: round4(entry.exposure) }))
+      .sort((a, b) => b.exposure - a.exposure);
+
+    const hotspots = this.hotspotExposure(tension, countries, positions);
+    const alerts = this.relatedAlerts(countryRows, hotspots);
+
+    return {
+      score: score == null ? null : round1(score),
+      level: score == null ? null : levelFor(levels, score),
+      // Countries contributing the most points to the score
+      drivers: countryRows.filter(c => c.contribution > 0).slice(0, 5).map(c => c.code),
+      countries: countryRows,
+      sectors: sectorRows,
+      hotspots,
+      alerts,
+      positions: positions.sort((a, b) => b.weight - a.weight),
+      coverage: {
+        holdings: holdings.length,
+        resolved: holdings.length - positions.filter(p => !p.source).length,
+        unresolvedWeight: round4(unresolvedWeight),
+        unallocatedWeight: round4(unallocatedWeight),
+        approximateWeight: round4(positions.filter(p => p.source === 'listing' || p.source === 'exchange')
+          .reduce((s, p) => s + p.weight, 0)),
+      },
+      riskModel: risk?.model ?? null,
+      exposureVersion: version,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Conflicts and flashpoints whose countries the portfolio is exposed to,
+   * with the positions that carry that exposure. Sorted by exposure × level.
+   */
+  hotspotExposure(tension, countries, positions) {
+    if (!tension) return [];
+    const hotspots = [
+      ...(tension.activeConflicts || []).map(c => ({ ...c, kind: 'conflict', level: c.intensity })),
+      ...(tension.flashpoints || []).map(f => ({ ...f, kind: 'flashpoint', level: f.tension })),
+    ];
+
+    return hotspots.map(hotspot => {
+      const codes = hotspot.countries || [];
+      const exposure = codes.reduce((s, code) => s + (countries.get(code)?.exposure || 0), 0);
+      if (exposure <= 0) return null;
+
+      const touched = positions
+        .map(p => {
+          const byCountry = Object.fromEntries(codes.filter(code => p.countries[code]).map(code => [code, p.countries[code]]));
+          const share = Object.values(byCountry).reduce((s, v) => s + v, 0);
+          return share > 0 ? { symbol: p.symbol, name: p.name, share: round4(share), exposure: round4(share * p.weight), countries: byCountry } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.exposure - a.exposure);
+
+      return {
+        id: hotspot.id,
+        name: hotspot.name,
+        kind: hotspot.kind,
+        level: hotspot.level,
+        escalationRisk: hotspot.escalationRisk,
+        countries: codes,
+        exposure: round4(exposure),
+        positionCount: touched.length,
+        positions: touched.slice(0, MAX_HOTSPOT_POSITIONS),
+      };
+    })
+      .filter(Boolean)
+      .sort((a, b) => b.exposure * b.level - a.exposure * a.level);
+  }
+
+  /**
+   * Recent alerts on an exposed country (risk rules) or a touched hotspot
+   * (tension rules), or whose message names an exposed country.
+   */
+  relatedAlerts(countryRows, hotspots) {
+    const countryNames = new Map(countryRows.map(c => [c.name.toLowerCase(), c.code]));
+    const namePatterns = [...countryNames.keys()].map(name => [name, new RegExp(`\\b${escapeRegExp(name)}\\b`)]);
+    const hotspotIds = new Set(hotspots.map(h => h.id.toLowerCase()));
+
+    return alertsService.getRecentAlerts(200)
+      .map(alert => {
+        const entity = String(alert.entity || '').toLowerCase();
+        if (alert.dataset === 'risk' && countryNames.has(entity)) return { ...alert, matched: countryNames.get(entity) };
+        if (alert.dataset === 'tension' && hotspotIds.has(entity)) return { ...alert, matched: entity };
+        const message = String(alert.message || '').toLowerCase();
+        const named = namePatterns.find(([, pattern]) => pattern.test(message));
+        return named ? { ...alert, matched: countryNames.get(named[0]) } : null;
+      })
+      .filter(Boolean)
+      .slice(0, MAX_ALERTS);
+  }
+}
+
+export const portfolioService = new PortfolioService();
+export default portfolioService;
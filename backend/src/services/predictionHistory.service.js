@@ -0,0 +1,481 @@
+/**
+ * Prediction Market History Service
+ * Records the probability and volume of every Polymarket, Kalshi and
+ * Metaculus market each time its service refreshes, so panels can draw how
+ * a market moved and /api/predictions/movers can rank the biggest swings.
+ *
+ * Market ids are `<venue>:<venue id>` (e.g. `polymarket:12345`,
+ * `kalshi:KXUKRCEASEFIRE`, `metaculus:8542`). A binary market is one series
+ * (the YES price); a multi-outcome event is one series per outcome. For
+ * Metaculus the probability is the community median and volume is the
+ * number of forecasters.
+ *
+ * Rows are written to PostgreSQL (prediction_prices) when a value changes,
+ * plus an hourly heartbeat so flat markets still have points. The last
+ * 7 days are also kept in memory at 15-minute resolution; movers and
+ * sparklines read from memory, longer history from PostgreSQL. Without
+ * PostgreSQL only the in-memory 7 days exist.
+ */
+
+import config from '../config/index.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS prediction_markets (
+    market_id VARCHAR(160) PRIMARY KEY,
+    venue VARCHAR(16) NOT NULL,
+    title TEXT NOT NULL,
+    url TEXT,
+    last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS prediction_prices (
+    market_id VARCHAR(160) NOT NULL,
+    outcome VARCHAR(200) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    probability DOUBLE PRECISION NOT NULL,
+    volume DOUBLE PRECISION,
+    PRIMARY KEY (market_id, outcome, recorded_at)
+  );
+  CREATE INDEX IF NOT EXISTS idx_prediction_prices_time ON prediction_prices (recorded_at);
+`;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+export const PREDICTION_VENUES = ['polymarket', 'kalshi', 'metaculus'];
+export const MOVER_WINDOWS = { '1h': HOUR_MS, '24h': DAY_MS, '7d': 7 * DAY_MS };
+
+/** Stable market id across venues, e.g. `kalshi:FED-25DEC` (Kalshi's `kalshi-` prefix dropped). */
+export const predictionMarketId = (venue, id) => (
+  `${venue}:${venue === 'kalshi' ? String(id).replace(/^kalshi-/, '') : id}`
+);
+
+const MEMORY_MS = 7 * DAY_MS + HOUR_MS;   // longest mover window plus slack
+const MEMORY_STEP_MS = 15 * MINUTE_MS;
+const HEARTBEAT_MS = HOUR_MS;
+const MIN_RECORD_INTERVAL_MS = MINUTE_MS;  // per venue; guards against cache-miss storms
+const STALE_MS = 3 * HOUR_MS;             // movers only rank markets still being quoted
+const MAX_OUTCOMES = 6;
+const MAX_HISTORY_POINTS = 500;
+const DEFAULT_SPARKLINE_POINTS = 48;
+const MAX_SPARKLINE_IDS = 100;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const seriesKey = (marketId, outcome) => `${marketId}\u0000${outcome}`;
+const isYesNo = (outcomes) => outcomes.length === 2
+  && /^yes$/i.test(outcomes[0].name) && /^no$/i.test(outcomes[1].name);
+
+function toProbability(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  if (!Number.isFinite(n)) return null;
+  return Math.round(Math.min(Math.max(n, 0), 1) * 10000) / 10000;
+}
+
+/** A normalized market from one venue's service → { id, title, url, volume, series }. */
+function describeMarket(venue, market) {
+  if (!market || market.id == null) return null;
+
+  if (venue === 'metaculus') {
+    const probability = market.type === 'binary' ? toProbability(market.communityPrediction) : null;
+    if (probability == null) return null;
+    return {
+      id: predictionMarketId(venue, market.id),
+      title: market.title || 'Untitled question',
+      url: market.url || null,
+      volume: market.numForecasters ?? null,
+      series: [{ outcome: 'Yes', probability }],
+    };
+  }
+
+  const outcomes = (market.outcomes || [])
+    .filter(o => o && typeof o === 'object' && o.name)
+    .map(o => ({ name: String(o.name).slice(0, 200), probability: toProbability(o.price) }))
+    .filter(o => o.probability != null);
+  if (outcomes.length === 0) return null;
+
+  return {
+    id: predictionMarketId(venue, market.id),
+    title: market.question || 'Untitled market',
+    url: market.url || null,
+    volume: Number.isFinite(market.volume) ? market.volume : null,
+    series: isYesNo(outcomes)
+      ? [{ outcome: 'Yes', probability: outcomes[0].probability }]
+      : outcomes.slice(0, MAX_OUTCOMES).map(o => ({ outcome: o.name, probability: o.probability })),
+  };
+}
+
+/** Index of the last point at or before `t` (-1 if none). */
+function indexAtOrBefore(times, t) {
+  let lo = 0;
+  let hi = times.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+class PredictionHistoryService {
+  constructor() {
+    this.isConnected = false;
+    this.markets = new Map();       // marketId → { venue, title, url, lastSeen }
+    this.series = new Map();        // seriesKey → { marketId, outcome, t: [], p: [], v: [] }
+    this.lastWritten = new Map();   // seriesKey → { t, p, v } of the last database row
+    this.lastRecorded = new Map();  // venue → ms
+  }
+
+  async connect() {
+    if (!config.history.enabled) {
+      console.log('[Predictions] History disabled via HISTORY_ENABLED=false - keeping 7 days in memory');
+      return false;
+    }
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[Predictions] PostgreSQL unavailable - history kept in memory only');
+      return false;
+    }
+    try {
+      const since = new Date(Date.now() - MEMORY_MS);
+      const { rows: markets } = await db.query(
+        'SELECT market_id, venue, title, url, last_seen_at FROM prediction_markets WHERE last_seen_at >= $1',
+        [since]
+      );
+      for (const row of markets) {
+        this.markets.set(row.market_id, {
+          venue: row.venue, title: row.title, url: row.url, lastSeen: row.last_seen_at.getTime(),
+        });
+      }
+
+      // One row per series per 15-minute bucket is all the in-memory window keeps
+      const { rows } = await db.query(
+        `SELECT DISTINCT ON (market_id, outcome, floor(extract(epoch FROM recorded_at) / $2))
+           market_id, outcome, recorded_at, probability, volume
+         FROM prediction_prices WHERE recorded_at >= $1
+         ORDER BY market_id, outcome, floor(extract(epoch FROM recorded_at) / $2), recorded_at DESC`,
+        [since, MEMORY_STEP_MS / 1000]
+      );
+      for (const row of rows) {
+        const key = seriesKey(row.market_id, row.outcome);
+        const point = { t: row.recorded_at.getTime(), p: row.probability, v: row.volume };
+        this.remember(key, row.market_id, row.outcome, point);
+        this.lastWritten.set(key, point);
+      }
+
+      this.isConnected = true;
+      console.log(`[Predictions] Loaded ${this.series.size} series (${rows.length} points) from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[Predictions] Failed to load price history:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record one refresh of a venue's markets. Called by the venue services
+   * whenever they fetch fresh data; safe to call without awaiting.
+   * @param {'polymarket'|'kalshi'|'metaculus'} venue
+   * @param {Object[]} markets - the service's normalized markets / questions
+   * @returns {Promise<number>} series points recorded
+   */
+  async record(venue, markets, at = Date.now()) {
+    if (!Array.isArray(markets) || markets.length === 0) return 0;
+    const last = this.lastRecorded.get(venue);
+    if (last && at - last < MIN_RECORD_INTERVAL_MS) return 0;
+    this.lastRecorded.set(venue, at);
+
+    const rows = [];
+    const seen = [];
+    for (const market of markets) {
+      const entry = describeMarket(venue, market);
+      if (!entry || this.markets.get(entry.id)?.lastSeen === at) continue;
+      this.markets.set(entry.id, { venue, title: entry.title, url: entry.url, lastSeen: at });
+      seen.push(entry);
+
+      for (const { outcome, probability } of entry.series) {
+        const key = seriesKey(entry.id, outcome);
+        const point = { t: at, p: probability, v: entry.volume };
+        this.remember(key, entry.id, outcome, point);
+
+        const written = this.lastWritten.get(key);
+        if (!written || written.p !== point.p || written.v !== point.v || at - written.t >= HEARTBEAT_MS) {
+          rows.push({ marketId: entry.id, outcome, ...point });
+          this.lastWritten.set(key, point);
+        }
+      }
+    }
+
+    await this.persist(venue, seen, rows, at);
+    return seen.reduce((sum, entry) => sum + entry.series.length, 0);
+  }
+
+  /**
+   * Append a point to the in-memory series. The newest point is provisional:
+   * it is overwritten until it is MEMORY_STEP_MS past the one before it, so
+   * the series keeps one point per step while always ending at the latest value.
+   */
+  remember(key, marketId, outcome, point) {
+    let series = this.series.get(key);
+    if (!series) {
+      series = { marketId, outcome, t: [], p: [], v: [] };
+      this.series.set(key, series);
+    }
+    const n = series.t.length;
+    if (n > 0 && point.t <= series.t[n - 1]) return;
+    if (n >= 2 && series.t[n - 1] - series.t[n - 2] < MEMORY_STEP_MS) {
+      series.t[n - 1] = point.t;
+      series.p[n - 1] = point.p;
+      series.v[n - 1] = point.v;
+    } else {
+      series.t.push(point.t);
+      series.p.push(point.p);
+      series.v.push(point.v);
+    }
+    const cutoff = point.t - MEMORY_MS;
+    let drop = 0;
+    while (drop < series.t.length - 1 && series.t[drop] < cutoff) drop++;
+    if (drop > 0) {
+      series.t.splice(0, drop);
+      series.p.splice(0, drop);
+      series.v.splice(0, drop);
+    }
+  }
+
+  async persist(venue, markets, rows, at) {
+    if (!this.isConnected || markets.length === 0) return;
+    try {
+      await db.query(
+        `INSERT INTO prediction_markets (market_id, venue, title, url, last_seen_at)
+         SELECT id, $2, title, url, $5 FROM UNNEST($1::text[], $3::text[], $4::text[]) AS m(id, title, url)
+         ON CONFLICT (market_id) DO UPDATE SET
+           title = EXCLUDED.title, url = EXCLUDED.url, last_seen_at = EXCLUDED.last_seen_at`,
+        [markets.map(m => m.id), venue, markets.map(m => m.title), markets.map(m => m.url), new Date(at)]
+      );
+      if (rows.length === 0) return;
+      await db.query(
+        `INSERT INTO prediction_prices (market_id, outcome, recorded_at, probability, volume)
+         SELECT id, outcome, $3, p, v FROM UNNEST($1::text[], $2::text[], $4::float8[], $5::float8[]) AS r(id, outcome, p, v)
+         ON CONFLICT DO NOTHING`,
+        [rows.map(r => r.marketId), rows.map(r => r.outcome), new Date(at), rows.map(r => r.p), rows.map(r => r.v)]
+      );
+    } catch (error) {
+      console.error(`[Predictions] Persist error (${venue}):`, error.message);
+    }
+  }
+
+  seriesFor(marketId) {
+    return [...this.series.values()].filter(s => s.marketId === marketId);
+  }
+
+  async lookupMarket(marketId) {
+    const known = this.markets.get(marketId);
+    if (known || !this.isConnected) return known || null;
+    try {
+      const { rows } = await db.query(
+        'SELECT venue, title, url, last_seen_at FROM prediction_markets WHERE market_id = $1',
+        [marketId]
+      );
+      return rows[0]
+        ? { venue: rows[0].venue, title: rows[0].title, url: rows[0].url, lastSeen: rows[0].last_seen_at.getTime() }
+        : null;
+    } catch (error) {
+      console.error('[Predictions] Lookup error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Probability/volume history for one market, oldest first, one entry per
+   * outcome. Ranges inside the in-memory window are served from memory;
+   * longer ones from PostgreSQL, downsampled to at most 500 points.
+   * @param {string} marketId - `<venue>:<id>`
+   * @param {{ from?: Date, to?: Date, outcome?: string }} options - defaults to the last 7 days
+   * @returns {Promise<Object|null>} null for a market never recorded
+   */
+  async getHistory(marketId, { from = null, to = null, outcome = null } = {}) {
+    const market = await this.lookupMarket(marketId);
+    if (!market) return null;
+
+    const now = Date.now();
+    const toMs = to ? to.getTime() : now;
+    const fromMs = from ? from.getTime() : toMs - 7 * DAY_MS;
+
+    const fromDatabase = this.isConnected && fromMs < now - MEMORY_MS + HOUR_MS;
+    let outcomes;
+    if (fromDatabase) {
+      const bucketSeconds = Math.max(60, Math.ceil((toMs - fromMs) / MAX_HISTORY_POINTS / 1000));
+      const { rows } = await db.query(
+        `SELECT DISTINCT ON (outcome, floor(extract(epoch FROM recorded_at) / $4))
+           outcome, recorded_at, probability, volume
+         FROM prediction_prices
+         WHERE market_id = $1 AND recorded_at >= $2 AND recorded_at <= $3
+           AND ($5::text IS NULL OR outcome = $5)
+         ORDER BY outcome, floor(extract(epoch FROM recorded_at) / $4), recorded_at DESC`,
+        [marketId, new Date(fromMs), new Date(toMs), bucketSeconds, outcome]
+      );
+      const byOutcome = new Map();
+      for (const row of rows) {
+        if (!byOutcome.has(row.outcome)) byOutcome.set(row.outcome, []);
+        byOutcome.get(row.outcome).push({
+          recordedAt: row.recorded_at.toISOString(), probability: row.probability, volume: row.volume,
+        });
+      }
+      outcomes = [...byOutcome].map(([name, points]) => ({ outcome: name, points }));
+    } else {
+      outcomes = this.seriesFor(marketId)
+        .filter(s => !outcome || s.outcome === outcome)
+        .map(s => {
+          const points = [];
+          for (let i = 0; i < s.t.length; i++) {
+            if (s.t[i] < fromMs || s.t[i] > toMs) continue;
+            points.push({ recordedAt: new Date(s.t[i]).toISOString(), probability: s.p[i], volume: s.v[i] });
+          }
+          return { outcome: s.outcome, points };
+        });
+    }
+
+    outcomes = outcomes
+      .filter(o => o.points.length > 0)
+      .map(o => ({ ...o, probability: o.points[o.points.length - 1].probability }))
+      .sort((a, b) => (a.outcome === 'Yes' ? -1 : b.outcome === 'Yes' ? 1 : b.probability - a.probability));
+
+    return {
+      marketId,
+      venue: market.venue,
+      title: market.title,
+      url: market.url,
+      lastSeen: new Date(market.lastSeen).toISOString(),
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      source: fromDatabase ? 'database' : 'memory',
+      outcomes,
+    };
+  }
+
+  /**
+   * Biggest probability swings per window across all venues. Each market
+   * appears once per window (its biggest-moving outcome); changes are in
+   * percentage points. Markets not quoted in the last 3 hours are skipped.
+   * @param {{ windows?: string[], venue?: string, limit?: number, minChange?: number }} options
+   */
+  getMovers({ windows = Object.keys(MOVER_WINDOWS), venue = null, limit = 20, minChange = 1 } = {}) {
+    const now = Date.now();
+    const result = {};
+
+    for (const window of windows) {
+      const cutoff = now - MOVER_WINDOWS[window];
+      const best = new Map();
+      for (const s of this.series.values()) {
+        const market = this.markets.get(s.marketId);
+        if (!market || (venue && market.venue !== venue)) continue;
+        const last = s.t.length - 1;
+        if (last < 1 || s.t[last] < now - STALE_MS) continue;
+        const ref = indexAtOrBefore(s.t, cutoff);
+        if (ref < 0) continue;
+
+        const change = round1((s.p[last] - s.p[ref]) * 100);
+        if (Math.abs(change) < minChange) continue;
+        const current = best.get(s.marketId);
+        if (current && Math.abs(current.change) >= Math.abs(change)) continue;
+        best.set(s.marketId, {
+          marketId: s.marketId,
+          venue: market.venue,
+          title: market.title,
+          url: market.url,
+          outcome: s.outcome,
+          probability: s.p[last],
+          previous: s.p[ref],
+          change,
+          since: new Date(s.t[ref]).toISOString(),
+          volume: s.v[last],
+          volumeChange: s.v[last] != null && s.v[ref] != null ? s.v[last] - s.v[ref] : null,
+        });
+      }
+      result[window] = [...best.values()]
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || (b.volume || 0) - (a.volume || 0))
+        .slice(0, limit);
+    }
+
+    return { windows: result, ...this.getStatus() };
+  }
+
+  /**
+   * Compact series for list views: for each market id, its YES series (or
+   * leading outcome) over the window, resampled to at most `points` values.
+   * Unknown ids are omitted.
+   */
+  getSparklines(ids, { window = '7d', points = DEFAULT_SPARKLINE_POINTS } = {}) {
+    const cutoff = Date.now() - (MOVER_WINDOWS[window] || MOVER_WINDOWS['7d']);
+    const result = {};
+
+    for (const id of ids.slice(0, MAX_SPARKLINE_IDS)) {
+      const candidates = this.seriesFor(id).filter(s => s.t.length > 0);
+      if (candidates.length === 0) continue;
+      const series = candidates.find(s => s.outcome === 'Yes')
+        || candidates.reduce((a, b) => (b.p[b.p.length - 1] > a.p[a.p.length - 1] ? b : a));
+
+      const start = Math.max(0, indexAtOrBefore(series.t, cutoff));
+      const values = series.p.slice(start);
+      const stride = values.length / points;
+      const sampled = values.length <= points
+        ? values
+        : Array.from({ length: points }, (_, i) => values[Math.min(values.length - 1, Math.round((i + 1) * stride) - 1)]);
+      result[id] = {
+        outcome: series.outcome,
+        values: sampled,
+        change: round1((values[values.length - 1] - values[0]) * 100),
+        since: new Date(series.t[start]).toISOString(),
+      };
+    }
+    return result;
+  }
+
+  getStatus() {
+    return {
+      persistent: this.isConnected,
+      marketsTracked: this.markets.size,
+      seriesTracked: this.series.size,
+      lastRecorded: Object.fromEntries(
+        [...this.lastRecorded].map(([venue, at]) => [venue, new Date(at).toISOString()])
+      ),
+    };
+  }
+
+  /**
+   * Drop in-memory series for markets no longer quoted and delete database
+   * rows past the history retention window.
+   */
+  async prune() {
+    const cutoff = Date.now() - MEMORY_MS;
+    for (const [key, s] of this.series) {
+      if (s.t[s.t.length - 1] < cutoff) {
+        this.series.delete(key);
+        this.lastWritten.delete(key);
+      }
+    }
+    for (const [id, market] of this.markets) {
+      if (market.lastSeen < cutoff) this.markets.delete(id);
+    }
+
+    if (!this.isConnected) return 0;
+    try {
+      const { rowCount } = await db.query(
+        `DELETE FROM prediction_prices WHERE recorded_at < NOW() - ($1 || ' days')::interval`,
+        [String(config.history.retentionDays)]
+      );
+      await db.query(
+        `DELETE FROM prediction_markets WHERE last_seen_at < NOW() - ($1 || ' days')::interval`,
+        [String(config.history.retentionDays)]
+      );
+      if (rowCount > 0) console.log(`[Predictions] Pruned ${rowCount} price points`);
+      return rowCount;
+    } catch (error) {
+      console.error('[Predictions] Prune error:', error.message);
+      return 0;
+    }
+  }
+
+}
+
+export const predictionHistoryService = new PredictionHistoryService();
+export default predictionHistoryService;
@@ -0,0 +1,596 @@
+/**
+ * Reference Data Store
+ * Versioned, editable copies of the hand-curated datasets the dashboard
+ * used to bundle into the frontend (election races and ratings, tariff
+ * rates, leader approval history, economic baselines, SCOTUS docket), the
+ * country risk model spec and the prediction market matching rules. The
+ * frontend fetches them at runtime, so a rating change is an API call rather
+ * than a redeploy.
+ *
+ * A dataset is a set of tables, each a map of key -> record:
+ *   { name, version, updatedAt, tables: { senateRaces: { Georgia: {...} }, meta: {...} } }
+ *
+ * Every edit bumps the version and appends a history entry that records the
+ * before/after of each touched record, which is also what `revert` replays.
+ *
+ * Seeds live in config/reference/*.js and are only used the first time a
+ * dataset is stored; after that PostgreSQL (reference_datasets /
+ * reference_changes) is the source of truth. Without PostgreSQL the seeds
+ * are served and edits last until restart.
+ */
+
+import electionsSeed from '../config/reference/elections.js';
+import tariffsSeed from '../config/reference/tariffs.js';
+import leadersSeed from '../config/reference/leaders.js';
+import economicSeed from '../config/reference/economic.js';
+import scotusSeed from '../config/reference/scotus.js';
+import riskModelSeed from '../config/reference/riskModel.js';
+import marketMatchingSeed from '../config/reference/marketMatching.js';
+import portfolioExposureSeed from '../config/reference/portfolioExposure.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS reference_datasets (
+    name VARCHAR(32) PRIMARY KEY,
+    version INTEGER NOT NULL,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS reference_changes (
+    id BIGSERIAL PRIMARY KEY,
+    dataset VARCHAR(32) NOT NULL,
+    version INTEGER NOT NULL,
+    author VARCHAR(120),
+    note TEXT,
+    changes JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_reference_changes_dataset
+  ON reference_changes(dataset, version DESC);
+`;
+
+const MAX_CHANGES_PER_EDIT = 5000;
+const MAX_KEY_LENGTH = 200;
+const MEMORY_HISTORY_LIMIT = 200;
+const RATINGS = ['safe-d', 'likely-d', 'lean-d', 'toss-up', 'lean-r', 'likely-r', 'safe-r'];
+const FEE_BASES = ['notional', 'variance'];
+const CONTRACT_ID = /^(polymarket|kalshi|metaculus):[^\s#]+(#.+)?$/;
+const SECURITY_TYPES = ['stock', 'etf'];
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+export class ReferenceDataError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReferenceDataError';
+    this.status = status;
+  }
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function validateRace(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('race records must be objects');
+  if (record.rating !== undefined && !RATINGS.includes(record.rating)) {
+    throw new ReferenceDataError(`rating must be one of: ${RATINGS.join(', ')}`);
+  }
+}
+
+function validateTariff(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('tariff records must be objects');
+  const rates = [record.universal, ...Object.values(record.goods || {})];
+  if (rates.some(r => r !== undefined && (typeof r !== 'number' || r < 0 || r > 1000))) {
+    throw new ReferenceDataError('tariff rates must be numbers between 0 and 1000');
+  }
+}
+
+const isScore = (v) => typeof v === 'number' && v >= 0 && v <= 100;
+
+function validateRiskFactor(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('factor records must be objects');
+  if (typeof record.weight !== 'number' || record.weight < 0 || record.weight > 5) {
+    throw new ReferenceDataError('factor weight must be a number between 0 and 5');
+  }
+  if (!isScore(record.cap)) throw new ReferenceDataError('factor cap must be a number between 0 and 100');
+}
+
+function validateRiskBaseline(record) {
+  if (!isPlainObject(record) || !isScore(record.score)) {
+    throw new ReferenceDataError('baseline records need a score between 0 and 100');
+  }
+}
+
+function validateRiskLevel(record) {
+  if (!isPlainObject(record) || !isScore(record.min)) {
+    throw new ReferenceDataError('level records need a min between 0 and 100');
+  }
+}
+
+function validateRiskCountry(record) {
+  if (!isPlainObject(record) || typeof record.category !== 'string' || !record.category) {
+    throw new ReferenceDataError('country records need a category (a key of the baselines table)');
+  }
+}
+
+function validateMatchFee(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('fee records must be objects');
+  if (typeof record.rate !== 'number' || record.rate < 0 || record.rate > 0.5) {
+    throw new ReferenceDataError('fee rate must be a number between 0 and 0.5');
+  }
+  if (!FEE_BASES.includes(record.basis)) {
+    throw new ReferenceDataError(`fee basis must be one of: ${FEE_BASES.join(', ')}`);
+  }
+}
+
+const isContractId = (value, venue) => typeof value === 'string' && CONTRACT_ID.test(value)
+  && (!venue || value.startsWith(`${venue}:`));
+
+function validateMatchPin(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('pin records must be objects');
+  if (!isContractId(record.polymarket, 'polymarket') || !isContractId(record.kalshi, 'kalshi')) {
+    throw new ReferenceDataError('pins need polymarket and kalshi contract ids (<venue>:<id> or <venue>:<id>#<outcome>)');
+  }
+  if (record.metaculus !== undefined && !isContractId(record.metaculus, 'metaculus')) {
+    throw new ReferenceDataError('pin metaculus must be a metaculus:<id> contract id');
+  }
+  if (record.inverted !== undefined && typeof record.inverted !== 'boolean') {
+    throw new ReferenceDataError('pin inverted must be true or false');
+  }
+}
+
+function validateMatchBlock(record) {
+  if (!isPlainObject(record) || !isContractId(record.a) || (record.b !== undefined && !isContractId(record.b))) {
+    throw new ReferenceDataError('blocks need a contract id `a` and optionally `b`');
+  }
+}
+
+function validateShares(shares, label, keyPattern) {
+  if (!isPlainObject(shares)) throw new ReferenceDataError(`${label} must be an object of key -> share`);
+  let total = 0;
+  for (const [key, share] of Object.entries(shares)) {
+    if (keyPattern && !keyPattern.test(key)) throw new ReferenceDataError(`${label} key "${key}" must be a 2-letter country code`);
+    if (typeof share !== 'number' || share < 0 || share > 1) throw new ReferenceDataError(`${label}.${key} must be a share between 0 and 1`);
+    total += share;
+  }
+  if (total > 1.05) throw new ReferenceDataError(`${label} shares add up to ${total.toFixed(2)} (max 1)`);
+}
+
+function validateExposureSecurity(record) {
+  if (!isPlainObject(record)) throw new ReferenceDataError('security records must be objects');
+  if (!record.name || typeof record.name !== 'string') throw new ReferenceDataError('security name is required');
+  if (!SECURITY_TYPES.includes(record.type)) {
+    throw new ReferenceDataError(`security type must be one of: ${SECURITY_TYPES.join(', ')}`);
+  }
+  if (!record.sector || typeof record.sector !== 'string') throw new ReferenceDataError('security sector is required');
+  validateShares(record.countries, 'countries', COUNTRY_CODE);
+  if (record.sectors !== undefined) validateShares(record.sectors, 'sectors');
+}
+
+function validateExposureExchange(record) {
+  if (typeof record !== 'string' || !COUNTRY_CODE.test(record)) {
+    throw new ReferenceDataError('exchange records must be a 2-letter country code');
+  }
+}
+
+function validateExposureCurrency(record) {
+  validateShares(record, 'currency', COUNTRY_CODE);
+}
+
+/**
+ * Dataset registry. `validators` check a whole record before it is stored.
+ */
+const DATASETS = {
+  elections: {
+    label: '2026 US midterms: races, ratings, House forecast, redistricting',
+    seed: electionsSeed,
+    validators: { senateRaces: validateRace, governorRaces: validateRace, houseDistricts: validateRace },
+  },
+  tariffs: {
+    label: 'US tariff rates by country',
+    seed: tariffsSeed,
+    validators: { countries: validateTariff },
+  },
+  leaders: {
+    label: 'Leader approval history and election calendar',
+    seed: leadersSeed,
+    validators: {},
+  },
+  economic: {
+    label: 'Economic baseline indicators by country',
+    seed: economicSeed,
+    validators: {},
+  },
+  scotus: {
+    label: 'Supreme Court justices and pending cases',
+    seed: scotusSeed,
+    validators: {},
+  },
+  riskModel: {
+    label: 'Country risk model: factor weights, caps, baselines, level thresholds',
+    seed: riskModelSeed,
+    validators: {
+      factors: validateRiskFactor,
+      baselines: validateRiskBaseline,
+      levels: validateRiskLevel,
+      countries: validateRiskCountry,
+    },
+  },
+  marketMatching: {
+    label: 'Prediction market matching: venue fees, pinned and blocked matches',
+    seed: marketMatchingSeed,
+    validators: { fees: validateMatchFee, pins: validateMatchPin, blocks: validateMatchBlock },
+  },
+  portfolioExposure: {
+    label: 'Portfolio exposure: country and sector footprint per security, listing suffixes, shared currencies',
+    seed: portfolioExposureSeed,
+    validators: {
+      securities: validateExposureSecurity,
+      exchanges: validateExposureExchange,
+      currencies: validateExposureCurrency,
+    },
+  },
+};
+
+function deepMerge(target, patch) {
+  if (!isPlainObject(target) || !isPlainObject(patch)) return patch;
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = deepMerge(target[key], value);
+  }
+  return merged;
+}
+
+// ── CSV import ──
+
+/**
+ * RFC 4180-ish parser: quoted fields, doubled quotes, CRLF.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell !== '')) rows.push(row);
+  return rows;
+}
+
+function parseCell(raw) {
+  const value = raw.trim();
+  if (value === '') return undefined;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null') return null;
+  if (/^[[{]/.test(value)) {
+    try { return JSON.parse(value); } catch { /* plain text */ }
+  }
+  return value;
+}
+
+/**
+ * CSV -> { key: record }. The key column is `key` (or the first column);
+ * dotted headers build nested objects (`goods.Steel & Aluminum`), and a
+ * lone `value` column imports plain values (e.g. statePvi).
+ */
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || rows.length === 0) throw new ReferenceDataError('CSV needs a header row and at least one data row');
+  const columns = header.map(h => h.trim());
+  const keyIndex = Math.max(0, columns.indexOf('key'));
+  const scalar = columns.length === 2 && columns.includes('value');
+
+  const records = {};
+  for (const row of rows) {
+    const key = (row[keyIndex] || '').trim();
+    if (!key) continue;
+    if (scalar) {
+      records[key] = parseCell(row[columns.indexOf('value')] || '');
+      continue;
+    }
+    const record = {};
+    columns.forEach((column, i) => {
+      if (i === keyIndex) return;
+      const value = parseCell(row[i] || '');
+      if (value === undefined) return;
+      const path = column.split('.');
+      let node = record;
+      path.slice(0, -1).forEach(part => { node = node[part] = isPlainObject(node[part]) ? node[part] : {}; });
+      node[path[path.length - 1]] = value;
+    });
+    records[key] = record;
+  }
+  return records;
+}
+
+class ReferenceDataService {
+  constructor() {
+    this.isConnected = false;
+    this.datasets = new Map();   // name -> { name, version, updatedAt, tables }
+    this.history = new Map();    // name -> [entry], newest first (memory fallback)
+    for (const name of Object.keys(DATASETS)) this.seed(name);
+  }
+
+  seed(name) {
+    const { seed } = DATASETS[name];
+    this.datasets.set(name, {
+      name,
+      version: 1,
+      updatedAt: seed.updatedAt ? new Date(seed.updatedAt).toISOString() : new Date().toISOString(),
+      tables: structuredClone(seed.tables),
+    });
+    this.history.set(name, [{ version: 1, author: 'seed', note: 'Initial seed from config/reference', changes: [], createdAt: new Date().toISOString() }]);
+  }
+
+  async connect() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[Reference] PostgreSQL unavailable - serving seed data, edits kept in memory only');
+      return false;
+    }
+    try {
+      const { rows } = await db.query('SELECT name, version, data, updated_at FROM reference_datasets');
+      const stored = new Map(rows.map(row => [row.name, row]));
+
+      for (const name of Object.keys(DATASETS)) {
+        const row = stored.get(name);
+        if (row) {
+          this.datasets.set(name, { name, version: row.version, updatedAt: row.updated_at.toISOString(), tables: row.data });
+          continue;
+        }
+        const dataset = this.datasets.get(name);
+        await db.query(
+          'INSERT INTO reference_datasets (name, version, data, updated_at) VALUES ($1, $2, $3, $4)',
+          [name, dataset.version, JSON.stringify(dataset.tables), dataset.updatedAt]
+        );
+        await db.query(
+          'INSERT INTO reference_changes (dataset, version, author, note, changes) VALUES ($1, 1, $2, $3, $4)',
+          [name, 'seed', 'Initial seed from config/reference', '[]']
+        );
+        console.log(`[Reference] Seeded "${name}" into PostgreSQL`);
+      }
+
+      this.isConnected = true;
+      console.log(`[Reference] Loaded ${Object.keys(DATASETS).length} datasets (${rows.length} from PostgreSQL)`);
+      return true;
+    } catch (error) {
+      console.error('[Reference] Failed to load reference data:', error.message);
+      return false;
+    }
+  }
+
+  // ── Reads ──
+
+  list() {
+    return Object.entries(DATASETS).map(([name, def]) => {
+      const dataset = this.datasets.get(name);
+      return {
+        name,
+        label: def.label,
+        version: dataset.version,
+        updatedAt: dataset.updatedAt,
+        tables: Object.fromEntries(Object.entries(dataset.tables).map(([table, records]) => [table, Object.keys(records).length])),
+      };
+    });
+  }
+
+  has(name) {
+    return Object.hasOwn(DATASETS, name);
+  }
+
+  get(name) {
+    return this.datasets.get(name) || null;
+  }
+
+  /**
+   * Run a dataset's validator for one record without storing it (used to
+   * check unsaved what-if edits, e.g. risk model overrides in a backtest).
+   */
+  validateRecord(name, table, record) {
+    DATASETS[name]?.validators[table]?.(record);
+  }
+
+  /**
+   * @returns {Promise<Array<{ version, author, note, changes, createdAt }>>} newest first
+   */
+  async getHistory(name, limit = 50) {
+    if (!this.isConnected) return (this.history.get(name) || []).slice(0, limit);
+    const { rows } = await db.query(
+      `SELECT version, author, note, changes, created_at FROM reference_changes
+       WHERE dataset = $1 ORDER BY version DESC LIMIT $2`,
+      [name, limit]
+    );
+    return rows.map(row => ({
+      version: row.version, author: row.author, note: row.note, changes: row.changes, createdAt: row.created_at.toISOString(),
+    }));
+  }
+
+  // ── Edits ──
+
+  /**
+   * Apply a batch of record edits as one new version.
+   * Each edit is one of:
+   *   { table, key, value }          replace (or create) the record
+   *   { table, key, patch }          deep-merge fields into the record
+   *   { table, key, delete: true }   remove the record
+   * With `baseVersion`, the edit is rejected (409) if someone else saved first.
+   * @returns {Promise<{ dataset, entry }>}
+   */
+  async applyChanges(name, edits, { author = 'admin', note = null, baseVersion } = {}) {
+    const def = DATASETS[name];
+    const current = this.datasets.get(name);
+    if (!def || !current) throw new ReferenceDataError(`Unknown dataset: ${name}`, 404);
+    if (!Array.isArray(edits) || edits.length === 0) throw new ReferenceDataError('changes must be a non-empty array');
+    if (edits.length > MAX_CHANGES_PER_EDIT) throw new ReferenceDataError(`At most ${MAX_CHANGES_PER_EDIT} changes per edit`);
+    if (baseVersion != null && Number(baseVersion) !== current.version) {
+      throw new ReferenceDataError(`Dataset changed since version ${baseVersion} (now ${current.version})`, 409);
+    }
+
+    const tables = structuredClone(current.tables);
+    const changes = [];
+    for (const edit of edits) {
+      const { table } = edit || {};
+      const key = String(edit?.key ?? '').trim();
+      if (!Object.hasOwn(tables, table)) {
+        throw new ReferenceDataError(`Unknown table "${table}" (expected one of: ${Object.keys(tables).join(', ')})`);
+      }
+      if (!key || key.length > MAX_KEY_LENGTH) throw new ReferenceDataError('each change needs a key');
+
+      const before = Object.hasOwn(tables[table], key) ? tables[table][key] : null;
+      let after;
+      if (edit.delete === true) {
+        if (before === null) continue;
+        after = null;
+      } else if (edit.patch !== undefined) {
+        after = deepMerge(before ?? {}, edit.patch);
+      } else if (edit.value !== undefined) {
+        after = edit.value;
+      } else {
+        throw new ReferenceDataError(`change for ${table}/${key} needs value, patch or delete`);
+      }
+
+      if (after !== null) {
+        def.validators[table]?.(after);
+        tables[table][key] = after;
+      } else {
+        delete tables[table][key];
+      }
+      if (JSON.stringify(before) !== JSON.stringify(after)) changes.push({ table, key, before, after });
+    }
+
+    if (changes.length === 0) return { dataset: current, entry: null };
+
+    const dataset = { name, version: current.version + 1, updatedAt: new Date().toISOString(), tables };
+    const entry = {
+      version: dataset.version,
+      author: String(author || 'admin').slice(0, 120),
+      note: note ? String(note).slice(0, 1000) : null,
+      changes,
+      createdAt: dataset.updatedAt,
+    };
+    await this.persist(dataset, entry);
+
+    this.datasets.set(name, dataset);
+    const history = this.history.get(name);
+    history.unshift(entry);
+    history.length = Math.min(history.length, MEMORY_HISTORY_LIMIT);
+    console.log(`[Reference] ${name} v${dataset.version}: ${changes.length} records changed by ${entry.author}`);
+    return { dataset, entry };
+  }
+
+  /**
+   * Import a table from JSON ({ key: record }) or CSV.
+   *   mode 'merge'   - upsert the imported keys (CSV rows patch existing
+   *                    records, so a partial column set only touches those fields)
+   *   mode 'replace' - the table becomes exactly the import
+   */
+  async importTable(name, { table, format = 'json', mode = 'merge', data, author, note, baseVersion } = {}) {
+    const current = this.datasets.get(name);
+    if (!current) throw new ReferenceDataError(`Unknown dataset: ${name}`, 404);
+    if (!Object.hasOwn(current.tables, table)) {
+      throw new ReferenceDataError(`Unknown table "${table}" (expected one of: ${Object.keys(current.tables).join(', ')})`);
+    }
+    if (!['merge', 'replace'].includes(mode)) throw new ReferenceDataError('mode must be merge or replace');
+
+    let records;
+    if (format === 'csv') {
+      if (typeof data !== 'string') throw new ReferenceDataError('CSV imports need the CSV text as data');
+      records = csvToRecords(data);
+    } else if (format === 'json') {
+      if (!isPlainObject(data)) throw new ReferenceDataError('JSON imports need an object of key -> record');
+      records = data;
+    } else {
+      throw new ReferenceDataError('format must be json or csv');
+    }
+
+    const patchRows = format === 'csv' && mode === 'merge';
+    const edits = Object.entries(records).map(([key, record]) => (
+      patchRows && isPlainObject(record) ? { table, key, patch: record } : { table, key, value: record }
+    ));
+    if (mode === 'replace') {
+      for (const key of Object.keys(current.tables[table])) {
+        if (!Object.hasOwn(records, key)) edits.push({ table, key, delete: true });
+      }
+    }
+
+    return this.applyChanges(name, edits, {
+      author,
+      baseVersion,
+      note: note || `Imported ${Object.keys(records).length} ${table} records (${format}, ${mode})`,
+    });
+  }
+
+  /**
+   * Restore a dataset to an earlier version by replaying the recorded
+   * before-values of every later change. The revert is itself a new version.
+   */
+  async revert(name, toVersion, { author, note } = {}) {
+    const current = this.datasets.get(name);
+    if (!current) throw new ReferenceDataError(`Unknown dataset: ${name}`, 404);
+    const target = Number(toVersion);
+    if (!Number.isInteger(target) || target < 1 || target >= current.version) {
+      throw new ReferenceDataError(`version must be between 1 and ${current.version - 1}`);
+    }
+
+    const later = (await this.getHistory(name, current.version - target)).filter(e => e.version > target);
+    if (later.length !== current.version - target) {
+      throw new ReferenceDataError('History for that version is no longer available', 410);
+    }
+
+    // Newest first, each entry's changes undone in reverse order
+    const edits = later.flatMap(entry => entry.changes.slice().reverse().map(change => (
+      change.before === null
+        ? { table: change.table, key: change.key, delete: true }
+        : { table: change.table, key: change.key, value: change.before }
+    )));
+
+    return this.applyChanges(name, edits, { author, note: note || `Revert to version ${target}` });
+  }
+
+  async persist(dataset, entry) {
+    if (!this.isConnected) return;
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE reference_datasets SET version = $2, data = $3, updated_at = $4 WHERE name = $1',
+        [dataset.name, dataset.version, JSON.stringify(dataset.tables), dataset.updatedAt]
+      );
+      await client.query(
+        'INSERT INTO reference_changes (dataset, version, author, note, changes, created_at) VALUES ($1, $2, $3, $4, $5, $6)',
+        [dataset.name, entry.version, entry.author, entry.note, JSON.stringify(entry.changes), entry.createdAt]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('[Reference] Persist error:', error.message);
+      throw new ReferenceDataError('Failed to save reference data', 500);
+    } finally {
+      client.release();
+    }
+  }
+
+}
+
+export const referenceDataService = new ReferenceDataService();
+export default referenceDataService;
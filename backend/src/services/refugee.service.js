@@ -7,6 +7,7 @@
 
 import { cacheService } from './cache.service.js';
 import Parser from 'rss-parser';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const parser = new Parser({ timeout: 10000 });
 const UNHCR_API = 'https://api.unhcr.org/population/v1/population/';
@@ -75,7 +76,7 @@ async function fetchUNHCRPopulation(iso3, type = 'origin') {
     const currentYear = new Date().getFullYear();
     const param = type === 'origin' ? 'coo' : 'coa';
     const url = `${UNHCR_API}?${param}=${iso3}&year_from=${currentYear - 1}&year_to=${currentYear}&limit=5`;
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: { Accept: 'application/json' },
       signal: AbortSignal.timeout(12000),
     });
@@ -119,10 +120,11 @@ async function fetchMigrationNews() {
 }
 
 export const refugeeService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     console.log('[Refugee] Fetching UNHCR population data...');
 
     // Fetch origin country data from UNHCR in parallel (with fallback)
@@ -192,7 +194,6 @@ export const refugeeService = {
       updatedAt: new Date().toISOString(),
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     console.log(`[Refugee] Cached ${situations.length} situations, ${hostCountries.length} hosts (${result.summary.liveDataSources} from live API)`);
     return result;
   },
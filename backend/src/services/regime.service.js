@@ -17,11 +17,11 @@
 import { cacheService } from './cache.service.js';
 import { stabilityService } from './stability.service.js';
 import { worldBankService } from './worldbank.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_TTL = 1800; // 30 minutes
 const CACHE_KEY_COMBINED = 'regime:combined';
 const CACHE_KEY_PROFILES = 'regime:profiles';
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 // ─── Risk level thresholds ───
 const RISK_THRESHOLDS = {
@@ -624,11 +624,8 @@ const REGIME_DATA = {
 // ─── GDELT fetch helper ───
 async function fetchGDELT(query, maxRecords = 50, timespan = '7d') {
   try {
-    const url = `${GDELT_BASE}?query=${encodeURIComponent(query)}&mode=ArtList&maxrecords=${maxRecords}&timespan=${timespan}&format=json`;
-    const resp = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!resp.ok) throw new Error(`GDELT HTTP ${resp.status}`);
-    const data = await resp.json();
-    return (data.articles || []).map((a) => ({
+    const articles = await gdeltClient.artList(query, { maxRecords, timespan });
+    return articles.map((a) => ({
       title: a.title || '',
       url: a.url || '',
       source: a.domain || '',
@@ -645,11 +642,8 @@ async function fetchGDELT(query, maxRecords = 50, timespan = '7d') {
 // ─── GDELT article count helper (lightweight tone query) ───
 async function fetchGDELTArticleCount(query, timespan = '7d') {
   try {
-    const url = `${GDELT_BASE}?query=${encodeURIComponent(query)}&mode=ArtList&maxrecords=250&timespan=${timespan}&format=json`;
-    const resp = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!resp.ok) throw new Error(`GDELT HTTP ${resp.status}`);
-    const data = await resp.json();
-    return (data.articles || []).length;
+    const articles = await gdeltClient.artList(query, { maxRecords: 250, timespan });
+    return articles.length;
   } catch (err) {
     console.warn(`[RegimeService] GDELT count failed for "${query}":`, err.message);
     return 0;
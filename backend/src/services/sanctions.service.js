@@ -61,10 +61,11 @@ async function fetchSanctionsNews() {
 }
 
 export const sanctionsService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const news = await fetchSanctionsNews();
 
     const result = {
@@ -77,7 +78,6 @@ export const sanctionsService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 };
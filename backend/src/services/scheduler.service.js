@@ -0,0 +1,209 @@
+/**
+ * Job Scheduler
+ * Runs registered background refresh jobs on a jittered interval with
+ * overlap protection, failure backoff, and per-job run status.
+ *
+ * A job "fails" when its run() promise rejects, or when every upstream in
+ * its `sources` that it called during the run failed (per the source health
+ * registry). Most services swallow upstream errors and return fallback
+ * data, so the second check is what catches real outages.
+ */
+
+import { sourceHealth } from './sourceHealth.service.js';
+
+const DEFAULT_JITTER_RATIO = 0.1;        // ±10% of the interval
+const MAX_BACKOFF_EXPONENT = 5;          // up to 32x the interval
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // never back off past 6 hours (unless interval is longer)
+const MAX_ERROR_LENGTH = 500;
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job.
+   * @param {Object} job
+   * @param {string} job.name - unique job name (used in /api/jobs)
+   * @param {string} [job.description]
+   * @param {number} job.intervalMs - base interval between runs
+   * @param {number} [job.initialDelayMs=0] - delay before the first run
+   * @param {number} [job.jitterRatio=0.1] - random ±ratio applied to each interval
+   * @param {string[]} [job.sources] - source health ids the job fetches from
+   * @param {() => Promise<*>} job.run
+   */
+  register({ name, description = '', intervalMs, initialDelayMs = 0, jitterRatio = DEFAULT_JITTER_RATIO, sources = [], run }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    this.jobs.set(name, {
+      name,
+      description,
+      intervalMs,
+      initialDelayMs,
+      jitterRatio,
+      sources,
+      run,
+      timer: null,
+      running: false,
+      runCount: 0,
+      failureCount: 0,
+      consecutiveFailures: 0,
+      lastRunAt: null,
+      lastFinishedAt: null,
+      lastDurationMs: null,
+      lastStatus: null,
+      lastError: null,
+      lastSuccessAt: null,
+      nextRunAt: null,
+    });
+    if (this.started) this.schedule(name, initialDelayMs);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.schedule(job.name, job.initialDelayMs);
+    }
+    console.log(`[Scheduler] Started ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    this.started = false;
+    for (const job of this.jobs.values()) {
+      if (job.timer) clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  schedule(name, delayMs) {
+    const job = this.jobs.get(name);
+    if (!job || !this.started) return;
+    if (job.timer) clearTimeout(job.timer);
+    job.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      this.execute(name).catch(() => {});
+    }, delayMs);
+    // Don't keep the process alive just for a pending job
+    job.timer.unref?.();
+  }
+
+  /**
+   * Next delay: the base interval with jitter, stretched exponentially
+   * while the job keeps failing.
+   */
+  computeDelay(job) {
+    const jitter = job.intervalMs * job.jitterRatio * (Math.random() * 2 - 1);
+    let delay = job.intervalMs + jitter;
+    if (job.consecutiveFailures > 0) {
+      const exponent = Math.min(job.consecutiveFailures, MAX_BACKOFF_EXPONENT);
+      delay = Math.min(delay * 2 ** exponent, Math.max(job.intervalMs, MAX_BACKOFF_MS));
+    }
+    return Math.round(delay);
+  }
+
+  /**
+   * Run a job now. Resolves with the run's status; never overlaps a run
+   * already in progress.
+   * @param {string} name
+   * @param {{ manual?: boolean }} [options]
+   */
+  async execute(name, { manual = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    if (job.running) {
+      console.log(`[Scheduler] ${name} still running — skipping${manual ? ' manual trigger' : ' tick'}`);
+      if (!manual) this.schedule(name, this.computeDelay(job));
+      return { name, status: 'skipped', reason: 'already running' };
+    }
+
+    console.log(`[Scheduler] Running ${name}${manual ? ' (manual)' : ''}...`);
+    job.running = true;
+    job.runCount++;
+    job.lastRunAt = new Date().toISOString();
+    const start = Date.now();
+
+    try {
+      const before = job.sources.length > 0 ? sourceHealth.counters(job.sources) : null;
+      await job.run();
+      const upstreamError = before && sourceHealth.failedSince(before);
+      if (upstreamError) throw new Error(upstreamError);
+      job.lastStatus = 'success';
+      job.lastError = null;
+      job.consecutiveFailures = 0;
+      job.lastSuccessAt = new Date().toISOString();
+    } catch (error) {
+      job.lastStatus = 'failure';
+      job.lastError = String(error?.message || error).slice(0, MAX_ERROR_LENGTH);
+      job.failureCount++;
+      job.consecutiveFailures++;
+      console.error(`[Scheduler] ${name} failed (${job.consecutiveFailures} in a row):`, job.lastError);
+    } finally {
+      job.running = false;
+      job.lastFinishedAt = new Date().toISOString();
+      job.lastDurationMs = Date.now() - start;
+    }
+
+    // A manual run resets the clock, so the next scheduled run is a full interval away
+    this.schedule(name, this.computeDelay(job));
+
+    return { name, status: job.lastStatus, durationMs: job.lastDurationMs, error: job.lastError };
+  }
+
+  /**
+   * Trigger a job on demand (admin endpoint). Waits for the run to finish.
+   */
+  async trigger(name) {
+    if (!this.jobs.has(name)) return null;
+    return this.execute(name, { manual: true });
+  }
+
+  has(name) {
+    return this.jobs.has(name);
+  }
+
+  getJobStatus(name) {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      sources: job.sources,
+      running: job.running,
+      runCount: job.runCount,
+      failureCount: job.failureCount,
+      consecutiveFailures: job.consecutiveFailures,
+      backingOff: job.consecutiveFailures > 0,
+      lastRunAt: job.lastRunAt,
+      lastFinishedAt: job.lastFinishedAt,
+      lastDurationMs: job.lastDurationMs,
+      lastStatus: job.lastStatus,
+      lastError: job.lastError,
+      lastSuccessAt: job.lastSuccessAt,
+      nextRunAt: job.nextRunAt,
+    };
+  }
+
+  getStatus() {
+    const jobs = Array.from(this.jobs.keys()).map(name => this.getJobStatus(name));
+    return {
+      started: this.started,
+      summary: {
+        total: jobs.length,
+        running: jobs.filter(j => j.running).length,
+        failing: jobs.filter(j => j.consecutiveFailures > 0).length,
+        neverRun: jobs.filter(j => j.runCount === 0).length,
+      },
+      jobs,
+    };
+  }
+}
+
+export const scheduler = new Scheduler();
+export default scheduler;
@@ -0,0 +1,595 @@
+/**
+ * Full-Text Search Index
+ * In-memory inverted index over everything the background jobs ingest:
+ * feed items (articles, tweets, Reddit posts), conflict news, tariff news,
+ * court news and sanctions news. Documents are persisted to PostgreSQL and
+ * reloaded on startup, so searches cover the whole retention window
+ * (SEARCH_RETENTION_DAYS), not just what is currently cached.
+ *
+ * Like the snapshot service, this degrades gracefully: without PostgreSQL
+ * the index is memory-only and starts empty after a restart.
+ *
+ * Query syntax:
+ *   iran sanctions            both terms (AND is implicit)
+ *   iran OR iraq              either term
+ *   "red sea"                 exact phrase
+ *   -houthi, NOT houthi       exclude
+ *   sanction*                 prefix
+ *   (iran OR iraq) AND oil    grouping
+ */
+
+import { createHash } from 'crypto';
+import config from '../config/index.js';
+import { geotagService } from './geotag.service.js';
+import { storyClusterService } from './storyCluster.service.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS search_documents (
+    id VARCHAR(128) PRIMARY KEY,
+    dataset VARCHAR(32) NOT NULL,
+    doc JSONB NOT NULL,
+    published_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    indexed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_search_documents_published
+    ON search_documents(published_at DESC);
+`;
+
+const MAX_SUMMARY_LENGTH = 1000;
+const MAX_RESULTS = 100;
+const MAX_PREFIX_EXPANSIONS = 50;
+const MAX_FACET_VALUES = 20;
+// Only the best-ranked hits are grouped into stories
+const MAX_GROUPED_HITS = 1000;
+const FACETS = ['dataset', 'type', 'source', 'country'];
+
+// BM25 parameters; title terms count TITLE_BOOST times
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_BOOST = 2;
+// Title and body positions are kept apart so phrases never span them
+const BODY_POSITION_OFFSET = 1000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with',
+]);
+
+const hashId = (value) => createHash('sha1').update(String(value)).digest('hex').slice(0, 16);
+
+/**
+ * Normalizers from job output to feed-item shaped documents, keyed by job
+ * name. The feed itself is added by aggregation.service.js, which sees every
+ * item rather than the job's trimmed result.
+ */
+const DATASETS = {
+  conflict: (data) => (data.news || []).map(item => ({
+    id: item.id || hashId(item.link || item.title),
+    title: item.title,
+    summary: item.summary,
+    url: item.link,
+    sourceName: item.source,
+    publishedAt: item.publishedAt,
+  })),
+  tariffs: (data) => (data.news || []).map(item => ({
+    id: item.id || hashId(item.link || item.title),
+    title: item.title,
+    summary: item.summary,
+    url: item.link,
+    sourceName: item.source,
+    publishedAt: item.publishedAt,
+  })),
+  court: (data) => (data.recentNews || []).map(item => ({
+    id: hashId(item.link || item.title),
+    title: item.title,
+    summary: item.snippet,
+    url: item.link,
+    sourceName: item.source,
+    publishedAt: item.date,
+  })),
+  sanctions: (data) => (data.recentNews || []).map(item => ({
+    id: hashId(item.link || item.title),
+    title: item.title,
+    summary: item.snippet,
+    url: item.link,
+    sourceName: item.source,
+    publishedAt: item.date,
+  })),
+};
+
+// ── Analysis ──
+
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Light suffix stripping so "sanctions" matches "sanction"
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function analyze(text) {
+  if (!text) return [];
+  return fold(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+// ── Query parsing ──
+
+function lexQuery(query) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|"([^"]*)"?|(-)?([^\s()"]+))/g;
+  let match;
+  while ((match = re.exec(query)) !== null && match[0] !== '') {
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3] !== undefined) tokens.push({ type: 'phrase', text: match[3] });
+    else if (match[5] === 'AND' || match[5] === 'OR' || match[5] === 'NOT') tokens.push({ type: match[5] });
+    else {
+      if (match[4]) tokens.push({ type: 'NOT' });
+      tokens.push({ type: 'word', text: match[5] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent: or := and (OR and)* ; and := not (AND? not)* ;
+ * not := (NOT|-) not | primary ; primary := ( or ) | phrase | word.
+ * Returns null for a query with no searchable terms.
+ */
+function parseQuery(query) {
+  const tokens = lexQuery(query);
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    const nodes = children.filter(Boolean);
+    if (nodes.length <= 1) return nodes[0] || null;
+    return { type: 'or', children: nodes };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length && peek().type !== ')' && peek().type !== 'OR') {
+      if (peek().type === 'AND') {
+        pos++;
+        continue;
+      }
+      children.push(parseNot());
+    }
+    const nodes = children.filter(Boolean);
+    if (nodes.length <= 1) return nodes[0] || null;
+    return { type: 'and', children: nodes };
+  }
+
+  function parseNot() {
+    if (peek()?.type === 'NOT') {
+      pos++;
+      const child = parseNot();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) return null;
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek()?.type === ')') pos++;
+      return node;
+    }
+    if (token.type === 'phrase') {
+      const terms = analyze(token.text);
+      if (terms.length === 0) return null;
+      return terms.length === 1 ? { type: 'term', term: terms[0] } : { type: 'phrase', terms };
+    }
+    if (token.type === 'word') {
+      if (token.text.endsWith('*') && token.text.length > 2) {
+        const prefix = fold(token.text.slice(0, -1)).replace(/[^a-z0-9]/g, '');
+        return prefix ? { type: 'prefix', prefix } : null;
+      }
+      const terms = analyze(token.text);
+      if (terms.length === 0) return null;
+      return terms.length === 1 ? { type: 'term', term: terms[0] } : { type: 'phrase', terms };
+    }
+    return null; // stray ')' or operator
+  }
+
+  const ast = parseOr();
+  return ast;
+}
+
+class SearchIndexService {
+  constructor() {
+    this.isConnected = false;
+    this.nextDocNum = 1;
+    this.docs = new Map();       // docNum -> { doc, length, terms, time }
+    this.docNums = new Map();    // document id -> docNum
+    this.postings = new Map();   // term -> Map(docNum -> positions[])
+    this.totalLength = 0;
+  }
+
+  async connect() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[Search] PostgreSQL unavailable - index kept in memory only');
+      return false;
+    }
+    try {
+      const { rows } = await db.query(
+        `SELECT doc FROM search_documents
+         WHERE published_at >= NOW() - make_interval(days => $1)
+         ORDER BY published_at DESC
+         LIMIT $2`,
+        [config.search.retentionDays, config.search.maxDocuments]
+      );
+      for (let i = rows.length - 1; i >= 0; i--) this.addToIndex(rows[i].doc);
+      this.isConnected = true;
+      console.log(`[Search] Loaded ${rows.length} documents from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[Search] Failed to load the search index:', error.message);
+      return false;
+    }
+  }
+
+  // ── Ingestion ──
+
+  /**
+   * Route a finished job's output to the index. Never throws.
+   */
+  async ingestJob(name, data) {
+    const normalize = DATASETS[name];
+    if (!normalize || data == null) return 0;
+    try {
+      return await this.addItems(name, normalize(data).map(item => ({ ...item, contentType: 'article' })));
+    } catch (error) {
+      console.error(`[Search] Ingest error (${name}):`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Index feed-shaped items from a dataset. Items already indexed are skipped.
+   * @returns {Promise<number>} number of new documents
+   */
+  async addItems(dataset, items) {
+    const cutoff = Date.now() - config.search.retentionDays * 86400000;
+    const added = [];
+
+    for (const item of items) {
+      if (!item?.title || !item.id) continue;
+      const id = `${dataset}:${item.id}`;
+      if (this.docNums.has(id)) continue;
+
+      const published = new Date(item.publishedAt).getTime();
+      const publishedAt = Number.isFinite(published) ? new Date(published).toISOString() : new Date().toISOString();
+      if (new Date(publishedAt).getTime() < cutoff) continue;
+
+      const geo = item.geo !== undefined ? item.geo : geotagService.tag(item);
+      const doc = {
+        id,
+        dataset,
+        contentType: item.contentType || 'article',
+        sourceName: item.sourceName || item.source || dataset,
+        title: item.title,
+        summary: (item.content || item.summary || '').slice(0, MAX_SUMMARY_LENGTH),
+        url: item.url || null,
+        author: item.author || null,
+        countries: geo ? geo.countries.map(c => c.code) : [],
+        publishedAt,
+      };
+      this.addToIndex(doc);
+      added.push(doc);
+    }
+
+    this.enforceLimit();
+    if (added.length > 0) await this.persist(added);
+    return added.length;
+  }
+
+  addToIndex(doc) {
+    const docNum = this.nextDocNum++;
+    const titleTokens = analyze(doc.title);
+    const bodyTokens = analyze(doc.summary);
+    const terms = new Set();
+
+    const addPositions = (tokens, offset) => {
+      tokens.forEach((term, i) => {
+        let list = this.postings.get(term);
+        if (!list) {
+          list = new Map();
+          this.postings.set(term, list);
+        }
+        let positions = list.get(docNum);
+        if (!positions) {
+          positions = [];
+          list.set(docNum, positions);
+        }
+        positions.push(offset + i);
+        terms.add(term);
+      });
+    };
+    addPositions(titleTokens, 0);
+    addPositions(bodyTokens, BODY_POSITION_OFFSET);
+
+    const length = titleTokens.length * TITLE_BOOST + bodyTokens.length;
+    this.docs.set(docNum, { doc, length, terms: Array.from(terms), time: new Date(doc.publishedAt).getTime() });
+    this.docNums.set(doc.id, docNum);
+    this.totalLength += length;
+  }
+
+  removeFromIndex(docNum) {
+    const entry = this.docs.get(docNum);
+    if (!entry) return;
+    for (const term of entry.terms) {
+      const list = this.postings.get(term);
+      if (!list) continue;
+      list.delete(docNum);
+      if (list.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(docNum);
+    this.docNums.delete(entry.doc.id);
+    this.totalLength -= entry.length;
+  }
+
+  // Evict the oldest documents past SEARCH_MAX_DOCUMENTS
+  enforceLimit() {
+    const excess = this.docs.size - config.search.maxDocuments;
+    if (excess <= 0) return;
+    const oldest = Array.from(this.docs.entries())
+      .sort((a, b) => a[1].time - b[1].time)
+      .slice(0, excess);
+    for (const [docNum] of oldest) this.removeFromIndex(docNum);
+  }
+
+  async persist(docs) {
+    if (!this.isConnected) return;
+    try {
+      await db.query(
+        `INSERT INTO search_documents (id, dataset, doc, published_at)
+         SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::jsonb[], $4::timestamptz[])
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          docs.map(d => d.id),
+          docs.map(d => d.dataset),
+          docs.map(d => JSON.stringify(d)),
+          docs.map(d => d.publishedAt),
+        ]
+      );
+    } catch (error) {
+      console.error('[Search] Persist error:', error.message);
+    }
+  }
+
+  /**
+   * Drop documents older than the retention window (memory and PostgreSQL).
+   */
+  async prune() {
+    const cutoff = Date.now() - config.search.retentionDays * 86400000;
+    let removed = 0;
+    for (const [docNum, entry] of this.docs) {
+      if (entry.time < cutoff) {
+        this.removeFromIndex(docNum);
+        removed++;
+      }
+    }
+    if (this.isConnected) {
+      try {
+        await db.query(
+          'DELETE FROM search_documents WHERE published_at < NOW() - make_interval(days => $1)',
+          [config.search.retentionDays]
+        );
+      } catch (error) {
+        console.error('[Search] Prune error:', error.message);
+      }
+    }
+    return { removed, remaining: this.docs.size };
+  }
+
+  // ── Querying ──
+
+  evaluate(node) {
+    switch (node.type) {
+      case 'term':
+        return new Set(this.postings.get(node.term)?.keys() || []);
+      case 'prefix': {
+        const result = new Set();
+        for (const term of this.expandPrefix(node.prefix)) {
+          for (const docNum of this.postings.get(term).keys()) result.add(docNum);
+        }
+        return result;
+      }
+      case 'phrase':
+        return this.matchPhrase(node.terms);
+      case 'or': {
+        const result = new Set();
+        for (const child of node.children) this.evaluate(child).forEach(d => result.add(d));
+        return result;
+      }
+      case 'and': {
+        const positive = node.children.filter(c => c.type !== 'not');
+        const negative = node.children.filter(c => c.type === 'not');
+        let result = positive.length > 0
+          ? positive.map(c => this.evaluate(c)).reduce((acc, set) => new Set([...acc].filter(d => set.has(d))))
+          : new Set(this.docs.keys());
+        for (const child of negative) {
+          const excluded = this.evaluate(child.child);
+          result = new Set([...result].filter(d => !excluded.has(d)));
+        }
+        return result;
+      }
+      case 'not': {
+        const excluded = this.evaluate(node.child);
+        return new Set([...this.docs.keys()].filter(d => !excluded.has(d)));
+      }
+      default:
+        return new Set();
+    }
+  }
+
+  expandPrefix(prefix) {
+    const terms = [];
+    for (const term of this.postings.keys()) {
+      if (term.startsWith(prefix)) terms.push(term);
+      if (terms.length >= MAX_PREFIX_EXPANSIONS) break;
+    }
+    return terms;
+  }
+
+  matchPhrase(terms) {
+    const lists = terms.map(term => this.postings.get(term));
+    if (lists.some(list => !list)) return new Set();
+
+    const result = new Set();
+    for (const [docNum, firstPositions] of lists[0]) {
+      if (!lists.every(list => list.has(docNum))) continue;
+      const matches = firstPositions.some(start =>
+        lists.every((list, i) => list.get(docNum).includes(start + i))
+      );
+      if (matches) result.add(docNum);
+    }
+    return result;
+  }
+
+  // Terms that contribute to ranking (everything not under NOT)
+  scoringTerms(node, terms = new Set()) {
+    if (!node) return terms;
+    if (node.type === 'term') terms.add(node.term);
+    else if (node.type === 'phrase') node.terms.forEach(t => terms.add(t));
+    else if (node.type === 'prefix') this.expandPrefix(node.prefix).forEach(t => terms.add(t));
+    else if (node.type === 'and' || node.type === 'or') node.children.forEach(c => this.scoringTerms(c, terms));
+    return terms;
+  }
+
+  score(docNum, terms) {
+    const entry = this.docs.get(docNum);
+    const avgLength = this.totalLength / Math.max(this.docs.size, 1);
+    let total = 0;
+    for (const term of terms) {
+      const list = this.postings.get(term);
+      const positions = list?.get(docNum);
+      if (!positions) continue;
+      const titleHits = positions.filter(p => p < BODY_POSITION_OFFSET).length;
+      const tf = positions.length + titleHits * (TITLE_BOOST - 1);
+      const idf = Math.log(1 + (this.docs.size - list.size + 0.5) / (list.size + 0.5));
+      total += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / avgLength));
+    }
+    return total;
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query - see syntax in the header; empty matches everything,
+   *   a query with no searchable terms (only stopwords) matches nothing
+   * @param {Object} options
+   * @param {Date} [options.from] / [options.to] - publishedAt range
+   * @param {string[]} [options.datasets] / [options.types] / [options.sources] / [options.countries] - facet filters
+   * @param {'relevance'|'date'} [options.sort] - defaults to relevance when there is a query
+   * @param {boolean} [options.group] - collapse near-duplicate hits into story clusters
+   * @param {number} [options.limit] / [options.offset]
+   * @returns {{ total, results, facets }}
+   */
+  search(query, options = {}) {
+    const { from, to, datasets, types, sources, countries, limit = 20, offset = 0 } = options;
+    const ast = query ? parseQuery(query) : null;
+    if (query && !ast) return { total: 0, results: [], facets: this.facets([]) };
+    const matched = ast ? this.evaluate(ast) : new Set(this.docs.keys());
+
+    const fromTime = from ? from.getTime() : -Infinity;
+    const toTime = to ? to.getTime() : Infinity;
+    const sourcesLower = sources?.map(s => s.toLowerCase());
+    const countriesUpper = countries?.map(c => c.toUpperCase());
+
+    const hits = [];
+    for (const docNum of matched) {
+      const { doc, time } = this.docs.get(docNum);
+      if (time < fromTime || time > toTime) continue;
+      if (datasets?.length && !datasets.includes(doc.dataset)) continue;
+      if (types?.length && !types.includes(doc.contentType)) continue;
+      if (sourcesLower?.length && !sourcesLower.includes(doc.sourceName.toLowerCase())) continue;
+      if (countriesUpper?.length && !doc.countries.some(c => countriesUpper.includes(c))) continue;
+      hits.push(docNum);
+    }
+
+    const terms = this.scoringTerms(ast);
+    const sort = options.sort || (terms.size > 0 ? 'relevance' : 'date');
+    const ranked = hits.map(docNum => ({
+      docNum,
+      score: terms.size > 0 ? this.score(docNum, terms) : 0,
+      time: this.docs.get(docNum).time,
+    }));
+    ranked.sort(sort === 'date'
+      ? (a, b) => b.time - a.time
+      : (a, b) => b.score - a.score || b.time - a.time);
+
+    const results = ranked.map(({ docNum, score }) => ({
+      ...this.docs.get(docNum).doc,
+      score: Math.round(score * 1000) / 1000,
+    }));
+    const ordered = options.group ? this.group(results.slice(0, MAX_GROUPED_HITS)) : results;
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_RESULTS);
+    return {
+      total: ordered.length,
+      results: ordered.slice(offset, offset + pageSize),
+      facets: this.facets(hits),
+    };
+  }
+
+  // Story clusters of rank-ordered results, ordered by their best-ranked member
+  group(results) {
+    const rank = new Map(results.map((doc, i) => [doc.id, i]));
+    const bestRank = (cluster) => Math.min(...storyClusterService.members(cluster).map(m => rank.get(m.id)));
+    return storyClusterService.cluster(results)
+      .map(cluster => ({ cluster, best: bestRank(cluster) }))
+      .sort((a, b) => a.best - b.best)
+      .map(({ cluster, best }) => ({ ...cluster, score: results[best].score }));
+  }
+
+  facets(docNums) {
+    const counts = Object.fromEntries(FACETS.map(f => [f, new Map()]));
+    const bump = (facet, value) => counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+    for (const docNum of docNums) {
+      const { doc } = this.docs.get(docNum);
+      bump('dataset', doc.dataset);
+      bump('type', doc.contentType);
+      bump('source', doc.sourceName);
+      doc.countries.forEach(code => bump('country', code));
+    }
+    return Object.fromEntries(FACETS.map(facet => [
+      facet,
+      Array.from(counts[facet].entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FACET_VALUES)
+        .map(([value, count]) => ({ value, count })),
+    ]));
+  }
+
+  getStatus() {
+    let oldest = Infinity;
+    for (const { time } of this.docs.values()) if (time < oldest) oldest = time;
+    return {
+      persisted: this.isConnected,
+      documents: this.docs.size,
+      terms: this.postings.size,
+      oldest: Number.isFinite(oldest) ? new Date(oldest).toISOString() : null,
+      retentionDays: config.search.retentionDays,
+    };
+  }
+
+}
+
+export const searchIndexService = new SearchIndexService();
+export default searchIndexService;
@@ -12,18 +12,19 @@ const parser = new Parser({ timeout: 10000 });
 const CACHE_KEY = 'shipping:combined';
 const CACHE_TTL = 900; // 15 minutes
 
-// Major maritime chokepoints
-const CHOKEPOINTS = [
-  { id: 'suez', name: 'Suez Canal', lat: 30.46, lon: 32.34, traffic: '12-15% global trade', status: 'operational', risk: 'elevated', notes: 'Houthi attacks in Red Sea causing diversions' },
-  { id: 'hormuz', name: 'Strait of Hormuz', lat: 26.57, lon: 56.25, traffic: '20% global oil', status: 'operational', risk: 'high', notes: 'Iran tensions affect oil transit' },
-  { id: 'malacca', name: 'Strait of Malacca', lat: 2.5, lon: 101.5, traffic: '25% global trade', status: 'operational', risk: 'low', notes: 'Critical for China-Europe trade' },
-  { id: 'panama', name: 'Panama Canal', lat: 9.08, lon: -79.68, traffic: '5% global trade', status: 'restricted', risk: 'moderate', notes: 'Drought-related transit restrictions' },
-  { id: 'bosporus', name: 'Turkish Straits', lat: 41.12, lon: 29.07, traffic: '3% global oil', status: 'operational', risk: 'moderate', notes: 'Ukraine grain exports corridor' },
-  { id: 'bab', name: 'Bab el-Mandeb', lat: 12.58, lon: 43.33, traffic: '10% global trade', status: 'disrupted', risk: 'critical', notes: 'Houthi missile/drone attacks on shipping' },
-  { id: 'dover', name: 'Dover Strait', lat: 51.0, lon: 1.5, traffic: '500+ ships/day', status: 'operational', risk: 'low', notes: 'Busiest shipping lane globally' },
-  { id: 'gibraltar', name: 'Strait of Gibraltar', lat: 35.96, lon: -5.35, traffic: 'Med-Atlantic gateway', status: 'operational', risk: 'low', notes: 'Critical for Mediterranean access' },
-  { id: 'taiwan', name: 'Taiwan Strait', lat: 24.5, lon: 119.5, traffic: '~50% container ships', status: 'operational', risk: 'elevated', notes: 'Geopolitical tensions' },
-  { id: 'cape', name: 'Cape of Good Hope', lat: -34.36, lon: 18.49, traffic: 'Alternative to Suez', status: 'operational', risk: 'low', notes: 'Increased traffic due to Red Sea diversions' },
+// Major maritime chokepoints. `radiusKm` is the AIS geofence a vessel must
+// enter to count as a transit (see ais.service.js).
+export const CHOKEPOINTS = [
+  { id: 'suez', name: 'Suez Canal', lat: 30.46, lon: 32.34, radiusKm: 40, traffic: '12-15% global trade', status: 'operational', risk: 'elevated', notes: 'Houthi attacks in Red Sea causing diversions' },
+  { id: 'hormuz', name: 'Strait of Hormuz', lat: 26.57, lon: 56.25, radiusKm: 60, traffic: '20% global oil', status: 'operational', risk: 'high', notes: 'Iran tensions affect oil transit' },
+  { id: 'malacca', name: 'Strait of Malacca', lat: 2.5, lon: 101.5, radiusKm: 80, traffic: '25% global trade', status: 'operational', risk: 'low', notes: 'Critical for China-Europe trade' },
+  { id: 'panama', name: 'Panama Canal', lat: 9.08, lon: -79.68, radiusKm: 30, traffic: '5% global trade', status: 'restricted', risk: 'moderate', notes: 'Drought-related transit restrictions' },
+  { id: 'bosporus', name: 'Turkish Straits', lat: 41.12, lon: 29.07, radiusKm: 15, traffic: '3% global oil', status: 'operational', risk: 'moderate', notes: 'Ukraine grain exports corridor' },
+  { id: 'bab', name: 'Bab el-Mandeb', lat: 12.58, lon: 43.33, radiusKm: 40, traffic: '10% global trade', status: 'disrupted', risk: 'critical', notes: 'Houthi missile/drone attacks on shipping' },
+  { id: 'dover', name: 'Dover Strait', lat: 51.0, lon: 1.5, radiusKm: 25, traffic: '500+ ships/day', status: 'operational', risk: 'low', notes: 'Busiest shipping lane globally' },
+  { id: 'gibraltar', name: 'Strait of Gibraltar', lat: 35.96, lon: -5.35, radiusKm: 25, traffic: 'Med-Atlantic gateway', status: 'operational', risk: 'low', notes: 'Critical for Mediterranean access' },
+  { id: 'taiwan', name: 'Taiwan Strait', lat: 24.5, lon: 119.5, radiusKm: 120, traffic: '~50% container ships', status: 'operational', risk: 'elevated', notes: 'Geopolitical tensions' },
+  { id: 'cape', name: 'Cape of Good Hope', lat: -34.36, lon: 18.49, radiusKm: 150, traffic: 'Alternative to Suez', status: 'operational', risk: 'low', notes: 'Increased traffic due to Red Sea diversions' },
 ];
 
 async function fetchShippingNews() {
@@ -61,10 +62,11 @@ async function fetchShippingNews() {
 }
 
 export const shippingService = {
-  async getCombinedData() {
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.fetchCombinedData(), { refresh });
+  },
 
+  async fetchCombinedData() {
     const news = await fetchShippingNews();
 
     const result = {
@@ -79,7 +81,6 @@ export const shippingService = {
       },
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     return result;
   },
 };
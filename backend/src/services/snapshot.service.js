@@ -0,0 +1,208 @@
+/**
+ * Snapshot Service using PostgreSQL
+ * Persists each background refresh cycle's output so datasets can be
+ * queried historically (Redis only holds the latest value with a TTL).
+ *
+ * Like the cache service, this degrades gracefully: if PostgreSQL is
+ * unreachable, record() is a no-op and queries return empty results.
+ */
+
+import { createHash } from 'crypto';
+import config from '../config/index.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS dataset_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    dataset VARCHAR(64) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    content_hash CHAR(40) NOT NULL,
+    data JSONB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_dataset_snapshots_dataset_time
+    ON dataset_snapshots(dataset, recorded_at DESC);
+`;
+
+const MAX_QUERY_LIMIT = 2000;
+
+/**
+ * Per-dataset extractors used by getSeries() to turn a stored snapshot into
+ * a single data point. `key` selects an entity within the dataset (e.g. a
+ * country name for risk, a conflict/flashpoint id for tension).
+ */
+const SERIES_EXTRACTORS = {
+  risk: (data, key) => {
+    if (!key) return data.summary ? { avgScore: data.summary.avgScore } : null;
+    const entry = (data.scores || []).find(
+      s => s.country?.toLowerCase() === key.toLowerCase()
+    );
+    return entry ? { score: entry.score, level: entry.level, breakdown: entry.breakdown } : null;
+  },
+  tension: (data, key) => {
+    if (!key) return { index: data.index, label: data.label };
+    const conflict = (data.activeConflicts || []).find(c => c.id === key);
+    if (conflict) return { intensity: conflict.intensity, escalationRisk: conflict.escalationRisk };
+    const flashpoint = (data.flashpoints || []).find(f => f.id === key);
+    return flashpoint ? { tension: flashpoint.tension, escalationRisk: flashpoint.escalationRisk } : null;
+  },
+  regime: (data, key) => {
+    if (!key) return data.summary || null;
+    const profile = (data.profiles || []).find(
+      p => p.iso2 === key.toUpperCase() || p.country?.toLowerCase() === key.toLowerCase()
+    );
+    return profile?.coupRisk ? { score: profile.coupRisk.score, level: profile.coupRisk.level } : null;
+  },
+};
+
+function hashData(data) {
+  return createHash('sha1').update(JSON.stringify(data)).digest('hex');
+}
+
+class SnapshotService {
+  constructor() {
+    this.isConnected = false;
+    // Last recorded hash per dataset — skips identical consecutive snapshots
+    // (workers often read back an unexpired cache entry)
+    this.lastHashes = new Map();
+  }
+
+  async connect() {
+    if (!config.history.enabled) {
+      console.log('[Snapshot] History disabled via HISTORY_ENABLED=false');
+      return false;
+    }
+    this.isConnected = await db.ensureSchema(SCHEMA_SQL);
+    if (!this.isConnected) console.log('[Snapshot] PostgreSQL unavailable - history disabled');
+    return this.isConnected;
+  }
+
+  /**
+   * Record a snapshot for a dataset. Identical consecutive payloads are skipped.
+   * @param {string} dataset - dataset name (e.g. 'risk', 'tension')
+   * @param {*} data - service output to persist
+   * @returns {Promise<boolean>} true if a row was written
+   */
+  async record(dataset, data) {
+    if (!this.isConnected || data == null) return false;
+    try {
+      const hash = hashData(data);
+      if (this.lastHashes.get(dataset) === hash) return false;
+
+      await db.query(
+        'INSERT INTO dataset_snapshots (dataset, content_hash, data) VALUES ($1, $2, $3)',
+        [dataset, hash, JSON.stringify(data)]
+      );
+      this.lastHashes.set(dataset, hash);
+      return true;
+    } catch (error) {
+      console.error(`[Snapshot] Record error (${dataset}):`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * List snapshots for a dataset within a time range, newest first.
+   * @param {string} dataset
+   * @param {{ from?: Date, to?: Date, limit?: number }} options
+   */
+  async query(dataset, { from, to, limit = 100 } = {}) {
+    if (!this.isConnected) return [];
+    try {
+      const { rows } = await db.query(
+        `SELECT recorded_at, data FROM dataset_snapshots
+         WHERE dataset = $1
+           AND ($2::timestamptz IS NULL OR recorded_at >= $2)
+           AND ($3::timestamptz IS NULL OR recorded_at <= $3)
+         ORDER BY recorded_at DESC
+         LIMIT $4`,
+        [dataset, from || null, to || null, Math.min(limit, MAX_QUERY_LIMIT)]
+      );
+      return rows.map(r => ({ recordedAt: r.recorded_at.toISOString(), data: r.data }));
+    } catch (error) {
+      console.error(`[Snapshot] Query error (${dataset}):`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recent snapshot recorded at or before a given time.
+   * @param {string} dataset
+   * @param {Date} [at] - defaults to now
+   */
+  async getLatest(dataset, at = null) {
+    const [snapshot] = await this.query(dataset, { to: at, limit: 1 });
+    return snapshot || null;
+  }
+
+  /**
+   * Get the state of several datasets as of a point in time (timeline time-travel).
+   * Datasets with no snapshot at or before `at` map to null.
+   * @param {string[]} datasets
+   * @param {Date} at
+   * @returns {Promise<Object<string, { recordedAt: string, data: any } | null>>}
+   */
+  async getAt(datasets, at) {
+    const snapshots = await Promise.all(datasets.map(dataset => this.getLatest(dataset, at)));
+    return Object.fromEntries(datasets.map((dataset, i) => [dataset, snapshots[i]]));
+  }
+
+  /**
+   * Get a time series of extracted values for a dataset, oldest first.
+   * @param {string} dataset
+   * @param {{ key?: string, from?: Date, to?: Date, limit?: number }} options
+   */
+  async getSeries(dataset, { key, from, to, limit = 500 } = {}) {
+    const extract = SERIES_EXTRACTORS[dataset];
+    if (!extract) return null;
+
+    const snapshots = await this.query(dataset, { from, to, limit });
+    return snapshots
+      .map(s => ({ recordedAt: s.recordedAt, value: extract(s.data, key) }))
+      .filter(p => p.value != null)
+      .reverse();
+  }
+
+  /**
+   * List datasets with snapshot counts and time coverage.
+   */
+  async listDatasets() {
+    if (!this.isConnected) return [];
+    try {
+      const { rows } = await db.query(
+        `SELECT dataset, COUNT(*)::int AS count, MIN(recorded_at) AS first, MAX(recorded_at) AS last
+         FROM dataset_snapshots GROUP BY dataset ORDER BY dataset`
+      );
+      return rows.map(r => ({
+        dataset: r.dataset,
+        count: r.count,
+        firstRecordedAt: r.first.toISOString(),
+        lastRecordedAt: r.last.toISOString(),
+        seriesSupported: Boolean(SERIES_EXTRACTORS[r.dataset]),
+      }));
+    } catch (error) {
+      console.error('[Snapshot] List error:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Delete snapshots older than the configured retention window.
+   */
+  async prune() {
+    if (!this.isConnected) return 0;
+    try {
+      const { rowCount } = await db.query(
+        `DELETE FROM dataset_snapshots WHERE recorded_at < NOW() - ($1 || ' days')::interval`,
+        [String(config.history.retentionDays)]
+      );
+      if (rowCount > 0) console.log(`[Snapshot] Pruned ${rowCount} snapshots`);
+      return rowCount;
+    } catch (error) {
+      console.error('[Snapshot] Prune error:', error.message);
+      return 0;
+    }
+  }
+}
+
+export const snapshotService = new SnapshotService();
+export default snapshotService;
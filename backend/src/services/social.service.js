@@ -7,6 +7,7 @@ import config from '../config/index.js';
 import { cacheService } from './cache.service.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { sourceHealth, trackedFetch } from './sourceHealth.service.js';
 
 const CACHE_KEYS = {
   tweets: 'social:tweets',
@@ -35,7 +36,7 @@ class SocialService {
 
     try {
       // First get user ID
-      const userResponse = await fetch(
+      const userResponse = await trackedFetch(
         `https://api.twitter.com/2/users/by/username/${username}`,
         {
           headers: { 'Authorization': `Bearer ${config.twitter.bearerToken}` }
@@ -46,7 +47,7 @@ class SocialService {
       if (!userData.data?.id) return [];
 
       // Then get tweets
-      const tweetsResponse = await fetch(
+      const tweetsResponse = await trackedFetch(
         `https://api.twitter.com/2/users/${userData.data.id}/tweets?` +
         `max_results=10&tweet.fields=created_at,public_metrics,author_id&` +
         `expansions=author_id&user.fields=name,username,profile_image_url`,
@@ -76,6 +77,7 @@ class SocialService {
 
     // If no Twitter auth, try custom feed and return early
     if (!this.hasTwitter) {
+      sourceHealth.markFallback('twitter', 'Twitter disabled or no bearer token — serving custom feed');
       const custom = await this.getCustomTweets();
       await cacheService.set(cacheKey, custom, config.cache.tweets);
       return custom;
@@ -128,7 +130,7 @@ class SocialService {
   async fetchRedditPosts(subreddit, sort = 'hot', limit = 10) {
     try {
       // Reddit allows unauthenticated requests with proper User-Agent
-      const response = await fetch(
+      const response = await trackedFetch(
         `https://www.reddit.com/r/${subreddit}/${sort}.json?limit=${limit}`,
         {
           headers: { 'User-Agent': config.reddit.userAgent }
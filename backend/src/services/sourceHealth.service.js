@@ -0,0 +1,250 @@
+/**
+ * Source Health Registry
+ * Tracks success, latency, last-good timestamp and error rate per upstream
+ * (GDELT, UCDP, World Bank, ...) so /health and the status bar can show
+ * which feeds are degraded or serving fallback/mock data.
+ *
+ * Services report through trackedFetch(), a drop-in replacement for fetch()
+ * that attributes each call to an upstream by hostname.
+ */
+
+const WINDOW_SIZE = 50;          // rolling window of recent calls per source
+const DEGRADED_ERROR_RATE = 0.25;
+const DOWN_CONSECUTIVE_FAILURES = 3;
+const MAX_ERROR_LENGTH = 300;
+
+// Known upstreams. `staleAfterMs` flags a source whose last success is older
+// than its expected refresh cadence (with headroom).
+const SOURCES = {
+  gdelt:        { name: 'GDELT',        hosts: ['api.gdeltproject.org'],                 staleAfterMs: 60 * 60 * 1000 },
+  ucdp:         { name: 'UCDP',         hosts: ['ucdpapi.pcr.uu.se'],                    staleAfterMs: 48 * 60 * 60 * 1000 },
+  worldbank:    { name: 'World Bank',   hosts: ['api.worldbank.org'],                    staleAfterMs: 48 * 60 * 60 * 1000 },
+  eonet:        { name: 'NASA EONET',   hosts: ['eonet.gsfc.nasa.gov'],                  staleAfterMs: 60 * 60 * 1000 },
+  reliefweb:    { name: 'ReliefWeb',    hosts: ['api.reliefweb.int'],                    staleAfterMs: 60 * 60 * 1000 },
+  cisakev:      { name: 'CISA KEV',     hosts: ['www.cisa.gov'],                         staleAfterMs: 60 * 60 * 1000 },
+  polymarket:   { name: 'Polymarket',   hosts: ['gamma-api.polymarket.com'],             staleAfterMs: 60 * 60 * 1000 },
+  kalshi:       { name: 'Kalshi',       hosts: ['api.elections.kalshi.com'],             staleAfterMs: 60 * 60 * 1000 },
+  metaculus:    { name: 'Metaculus',    hosts: ['www.metaculus.com'],                    staleAfterMs: 2 * 60 * 60 * 1000 },
+  fec:          { name: 'FEC',          hosts: ['api.open.fec.gov'],                     staleAfterMs: 2 * 60 * 60 * 1000 },
+  googlecivic:  { name: 'Google Civic', hosts: ['www.googleapis.com'],                   staleAfterMs: 24 * 60 * 60 * 1000 },
+  wikidata:     { name: 'Wikidata',     hosts: ['query.wikidata.org'],                   staleAfterMs: 48 * 60 * 60 * 1000 },
+  unhcr:        { name: 'UNHCR',        hosts: ['api.unhcr.org'],                        staleAfterMs: 4 * 60 * 60 * 1000 },
+  yahoo:        { name: 'Yahoo Finance', hosts: ['query1.finance.yahoo.com'],            staleAfterMs: 60 * 60 * 1000 },
+  frankfurter:  { name: 'Frankfurter',  hosts: ['api.frankfurter.app'],                  staleAfterMs: 24 * 60 * 60 * 1000 },
+  newsapi:      { name: 'NewsAPI',      hosts: ['newsapi.org'],                          staleAfterMs: 60 * 60 * 1000 },
+  twitter:      { name: 'Twitter/X',    hosts: ['api.twitter.com'],                      staleAfterMs: 60 * 60 * 1000 },
+  reddit:       { name: 'Reddit',       hosts: ['www.reddit.com'],                       staleAfterMs: 60 * 60 * 1000 },
+  alphavantage: { name: 'Alpha Vantage', hosts: ['www.alphavantage.co'],                 staleAfterMs: 60 * 60 * 1000 },
+  opensky:      { name: 'OpenSky',      hosts: ['opensky-network.org', 'auth.opensky-network.org'], staleAfterMs: 30 * 60 * 1000 },
+  russianwarship: { name: 'UA MOD losses', hosts: ['russianwarship.rip'],                staleAfterMs: 2 * 60 * 60 * 1000 },
+};
+
+const HOST_TO_SOURCE = new Map(
+  Object.entries(SOURCES).flatMap(([id, s]) => s.hosts.map(h => [h, id]))
+);
+
+/**
+ * Resolve a URL to a registered source id, or null for untracked hosts.
+ */
+export function resolveSource(url) {
+  try {
+    return HOST_TO_SOURCE.get(new URL(url).hostname) || null;
+  } catch {
+    return null;
+  }
+}
+
+function createEntry(id) {
+  return {
+    id,
+    name: SOURCES[id]?.name || id,
+    staleAfterMs: SOURCES[id]?.staleAfterMs || null,
+    recent: [],               // [{ ok, latencyMs, at }]
+    totalCalls: 0,
+    totalFailures: 0,
+    consecutiveFailures: 0,
+    lastCallAt: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastLatencyMs: null,
+    fallback: null,           // { reason, at } when a service is serving fallback/mock data
+  };
+}
+
+class SourceHealthRegistry {
+  constructor() {
+    this.sources = new Map();
+    for (const id of Object.keys(SOURCES)) {
+      this.sources.set(id, createEntry(id));
+    }
+  }
+
+  getEntry(id) {
+    if (!this.sources.has(id)) this.sources.set(id, createEntry(id));
+    return this.sources.get(id);
+  }
+
+  /**
+   * Record the outcome of one upstream call.
+   * @param {string} id - source id (see SOURCES)
+   * @param {{ ok: boolean, latencyMs: number, error?: string }} outcome
+   */
+  record(id, { ok, latencyMs, error = null }) {
+    const entry = this.getEntry(id);
+    const now = new Date().toISOString();
+
+    entry.recent.push({ ok, latencyMs, at: now });
+    if (entry.recent.length > WINDOW_SIZE) entry.recent.shift();
+
+    entry.totalCalls++;
+    entry.lastCallAt = now;
+    entry.lastLatencyMs = latencyMs;
+
+    if (ok) {
+      entry.consecutiveFailures = 0;
+      entry.lastSuccessAt = now;
+      entry.fallback = null;
+    } else {
+      entry.totalFailures++;
+      entry.consecutiveFailures++;
+      entry.lastFailureAt = now;
+      entry.lastError = error ? String(error).slice(0, MAX_ERROR_LENGTH) : 'Unknown error';
+    }
+  }
+
+  /**
+   * Flag that a service is serving fallback or mock data for a source
+   * (e.g. no API key configured). Cleared on the next successful call.
+   */
+  markFallback(id, reason) {
+    const entry = this.getEntry(id);
+    entry.fallback = { reason, at: new Date().toISOString() };
+  }
+
+  /**
+   * Call and failure counters for some sources, to compare against after a
+   * job run (see failedSince).
+   */
+  counters(ids) {
+    return Object.fromEntries(ids.map(id => {
+      const entry = this.getEntry(id);
+      return [id, { calls: entry.totalCalls, failures: entry.totalFailures }];
+    }));
+  }
+
+  /**
+   * Whether every source called since `before` (from counters()) failed
+   * every call. Sources not called in between (cache hits, not configured)
+   * are ignored.
+   * @returns {string|null} a description of the failures, or null
+   */
+  failedSince(before) {
+    const failed = [];
+    for (const [id, start] of Object.entries(before)) {
+      const entry = this.getEntry(id);
+      const calls = entry.totalCalls - start.calls;
+      if (calls === 0) continue;
+      if (entry.totalFailures - start.failures < calls) return null;
+      failed.push(`${entry.name}: ${entry.lastError}`);
+    }
+    return failed.length > 0 ? `Upstream failed (${failed.join('; ')})` : null;
+  }
+
+  describe(entry) {
+    const calls = entry.recent.length;
+    const failures = entry.recent.filter(r => !r.ok).length;
+    const errorRate = calls > 0 ? failures / calls : 0;
+    const latencies = entry.recent.filter(r => r.ok).map(r => r.latencyMs);
+    const avgLatencyMs = latencies.length > 0
+      ? Math.round(latencies.reduce((s, l) => s + l, 0) / latencies.length)
+      : null;
+    const stale = Boolean(
+      entry.staleAfterMs && entry.lastSuccessAt &&
+      Date.now() - new Date(entry.lastSuccessAt).getTime() > entry.staleAfterMs
+    );
+
+    let status;
+    if (entry.fallback) status = 'fallback';
+    else if (calls === 0) status = 'unknown';
+    else if (entry.consecutiveFailures >= DOWN_CONSECUTIVE_FAILURES || !entry.lastSuccessAt) status = 'down';
+    else if (errorRate >= DEGRADED_ERROR_RATE || entry.consecutiveFailures > 0 || stale) status = 'degraded';
+    else status = 'healthy';
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      status,
+      stale,
+      errorRate: Math.round(errorRate * 100) / 100,
+      avgLatencyMs,
+      lastLatencyMs: entry.lastLatencyMs,
+      lastCallAt: entry.lastCallAt,
+      lastSuccessAt: entry.lastSuccessAt,
+      lastFailureAt: entry.lastFailureAt,
+      lastError: entry.lastError,
+      consecutiveFailures: entry.consecutiveFailures,
+      totalCalls: entry.totalCalls,
+      totalFailures: entry.totalFailures,
+      fallback: entry.fallback,
+    };
+  }
+
+  getStatus() {
+    const sources = Array.from(this.sources.values()).map(e => this.describe(e));
+    const count = (status) => sources.filter(s => s.status === status).length;
+    return {
+      summary: {
+        total: sources.length,
+        healthy: count('healthy'),
+        degraded: count('degraded'),
+        down: count('down'),
+        fallback: count('fallback'),
+        unknown: count('unknown'),
+      },
+      sources,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Compact view for /health: counts plus the ids of non-healthy sources.
+   */
+  getSummary() {
+    const { summary, sources } = this.getStatus();
+    return {
+      ...summary,
+      unhealthy: sources
+        .filter(s => s.status === 'degraded' || s.status === 'down' || s.status === 'fallback')
+        .map(s => ({ id: s.id, name: s.name, status: s.status })),
+    };
+  }
+}
+
+export const sourceHealth = new SourceHealthRegistry();
+
+/**
+ * fetch() wrapper that reports success/latency/errors to the registry.
+ * Calls to untracked hosts pass straight through.
+ * Non-2xx responses count as failures but are still returned to the caller.
+ */
+export async function trackedFetch(url, options) {
+  const id = resolveSource(String(url));
+  if (!id) return fetch(url, options);
+
+  const start = Date.now();
+  try {
+    const res = await fetch(url, options);
+    sourceHealth.record(id, {
+      ok: res.ok,
+      latencyMs: Date.now() - start,
+      error: res.ok ? null : `HTTP ${res.status}`,
+    });
+    return res;
+  } catch (error) {
+    sourceHealth.record(id, { ok: false, latencyMs: Date.now() - start, error: error.message });
+    throw error;
+  }
+}
+
+export default sourceHealth;
@@ -6,11 +6,12 @@
 
 import { cacheService } from './cache.service.js';
 import Parser from 'rss-parser';
+import { gdeltClient } from './gdelt.service.js';
+import { geotagService } from './geotag.service.js';
 
 const parser = new Parser({ timeout: 10000, maxRedirects: 3 });
 
 const CACHE_TTL = 600; // 10 minutes
-const GDELT_BASE = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 // ─── Country → lat/lon centroid lookup (ISO alpha-2) ───
 const COUNTRY_COORDS = {
@@ -69,11 +70,8 @@ async function fetchGoogleNewsRSS(query, maxItems = 30) {
 // ─── GDELT Doc API fetch ───
 async function fetchGDELT(query, maxRecords = 75, timespan = '7d') {
   try {
-    const url = `${GDELT_BASE}?query=${encodeURIComponent(query)}&mode=ArtList&maxrecords=${maxRecords}&timespan=${timespan}&format=json`;
-    const resp = await fetch(url, { signal: AbortSignal.timeout(12000) });
-    if (!resp.ok) throw new Error(`GDELT HTTP ${resp.status}`);
-    const data = await resp.json();
-    return (data.articles || []).map((a) => ({
+    const articles = await gdeltClient.artList(query, { maxRecords, timespan });
+    return articles.map((a) => ({
       title: a.title || '',
       url: a.url || '',
       source: a.domain || '',
@@ -88,73 +86,148 @@ async function fetchGDELT(query, maxRecords = 75, timespan = '7d') {
   }
 }
 
-// ─── Resolve country code from GDELT sourcecountry field ───
-function resolveCountryCode(sourcecountry) {
-  if (!sourcecountry) return null;
-  const sc = sourcecountry.trim().toUpperCase();
-  // GDELT uses FIPS codes; map common ones to ISO alpha-2
-  const FIPS_TO_ISO = {
-    US: 'US', UK: 'GB', FR: 'FR', GM: 'DE', RS: 'RU', CH: 'CN', IN: 'IN',
-    JA: 'JP', KS: 'KR', KN: 'KP', BR: 'BR', AU: 'AU', CA: 'CA', IS: 'IL',
-    IR: 'IR', IZ: 'IQ', TU: 'TR', PK: 'PK', EG: 'EG', SF: 'ZA', NI: 'NG',
-    BM: 'MM', SU: 'SD', ET: 'ET', SO: 'SO', HA: 'HT', CU: 'CU', VE: 'VE',
-    MX: 'MX', CO: 'CO', PE: 'PE', AR: 'AR', UP: 'UA', LY: 'LY', SY: 'SY',
-    YM: 'YE', AF: 'AF', CE: 'LK', TH: 'TH', VM: 'VN', RP: 'PH', ID: 'ID',
-    MY: 'MY', BG: 'BD', NP: 'NP', KE: 'KE', TZ: 'TZ', UG: 'UG', CG: 'CD',
-    CF: 'CF', CM: 'CM', IV: 'CI', GH: 'GH', SN: 'SN', ML: 'ML', NG: 'NE',
-    PO: 'PL', HU: 'HU', RO: 'RO', BU: 'BG', EN: 'EE', LG: 'LV', LH: 'LT',
-    GG: 'GE', AM: 'AM', AJ: 'AZ', KZ: 'KZ', TI: 'TJ', TX: 'TM', UZ: 'UZ',
-    KG: 'KG',
+// ─── Event location resolution ───
+// GDELT's sourcecountry is where the outlet is based, not where the event
+// happened (a BBC story about protests in Nairobi is tagged UK). Articles are
+// placed by the places they name instead:
+//   1. places in the headline, matched against the gazetteer (geotag.service.js)
+//   2. GDELT GEO API locations extracted from the full article text
+// Articles that name no place are counted but not mapped.
+
+const MAX_PLACES_PER_COUNTRY = 3;
+
+// Country a GEO API place name ("Nairobi, Nairobi Area, Kenya") belongs to
+function locateGeoPoint(point) {
+  const parts = point.name.split(',').map((part) => part.trim()).filter(Boolean);
+  const country = geotagService.tag({ title: parts[parts.length - 1] || '' });
+  if (!country) return null;
+  const isPlace = parts.length > 1;
+  return {
+    code: country.country,
+    countryName: country.countryName,
+    place: isPlace ? parts[0] : null,
+    lat: point.lat,
+    lon: point.lon,
+    precision: isPlace ? 'city' : 'country',
+    locatedBy: 'gdelt-geo',
   };
-  return FIPS_TO_ISO[sc] || (sc.length === 2 && COUNTRY_COORDS[sc] ? sc : null);
 }
 
-// ─── Build protest / unrest data ───
-async function fetchProtestData() {
-  const [gdeltArticles, rssArticles] = await Promise.allSettled([
-    fetchGDELT('protest OR unrest OR demonstration OR riot OR strike action', 100, '14d'),
-    fetchGoogleNewsRSS('protest unrest demonstration worldwide', 40),
-  ]);
+// Article URL -> location, from GDELT GEO points for the same query.
+// An article mentioning several places goes to the most covered one.
+async function fetchGeoIndex(query) {
+  const index = new Map();
+  try {
+    const points = await gdeltClient.geoPoints(query, { timespan: '7d' });
+    points.sort((a, b) => b.count - a.count);
+    for (const point of points) {
+      const location = locateGeoPoint(point);
+      if (!location) continue;
+      for (const url of point.urls) {
+        if (!index.has(url)) index.set(url, location);
+      }
+    }
+  } catch (err) {
+    console.warn(`[Stability] GDELT GEO fetch failed for "${query}":`, err.message);
+  }
+  return index;
+}
 
-  const articles = gdeltArticles.status === 'fulfilled' ? gdeltArticles.value : [];
-  const rss = rssArticles.status === 'fulfilled' ? rssArticles.value : [];
+function locateArticle(article, geoIndex) {
+  const geo = geotagService.tag({ title: article.title });
+  if (geo) {
+    return {
+      code: geo.country,
+      countryName: geo.countryName,
+      place: geo.city,
+      lat: geo.lat,
+      lon: geo.lon,
+      precision: geo.precision,
+      locatedBy: 'headline',
+    };
+  }
+  return geoIndex.get(article.url) || null;
+}
+
+/**
+ * Group articles by the country they are about.
+ * @returns {{ buckets: Array<{ code, countryName, lat, lon, count, places, articles }>, unlocated: number }}
+ */
+function groupByEventCountry(articles, geoIndex) {
+  const byCountry = new Map();
+  let unlocated = 0;
 
-  // Aggregate by country from GDELT
-  const countryHeat = {};
   for (const article of articles) {
-    const code = resolveCountryCode(article.sourcecountry);
-    if (!code || !COUNTRY_COORDS[code]) continue;
-    if (!countryHeat[code]) {
-      countryHeat[code] = { count: 0, articles: [] };
+    const location = locateArticle(article, geoIndex);
+    if (!location) {
+      unlocated++;
+      continue;
     }
-    countryHeat[code].count++;
-    if (countryHeat[code].articles.length < 5) {
-      countryHeat[code].articles.push({
+    if (!byCountry.has(location.code)) {
+      // Country centroid, or the first resolved location for countries missing from COUNTRY_COORDS
+      const [lat, lon] = COUNTRY_COORDS[location.code] || [location.lat, location.lon];
+      byCountry.set(location.code, {
+        code: location.code, countryName: location.countryName, lat, lon, count: 0, places: new Map(), articles: [],
+      });
+    }
+    const bucket = byCountry.get(location.code);
+    bucket.count++;
+    if (location.place) {
+      const place = bucket.places.get(location.place) || { name: location.place, lat: location.lat, lon: location.lon, count: 0 };
+      place.count++;
+      bucket.places.set(location.place, place);
+    }
+    if (bucket.articles.length < 5) {
+      bucket.articles.push({
         title: article.title,
         url: article.url,
         date: article.date,
         source: article.source,
+        location: location.place || location.countryName,
+        locatedBy: location.locatedBy,
       });
     }
   }
 
-  // Convert to heatmap points
-  const heatmapPoints = Object.entries(countryHeat).map(([code, data]) => {
-    const [lat, lon] = COUNTRY_COORDS[code];
-    return {
-      id: `protest-${code}`,
-      countryCode: code,
-      lat,
-      lon,
-      intensity: Math.min(10, Math.max(1, Math.round(data.count / 3))),
-      count: data.count,
-      articles: data.articles,
-    };
-  });
+  const buckets = Array.from(byCountry.values()).map((bucket) => ({
+    ...bucket,
+    places: Array.from(bucket.places.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_PLACES_PER_COUNTRY),
+  }));
+  return { buckets, unlocated };
+}
+
+// ─── Build protest / unrest data ───
+async function fetchProtestData() {
+  const query = 'protest OR unrest OR demonstration OR riot OR strike action';
+  const [gdeltArticles, rssArticles, geoIndex] = await Promise.allSettled([
+    fetchGDELT(query, 100, '14d'),
+    fetchGoogleNewsRSS('protest unrest demonstration worldwide', 40),
+    fetchGeoIndex(query),
+  ]);
+
+  const articles = gdeltArticles.status === 'fulfilled' ? gdeltArticles.value : [];
+  const rss = rssArticles.status === 'fulfilled' ? rssArticles.value : [];
+  const { buckets, unlocated } = groupByEventCountry(articles, geoIndex.status === 'fulfilled' ? geoIndex.value : new Map());
+
+  // Convert to heatmap points (country centroid; `places` pinpoints cities)
+  const heatmapPoints = buckets.map((data) => ({
+    id: `protest-${data.code}`,
+    countryCode: data.code,
+    countryName: data.countryName,
+    lat: data.lat,
+    lon: data.lon,
+    intensity: Math.min(10, Math.max(1, Math.round(data.count / 3))),
+    count: data.count,
+    places: data.places,
+    articles: data.articles,
+  }));
 
   return {
     heatmapPoints,
     totalArticles: articles.length,
+    unlocatedArticles: unlocated,
     newsHeadlines: rss.slice(0, 20),
     lastUpdated: new Date().toISOString(),
   };
@@ -162,42 +235,28 @@ async function fetchProtestData() {
 
 // ─── Build military movement data ───
 async function fetchMilitaryData() {
-  const [gdeltArticles, rssArticles] = await Promise.allSettled([
-    fetchGDELT('military deployment OR troop movement OR naval exercise OR military buildup OR military drill', 100, '14d'),
+  const query = 'military deployment OR troop movement OR naval exercise OR military buildup OR military drill';
+  const [gdeltArticles, rssArticles, geoIndex] = await Promise.allSettled([
+    fetchGDELT(query, 100, '14d'),
     fetchGoogleNewsRSS('military movement deployment exercise buildup', 40),
+    fetchGeoIndex(query),
   ]);
 
   const articles = gdeltArticles.status === 'fulfilled' ? gdeltArticles.value : [];
   const rss = rssArticles.status === 'fulfilled' ? rssArticles.value : [];
+  const { buckets, unlocated } = groupByEventCountry(articles, geoIndex.status === 'fulfilled' ? geoIndex.value : new Map());
 
-  const countryMil = {};
-  for (const article of articles) {
-    const code = resolveCountryCode(article.sourcecountry);
-    if (!code || !COUNTRY_COORDS[code]) continue;
-    if (!countryMil[code]) {
-      countryMil[code] = { count: 0, articles: [] };
-    }
-    countryMil[code].count++;
-    if (countryMil[code].articles.length < 5) {
-      countryMil[code].articles.push({
-        title: article.title,
-        url: article.url,
-        date: article.date,
-        source: article.source,
-      });
-    }
-  }
-
-  const indicators = Object.entries(countryMil).map(([code, data]) => {
-    const [lat, lon] = COUNTRY_COORDS[code];
+  const indicators = buckets.map((data) => {
     const severity = data.count > 15 ? 'critical' : data.count > 8 ? 'high' : data.count > 3 ? 'elevated' : 'low';
     return {
-      id: `mil-${code}`,
-      countryCode: code,
-      lat,
-      lon,
+      id: `mil-${data.code}`,
+      countryCode: data.code,
+      countryName: data.countryName,
+      lat: data.lat,
+      lon: data.lon,
       count: data.count,
       severity,
+      places: data.places,
       articles: data.articles,
     };
   });
@@ -205,6 +264,7 @@ async function fetchMilitaryData() {
   return {
     indicators,
     totalArticles: articles.length,
+    unlocatedArticles: unlocated,
     newsHeadlines: rss.slice(0, 20),
     lastUpdated: new Date().toISOString(),
   };
@@ -212,31 +272,16 @@ async function fetchMilitaryData() {
 
 // ─── Build instability alerts ───
 async function fetchInstabilityData() {
-  const [gdeltArticles, rssArticles] = await Promise.allSettled([
-    fetchGDELT('assassination OR coup OR regime change OR political crisis OR martial law OR political instability', 100, '14d'),
+  const query = 'assassination OR coup OR regime change OR political crisis OR martial law OR political instability';
+  const [gdeltArticles, rssArticles, geoIndex] = await Promise.allSettled([
+    fetchGDELT(query, 100, '14d'),
     fetchGoogleNewsRSS('assassination coup regime change political crisis', 40),
+    fetchGeoIndex(query),
   ]);
 
   const articles = gdeltArticles.status === 'fulfilled' ? gdeltArticles.value : [];
   const rss = rssArticles.status === 'fulfilled' ? rssArticles.value : [];
-
-  const countryAlerts = {};
-  for (const article of articles) {
-    const code = resolveCountryCode(article.sourcecountry);
-    if (!code || !COUNTRY_COORDS[code]) continue;
-    if (!countryAlerts[code]) {
-      countryAlerts[code] = { count: 0, articles: [] };
-    }
-    countryAlerts[code].count++;
-    if (countryAlerts[code].articles.length < 5) {
-      countryAlerts[code].articles.push({
-        title: article.title,
-        url: article.url,
-        date: article.date,
-        source: article.source,
-      });
-    }
-  }
+  const { buckets, unlocated } = groupByEventCountry(articles, geoIndex.status === 'fulfilled' ? geoIndex.value : new Map());
 
   // Classify alert type based on article text
   function classifyAlert(articles) {
@@ -248,17 +293,18 @@ async function fetchInstabilityData() {
     return 'political_crisis';
   }
 
-  const alerts = Object.entries(countryAlerts).map(([code, data]) => {
-    const [lat, lon] = COUNTRY_COORDS[code];
+  const alerts = buckets.map((data) => {
     const severity = data.count > 12 ? 'critical' : data.count > 6 ? 'high' : data.count > 2 ? 'elevated' : 'moderate';
     return {
-      id: `alert-${code}`,
-      countryCode: code,
-      lat,
-      lon,
+      id: `alert-${data.code}`,
+      countryCode: data.code,
+      countryName: data.countryName,
+      lat: data.lat,
+      lon: data.lon,
       type: classifyAlert(data.articles),
       severity,
       count: data.count,
+      places: data.places,
       articles: data.articles,
     };
   });
@@ -269,6 +315,7 @@ async function fetchInstabilityData() {
   return {
     alerts,
     totalArticles: articles.length,
+    unlocatedArticles: unlocated,
     newsHeadlines: rss.slice(0, 20),
     lastUpdated: new Date().toISOString(),
   };
@@ -277,55 +324,32 @@ async function fetchInstabilityData() {
 // ─── Public API ───
 
 export const stabilityService = {
-  async getProtestData() {
-    const cacheKey = 'stability:protests';
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
-
-    const data = await fetchProtestData();
-    await cacheService.set(cacheKey, data, CACHE_TTL);
-    return data;
+  async getProtestData({ refresh = false } = {}) {
+    return cacheService.wrap('stability:protests', CACHE_TTL, fetchProtestData, { refresh });
   },
 
-  async getMilitaryData() {
-    const cacheKey = 'stability:military';
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
-
-    const data = await fetchMilitaryData();
-    await cacheService.set(cacheKey, data, CACHE_TTL);
-    return data;
+  async getMilitaryData({ refresh = false } = {}) {
+    return cacheService.wrap('stability:military', CACHE_TTL, fetchMilitaryData, { refresh });
   },
 
-  async getInstabilityData() {
-    const cacheKey = 'stability:instability';
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
-
-    const data = await fetchInstabilityData();
-    await cacheService.set(cacheKey, data, CACHE_TTL);
-    return data;
+  async getInstabilityData({ refresh = false } = {}) {
+    return cacheService.wrap('stability:instability', CACHE_TTL, fetchInstabilityData, { refresh });
   },
 
-  async getCombinedData() {
-    const cacheKey = 'stability:combined';
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
-
-    const [protests, military, instability] = await Promise.allSettled([
-      this.getProtestData(),
-      this.getMilitaryData(),
-      this.getInstabilityData(),
-    ]);
-
-    const data = {
-      protests: protests.status === 'fulfilled' ? protests.value : { heatmapPoints: [], newsHeadlines: [], totalArticles: 0 },
-      military: military.status === 'fulfilled' ? military.value : { indicators: [], newsHeadlines: [], totalArticles: 0 },
-      instability: instability.status === 'fulfilled' ? instability.value : { alerts: [], newsHeadlines: [], totalArticles: 0 },
-      lastUpdated: new Date().toISOString(),
-    };
-
-    await cacheService.set(cacheKey, data, CACHE_TTL);
-    return data;
+  async getCombinedData({ refresh = false } = {}) {
+    return cacheService.wrap('stability:combined', CACHE_TTL, async () => {
+      const [protests, military, instability] = await Promise.allSettled([
+        this.getProtestData({ refresh }),
+        this.getMilitaryData({ refresh }),
+        this.getInstabilityData({ refresh }),
+      ]);
+
+      return {
+        protests: protests.status === 'fulfilled' ? protests.value : { heatmapPoints: [], newsHeadlines: [], totalArticles: 0 },
+        military: military.status === 'fulfilled' ? military.value : { indicators: [], newsHeadlines: [], totalArticles: 0 },
+        instability: instability.status === 'fulfilled' ? instability.value : { alerts: [], newsHeadlines: [], totalArticles: 0 },
+        lastUpdated: new Date().toISOString(),
+      };
+    }, { refresh });
   },
 };
@@ -5,6 +5,7 @@
 
 import config from '../config/index.js';
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const CACHE_KEYS = {
   movers: 'stocks:movers',
@@ -86,7 +87,7 @@ class StocksService {
 
   async fetchJson(params = {}) {
     this.requireApiKey();
-    const res = await fetch(this.buildUrl(params));
+    const res = await trackedFetch(this.buildUrl(params));
     if (!res.ok) {
       throw new Error(`Alpha Vantage request failed (${res.status})`);
     }
@@ -101,7 +102,7 @@ class StocksService {
 
   async fetchText(params = {}) {
     this.requireApiKey();
-    const res = await fetch(this.buildUrl(params));
+    const res = await trackedFetch(this.buildUrl(params));
     if (!res.ok) {
       throw new Error(`Alpha Vantage request failed (${res.status})`);
     }
@@ -0,0 +1,219 @@
+/**
+ * Story Clustering Service
+ * Groups near-duplicate feed items (the same wire story syndicated across
+ * NewsAPI, RSS feeds, Reddit and Twitter) into clusters.
+ *
+ * Each cluster is returned as its canonical item with a `cluster` field:
+ *   cluster: {
+ *     id,           // id of the earliest item, stable across refreshes
+ *     size,         // number of items covering the story
+ *     firstSeenBy,  // { sourceName, contentType, url, publishedAt } of the earliest item
+ *     lastSeenAt,   // newest publishedAt in the cluster
+ *     sources: [{ id, title, sourceName, source, contentType, url, publishedAt }]  // siblings
+ *   }
+ * so existing consumers of flat feed items keep working.
+ */
+
+// Items further apart than this are never the same story
+const MAX_CLUSTER_SPAN_MS = 48 * 60 * 60 * 1000;
+// Title token-set Jaccard at or above this is a match on its own
+const TITLE_MATCH = 0.6;
+// Shorter title fully contained in the longer one (e.g. tweet quoting a headline)
+const TITLE_CONTAINMENT = 0.85;
+const MIN_CONTAINMENT_TOKENS = 5;
+// Weaker title overlap is accepted when the bodies agree
+const TITLE_WITH_BODY = 0.3;
+const BODY_MATCH = 0.5;
+const MAX_BODY_TOKENS = 80;
+// Title tokens shared by more items than this are too common to find candidates with
+const MAX_POSTING_LIST = 200;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'over', 'says', 'said',
+  'she', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'were', 'will', 'with', 'after',
+  'amid', 'new', 'not', 'up', 'out', 'who', 'what', 'why', 'how', 'than', 'more', 'about', 'rt',
+]);
+
+// "Headline - Reuters", "Headline | BBC News", "Headline — Al Jazeera"
+const SOURCE_SUFFIX = /\s+[-|–—]\s+[^-|–—]{2,40}$/;
+
+function tokenize(text, max = Infinity) {
+  const tokens = [];
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/&[a-z]+;/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/);
+  for (const word of words) {
+    if (word.length < 2 || STOPWORDS.has(word)) continue;
+    tokens.push(word);
+    if (tokens.length >= max) break;
+  }
+  return tokens;
+}
+
+function normalizeTitle(title) {
+  return (title || '').replace(SOURCE_SUFFIX, '');
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return { jaccard: 0, containment: 0, minSize: 0 };
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const token of small) if (large.has(token)) shared++;
+  return {
+    jaccard: shared / (a.size + b.size - shared),
+    containment: shared / small.size,
+    minSize: small.size,
+  };
+}
+
+/**
+ * Similarity in [0, 1] between two prepared items; 0 when they are not
+ * considered the same story.
+ */
+function similarity(a, b) {
+  if (Math.abs(a.time - b.time) > MAX_CLUSTER_SPAN_MS) return 0;
+  if (a.url && a.url === b.url) return 1;
+
+  const title = overlap(a.titleTokens, b.titleTokens);
+  if (title.jaccard >= TITLE_MATCH) return title.jaccard;
+  if (title.minSize >= MIN_CONTAINMENT_TOKENS && title.containment >= TITLE_CONTAINMENT) {
+    return title.containment * TITLE_MATCH;
+  }
+  if (title.jaccard >= TITLE_WITH_BODY) {
+    const body = overlap(a.bodyTokens, b.bodyTokens);
+    if (body.jaccard >= BODY_MATCH) return (title.jaccard + body.jaccard) / 2;
+  }
+  return 0;
+}
+
+function prepare(item) {
+  const time = new Date(item.publishedAt).getTime();
+  return {
+    item,
+    url: item.url || null,
+    time: Number.isFinite(time) ? time : Date.now(),
+    titleTokens: new Set(tokenize(normalizeTitle(item.title))),
+    bodyTokens: new Set(tokenize(item.content || item.summary, MAX_BODY_TOKENS)),
+  };
+}
+
+// Full articles make better canonical items than tweets or Reddit links
+function canonicalRank(entry) {
+  const typeRank = entry.item.contentType === 'article' ? 1 : 0;
+  const textLength = (entry.item.content || entry.item.summary || '').length;
+  return typeRank * 1e6 + Math.min(textLength, 1e5);
+}
+
+function describeSource(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    sourceName: item.sourceName || item.source,
+    source: item.source,
+    contentType: item.contentType,
+    url: item.url,
+    publishedAt: item.publishedAt,
+  };
+}
+
+// `members` are in time order (see cluster())
+function buildCluster(members) {
+  const first = members[0];
+  const canonical = members.reduce((best, entry) =>
+    (canonicalRank(entry) > canonicalRank(best) ? entry : best), first);
+  const lastSeen = members[members.length - 1];
+
+  return {
+    ...canonical.item,
+    cluster: {
+      id: first.item.id || first.url,
+      size: members.length,
+      firstSeenBy: {
+        sourceName: first.item.sourceName || first.item.source,
+        contentType: first.item.contentType,
+        url: first.item.url,
+        publishedAt: first.item.publishedAt,
+      },
+      lastSeenAt: lastSeen.item.publishedAt,
+      sources: members.filter(entry => entry !== canonical).map(entry => describeSource(entry.item)),
+    },
+  };
+}
+
+export const storyClusterService = {
+  /**
+   * Cluster feed items. Input order does not matter; clusters come back
+   * newest first (by their most recent item).
+   */
+  cluster(items) {
+    const entries = items.map(prepare).sort((a, b) => a.time - b.time);
+    const clusters = [];           // arrays of entries
+    const postings = new Map();    // title token -> cluster indexes
+
+    for (const entry of entries) {
+      const candidates = new Set();
+      for (const token of entry.titleTokens) {
+        const list = postings.get(token);
+        if (list && list.length <= MAX_POSTING_LIST) list.forEach(idx => candidates.add(idx));
+      }
+
+      let bestIdx = -1;
+      let bestScore = 0;
+      for (const idx of candidates) {
+        for (const member of clusters[idx]) {
+          const score = similarity(entry, member);
+          if (score > bestScore) {
+            bestScore = score;
+            bestIdx = idx;
+          }
+        }
+      }
+
+      const idx = bestIdx >= 0 ? bestIdx : clusters.push([]) - 1;
+      clusters[idx].push(entry);
+      for (const token of entry.titleTokens) {
+        const list = postings.get(token) || [];
+        if (list[list.length - 1] !== idx) list.push(idx);
+        postings.set(token, list);
+      }
+    }
+
+    // Members were appended in time order, so the last one is the newest
+    return clusters
+      .sort((a, b) => b[b.length - 1].time - a[a.length - 1].time)
+      .map(buildCluster);
+  },
+
+  /**
+   * All items in a cluster (canonical + siblings), for per-source filtering and stats.
+   */
+  members(cluster) {
+    if (!cluster.cluster) return [cluster];
+    return [cluster, ...cluster.cluster.sources];
+  },
+
+  /**
+   * Feed filter shared by the REST feed and WebSocket subscriptions: a story
+   * matches when any member has one of `types` (exact content type) and any
+   * member has one of `sources` (case-insensitive substring of source or
+   * sourceName). Empty lists match everything.
+   */
+  matchesFilters(story, { types = [], sources = [] } = {}) {
+    const members = this.members(story);
+    if (types.length > 0 && !members.some(member => types.includes(member.contentType))) return false;
+    if (sources.length > 0) {
+      const needles = sources.map(s => String(s).toLowerCase());
+      return members.some(member => needles.some(needle =>
+        member.source?.toLowerCase().includes(needle) ||
+        member.sourceName?.toLowerCase().includes(needle)
+      ));
+    }
+    return true;
+  },
+};
+
+export default storyClusterService;
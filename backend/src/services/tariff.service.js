@@ -42,12 +42,12 @@ const RSS_FEEDS = [
 /**
  * Known tariff rate overrides.
  * These represent the latest confirmed tariff changes that may differ
- * from the static baseline in tariffData.js.
- * The backend periodically refreshes these from news analysis.
+ * from the curated `tariffs` reference dataset (referenceData.service.js).
+ * Populated at runtime from admin-approved proposals detected in tariff
+ * news (see tariffOverrides.service.js).
  */
 const RATE_OVERRIDES = {
-  // Format: countryName -> { universal, goods: { sector: rate }, effectiveDate, source }
-  // Populated at runtime from parsed news / executive orders
+  // Format: countryName -> { universal, goods: { sector: rate }, effectiveDate, source, sourceTitle }
 };
 
 class TariffService {
@@ -141,7 +141,7 @@ class TariffService {
   /**
    * Apply a tariff rate override (called when new tariff changes are detected)
    */
-  applyOverride(country, { universal, goods, effectiveDate, source }) {
+  applyOverride(country, { universal, goods, effectiveDate, source, sourceTitle }) {
     this.rateOverrides[country] = {
       ...(this.rateOverrides[country] || {}),
       ...(universal != null ? { universal } : {}),
@@ -151,10 +151,11 @@ class TariffService {
       },
       effectiveDate: effectiveDate || new Date().toISOString(),
       source: source || 'manual',
+      sourceTitle: sourceTitle || null,
       updatedAt: new Date().toISOString(),
     };
     // Bust cache so next request picks up the change
-    cacheService.del(CACHE_KEYS.tariffUpdates).catch(() => {});
+    cacheService.delete(CACHE_KEYS.tariffUpdates).catch(() => {});
   }
 
   // ─── Combined endpoint ───
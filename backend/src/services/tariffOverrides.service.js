@@ -0,0 +1,419 @@
+/**
+ * Tariff Override Detection
+ * Scans tariff news (tariff.service.js) for US tariff rate changes —
+ * "Trump raises tariffs on Canadian goods to 35% effective August 1" —
+ * and queues each one as a proposed override with its source links.
+ * Other countries' tariffs on US goods (retaliation) are skipped.
+ * Nothing reaches the map until an admin approves a proposal, which applies
+ * it through tariffService.applyOverride.
+ *
+ * Proposal:
+ *   { id, country, countryCode, sector, rate, effectiveDate, confidence,
+ *     hedged, evidence, sources: [{ url, title, source, publishedAt }],
+ *     status: 'pending' | 'approved' | 'rejected', createdAt, reviewedAt }
+ *
+ * `sector` is one of the sector names in the `tariffs` reference dataset, or
+ * null for a country-wide (universal) rate. `country` uses the map's
+ * country names so overrides line up with the heatmap.
+ *
+ * Proposals persist to PostgreSQL (tariff_override_proposals) when
+ * available; approved ones are re-applied on startup.
+ */
+
+import { createHash } from 'crypto';
+import { geotagService } from './geotag.service.js';
+import { tariffService } from './tariff.service.js';
+import { db } from './db.js';
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS tariff_override_proposals (
+    id VARCHAR(64) PRIMARY KEY,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    proposal JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    reviewed_at TIMESTAMP WITH TIME ZONE
+  );
+`;
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+const NEWS_SCAN_LIMIT = 100;
+const MAX_PROPOSALS = 500;
+const MAX_SOURCES = 5;
+const MAX_COUNTRIES_PER_SENTENCE = 3;
+const MAX_RATE = 500;
+
+const TARIFF_TERMS = /\b(tariffs?|duty|duties|levy|levies)\b/i;
+const HEDGE_TERMS = /\b(threaten(s|ed|ing)?|could|may(?!\s+\d)|might|consider(s|ed|ing)?|weigh(s|ed|ing)?|propos(e|es|ed|ing)|plan(s|ned)?|warn(s|ed)?|mull(s|ed|ing)?|would|if)\b/i;
+const REMOVAL_TERMS = /\b(lift(s|ed)?|remov(e|es|ed)|scrap(s|ped)?|suspend(s|ed)?|pause[sd]?|exempt(s|ed)?)\b/i;
+// Tariffs other countries put on US goods: never proposed as US rates
+const RETALIATION_TERMS = /\b(retaliat\w*|counter-?tariffs?|countermeasures?)\b|\bon (US|U\.S\.|American|United States)\b(?!\s+imports)/i;
+const IMPOSE_VERBS = /\b(impos(e|es|ed|ing)|slap(s|ped)?|lev(y|ies|ied)|hit(s)?|announc(e|es|ed))\b/i;
+const US_ACTORS = /\b(US|U\.S\.|United States|America|Washington|White House|Trump|Biden|Commerce Department|USTR)\b/;
+// A rate only counts next to the tariff noun ("35% tariffs", "a 10% baseline duty",
+// "tariffs on Canadian goods to 35%"), so "Stocks fall 3% as tariff fears grow" has none
+const TARIFF_NOUN = '(?:tariffs?|duty|duties|levy|levies)';
+const RATE = '(\\d{1,3}(?:\\.\\d+)?)\\s*(?:%|per\\s?cent\\b)';
+const LINKING_WORDS = '(?:as|amid|after|while|on|and|but|with|over|because|since|when|if|in|of|to|for)';
+const RATE_BEFORE_NOUN = new RegExp(`${RATE}\\s+(?:(?!${LINKING_WORDS}\\b)[\\w-]+\\s+){0,2}(?:\\w+-)?${TARIFF_NOUN}\\b`, 'gi');
+const NOUN_BEFORE_RATE = new RegExp(`\\b${TARIFF_NOUN}\\b[^.;%\\d]{0,40}?\\b(?:of|to|at)\\s+${RATE}`, 'gi');
+const FROM_TO = new RegExp(`\\b${TARIFF_NOUN}\\b[^.;%\\d]{0,40}?\\bfrom\\s+\\d{1,3}(?:\\.\\d+)?\\s*(?:%|per\\s?cent)\\s+to\\s+${RATE}`, 'i');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const EFFECTIVE_DATE = new RegExp(
+  `\\b(?:effective|starting|beginning|from|as of|takes? effect|on)\\s+(?:on\\s+)?(${MONTHS.join('|')}|${MONTHS.map(m => m.slice(0, 3)).join('|')})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`,
+  'i'
+);
+
+// Keyword -> sector name in config/reference/tariffs.js. Order matters: 'Auto Parts' before 'Automobiles'.
+const SECTORS = [
+  ['Auto Parts', /\bauto\s?parts\b|\bcar parts\b/i],
+  ['Steel & Aluminum', /\b(steel|alumin(i)?um|metals?)\b/i],
+  ['Automobiles', /\b(autos?|cars?|vehicles?|automobiles?|automakers?|EVs?)\b/i],
+  ['Electronics', /\b(electronics|semiconductors?|chips?|smartphones?|laptops?)\b/i],
+  ['Solar Panels', /\bsolar\b/i],
+  ['Rare Earth Minerals', /\b(rare earths?|critical minerals)\b/i],
+  ['Pharmaceuticals', /\b(pharma(ceuticals?)?|drugs?|medicines?)\b/i],
+  ['Textiles & Apparel', /\b(textiles?|apparel|clothing|garments?|footwear)\b/i],
+  ['Lumber & Wood', /\b(lumber|timber|softwood|wood)\b/i],
+  ['Dairy', /\b(dairy|milk|cheese)\b/i],
+  ['Agriculture', /\b(agricultur(e|al)|farm goods|soybeans?|grain|beef|produce)\b/i],
+  ['Energy', /\b(energy|oil|natural gas|LNG|crude)\b/i],
+  ['Machinery', /\b(machinery|machine tools|equipment)\b/i],
+];
+
+// Gazetteer names that the world-atlas map spells differently
+const MAP_NAMES = {
+  'Bosnia and Herzegovina': 'Bosnia and Herz.',
+  'Central African Republic': 'Central African Rep.',
+  'DR Congo': 'Dem. Rep. Congo',
+  'Republic of the Congo': 'Congo',
+  'Dominican Republic': 'Dominican Rep.',
+  'Equatorial Guinea': 'Eq. Guinea',
+  'Ivory Coast': "Côte d'Ivoire",
+  'North Macedonia': 'Macedonia',
+  'Solomon Islands': 'Solomon Is.',
+  'South Sudan': 'S. Sudan',
+  'Eswatini': 'eSwatini',
+  'East Timor': 'Timor-Leste',
+  'Western Sahara': 'W. Sahara',
+};
+
+const round = (v) => Math.round(v * 100) / 100;
+
+function proposalId(country, sector, rate) {
+  return `tp-${createHash('sha1').update(`${country}|${sector || '*'}|${rate}`).digest('hex').slice(0, 16)}`;
+}
+
+function splitSentences(text) {
+  return (text || '').split(/(?<=[.!?;])\s+|\s+[-–—|]\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a sentence reports another country's tariff on US goods:
+ * retaliation wording, or a non-US subject before "imposes"/"slaps"/...
+ * ("China imposes 34% tariffs on US goods", "Canada slaps 25% counter-tariffs").
+ */
+function isForeignTariff(sentence) {
+  if (RETALIATION_TERMS.test(sentence)) return true;
+  const verb = IMPOSE_VERBS.exec(sentence);
+  if (!verb) return false;
+  const subject = sentence.slice(0, verb.index);
+  if (US_ACTORS.test(subject)) return false;
+  return (geotagService.tag({ title: subject })?.countries || []).some(c => c.code !== 'US');
+}
+
+function extractRate(sentence) {
+  const fromTo = FROM_TO.exec(sentence);
+  if (fromTo) return Number(fromTo[1]);
+  const rates = [...sentence.matchAll(RATE_BEFORE_NOUN), ...sentence.matchAll(NOUN_BEFORE_RATE)].map(m => Number(m[1]));
+  // Several different figures ("25% on cars, 10% on everything else") can't be attributed reliably
+  if (rates.length === 0 || new Set(rates).size > 1) return null;
+  return rates[0];
+}
+
+function extractSector(sentence) {
+  const match = SECTORS.find(([, pattern]) => pattern.test(sentence));
+  return match ? match[0] : null;
+}
+
+/**
+ * "effective August 1" -> ISO date. Without a year, assumes the first such
+ * date on or after (roughly) the publication date.
+ */
+function extractEffectiveDate(sentence, publishedAt) {
+  const match = EFFECTIVE_DATE.exec(sentence);
+  if (!match) return null;
+  const month = MONTHS.findIndex(m => m.startsWith(match[1].toLowerCase().slice(0, 3)));
+  const day = Number(match[2]);
+  if (month < 0 || day < 1 || day > 31) return null;
+
+  const published = new Date(publishedAt);
+  const reference = Number.isNaN(published.getTime()) ? new Date() : published;
+  let year = match[3] ? Number(match[3]) : reference.getUTCFullYear();
+  let date = new Date(Date.UTC(year, month, day));
+  if (!match[3] && reference - date > 60 * 24 * 60 * 60 * 1000) {
+    year++;
+    date = new Date(Date.UTC(year, month, day));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Candidate rate changes in one tariff news item.
+ * @param {{ title: string, summary?: string, link?: string, source?: string, publishedAt?: string }} item
+ * @returns {Array<{ country, countryCode, sector, rate, effectiveDate, confidence, hedged, evidence }>}
+ */
+export function extractRateChanges(item) {
+  const changes = [];
+  const sentences = [
+    ...splitSentences(item.title).map(text => ({ text, inTitle: true })),
+    ...splitSentences(item.summary).map(text => ({ text, inTitle: false })),
+  ];
+
+  for (const { text, inTitle } of sentences) {
+    if (!TARIFF_TERMS.test(text) || REMOVAL_TERMS.test(text) || isForeignTariff(text)) continue;
+    const rate = extractRate(text);
+    if (rate == null || rate <= 0 || rate > MAX_RATE) continue;
+
+    const countries = (geotagService.tag({ title: text })?.countries || []).filter(c => c.code !== 'US');
+    if (countries.length === 0 || countries.length > MAX_COUNTRIES_PER_SENTENCE) continue;
+
+    const sector = extractSector(text);
+    // The date is often in a follow-up sentence ("The duty takes effect on March 3.")
+    const effectiveDate = extractEffectiveDate(text, item.publishedAt)
+      || extractEffectiveDate(`${item.title} ${item.summary || ''}`, item.publishedAt);
+    const hedged = HEDGE_TERMS.test(text);
+    let confidence = 0.5;
+    if (inTitle) confidence += 0.15;
+    if (effectiveDate) confidence += 0.1;
+    if (countries.length === 1) confidence += 0.1;
+    if (hedged) confidence -= 0.3;
+
+    for (const country of countries) {
+      changes.push({
+        country: MAP_NAMES[country.name] || country.name,
+        countryCode: country.code,
+        sector,
+        rate,
+        effectiveDate,
+        confidence: round(Math.max(0.05, confidence)),
+        hedged,
+        evidence: text.slice(0, 300),
+      });
+    }
+  }
+
+  // One candidate per (country, sector, rate), keeping the most confident
+  const best = new Map();
+  for (const change of changes) {
+    const key = `${change.country}|${change.sector}|${change.rate}`;
+    if (!best.has(key) || best.get(key).confidence < change.confidence) best.set(key, change);
+  }
+  return Array.from(best.values());
+}
+
+class TariffOverrideService {
+  constructor() {
+    this.isConnected = false;
+    this.proposals = new Map();
+    this.lastScan = null;
+  }
+
+  async connect() {
+    if (!(await db.ensureSchema(SCHEMA_SQL))) {
+      console.log('[TariffOverrides] PostgreSQL unavailable - proposals kept in memory only');
+      return false;
+    }
+    try {
+      const { rows } = await db.query(
+        'SELECT proposal FROM tariff_override_proposals ORDER BY reviewed_at NULLS LAST, created_at'
+      );
+      for (const { proposal } of rows) {
+        this.proposals.set(proposal.id, proposal);
+        if (proposal.status === 'approved') this.applyToMap(proposal);
+      }
+      this.isConnected = true;
+      console.log(`[TariffOverrides] Loaded ${rows.length} proposals from PostgreSQL`);
+      return true;
+    } catch (error) {
+      console.error('[TariffOverrides] Failed to load proposals:', error.message);
+      return false;
+    }
+  }
+
+  // ── Detection ──
+
+  /**
+   * Extract rate changes from the latest tariff news and queue new ones.
+   * Repeat sightings add their source to the existing proposal instead.
+   * Never throws: a scan failure must not fail the tariffs refresh job.
+   * @returns {Promise<{ scanned: number, created: number, updated: number }>}
+   */
+  async scan() {
+    const summary = { scanned: 0, created: 0, updated: 0 };
+    try {
+      const { items } = await tariffService.getTariffNews(NEWS_SCAN_LIMIT);
+      const current = tariffService.rateOverrides;
+
+      for (const item of items) {
+        summary.scanned++;
+        for (const change of extractRateChanges(item)) {
+          // Already what the map shows
+          const applied = current[change.country];
+          const appliedRate = change.sector ? applied?.goods?.[change.sector] : applied?.universal;
+          if (appliedRate === change.rate) continue;
+
+          const source = { url: item.link, title: item.title, source: item.source, publishedAt: item.publishedAt };
+          const id = proposalId(change.country, change.sector, change.rate);
+          const existing = this.proposals.get(id);
+
+          if (existing) {
+            if (existing.status !== 'pending' || existing.sources.some(s => s.url === source.url)) continue;
+            if (existing.sources.length < MAX_SOURCES) existing.sources.push(source);
+            existing.confidence = round(Math.min(0.95, Math.max(existing.confidence, change.confidence) + 0.1));
+            existing.effectiveDate = existing.effectiveDate || change.effectiveDate;
+            existing.hedged = existing.hedged && change.hedged;
+            await this.persist(existing);
+            summary.updated++;
+            continue;
+          }
+
+          const proposal = {
+            id,
+            ...change,
+            sources: [source],
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            reviewedAt: null,
+          };
+          this.proposals.set(id, proposal);
+          await this.persist(proposal);
+          summary.created++;
+        }
+      }
+
+      await this.trim();
+      if (summary.created > 0) {
+        console.log(`[TariffOverrides] ${summary.created} new proposed overrides (${summary.updated} updated)`);
+      }
+    } catch (error) {
+      console.error('[TariffOverrides] Scan error:', error.message);
+    }
+    this.lastScan = new Date().toISOString();
+    return summary;
+  }
+
+  // ── Review ──
+
+  listProposals(status) {
+    const list = Array.from(this.proposals.values())
+      .filter(p => !status || p.status === status);
+    return list.sort((a, b) => b.confidence - a.confidence || new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  getProposal(id) {
+    return this.proposals.get(id) || null;
+  }
+
+  /**
+   * Approve a proposal and apply it to the live overrides. `edits` may
+   * correct rate, sector or effectiveDate before applying.
+   * @returns {Promise<object|null>} the updated proposal, or null if not found
+   */
+  async approve(id, edits = {}) {
+    const proposal = this.proposals.get(id);
+    if (!proposal) return null;
+
+    if (edits.rate != null) {
+      const rate = Number(edits.rate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > MAX_RATE) throw new Error(`rate must be between 0 and ${MAX_RATE}`);
+      proposal.rate = rate;
+    }
+    if (edits.sector !== undefined) {
+      if (edits.sector !== null && !SECTORS.some(([name]) => name === edits.sector)) {
+        throw new Error(`Unknown sector (expected one of: ${SECTORS.map(([name]) => name).join(', ')}, or null)`);
+      }
+      proposal.sector = edits.sector;
+    }
+    if (edits.effectiveDate !== undefined) {
+      if (edits.effectiveDate !== null && Number.isNaN(new Date(edits.effectiveDate).getTime())) {
+        throw new Error('effectiveDate must be a date');
+      }
+      proposal.effectiveDate = edits.effectiveDate;
+    }
+
+    proposal.status = 'approved';
+    proposal.reviewedAt = new Date().toISOString();
+    this.applyToMap(proposal);
+    await this.persist(proposal);
+    console.log(`[TariffOverrides] Approved ${proposal.country} ${proposal.sector || 'universal'} ${proposal.rate}%`);
+    return proposal;
+  }
+
+  async reject(id) {
+    const proposal = this.proposals.get(id);
+    if (!proposal) return null;
+    proposal.status = 'rejected';
+    proposal.reviewedAt = new Date().toISOString();
+    await this.persist(proposal);
+    return proposal;
+  }
+
+  applyToMap(proposal) {
+    tariffService.applyOverride(proposal.country, {
+      ...(proposal.sector ? { goods: { [proposal.sector]: proposal.rate } } : { universal: proposal.rate }),
+      effectiveDate: proposal.effectiveDate,
+      source: proposal.sources[0]?.url || 'news',
+      sourceTitle: proposal.sources[0]?.title || null,
+    });
+  }
+
+  // ── Persistence ──
+
+  async persist(proposal) {
+    if (!this.isConnected) return;
+    try {
+      await db.query(
+        `INSERT INTO tariff_override_proposals (id, status, proposal, created_at, reviewed_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO UPDATE SET status = EXCLUDED.status, proposal = EXCLUDED.proposal,
+           reviewed_at = EXCLUDED.reviewed_at`,
+        [proposal.id, proposal.status, JSON.stringify(proposal), proposal.createdAt, proposal.reviewedAt]
+      );
+    } catch (error) {
+      console.error('[TariffOverrides] Persist error:', error.message);
+    }
+  }
+
+  /**
+   * Keep at most MAX_PROPOSALS, dropping the oldest unapproved ones first.
+   * Approved proposals are kept: they are replayed on startup.
+   */
+  async trim() {
+    const excess = this.proposals.size - MAX_PROPOSALS;
+    if (excess <= 0) return;
+    const removable = Array.from(this.proposals.values())
+      .filter(p => p.status !== 'approved')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice(0, excess)
+      .map(p => p.id);
+    removable.forEach(id => this.proposals.delete(id));
+    if (this.isConnected && removable.length > 0) {
+      try {
+        await db.query('DELETE FROM tariff_override_proposals WHERE id = ANY($1)', [removable]);
+      } catch (error) {
+        console.error('[TariffOverrides] Trim error:', error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const p of this.proposals.values()) counts[p.status]++;
+    return { persistent: this.isConnected, lastScan: this.lastScan, ...counts };
+  }
+
+}
+
+export const tariffOverrideService = new TariffOverrideService();
+export default tariffOverrideService;
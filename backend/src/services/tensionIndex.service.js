@@ -12,11 +12,11 @@
 import { cacheService } from './cache.service.js';
 import { ucdpService } from './ucdp.service.js';
 import { stabilityService } from './stability.service.js';
+import { gdeltClient } from './gdelt.service.js';
 
 const CACHE_KEY = 'tension:index';
 const CACHE_TTL = 900; // 15 minutes
 
-const GDELT_DOC_URL = 'https://api.gdeltproject.org/api/v2/doc/doc';
 
 // ---------------------------------------------------------------------------
 // Reference data: conflict metadata (intensity is computed at runtime)
@@ -308,15 +308,7 @@ const FLASHPOINT_METADATA = [
 
 async function fetchGdeltArticleCount(query, timespan = '14d') {
   try {
-    const url =
-      `${GDELT_DOC_URL}?query=${encodeURIComponent(query)}` +
-      `&mode=ArtList&maxrecords=250&timespan=${timespan}&format=json`;
-
-    const resp = await fetch(url, { signal: AbortSignal.timeout(15000) });
-    if (!resp.ok) return 0;
-
-    const data = await resp.json();
-    const articles = data.articles || [];
+    const articles = await gdeltClient.artList(query, { maxRecords: 250, timespan });
     return articles.length;
   } catch {
     return 0;
@@ -540,11 +532,14 @@ function getTensionLabel(index) {
 // ---------------------------------------------------------------------------
 
 export const tensionIndexService = {
-  async getGlobalTension() {
-    // ── Check cache ──
-    const cached = await cacheService.get(CACHE_KEY);
-    if (cached) return cached;
+  /**
+   * Cached global tension index. Concurrent misses share one computation.
+   */
+  async getGlobalTension({ refresh = false } = {}) {
+    return cacheService.wrap(CACHE_KEY, CACHE_TTL, () => this.computeGlobalTension(), { refresh });
+  },
 
+  async computeGlobalTension() {
     console.log('[TensionIndex] Computing global tension from live data...');
 
     // ── Fetch all live data in parallel ──
@@ -618,6 +613,7 @@ export const tensionIndexService = {
         type: meta.type,
         region: meta.region,
         parties: meta.parties,
+        countries: meta.stabilityCountries,
         escalationRisk: deriveEscalationRisk(intensity),
         nuclearRisk: meta.nuclearRisk,
         since: meta.since,
@@ -658,6 +654,7 @@ export const tensionIndexService = {
         tension,
         category: meta.category,
         parties: meta.parties,
+        countries: meta.stabilityCountries,
         escalationRisk: deriveEscalationRisk(tension),
         nuclear: meta.nuclear,
         lat: meta.lat,
@@ -704,7 +701,6 @@ export const tensionIndexService = {
       updatedAt: new Date().toISOString(),
     };
 
-    await cacheService.set(CACHE_KEY, result, CACHE_TTL);
     console.log(`[TensionIndex] Computed global index: ${index} (${result.label})`);
     return result;
   },
@@ -13,6 +13,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const UCDP_BASE = 'https://ucdpapi.pcr.uu.se/api';
 const CACHE_PREFIX = 'ucdp';
@@ -29,13 +30,13 @@ class UCDPService {
    * @param {number} [opts.limit] - Max events to return (default 100)
    */
   async getRecentEvents({ country, year, limit = 100 } = {}) {
-    const currentYear = new Date().getFullYear();
-    const targetYear = year || currentYear;
-    const cacheKey = `${CACHE_PREFIX}:events:${country || 'global'}:${targetYear}`;
-
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
+    const targetYear = year || new Date().getFullYear();
+    const cacheKey = `${CACHE_PREFIX}:events:${country || 'global'}:${targetYear}:${limit}`;
+    return cacheService.wrap(cacheKey, CACHE_TTL, () => this.loadRecentEvents({ country, targetYear, limit }));
+  }
 
+  async loadRecentEvents({ country, targetYear, limit }) {
+    const currentYear = new Date().getFullYear();
     console.log(`[UCDP] Fetching conflict events (year=${targetYear}, country=${country || 'all'})...`);
 
     try {
@@ -67,8 +68,7 @@ class UCDPService {
         fetchedAt: new Date().toISOString(),
       };
 
-      await cacheService.set(cacheKey, result, CACHE_TTL);
-      console.log(`[UCDP] Cached ${result.events.length} events`);
+      console.log(`[UCDP] Fetched ${result.events.length} events`);
       return result;
     } catch (error) {
       console.error('[UCDP] Failed to fetch events:', error.message);
@@ -79,11 +79,11 @@ class UCDPService {
   /**
    * Fetch active conflicts summary (dyads and their casualties).
    */
-  async getActiveConflicts() {
-    const cacheKey = `${CACHE_PREFIX}:active`;
-    const cached = await cacheService.get(cacheKey);
-    if (cached) return cached;
+  async getActiveConflicts({ refresh = false } = {}) {
+    return cacheService.wrap(`${CACHE_PREFIX}:active`, CACHE_TTL, () => this.loadActiveConflicts(), { refresh });
+  }
 
+  async loadActiveConflicts() {
     console.log('[UCDP] Fetching active conflicts...');
 
     try {
@@ -112,8 +112,7 @@ class UCDPService {
         fetchedAt: new Date().toISOString(),
       };
 
-      await cacheService.set(cacheKey, result, CACHE_TTL);
-      console.log(`[UCDP] Cached ${result.total} active conflicts`);
+      console.log(`[UCDP] Fetched ${result.total} active conflicts`);
       return result;
     } catch (error) {
       console.error('[UCDP] Failed to fetch active conflicts:', error.message);
@@ -125,7 +124,7 @@ class UCDPService {
    * Fetch events from the GED API.
    */
   async fetchEvents(url) {
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: { Accept: 'application/json' },
       signal: AbortSignal.timeout(20000),
     });
@@ -142,7 +141,7 @@ class UCDPService {
   async fetchConflicts(year) {
     const url = `${UCDP_BASE}/ucdpconflict/24.1?pagesize=200&Year=${year}`;
 
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: { Accept: 'application/json' },
       signal: AbortSignal.timeout(20000),
     });
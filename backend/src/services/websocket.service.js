@@ -1,17 +1,44 @@
 /**
  * WebSocket Handler
  * Real-time content updates to connected clients
+ *
+ * Channels:
+ *   content:updates   - new feed items after each refresh (honors set_filters)
+ *   alerts            - fired alert rules (alerts.service.js)
+ *   <dataset>         - snapshot + diffs per refreshed dataset, e.g. tension, risk,
+ *   markets:<country>   disasters, elections (liveChannels.service.js)
  */
 
 import { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { cacheService } from '../services/cache.service.js';
+import { storyClusterService } from '../services/storyCluster.service.js';
+
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_CHANNEL_LENGTH = 100;
 
 class WebSocketHandler {
   constructor() {
     this.wss = null;
     this.clients = new Map();
     this.heartbeatInterval = null;
+    // Called with (clientId, channel) on subscribe/resync, e.g. to send a snapshot
+    this.subscribeHandlers = [];
+  }
+
+  /**
+   * Register a callback run when a client subscribes to (or asks to resync) a channel.
+   */
+  onSubscribe(handler) {
+    this.subscribeHandlers.push(handler);
+  }
+
+  notifySubscribe(clientId, channel) {
+    for (const handler of this.subscribeHandlers) {
+      Promise.resolve()
+        .then(() => handler(clientId, channel))
+        .catch((error) => console.error(`[WebSocket] Subscribe handler error (${channel}):`, error.message));
+    }
   }
 
   initialize(server) {
@@ -67,10 +94,23 @@ class WebSocketHandler {
       if (!client) return;
 
       switch (message.type) {
-        case 'subscribe':
-          if (message.channel) {
-            client.subscriptions.add(message.channel);
-            this.sendToClient(clientId, { type: 'subscribed', channel: message.channel });
+        case 'subscribe': {
+          const channel = message.channel;
+          if (typeof channel !== 'string' || !channel || channel.length > MAX_CHANNEL_LENGTH) break;
+          if (!client.subscriptions.has(channel) && client.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+            this.sendToClient(clientId, { type: 'error', channel, error: 'Too many subscriptions' });
+            break;
+          }
+          client.subscriptions.add(channel);
+          this.sendToClient(clientId, { type: 'subscribed', channel });
+          this.notifySubscribe(clientId, channel);
+          break;
+        }
+
+        case 'resync':
+          // Client missed a diff (version gap) and wants a fresh snapshot
+          if (message.channel && client.subscriptions.has(message.channel)) {
+            this.notifySubscribe(clientId, message.channel);
           }
           break;
 
@@ -84,8 +124,8 @@ class WebSocketHandler {
         case 'set_filters':
           // Allow clients to filter what updates they receive
           client.filters = {
-            types: message.types || [],
-            sources: message.sources || [],
+            types: Array.isArray(message.types) ? message.types : [],
+            sources: Array.isArray(message.sources) ? message.sources : [],
           };
           this.sendToClient(clientId, { type: 'filters_set', filters: client.filters });
           break;
@@ -107,11 +147,44 @@ class WebSocketHandler {
   }
 
   broadcast(channel, message) {
-    for (const [clientId, client] of this.clients) {
-      if (client.subscriptions.has(channel) && client.ws.readyState === 1) {
-        client.ws.send(JSON.stringify({ channel, ...message }));
+    let payload = null;
+    for (const client of this.clients.values()) {
+      if (!client.subscriptions.has(channel) || client.ws.readyState !== 1) continue;
+
+      if (Array.isArray(message.items) && this.hasFilters(client)) {
+        const items = message.items.filter(item => storyClusterService.matchesFilters(item, client.filters));
+        if (items.length === 0) continue;
+        client.ws.send(JSON.stringify({ channel, ...message, items }));
+        continue;
+      }
+
+      payload = payload || JSON.stringify({ channel, ...message });
+      client.ws.send(payload);
+    }
+  }
+
+  hasFilters(client) {
+    return client.filters.types.length > 0 || client.filters.sources.length > 0;
+  }
+
+  hasSubscribers(channel) {
+    for (const client of this.clients.values()) {
+      if (client.subscriptions.has(channel)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Channels with at least one subscriber, optionally limited to a prefix (e.g. 'markets:').
+   */
+  getActiveChannels(prefix = '') {
+    const channels = new Set();
+    for (const client of this.clients.values()) {
+      for (const channel of client.subscriptions) {
+        if (channel.startsWith(prefix)) channels.add(channel);
       }
     }
+    return Array.from(channels);
   }
 
   async subscribeToUpdates() {
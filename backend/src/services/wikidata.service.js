@@ -10,6 +10,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const SPARQL_ENDPOINT = 'https://query.wikidata.org/sparql';
 const CACHE_KEY = 'wikidata:leaders';
@@ -256,7 +257,7 @@ class WikidataService {
   async runQuery(query) {
     const url = `${SPARQL_ENDPOINT}?query=${encodeURIComponent(query)}`;
 
-    const res = await fetch(url, {
+    const res = await trackedFetch(url, {
       headers: {
         Accept: 'application/sparql-results+json',
         'User-Agent': 'Monitored/1.0 (conflict-monitor; contact: dev@monitored.app)',
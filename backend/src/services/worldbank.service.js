@@ -18,6 +18,7 @@
  */
 
 import { cacheService } from './cache.service.js';
+import { trackedFetch } from './sourceHealth.service.js';
 
 const WB_BASE = 'https://api.worldbank.org/v2/country';
 
@@ -45,7 +46,7 @@ class WorldBankService {
       `?format=json&per_page=5&date=2018:2026&mrv=1`;
 
     try {
-      const res = await fetch(url, {
+      const res = await trackedFetch(url, {
         headers: { Accept: 'application/json' },
         signal: AbortSignal.timeout(10000),
       });
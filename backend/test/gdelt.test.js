@@ -0,0 +1,37 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import config from '../src/config/index.js';
+import { gdeltClient } from '../src/services/gdelt.service.js';
+
+config.gdelt.cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gdelt-test-'));
+config.gdelt.minIntervalMs = 20;
+after(() => fs.rm(config.gdelt.cacheDir, { recursive: true, force: true }));
+
+const requested = [];
+globalThis.fetch = async (url) => {
+  const maxRecords = new URL(url).searchParams.get('maxrecords');
+  requested.push(maxRecords);
+  const articles = Array.from({ length: Number(maxRecords) }, (_, i) => ({ url: `https://example.com/${i}`, title: `Story ${i}` }));
+  return new Response(JSON.stringify({ articles }), { status: 200 });
+};
+
+test('queued artlist queries that differ only in maxrecords share one request', async () => {
+  const [first, second, third] = await Promise.all([
+    gdeltClient.artList('protest', { maxRecords: 10, timespan: '3d' }),
+    gdeltClient.artList('protest', { maxRecords: 20, timespan: '3d' }),
+    gdeltClient.artList('protest', { maxRecords: 50, timespan: '3d' }),
+  ]);
+
+  // The first starts right away; the two queued behind it are batched
+  assert.deepEqual(requested, ['10', '50']);
+  assert.deepEqual([first.length, second.length, third.length], [10, 20, 50]);
+  assert.deepEqual(second, third.slice(0, 20));
+  assert.equal(gdeltClient.getStatus().batched, 1);
+
+  // Each caller's own query is cached
+  assert.equal((await gdeltClient.artList('protest', { maxRecords: 20, timespan: '3d' })).length, 20);
+  assert.equal(requested.length, 2);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { marketMatchingService } from '../src/services/marketMatching.service.js';
+
+function binary(venue, question) {
+  const [contract] = marketMatchingService.contractsOf(venue, [{
+    id: question,
+    question,
+    outcomes: [{ name: 'Yes', price: 0.5 }, { name: 'No', price: 0.5 }],
+    endDate: '2026-12-31T00:00:00Z',
+  }]);
+  return contract;
+}
+
+const compare = (a, b) => marketMatchingService.compare(binary('polymarket', a), binary('kalshi', b));
+const failedChecks = (result) => result.checks.filter(c => !c.ok).map(c => c.name);
+
+test('meetings with a different counterpart do not match', () => {
+  const putin = compare('Will Trump meet Putin before 2027?', 'Will Trump meet Zelensky before 2027?');
+  assert.equal(putin.ok, false);
+  assert.deepEqual(failedChecks(putin), ['names']);
+
+  const kim = compare('Will Trump meet Kim Jong Un before 2027?', 'Will Trump meet Modi before 2027?');
+  assert.equal(kim.ok, false);
+  assert.deepEqual(failedChecks(kim), ['names']);
+});
+
+test('a single leader exit does not match an either-or question', () => {
+  const result = compare('Will Macron resign before 2027?', 'Will Macron or Bayrou step down before 2027?');
+  assert.equal(result.ok, false);
+  assert.deepEqual(failedChecks(result), ['names']);
+});
+
+test('the same people written differently still match', () => {
+  assert.equal(compare('Will Gavin Newsom win the 2028 presidential election?', 'Will Newsom win the 2028 presidential election?').ok, true);
+  assert.equal(compare('Will Trump meet Kim Jong Un in 2026?', 'Trump-Kim meeting in 2026?').ok, true);
+});
+
+test('"without" narrows a question instead of inverting it', () => {
+  const result = compare('Will Lula win the Brazil presidential election without a runoff?', 'Will Lula win the Brazil presidential election?');
+  assert.equal(result.alignment, 'same');
+});
+
+test('"remain in office" is the inverse of "leave office"', () => {
+  const result = compare('Will Erdogan remain in office through 2026?', 'Will Erdogan leave office before 2027?');
+  assert.equal(result.ok, true);
+  assert.equal(result.alignment, 'inverted');
+});
+
+test('neighbouring months, quarters and years do not match', () => {
+  const pairs = [
+    ['Will the Fed cut rates in March 2025?', 'Will the Fed cut rates in April 2025?'],
+    ['Will US GDP growth be above 2% in Q1 2025?', 'Will US GDP growth be above 2% in Q2 2025?'],
+    ['Will US inflation be above 3% in 2025?', 'Will US inflation be above 3% in 2026?'],
+  ];
+  for (const [a, b] of pairs) {
+    const result = compare(a, b);
+    assert.equal(result.ok, false, `${a} vs ${b}`);
+    assert.deepEqual(failedChecks(result), ['deadline']);
+  }
+  assert.equal(compare('Will the Fed cut rates in March 2025?', 'Will the Fed cut rates in March 2025?').ok, true);
+});
+
+test('a different attacking country does not match', () => {
+  const result = compare('Will the US strike Iran in 2025?', 'Will Israel strike Iran in 2025?');
+  assert.equal(result.ok, false);
+  assert.deepEqual(failedChecks(result), ['countries']);
+});
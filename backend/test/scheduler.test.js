@@ -0,0 +1,50 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduler } from '../src/services/scheduler.service.js';
+import { trackedFetch } from '../src/services/sourceHealth.service.js';
+
+const realFetch = globalThis.fetch;
+let upstreamStatus = 503;
+globalThis.fetch = async () => new Response('{}', { status: upstreamStatus });
+
+afterEach(() => { upstreamStatus = 503; });
+
+// Services swallow upstream errors and return fallback data, like this job
+async function fetchEvents() {
+  try {
+    const res = await trackedFetch('https://eonet.gsfc.nasa.gov/api/v3/events');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch {
+    return [];
+  }
+}
+
+scheduler.register({ name: 'test-eonet', intervalMs: 60000, jitterRatio: 0, sources: ['eonet'], run: fetchEvents });
+scheduler.register({ name: 'test-cached', intervalMs: 60000, jitterRatio: 0, sources: ['eonet'], run: async () => [] });
+
+test('a job whose upstream fails backs off even though run() resolves', async () => {
+  const job = scheduler.jobs.get('test-eonet');
+
+  const first = await scheduler.execute('test-eonet');
+  assert.equal(first.status, 'failure');
+  assert.match(first.error, /NASA EONET: HTTP 503/);
+  assert.equal(scheduler.computeDelay(job), 120000);
+
+  await scheduler.execute('test-eonet');
+  assert.equal(job.consecutiveFailures, 2);
+  assert.equal(scheduler.computeDelay(job), 240000);
+
+  upstreamStatus = 200;
+  const recovered = await scheduler.execute('test-eonet');
+  assert.equal(recovered.status, 'success');
+  assert.equal(scheduler.computeDelay(job), 60000);
+});
+
+test('a job that did not call its sources is not failed by their earlier errors', async () => {
+  await scheduler.execute('test-eonet');
+  const result = await scheduler.execute('test-cached');
+  assert.equal(result.status, 'success');
+});
+
+test.after(() => { globalThis.fetch = realFetch; });
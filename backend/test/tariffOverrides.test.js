@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractRateChanges } from '../src/services/tariffOverrides.service.js';
+
+const rates = (title) => extractRateChanges({ title, publishedAt: '2025-07-10T00:00:00Z' })
+  .map(c => `${c.countryCode} ${c.rate}`);
+
+test('a market move in a tariff headline is not a tariff rate', () => {
+  assert.deepEqual(rates('Stocks fall 3% as tariff fears on China grow'), []);
+  assert.deepEqual(rates('Yuan slides 1.5% after tariff talks with China stall'), []);
+});
+
+test('a rate next to the tariff noun is proposed', () => {
+  assert.deepEqual(rates('Trump raises tariffs on Canadian goods to 35% effective August 1'), ['CA 35']);
+  assert.deepEqual(rates('US imposes 50% tariffs on Brazilian imports'), ['BR 50']);
+  assert.deepEqual(rates('Tariff on Indian steel raised from 25% to 50%'), ['IN 50']);
+});
@@ -8,13 +8,15 @@ import worldData from 'world-atlas/countries-50m.json';
 import usData from 'us-atlas/states-10m.json';
 import countries from 'world-countries';
 import canadaProvinces from './canadaProvinces.json';
-import CAPITAL_COORDS from './capitalCoords';
+import { CAPITAL_COORDS } from 'monitored-shared/gazetteer';
 import US_STATE_INFO from './usStateInfo';
 import CA_PROVINCE_INFO from './caProvinceInfo';
 import POPULATION_POINTS from './populationData';
 import { useFeed } from './hooks/useFeed';
 import { useFlights } from './hooks/useFlights';
+import { useGeoFeed } from './hooks/useGeoFeed';
 import NewsFeed, { NewsItem } from './features/news/NewsFeed';
+import GeoNewsLayer, { GEO_NEWS_SOURCE, GEO_NEWS_LAYER_IDS, handleGeoNewsClick } from './features/news/GeoNewsLayer';
 import { CountryPanel } from './features/country/CountryPanel';
 import { useCountryPanel } from './features/country/useCountryPanel';
 import { useWeather } from './hooks/useWeather';
@@ -25,6 +27,7 @@ import { getUniversalRate, getTariffColor, getTariffColorLight, TARIFF_LEGEND }
 import { timeAgo } from './utils/time';
 import Navbar, { PagePanel } from './navbar/Navbar';
 import FrontlineOverlay from './features/frontline/FrontlineOverlay';
+import FrontlineControls from './features/frontline/FrontlineControls';
 import { useStarfield } from './StarfieldCanvas';
 import EarthOverlay from './EarthOverlay';
 import { useSettings } from './hooks/useSettings';
@@ -35,11 +38,13 @@ import ConflictOverlay from './features/conflicts/ConflictOverlay';
 import ConflictPanel from './features/conflicts/ConflictPanel';
 import { CONFLICT_SUMMARY } from './features/conflicts/conflictData';
 import { ElectionPanel } from './features/elections/ElectionPanel';
-import { getElectionColor, hasElectionRaces, RATING_COLORS } from './features/elections/electionData';
+import { getElectionColor, getResultsColor, hasElectionRaces, RATING_COLORS, RESULT_COLORS } from './features/elections/electionData';
 import ProtestHeatmap from './features/stability/ProtestHeatmap';
 import MilitaryOverlay from './features/stability/MilitaryOverlay';
 import StabilityPanel from './features/stability/StabilityPanel';
 import { useStability } from './hooks/useStability';
+import useTariffData from './hooks/useTariffData';
+import { useReferenceData } from './hooks/useReferenceData';
 import { getCountryFillColor } from './features/country/countryColors';
 import { WindowManagerProvider } from './hooks/useWindowManager.jsx';
 import PanelWindow from './components/PanelWindow';
@@ -50,9 +55,14 @@ import { useDisasters } from './hooks/useDisasters';
 import { useCyber } from './hooks/useCyber';
 import { useCommodities } from './hooks/useCommodities';
 import { useShipping } from './hooks/useShipping';
+import { useAis } from './hooks/useAis';
+import { useElectionResults } from './hooks/useElectionResults';
 import { useTension } from './hooks/useTension';
+import { useSourceHealth } from './hooks/useSourceHealth';
 import { useBriefing } from './hooks/useBriefing';
 import { useCountryRisk } from './hooks/useCountryRisk';
+import { useTimeTravel } from './hooks/useTimeTravel';
+import { useFrontlines } from './hooks/useFrontlines';
 import { useRefugees } from './hooks/useRefugees';
 import { DisasterPanel } from './features/disasters/DisasterPanel';
 import DisasterOverlay from './features/disasters/DisasterOverlay';
@@ -71,6 +81,7 @@ import { MetaculusPanel } from './features/metaculus/MetaculusPanel';
 import { ArbitragePanel } from './features/arbitrage/ArbitragePanel';
 import { CountryRiskPanel } from './features/risk/CountryRiskPanel';
 import { WatchlistPanel } from './features/watchlist/WatchlistPanel';
+import { PortfolioPanel } from './features/portfolio/PortfolioPanel';
 import { useCourt } from './hooks/useCourt';
 import { useSanctions } from './hooks/useSanctions';
 import { useMetaculus } from './hooks/useMetaculus';
@@ -783,6 +794,9 @@ function App() {
   const [musicVolume, setMusicVolume] = useState(0.5);
   const [visualLayers, setVisualLayers] = useState(getInitialVisualLayers);
   const [showFrontline, setShowFrontline] = useState(false);
+  const [frontlineConflict, setFrontlineConflict] = useState('ukraine');
+  const [frontlineDate, setFrontlineDate] = useState(null);
+  const [frontlineCompareFrom, setFrontlineCompareFrom] = useState(null);
   const [conflictMode, setConflictMode] = useState(false);
   const [conflictPanelOpen, setConflictPanelOpen] = useState(false);
   const [conflictShowTroops, setConflictShowTroops] = useState(true);
@@ -791,7 +805,14 @@ function App() {
   const [showEUCountries, setShowEUCountries] = useState(false);
   const [mapZoom, setMapZoom] = useState(2);
   const [showTariffHeatmap, setShowTariffHeatmap] = useState(false);
+  // Admin-approved rate changes from tariff news, layered over tariffData.js
+  const { overrides: tariffOverrides } = useTariffData(showTariffHeatmap);
+  // Curated datasets behind the map fills (see services/referenceData.js)
+  const { version: tariffsVersion } = useReferenceData('tariffs');
+  const { version: electionsVersion } = useReferenceData('elections');
   const [electionMode, setElectionMode] = useState(false);
+  // Election night: once votes arrive the map colors by result instead of rating
+  const { results: electionResults, active: electionResultsActive } = useElectionResults(electionMode);
   const [electionPanel, setElectionPanel] = useState({ open: false, state: null, pos: { x: 160, y: 120 } });
 
 
@@ -853,6 +874,7 @@ function App() {
     reddit: true,
     flights: false,
     severeWeather: false,
+    geoNews: false,
   });
   const [showSeverePanel, setShowSeverePanel] = useState(false);
   const [selectedSevereEventId, setSelectedSevereEventId] = useState(null);
@@ -865,7 +887,10 @@ function App() {
   const [showUSBases, setShowUSBases] = useState(true);
 
   const { feed, loading: feedLoading, error: feedError } = useFeed(80);
-  const { flights, loading: flightsLoading, error: flightsError } = useFlights(enabledLayers.flights);
+  // Visible map area for /api/flights (null when the whole world is in view)
+  const [flightBbox, setFlightBbox] = useState(null);
+  const { flights, status: flightsStatus, loading: flightsLoading, error: flightsError } = useFlights(enabledLayers.flights, { bbox: flightBbox });
+  const { data: geoFeed } = useGeoFeed(enabledLayers.geoNews);
   const {
     events: severeEvents,
     loading: severeLoading,
@@ -873,7 +898,7 @@ function App() {
   } = useSevereWeather(enabledLayers.severeWeather);
 
   const {
-    data: stabilityData,
+    data: liveStabilityData,
     loading: stabilityLoading,
     refresh: refreshStability,
   } = useStability(stabilityMode);
@@ -895,6 +920,7 @@ function App() {
   const [showCountryRiskPanel, setShowCountryRiskPanel] = useState(false);
   const [showCountryRiskMode, setShowCountryRiskMode] = useState(false);
   const [showWatchlistPanel, setShowWatchlistPanel] = useState(false);
+  const [showPortfolioPanel, setShowPortfolioPanel] = useState(false);
   const [showNarrativePanel, setShowNarrativePanel] = useState(false);
   const [showRegimePanel, setShowRegimePanel] = useState(false);
   const [showAlliancePanel, setShowAlliancePanel] = useState(false);
@@ -905,13 +931,15 @@ function App() {
   const [showTimeline, setShowTimeline] = useState(false);
 
   // ── New data hooks ──
-  const { data: disasterData, loading: disasterLoading, refresh: refreshDisasters } = useDisasters(showDisasters);
+  const { data: liveDisasterData, loading: disasterLoading, refresh: refreshDisasters } = useDisasters(showDisasters);
   const { data: cyberData, loading: cyberLoading, refresh: refreshCyber } = useCyber(showCyberPanel);
   const { data: commoditiesData, loading: commoditiesLoading, refresh: refreshCommodities } = useCommodities(showCommoditiesPanel);
   const { data: shippingData, loading: shippingLoading, refresh: refreshShipping } = useShipping(showShippingMode);
-  const { data: tensionData, loading: tensionLoading, refresh: refreshTension } = useTension(true);
+  const ais = useAis(showShippingMode);
+  const { data: liveTensionData, loading: tensionLoading, refresh: refreshTension } = useTension(true);
+  const { data: sourceHealthData } = useSourceHealth(true);
   const { data: briefingData, loading: briefingLoading, refresh: refreshBriefing } = useBriefing(showBriefingPanel);
-  const { data: countryRiskData, loading: countryRiskLoading, refresh: refreshCountryRisk } = useCountryRisk(showCountryRiskMode);
+  const { data: liveCountryRiskData, loading: countryRiskLoading, refresh: refreshCountryRisk } = useCountryRisk(showCountryRiskMode);
   const { data: refugeeData, loading: refugeeLoading, refresh: refreshRefugees } = useRefugees(showRefugeePanel);
   const { data: courtData, loading: courtLoading, refresh: refreshCourt } = useCourt(showCourtPanel);
   const { data: sanctionsData, loading: sanctionsLoading, refresh: refreshSanctions } = useSanctions(showSanctionsPanel);
@@ -925,6 +953,32 @@ function App() {
   const { data: credibilityData, loading: credibilityLoading, refresh: refreshCredibility } = useCredibility(showCredibilityPanel);
   const { data: leadershipData, loading: leadershipLoading, refresh: refreshLeadership } = useLeadership(showLeadershipPanel);
 
+  // ── Timeline time-travel ──
+  // A date picked on the timeline swaps risk, tension, stability and disasters for
+  // their stored snapshots as of that date; null means live
+  const [timeTravelDate, setTimeTravelDate] = useState(null);
+  const { data: historicalData, loading: historicalLoading } = useTimeTravel(timeTravelDate);
+  const isHistorical = timeTravelDate !== null;
+  const stabilityData = isHistorical ? historicalData?.stability ?? null : liveStabilityData;
+  const disasterData = isHistorical ? historicalData?.disasters ?? null : liveDisasterData;
+  const tensionData = isHistorical ? historicalData?.tension ?? null : liveTensionData;
+  const countryRiskData = isHistorical ? historicalData?.risk ?? null : liveCountryRiskData;
+
+  // Dated control maps follow the timeline while it is in historical mode
+  const timeTravelDay = timeTravelDate ? timeTravelDate.toISOString().slice(0, 10) : null;
+  const {
+    conflicts: frontlineConflicts,
+    conflictInfo: frontlineInfo,
+    snapshot: frontlineSnapshot,
+    compareSnapshot: frontlineCompareSnapshot,
+    change: frontlineChange,
+    loading: frontlineLoading,
+  } = useFrontlines(showFrontline, {
+    conflict: frontlineConflict,
+    date: timeTravelDay || frontlineDate,
+    compareFrom: frontlineCompareFrom,
+  });
+
   const isLightTheme = theme === 'light-analytic';
 
   useEffect(() => {
@@ -1056,23 +1110,32 @@ function App() {
     }
   }, [electionMode]);
 
-  const flightPaths = useMemo(() => {
-    return (flights || [])
-      .map((flight) => {
-        const fromArray = Array.isArray(flight.from) ? flight.from : [flight.from?.lon, flight.from?.lat];
-        const toArray = Array.isArray(flight.to) ? flight.to : [flight.to?.lon, flight.to?.lat];
-        if (!fromArray || !toArray) return null;
-        if (!Number.isFinite(fromArray[0]) || !Number.isFinite(fromArray[1]) || !Number.isFinite(toArray[0]) || !Number.isFinite(toArray[1])) {
-          return null;
-        }
-        return {
-          id: flight.id || `${fromArray.join(',')}-${toArray.join(',')}`,
-          from: fromArray,
-          to: toArray,
-        };
-      })
-      .filter(Boolean);
-  }, [flights]);
+  // Aircraft positions (points) and their recent tracks (lines)
+  const flightsGeoJSON = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: (flights || [])
+      .filter((flight) => Number.isFinite(flight.lon) && Number.isFinite(flight.lat))
+      .map((flight) => ({
+        type: 'Feature',
+        properties: {
+          icao24: flight.icao24,
+          callsign: flight.callsign || flight.icao24,
+          category: flight.category || 'civil',
+        },
+        geometry: { type: 'Point', coordinates: [flight.lon, flight.lat] },
+      })),
+  }), [flights]);
+
+  const flightTrailsGeoJSON = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: (flights || [])
+      .filter((flight) => flight.trail?.length > 1)
+      .map((flight) => ({
+        type: 'Feature',
+        properties: { icao24: flight.icao24, category: flight.category || 'civil' },
+        geometry: { type: 'LineString', coordinates: flight.trail },
+      })),
+  }), [flights]);
 
   const toggleLayer = (layer) => {
     setEnabledLayers(prev => {
@@ -1146,7 +1209,7 @@ function App() {
       })
       .map((f, i) => {
         const name = f.properties?.name || `Country ${i}`;
-        const tariffRate = getUniversalRate(name);
+        const tariffRate = getUniversalRate(name, tariffOverrides);
         return {
           type: 'Feature',
           id: i,
@@ -1161,7 +1224,7 @@ function App() {
           },
         };
       }),
-  }), [isLightTheme]);
+  }), [isLightTheme, tariffOverrides, tariffsVersion]);
 
   const usStatesGeoJSON = useMemo(() => ({
     type: 'FeatureCollection',
@@ -1174,12 +1237,14 @@ function App() {
         properties: {
           name,
           originalId: String(f.id),
-          electionColor: getElectionColor(name),
+          electionColor: electionResultsActive
+            ? getResultsColor(name, electionResults.races) || RESULT_COLORS.awaiting
+            : getElectionColor(name),
           hasElection: hasElectionRaces(name),
         },
       };
     }),
-  }), []);
+  }), [electionsVersion, electionResultsActive, electionResults]);
 
   const caProvincesGeoJSON = useMemo(() => ({
     type: 'FeatureCollection',
@@ -1213,26 +1278,14 @@ function App() {
     };
   }, []);
 
-  const flightPathsGeoJSON = useMemo(() => ({
-    type: 'FeatureCollection',
-    features: flightPaths.map((flight, i) => ({
-      type: 'Feature',
-      id: i,
-      properties: { id: flight.id },
-      geometry: {
-        type: 'LineString',
-        coordinates: [flight.from, flight.to],
-      },
-    })),
-  }), [flightPaths]);
-
   // Aggregate events from all data sources for the TimelineNavigator
+  // (always live data, so the event strip stays put while scrubbing)
   const timelineEvents = useMemo(() => {
     const events = [];
     let id = 0;
     // Tension conflicts
-    if (tensionData?.conflicts) {
-      for (const c of tensionData.conflicts) {
+    if (liveTensionData?.conflicts) {
+      for (const c of liveTensionData.conflicts) {
         events.push({
           id: `conflict-${id++}`,
           title: c.name || c.label,
@@ -1244,8 +1297,8 @@ function App() {
       }
     }
     // Tension flashpoints
-    if (tensionData?.flashpoints) {
-      for (const f of tensionData.flashpoints) {
+    if (liveTensionData?.flashpoints) {
+      for (const f of liveTensionData.flashpoints) {
         events.push({
           id: `flash-${id++}`,
           title: f.name || f.label,
@@ -1257,8 +1310,8 @@ function App() {
       }
     }
     // Disaster events
-    if (disasterData?.events) {
-      for (const ev of disasterData.events) {
+    if (liveDisasterData?.events) {
+      for (const ev of liveDisasterData.events) {
         events.push({
           id: `disaster-${id++}`,
           title: ev.title || ev.name,
@@ -1308,7 +1361,7 @@ function App() {
       }
     }
     return events.sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, [tensionData, disasterData, cyberData, leadershipData, credibilityData]);
+  }, [liveTensionData, liveDisasterData, cyberData, leadershipData, credibilityData]);
 
   // MapLibre style — basemap baked in for reliable globe rendering
   // NOTE: useGlobe is NOT a dependency — background is updated via map API
@@ -1600,7 +1653,9 @@ function App() {
       const name = feat.properties?.name || 'Unknown';
       const originalId = feat.properties?.originalId;
 
-      if (sourceId === 'countries') {
+      if (sourceId === GEO_NEWS_SOURCE) {
+        handleGeoNewsClick(mapRef.current, feat);
+      } else if (sourceId === 'countries') {
         setSelectedRegion({ type: 'country', id: originalId, name });
         setViewMode('region');
 
@@ -1905,6 +1960,26 @@ function App() {
     }
   }, []);
 
+  // Re-query flights for the visible area once panning/zooming settles.
+  // Rounded to 0.5° so small nudges don't trigger a refetch.
+  const handleMapMoveEnd = useCallback((evt) => {
+    if (!enabledLayers.flights) return;
+    const bounds = evt.target?.getBounds?.();
+    if (!bounds) return;
+    const snap = (v) => Math.round(v * 2) / 2;
+    const west = bounds.getWest();
+    const east = bounds.getEast();
+    if (east - west >= 360) {
+      setFlightBbox(null);
+      return;
+    }
+    const wrap = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+    const clampLat = (lat) => Math.max(-90, Math.min(90, snap(lat)));
+    setFlightBbox([
+      snap(wrap(west)), clampLat(bounds.getSouth()), snap(wrap(east)), clampLat(bounds.getNorth()),
+    ].join(','));
+  }, [enabledLayers.flights]);
+
   /**
    * Check if a lng/lat is on the visible hemisphere of the globe.
    * Uses great-circle angular distance from map center — if > 90°, it's on the far side.
@@ -2123,6 +2198,7 @@ function App() {
                       { id: 'news', label: 'Major News', tone: 'news', disabled: false },
                       { id: 'reddit', label: 'Reddit', tone: 'reddit', disabled: false },
                       { id: 'twitter', label: 'Twitter', tone: 'twitter', disabled: false },
+                      { id: 'geoNews', label: 'Headlines Map', tone: 'news', disabled: false },
                     ].map((layer) => (
                       <label key={layer.id} className={`switch switch-${layer.tone} ${layer.disabled ? 'switch-disabled' : ''}`}>
                         <span className="switch-label">{layer.label}</span>
@@ -2143,7 +2219,7 @@ function App() {
                   <div className="source-group-items">
                     {[
                       { id: 'severeWeather', label: 'Severe Weather', tone: 'flights', disabled: false },
-                      { id: 'flights', label: 'Flights (WIP)', tone: 'flights', disabled: true },
+                      { id: 'flights', label: 'Flights (ADS-B)', tone: 'flights', disabled: false },
                     ].map((layer) => (
                       <label key={layer.id} className={`switch switch-${layer.tone} ${layer.disabled ? 'switch-disabled' : ''}`}>
                         <span className="switch-label">{layer.label}</span>
@@ -2233,9 +2309,6 @@ function App() {
                           setConflictMode(prev => {
                             if (prev) {
                               setConflictPanelOpen(false);
-                              setShowFrontline(false);
-                            } else {
-                              setShowFrontline(true);
                             }
                             return !prev;
                           });
@@ -2283,6 +2356,38 @@ function App() {
                       </button>
                     </div>
                   )}
+
+                  <div className="source-group-items">
+                    <label className="switch switch-frontline">
+                      <span className="switch-label">Control Maps (dated)</span>
+                      <input type="checkbox" checked={showFrontline} onChange={() => setShowFrontline(p => !p)} />
+                      <span className="slider" />
+                    </label>
+                  </div>
+
+                  {showFrontline && (
+                    <FrontlineControls
+                      conflicts={frontlineConflicts}
+                      conflict={frontlineConflict}
+                      onConflictChange={(id) => {
+                        setFrontlineConflict(id);
+                        setFrontlineDate(null);
+                        setFrontlineCompareFrom(null);
+                        const target = frontlineConflicts.find((c) => c.id === id);
+                        if (target?.center && mapRef.current) {
+                          mapRef.current.flyTo({ center: target.center, zoom: target.zoom, duration: 1400, essential: true });
+                        }
+                      }}
+                      date={frontlineDate}
+                      onDateChange={setFrontlineDate}
+                      compareFrom={frontlineCompareFrom}
+                      onCompareChange={setFrontlineCompareFrom}
+                      snapshot={frontlineSnapshot}
+                      change={frontlineChange}
+                      timeTravelDate={timeTravelDay}
+                      loading={frontlineLoading}
+                    />
+                  )}
                 </div>
 
                 <div className="source-group">
@@ -2461,6 +2566,9 @@ function App() {
                     <div className="stability-sidebar-info" style={{ marginTop: '8px' }}>
                       <strong>Maritime Chokepoints</strong>
                       <p>{shippingData.summary?.disrupted || 0} disrupted, {shippingData.summary?.criticalRisk || 0} critical risk</p>
+                      {ais.summary?.status?.enabled && (
+                        <p>AIS: {ais.summary.status.vessels} vessels, {ais.summary.counts.dark} dark, {ais.summary.counts.loitering} loitering</p>
+                      )}
                       <button className="stability-sidebar-open-btn" onClick={() => setShowShippingPanel(p => !p)}>
                         {showShippingPanel ? 'Close' : 'Open'} Shipping Panel
                       </button>
@@ -2481,6 +2589,11 @@ function App() {
                       <input type="checkbox" checked={showWatchlistPanel} onChange={() => setShowWatchlistPanel(p => !p)} />
                       <span className="slider" />
                     </label>
+                    <label className="switch switch-neutral">
+                      <span className="switch-label">Portfolio Exposure</span>
+                      <input type="checkbox" checked={showPortfolioPanel} onChange={() => setShowPortfolioPanel(p => !p)} />
+                      <span className="slider" />
+                    </label>
                     <label className="switch switch-neutral">
                       <span className="switch-label">Demographic Risk</span>
                       <input type="checkbox" checked={showDemographicPanel} onChange={() => setShowDemographicPanel(p => !p)} />
@@ -2509,7 +2622,7 @@ function App() {
                     </label>
                     <label className="switch switch-neutral">
                       <span className="switch-label">Timeline Navigator</span>
-                      <input type="checkbox" checked={showTimeline} onChange={() => setShowTimeline(p => !p)} />
+                      <input type="checkbox" checked={showTimeline} onChange={() => { setShowTimeline(p => !p); setTimeTravelDate(null); }} />
                       <span className="slider" />
                     </label>
                   </div>
@@ -2812,9 +2925,12 @@ function App() {
           </div>
         )}
 
-        {enabledLayers.flights && flightsLoading && (
+        {enabledLayers.flights && flightsLoading && flights.length === 0 && (
           <div className="notice map-notice">Loading flights...</div>
         )}
+        {enabledLayers.flights && !flightsError && flightsStatus && !flightsStatus.enabled && (
+          <div className="notice map-notice">Flights disabled on the server (FLIGHTS_PROVIDER=none)</div>
+        )}
         {enabledLayers.flights && flightsError && (
           <div className="notice map-notice">Flights unavailable: {flightsError.message}</div>
         )}
@@ -3074,12 +3190,18 @@ function App() {
             <ShippingPanel
               data={shippingData}
               loading={shippingLoading}
-              onRefresh={refreshShipping}
+              onRefresh={() => { refreshShipping(); ais.refresh(); }}
               onChokepointClick={(cp) => {
-                if (cp.lat && cp.lon && mapRef.current) {
+                if (cp?.lat && cp.lon && mapRef.current) {
                   mapRef.current.flyTo({ center: [cp.lon, cp.lat], zoom: 5, duration: 1400, essential: true });
                 }
               }}
+              ais={ais}
+              onVesselClick={(vessel) => {
+                if (vessel.lat != null && vessel.lon != null && mapRef.current) {
+                  mapRef.current.flyTo({ center: [vessel.lon, vessel.lat], zoom: 7, duration: 1400, essential: true });
+                }
+              }}
             />
           </PanelWindow>
         )}
@@ -3250,6 +3372,28 @@ function App() {
           </PanelWindow>
         )}
 
+        {/* ══════════ Portfolio Exposure Panel ══════════ */}
+        {showPortfolioPanel && (
+          <PanelWindow
+            id="portfolio"
+            title="Portfolio Exposure"
+            onClose={() => setShowPortfolioPanel(false)}
+            defaultWidth={400}
+            defaultHeight={540}
+            defaultMode="floating"
+            defaultPosition={{ x: 200, y: 110 }}
+          >
+            <PortfolioPanel
+              onCountryClick={(name) => {
+                const marker = COUNTRY_MARKERS.find(m => m.name.toLowerCase() === name.toLowerCase());
+                if (marker && mapRef.current) {
+                  mapRef.current.flyTo({ center: [marker.lon, marker.lat], zoom: 5, duration: 1400, essential: true });
+                }
+              }}
+            />
+          </PanelWindow>
+        )}
+
         {/* ══════════ Narrative & Sentiment Panel ══════════ */}
         {showNarrativePanel && (
           <PanelWindow
@@ -3412,9 +3556,8 @@ function App() {
         {showTimeline && (
           <TimelineNavigator
             events={timelineEvents}
-            onTimeSelect={(date) => {
-              console.log('[Timeline] Selected:', date);
-            }}
+            onTimeSelect={setTimeTravelDate}
+            loading={historicalLoading}
             onEventClick={(event) => {
               if (event.country && mapRef.current) {
                 // Try to fly to the event's country/region
@@ -3425,7 +3568,7 @@ function App() {
         )}
 
         {/* Global Status Bar */}
-        <GlobalStatusBar tensionData={tensionData} disasterData={disasterData} cyberData={cyberData} commoditiesData={commoditiesData} />
+        <GlobalStatusBar tensionData={tensionData} disasterData={disasterData} cyberData={cyberData} commoditiesData={commoditiesData} sourceHealth={sourceHealthData} />
 
         {/* Keyboard shortcut hint */}
         <div className="keyboard-hint">
@@ -3433,7 +3576,32 @@ function App() {
         </div>
 
         {/* Election mode map legend */}
-        {electionMode && (
+        {electionMode && electionResultsActive && (
+          <div className="el-map-legend">
+            {[
+              { key: 'won-D', label: 'Won D' },
+              { key: 'leading-D', label: 'Leading D' },
+              { key: 'too-close', label: 'Too Close' },
+              { key: 'leading-R', label: 'Leading R' },
+              { key: 'won-R', label: 'Won R' },
+              { key: 'awaiting', label: 'Awaiting' },
+            ].map((item, idx) => (
+              <span key={item.key}>
+                {idx > 0 && <span className="el-legend-sep" />}
+                <span className="el-legend-item">
+                  <span className="el-legend-swatch" style={{ background: RESULT_COLORS[item.key] }} />
+                  {item.label}
+                </span>
+              </span>
+            ))}
+            <span className="el-legend-sep" />
+            <span className="el-legend-item">
+              <span className="el-live-dot" />
+              {electionResults.summary.called + electionResults.summary.decided}/{electionResults.summary.races} decided
+            </span>
+          </div>
+        )}
+        {electionMode && !electionResultsActive && (
           <div className="el-map-legend">
             {[
               { rating: 'safe-d', label: 'Safe D' },
@@ -3494,11 +3662,13 @@ function App() {
           style={{ width: '100%', height: '100%' }}
           interactiveLayerIds={[
             'countries-fill',
+            ...(enabledLayers.geoNews ? GEO_NEWS_LAYER_IDS : []),
             ...(showUSStates ? ['us-states-fill'] : []),
             ...(showCAProvinces ? ['ca-provinces-fill'] : []),
             ...(showEUCountries ? ['eu-countries-fill'] : []),
           ]}
           onMove={handleMapMove}
+          onMoveEnd={handleMapMoveEnd}
           onMouseMove={handleMapMouseMove}
           onMouseLeave={handleMapMouseLeave}
           onClick={handleMapClick}
@@ -3847,8 +4017,13 @@ function App() {
             </Source>
           )}
 
-          {/* UA/RU Frontline Overlay (legacy — hidden when conflict mode is on) */}
-          <FrontlineOverlay visible={showFrontline && !conflictMode} />
+          {/* Dated control maps (the Russia–Ukraine war layer draws its own frontline) */}
+          <FrontlineOverlay
+            visible={showFrontline && !(conflictMode && frontlineConflict === 'ukraine')}
+            snapshot={frontlineSnapshot}
+            compareSnapshot={frontlineCompareSnapshot}
+            sides={frontlineInfo?.sides}
+          />
 
           {/* Conflict Overlay — frontlines, occupied territory, coat of arms, NATO symbols */}
           <ConflictOverlay
@@ -3893,6 +4068,9 @@ function App() {
           {showShippingMode && shippingData?.chokepoints && (
             <ShippingOverlay
               chokepoints={shippingData.chokepoints}
+              transitStats={ais.summary?.chokepoints}
+              vessels={ais.vessels}
+              flags={ais.summary?.flags}
               onChokepointClick={(cp) => {
                 if (cp.lat && cp.lon && mapRef.current) {
                   mapRef.current.flyTo({ center: [cp.lon, cp.lat], zoom: 5, duration: 1400, essential: true });
@@ -3948,24 +4126,62 @@ function App() {
             />
           </Source>
 
-          {/* Flight paths */}
-          {enabledLayers.flights && flightPaths.length > 0 && (
-            <Source id="flights" type="geojson" data={flightPathsGeoJSON}>
-              <Layer
-                id="flight-lines"
-                type="line"
-                paint={{
-                  'line-color': isLightTheme
-                    ? 'rgba(59, 141, 255, 0.7)'
-                    : 'rgba(73, 198, 255, 0.7)',
-                  'line-width': 2,
-                  'line-dasharray': [6, 6],
-                }}
-                layout={{
-                  'line-cap': 'round',
-                }}
-              />
-            </Source>
+          {/* Geotagged headlines, clustered by location */}
+          <GeoNewsLayer visible={enabledLayers.geoNews} data={geoFeed} isLightTheme={isLightTheme} />
+
+          {/* Flights — military red, government amber, civil blue; short trails behind each */}
+          {enabledLayers.flights && (
+            <>
+              <Source id="flight-trails" type="geojson" data={flightTrailsGeoJSON}>
+                <Layer
+                  id="flight-trail-lines"
+                  type="line"
+                  paint={{
+                    'line-color': ['match', ['get', 'category'],
+                      'military', 'rgba(255, 77, 77, 0.55)',
+                      'government', 'rgba(245, 197, 66, 0.55)',
+                      isLightTheme ? 'rgba(59, 141, 255, 0.35)' : 'rgba(73, 198, 255, 0.35)'],
+                    'line-width': 1.2,
+                  }}
+                  layout={{ 'line-cap': 'round', 'line-join': 'round' }}
+                />
+              </Source>
+              <Source id="flights" type="geojson" data={flightsGeoJSON}>
+                <Layer
+                  id="flight-points"
+                  type="circle"
+                  paint={{
+                    'circle-color': ['match', ['get', 'category'],
+                      'military', '#ff4d4d',
+                      'government', '#f5c542',
+                      isLightTheme ? '#3b8dff' : '#49c6ff'],
+                    'circle-radius': ['interpolate', ['linear'], ['zoom'],
+                      1, ['match', ['get', 'category'], 'civil', 1.5, 3],
+                      6, ['match', ['get', 'category'], 'civil', 3, 5]],
+                    'circle-stroke-width': ['match', ['get', 'category'], 'civil', 0, 1],
+                    'circle-stroke-color': 'rgba(0, 0, 0, 0.6)',
+                  }}
+                />
+                <Layer
+                  id="flight-labels"
+                  type="symbol"
+                  minzoom={4}
+                  filter={['!=', ['get', 'category'], 'civil']}
+                  layout={{
+                    'text-field': ['get', 'callsign'],
+                    'text-font': ['Open Sans Semibold'],
+                    'text-size': 10,
+                    'text-offset': [0, 1.1],
+                    'text-anchor': 'top',
+                  }}
+                  paint={{
+                    'text-color': isLightTheme ? '#333' : '#e8e8f0',
+                    'text-halo-color': isLightTheme ? 'rgba(255,255,255,0.8)' : 'rgba(0,0,0,0.8)',
+                    'text-halo-width': 1,
+                  }}
+                />
+              </Source>
+            </>
           )}
 
           {/* Severe weather event markers */}
@@ -1,250 +0,0 @@
-// Capital city coordinates [latitude, longitude] keyed by ISO 3166-1 numeric (CCN3)
-// Source: compiled from authoritative geographic references
-const CAPITAL_COORDS = {
-  '004': [34.53, 69.17],    // Kabul
-  '008': [41.33, 19.82],    // Tirana
-  '012': [36.75, 3.04],     // Algiers
-  '016': [-14.27, -170.70], // Pago Pago
-  '020': [42.51, 1.52],     // Andorra la Vella
-  '024': [-8.84, 13.23],    // Luanda
-  '028': [17.12, -61.85],   // Saint John's
-  '031': [40.41, 49.87],    // Baku
-  '032': [-34.60, -58.38],  // Buenos Aires
-  '036': [-35.28, 149.13],  // Canberra
-  '040': [48.21, 16.37],    // Vienna
-  '044': [25.05, -77.35],   // Nassau
-  '048': [26.23, 50.58],    // Manama
-  '050': [23.81, 90.41],    // Dhaka
-  '051': [40.18, 44.51],    // Yerevan
-  '052': [13.10, -59.61],   // Bridgetown
-  '056': [50.85, 4.35],     // Brussels
-  '060': [32.29, -64.78],   // Hamilton
-  '064': [27.47, 89.64],    // Thimphu
-  '068': [-19.04, -65.26],  // Sucre
-  '070': [43.86, 18.41],    // Sarajevo
-  '072': [-24.65, 25.91],   // Gaborone
-  '076': [-15.79, -47.88],  // Brasília
-  '084': [17.25, -88.77],   // Belmopan
-  '086': [-7.31, 72.42],    // Diego Garcia
-  '090': [-9.43, 160.03],   // Honiara
-  '092': [18.43, -64.62],   // Road Town
-  '096': [4.94, 114.95],    // Bandar Seri Begawan
-  '100': [42.70, 23.32],    // Sofia
-  '104': [19.76, 96.07],    // Naypyidaw
-  '108': [-3.43, 29.93],    // Gitega
-  '112': [53.90, 27.57],    // Minsk
-  '116': [11.56, 104.92],   // Phnom Penh
-  '120': [3.87, 11.52],     // Yaoundé
-  '124': [45.42, -75.70],   // Ottawa
-  '132': [14.93, -23.51],   // Praia
-  '136': [19.30, -81.38],   // George Town
-  '140': [4.36, 18.56],     // Bangui
-  '144': [6.93, 79.84],     // Colombo
-  '148': [12.11, 15.04],    // N'Djamena
-  '152': [-33.45, -70.67],  // Santiago
-  '156': [39.90, 116.40],   // Beijing
-  '158': [25.03, 121.57],   // Taipei
-  '162': [-10.49, 105.63],  // Flying Fish Cove
-  '166': [-12.19, 96.83],   // West Island
-  '170': [4.71, -74.07],    // Bogotá
-  '174': [-11.70, 43.25],   // Moroni
-  '175': [-12.78, 45.23],   // Mamoudzou
-  '178': [-4.27, 15.28],    // Brazzaville
-  '180': [-4.32, 15.31],    // Kinshasa
-  '184': [-21.21, -159.78], // Avarua
-  '188': [9.93, -84.08],    // San José
-  '191': [45.81, 15.98],    // Zagreb
-  '192': [23.11, -82.37],   // Havana
-  '196': [35.17, 33.37],    // Nicosia
-  '203': [50.08, 14.42],    // Prague
-  '204': [6.50, 2.63],      // Porto-Novo
-  '208': [55.68, 12.57],    // Copenhagen
-  '212': [15.30, -61.39],   // Roseau
-  '214': [18.47, -69.90],   // Santo Domingo
-  '218': [-0.18, -78.47],   // Quito
-  '222': [13.69, -89.19],   // San Salvador
-  '226': [3.75, 8.78],      // Malabo
-  '231': [9.02, 38.75],     // Addis Ababa
-  '232': [15.34, 38.93],    // Asmara
-  '233': [59.44, 24.75],    // Tallinn
-  '234': [62.01, -6.77],    // Tórshavn
-  '238': [-51.70, -57.85],  // Stanley
-  '239': [-54.28, -36.51],  // King Edward Point
-  '242': [-18.14, 178.44],  // Suva
-  '246': [60.17, 24.94],    // Helsinki
-  '248': [60.10, 19.94],    // Mariehamn
-  '250': [48.86, 2.35],     // Paris
-  '254': [4.94, -52.33],    // Cayenne
-  '258': [-17.53, -149.57], // Papeetē
-  '260': [-49.35, 70.22],   // Port-aux-Français
-  '262': [11.59, 43.15],    // Djibouti
-  '266': [0.39, 9.45],      // Libreville
-  '268': [41.72, 44.79],    // Tbilisi
-  '270': [13.45, -16.58],   // Banjul
-  '275': [31.90, 35.20],    // Ramallah
-  '276': [52.52, 13.41],    // Berlin
-  '288': [5.56, -0.19],     // Accra
-  '292': [36.14, -5.35],    // Gibraltar
-  '296': [1.45, 173.00],    // South Tarawa
-  '300': [37.98, 23.73],    // Athens
-  '304': [64.18, -51.72],   // Nuuk
-  '308': [12.05, -61.75],   // St. George's
-  '312': [16.00, -61.73],   // Basse-Terre
-  '316': [13.47, 144.75],   // Hagåtña
-  '320': [14.63, -90.51],   // Guatemala City
-  '324': [9.54, -13.68],    // Conakry
-  '328': [6.80, -58.16],    // Georgetown
-  '332': [18.54, -72.34],   // Port-au-Prince
-  '336': [41.90, 12.45],    // Vatican City
-  '340': [14.07, -87.19],   // Tegucigalpa
-  '344': [22.28, 114.16],   // City of Victoria
-  '348': [47.50, 19.04],    // Budapest
-  '352': [64.15, -21.94],   // Reykjavik
-  '356': [28.61, 77.21],    // New Delhi
-  '360': [-6.21, 106.85],   // Jakarta
-  '364': [35.69, 51.39],    // Tehran
-  '368': [33.31, 44.37],    // Baghdad
-  '372': [53.33, -6.26],    // Dublin
-  '376': [31.77, 35.23],    // Jerusalem
-  '380': [41.90, 12.50],    // Rome
-  '384': [6.82, -5.28],     // Yamoussoukro
-  '388': [18.00, -76.79],   // Kingston
-  '392': [35.68, 139.69],   // Tokyo
-  '398': [51.17, 71.43],    // Astana
-  '400': [31.95, 35.93],    // Amman
-  '404': [-1.29, 36.82],    // Nairobi
-  '408': [39.02, 125.75],   // Pyongyang
-  '410': [37.57, 126.98],   // Seoul
-  '414': [29.38, 47.99],    // Kuwait City
-  '417': [42.87, 74.59],    // Bishkek
-  '418': [17.97, 102.63],   // Vientiane
-  '422': [33.89, 35.50],    // Beirut
-  '426': [-29.31, 27.48],   // Maseru
-  '428': [56.95, 24.11],    // Riga
-  '430': [6.30, -10.80],    // Monrovia
-  '434': [32.90, 13.18],    // Tripoli
-  '438': [47.14, 9.52],     // Vaduz
-  '440': [54.69, 25.28],    // Vilnius
-  '442': [49.61, 6.13],     // Luxembourg
-  '450': [-18.91, 47.54],   // Antananarivo
-  '454': [-13.97, 33.79],   // Lilongwe
-  '458': [3.14, 101.69],    // Kuala Lumpur
-  '462': [4.18, 73.51],     // Malé
-  '466': [12.65, -8.00],    // Bamako
-  '470': [35.90, 14.51],    // Valletta
-  '474': [14.62, -61.06],   // Fort-de-France
-  '478': [18.09, -15.98],   // Nouakchott
-  '480': [-20.16, 57.50],   // Port Louis
-  '484': [19.43, -99.13],   // Mexico City
-  '492': [43.73, 7.42],     // Monaco
-  '496': [47.91, 106.91],   // Ulan Bator
-  '498': [47.01, 28.86],    // Chișinău
-  '499': [42.44, 19.26],    // Podgorica
-  '500': [16.71, -62.22],   // Plymouth
-  '504': [34.02, -6.84],    // Rabat
-  '508': [-25.97, 32.58],   // Maputo
-  '512': [23.61, 58.59],    // Muscat
-  '516': [-22.56, 17.08],   // Windhoek
-  '520': [-0.55, 166.92],   // Yaren
-  '524': [27.72, 85.32],    // Kathmandu
-  '528': [52.37, 4.89],     // Amsterdam
-  '531': [12.11, -68.93],   // Willemstad
-  '533': [12.51, -70.03],   // Oranjestad
-  '534': [18.04, -63.05],   // Philipsburg
-  '535': [12.14, -68.27],   // Kralendijk
-  '540': [-22.28, 166.46],  // Nouméa
-  '548': [-17.73, 168.32],  // Port Vila
-  '554': [-41.29, 174.78],  // Wellington
-  '558': [12.13, -86.25],   // Managua
-  '562': [13.51, 2.11],     // Niamey
-  '566': [9.06, 7.49],      // Abuja
-  '570': [-19.06, -169.92], // Alofi
-  '574': [-29.05, 167.97],  // Kingston (Norfolk)
-  '578': [59.91, 10.75],    // Oslo
-  '580': [15.18, 145.75],   // Saipan
-  '583': [6.92, 158.16],    // Palikir
-  '584': [7.09, 171.38],    // Majuro
-  '585': [7.50, 134.62],    // Ngerulmud
-  '586': [33.69, 73.04],    // Islamabad
-  '591': [8.98, -79.52],    // Panama City
-  '598': [-6.21, 155.56],   // Port Moresby (Bougainville correction: capital is POM)
-  '600': [-25.26, -57.58],  // Asunción
-  '604': [-12.05, -77.04],  // Lima
-  '608': [14.60, 120.98],   // Manila
-  '612': [-25.07, -130.10], // Adamstown
-  '616': [52.23, 21.01],    // Warsaw
-  '620': [38.72, -9.14],    // Lisbon
-  '624': [11.86, -15.60],   // Bissau
-  '626': [-8.56, 125.57],   // Dili
-  '630': [18.47, -66.12],   // San Juan
-  '634': [25.29, 51.53],    // Doha
-  '638': [-20.88, 55.45],   // Saint-Denis
-  '642': [44.43, 26.10],    // Bucharest
-  '643': [55.76, 37.62],    // Moscow
-  '646': [-1.94, 29.87],    // Kigali
-  '652': [17.90, -62.85],   // Gustavia
-  '654': [-15.93, -5.72],   // Jamestown
-  '659': [17.30, -62.72],   // Basseterre
-  '660': [18.22, -63.06],   // The Valley
-  '662': [14.01, -61.00],   // Castries
-  '663': [18.07, -63.08],   // Marigot
-  '666': [46.78, -56.18],   // Saint-Pierre
-  '670': [13.16, -61.22],   // Kingstown
-  '674': [43.94, 12.45],    // City of San Marino
-  '678': [0.34, 6.73],      // São Tomé
-  '682': [24.69, 46.72],    // Riyadh
-  '686': [14.69, -17.44],   // Dakar
-  '688': [44.79, 20.45],    // Belgrade
-  '690': [-4.68, 55.49],    // Victoria (Seychelles)
-  '694': [8.48, -13.23],    // Freetown
-  '702': [1.29, 103.85],    // Singapore
-  '703': [48.15, 17.11],    // Bratislava
-  '704': [21.03, 105.85],   // Hanoi
-  '705': [46.05, 14.51],    // Ljubljana
-  '706': [2.05, 45.34],     // Mogadishu
-  '710': [-25.75, 28.19],   // Pretoria
-  '716': [-17.83, 31.05],   // Harare
-  '724': [40.42, -3.70],    // Madrid
-  '728': [4.85, 31.60],     // Juba
-  '729': [15.59, 32.53],    // Khartoum
-  '732': [27.15, -13.20],   // El Aaiún
-  '740': [5.87, -55.17],    // Paramaribo
-  '744': [78.22, 15.64],    // Longyearbyen
-  '748': [-26.32, 31.13],   // Lobamba
-  '752': [59.33, 18.07],    // Stockholm
-  '756': [46.95, 7.45],     // Bern
-  '760': [33.51, 36.29],    // Damascus
-  '762': [38.56, 68.77],    // Dushanbe
-  '764': [13.76, 100.50],   // Bangkok
-  '768': [6.14, 1.21],      // Lomé
-  '772': [-9.17, -171.82],  // Fakaofo
-  '776': [-21.21, -175.15], // Nuku'alofa
-  '780': [10.66, -61.51],   // Port of Spain
-  '784': [24.45, 54.65],    // Abu Dhabi
-  '788': [36.81, 10.18],    // Tunis
-  '792': [39.93, 32.86],    // Ankara
-  '795': [37.95, 58.38],    // Ashgabat
-  '796': [21.46, -71.14],   // Cockburn Town
-  '798': [-8.52, 179.20],   // Funafuti
-  '800': [0.31, 32.58],     // Kampala
-  '804': [50.45, 30.52],    // Kyiv
-  '807': [42.00, 21.43],    // Skopje
-  '818': [30.04, 31.24],    // Cairo
-  '826': [51.51, -0.13],    // London
-  '831': [49.45, -2.54],    // St. Peter Port
-  '832': [49.19, -2.11],    // Saint Helier
-  '833': [54.15, -4.48],    // Douglas
-  '834': [-6.16, 35.75],    // Dodoma
-  '840': [38.90, -77.04],   // Washington D.C.
-  '850': [18.35, -64.93],   // Charlotte Amalie
-  '854': [12.37, -1.52],    // Ouagadougou
-  '858': [-34.88, -56.18],  // Montevideo
-  '860': [41.30, 69.28],    // Tashkent
-  '862': [10.49, -66.88],   // Caracas
-  '876': [-13.28, -176.18], // Mata-Utu
-  '882': [-13.83, -171.76], // Apia
-  '887': [15.37, 44.21],    // Sana'a
-  '894': [-15.39, 28.32],   // Lusaka
-};
-
-export default CAPITAL_COORDS;
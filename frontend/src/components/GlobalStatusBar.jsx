@@ -1,6 +1,12 @@
 import { useState, useEffect } from 'react';
 
-export default function GlobalStatusBar({ tensionData, disasterData, cyberData, commoditiesData }) {
+const SOURCE_STATUS_COLORS = {
+  down: '#ff4444',
+  degraded: '#ffa726',
+  fallback: '#ffd700',
+};
+
+export default function GlobalStatusBar({ tensionData, disasterData, cyberData, commoditiesData, sourceHealth }) {
   const [utcTime, setUtcTime] = useState(new Date().toISOString().slice(11, 19));
 
   useEffect(() => {
@@ -16,6 +22,18 @@ export default function GlobalStatusBar({ tensionData, disasterData, cyberData,
   const activeDisasters = disasterData?.summary?.totalActive ?? '--';
   const cyberThreats = cyberData?.summary?.totalActive ?? cyberData?.threats?.length ?? '--';
 
+  // Feeds that are down, degraded, or serving fallback/mock data
+  const sources = sourceHealth?.sources ?? [];
+  const reporting = sources.filter(s => s.status !== 'unknown');
+  const unhealthy = reporting.filter(s => SOURCE_STATUS_COLORS[s.status]);
+  const worstStatus = unhealthy.some(s => s.status === 'down') ? 'down'
+    : unhealthy.some(s => s.status === 'degraded') ? 'degraded'
+    : unhealthy.length > 0 ? 'fallback' : null;
+  const liveColor = worstStatus ? SOURCE_STATUS_COLORS[worstStatus] : '#44ff44';
+  const feedsTitle = unhealthy.length > 0
+    ? unhealthy.map(s => `${s.name}: ${s.status}${s.fallback ? ` (${s.fallback.reason})` : s.lastError ? ` (${s.lastError})` : ''}`).join('\n')
+    : 'All reporting feeds healthy';
+
   const gainers = commoditiesData?.summary?.gainers ?? '--';
   const losers = commoditiesData?.summary?.losers ?? '--';
 
@@ -38,8 +56,8 @@ export default function GlobalStatusBar({ tensionData, disasterData, cyberData,
       {/* Live indicator */}
       <span style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
         <span style={{
-          width: '6px', height: '6px', borderRadius: '50%', background: '#44ff44',
-          boxShadow: '0 0 6px #44ff44', animation: 'pulse-live 2s ease-in-out infinite',
+          width: '6px', height: '6px', borderRadius: '50%', background: liveColor,
+          boxShadow: `0 0 6px ${liveColor}`, animation: 'pulse-live 2s ease-in-out infinite',
         }} />
         <span style={{ color: 'rgba(255,255,255,0.5)', fontSize: '9px', letterSpacing: '1px' }}>LIVE</span>
       </span>
@@ -71,6 +89,22 @@ export default function GlobalStatusBar({ tensionData, disasterData, cyberData,
 
       <div style={sep} />
 
+      {reporting.length > 0 && (
+        <>
+          <span title={feedsTitle} style={{ cursor: 'help' }}>
+            <span style={label}>Feeds</span>
+            <span style={{ ...val, color: liveColor }}>{reporting.length - unhealthy.length}/{reporting.length}</span>
+            {unhealthy.length > 0 && (
+              <span style={{ color: liveColor, fontSize: '9px', marginLeft: '4px' }}>
+                ({unhealthy.slice(0, 3).map(s => s.name).join(', ')}{unhealthy.length > 3 ? ` +${unhealthy.length - 3}` : ''})
+              </span>
+            )}
+          </span>
+
+          <div style={sep} />
+        </>
+      )}
+
       <span><span style={label}>UTC</span><span style={val}>{utcTime}</span></span>
 
       <style>{`@keyframes pulse-live { 0%,100% { opacity: 1; } 50% { opacity: 0.3; } }`}</style>
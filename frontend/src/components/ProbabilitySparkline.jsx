@@ -0,0 +1,80 @@
+/**
+ * Probability charts for prediction markets (values are 0-1).
+ *
+ * ProbabilitySparkline — one series, auto-scaled (at least a 10-point band
+ *   so small wobbles don't look like swings), colored by direction.
+ * ProbabilityHistoryChart — every outcome of a market on a fixed 0-100% axis.
+ */
+
+const UP_COLOR = '#4ecdc4';
+const DOWN_COLOR = '#ff6b6b';
+const FLAT_COLOR = 'rgba(255,255,255,0.4)';
+const OUTCOME_COLORS = ['#4a9eff', '#ff8c00', '#a78bfa', '#34d399', '#f472b6', '#fbbf24'];
+const MIN_BAND = 0.1;
+
+export function changeColor(change) {
+  if (!change) return FLAT_COLOR;
+  return change > 0 ? UP_COLOR : DOWN_COLOR;
+}
+
+/** Signed change in percentage points, e.g. "+20 pts". */
+export function formatChange(change) {
+  if (change == null) return '';
+  return `${change > 0 ? '+' : ''}${change} pts`;
+}
+
+export function ProbabilitySparkline({ values, change, height = 20, width = '100%' }) {
+  if (!values || values.length < 2) return null;
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const mid = (lo + hi) / 2;
+  const band = Math.max(hi - lo, MIN_BAND);
+  const min = Math.max(0, Math.min(mid - band / 2, 1 - band));
+  const points = values
+    .map((v, i) => `${(i / (values.length - 1)) * 100},${34 - ((v - min) / band) * 32}`)
+    .join(' ');
+
+  return (
+    <svg viewBox="0 0 100 36" preserveAspectRatio="none" style={{ width, height, display: 'block' }}>
+      <polyline fill="none" stroke={changeColor(change)} strokeWidth="1.5" points={points} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+export function ProbabilityHistoryChart({ outcomes, height = 64 }) {
+  const lines = (outcomes || []).filter(o => o.points.length >= 2).slice(0, OUTCOME_COLORS.length);
+  if (lines.length === 0) return null;
+
+  const times = lines.flatMap(o => o.points.map(p => Date.parse(p.recordedAt)));
+  const start = Math.min(...times);
+  const span = Math.max(...times) - start || 1;
+  const toPoints = (points) => points
+    .map(p => `${((Date.parse(p.recordedAt) - start) / span) * 100},${38 - p.probability * 36}`)
+    .join(' ');
+
+  return (
+    <div>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" style={{ width: '100%', height, display: 'block' }}>
+        {[0.25, 0.5, 0.75].map(level => (
+          <line key={level} x1="0" x2="100" y1={38 - level * 36} y2={38 - level * 36}
+            stroke="rgba(255,255,255,0.08)" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+        ))}
+        {lines.map((o, i) => (
+          <polyline key={o.outcome} fill="none" stroke={OUTCOME_COLORS[i]} strokeWidth="1.5"
+            points={toPoints(o.points)} vectorEffect="non-scaling-stroke" />
+        ))}
+      </svg>
+      {lines.length > 1 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', fontSize: '9px', marginTop: '2px' }}>
+          {lines.map((o, i) => (
+            <span key={o.outcome} style={{ color: OUTCOME_COLORS[i] }}>
+              {o.outcome} {Math.round(o.probability * 100)}%
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProbabilitySparkline;
@@ -16,6 +16,8 @@ const ZOOM_LEVELS = [
 ];
 
 const DAY_MS = 86400000;
+// Playback advances the map one day per step
+const PLAY_STEP_MS = 1000;
 
 function formatShortDate(date) {
   const d = new Date(date);
@@ -171,7 +173,7 @@ function MiniEventList({ events, visible, onEventClick, positionX }) {
 }
 
 // ── TimelineControls ─────────────────────────────────────────────────────────
-function TimelineControls({ zoomLevel, onZoomChange, isPlaying, onPlayToggle, isLive, onLiveToggle, selectedDate }) {
+function TimelineControls({ zoomLevel, onZoomChange, isPlaying, onPlayToggle, isLive, onLiveToggle, selectedDate, loading }) {
   const controlsStyle = {
     display: 'flex',
     alignItems: 'center',
@@ -242,7 +244,7 @@ function TimelineControls({ zoomLevel, onZoomChange, isPlaying, onPlayToggle, is
 
       <div style={sep} />
 
-      <button style={playBtnStyle} onClick={onPlayToggle} title={isPlaying ? 'Pause' : 'Play'}>
+      <button style={playBtnStyle} onClick={onPlayToggle} title={isPlaying ? 'Pause' : 'Play day by day'}>
         {isPlaying ? '\u275A\u275A' : '\u25B6'}
       </button>
 
@@ -259,9 +261,15 @@ function TimelineControls({ zoomLevel, onZoomChange, isPlaying, onPlayToggle, is
 
       <div style={sep} />
 
-      <span style={{ color: 'rgba(255,255,255,0.45)', fontSize: '10px', letterSpacing: '0.3px' }}>
-        {selectedDate ? formatFullDate(selectedDate) : formatFullDate(new Date())}
-      </span>
+      {selectedDate ? (
+        <span style={{ color: '#fcd34d', fontSize: '10px', letterSpacing: '0.3px' }} title="Map shows stored snapshots as of this date">
+          HISTORICAL {'\u2022'} {formatFullDate(selectedDate)}{loading ? ' \u2026' : ''}
+        </span>
+      ) : (
+        <span style={{ color: 'rgba(255,255,255,0.45)', fontSize: '10px', letterSpacing: '0.3px' }}>
+          {formatFullDate(new Date())}
+        </span>
+      )}
     </div>
   );
 }
@@ -269,7 +277,7 @@ function TimelineControls({ zoomLevel, onZoomChange, isPlaying, onPlayToggle, is
 // ── TimelineBar ──────────────────────────────────────────────────────────────
 function TimelineBar({
   events, rangeStart, rangeEnd, onTimeSelect, onEventClick,
-  eventsByDay, expanded, onToggleExpand, onDayHover, hoveredDay,
+  eventsByDay, expanded, onToggleExpand, onDayHover, hoveredDay, selectedDate,
 }) {
   const containerRef = useRef(null);
   const [containerWidth, setContainerWidth] = useState(800);
@@ -333,6 +341,7 @@ function TimelineBar({
 
   // Current time position
   const nowX = dateToX(new Date());
+  const selectedX = selectedDate ? dateToX(selectedDate) : null;
 
   const containerStyle = {
     position: 'relative',
@@ -460,6 +469,21 @@ function TimelineBar({
         }} />
       )}
 
+      {/* Historical playhead */}
+      {selectedX !== null && selectedX >= 0 && selectedX <= containerWidth && (
+        <div style={{
+          position: 'absolute',
+          left: selectedX - 1,
+          top: 0,
+          width: '2px',
+          height: '100%',
+          background: '#f59e0b',
+          boxShadow: '0 0 6px rgba(245,158,11,0.6)',
+          pointerEvents: 'none',
+          zIndex: 16,
+        }} />
+      )}
+
       {/* Expand/collapse toggle */}
       <div
         style={{
@@ -481,7 +505,12 @@ function TimelineBar({
 }
 
 // ── TimelineNavigator (main export) ──────────────────────────────────────────
-export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
+/**
+ * Bottom timeline strip. Clicking the bar selects a past date and playback steps
+ * forward one day at a time; `onTimeSelect(date)` fires for each, and
+ * `onTimeSelect(null)` when returning to live.
+ */
+export function TimelineNavigator({ events, onTimeSelect, onEventClick, loading = false }) {
   const [zoomLevel, setZoomLevel] = useState(30);
   const [selectedDate, setSelectedDate] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -489,7 +518,12 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
   const [expanded, setExpanded] = useState(false);
   const [hoveredDay, setHoveredDay] = useState(null);
   const [hoveredDayX, setHoveredDayX] = useState(0);
-  const playIntervalRef = useRef(null);
+  const onTimeSelectRef = useRef(onTimeSelect);
+
+  // Parents usually pass an inline handler; keep playback timers off its identity
+  useEffect(() => {
+    onTimeSelectRef.current = onTimeSelect;
+  }, [onTimeSelect]);
 
   // Compute time range based on zoom level
   const { rangeStart, rangeEnd } = useMemo(() => {
@@ -532,8 +566,15 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
   const handleTimeSelect = useCallback((date) => {
     setSelectedDate(date);
     setIsLive(false);
-    if (onTimeSelect) onTimeSelect(date);
-  }, [onTimeSelect]);
+    if (onTimeSelectRef.current) onTimeSelectRef.current(date);
+  }, []);
+
+  const goLive = useCallback(() => {
+    setIsPlaying(false);
+    setIsLive(true);
+    setSelectedDate(null);
+    if (onTimeSelectRef.current) onTimeSelectRef.current(null);
+  }, []);
 
   // Handle event click
   const handleEventClick = useCallback((event) => {
@@ -546,21 +587,24 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
   }, []);
 
   // Handle play/pause
+  // Playing from live starts at the beginning of the visible range
   const handlePlayToggle = useCallback(() => {
-    setIsPlaying((prev) => !prev);
-    setIsLive(false);
-  }, []);
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    if (!selectedDate) handleTimeSelect(new Date(rangeStart));
+    setIsPlaying(true);
+  }, [isPlaying, selectedDate, rangeStart, handleTimeSelect]);
 
   // Handle live toggle
   const handleLiveToggle = useCallback(() => {
-    setIsLive((prev) => {
-      if (!prev) {
-        setIsPlaying(false);
-        setSelectedDate(null);
-      }
-      return !prev;
-    });
-  }, []);
+    if (isLive) {
+      setIsLive(false);
+    } else {
+      goLive();
+    }
+  }, [isLive, goLive]);
 
   // Handle day hover
   const handleDayHover = useCallback((dayKey, clientX) => {
@@ -568,35 +612,19 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
     setHoveredDayX(clientX);
   }, []);
 
-  // Auto-play: scroll through time by advancing selectedDate
+  // Auto-play: advance the selected date one day per step, back to live once it reaches now
   useEffect(() => {
-    if (isPlaying) {
-      const startDate = selectedDate ? new Date(selectedDate) : new Date(rangeStart);
-      let current = startDate.getTime();
-      const endTs = rangeEnd.getTime();
-      const step = (endTs - new Date(rangeStart).getTime()) / 200;
-
-      playIntervalRef.current = setInterval(() => {
-        current += step;
-        if (current >= endTs) {
-          setIsPlaying(false);
-          clearInterval(playIntervalRef.current);
-          return;
-        }
-        const newDate = new Date(current);
-        setSelectedDate(newDate);
-        if (onTimeSelect) onTimeSelect(newDate);
-      }, 80);
-    } else {
-      if (playIntervalRef.current) {
-        clearInterval(playIntervalRef.current);
-        playIntervalRef.current = null;
+    if (!isPlaying || !selectedDate) return;
+    const id = setTimeout(() => {
+      const next = new Date(new Date(selectedDate).getTime() + DAY_MS);
+      if (next.getTime() >= Date.now()) {
+        goLive();
+      } else {
+        handleTimeSelect(next);
       }
-    }
-    return () => {
-      if (playIntervalRef.current) clearInterval(playIntervalRef.current);
-    };
-  }, [isPlaying, rangeStart, rangeEnd, selectedDate, onTimeSelect]);
+    }, PLAY_STEP_MS);
+    return () => clearTimeout(id);
+  }, [isPlaying, selectedDate, handleTimeSelect, goLive]);
 
   // Live mode: snap to current time every 30s
   useEffect(() => {
@@ -682,6 +710,7 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
           isLive={isLive}
           onLiveToggle={handleLiveToggle}
           selectedDate={selectedDate}
+          loading={loading}
         />
       </div>
 
@@ -698,6 +727,7 @@ export function TimelineNavigator({ events, onTimeSelect, onEventClick }) {
           onToggleExpand={() => setExpanded((prev) => !prev)}
           onDayHover={handleDayHover}
           hoveredDay={hoveredDay}
+          selectedDate={selectedDate}
         />
 
         {/* Mini event list popup on hover */}
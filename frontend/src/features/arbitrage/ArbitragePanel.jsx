@@ -1,7 +1,9 @@
 /**
  * ArbitragePanel Component
  * Rich panel displaying cross-platform prediction market divergences.
- * Compares Polymarket vs Kalshi probabilities.
+ * Compares Polymarket vs Kalshi contracts the backend matched on event,
+ * deadline and threshold, with YES/NO aligned, spreads net of fees and a
+ * Metaculus reference. Near misses show similar questions that were rejected.
  * Accepts data via props (NOT self-fetching).
  */
 
@@ -41,6 +43,74 @@ function fmtPct(p) {
   return `${Math.round(p * 100)}%`;
 }
 
+/* ── Format price in cents ── */
+function fmtCents(p) {
+  if (p === null || p === undefined) return '--';
+  return `${Math.round(p * 1000) / 10}¢`;
+}
+
+const VENUE_LABELS = { polymarket: 'PM', kalshi: 'Kalshi' };
+
+/* ── Parsed-question chips (event, deadline, threshold) ── */
+function describeThreshold(t) {
+  if (!t) return null;
+  const fmt = (v) => (t.unit === '$' ? `$${v.toLocaleString()}` : `${v}${t.unit === '%' ? '%' : ''}`);
+  if (t.comparator === 'between') return `${fmt(t.value)}–${fmt(t.high)}`;
+  return `${{ gte: '≥ ', lte: '≤ ', eq: '' }[t.comparator] ?? ''}${fmt(t.value)}`;
+}
+
+function ParsedChips({ opp }) {
+  const parsed = opp.polymarket?.parsed;
+  const chips = [
+    opp.source === 'pinned' ? 'Pinned' : `${Math.round((opp.confidence || 0) * 100)}% match`,
+    parsed?.event,
+    parsed?.deadline && `by ${parsed.deadline.date}`,
+    describeThreshold(parsed?.threshold),
+  ].filter(Boolean);
+  return (
+    <div className="arb-opp-chips">
+      {chips.map(chip => <span key={chip} className="arb-chip">{chip}</span>)}
+      {opp.alignment === 'inverted' && (
+        <span className="arb-chip arb-chip--inverted" title="Polymarket YES corresponds to Kalshi NO">
+          inverted: Kalshi NO
+        </span>
+      )}
+    </div>
+  );
+}
+
+/* ── Trade legs and spread after fees ── */
+function SpreadRow({ spread }) {
+  if (!spread) return null;
+  return (
+    <div className="arb-opp-trade">
+      <span>
+        {spread.legs.map(leg => `${VENUE_LABELS[leg.venue] || leg.venue} ${leg.side} ${fmtCents(leg.price)}`).join(' + ')}
+      </span>
+      <span style={{ color: spread.profitable ? '#4ecdc4' : '#888' }}>
+        net {spread.netPct > 0 ? '+' : ''}{spread.netPct}% after {fmtCents(spread.fees)} fees
+      </span>
+    </div>
+  );
+}
+
+/* ── Near miss: similar text, rejected by a check ── */
+function NearMissCard({ miss }) {
+  const titleOf = (c) => (c.outcome ? `${c.title} — ${c.outcome}` : c.title);
+  return (
+    <div className="arb-opp" style={{ borderLeftColor: 'rgba(255,255,255,0.15)' }}>
+      <div className="arb-opp-title">{titleOf(miss.polymarket)}</div>
+      <div className="arb-near-vs">vs {titleOf(miss.kalshi)}</div>
+      <div className="arb-opp-chips">
+        <span className="arb-chip">{Math.round(miss.similarity * 100)}% similar text</span>
+        {miss.failed.map(check => (
+          <span key={check.name} className="arb-chip arb-chip--failed">{check.name}: {check.detail}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 /* ── Loading skeleton ── */
 function ArbSkeleton() {
   return (
@@ -80,7 +150,8 @@ function ArbSkeleton() {
 function DivergenceCard({ opportunity }) {
   const opp = opportunity;
   const polyProb = opp.polymarket?.probability;
-  const kalshiProb = opp.kalshi?.probability;
+  // Kalshi on Polymarket's YES side (its NO price when the pair is inverted)
+  const kalshiProb = opp.kalshi?.alignedProbability ?? opp.kalshi?.probability;
   const divergence = opp.divergencePct ?? 0;
   const color = spreadColor(divergence);
   const severity = spreadSeverity(divergence);
@@ -96,16 +167,14 @@ function DivergenceCard({ opportunity }) {
       <div className="arb-opp-top">
         <span className="arb-opp-title">
           {opp.polymarket?.title || opp.kalshi?.title || 'Unknown Market'}
+          {opp.polymarket?.outcome && ` — ${opp.polymarket.outcome}`}
         </span>
         <span className="arb-opp-severity" style={{ color, borderColor: color }}>
           {severity}
         </span>
       </div>
 
-      {/* Category if available */}
-      {opp.category && (
-        <span className="arb-opp-category">{opp.category}</span>
-      )}
+      <ParsedChips opp={opp} />
 
       {/* Platform comparison row */}
       <div className="arb-opp-comparison">
@@ -183,10 +252,13 @@ function DivergenceCard({ opportunity }) {
         </div>
       </div>
 
-      {/* Timestamp */}
-      {opp.detectedAt && (
-        <div className="arb-opp-time">
-          Detected {new Date(opp.detectedAt).toLocaleString()}
+      <SpreadRow spread={opp.spread} />
+
+      {opp.metaculus && (
+        <div className="arb-opp-reference">
+          <a href={opp.metaculus.url} target="_blank" rel="noopener noreferrer">Metaculus</a>
+          {' '}{fmtPct(opp.metaculus.probability)}
+          {opp.metaculus.forecasters ? ` · ${opp.metaculus.forecasters} forecasters` : ''}
         </div>
       )}
     </div>
@@ -197,7 +269,8 @@ function DivergenceCard({ opportunity }) {
 const TABS = [
   { key: 'all', label: 'All Divergences' },
   { key: 'big', label: 'Big Spreads (>10%)' },
-  { key: 'recent', label: 'Recent' },
+  { key: 'profitable', label: 'Net of Fees' },
+  { key: 'near', label: 'Near Misses' },
 ];
 
 /* ── Main panel ── */
@@ -211,7 +284,7 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
         divergences: 0,
         avgSpread: 0,
         maxSpread: 0,
-        categories: 0,
+        profitable: 0,
       };
     }
     const opps = data.opportunities;
@@ -219,9 +292,8 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
     const spreadSum = opps.reduce((s, o) => s + (o.divergencePct || 0), 0);
     const avgSpread = divergences ? parseFloat((spreadSum / divergences).toFixed(1)) : 0;
     const maxSpread = opps.reduce((m, o) => Math.max(m, o.divergencePct || 0), 0);
-    const categorySet = new Set(opps.map(o => o.category).filter(Boolean));
-    const categories = data.summary?.categoriesScanned || categorySet.size || 0;
-    return { divergences, avgSpread, maxSpread, categories };
+    const profitable = opps.filter(o => o.spread?.profitable).length;
+    return { divergences, avgSpread, maxSpread, profitable };
   }, [data]);
 
   /* Sorted + filtered opportunities */
@@ -229,21 +301,15 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
     if (!data?.opportunities) return [];
     let opps = [...data.opportunities];
 
-    /* Sort by divergence descending */
-    opps.sort((a, b) => (b.divergencePct || 0) - (a.divergencePct || 0));
+    /* Sort by spread after fees, then raw divergence */
+    opps.sort((a, b) => (b.spread?.net ?? 0) - (a.spread?.net ?? 0)
+      || (b.divergencePct || 0) - (a.divergencePct || 0));
 
     switch (activeTab) {
       case 'big':
         return opps.filter(o => (o.divergencePct || 0) >= 10);
-      case 'recent': {
-        /* Show most recent first, based on detectedAt if available */
-        const sorted = [...opps].sort((a, b) => {
-          const ta = a.detectedAt ? new Date(a.detectedAt).getTime() : 0;
-          const tb = b.detectedAt ? new Date(b.detectedAt).getTime() : 0;
-          return tb - ta;
-        });
-        return sorted;
-      }
+      case 'profitable':
+        return opps.filter(o => o.spread?.profitable);
       default:
         return opps;
     }
@@ -258,8 +324,10 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
   /* Show skeleton while loading with no data */
   if (loading && !data) return <ArbSkeleton />;
 
+  const nearMisses = data?.nearMisses || [];
+
   /* Empty state */
-  if (!data || !data.opportunities || data.opportunities.length === 0) {
+  if (!data || ((!data.opportunities || data.opportunities.length === 0) && nearMisses.length === 0)) {
     return (
       <div className="arb-empty-state">
         <div className="arb-empty-icon">⚖️</div>
@@ -293,8 +361,8 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
           <span className="arb-stat-label">Max Spread</span>
         </div>
         <div className="arb-stat">
-          <span className="arb-stat-value">{summary.categories}</span>
-          <span className="arb-stat-label">Categories</span>
+          <span className="arb-stat-value">{summary.profitable}</span>
+          <span className="arb-stat-label">Net &gt; 0</span>
         </div>
       </div>
 
@@ -330,6 +398,9 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
             {tab.key === 'big' && bigCount > 0 && (
               <span className="arb-tab-count">{bigCount}</span>
             )}
+            {tab.key === 'near' && nearMisses.length > 0 && (
+              <span className="arb-tab-count">{nearMisses.length}</span>
+            )}
           </button>
         ))}
         <div className="arb-tabs-spacer" />
@@ -348,16 +419,22 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
       {/* Results count */}
       <div className="arb-results-bar">
         <span className="arb-results-count">
-          {filteredOpps.length} divergence{filteredOpps.length !== 1 ? 's' : ''}
+          {activeTab === 'near'
+            ? `${nearMisses.length} rejected match${nearMisses.length !== 1 ? 'es' : ''}`
+            : `${filteredOpps.length} divergence${filteredOpps.length !== 1 ? 's' : ''}`}
         </span>
         <span className="arb-results-sort">
-          {activeTab === 'recent' ? 'Most recent first' : 'Sorted by spread ↓'}
+          {activeTab === 'near' ? 'Similar text, different question' : 'Sorted by net spread ↓'}
         </span>
       </div>
 
       {/* Opportunities list */}
       <div className="arb-list">
-        {filteredOpps.length === 0 ? (
+        {activeTab === 'near' ? (
+          nearMisses.map(miss => (
+            <NearMissCard key={`${miss.polymarket.contractId}|${miss.kalshi.contractId}`} miss={miss} />
+          ))
+        ) : filteredOpps.length === 0 ? (
           <div className="arb-no-results">
             No divergences match this filter.
           </div>
@@ -374,10 +451,10 @@ export function ArbitragePanel({ data, loading, onRefresh }) {
           Polymarket Gamma API + Kalshi API
         </div>
         <div className="arb-footer-note">
-          Divergences represent pricing differences between prediction market
-          platforms on equivalent or similar questions. Spreads may reflect
-          liquidity differences, timing, or genuine disagreement. Not financial
-          advice.
+          Divergences compare last-trade prices on questions matched by event,
+          deadline and threshold. Net spreads subtract each venue&apos;s fees but not
+          slippage against the order book. Spreads may reflect liquidity
+          differences, timing, or genuine disagreement. Not financial advice.
         </div>
       </div>
     </div>
@@ -5,6 +5,7 @@
 
 import { useState, useRef, useEffect, useMemo } from 'react';
 import { SCOTUS_JUSTICES, SCOTUS_PENDING_CASES, SCOTUS_TERM, SCOTUS_COMPOSITION } from './scotusData';
+import { useReferenceData } from '../../hooks/useReferenceData';
 import InlineMarkets from '../../components/InlineMarkets';
 import './country.css';
 
@@ -635,6 +636,7 @@ export function CountryPanel({ data, onClose, weather, weatherLoading, tempUnit
   const [showApproval, setShowApproval] = useState(false);
   const [showEconomic, setShowEconomic] = useState(false);
   const [showSCOTUS, setShowSCOTUS] = useState(false);
+  const { loaded: scotusLoaded } = useReferenceData('scotus');
   const [showMarkets, setShowMarkets] = useState(false);
   const hasApproval = !!(approvalData && approvalData.approvalHistory?.length > 0);
   const hasEconomic = !!(economicData && (economicData.policyRate != null || economicData.inflation != null));
@@ -762,7 +764,7 @@ export function CountryPanel({ data, onClose, weather, weatherLoading, tempUnit
         )}
 
         {/* SCOTUS — US only */}
-        {!isScope && data.name === 'United States' && (
+        {!isScope && data.name === 'United States' && scotusLoaded && (
           <div className="cp-section">
             {!showSCOTUS ? (
               <button className="cp-scotus-btn" onClick={() => setShowSCOTUS(true)}>
@@ -10,7 +10,7 @@ import { fetchLeaderApproval, hasApprovalData, preloadApprovals } from '../../se
 import { fetchEconomicProfile } from '../../services/economicService';
 import { fetchMarketData } from '../../services/marketService';
 import { getLeader, getLeaderLive, fetchLeaderPhoto } from './worldLeaders';
-import { resolveCountryName } from './countryAliases';
+import { resolveCountryName } from 'monitored-shared/gazetteer';
 import US_STATE_INFO from '../../usStateInfo';
 import CA_PROVINCE_INFO from '../../caProvinceInfo';
 
@@ -1,7 +1,10 @@
 /**
  * ElectionPanel Component
  * Displays 2026 midterm election data for a clicked US state
- * Shows Senate, Governor, and House races with polling, graphs, and dates
+ * Shows Senate, Governor, and House races with polling, graphs, and dates;
+ * on election night a race with votes in shows live results instead of its rating.
+ * The model forecast adds a win probability per race and, on the Senate and
+ * House tabs, a chamber-control histogram with the tipping-point race.
  */
 
 import { useState, useRef, useEffect } from 'react';
@@ -14,8 +17,13 @@ import {
   GENERAL_ELECTION_DATE,
   DATA_LAST_UPDATED,
   REDISTRICTING_STATUS_COLORS,
+  RESULT_STATUS_LABELS,
+  RESULT_COLORS,
 } from './electionData';
 import { useElectionLive } from '../../hooks/useElectionLive';
+import { useElectionResults, useRaceCounties } from '../../hooks/useElectionResults';
+import { useElectionForecast } from '../../hooks/useElectionForecast';
+import { useReferenceData } from '../../hooks/useReferenceData';
 import InlineMarkets from '../../components/InlineMarkets';
 import './elections.css';
 
@@ -270,14 +278,15 @@ function HouseMapMini({ house }) {
   );
 }
 
-function HouseDistrictRace({ district, electionView }) {
+function HouseDistrictRace({ district, electionView, result }) {
   if (!district) return null;
   const race = district;
+  const hasResults = result && result.status !== 'awaiting';
   return (
     <div className="el-race">
       <div className="el-race-meta">
-        <RatingBadge rating={race.liveRating || race.rating} />
-        {race.liveRating && race.liveRating !== race.rating && (
+        {hasResults ? <ResultStatusBadge result={result} /> : <RatingBadge rating={race.liveRating || race.rating} />}
+        {!hasResults && race.liveRating && race.liveRating !== race.rating && (
           <span className="el-rating-shift" title={`Static: ${RATING_LABELS[race.rating]}`}>
             (was {RATING_LABELS[race.rating]})
           </span>
@@ -285,7 +294,7 @@ function HouseDistrictRace({ district, electionView }) {
         {race.status === 'open' && <span className="el-open-badge">Open Seat</span>}
         {race.pvi && <span className="el-pvi-mini">{race.pvi}</span>}
       </div>
-      <MarketProbBar race={race} />
+      {hasResults ? <LiveResults result={result} /> : <MarketProbBar race={race} />}
       {race.incumbent && (
         <div className="el-incumbent-row">
           <span className="el-incumbent-label">Incumbent:</span>
@@ -504,6 +513,160 @@ function MarketProbBar({ race }) {
   );
 }
 
+function ResultStatusBadge({ result }) {
+  const side = result.winnerParty || result.leaderParty;
+  const color = result.status === 'called' || result.status === 'decided'
+    ? RESULT_COLORS[`won-${side === 'D' || side === 'R' ? side : 'other'}`]
+    : RESULT_COLORS[result.status] || 'rgba(255, 255, 255, 0.15)';
+  return (
+    <span className="el-rating-badge" style={{ background: color }}>
+      {RESULT_STATUS_LABELS[result.status] || result.status}
+    </span>
+  );
+}
+
+const formatVotes = (n) => (n == null ? '—' : n.toLocaleString('en-US'));
+
+function LiveResults({ result }) {
+  const [showCounties, setShowCounties] = useState(false);
+  const counties = useRaceCounties(result.id, result.updatedAt, showCounties);
+
+  return (
+    <div className="el-results">
+      <div className="el-market-prob-header">
+        <span className="el-market-prob-label">Live Results</span>
+        <span className="el-results-reporting">
+          {result.reporting != null ? `${result.reporting}% reporting` : 'Reporting n/a'}
+        </span>
+      </div>
+      <div className="el-results-progress">
+        <div className="el-results-progress-fill" style={{ width: `${result.reporting || 0}%` }} />
+      </div>
+
+      {result.candidates.map((c) => (
+        <div key={c.name} className={`el-results-row ${result.winner === c.name ? 'winner' : ''}`}>
+          <span className="el-party-dot" style={{ background: PARTY_COLORS[c.party] || '#888' }} />
+          <span className="el-results-name">
+            {c.name}
+            {result.winner === c.name && <span className="el-results-check">✓</span>}
+          </span>
+          <span className="el-results-votes">{formatVotes(c.votes)}</span>
+          <span className="el-results-pct">{c.pct}%</span>
+        </div>
+      ))}
+
+      <div className="el-results-footer">
+        {result.margin && (
+          <span>
+            {result.leaderParty || result.leader} +{result.margin.pct} pts ({formatVotes(result.margin.votes)} votes)
+          </span>
+        )}
+        {result.outstanding != null && result.status !== 'called' && (
+          <span>~{formatVotes(result.outstanding)} outstanding</span>
+        )}
+        {result.call?.source && <span>Called by {result.call.source}</span>}
+        {result.flip && <span className="el-results-flip">Flip from {result.incumbentParty}</span>}
+      </div>
+
+      {result.countiesReporting > 0 && (
+        <>
+          <button className="el-results-toggle" onClick={() => setShowCounties(v => !v)}>
+            {showCounties ? 'Hide' : 'Show'} counties ({result.countiesReporting})
+          </button>
+          {showCounties && (
+            <div className="el-results-counties">
+              {counties.map((county) => (
+                <div key={county.fips || county.name} className="el-results-county">
+                  <span className="el-results-name">{county.name || county.fips}</span>
+                  <span className="el-results-pct">{county.reporting != null ? `${county.reporting}%` : ''}</span>
+                  <span style={{ color: PARTY_COLORS[county.leaderParty] || 'inherit' }}>
+                    {county.leaderParty || ''} +{county.marginPct ?? 0}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function ForecastProb({ race }) {
+  if (!race) return null;
+  const dProb = race.dWinProb;
+  const source = Object.keys(race.sources || {}).join(' + ');
+  return (
+    <div className="el-forecast-prob" title={`Blend of ${source || 'no inputs'}; mean margin ${race.meanMargin > 0 ? 'D' : 'R'}+${Math.abs(race.meanMargin)}`}>
+      <span className="el-market-prob-label">Model Forecast</span>
+      <span style={{ color: dProb >= 50 ? PARTY_COLORS.D : PARTY_COLORS.R }}>
+        {dProb >= 50 ? `D ${dProb}%` : `R ${round1(100 - dProb)}%`}
+      </span>
+    </div>
+  );
+}
+
+function ChamberForecast({ name, chamber }) {
+  if (!chamber?.distribution?.length) return null;
+  const width = 360;
+  const height = 70;
+  const bars = chamber.distribution;
+  const maxProb = Math.max(...bars.map(b => b.probability));
+  const barWidth = width / bars.length;
+  const tipping = chamber.tippingPoints?.[0];
+
+  return (
+    <div className="el-forecast-chamber">
+      <div className="el-section-title">{name} Control Forecast</div>
+      <div className="el-market-prob-labels">
+        <span style={{ color: PARTY_COLORS.D }}>D {chamber.dControlProb}%</span>
+        <span className="el-forecast-median">
+          Median {chamber.median} D seats ({chamber.p10}–{chamber.p90})
+        </span>
+        <span style={{ color: PARTY_COLORS.R }}>R {chamber.rControlProb}%</span>
+      </div>
+      <svg className="el-forecast-hist" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        {bars.map((b, i) => {
+          const h = (b.probability / maxProb) * (height - 4);
+          return (
+            <rect
+              key={b.dSeats}
+              x={i * barWidth + 0.5}
+              y={height - h}
+              width={Math.max(barWidth - 1, 1)}
+              height={h}
+              fill={b.dSeats >= chamber.dMajority ? PARTY_COLORS.D : PARTY_COLORS.R}
+            >
+              <title>{`${b.dSeats} D seats: ${b.probability}%`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="el-forecast-axis">
+        <span>{bars[0].dSeats}</span>
+        <span>D seats · majority {chamber.dMajority}</span>
+        <span>{bars[bars.length - 1].dSeats}</span>
+      </div>
+      {tipping && (
+        <div className="el-forecast-tipping">
+          <span className="el-incumbent-label">Tipping point:</span>
+          <span className="el-incumbent-name">{tipping.label}</span>
+          <span className="el-forecast-median">
+            {tipping.probability}% of sims · D {tipping.dWinProb}%
+          </span>
+        </div>
+      )}
+      {chamber.tippingPoints?.length > 1 && (
+        <div className="el-forecast-median">
+          Next: {chamber.tippingPoints.slice(1).map(t => `${t.label} (${t.probability}%)`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function LiveIndicator({ isLive }) {
   if (!isLive) return null;
   return (
@@ -794,7 +957,10 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
   const [electionView, setElectionView] = useState('general'); // 'primary' | 'general'
   const [selectedDistrict, setSelectedDistrict] = useState(null);
 
+  useReferenceData('elections');
   const { getStateData, isLive, lastUpdated: liveUpdated } = useElectionLive(stateName);
+  const { getRace: getRaceResult } = useElectionResults();
+  const { forecast } = useElectionForecast();
   const data = getStateData(stateName);
 
   // Auto-select first available tab and reset district
@@ -865,6 +1031,12 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
   const activeRace = activeTab === 'senate' ? senate
     : activeTab === 'governor' ? governor
     : activeDistrict;
+  const districtResult = activeDistrict ? getRaceResult(`${stateName}:house:${activeDistrict.code}`) : null;
+  const activeResult = activeTab === 'house' ? districtResult : getRaceResult(`${stateName}:${activeTab}`);
+  const hasResults = activeResult && activeResult.status !== 'awaiting';
+  const activeForecast = activeTab === 'house'
+    ? activeDistrict && forecast?.races?.[`${stateName}:house:${activeDistrict.code}`]
+    : forecast?.races?.[`${stateName}:${activeTab}`];
 
   return (
     <div
@@ -927,12 +1099,14 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
           <div className="el-race">
             {/* Race meta info */}
             <div className="el-race-meta">
-              {activeRace.liveRating ? (
+              {hasResults ? (
+                <ResultStatusBadge result={activeResult} />
+              ) : activeRace.liveRating ? (
                 <RatingBadge rating={activeRace.liveRating} />
               ) : (
                 <RatingBadge rating={activeRace.rating} />
               )}
-              {activeRace.liveRating && activeRace.liveRating !== activeRace.rating && (
+              {!hasResults && activeRace.liveRating && activeRace.liveRating !== activeRace.rating && (
                 <span className="el-rating-shift" title={`Static rating: ${RATING_LABELS[activeRace.rating]}`}>
                   (was {RATING_LABELS[activeRace.rating]})
                 </span>
@@ -945,8 +1119,9 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
               )}
             </div>
 
-            {/* Market-derived probability (live) */}
-            <MarketProbBar race={activeRace} />
+            {/* Vote counts on election night, market-derived probability before */}
+            {hasResults ? <LiveResults result={activeResult} /> : <MarketProbBar race={activeRace} />}
+            {!hasResults && <ForecastProb race={activeForecast} />}
 
             {/* Incumbent info */}
             <div className="el-incumbent-row">
@@ -1048,12 +1223,12 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
                     </svg>
                   </button>
                 </div>
-                <HouseDistrictRace district={activeDistrict} electionView={electionView} />
+                <HouseDistrictRace district={activeDistrict} electionView={electionView} result={districtResult} />
               </div>
             )}
 
             {/* Show overview when no district selected */}
-            {!activeDistrict && (
+            {!activeDistrict && NATIONAL_OVERVIEW && (
               <div className="el-national-context">
                 <div className="el-section-title">National House Overview</div>
                 <div className="el-national-row">
@@ -1145,6 +1320,11 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
           </div>
         )}
 
+        {/* Chamber control — simulated seat distribution */}
+        {(activeTab === 'senate' || activeTab === 'house') && !hasResults && (
+          <ChamberForecast name={activeTab === 'senate' ? 'Senate' : 'House'} chamber={forecast?.[activeTab]} />
+        )}
+
         {/* Key Dates */}
         <div className="el-dates-section">
           <div className="el-section-title">Key Dates</div>
@@ -1157,7 +1337,9 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
           {dates?.generalRunoff && (
             <DateCountdown label="General Runoff" dateStr={dates.generalRunoff} type="runoff" />
           )}
-          <DateCountdown label="General Election" dateStr={GENERAL_ELECTION_DATE} type="general" />
+          {GENERAL_ELECTION_DATE && (
+            <DateCountdown label="General Election" dateStr={GENERAL_ELECTION_DATE} type="general" />
+          )}
         </div>
 
         {/* Prediction Markets — live updates every 90s (not on info tab) */}
@@ -1205,7 +1387,7 @@ export function ElectionPanel({ stateName, position, onClose, onPositionChange,
           <span className="el-data-updated">
             {isLive && liveUpdated
               ? `Live ${Math.round((Date.now() - liveUpdated.getTime()) / 60000)}m ago`
-              : `Data as of ${DATA_LAST_UPDATED}`}
+              : DATA_LAST_UPDATED ? `Data as of ${DATA_LAST_UPDATED}` : 'Loading race data…'}
           </span>
           <span className="el-data-sources">
             {isLive ? 'Markets + FEC + Static' : 'Cook/Sabato/OpenSecrets'}
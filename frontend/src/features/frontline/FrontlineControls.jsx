@@ -0,0 +1,109 @@
+/**
+ * FrontlineControls — sidebar block for the control-map layer: pick a
+ * conflict, a snapshot date and an earlier date to compare against, and see
+ * the territory each side gained or lost in between.
+ */
+import './frontline.css';
+
+const formatKm2 = (km2) => `${Math.abs(km2).toLocaleString('en-US')} km²`;
+
+function ChangeRow({ label, color, entry }) {
+  const { changeKm2 } = entry;
+  let text = 'no area recorded on both dates';
+  let tone = '';
+  if (changeKm2 === 0) text = 'no change';
+  else if (changeKm2 > 0) { text = `+${formatKm2(changeKm2)} gained`; tone = 'frontline-change--gain'; }
+  else if (changeKm2 < 0) { text = `−${formatKm2(changeKm2)} lost`; tone = 'frontline-change--loss'; }
+
+  return (
+    <div className="frontline-change-row">
+      <span className="frontline-swatch" style={{ background: color }} />
+      <span className="frontline-change-side">{label}</span>
+      <span className={`frontline-change-value ${tone}`}>{text}</span>
+    </div>
+  );
+}
+
+export default function FrontlineControls({
+  conflicts,
+  conflict,
+  onConflictChange,
+  date,
+  onDateChange,
+  compareFrom,
+  onCompareChange,
+  snapshot,
+  change,
+  timeTravelDate = null,
+  loading = false,
+}) {
+  const info = conflicts.find((c) => c.id === conflict);
+  const dates = info?.dates || [];
+  const sides = info?.sides || {};
+
+  return (
+    <div className="frontline-controls">
+      <label className="frontline-field">
+        <span>Conflict</span>
+        <select value={conflict} onChange={(e) => onConflictChange(e.target.value)}>
+          {conflicts.map((c) => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="frontline-field">
+        <span>As of</span>
+        {timeTravelDate ? (
+          <span className="frontline-field-note">timeline ({timeTravelDate})</span>
+        ) : (
+          <select value={date || ''} onChange={(e) => onDateChange(e.target.value || null)}>
+            <option value="">Latest{info?.latest ? ` (${info.latest})` : ''}</option>
+            {dates.slice().reverse().map((d) => (
+              <option key={d} value={d}>{d}</option>
+            ))}
+          </select>
+        )}
+      </label>
+
+      <label className="frontline-field">
+        <span>Compare with</span>
+        <select value={compareFrom || ''} onChange={(e) => onCompareChange(e.target.value || null)}>
+          <option value="">—</option>
+          {dates.filter((d) => !snapshot || d < snapshot.asOf).reverse().map((d) => (
+            <option key={d} value={d}>{d}</option>
+          ))}
+        </select>
+      </label>
+
+      {Object.keys(sides).length > 0 && (
+        <div className="frontline-legend">
+          {Object.entries(sides).map(([side, def]) => (
+            <span key={side} className="frontline-legend-item">
+              <span className="frontline-swatch" style={{ background: def.color }} />
+              {def.label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {snapshot ? (
+        <p className="frontline-meta">
+          Showing {snapshot.asOf}{snapshot.source ? ` · ${snapshot.source}` : ''}
+          {snapshot.note && <><br />{snapshot.note}</>}
+        </p>
+      ) : (
+        <p className="frontline-meta">{loading ? 'Loading…' : 'No snapshot on or before this date.'}</p>
+      )}
+
+      {change && (
+        <div className="frontline-change">
+          <strong>{change.from} → {change.to}</strong>
+          {Object.entries(change.sides).map(([side, entry]) => (
+            <ChangeRow key={side} label={sides[side]?.label || side} color={sides[side]?.color} entry={entry} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,43 +1,83 @@
 /**
  * FrontlineOverlay — MapLibre version
- * Renders the UA/RU frontline as GeoJSON line layers on the map.
+ * Renders a dated frontline snapshot (from /api/frontlines/:conflict): areas
+ * held by each side as tinted fills, frontline traces as glowing lines, and
+ * optionally an earlier snapshot's traces as a dashed ghost for comparison.
  */
+import { useMemo } from 'react';
 import { Source, Layer, Marker } from '@vis.gl/react-maplibre';
-import {
-  FRONTLINE_SEGMENTS,
-  UKRAINE_BLUE,
-  RUSSIA_RED,
-} from './frontlineData';
 
-// Build a single GeoJSON FeatureCollection with one LineString per segment
-function buildFrontlineGeoJSON() {
-  return {
-    type: 'FeatureCollection',
-    features: FRONTLINE_SEGMENTS.map((seg) => ({
-      type: 'Feature',
-      properties: { id: seg.id, label: seg.label },
-      geometry: {
-        type: 'LineString',
-        coordinates: seg.points,
-      },
-    })),
-  };
-}
+const EMPTY = { type: 'FeatureCollection', features: [] };
 
-const FRONTLINE_GEOJSON = buildFrontlineGeoJSON();
+const byKind = (snapshot, kind) => (snapshot?.features?.features
+  ? { type: 'FeatureCollection', features: snapshot.features.features.filter((f) => f.properties.kind === kind) }
+  : EMPTY);
 
 // Midpoints for sector labels
-const SECTOR_LABELS = FRONTLINE_SEGMENTS.map((seg) => {
-  const mid = seg.points[Math.floor(seg.points.length / 2)];
-  return { id: seg.id, label: seg.label, lon: mid[0], lat: mid[1] };
-});
+function lineLabels(lines) {
+  return lines.features
+    .filter((f) => f.properties.label)
+    .map((f, i) => {
+      const points = f.geometry.coordinates;
+      const mid = points[Math.floor(points.length / 2)];
+      return { id: f.properties.id || `line-${i}`, label: f.properties.label, lon: mid[0], lat: mid[1] };
+    });
+}
 
-export default function FrontlineOverlay({ visible }) {
+export default function FrontlineOverlay({ visible, snapshot, compareSnapshot = null, sides = {} }) {
   const visibility = visible ? 'visible' : 'none';
 
+  const areas = useMemo(() => byKind(snapshot, 'area'), [snapshot]);
+  const lines = useMemo(() => byKind(snapshot, 'line'), [snapshot]);
+  const ghostLines = useMemo(() => byKind(compareSnapshot, 'line'), [compareSnapshot]);
+  const labels = useMemo(() => lineLabels(lines), [lines]);
+
+  // ['match', ['get', 'side'], 'rsf', '#C77C02', ..., fallback]
+  const sideColor = useMemo(() => {
+    const pairs = Object.entries(sides).flatMap(([side, def]) => [side, def.color]);
+    return pairs.length ? ['match', ['get', 'side'], ...pairs, '#888888'] : '#888888';
+  }, [sides]);
+
   return (
     <>
-      <Source id="frontline" type="geojson" data={FRONTLINE_GEOJSON}>
+      {/* Areas held by each side */}
+      <Source id="frontline-areas" type="geojson" data={areas}>
+        <Layer
+          id="frontline-area-fill"
+          type="fill"
+          layout={{ visibility }}
+          paint={{
+            'fill-color': sideColor,
+            'fill-opacity': 0.22,
+          }}
+        />
+        <Layer
+          id="frontline-area-outline"
+          type="line"
+          layout={{ visibility, 'line-join': 'round' }}
+          paint={{
+            'line-color': sideColor,
+            'line-width': 0.8,
+            'line-opacity': 0.6,
+          }}
+        />
+      </Source>
+
+      {/* Earlier snapshot for comparison — dashed ghost */}
+      <Source id="frontline-ghost" type="geojson" data={ghostLines}>
+        <Layer
+          id="frontline-ghost-line"
+          type="line"
+          layout={{ visibility, 'line-cap': 'round', 'line-join': 'round' }}
+          paint={{
+            'line-color': 'rgba(255, 255, 255, 0.45)',
+            'line-width': 1.2,
+            'line-dasharray': [2, 2],
+          }}
+        />
+      </Source>
+
+      <Source id="frontline" type="geojson" data={lines}>
         {/* Soft outer glow */}
         <Layer
           id="frontline-glow"
@@ -50,15 +90,14 @@ export default function FrontlineOverlay({ visible }) {
           }}
         />
 
-        {/* Ukraine side — thin blue accent */}
+        {/* Contact line — warm accent under the core */}
         <Layer
-          id="frontline-ua-base"
+          id="frontline-accent"
           type="line"
           layout={{ visibility, 'line-cap': 'round', 'line-join': 'round' }}
           paint={{
-            'line-color': UKRAINE_BLUE,
-            'line-width': 1.5,
-            'line-offset': -2,
+            'line-color': '#D52B1E',
+            'line-width': 2.5,
             'line-opacity': 0.7,
           }}
         />
@@ -73,23 +112,10 @@ export default function FrontlineOverlay({ visible }) {
             'line-width': 1,
           }}
         />
-
-        {/* Russia side — thin red accent */}
-        <Layer
-          id="frontline-ru-base"
-          type="line"
-          layout={{ visibility, 'line-cap': 'round', 'line-join': 'round' }}
-          paint={{
-            'line-color': RUSSIA_RED,
-            'line-width': 1.5,
-            'line-offset': 2,
-            'line-opacity': 0.7,
-          }}
-        />
       </Source>
 
       {/* Sector labels */}
-      {visible && SECTOR_LABELS.map((s) => (
+      {visible && labels.map((s) => (
         <Marker key={`fl-label-${s.id}`} longitude={s.lon} latitude={s.lat} anchor="right">
           <span
             style={{
@@ -5,6 +5,14 @@
  */
 
 import { useState, useMemo } from 'react';
+import { predictionMarketId, usePredictionSparklines } from '../../hooks/usePredictionHistory';
+import { ProbabilitySparkline, changeColor, formatChange } from '../../components/ProbabilitySparkline';
+
+// A 7-day swing at least this large (percentage points) lands in the "Moved" tab
+const MOVED_THRESHOLD = 3;
+
+const sparkKey = (question) => predictionMarketId('metaculus', question.id);
+const moveOf = (sparklines, question) => Math.abs(sparklines[sparkKey(question)]?.change || 0);
 
 /* ── Probability color utility ── */
 function probColor(p) {
@@ -84,7 +92,7 @@ function CategoryBadge({ category }) {
 }
 
 /* ── Individual question card ── */
-function QuestionCard({ question }) {
+function QuestionCard({ question, spark }) {
   const prob = question.communityPrediction;
   const pctText = prob !== null && prob !== undefined
     ? `${Math.round(prob * 100)}%`
@@ -132,6 +140,17 @@ function QuestionCard({ question }) {
         </div>
       )}
 
+      {spark?.values.length > 1 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <ProbabilitySparkline values={spark.values} change={spark.change} />
+          </div>
+          <span style={{ fontSize: '10px', fontWeight: 600, color: changeColor(spark.change), whiteSpace: 'nowrap' }}>
+            {spark.change ? formatChange(spark.change) : 'flat'} 7d
+          </span>
+        </div>
+      )}
+
       <div className="mc-q-footer">
         <span className="mc-q-link-hint">View on Metaculus ↗</span>
         {question.closeTime && (
@@ -176,11 +195,14 @@ const TABS = [
   { key: 'high', label: 'High Risk (>70%)' },
   { key: 'uncertain', label: 'Uncertain (30-70%)' },
   { key: 'low', label: 'Low Risk (<30%)' },
+  { key: 'moved', label: 'Moved (7d)' },
 ];
 
 /* ── Main panel ── */
 export function MetaculusPanel({ data, loading, onRefresh }) {
   const [activeTab, setActiveTab] = useState('all');
+  const sparklines = usePredictionSparklines((data?.questions || []).map(sparkKey));
+  const movedCount = (data?.questions || []).filter(q => moveOf(sparklines, q) >= MOVED_THRESHOLD).length;
 
   /* Compute summary stats */
   const summary = useMemo(() => {
@@ -220,10 +242,14 @@ export function MetaculusPanel({ data, loading, onRefresh }) {
         );
       case 'low':
         return qs.filter(q => q.communityPrediction !== null && q.communityPrediction < 0.3);
+      case 'moved':
+        return qs
+          .filter(q => moveOf(sparklines, q) >= MOVED_THRESHOLD)
+          .sort((a, b) => moveOf(sparklines, b) - moveOf(sparklines, a));
       default:
         return qs;
     }
-  }, [data, activeTab]);
+  }, [data, activeTab, sparklines]);
 
   /* Show skeleton while loading with no data */
   if (loading && !data) return <McSkeleton />;
@@ -289,6 +315,7 @@ export function MetaculusPanel({ data, loading, onRefresh }) {
               <span className="mc-tab-count">
                 {tab.key === 'high' ? summary.highProb
                   : tab.key === 'low' ? summary.lowProb
+                  : tab.key === 'moved' ? movedCount
                   : summary.total - summary.highProb - summary.lowProb}
               </span>
             )}
@@ -312,7 +339,7 @@ export function MetaculusPanel({ data, loading, onRefresh }) {
         <span className="mc-results-count">
           {filteredQuestions.length} question{filteredQuestions.length !== 1 ? 's' : ''}
         </span>
-        <span className="mc-results-sort">Sorted by probability ↓</span>
+        <span className="mc-results-sort">{activeTab === 'moved' ? 'Sorted by 7d move ↓' : 'Sorted by probability ↓'}</span>
       </div>
 
       {/* Questions list */}
@@ -323,7 +350,7 @@ export function MetaculusPanel({ data, loading, onRefresh }) {
           </div>
         ) : (
           filteredQuestions.map(q => (
-            <QuestionCard key={q.id} question={q} />
+            <QuestionCard key={q.id} question={q} spark={sparklines[sparkKey(q)]} />
           ))
         )}
       </div>
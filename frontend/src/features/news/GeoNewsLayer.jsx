@@ -0,0 +1,79 @@
+/**
+ * GeoNewsLayer — recent geotagged headlines (/api/feed/geo) clustered by location.
+ * Clusters show the headline count and zoom in on click; single headlines
+ * open the article.
+ */
+
+import { Source, Layer } from '@vis.gl/react-maplibre';
+
+export const GEO_NEWS_SOURCE = 'geo-news';
+export const GEO_NEWS_LAYER_IDS = ['geo-news-clusters', 'geo-news-points'];
+
+/**
+ * Click handler for features from GEO_NEWS_LAYER_IDS.
+ */
+export async function handleGeoNewsClick(map, feature) {
+  const props = feature.properties || {};
+  if (props.cluster) {
+    const source = map?.getSource(GEO_NEWS_SOURCE);
+    if (!source) return;
+    const zoom = await source.getClusterExpansionZoom(props.cluster_id);
+    map.easeTo({ center: feature.geometry.coordinates, zoom, duration: 800 });
+  } else if (props.url) {
+    window.open(props.url, '_blank', 'noopener,noreferrer');
+  }
+}
+
+export default function GeoNewsLayer({ visible, data, isLightTheme = false }) {
+  if (!visible || !data) return null;
+
+  const color = isLightTheme ? '#15803d' : '#22c55e';
+
+  return (
+    <Source
+      id={GEO_NEWS_SOURCE}
+      type="geojson"
+      data={data}
+      cluster
+      clusterRadius={40}
+      clusterMaxZoom={7}
+    >
+      <Layer
+        id="geo-news-clusters"
+        type="circle"
+        filter={['has', 'point_count']}
+        paint={{
+          'circle-color': color,
+          'circle-opacity': 0.35,
+          'circle-stroke-color': color,
+          'circle-stroke-width': 1.5,
+          'circle-radius': ['step', ['get', 'point_count'], 12, 5, 16, 15, 22, 40, 28],
+        }}
+      />
+      <Layer
+        id="geo-news-count"
+        type="symbol"
+        filter={['has', 'point_count']}
+        layout={{
+          'text-field': ['get', 'point_count_abbreviated'],
+          'text-font': ['Open Sans Semibold'],
+          'text-size': 11,
+          'text-allow-overlap': true,
+        }}
+        paint={{ 'text-color': isLightTheme ? '#0f172a' : '#ffffff' }}
+      />
+      <Layer
+        id="geo-news-points"
+        type="circle"
+        filter={['!', ['has', 'point_count']]}
+        paint={{
+          'circle-color': color,
+          'circle-radius': ['interpolate', ['linear'], ['get', 'coverage'], 1, 4, 5, 6, 10, 8],
+          'circle-stroke-color': isLightTheme ? '#ffffff' : '#0b1220',
+          'circle-stroke-width': 1,
+          'circle-opacity': ['match', ['get', 'precision'], 'city', 0.95, 0.6],
+        }}
+      />
+    </Source>
+  );
+}
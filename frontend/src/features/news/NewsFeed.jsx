@@ -19,6 +19,17 @@ export function NewsItem({ item }) {
       )}
       <div className="news-item-footer">
         <span>{item.sourceName || item.source}</span>
+        {item.cluster?.size > 1 && (
+          <span
+            className="news-item-coverage"
+            title={`First seen by ${item.cluster.firstSeenBy.sourceName}\nAlso: ${item.cluster.sources.map(s => s.sourceName).join(', ')}`}
+          >
+            +{item.cluster.size - 1} source{item.cluster.size > 2 ? 's' : ''}
+          </span>
+        )}
+        {item.cluster?.size > 1 && item.cluster.firstSeenBy.sourceName !== (item.sourceName || item.source) && (
+          <span className="news-item-first-seen">first: {item.cluster.firstSeenBy.sourceName}</span>
+        )}
       </div>
     </a>
   );
@@ -49,7 +60,7 @@ export function NewsFeed({ items = [], viewMode, selectedRegion, onBackToWorld }
   return (
     <div className="news-feed">
       {items.map((item, idx) => (
-        <NewsItem key={`${item.id || 'item'}-${idx}`} item={item} />
+        <NewsItem key={`${item.cluster?.id || item.id || 'item'}-${idx}`} item={item} />
       ))}
     </div>
   );
@@ -1,12 +1,22 @@
 /**
  * PolymarketPanel Component
- * Sleek sidebar panel for Polymarket prediction markets
+ * Sleek sidebar panel for Polymarket prediction markets, with 7-day
+ * sparklines and a cross-venue "Movers" view (Polymarket, Kalshi, Metaculus)
  */
 
 import { useState, useRef, useEffect } from 'react';
 import { timeAgo } from '../../utils/time';
+import {
+  predictionMarketId, usePredictionSparklines, usePredictionHistory, usePredictionMovers,
+} from '../../hooks/usePredictionHistory';
+import {
+  ProbabilitySparkline, ProbabilityHistoryChart, changeColor, formatChange,
+} from '../../components/ProbabilitySparkline';
 import './polymarket.css';
 
+const MOVER_WINDOWS = ['1h', '24h', '7d'];
+const VENUE_LABELS = { polymarket: 'Polymarket', kalshi: 'Kalshi', metaculus: 'Metaculus' };
+
 function formatVolume(value) {
   if (value === null || value === undefined) return '--';
   const num = Number(value);
@@ -64,7 +74,76 @@ function OutcomeBar({ outcomes }) {
   );
 }
 
-function MarketCard({ market, isExpanded, onToggle }) {
+function SparkRow({ spark }) {
+  if (!spark || spark.values.length < 2) return null;
+  return (
+    <div className="pm-spark">
+      <ProbabilitySparkline values={spark.values} change={spark.change} />
+      <span className="pm-spark-change" style={{ color: changeColor(spark.change) }}>
+        {spark.change ? formatChange(spark.change) : 'flat'} 7d
+      </span>
+    </div>
+  );
+}
+
+function MarketHistory({ marketId }) {
+  const { data, loading, error } = usePredictionHistory(marketId, 30);
+  if (loading && !data) return <div className="pm-history-note">Loading history...</div>;
+  if (error) return <div className="pm-history-note">{error}</div>;
+  if (!data?.outcomes.length) return null;
+  return (
+    <div className="pm-history">
+      <span className="pm-detail-label">30-day history</span>
+      <ProbabilityHistoryChart outcomes={data.outcomes} />
+    </div>
+  );
+}
+
+function MoverRow({ mover }) {
+  return (
+    <a className="pm-mover" href={mover.url || undefined} target="_blank" rel="noopener noreferrer">
+      <div className="pm-mover-top">
+        <span className="pm-category">{VENUE_LABELS[mover.venue] || mover.venue}</span>
+        <span className="pm-mover-change" style={{ color: changeColor(mover.change) }}>
+          {formatChange(mover.change)}
+        </span>
+      </div>
+      <div className="pm-question">{mover.title}</div>
+      <div className="pm-mover-detail">
+        {mover.outcome !== 'Yes' && `${mover.outcome}: `}
+        {Math.round(mover.previous * 100)}% → {Math.round(mover.probability * 100)}%
+        {' '}since {timeAgo(mover.since)}
+      </div>
+    </a>
+  );
+}
+
+function MoversView() {
+  const { movers, loading } = usePredictionMovers(true);
+  const [range, setRange] = useState('24h');
+  const list = movers?.windows[range] || [];
+
+  return (
+    <div>
+      <div className="pm-chips">
+        {MOVER_WINDOWS.map(w => (
+          <button key={w} type="button" className={`pm-chip ${range === w ? 'active' : ''}`} onClick={() => setRange(w)}>
+            {w}
+          </button>
+        ))}
+      </div>
+      {loading && !movers && <div className="pm-empty"><div className="pm-spinner" />Loading movers...</div>}
+      {movers && list.length === 0 && (
+        <div className="pm-empty">No moves over {range} yet{movers.persistent ? '' : ' (history is kept in memory only)'}</div>
+      )}
+      <div className="pm-list">
+        {list.map(m => <MoverRow key={`${m.marketId}:${m.outcome}`} mover={m} />)}
+      </div>
+    </div>
+  );
+}
+
+function MarketCard({ market, spark, isExpanded, onToggle }) {
   return (
     <button
       type="button"
@@ -79,11 +158,13 @@ function MarketCard({ market, isExpanded, onToggle }) {
       </div>
       <div className="pm-question">{market.question || 'Untitled Market'}</div>
       <OutcomeBar outcomes={market.outcomes} />
+      <SparkRow spark={spark} />
       {isExpanded && (
         <div className="pm-card-detail">
           {market.description && (
             <p className="pm-description">{market.description}</p>
           )}
+          <MarketHistory marketId={predictionMarketId('polymarket', market.id)} />
           <div className="pm-detail-row">
             <div className="pm-detail-stat">
               <span className="pm-detail-label">Liquidity</span>
@@ -129,7 +210,11 @@ export function PolymarketPanel({
   onRefresh,
 }) {
   const [expandedId, setExpandedId] = useState(null);
+  const [view, setView] = useState('markets');
   const panelRef = useRef(null);
+  const sparklines = usePredictionSparklines(
+    visible ? (markets || []).map(m => predictionMarketId('polymarket', m.id)) : []
+  );
 
   // Reset expanded card when markets change
   useEffect(() => {
@@ -170,42 +255,54 @@ export function PolymarketPanel({
           </svg>
           {loading ? 'Updating...' : 'Refresh'}
         </button>
+        <div className="pm-view-toggle">
+          {[['markets', 'Markets'], ['movers', 'Movers']].map(([key, label]) => (
+            <button key={key} type="button" className={`pm-chip ${view === key ? 'active' : ''}`} onClick={() => setView(key)}>
+              {label}
+            </button>
+          ))}
+        </div>
         <span className="pm-updated">
           {lastUpdated ? timeAgo(lastUpdated) : ''}
         </span>
       </div>
 
       <div className="pm-content">
-        {loading && count === 0 && (
-          <div className="pm-empty">
-            <div className="pm-spinner" />
-            Loading markets...
-          </div>
-        )}
+        {view === 'movers' ? <MoversView /> : (
+          <>
+            {loading && count === 0 && (
+              <div className="pm-empty">
+                <div className="pm-spinner" />
+                Loading markets...
+              </div>
+            )}
 
-        {error && !loading && (
-          <div className="pm-empty pm-error">
-            Failed to load markets
-          </div>
-        )}
+            {error && !loading && (
+              <div className="pm-empty pm-error">
+                Failed to load markets
+              </div>
+            )}
 
-        {!loading && !error && count === 0 && (
-          <div className="pm-empty">
-            No markets found{country ? ` for ${country}` : ''}
-          </div>
-        )}
+            {!loading && !error && count === 0 && (
+              <div className="pm-empty">
+                No markets found{country ? ` for ${country}` : ''}
+              </div>
+            )}
 
-        {count > 0 && (
-          <div className="pm-list">
-            {markets.map((market) => (
-              <MarketCard
-                key={market.id}
-                market={market}
-                isExpanded={expandedId === market.id}
-                onToggle={() => setExpandedId(expandedId === market.id ? null : market.id)}
-              />
-            ))}
-          </div>
+            {count > 0 && (
+              <div className="pm-list">
+                {markets.map((market) => (
+                  <MarketCard
+                    key={market.id}
+                    market={market}
+                    spark={sparklines[predictionMarketId('polymarket', market.id)]}
+                    isExpanded={expandedId === market.id}
+                    onToggle={() => setExpandedId(expandedId === market.id ? null : market.id)}
+                  />
+                ))}
+              </div>
+            )}
+          </>
         )}
       </div>
     </div>
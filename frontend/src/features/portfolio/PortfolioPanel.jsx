@@ -0,0 +1,273 @@
+import { useState, useEffect, useRef } from 'react';
+import { usePortfolioExposure } from '../../hooks/usePortfolioExposure';
+import { timeAgo } from '../../utils/time';
+
+const STORAGE_KEY = 'monitored:portfolio';
+
+function loadPortfolio() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch { return []; }
+}
+
+function savePortfolio(holdings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(holdings));
+}
+
+const RISK_COLORS = {
+  critical: '#ff4444',
+  high: '#ff8c00',
+  elevated: '#ffd700',
+  moderate: '#4ecdc4',
+  low: '#4a9eff',
+};
+
+const SOURCE_LABELS = {
+  reference: 'Footprint',
+  markets: 'Market list',
+  currency: 'Currency',
+  exchange: 'By exchange',
+  listing: 'By listing',
+};
+
+const pct = (share) => `${(share * 100).toFixed(share >= 0.1 ? 0 : 1)}%`;
+
+function ExposureBar({ label, share, max, color, detail, onClick }) {
+  return (
+    <div className={`pf-bar-row ${onClick ? 'clickable' : ''}`} onClick={onClick}>
+      <span className="pf-bar-label">{label}</span>
+      <div className="pf-bar">
+        <div className="pf-bar-fill" style={{ width: `${max > 0 ? (share / max) * 100 : 0}%`, background: color }} />
+      </div>
+      <span className="pf-bar-value">{pct(share)}</span>
+      {detail != null && <span className="pf-bar-detail">{detail}</span>}
+    </div>
+  );
+}
+
+function Summary({ data }) {
+  const { coverage } = data;
+  const notes = [];
+  if (coverage.unresolvedWeight > 0) notes.push(`${pct(coverage.unresolvedWeight)} unresolved`);
+  if (coverage.unallocatedWeight > 0.005) notes.push(`${pct(coverage.unallocatedWeight)} unallocated`);
+  if (coverage.approximateWeight > 0) notes.push(`${pct(coverage.approximateWeight)} by listing only`);
+
+  return (
+    <div className="pf-summary">
+      <div className="pf-score" style={{ color: RISK_COLORS[data.level] || 'inherit' }}>
+        {data.score ?? '—'}
+        <span className="pf-score-level">{data.level || 'no score'}</span>
+      </div>
+      <div className="pf-summary-info">
+        <span>Geopolitical risk, exposure-weighted</span>
+        {data.drivers.length > 0 && <span>Driven by {data.drivers.join(', ')}</span>}
+        {notes.length > 0 && <span className="pf-summary-notes">{notes.join(' · ')}</span>}
+      </div>
+    </div>
+  );
+}
+
+function HoldingsTab({ holdings, setHoldings, importCsv, positions }) {
+  const [symbol, setSymbol] = useState('');
+  const [weight, setWeight] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef(null);
+  const bySymbol = new Map((positions || []).map(p => [p.symbol, p]));
+
+  function addHolding() {
+    const clean = symbol.trim().toUpperCase();
+    if (!clean) return;
+    setHoldings(prev => [...prev.filter(h => h.symbol !== clean), { symbol: clean, weight: weight === '' ? '' : Number(weight) }]);
+    setSymbol('');
+    setWeight('');
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setHoldings(await importCsv(await file.text()));
+      setImportError(null);
+    } catch (err) {
+      setImportError(err.message);
+    }
+  }
+
+  return (
+    <>
+      <div className="pf-add">
+        <input
+          className="pf-input"
+          value={symbol}
+          onChange={e => setSymbol(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && addHolding()}
+          placeholder="Ticker, ETF or currency (NVDA, EWT, TWD)"
+        />
+        <input
+          className="pf-input pf-input-weight"
+          type="number"
+          value={weight}
+          onChange={e => setWeight(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && addHolding()}
+          placeholder="Weight"
+        />
+        <button className="pf-btn" onClick={addHolding}>+</button>
+      </div>
+      <div className="pf-import">
+        <button className="pf-btn-secondary" onClick={() => fileRef.current?.click()}>Import CSV</button>
+        <span>columns: symbol, weight or value</span>
+        {holdings.length > 0 && <button className="pf-btn-secondary" onClick={() => setHoldings([])}>Clear</button>}
+        <input ref={fileRef} type="file" accept=".csv,text/csv" hidden onChange={onFile} />
+      </div>
+      {importError && <div className="pf-error">{importError}</div>}
+
+      <div className="pf-list">
+        {holdings.length === 0 && (
+          <div className="pf-empty">
+            No holdings. Add tickers above or import a CSV. Leave weights blank for equal weighting.
+          </div>
+        )}
+        {holdings.map(h => {
+          const position = bySymbol.get(h.symbol);
+          return (
+            <div key={h.symbol} className="pf-holding">
+              <div className="pf-holding-info">
+                <span className="pf-holding-symbol">{h.symbol}</span>
+                <span className="pf-holding-meta">
+                  {position
+                    ? (position.source ? `${position.name} · ${SOURCE_LABELS[position.source]}` : 'Unresolved')
+                    : ''}
+                </span>
+              </div>
+              <span className="pf-holding-weight">{h.weight === '' ? 'eq' : h.weight}</span>
+              {position?.riskScore != null && <span className="pf-holding-risk">{position.riskScore}</span>}
+              <button className="pf-remove" onClick={() => setHoldings(prev => prev.filter(x => x.symbol !== h.symbol))}>×</button>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+function ExposureTab({ data, onCountryClick }) {
+  const countries = data.countries.filter(c => c.exposure >= 0.001);
+  const maxCountry = Math.max(...countries.map(c => c.exposure), 0);
+  const maxSector = Math.max(...data.sectors.map(s => s.exposure), 0);
+
+  return (
+    <div className="pf-list">
+      <div className="pf-section-title">Countries <span>(by risk contribution)</span></div>
+      {countries.map(c => (
+        <ExposureBar
+          key={c.code}
+          label={c.name}
+          share={c.exposure}
+          max={maxCountry}
+          color={RISK_COLORS[c.level] || '#667788'}
+          detail={c.score != null ? `${c.score} · +${c.contribution}` : null}
+          onClick={() => onCountryClick?.(c.name)}
+        />
+      ))}
+      <div className="pf-section-title">Sectors</div>
+      {data.sectors.map(s => (
+        <ExposureBar key={s.sector} label={s.sector} share={s.exposure} max={maxSector} color="#4a9eff" />
+      ))}
+    </div>
+  );
+}
+
+function HotspotsTab({ hotspots }) {
+  if (hotspots.length === 0) {
+    return <div className="pf-empty">No exposure to the tracked conflicts and flashpoints.</div>;
+  }
+  return (
+    <div className="pf-list">
+      {hotspots.map(h => (
+        <div key={h.id} className="pf-hotspot">
+          <div className="pf-hotspot-head">
+            <span className="pf-hotspot-name">{h.name}</span>
+            <span className={`badge badge-${h.escalationRisk}`}>{h.kind} {h.level}</span>
+            <span className="pf-hotspot-exposure">{pct(h.exposure)}</span>
+          </div>
+          <div className="pf-hotspot-countries">{h.countries.join(' · ')} · {h.positionCount} position{h.positionCount === 1 ? '' : 's'}</div>
+          {h.positions.map(p => (
+            <div key={p.symbol} className="pf-hotspot-position">
+              <span className="pf-holding-symbol">{p.symbol}</span>
+              <span className="pf-holding-meta">
+                {Object.entries(p.countries).map(([code, share]) => `${code} ${pct(share)}`).join(', ')} of the position
+              </span>
+              <span className="pf-holding-weight">{pct(p.exposure)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AlertsTab({ alerts }) {
+  if (alerts.length === 0) {
+    return <div className="pf-empty">No recent alerts on exposed countries or hotspots.</div>;
+  }
+  return (
+    <div className="pf-list">
+      {alerts.map(alert => (
+        <div key={alert.id} className="pf-alert">
+          <span className="pf-alert-msg">{alert.message}</span>
+          <div className="pf-alert-meta">
+            <span>{alert.ruleName} · {alert.matched}</span>
+            <span>{timeAgo(alert.triggeredAt)}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function PortfolioPanel({ onCountryClick }) {
+  const [holdings, setHoldings] = useState(loadPortfolio);
+  const [tab, setTab] = useState(() => (loadPortfolio().length > 0 ? 'exposure' : 'holdings'));
+  const { data, loading, error, importCsv } = usePortfolioExposure(holdings);
+
+  useEffect(() => { savePortfolio(holdings); }, [holdings]);
+
+  const tabs = [
+    ['holdings', 'Holdings', holdings.length],
+    ['exposure', 'Exposure', data?.countries.length],
+    ['hotspots', 'Hotspots', data?.hotspots.length],
+    ['alerts', 'Alerts', data?.alerts.length],
+  ];
+
+  return (
+    <div className="pf-panel">
+      <div className="pf-tabs">
+        {tabs.map(([id, label, count]) => (
+          <button key={id} className={`pf-tab ${tab === id ? 'active' : ''}`} onClick={() => setTab(id)}>
+            {label}{count != null && <span className="tab-count">{count}</span>}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="pf-error">{error}</div>}
+      {data && <Summary data={data} />}
+
+      {tab === 'holdings' && (
+        <HoldingsTab holdings={holdings} setHoldings={setHoldings} importCsv={importCsv} positions={data?.positions} />
+      )}
+      {tab !== 'holdings' && !data && (
+        <div className="pf-empty">{loading ? 'Analyzing…' : 'Add holdings to see exposure.'}</div>
+      )}
+      {tab === 'exposure' && data && <ExposureTab data={data} onCountryClick={onCountryClick} />}
+      {tab === 'hotspots' && data && <HotspotsTab hotspots={data.hotspots} />}
+      {tab === 'alerts' && data && <AlertsTab alerts={data.alerts} />}
+
+      <div className="pf-footer">
+        <span>{holdings.length} holdings · saved in this browser</span>
+        <span>{loading ? 'Updating…' : data ? `Updated ${timeAgo(data.updatedAt)}` : ''}</span>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { timeAgo } from '../../utils/time';
+import { RiskModelTab } from './RiskModelTab';
+import { RiskExplanation } from './RiskExplanation';
 
 const RISK_COLORS = {
   critical: '#ff4444',
@@ -17,9 +19,21 @@ const RISK_LABELS = {
   low: 'Low',
 };
 
+// Short labels for the per-factor points in each score's breakdown
+const FACTOR_LABELS = {
+  ucdpConflict: 'UCDP',
+  stability: 'Stability',
+  sanctions: 'Sanctions',
+  economic: 'Economic',
+  coupRisk: 'Coup',
+  demographic: 'Demographic',
+  tensionExposure: 'Tension',
+};
+
 const TABS = [
   { id: 'rankings', label: 'Risk Rankings' },
   { id: 'overview', label: 'Overview' },
+  { id: 'model', label: 'Model' },
 ];
 
 function RiskBadge({ level }) {
@@ -74,11 +88,10 @@ function CountryCard({ country, rank, onClick }) {
           }} />
         </div>
         {breakdown && (
-          <div style={{ display: 'flex', gap: '8px', fontSize: '10px', color: 'rgba(255,255,255,0.4)' }}>
-            {breakdown.ucdpConflict > 0 && <span>UCDP +{breakdown.ucdpConflict}</span>}
-            {breakdown.stability > 0 && <span>Stability +{breakdown.stability}</span>}
-            {breakdown.sanctions > 0 && <span>Sanctions +{breakdown.sanctions}</span>}
-            {breakdown.economic > 0 && <span>Economic +{breakdown.economic}</span>}
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', fontSize: '10px', color: 'rgba(255,255,255,0.4)' }}>
+            {Object.entries(FACTOR_LABELS).map(([key, label]) => (
+              breakdown[key] > 0 && <span key={key}>{label} +{breakdown[key]}</span>
+            ))}
           </div>
         )}
       </div>
@@ -140,6 +153,7 @@ export function CountryRiskPanel({ data, loading, onRefresh, onCountryClick }) {
   const [filter, setFilter] = useState('all');
   const [tab, setTab] = useState('rankings');
   const [search, setSearch] = useState('');
+  const [explained, setExplained] = useState(null);
 
   if (loading && !data) return <LoadingSkeleton />;
   if (!data) return <div className="panel-empty">No risk data available</div>;
@@ -160,7 +174,7 @@ export function CountryRiskPanel({ data, loading, onRefresh, onCountryClick }) {
             COMPOSITE RISK SCORING
           </div>
           <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>
-            UCDP + Stability + Sanctions + Economic indicators
+            Conflict, stability, sanctions, economic, coup, demographic and tension factors
           </div>
         </div>
         <span style={{
@@ -211,8 +225,11 @@ export function CountryRiskPanel({ data, loading, onRefresh, onCountryClick }) {
           <RiskDistribution summary={data.summary} />
           <div style={{ fontSize: '11px', color: 'rgba(255,255,255,0.5)', lineHeight: 1.5 }}>
             Risk scores are computed dynamically from UCDP conflict events, political stability indicators
-            (protests, military activity, instability alerts), sanctions status, and economic indicators
-            (inflation, GDP growth, unemployment). Scores range from 0 (lowest risk) to 100 (highest risk).
+            (protests, military activity, instability alerts), sanctions status, economic indicators
+            (inflation, GDP growth, unemployment, debt), regime coup risk, demographic risk and exposure to
+            active conflicts and flashpoints. Each factor is capped and weighted by the risk model (see the
+            Model tab) on top of a fragile / developing / stable baseline. Scores range from 0 (lowest risk)
+            to 100 (highest risk).
           </div>
           {data.updatedAt && (
             <div style={{ marginTop: '10px', fontSize: '10px', color: 'rgba(255,255,255,0.3)' }}>
@@ -222,6 +239,8 @@ export function CountryRiskPanel({ data, loading, onRefresh, onCountryClick }) {
         </div>
       )}
 
+      {tab === 'model' && <RiskModelTab scores={scores} />}
+
       {tab === 'rankings' && (
         <>
           {/* Search + Filters */}
@@ -262,9 +281,18 @@ export function CountryRiskPanel({ data, loading, onRefresh, onCountryClick }) {
 
           {/* Country List */}
           <div className="rk-list" style={{ overflowY: 'auto', maxHeight: '400px', padding: '0 4px' }}>
-            {filtered.map((s, i) => (
-              <CountryCard key={s.country} country={s} rank={i + 1} onClick={onCountryClick} />
-            ))}
+            {filtered.map((s, i) => {
+              const id = s.code || s.country;
+              return (
+                <div key={s.country}>
+                  <CountryCard country={s} rank={i + 1} onClick={(c) => {
+                    setExplained(explained === id ? null : id);
+                    onCountryClick?.(c);
+                  }} />
+                  {explained === id && <RiskExplanation country={id} color={RISK_COLORS[s.level]} />}
+                </div>
+              );
+            })}
             {filtered.length === 0 && (
               <div className="panel-empty" style={{ padding: '20px', textAlign: 'center' }}>
                 No countries match the current filter
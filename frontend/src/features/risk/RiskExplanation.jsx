@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import { useRiskExplanation } from '../../hooks/useRiskExplanation';
+import { timeAgo } from '../../utils/time';
+
+const INCREASE_COLOR = '#ff8c00';
+const DECREASE_COLOR = '#4ecdc4';
+const BASELINE_COLOR = 'rgba(255,255,255,0.35)';
+
+const INDICATOR_LABELS = {
+  inflation: 'Inflation',
+  gdpGrowth: 'GDP growth',
+  unemployment: 'Unemployment',
+  debtToGdp: 'Debt / GDP',
+};
+
+const muted = { color: 'rgba(255,255,255,0.45)' };
+
+function Delta({ value }) {
+  if (value == null || value === 0) return null;
+  return (
+    <span style={{ fontSize: '9px', marginLeft: '4px', color: value > 0 ? '#ff6b6b' : DECREASE_COLOR }}>
+      {value > 0 ? '▲' : '▼'}{Math.abs(value)}
+    </span>
+  );
+}
+
+function Articles({ items }) {
+  if (!items?.length) return null;
+  return (
+    <ul style={{ margin: '2px 0 4px', paddingLeft: '14px' }}>
+      {items.map((a, i) => (
+        <li key={a.url || i}>
+          {a.url ? <a href={a.url} target="_blank" rel="noopener noreferrer" style={{ color: '#8ab4ff' }}>{a.title}</a> : a.title}
+          {a.source && <span style={muted}> · {a.source}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ProfileFactors({ factors }) {
+  if (!factors?.length) return null;
+  return (
+    <ul style={{ margin: '2px 0 4px', paddingLeft: '14px' }}>
+      {factors.map((f, i) => (
+        <li key={f.name || i}>
+          {f.name}{(f.detail || f.value) && <span style={muted}>: {f.detail || f.value}</span>}
+          {(f.weight ?? f.contribution) != null && <span style={muted}> (+{f.weight ?? f.contribution})</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** Factor-specific evidence: the tiers each signal fell in and the source items. */
+function Evidence({ factor }) {
+  const e = factor.evidence;
+  if (!e) return <div style={muted}>No signal for this country.</div>;
+
+  switch (factor.key) {
+    case 'ucdpConflict':
+      return (
+        <div>
+          <div>{e.events} events (+{e.eventPoints}) · {e.deaths} deaths (+{e.deathPoints}){e.war && ` · war (+${e.warPoints})`}</div>
+          {e.wars?.length > 0 && <div style={muted}>UCDP war-level: {e.wars.map(w => w.name).join(', ')}</div>}
+          <ul style={{ margin: '2px 0 4px', paddingLeft: '14px' }}>
+            {e.items.map(ev => (
+              <li key={ev.id}>
+                {ev.url ? <a href={ev.url} target="_blank" rel="noopener noreferrer" style={{ color: '#8ab4ff' }}>{ev.date}</a> : ev.date}
+                {' '}{ev.location}<span style={muted}> · {ev.type} · {ev.deaths ?? '?'} deaths</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      );
+    case 'stability':
+      return (
+        <div>
+          {[['protests', 'Protests'], ['military', 'Military activity'], ['instability', 'Instability']].map(([key, label]) => (
+            e[key] && (
+              <div key={key}>
+                <div>{label}: {e[key].severity || `intensity ${e[key].intensity}`} · {e[key].count} articles (+{e[key].points})</div>
+                <Articles items={e[key].articles} />
+              </div>
+            )
+          ))}
+        </div>
+      );
+    case 'sanctions':
+      return (
+        <div>
+          <div>{e.level} · {e.programs.join(', ')}</div>
+          {e.sectors.length > 0 && <div style={muted}>Sectors: {e.sectors.join(', ')}</div>}
+          <Articles items={e.news} />
+        </div>
+      );
+    case 'economic':
+      return (
+        <div>
+          {e.indicators.map(ind => (
+            <div key={ind.key}>
+              {INDICATOR_LABELS[ind.key] || ind.key}: {ind.value != null ? `${Number(ind.value).toFixed(1)}%` : 'n/a'}
+              {ind.date && <span style={muted}> ({ind.date})</span>}
+              {ind.points > 0 && <span style={muted}> +{ind.points}</span>}
+            </div>
+          ))}
+          <a href={e.url} target="_blank" rel="noopener noreferrer" style={{ color: '#8ab4ff' }}>{e.source}</a>
+        </div>
+      );
+    case 'coupRisk':
+    case 'demographic':
+      return (
+        <div>
+          <div>Score {e.score} ({e.level}){e.regimeType && ` · ${e.regimeType}`}</div>
+          <ProfileFactors factors={e.factors} />
+        </div>
+      );
+    case 'tensionExposure':
+      return (
+        <ul style={{ margin: '2px 0 4px', paddingLeft: '14px' }}>
+          {e.items.map(item => (
+            <li key={item.id}>
+              {item.name}<span style={muted}> · {item.kind} {item.value}</span>
+            </li>
+          ))}
+        </ul>
+      );
+    default:
+      return null;
+  }
+}
+
+function WaterfallRow({ label, start, points, delta, color, note, onClick, open }) {
+  const left = Math.max(0, Math.min(start, start + points));
+  const width = Math.min(100 - left, Math.abs(points));
+  return (
+    <button type="button" onClick={onClick} disabled={!onClick} style={{
+      display: 'flex', alignItems: 'center', gap: '6px', width: '100%', padding: '2px 0',
+      background: open ? 'rgba(255,255,255,0.04)' : 'transparent', border: 'none',
+      color: 'inherit', cursor: onClick ? 'pointer' : 'default', textAlign: 'left', fontSize: '10px',
+    }}>
+      <span style={{ width: '92px', flexShrink: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</span>
+      <span style={{ position: 'relative', flex: 1, height: '10px', background: 'rgba(255,255,255,0.04)', borderRadius: '2px' }}>
+        <span style={{
+          position: 'absolute', left: `${left}%`, width: `${Math.max(width, points === 0 ? 0 : 0.8)}%`,
+          top: 0, bottom: 0, background: color, borderRadius: '2px',
+        }} />
+      </span>
+      <span style={{ width: '58px', flexShrink: 0, textAlign: 'right' }}>
+        {note ?? `${points > 0 ? '+' : ''}${points}`}
+        <Delta value={delta} />
+      </span>
+    </button>
+  );
+}
+
+/**
+ * Waterfall of one country's risk score: baseline, then each factor's
+ * weighted contribution stacked on the running total, ending at the score.
+ * Click a factor for its evidence.
+ */
+export function RiskExplanation({ country, color = INCREASE_COLOR }) {
+  const { data, loading, error } = useRiskExplanation(country);
+  const [openFactor, setOpenFactor] = useState(null);
+
+  if (loading && !data) return <div style={{ padding: '8px 12px', fontSize: '10px', ...muted }}>Loading explanation...</div>;
+  if (error) return <div style={{ padding: '8px 12px', fontSize: '10px', color: '#ff6b6b' }}>{error}</div>;
+  if (!data) return null;
+
+  const contributing = data.factors.filter(f => f.points !== 0);
+  const silent = data.factors.filter(f => f.points === 0);
+  const previous = data.previous;
+
+  let running = data.baseline.score;
+  const rows = contributing.map(f => {
+    const start = running;
+    running += f.points;
+    return { factor: f, start };
+  });
+
+  return (
+    <div style={{ padding: '6px 12px 10px 36px', fontSize: '10px' }}>
+      {previous && (
+        <div style={{ marginBottom: '4px', ...muted }}>
+          {previous.delta === 0 ? 'Unchanged' : `${previous.delta > 0 ? 'Up' : 'Down'} ${Math.abs(previous.delta)}`}
+          {' '}since {timeAgo(previous.recordedAt)} ({previous.score}, {previous.level}
+          {previous.levelChanged && ` → ${data.level}`})
+        </div>
+      )}
+
+      <WaterfallRow label={`Baseline (${data.baseline.category})`} start={0} points={data.baseline.score}
+        delta={previous?.factors.baseline} color={BASELINE_COLOR} note={String(data.baseline.score)} />
+
+      {rows.map(({ factor, start }) => (
+        <div key={factor.key}>
+          <WaterfallRow
+            label={factor.label}
+            start={start}
+            points={factor.points}
+            delta={previous?.factors[factor.key]}
+            color={factor.points > 0 ? INCREASE_COLOR : DECREASE_COLOR}
+            open={openFactor === factor.key}
+            onClick={() => setOpenFactor(openFactor === factor.key ? null : factor.key)}
+          />
+          {openFactor === factor.key && (
+            <div style={{ margin: '2px 0 6px 98px', lineHeight: 1.5, color: 'rgba(255,255,255,0.75)' }}>
+              <div style={muted}>
+                raw {factor.raw}{factor.capped && ` (capped at ${factor.cap})`} × weight {factor.weight}
+              </div>
+              <Evidence factor={factor} />
+            </div>
+          )}
+        </div>
+      ))}
+
+      <WaterfallRow label="Score" start={0} points={data.score} delta={previous?.delta}
+        color={color} note={String(data.score)} />
+
+      {data.live && (
+        <div style={{ marginTop: '4px', ...muted }}>
+          Current inputs score {data.live.score} ({data.live.level}); the next refresh will publish it.
+        </div>
+      )}
+
+      {silent.length > 0 && (
+        <div style={{ marginTop: '4px', ...muted }}>
+          No contribution: {silent.map(f => f.label).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useRiskModel } from '../../hooks/useRiskModel';
+
+const RANGES = [
+  { days: 7, stepDays: 1, label: '7d' },
+  { days: 30, stepDays: 1, label: '30d' },
+  { days: 90, stepDays: 3, label: '90d' },
+];
+
+const LINE_COLORS = {
+  candidate: '#4a9eff',
+  current: 'rgba(255,255,255,0.45)',
+  recorded: '#ff8c00',
+};
+
+function AvgScoreChart({ points }) {
+  const lines = {
+    candidate: points.map(p => p.summary.avgScore),
+    current: points.map(p => p.current?.avgScore ?? null),
+    recorded: points.map(p => p.recorded?.avgScore ?? null),
+  };
+  const values = Object.values(lines).flat().filter(v => v != null);
+  if (points.length < 2 || values.length === 0) return null;
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const toPoints = (series) => series
+    .map((v, i) => (v == null ? null : `${(i / (series.length - 1)) * 100},${38 - ((v - min) / range) * 34}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <div style={{ marginBottom: '8px' }}>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" style={{ width: '100%', height: 48, display: 'block' }}>
+        {Object.entries(lines).map(([key, series]) => (
+          series.some(v => v != null) && (
+            <polyline key={key} fill="none" stroke={LINE_COLORS[key]} strokeWidth="1.2"
+              strokeDasharray={key === 'candidate' ? undefined : '2 2'} points={toPoints(series)} />
+          )
+        ))}
+      </svg>
+      <div style={{ display: 'flex', gap: '10px', fontSize: '9px', color: 'rgba(255,255,255,0.5)' }}>
+        <span style={{ color: LINE_COLORS.candidate }}>Avg (your weights)</span>
+        {lines.current.some(v => v != null) && <span>Current model</span>}
+        {lines.recorded.some(v => v != null) && <span style={{ color: LINE_COLORS.recorded }}>Published</span>}
+      </div>
+    </div>
+  );
+}
+
+function ChangeRow({ country, from, to, note }) {
+  const delta = to - from;
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', padding: '3px 0', borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+      <span>{country}</span>
+      <span style={{ color: 'rgba(255,255,255,0.5)' }}>
+        {from} → {to}{' '}
+        <span style={{ color: delta > 0 ? '#ff6b6b' : delta < 0 ? '#4ecdc4' : 'rgba(255,255,255,0.4)', fontWeight: 600 }}>
+          {delta > 0 ? '+' : ''}{delta}
+        </span>
+        {note && <span style={{ marginLeft: '6px', fontSize: '9px' }}>{note}</span>}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * What-if editor for the risk model: adjust factor weights locally, then
+ * score today's inputs or backtest stored history with them (admin only, as
+ * both re-score every country). Saved weights change through the
+ * reference-data admin API, not here.
+ */
+export function RiskModelTab({ scores }) {
+  const { model, backtest, preview, running, error, runBacktest, runPreview } = useRiskModel(true);
+  const [weights, setWeights] = useState({});
+  const [rangeDays, setRangeDays] = useState(30);
+
+  if (!model) return <div className="panel-empty" style={{ padding: '20px' }}>Loading model...</div>;
+
+  const edited = Object.keys(weights).length > 0;
+  const overrides = edited
+    ? { factors: Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, { weight }])) }
+    : undefined;
+
+  const setWeight = (key, value) => {
+    const weight = Math.max(0, Math.min(5, Number(value) || 0));
+    setWeights(prev => {
+      const next = { ...prev };
+      if (weight === model.factors[key].weight) delete next[key];
+      else next[key] = weight;
+      return next;
+    });
+  };
+
+  const handleBacktest = () => {
+    const range = RANGES.find(r => r.days === rangeDays);
+    const to = new Date();
+    const from = new Date(to.getTime() - range.days * 24 * 60 * 60 * 1000);
+    runBacktest({ from: from.toISOString(), to: to.toISOString(), stepDays: range.stepDays, model: overrides, limit: 10 });
+  };
+
+  const liveByCode = new Map((scores || []).map(s => [s.code, s.score]));
+  const previewChanges = (preview?.scores || [])
+    .filter(s => liveByCode.has(s.code) && liveByCode.get(s.code) !== s.score)
+    .sort((a, b) => Math.abs(b.score - liveByCode.get(b.code)) - Math.abs(a.score - liveByCode.get(a.code)))
+    .slice(0, 10);
+
+  const buttonStyle = {
+    padding: '4px 10px', fontSize: '11px', borderRadius: '3px', cursor: running ? 'wait' : 'pointer',
+    background: 'rgba(74,158,255,0.15)', border: '1px solid rgba(74,158,255,0.4)', color: '#4a9eff',
+  };
+
+  return (
+    <div style={{ padding: '12px' }}>
+      <div style={{ fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginBottom: '8px' }}>
+        Model v{model.version}. Score = category baseline + Σ min(points, cap) × weight. Changes here are not saved; running them needs the admin token (set in the Watchlist panel).
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        {Object.entries(model.factors).map(([key, factor]) => (
+          <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '11px', padding: '2px 0' }}>
+            <span style={{ flex: 1 }}>{factor.label || key}</span>
+            <span style={{ fontSize: '9px', color: 'rgba(255,255,255,0.35)' }}>cap {factor.cap}</span>
+            <input
+              type="number" min="0" max="5" step="0.1"
+              value={weights[key] ?? factor.weight}
+              onChange={e => setWeight(key, e.target.value)}
+              aria-label={`${factor.label || key} weight`}
+              style={{
+                width: '52px', padding: '2px 4px', fontSize: '11px', color: '#fff',
+                background: weights[key] != null ? 'rgba(74,158,255,0.15)' : 'rgba(255,255,255,0.06)',
+                border: '1px solid rgba(255,255,255,0.1)', borderRadius: '3px',
+              }}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+        <button type="button" style={buttonStyle} disabled={running} onClick={() => runPreview(overrides)}>Preview now</button>
+        <button type="button" style={buttonStyle} disabled={running} onClick={handleBacktest}>Backtest</button>
+        {RANGES.map(r => (
+          <button key={r.days} type="button" onClick={() => setRangeDays(r.days)} style={{
+            padding: '2px 6px', fontSize: '10px', borderRadius: '3px', cursor: 'pointer',
+            background: 'transparent', color: rangeDays === r.days ? '#fff' : 'rgba(255,255,255,0.45)',
+            border: `1px solid ${rangeDays === r.days ? 'rgba(255,255,255,0.4)' : 'rgba(255,255,255,0.1)'}`,
+          }}>{r.label}</button>
+        ))}
+        {edited && (
+          <button type="button" onClick={() => setWeights({})} style={{ ...buttonStyle, background: 'transparent', color: 'rgba(255,255,255,0.5)', border: '1px solid rgba(255,255,255,0.1)' }}>
+            Reset
+          </button>
+        )}
+        {running && <span style={{ fontSize: '10px', color: 'rgba(255,255,255,0.4)' }}>Running...</span>}
+      </div>
+
+      {error && <div style={{ fontSize: '11px', color: '#ff6b6b', marginBottom: '8px' }}>{error}</div>}
+
+      {preview && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ fontSize: '11px', fontWeight: 600, marginBottom: '4px' }}>
+            Today vs published ({previewChanges.length ? `${previewChanges.length} biggest changes` : 'no changes'})
+          </div>
+          {previewChanges.map(s => (
+            <ChangeRow key={s.code} country={s.country} from={liveByCode.get(s.code)} to={s.score} />
+          ))}
+        </div>
+      )}
+
+      {backtest && (
+        <div>
+          <div style={{ fontSize: '11px', fontWeight: 600, marginBottom: '4px' }}>
+            Backtest: {backtest.points.length} points{backtest.skipped > 0 && ` (${backtest.skipped} before history)`}
+          </div>
+          <AvgScoreChart points={backtest.points} />
+          {backtest.countries.map(c => (
+            <ChangeRow key={c.code} country={c.country} from={c.start} to={c.end}
+              note={c.avgDeltaVsCurrent != null && c.avgDeltaVsCurrent !== 0
+                ? `${c.avgDeltaVsCurrent > 0 ? '+' : ''}${c.avgDeltaVsCurrent} vs current`
+                : null} />
+          ))}
+          {backtest.points.length === 0 && (
+            <div className="panel-empty" style={{ padding: '10px' }}>No stored history in this range</div>
+          )}
+          <div style={{ marginTop: '6px', fontSize: '9px', color: 'rgba(255,255,255,0.3)' }}>
+            {backtest.notes.join('. ')}.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
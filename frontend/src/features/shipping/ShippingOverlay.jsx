@@ -1,4 +1,5 @@
-import { Marker } from '@vis.gl/react-maplibre';
+import { useMemo } from 'react';
+import { Marker, Source, Layer } from '@vis.gl/react-maplibre';
 
 const RISK_COLORS = {
   critical: '#ff4444',
@@ -8,11 +9,49 @@ const RISK_COLORS = {
   low: '#4a9eff',
 };
 
-export default function ShippingOverlay({ chokepoints, onChokepointClick }) {
+const VESSEL_COLORS = ['match', ['get', 'vesselClass'],
+  'tanker', '#ff8c00',
+  'cargo', '#4ecdc4',
+  'passenger', '#a78bfa',
+  'military', '#ff4444',
+  '#8899aa'];
+
+export default function ShippingOverlay({ chokepoints, onChokepointClick, transitStats = [], vessels = [], flags = null }) {
+  // Dark and loitering vessels get a ring so they stand out from traffic
+  const vesselsGeoJSON = useMemo(() => {
+    const flagged = new Map([
+      ...(flags?.dark || []).map(v => [v.mmsi, 'dark']),
+      ...(flags?.loitering || []).map(v => [v.mmsi, 'loitering']),
+    ]);
+    return {
+      type: 'FeatureCollection',
+      features: vessels.map(v => ({
+        type: 'Feature',
+        properties: { mmsi: v.mmsi, vesselClass: v.vesselClass, flag: flagged.get(v.mmsi) || 'none' },
+        geometry: { type: 'Point', coordinates: [v.lon, v.lat] },
+      })),
+    };
+  }, [vessels, flags]);
+
   if (!chokepoints || chokepoints.length === 0) return null;
 
   return (
     <>
+      {vessels.length > 0 && (
+        <Source id="ais-vessels" type="geojson" data={vesselsGeoJSON}>
+          <Layer
+            id="ais-vessel-points"
+            type="circle"
+            paint={{
+              'circle-color': VESSEL_COLORS,
+              'circle-radius': ['interpolate', ['linear'], ['zoom'], 1, 1.5, 6, 3.5],
+              'circle-opacity': 0.85,
+              'circle-stroke-width': ['match', ['get', 'flag'], 'none', 0, 2],
+              'circle-stroke-color': ['match', ['get', 'flag'], 'dark', '#ff4444', '#ffd700'],
+            }}
+          />
+        </Source>
+      )}
       {chokepoints.map(cp => (
         <Marker key={cp.id} longitude={cp.lon} latitude={cp.lat} anchor="center">
           <div
@@ -43,6 +82,20 @@ export default function ShippingOverlay({ chokepoints, onChokepointClick }) {
             }}>
               {cp.name}
             </div>
+            {transitStats.find(s => s.id === cp.id) && (
+              <div style={{
+                position: 'absolute',
+                top: '16px',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                fontSize: '9px',
+                whiteSpace: 'nowrap',
+                color: '#c8d4e0',
+                textShadow: '0 0 3px rgba(0,0,0,0.8)',
+              }}>
+                {transitStats.find(s => s.id === cp.id).last24h} / 24h
+              </div>
+            )}
           </div>
         </Marker>
       ))}
@@ -128,6 +128,81 @@ function TradeNewsItem({ item }) {
   );
 }
 
+/* ── Transit sparkline (daily counts, oldest → newest) ── */
+function TransitBars({ days }) {
+  const max = Math.max(1, ...days.map(d => d.total));
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: 22 }}>
+      {days.map(d => (
+        <div key={d.date}
+          title={`${d.date}: ${d.total} transits${d.byClass.tanker ? ` (${d.byClass.tanker} tankers)` : ''}`}
+          style={{
+            width: 5, height: `${Math.max(2, (d.total / max) * 100)}%`,
+            background: d.total ? '#4ecdc4' : 'rgba(255,255,255,0.08)', borderRadius: 1,
+          }} />
+      ))}
+    </div>
+  );
+}
+
+/* ── TransitRow: 24h count vs 7-day average + 14-day history ── */
+function TransitRow({ stat, history, onClick }) {
+  const change = stat.changePct;
+  const changeColor = change == null ? '#556677' : change <= -25 ? '#ff4444' : change >= 25 ? '#4ecdc4' : '#8899aa';
+  const tankers = stat.byClass24h?.tanker || 0;
+
+  return (
+    <div className="sp-cp" onClick={() => onClick?.(stat)}
+      style={{
+        padding: '8px 12px', borderBottom: '1px solid rgba(255,255,255,0.04)', cursor: 'pointer',
+        display: 'flex', alignItems: 'center', gap: 10,
+      }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: 12, fontWeight: 600, color: 'var(--text-primary, #e0e8f0)' }}>{stat.name}</div>
+        <div style={{ fontSize: 10, color: '#8899aa', display: 'flex', gap: 8 }}>
+          <span>7d avg {stat.avg7d}/day</span>
+          {tankers > 0 && <span>{tankers} tanker{tankers === 1 ? '' : 's'}</span>}
+        </div>
+      </div>
+      {history && <TransitBars days={history.days} />}
+      <div style={{ textAlign: 'right', minWidth: 54 }}>
+        <div style={{ fontSize: 15, fontWeight: 700, color: 'var(--text-primary, #e0e8f0)' }}>{stat.last24h}</div>
+        <div style={{ fontSize: 9, color: changeColor }}>
+          {change == null ? '24h' : `${change > 0 ? '+' : ''}${change}% vs avg`}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ── FlagList: one section of flagged vessels ── */
+function FlagList({ title, color, items, describe, onVesselClick }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div>
+      <div style={{ padding: '8px 12px 4px', fontSize: 10, fontWeight: 700, letterSpacing: 0.5, textTransform: 'uppercase', color }}>
+        {title} ({items.length})
+      </div>
+      {items.map(item => (
+        <div key={`${item.mmsi}-${item.at || item.reappearedAt || item.lastSeen}`}
+          onClick={() => onVesselClick?.(item)}
+          style={{
+            padding: '6px 12px', borderBottom: '1px solid rgba(255,255,255,0.04)',
+            borderLeft: `3px solid ${color}`, cursor: item.lat != null ? 'pointer' : 'default',
+          }}>
+          <div style={{ fontSize: 12, color: 'var(--text-primary, #e0e8f0)' }}>
+            {item.name || `MMSI ${item.mmsi}`}
+            <span style={{ fontSize: 10, color: '#8899aa', marginLeft: 6 }}>{item.vesselClass}</span>
+          </div>
+          <div style={{ fontSize: 10, color: '#8899aa' }}>{describe(item)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const chokepointName = (id, stats) => stats.find(s => s.id === id)?.name || id;
+
 /* ── Loading skeleton ── */
 function ShippingSkeleton() {
   return (
@@ -157,15 +232,27 @@ function ShippingSkeleton() {
 }
 
 /* ── MAIN PANEL ── */
-const TABS = ['Chokepoints', 'Trade News'];
+const TABS = ['Chokepoints', 'Transits', 'Flags', 'Trade News'];
 
-export function ShippingPanel({ data, loading, onRefresh, onChokepointClick }) {
+export function ShippingPanel({ data, loading, onRefresh, onChokepointClick, ais = null, onVesselClick }) {
   const [tab, setTab] = useState('Chokepoints');
 
-  const chokepoints = data?.chokepoints || [];
+  const aisSummary = ais?.summary;
+  const aisEnabled = Boolean(aisSummary?.status?.enabled);
+  const transitStats = useMemo(() => aisSummary?.chokepoints || [], [aisSummary]);
+  const flags = aisSummary?.flags || {};
   const tradeNews = data?.tradeNews || [];
   const summary = data?.summary || {};
 
+  // Live AIS counts fill the card's transits/day
+  const chokepoints = useMemo(() => (data?.chokepoints || []).map(cp => {
+    const stat = transitStats.find(s => s.id === cp.id);
+    return stat ? { ...cp, dailyTransits: stat.last24h } : cp;
+  }), [data, transitStats]);
+
+  const flagCount = (flags.dark?.length || 0) + (flags.loitering?.length || 0) + (flags.capeDiversions?.length || 0);
+  const visibleTabs = aisEnabled ? TABS : TABS.filter(t => t !== 'Transits' && t !== 'Flags');
+
   const highRiskCount = useMemo(() =>
     chokepoints.filter(cp => cp.risk === 'critical' || cp.risk === 'high').length,
     [chokepoints]
@@ -173,6 +260,7 @@ export function ShippingPanel({ data, loading, onRefresh, onChokepointClick }) {
 
   const tabCounts = {
     Chokepoints: chokepoints.length,
+    Flags: flagCount,
     'Trade News': tradeNews.length,
   };
 
@@ -209,7 +297,7 @@ export function ShippingPanel({ data, loading, onRefresh, onChokepointClick }) {
 
       {/* ── Tabs ── */}
       <div className="sp-tabs">
-        {TABS.map(t => (
+        {visibleTabs.map(t => (
           <button key={t} className={`sp-tab${tab === t ? ' active' : ''}`} onClick={() => setTab(t)}>
             {t}
             {tabCounts[t] > 0 && <span style={{ marginLeft: 4, fontSize: 9, opacity: 0.7 }}>({tabCounts[t]})</span>}
@@ -230,6 +318,38 @@ export function ShippingPanel({ data, loading, onRefresh, onChokepointClick }) {
         </div>
       )}
 
+      {/* ── Transits tab (AIS) ── */}
+      {tab === 'Transits' && (
+        <div className="sp-chokepoints">
+          {transitStats.map(stat => (
+            <TransitRow key={stat.id} stat={stat}
+              history={ais?.transits?.find(h => h.id === stat.id)}
+              onClick={() => onChokepointClick?.(chokepoints.find(cp => cp.id === stat.id))} />
+          ))}
+          <div style={{ padding: '6px 12px', fontSize: 9, color: '#556677' }}>
+            Vessels entering each chokepoint at 2+ kn, counted once per 12h.
+            {aisSummary?.asOf && <> As of {new Date(aisSummary.asOf).toUTCString().slice(5, 22)} UTC.</>}
+          </div>
+        </div>
+      )}
+
+      {/* ── Flags tab (AIS) ── */}
+      {tab === 'Flags' && (
+        <div className="sp-chokepoints">
+          {flagCount === 0 && !flags.gaps?.length && (
+            <div style={{ padding: 16, color: '#8899aa', fontSize: 12 }}>No dark, loitering or diverting vessels.</div>
+          )}
+          <FlagList title="Dark" color="#ff4444" items={flags.dark} onVesselClick={onVesselClick}
+            describe={v => `Silent ${v.silentHours}h · last seen in ${chokepointName(v.chokepoint, transitStats)} at ${v.sog ?? '?'} kn`} />
+          <FlagList title="Loitering" color="#ffd700" items={flags.loitering} onVesselClick={onVesselClick}
+            describe={v => `${v.loiterHours}h under 1.5 kn · ${chokepointName(v.chokepoint, transitStats)}`} />
+          <FlagList title="Cape diversions (7d)" color="#ff8c00" items={flags.capeDiversions}
+            describe={t => `${timeAgo(t.at)} · bound for ${t.destination || 'unknown'}`} />
+          <FlagList title="Reappeared after gap" color="#8899aa" items={flags.gaps}
+            describe={g => `${g.gapHours}h gap near ${chokepointName(g.chokepoint, transitStats)} · moved ${g.distanceKm} km`} />
+        </div>
+      )}
+
       {/* ── Trade News tab ── */}
       {tab === 'Trade News' && (
         <div className="sp-news">
@@ -248,7 +368,7 @@ export function ShippingPanel({ data, loading, onRefresh, onChokepointClick }) {
         display: 'flex', justifyContent: 'space-between', alignItems: 'center',
         fontSize: 9, color: '#556677', letterSpacing: 0.3,
       }}>
-        <span>Sources: MarineTraffic, OSINT aggregation</span>
+        <span>Sources: {aisEnabled ? 'AIS, ' : ''}MarineTraffic, OSINT aggregation</span>
         {data.updatedAt && <span>Updated {timeAgo(data.updatedAt)}</span>}
       </div>
     </div>
@@ -109,6 +109,13 @@ function MilPopup({ item, isBase, onClose }) {
           <span className="mil-popup-val">{item.label || item.description}</span>
         </div>
 
+        {!isBase && item.places?.length > 0 && (
+          <div className="mil-popup-row">
+            <span className="mil-popup-key">Locations</span>
+            <span className="mil-popup-val">{item.places.map((pl) => pl.name).join(', ')}</span>
+          </div>
+        )}
+
         {!isBase && item.force && (
           <div className="mil-popup-row">
             <span className="mil-popup-key">Force Type</span>
@@ -1,29 +1,39 @@
 /**
  * ProtestHeatmap — MapLibre heatmap layer showing protest / unrest intensity
- * Renders as a glowing heat overlay on the globe.
+ * Renders as a glowing heat overlay on the globe. Live points that name
+ * cities (`places`) put that share of their heat on the cities and the rest
+ * on the country.
  */
 
 import { useMemo } from 'react';
 import { Source, Layer, Marker } from '@vis.gl/react-maplibre';
 
 export default function ProtestHeatmap({ visible, protests = [], zoom = 2 }) {
-  const geoJSON = useMemo(() => ({
-    type: 'FeatureCollection',
-    features: protests
+  const geoJSON = useMemo(() => {
+    const toFeature = (id, lon, lat, intensity, label) => ({
+      type: 'Feature',
+      properties: { intensity, id, label },
+      geometry: { type: 'Point', coordinates: [lon, lat] },
+    });
+
+    const features = protests
       .filter((p) => p.lat && p.lon)
-      .map((p) => ({
-        type: 'Feature',
-        properties: {
-          intensity: p.intensity || p.count || 3,
-          id: p.id,
-          label: p.label || p.country,
-        },
-        geometry: {
-          type: 'Point',
-          coordinates: [p.lon, p.lat],
-        },
-      })),
-  }), [protests]);
+      .flatMap((p) => {
+        const intensity = p.intensity || p.count || 3;
+        const places = (p.places || []).filter((pl) => pl.lat && pl.lon);
+        if (places.length === 0 || !p.count) {
+          return [toFeature(p.id, p.lon, p.lat, intensity, p.label || p.country)];
+        }
+        const placed = places.reduce((sum, pl) => sum + pl.count, 0);
+        const share = (count) => intensity * Math.min(count / p.count, 1);
+        return [
+          ...places.map((pl) => toFeature(`${p.id}-${pl.name}`, pl.lon, pl.lat, share(pl.count), pl.name)),
+          ...(placed < p.count ? [toFeature(p.id, p.lon, p.lat, share(p.count - placed), p.label || p.country)] : []),
+        ];
+      });
+
+    return { type: 'FeatureCollection', features };
+  }, [protests]);
 
   const showLabels = zoom >= 3;
 
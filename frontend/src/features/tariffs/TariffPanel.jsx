@@ -7,6 +7,7 @@
 import { useRef, useEffect, useState } from 'react';
 import { getTariffByName } from './tariffData';
 import useTariffData from '../../hooks/useTariffData';
+import { useReferenceData } from '../../hooks/useReferenceData';
 import InlineMarkets from '../../components/InlineMarkets';
 import { timeAgo } from '../../utils/time';
 import './tariffs.css';
@@ -28,8 +29,9 @@ export function TariffPanel({ countryName, position, onClose, onPositionChange,
   const [tab, setTab] = useState('rates');
   const dragOffset = useRef({ x: 0, y: 0 });
 
-  const tariff = getTariffByName(countryName);
-  const { news, loading, lastUpdated } = useTariffData(true);
+  const { loaded: ratesLoaded } = useReferenceData('tariffs');
+  const { news, overrides, loading, lastUpdated } = useTariffData(true);
+  const tariff = getTariffByName(countryName, overrides);
 
   const clampPos = (x, y) => {
     if (!bounds) return { x, y };
@@ -124,7 +126,11 @@ export function TariffPanel({ countryName, position, onClose, onPositionChange,
       </div>
 
       <div className="tariff-panel-body">
-        {tab === 'rates' && (
+        {tab === 'rates' && !ratesLoaded && (
+          <div className="tariff-notes">Loading tariff rates…</div>
+        )}
+
+        {tab === 'rates' && ratesLoaded && (
           <>
             {/* Embargo display */}
             {isEmbargo ? (
@@ -192,6 +198,24 @@ export function TariffPanel({ countryName, position, onClose, onPositionChange,
             {tariff.notes && (
               <div className={`tariff-notes ${isEmbargo ? 'tariff-notes--embargo' : ''}`}>{tariff.notes}</div>
             )}
+
+            {/* Live override approved from tariff news */}
+            {tariff.override && (
+              <div className="tariff-notes tariff-notes--override">
+                Updated from news
+                {tariff.override.effectiveDate && (
+                  <> · effective {new Date(tariff.override.effectiveDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}</>
+                )}
+                {/^https?:/.test(tariff.override.source || '') && (
+                  <>
+                    {' · '}
+                    <a href={tariff.override.source} target="_blank" rel="noopener noreferrer">
+                      {tariff.override.sourceTitle || 'Source'}
+                    </a>
+                  </>
+                )}
+              </div>
+            )}
           </>
         )}
 
@@ -1,4 +1,6 @@
 import { useState, useEffect } from 'react';
+import { useAlerts } from '../../hooks/useAlerts';
+import { timeAgo } from '../../utils/time';
 
 const STORAGE_KEY = 'monitored:watchlist';
 
@@ -13,10 +15,78 @@ function saveWatchlist(items) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
 }
 
+const RULE_TYPE_LABELS = { above: 'Above', below: 'Below', change: 'Moves by', new_item: 'New item' };
+
+// Default alert for a watched country: risk score moving 10+ points in a day
+function countryRiskRule(name) {
+  return { name: `${name} risk jump`, dataset: 'risk', type: 'change', metric: 'score', key: name, threshold: 10, windowMinutes: 1440 };
+}
+
+function RuleForm({ datasets, onCreate }) {
+  const [dataset, setDataset] = useState('tension');
+  const [type, setType] = useState('above');
+  const [metric, setMetric] = useState('');
+  const [key, setKey] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [windowMinutes, setWindowMinutes] = useState('60');
+
+  const info = datasets.find(d => d.id === dataset);
+  const types = Object.keys(RULE_TYPE_LABELS).filter(t =>
+    t === 'new_item' ? info?.supportsNewItems : info?.metrics.length > 0
+  );
+  const activeType = types.includes(type) ? type : types[0];
+  const activeMetric = info?.metrics.includes(metric) ? metric : info?.metrics[0];
+
+  async function submit() {
+    const rule = { dataset, type: activeType };
+    if (activeType === 'new_item') {
+      if (key.trim()) rule.match = key.trim();
+    } else {
+      Object.assign(rule, { metric: activeMetric, key: key.trim() || undefined, threshold: Number(threshold) });
+      if (activeType === 'change') rule.windowMinutes = Number(windowMinutes);
+    }
+    if (await onCreate(rule)) {
+      setKey('');
+      setThreshold('');
+    }
+  }
+
+  return (
+    <div className="wl-rule-form">
+      <select className="wl-type" value={dataset} onChange={e => setDataset(e.target.value)}>
+        {datasets.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+      </select>
+      <select className="wl-type" value={activeType} onChange={e => setType(e.target.value)}>
+        {types.map(t => <option key={t} value={t}>{RULE_TYPE_LABELS[t]}</option>)}
+      </select>
+      {activeType !== 'new_item' && (
+        <select className="wl-type" value={activeMetric} onChange={e => setMetric(e.target.value)}>
+          {info?.metrics.map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+      )}
+      <input
+        className="wl-input"
+        value={key}
+        onChange={e => setKey(e.target.value)}
+        placeholder={activeType === 'new_item' ? 'Title contains (optional)' : (info?.defaultKey ? `Key (default: ${info.defaultKey})` : 'Country / market id, * = any')}
+      />
+      {activeType !== 'new_item' && (
+        <input className="wl-input" type="number" value={threshold} onChange={e => setThreshold(e.target.value)} placeholder={activeType === 'change' ? 'Min change' : 'Threshold'} />
+      )}
+      {activeType === 'change' && (
+        <input className="wl-input" type="number" value={windowMinutes} onChange={e => setWindowMinutes(e.target.value)} placeholder="Window (min)" />
+      )}
+      <button className="wl-add-btn" onClick={submit} disabled={activeType !== 'new_item' && threshold === ''}>Add rule</button>
+    </div>
+  );
+}
+
 export function WatchlistPanel({ onCountryClick }) {
   const [items, setItems] = useState(loadWatchlist);
   const [newItem, setNewItem] = useState('');
   const [newType, setNewType] = useState('country');
+  const [tab, setTab] = useState('watchlist');
+  const { rules, alerts, datasets, error, isConnected, adminToken, setAdminToken, createRule, updateRule, deleteRule } = useAlerts();
 
   useEffect(() => { saveWatchlist(items); }, [items]);
 
@@ -36,48 +106,138 @@ export function WatchlistPanel({ onCountryClick }) {
     setItems(prev => prev.filter(i => i.id !== id));
   }
 
+  function countryRule(name) {
+    return rules.find(r => r.dataset === 'risk' && r.key?.toLowerCase() === name.toLowerCase());
+  }
+
+  function toggleCountryAlert(name) {
+    const existing = countryRule(name);
+    if (existing) deleteRule(existing.id);
+    else createRule(countryRiskRule(name));
+  }
+
   const TYPE_ICONS = { country: '🌍', topic: '📌', conflict: '⚔️', market: '📈' };
 
   return (
     <div className="watchlist-panel">
-      <div className="wl-add">
-        <input
-          className="wl-input"
-          type="text"
-          value={newItem}
-          onChange={e => setNewItem(e.target.value)}
-          onKeyDown={e => e.key === 'Enter' && addItem()}
-          placeholder="Add to watchlist..."
-        />
-        <select className="wl-type" value={newType} onChange={e => setNewType(e.target.value)}>
-          <option value="country">Country</option>
-          <option value="topic">Topic</option>
-          <option value="conflict">Conflict</option>
-          <option value="market">Market</option>
-        </select>
-        <button className="wl-add-btn" onClick={addItem}>+</button>
+      <div className="wl-tabs">
+        <button className={`wl-tab ${tab === 'watchlist' ? 'active' : ''}`} onClick={() => setTab('watchlist')}>
+          Watchlist<span className="tab-count">{items.length}</span>
+        </button>
+        <button className={`wl-tab ${tab === 'rules' ? 'active' : ''}`} onClick={() => setTab('rules')}>
+          Rules<span className="tab-count">{rules.length}</span>
+        </button>
+        <button className={`wl-tab ${tab === 'alerts' ? 'active' : ''}`} onClick={() => setTab('alerts')}>
+          Alerts<span className="tab-count">{alerts.length}</span>
+        </button>
       </div>
 
-      <div className="wl-list">
-        {items.length === 0 && (
-          <div className="wl-empty">
-            No watchlist items. Add countries, topics, or conflicts to track.
+      {error && <div className="wl-error">{error}</div>}
+
+      {tab === 'rules' && (
+        <>
+          <div className="wl-token">
+            <input
+              className="wl-input"
+              type="password"
+              value={adminToken}
+              onChange={e => setAdminToken(e.target.value)}
+              placeholder="Admin token (needed to edit rules)"
+            />
+          </div>
+          <RuleForm datasets={datasets} onCreate={createRule} />
+          <div className="wl-list">
+            {rules.length === 0 && (
+              <div className="wl-empty">
+                No alert rules. Add one above, or tap 🔔 on a watched country.
+              </div>
+            )}
+            {rules.map(rule => (
+              <div key={rule.id} className={`wl-item ${rule.enabled ? '' : 'wl-rule-off'}`} onClick={() => updateRule(rule.id, { enabled: !rule.enabled })} title={rule.enabled ? 'Click to pause' : 'Click to resume'}>
+                <span className="wl-item-icon">🔔</span>
+                <div className="wl-item-info">
+                  <span className="wl-item-name">{rule.name}</span>
+                  <span className="wl-item-type">{rule.dataset} · {RULE_TYPE_LABELS[rule.type]}{rule.enabled ? '' : ' · paused'}</span>
+                </div>
+                <button className="wl-remove" onClick={(e) => { e.stopPropagation(); deleteRule(rule.id); }}>×</button>
+              </div>
+            ))}
           </div>
-        )}
-        {items.map(item => (
-          <div key={item.id} className="wl-item" onClick={() => item.type === 'country' && onCountryClick?.(item.name)}>
-            <span className="wl-item-icon">{TYPE_ICONS[item.type] || '📌'}</span>
-            <div className="wl-item-info">
-              <span className="wl-item-name">{item.name}</span>
-              <span className="wl-item-type">{item.type}</span>
+        </>
+      )}
+
+      {tab === 'alerts' && (
+        <div className="wl-list">
+          {alerts.length === 0 && (
+            <div className="wl-empty">
+              No alerts yet. Rules are checked after each data refresh.
+            </div>
+          )}
+          {alerts.map(alert => (
+            <div key={alert.id} className="wl-alert">
+              <span className="wl-alert-msg">{alert.message}</span>
+              <div className="wl-alert-meta">
+                <span>{alert.ruleName}</span>
+                <span>{timeAgo(alert.triggeredAt)}</span>
+              </div>
             </div>
-            <button className="wl-remove" onClick={(e) => { e.stopPropagation(); removeItem(item.id); }}>×</button>
+          ))}
+        </div>
+      )}
+
+      {tab === 'watchlist' && (
+        <>
+          <div className="wl-add">
+            <input
+              className="wl-input"
+              type="text"
+              value={newItem}
+              onChange={e => setNewItem(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && addItem()}
+              placeholder="Add to watchlist..."
+            />
+            <select className="wl-type" value={newType} onChange={e => setNewType(e.target.value)}>
+              <option value="country">Country</option>
+              <option value="topic">Topic</option>
+              <option value="conflict">Conflict</option>
+              <option value="market">Market</option>
+            </select>
+            <button className="wl-add-btn" onClick={addItem}>+</button>
           </div>
-        ))}
-      </div>
+
+          <div className="wl-list">
+            {items.length === 0 && (
+              <div className="wl-empty">
+                No watchlist items. Add countries, topics, or conflicts to track.
+              </div>
+            )}
+            {items.map(item => (
+              <div key={item.id} className="wl-item" onClick={() => item.type === 'country' && onCountryClick?.(item.name)}>
+                <span className="wl-item-icon">{TYPE_ICONS[item.type] || '📌'}</span>
+                <div className="wl-item-info">
+                  <span className="wl-item-name">{item.name}</span>
+                  <span className="wl-item-type">{item.type}</span>
+                </div>
+                {item.type === 'country' && (
+                  <button
+                    className={`wl-bell ${countryRule(item.name) ? 'on' : ''}`}
+                    title={countryRule(item.name) ? 'Remove risk alert' : 'Alert when risk score moves 10+ points in 24h'}
+                    onClick={(e) => { e.stopPropagation(); toggleCountryAlert(item.name); }}
+                  >🔔</button>
+                )}
+                <button className="wl-remove" onClick={(e) => { e.stopPropagation(); removeItem(item.id); }}>×</button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
 
       <div className="wl-footer">
-        <span>{items.length} items tracked</span>
+        <span>{items.length} items tracked · {rules.filter(r => r.enabled).length} active rules</span>
+        <span className={`wl-live ${isConnected ? 'on' : ''}`}>
+          <span className="wl-item-alert" />
+          {isConnected ? 'Live' : 'Offline'}
+        </span>
       </div>
     </div>
   );
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLiveDataset } from './useLiveDataset';
+
+const VESSELS_REFRESH_MS = 60 * 1000;
+const TRANSITS_REFRESH_MS = 15 * 60 * 1000;
+
+/**
+ * AIS chokepoint tracking: the summary (24h transits, dark/loitering vessels,
+ * Cape diversions) arrives over the 'ais' WebSocket channel; daily transit
+ * history and vessel positions are polled.
+ */
+export function useAis(enabled = false, { days = 14 } = {}) {
+  const { data: summary, loading, refresh: refreshSummary } = useLiveDataset('ais', '/api/ais', {
+    enabled,
+    fallbackIntervalMs: VESSELS_REFRESH_MS,
+  });
+  const [transits, setTransits] = useState([]);
+  const [vessels, setVessels] = useState([]);
+
+  const fetchTransits = useCallback(async () => {
+    if (!enabled) return;
+    try {
+      const res = await fetch(`/api/ais/transits?days=${days}`);
+      const json = await res.json();
+      if (json.success) setTransits(json.data);
+    } catch (err) {
+      console.error('[useAis] transits', err);
+    }
+  }, [enabled, days]);
+
+  const fetchVessels = useCallback(async () => {
+    if (!enabled) return;
+    try {
+      const res = await fetch('/api/ais/vessels');
+      const json = await res.json();
+      if (json.success) setVessels(json.data);
+    } catch (err) {
+      console.error('[useAis] vessels', err);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    fetchTransits();
+    if (!enabled) return;
+    const interval = setInterval(fetchTransits, TRANSITS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [fetchTransits, enabled]);
+
+  useEffect(() => {
+    fetchVessels();
+    if (!enabled) return;
+    const interval = setInterval(fetchVessels, VESSELS_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [fetchVessels, enabled]);
+
+  const refresh = useCallback(() => {
+    refreshSummary();
+    fetchTransits();
+    fetchVessels();
+  }, [refreshSummary, fetchTransits, fetchVessels]);
+
+  return { summary, transits, vessels, loading, refresh };
+}
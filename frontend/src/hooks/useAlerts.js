@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from 'react';
+import { liveSocket } from '../services/liveSocket';
+import { loadAdminToken, saveAdminToken } from '../services/adminToken';
+
+const MAX_ALERTS = 100;
+
+/**
+ * Server-side alert rules + live alerts (WebSocket `alerts` channel).
+ * Editing rules needs the server's admin token, kept in localStorage.
+ */
+export function useAlerts(enabled = true) {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [datasets, setDatasets] = useState([]);
+  const [error, setError] = useState(null);
+  const [isConnected, setIsConnected] = useState(liveSocket.isConnected());
+  const [adminToken, setAdminTokenState] = useState(loadAdminToken);
+
+  const setAdminToken = useCallback((token) => {
+    saveAdminToken(token);
+    setAdminTokenState(token);
+    setError(null);
+  }, []);
+
+  const fetchData = useCallback(async () => {
+    if (!enabled) return;
+    try {
+      const [rulesRes, alertsRes, datasetsRes] = await Promise.all([
+        fetch('/api/alerts/rules').then(r => r.json()),
+        fetch('/api/alerts?limit=50').then(r => r.json()),
+        fetch('/api/alerts/datasets').then(r => r.json()),
+      ]);
+      if (rulesRes.success) setRules(rulesRes.data);
+      if (alertsRes.success) setAlerts(alertsRes.data);
+      if (datasetsRes.success) setDatasets(datasetsRes.data);
+    } catch (err) {
+      console.error('[useAlerts]', err);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleMessage = useCallback((message) => {
+    if (message.channel !== 'alerts' || message.type !== 'alert') return;
+    setAlerts(prev => [message.alert, ...prev.filter(a => a.id !== message.alert.id)].slice(0, MAX_ALERTS));
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribeStatus = liveSocket.onStatus(setIsConnected);
+    const unsubscribe = liveSocket.subscribe('alerts', handleMessage);
+    return () => {
+      unsubscribe();
+      unsubscribeStatus();
+    };
+  }, [enabled, handleMessage]);
+
+  const createRule = useCallback(async (rule) => {
+    setError(null);
+    try {
+      const res = await fetch('/api/alerts/rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Token': adminToken },
+        body: JSON.stringify(rule),
+      });
+      const json = await res.json();
+      if (!json.success) {
+        setError(json.error);
+        return null;
+      }
+      setRules(prev => [...prev, json.data]);
+      return json.data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [adminToken]);
+
+  const updateRule = useCallback(async (id, changes) => {
+    try {
+      const res = await fetch(`/api/alerts/rules/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-Admin-Token': adminToken },
+        body: JSON.stringify(changes),
+      });
+      const json = await res.json();
+      if (json.success) setRules(prev => prev.map(r => (r.id === id ? json.data : r)));
+      else setError(json.error);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminToken]);
+
+  const deleteRule = useCallback(async (id) => {
+    try {
+      const res = await fetch(`/api/alerts/rules/${id}`, { method: 'DELETE', headers: { 'X-Admin-Token': adminToken } });
+      const json = await res.json();
+      if (json.success) setRules(prev => prev.filter(r => r.id !== id));
+      else setError(json.error);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [adminToken]);
+
+  return { rules, alerts, datasets, error, isConnected, adminToken, setAdminToken, createRule, updateRule, deleteRule, refresh: fetchData };
+}
@@ -1,29 +1,10 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useLiveDataset } from './useLiveDataset';
 
+// Pushed over the 'risk' WebSocket channel; polls only while the socket is down
 export function useCountryRisk(enabled = false) {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  const fetchData = useCallback(async () => {
-    if (!enabled) return;
-    setLoading(true);
-    try {
-      const res = await fetch('/api/risk');
-      const json = await res.json();
-      if (json.success) setData(json.data);
-    } catch (err) {
-      console.error('[useCountryRisk]', err);
-    } finally {
-      setLoading(false);
-    }
-  }, [enabled]);
-
-  useEffect(() => {
-    fetchData();
-    if (!enabled) return;
-    const interval = setInterval(fetchData, 30 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, [fetchData, enabled]);
-
-  return { data, loading, refresh: fetchData };
+  const { data, loading, refresh } = useLiveDataset('risk', '/api/risk', {
+    enabled,
+    fallbackIntervalMs: 30 * 60 * 1000,
+  });
+  return { data, loading, refresh };
 }
@@ -1,29 +1,10 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useLiveDataset } from './useLiveDataset';
 
+// Pushed over the 'disasters' WebSocket channel; polls only while the socket is down
 export function useDisasters(enabled = false) {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
-
-  const fetchData = useCallback(async () => {
-    if (!enabled) return;
-    setLoading(true);
-    try {
-      const res = await fetch('/api/disasters');
-      const json = await res.json();
-      if (json.success) setData(json.data);
-    } catch (err) {
-      console.error('[useDisasters]', err);
-    } finally {
-      setLoading(false);
-    }
-  }, [enabled]);
-
-  useEffect(() => {
-    fetchData();
-    if (!enabled) return;
-    const interval = setInterval(fetchData, 10 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, [fetchData, enabled]);
-
-  return { data, loading, refresh: fetchData };
+  const { data, loading, refresh } = useLiveDataset('disasters', '/api/disasters', {
+    enabled,
+    fallbackIntervalMs: 10 * 60 * 1000,
+  });
+  return { data, loading, refresh };
 }
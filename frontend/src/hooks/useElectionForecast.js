@@ -0,0 +1,19 @@
+import { useLiveDataset } from './useLiveDataset';
+
+const FORECAST_REFRESH_MS = 15 * 60 * 1000;
+
+/**
+ * Election forecast: per-race win probabilities and simulated Senate/House
+ * seat distributions with tipping-point races, pushed over the
+ * 'election-forecast' WebSocket channel.
+ */
+export function useElectionForecast(enabled = true) {
+  const { data, loading, live, refresh } = useLiveDataset('election-forecast', '/api/elections/forecast', {
+    enabled,
+    fallbackIntervalMs: FORECAST_REFRESH_MS,
+  });
+
+  return { forecast: data, loading, live, refresh };
+}
+
+export default useElectionForecast;
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLiveDataset } from './useLiveDataset';
+
+const RESULTS_REFRESH_MS = 30 * 1000;
+
+/**
+ * Election-night results: every race's votes, % reporting, margin and call
+ * status, pushed over the 'election-results' WebSocket channel. `active` turns
+ * true once any race has votes, which is when the map and ElectionPanel switch
+ * from ratings to results.
+ */
+export function useElectionResults(enabled = true) {
+  const { data, loading, live, refresh } = useLiveDataset('election-results', '/api/elections/results', {
+    enabled,
+    fallbackIntervalMs: RESULTS_REFRESH_MS,
+  });
+
+  const getRace = useCallback((key) => data?.races?.[key] || null, [data]);
+
+  return { results: data, active: Boolean(data?.active), getRace, loading, live, refresh };
+}
+
+/**
+ * County breakdown for one race, refetched whenever the race's `updatedAt`
+ * (from useElectionResults) moves.
+ */
+export function useRaceCounties(raceId, updatedAt, enabled = true) {
+  const [counties, setCounties] = useState([]);
+
+  const fetchCounties = useCallback(async () => {
+    if (!enabled || !raceId) return;
+    try {
+      const res = await fetch(`/api/elections/results/${encodeURIComponent(raceId)}`);
+      const json = await res.json();
+      if (json.success) setCounties(json.data.counties || []);
+    } catch (err) {
+      console.error('[useRaceCounties]', err);
+    }
+  }, [raceId, enabled]);
+
+  useEffect(() => {
+    fetchCounties();
+  }, [fetchCounties, updatedAt]);
+
+  return counties;
+}
+
+export default useElectionResults;
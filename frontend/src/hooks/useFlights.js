@@ -5,14 +5,26 @@ const FLIGHTS_API_URL = import.meta.env.DEV
   ? '/api/flights'
   : (import.meta.env.VITE_FLIGHTS_API_URL || '/api/flights');
 
-async function fetchFlightsFromApi() {
-  const response = await fetch(FLIGHTS_API_URL);
+// The backend polls its ADS-B provider every 1–2 minutes; match that
+const REFRESH_MS = 60000;
+
+async function fetchFlightsFromApi({ bbox, militaryOnly }) {
+  const params = new URLSearchParams({ trail: 'true' });
+  if (bbox) params.set('bbox', bbox);
+  if (militaryOnly) params.set('military', 'true');
+  const response = await fetch(`${FLIGHTS_API_URL}?${params}`);
   if (!response.ok) throw new Error(`Flights API error: ${response.status}`);
   return response.json();
 }
 
-export function useFlights(enabled = true) {
+/**
+ * Aircraft positions from /api/flights.
+ * `bbox` is "minLon,minLat,maxLon,maxLat" (null = whole world); each flight
+ * carries `category` ('military' | 'government' | 'civil') and a short trail.
+ */
+export function useFlights(enabled = true, { bbox = null, militaryOnly = false } = {}) {
   const [flights, setFlights] = useState([]);
+  const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -24,9 +36,10 @@ export function useFlights(enabled = true) {
     }
     setLoading(true);
     try {
-      const data = await fetchFlightsFromApi();
-      const items = data?.data || data || [];
+      const data = await fetchFlightsFromApi({ bbox, militaryOnly });
+      const items = data?.data || [];
       setFlights(Array.isArray(items) ? items : []);
+      setStatus(data?.status || null);
       setError(null);
     } catch (err) {
       setError(err);
@@ -34,16 +47,16 @@ export function useFlights(enabled = true) {
     } finally {
       setLoading(false);
     }
-  }, [enabled]);
+  }, [enabled, bbox, militaryOnly]);
 
   useEffect(() => {
     fetchFlights();
     if (!enabled) return undefined;
-    const interval = setInterval(fetchFlights, 300000); // refresh every 5 minutes
+    const interval = setInterval(fetchFlights, REFRESH_MS);
     return () => clearInterval(interval);
   }, [enabled, fetchFlights]);
 
-  return { flights, loading, error, refresh: fetchFlights };
+  return { flights, status, loading, error, refresh: fetchFlights };
 }
 
 export default useFlights;
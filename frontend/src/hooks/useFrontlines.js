@@ -0,0 +1,73 @@
+/**
+ * useFrontlines — dated frontline / territorial-control snapshots for one conflict.
+ *
+ * `date` picks the snapshot in effect on that day (null = latest); with
+ * `compareFrom`, also loads the earlier snapshot for a ghost line and the
+ * per-side km² change between the two.
+ */
+
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+// Snapshot dates only change on import; one list fetch per session is plenty
+let conflictsRequest = null;
+
+function loadConflicts() {
+  if (!conflictsRequest) {
+    conflictsRequest = api.getFrontlineConflicts()
+      .then((res) => res?.data || [])
+      .catch((err) => {
+        conflictsRequest = null;
+        throw err;
+      });
+  }
+  return conflictsRequest;
+}
+
+export function useFrontlines(enabled, { conflict = 'ukraine', date = null, compareFrom = null } = {}) {
+  const [conflicts, setConflicts] = useState([]);
+  const [snapshot, setSnapshot] = useState(null);
+  const [compareSnapshot, setCompareSnapshot] = useState(null);
+  const [change, setChange] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    loadConflicts()
+      .then(setConflicts)
+      .catch((err) => console.error('[useFrontlines]', err));
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([
+      api.getFrontline(conflict, date),
+      compareFrom ? api.getFrontline(conflict, compareFrom) : null,
+      compareFrom ? api.getFrontlineChange(conflict, compareFrom, date) : null,
+    ])
+      .then(([current, earlier, diff]) => {
+        if (cancelled) return;
+        setSnapshot(current?.data || null);
+        setCompareSnapshot(earlier?.data || null);
+        setChange(diff?.data || null);
+      })
+      .catch((err) => {
+        if (!cancelled) console.error('[useFrontlines]', err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [enabled, conflict, date, compareFrom]);
+
+  return {
+    conflicts,
+    conflictInfo: conflicts.find((c) => c.id === conflict) || null,
+    snapshot,
+    compareSnapshot,
+    change,
+    loading,
+  };
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Geotagged headlines from the last `hours` as GeoJSON (/api/feed/geo).
+ */
+export function useGeoFeed(enabled = false, hours = 24) {
+  const [data, setData] = useState(EMPTY_COLLECTION);
+  const [loading, setLoading] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    if (!enabled) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/feed/geo?hours=${hours}`);
+      const json = await res.json();
+      if (json.success) setData(json.data);
+    } catch (err) {
+      console.error('[useGeoFeed]', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [enabled, hours]);
+
+  useEffect(() => {
+    fetchData();
+    if (!enabled) return;
+    const interval = setInterval(fetchData, 2 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [fetchData, enabled]);
+
+  return { data, loading, refresh: fetchData };
+}
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { liveSocket } from '../services/liveSocket';
+import { applyPatch } from '../utils/jsonPatch';
+
+/**
+ * Dataset kept current over a WebSocket channel (snapshot + JSON Patch diffs).
+ * Loads once over HTTP; polls `url` only while the socket is disconnected.
+ *
+ * @param {string} channel - backend channel, e.g. 'tension' or 'markets:Ukraine'
+ * @param {string} url - REST endpoint returning { success, data }
+ * @param {object} [opts]
+ * @param {boolean} [opts.enabled]
+ * @param {number} [opts.fallbackIntervalMs] - polling interval while offline
+ */
+export function useLiveDataset(channel, url, { enabled = true, fallbackIntervalMs = 0 } = {}) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [live, setLive] = useState(liveSocket.isConnected());
+  const dataRef = useRef(null);
+  // Version of the last snapshot/diff applied; null until the socket delivers one
+  const versionRef = useRef(null);
+
+  const update = useCallback((next) => {
+    dataRef.current = next;
+    setData(next);
+  }, []);
+
+  const fetchData = useCallback(async (force = false) => {
+    if (!enabled) return;
+    setLoading(true);
+    try {
+      const res = await fetch(url);
+      const json = await res.json();
+      if (!json.success) return;
+      if (force) {
+        // Re-base on the HTTP response and ask the socket for a matching snapshot
+        versionRef.current = null;
+        update(json.data);
+        liveSocket.resync(channel);
+      } else if (versionRef.current === null) {
+        update(json.data);
+      }
+    } catch (err) {
+      console.error(`[useLiveDataset:${channel}]`, err);
+    } finally {
+      setLoading(false);
+    }
+  }, [channel, url, enabled, update]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribeStatus = liveSocket.onStatus(setLive);
+    const unsubscribe = liveSocket.subscribe(channel, (message) => {
+      if (message.type === 'snapshot') {
+        versionRef.current = message.version;
+        update(message.data);
+      } else if (message.type === 'diff') {
+        if (versionRef.current !== message.baseVersion || dataRef.current == null) {
+          liveSocket.resync(channel);
+          return;
+        }
+        try {
+          update(applyPatch(dataRef.current, message.ops));
+          versionRef.current = message.version;
+        } catch (err) {
+          console.error(`[useLiveDataset:${channel}] patch failed`, err);
+          liveSocket.resync(channel);
+        }
+      }
+    });
+    return () => {
+      unsubscribe();
+      unsubscribeStatus();
+      versionRef.current = null;
+    };
+  }, [channel, enabled, update]);
+
+  useEffect(() => {
+    if (!enabled || live || !fallbackIntervalMs) return;
+    const interval = setInterval(() => fetchData(true), fallbackIntervalMs);
+    return () => clearInterval(interval);
+  }, [enabled, live, fallbackIntervalMs, fetchData]);
+
+  const refresh = useCallback(() => fetchData(true), [fetchData]);
+
+  return { data, loading, live, refresh };
+}
@@ -0,0 +1,58 @@
+/**
+ * usePortfolioExposure — country and sector exposure, geopolitical risk
+ * score, touched conflicts/flashpoints and related alerts for a list of
+ * holdings ([{ symbol, weight }], weights blank for equal weighting).
+ * Re-analyzed when the holdings change and every few minutes as risk moves.
+ * `importCsv` sends a CSV file's text and resolves to the parsed holdings.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../services/api';
+
+const REFRESH_MS = 5 * 60 * 1000;
+
+export function usePortfolioExposure(holdings, enabled = true) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const analyze = useCallback(async () => {
+    if (!enabled || holdings.length === 0) {
+      setData(null);
+      setError(null);
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await api.analyzePortfolio(holdings.map(h => ({
+        symbol: h.symbol,
+        weight: h.weight === '' ? undefined : Number(h.weight),
+      })));
+      setData(res?.data || null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [holdings, enabled]);
+
+  useEffect(() => {
+    analyze();
+    if (!enabled) return;
+    const timer = setInterval(analyze, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [analyze, enabled]);
+
+  const importCsv = useCallback(async (text) => {
+    const res = await api.analyzePortfolioCsv(text);
+    return (res?.data?.positions || []).map(p => ({
+      symbol: p.symbol,
+      weight: Math.round(p.weight * 10000) / 100,
+    }));
+  }, []);
+
+  return { data, loading, error, refresh: analyze, importCsv };
+}
+
+export default usePortfolioExposure;
@@ -0,0 +1,78 @@
+/**
+ * Prediction market history — recorded probability per market across
+ * Polymarket, Kalshi and Metaculus. Market ids are `<venue>:<id>`
+ * (see predictionMarketId).
+ *
+ * usePredictionSparklines(ids)   — compact series for a list of markets
+ * usePredictionHistory(marketId) — full per-outcome history for one market
+ * usePredictionMovers(enabled)   — biggest 1h/24h/7d swings across venues
+ */
+
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+const REFRESH_MS = 5 * 60 * 1000;
+
+export const predictionMarketId = (venue, id) => (
+  `${venue}:${venue === 'kalshi' ? String(id).replace(/^kalshi-/, '') : id}`
+);
+
+export function usePredictionSparklines(ids, span = '7d') {
+  const [sparklines, setSparklines] = useState({});
+  const key = ids.join(',');
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    const load = () => api.getPredictionSparklines(key.split(','), span)
+      .then((res) => { if (!cancelled) setSparklines(res?.data || {}); })
+      .catch((err) => console.error('[usePredictionSparklines]', err));
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => { cancelled = true; clearInterval(interval); };
+  }, [key, span]);
+
+  return sparklines;
+}
+
+export function usePredictionHistory(marketId, days = 7) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!marketId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api.getPredictionHistory(marketId, Date.now() - days * 24 * 60 * 60 * 1000)
+      .then((res) => { if (!cancelled) setData(res?.data || null); })
+      .catch((err) => { if (!cancelled) setError(err.message.includes('404') ? 'No history recorded yet' : err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [marketId, days]);
+
+  return { data, loading, error };
+}
+
+export function usePredictionMovers(enabled) {
+  const [movers, setMovers] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    const load = () => {
+      setLoading(true);
+      api.getPredictionMovers({ limit: 15 })
+        .then((res) => { if (!cancelled) setMovers(res?.data || null); })
+        .catch((err) => console.error('[usePredictionMovers]', err))
+        .finally(() => { if (!cancelled) setLoading(false); });
+    };
+    load();
+    const interval = setInterval(load, REFRESH_MS);
+    return () => { cancelled = true; clearInterval(interval); };
+  }, [enabled]);
+
+  return { movers, loading };
+}
@@ -0,0 +1,34 @@
+/**
+ * useReferenceData — keeps a backend reference dataset loaded and current,
+ * and re-renders the caller when a new version arrives.
+ *
+ * The data itself is read through the dataset's module (electionData.js,
+ * tariffData.js, ...); use the returned `version` as a memo dependency.
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  getReferenceDataset,
+  loadReferenceData,
+  subscribeReferenceData,
+} from '../services/referenceData';
+
+const REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+export function useReferenceData(name) {
+  const dataset = useSyncExternalStore(subscribeReferenceData, () => getReferenceDataset(name));
+
+  useEffect(() => {
+    loadReferenceData(name);
+    const interval = setInterval(() => loadReferenceData(name), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [name]);
+
+  return {
+    loaded: !!dataset,
+    version: dataset?.version ?? null,
+    updatedAt: dataset?.updatedAt ?? null,
+  };
+}
+
+export default useReferenceData;
@@ -0,0 +1,28 @@
+/**
+ * useRiskExplanation — one country's risk score broken down by factor, with
+ * the evidence behind each contribution and the change since the previous
+ * snapshot (`/api/risk/:country`). Pass null to skip.
+ */
+
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+
+export function useRiskExplanation(country) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!country) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api.getRiskExplanation(country)
+      .then((res) => { if (!cancelled) setData(res?.data || null); })
+      .catch((err) => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [country]);
+
+  return { data, loading, error };
+}
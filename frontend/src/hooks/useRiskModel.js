@@ -0,0 +1,50 @@
+/**
+ * useRiskModel — the country risk model spec plus what-if runs against it.
+ *
+ * `overrides` use the same shape as the model tables
+ * ({ factors: { coupRisk: { weight: 2 } } }); nothing is saved server-side.
+ * `backtest` replays stored snapshots; `preview` scores today's inputs.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../services/api';
+
+export function useRiskModel(enabled) {
+  const [model, setModel] = useState(null);
+  const [backtest, setBacktest] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    api.getRiskModel()
+      .then((res) => { if (!cancelled) setModel(res?.data || null); })
+      .catch((err) => console.error('[useRiskModel]', err));
+    return () => { cancelled = true; };
+  }, [enabled]);
+
+  const run = useCallback(async (request, setResult) => {
+    setRunning(true);
+    setError(null);
+    try {
+      const res = await request();
+      setResult(res?.data || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  }, []);
+
+  const runBacktest = useCallback((options) => (
+    run(() => api.backtestRisk(options), setBacktest)
+  ), [run]);
+
+  const runPreview = useCallback((overrides) => (
+    run(() => api.previewRisk(overrides), setPreview)
+  ), [run]);
+
+  return { model, backtest, preview, running, error, runBacktest, runPreview };
+}
@@ -11,6 +11,74 @@ import {
   BASELINE_INSTABILITY,
 } from '../features/stability/stabilityData';
 
+/**
+ * Shape a backend stability payload for the map and panel, merging in the
+ * static baseline events. Stored snapshots (timeline playback) skip the
+ * baseline, which is undated.
+ * @param {object} live - /api/stability data or a 'stability' snapshot
+ * @param {{ includeBaseline?: boolean }} [opts]
+ */
+export function buildStabilityData(live, { includeBaseline = true } = {}) {
+  // Live points are placed by where events happen (not the outlet's country);
+  // `places` names the cities they were pinned to
+  const describeLive = (item) => {
+    const where = item.places?.length ? ` · ${item.places.map((pl) => pl.name).join(', ')}` : '';
+    return `${item.count} GDELT articles${where}`;
+  };
+
+  // Merge live GDELT heatmap points with baseline protests
+  const liveProtestCodes = new Set((live.protests?.heatmapPoints || []).map((p) => p.countryCode));
+  const mergedProtests = [
+    ...(includeBaseline ? BASELINE_PROTESTS : []).filter((b) => !liveProtestCodes.has(b.code)),
+    ...(live.protests?.heatmapPoints || []).map((p) => ({
+      ...p,
+      country: p.countryName || p.countryCode,
+      code: p.countryCode,
+      label: describeLive(p),
+      type: 'protest',
+      live: true,
+    })),
+  ];
+
+  // Merge live military indicators with baseline
+  const liveMilCodes = new Set((live.military?.indicators || []).map((m) => m.countryCode));
+  const mergedMilitary = [
+    ...(includeBaseline ? BASELINE_MILITARY : []).filter((b) => !liveMilCodes.has(b.code)),
+    ...(live.military?.indicators || []).map((m) => ({
+      ...m,
+      country: m.countryName || m.countryCode,
+      code: m.countryCode,
+      label: describeLive(m),
+      force: 'mixed',
+      type: 'deployment',
+      live: true,
+    })),
+  ];
+
+  // Merge live instability alerts with baseline
+  const liveAlertCodes = new Set((live.instability?.alerts || []).map((a) => a.countryCode));
+  const mergedInstability = [
+    ...(includeBaseline ? BASELINE_INSTABILITY : []).filter((b) => !liveAlertCodes.has(b.code)),
+    ...(live.instability?.alerts || []).map((a) => ({
+      ...a,
+      country: a.countryName || a.countryCode,
+      code: a.countryCode,
+      headline: a.articles?.[0]?.title || 'Instability detected',
+      live: true,
+    })),
+  ];
+
+  return {
+    protests: mergedProtests,
+    military: mergedMilitary,
+    instability: mergedInstability,
+    protestNews: live.protests?.newsHeadlines || [],
+    militaryNews: live.military?.newsHeadlines || [],
+    instabilityNews: live.instability?.newsHeadlines || [],
+    lastUpdated: live.lastUpdated || new Date().toISOString(),
+  };
+}
+
 export function useStability(enabled = false) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -21,59 +89,7 @@ export function useStability(enabled = false) {
     setLoading(true);
     try {
       const res = await api.getStabilityData();
-      const live = res?.data || res || {};
-
-      // Merge live GDELT heatmap points with baseline protests
-      const liveProtestCodes = new Set((live.protests?.heatmapPoints || []).map((p) => p.countryCode));
-      const mergedProtests = [
-        ...BASELINE_PROTESTS.filter((b) => !liveProtestCodes.has(b.code)),
-        ...(live.protests?.heatmapPoints || []).map((p) => ({
-          ...p,
-          country: p.countryCode,
-          code: p.countryCode,
-          label: `${p.count} GDELT articles`,
-          type: 'protest',
-          live: true,
-        })),
-      ];
-
-      // Merge live military indicators with baseline
-      const liveMilCodes = new Set((live.military?.indicators || []).map((m) => m.countryCode));
-      const mergedMilitary = [
-        ...BASELINE_MILITARY.filter((b) => !liveMilCodes.has(b.code)),
-        ...(live.military?.indicators || []).map((m) => ({
-          ...m,
-          country: m.countryCode,
-          code: m.countryCode,
-          label: `${m.count} GDELT articles`,
-          force: 'mixed',
-          type: 'deployment',
-          live: true,
-        })),
-      ];
-
-      // Merge live instability alerts with baseline
-      const liveAlertCodes = new Set((live.instability?.alerts || []).map((a) => a.countryCode));
-      const mergedInstability = [
-        ...BASELINE_INSTABILITY.filter((b) => !liveAlertCodes.has(b.code)),
-        ...(live.instability?.alerts || []).map((a) => ({
-          ...a,
-          country: a.countryCode,
-          code: a.countryCode,
-          headline: a.articles?.[0]?.title || 'Instability detected',
-          live: true,
-        })),
-      ];
-
-      setData({
-        protests: mergedProtests,
-        military: mergedMilitary,
-        instability: mergedInstability,
-        protestNews: live.protests?.newsHeadlines || [],
-        militaryNews: live.military?.newsHeadlines || [],
-        instabilityNews: live.instability?.newsHeadlines || [],
-        lastUpdated: live.lastUpdated || new Date().toISOString(),
-      });
+      setData(buildStabilityData(res?.data || res || {}));
       setError(null);
     } catch (err) {
       console.warn('[useStability] API fetch failed, using baseline data:', err.message);
@@ -0,0 +1,91 @@
+/**
+ * useTimeTravel — loads the map datasets as they were at a past date from
+ * stored refresh snapshots (/api/history/at), for timeline playback.
+ *
+ * Returns null data while `asOf` is null (live mode). The previous date's
+ * data stays in place until the next one arrives so playback doesn't flicker,
+ * and the following day is prefetched.
+ */
+
+import { useState, useEffect } from 'react';
+import { api } from '../services/api';
+import { buildStabilityData } from './useStability';
+
+export const TIME_TRAVEL_DATASETS = ['risk', 'tension', 'stability', 'disasters'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_DATES = 120;
+
+// ISO date string -> Promise<{ data, recordedAt }>, shared across mounts
+const cache = new Map();
+
+function shape(snapshots) {
+  const data = {};
+  const recordedAt = {};
+  for (const name of TIME_TRAVEL_DATASETS) {
+    const snapshot = snapshots?.[name];
+    recordedAt[name] = snapshot?.recordedAt || null;
+    if (!snapshot) {
+      data[name] = null;
+    } else if (name === 'stability') {
+      data[name] = buildStabilityData(snapshot.data || {}, { includeBaseline: false });
+    } else {
+      data[name] = snapshot.data;
+    }
+  }
+  return { data, recordedAt };
+}
+
+function loadAt(date) {
+  const key = new Date(date).toISOString();
+  if (!cache.has(key)) {
+    const request = api.getHistoryAt(key, TIME_TRAVEL_DATASETS)
+      .then((res) => shape(res?.data))
+      .catch((err) => {
+        cache.delete(key);
+        throw err;
+      });
+    cache.set(key, request);
+    if (cache.size > MAX_CACHED_DATES) cache.delete(cache.keys().next().value);
+  }
+  return cache.get(key);
+}
+
+export function useTimeTravel(asOf) {
+  const [state, setState] = useState({ data: null, recordedAt: null });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const asOfKey = asOf ? new Date(asOf).toISOString() : null;
+
+  useEffect(() => {
+    if (!asOfKey) {
+      setState({ data: null, recordedAt: null });
+      setLoading(false);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    loadAt(asOfKey)
+      .then((next) => {
+        if (cancelled) return;
+        setState(next);
+        setError(null);
+        // Warm the next playback step
+        const following = new Date(asOfKey).getTime() + DAY_MS;
+        if (following <= Date.now()) loadAt(following).catch(() => {});
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('[useTimeTravel]', err);
+        setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [asOfKey]);
+
+  return { data: state.data, recordedAt: state.recordedAt, loading, error };
+}
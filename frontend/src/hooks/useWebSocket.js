@@ -4,10 +4,15 @@ import { useEffect, useRef, useState, useCallback } from 'react';
 // Fallback port was 4000 but backend defaults to 4100.
 const WS_URL = import.meta.env.VITE_WS_URL || `ws://${window.location.host}/ws`;
 
-export function useWebSocket(onMessage) {
+/**
+ * Connect to the backend WebSocket, reconnecting on close.
+ * `channels` are subscribed on every (re)connect, e.g. ['alerts'].
+ */
+export function useWebSocket(onMessage, { channels = [] } = {}) {
   const [isConnected, setIsConnected] = useState(false);
   const wsRef = useRef(null);
   const reconnectTimeout = useRef(null);
+  const channelKey = channels.join(',');
 
   const connect = useCallback(() => {
     try {
@@ -16,6 +21,9 @@ export function useWebSocket(onMessage) {
       ws.onopen = () => {
         console.log('[WS] Connected');
         setIsConnected(true);
+        for (const channel of channelKey.split(',').filter(Boolean)) {
+          ws.send(JSON.stringify({ type: 'subscribe', channel }));
+        }
       };
 
       ws.onmessage = (event) => {
@@ -39,13 +47,17 @@ export function useWebSocket(onMessage) {
     } catch (error) {
       console.error('[WS] Connection failed:', error);
     }
-  }, [onMessage]);
+  }, [onMessage, channelKey]);
 
   useEffect(() => {
     connect();
     return () => {
       if (reconnectTimeout.current) clearTimeout(reconnectTimeout.current);
-      if (wsRef.current) wsRef.current.close();
+      if (wsRef.current) {
+        // Don't schedule a reconnect for an intentional close
+        wsRef.current.onclose = null;
+        wsRef.current.close();
+      }
     };
   }, [connect]);
 
@@ -0,0 +1,17 @@
+/**
+ * The server's admin token (ADMIN_API_TOKEN), entered once in the Watchlist
+ * panel and kept in localStorage for admin-only calls (alert rules, risk
+ * model previews and backtests).
+ */
+
+const TOKEN_KEY = 'monitored:adminToken';
+
+export function loadAdminToken() {
+  try { return localStorage.getItem(TOKEN_KEY) || ''; } catch { return ''; }
+}
+
+export function saveAdminToken(token) {
+  try { localStorage.setItem(TOKEN_KEY, token); } catch { /* ignore private-mode and quota errors */ }
+}
+
+export const adminHeaders = () => ({ 'X-Admin-Token': loadAdminToken() });
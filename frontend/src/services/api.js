@@ -1,3 +1,5 @@
+import { adminHeaders } from './adminToken';
+
 // In dev, use empty string so requests go through the Vite proxy (avoids CORS/IPv6 issues).
 // In production, VITE_API_URL should point to the backend origin.
 const API_URL = import.meta.env.DEV ? '' : (import.meta.env.VITE_API_URL || '');
@@ -9,6 +11,28 @@ export const api = {
     return response.json();
   },
 
+  async post(endpoint, body, headers = {}) {
+    const response = await fetch(`${API_URL}/api${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const json = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(json?.error || `API error: ${response.status}`);
+    return json;
+  },
+
+  async postText(endpoint, text, contentType = 'text/csv') {
+    const response = await fetch(`${API_URL}/api${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: text,
+    });
+    const json = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(json?.error || `API error: ${response.status}`);
+    return json;
+  },
+
   getFeed: (params = {}) => {
     const query = new URLSearchParams(params).toString();
     return api.fetch(`/feed${query ? `?${query}` : ''}`);
@@ -18,7 +42,10 @@ export const api = {
   getTweets: () => api.fetch('/tweets'),
   getReddit: () => api.fetch('/reddit'),
   getRss: () => api.fetch('/rss'),
-  search: (q) => api.fetch(`/search?q=${encodeURIComponent(q)}`),
+  search: (q, params = {}) => {
+    const query = new URLSearchParams({ q, ...params }).toString();
+    return api.fetch(`/search?${query}`);
+  },
   getStats: () => api.fetch('/stats'),
 
   // Conflict (Russia-Ukraine live data)
@@ -31,6 +58,9 @@ export const api = {
   getTariffLive: () => api.fetch('/tariffs'),
   getTariffNews: (limit = 30) => api.fetch(`/tariffs/news?limit=${limit}`),
 
+  // Reference data (versioned curated datasets: elections, tariffs, leaders, economic, scotus)
+  getReferenceDataset: (name, since) => api.fetch(`/reference/${name}${since ? `?since=${since}` : ''}`),
+
   // Economic data (World Bank live indicators)
   getEconomicData: (cca2) => api.fetch(`/economic/${cca2}`),
 
@@ -48,12 +78,39 @@ export const api = {
   },
   getUCDPConflicts: () => api.fetch('/ucdp/conflicts'),
 
+  // Frontlines (dated territorial-control maps per conflict)
+  getFrontlineConflicts: () => api.fetch('/frontlines'),
+  getFrontline: (conflict, date) => api.fetch(`/frontlines/${conflict}${date ? `?date=${date}` : ''}`),
+  getFrontlineChange: (conflict, from, to) => api.fetch(`/frontlines/${conflict}/change?from=${from}${to ? `&to=${to}` : ''}`),
+
   // Stability data (protests, military, instability)
   getStabilityData: () => api.fetch('/stability'),
   getProtestData: () => api.fetch('/stability/protests'),
   getMilitaryData: () => api.fetch('/stability/military'),
   getInstabilityData: () => api.fetch('/stability/instability'),
 
+  // Country risk (model weights, per-country explanation, what-if preview, backtest over stored snapshots)
+  getRiskModel: () => api.fetch('/risk/model'),
+  getRiskExplanation: (country) => api.fetch(`/risk/${encodeURIComponent(country)}`),
+  // Admin only: both re-score every country
+  previewRisk: (model) => api.post('/risk/preview', { model }, adminHeaders()),
+  backtestRisk: (options) => api.post('/risk/backtest', options, adminHeaders()),
+
+  // Prediction market history (Polymarket, Kalshi, Metaculus); ids are <venue>:<id>
+  getPredictionMovers: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return api.fetch(`/predictions/movers${query ? `?${query}` : ''}`);
+  },
+  getPredictionSparklines: (ids, span = '7d') => api.fetch(`/predictions/sparklines?ids=${ids.map(encodeURIComponent).join(',')}&window=${span}`),
+  getPredictionHistory: (marketId, from) => api.fetch(`/predictions/${encodeURIComponent(marketId)}/history${from ? `?from=${encodeURIComponent(new Date(from).toISOString())}` : ''}`),
+
+  // Portfolio exposure (holdings are analyzed, not stored)
+  analyzePortfolio: (holdings) => api.post('/portfolio/exposure', { holdings }),
+  analyzePortfolioCsv: (text) => api.postText('/portfolio/exposure', text),
+
+  // Stored refresh snapshots (timeline time-travel)
+  getHistoryAt: (date, datasets) => api.fetch(`/history/at?date=${encodeURIComponent(new Date(date).toISOString())}&datasets=${datasets.join(',')}`),
+
 };
 
 export default api;
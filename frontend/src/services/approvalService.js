@@ -4,11 +4,11 @@
  * by approval rating" page, merges with static fallback data, and caches.
  *
  * - Refreshes from Wikipedia at most once per CACHE_TTL (default 24 h)
- * - Falls back to static leaderApproval.js data when the fetch fails
+ * - Falls back to the curated `leaders` reference dataset (leaderApproval.js) when the fetch fails
  * - Merges: static history + live Wikipedia current data point
  */
 
-import { getLeaderApproval as getStaticApproval } from '../features/country/leaderApproval';
+import { getLeaderApproval as getStaticApproval, loadLeaderApproval } from '../features/country/leaderApproval';
 
 const WIKI_API =
   'https://en.wikipedia.org/w/api.php?action=parse' +
@@ -138,8 +138,8 @@ async function fetchWikiApprovals() {
  * { approvalHistory, party, governmentType, inaugurated, … , lastUpdated, source }
  */
 export async function fetchLeaderApproval(countryName) {
+  const [wikiData] = await Promise.all([fetchWikiApprovals(), loadLeaderApproval()]);
   const staticData = getStaticApproval(countryName);
-  const wikiData = await fetchWikiApprovals();
   const live = wikiData?.get(countryName) || null;
 
   if (!staticData && !live) return null;
@@ -202,4 +202,5 @@ export function hasApprovalData(countryName) {
  */
 export function preloadApprovals() {
   fetchWikiApprovals().catch(() => {});
+  loadLeaderApproval();
 }
@@ -14,7 +14,7 @@
  * Cache: 24 hours (this data is annual so it won't change often)
  */
 
-import { getEconomicData } from '../features/country/economicData';
+import { getEconomicData, loadEconomicData } from '../features/country/economicData';
 import api from './api';
 
 const WB_BASE = 'https://api.worldbank.org/v2/country';
@@ -173,11 +173,12 @@ function mergeWithStatic(staticData, liveData) {
  * Get economic data for a country. Tries:
  * 1. Backend (Redis-cached, pre-warmed, 7 indicators)
  * 2. Direct World Bank API (3 indicators)
- * 3. Static baseline from economicData.js
+ * 3. Curated baseline from the `economic` reference dataset (economicData.js)
  *
  * Returns the merged result.
  */
 export async function fetchEconomicProfile(countryName, cca2) {
+  await loadEconomicData();
   const staticData = getEconomicData(countryName);
   const effectiveCca2 = cca2 || staticData?.cca2 || null;
 
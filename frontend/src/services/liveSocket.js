@@ -0,0 +1,110 @@
+/**
+ * Shared WebSocket connection for live channels (alerts, tension, risk, ...).
+ * One socket per tab; channels are reference-counted and re-subscribed after
+ * a reconnect.
+ */
+
+// In dev, connect through Vite proxy using current host (includes correct port).
+const WS_URL = import.meta.env.VITE_WS_URL || `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws`;
+const RECONNECT_DELAY = 3000;
+
+let ws = null;
+let reconnectTimer = null;
+const handlers = new Map();        // channel -> Set<fn(message)>
+const statusListeners = new Set(); // fn(isConnected)
+
+function send(message) {
+  if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function setStatus(connected) {
+  for (const listener of statusListeners) listener(connected);
+}
+
+function connect() {
+  if (ws || handlers.size === 0) return;
+  try {
+    ws = new WebSocket(WS_URL);
+  } catch (err) {
+    console.error('[liveSocket] Connection failed:', err);
+    ws = null;
+    return;
+  }
+
+  ws.onopen = () => {
+    setStatus(true);
+    for (const channel of handlers.keys()) send({ type: 'subscribe', channel });
+  };
+
+  ws.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    const listeners = message.channel && handlers.get(message.channel);
+    if (listeners) for (const fn of listeners) fn(message);
+  };
+
+  ws.onclose = () => {
+    ws = null;
+    setStatus(false);
+    if (handlers.size > 0) reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+  };
+
+  ws.onerror = () => {};
+}
+
+function disconnectIfIdle() {
+  if (handlers.size > 0 || !ws) return;
+  clearTimeout(reconnectTimer);
+  ws.onclose = null;
+  ws.close();
+  ws = null;
+  setStatus(false);
+}
+
+export const liveSocket = {
+  /**
+   * Subscribe to a channel. Returns an unsubscribe function.
+   */
+  subscribe(channel, handler) {
+    if (!handlers.has(channel)) {
+      handlers.set(channel, new Set());
+      send({ type: 'subscribe', channel });
+    } else {
+      // Already subscribed: ask for a snapshot so the new handler has a base version
+      send({ type: 'resync', channel });
+    }
+    handlers.get(channel).add(handler);
+    connect();
+
+    return () => {
+      const set = handlers.get(channel);
+      if (!set) return;
+      set.delete(handler);
+      if (set.size === 0) {
+        handlers.delete(channel);
+        send({ type: 'unsubscribe', channel });
+        disconnectIfIdle();
+      }
+    };
+  },
+
+  /** Ask the server for a fresh snapshot of a channel (after a missed diff). */
+  resync(channel) {
+    send({ type: 'resync', channel });
+  },
+
+  isConnected() {
+    return ws?.readyState === WebSocket.OPEN;
+  },
+
+  onStatus(listener) {
+    statusListeners.add(listener);
+    return () => statusListeners.delete(listener);
+  },
+};
+
+export default liveSocket;
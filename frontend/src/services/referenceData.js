@@ -0,0 +1,91 @@
+/**
+ * Runtime store for the backend's versioned reference datasets
+ * (/api/reference/:dataset): election races, tariff rates, leader approval,
+ * economic baselines, SCOTUS docket.
+ *
+ * Data modules (electionData.js, tariffData.js, ...) register an applier
+ * with onReferenceData() and keep exporting the same names, so their
+ * importers don't change. The last copy of each dataset is kept in
+ * localStorage so the map renders before the first fetch completes;
+ * refreshes only download a dataset when its version changed.
+ */
+
+import api from './api';
+
+const STORAGE_PREFIX = 'reference:';
+const MIN_CHECK_INTERVAL = 60 * 1000;
+
+const datasets = new Map();   // name -> { name, version, updatedAt, tables }
+const appliers = new Map();   // name -> Set<fn(tables, dataset)>
+const lastChecked = new Map(); // name -> ms
+const inFlight = new Map();   // name -> Promise
+const listeners = new Set();
+
+function readStored(name) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + name));
+    return stored?.tables ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+function setDataset(name, dataset) {
+  datasets.set(name, dataset);
+  for (const apply of appliers.get(name) || []) apply(dataset.tables, dataset);
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(dataset));
+  } catch { /* ignore quota errors */ }
+  for (const listener of listeners) listener();
+}
+
+/**
+ * Register a function that installs a dataset's tables. Runs immediately
+ * with the cached copy (if any) and again whenever a new version arrives.
+ */
+export function onReferenceData(name, apply) {
+  if (!appliers.has(name)) appliers.set(name, new Set());
+  appliers.get(name).add(apply);
+
+  if (!datasets.has(name)) {
+    const stored = readStored(name);
+    if (stored) datasets.set(name, stored);
+  }
+  const dataset = datasets.get(name);
+  if (dataset) apply(dataset.tables, dataset);
+}
+
+/**
+ * Fetch a dataset if it is missing or its version moved on. Concurrent
+ * calls share one request; calls within MIN_CHECK_INTERVAL are skipped.
+ */
+export function loadReferenceData(name, { force = false } = {}) {
+  if (inFlight.has(name)) return inFlight.get(name);
+  const current = datasets.get(name);
+  if (!force && current && Date.now() - (lastChecked.get(name) || 0) < MIN_CHECK_INTERVAL) {
+    return Promise.resolve(current);
+  }
+
+  const promise = api.getReferenceDataset(name, current?.version)
+    .then((res) => {
+      lastChecked.set(name, Date.now());
+      if (res.success && res.data && !res.data.unchanged) setDataset(name, res.data);
+      return datasets.get(name) || null;
+    })
+    .catch((err) => {
+      console.warn(`[referenceData] Failed to load ${name}:`, err.message);
+      return datasets.get(name) || null;
+    })
+    .finally(() => inFlight.delete(name));
+  inFlight.set(name, promise);
+  return promise;
+}
+
+export function getReferenceDataset(name) {
+  return datasets.get(name) || null;
+}
+
+export function subscribeReferenceData(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
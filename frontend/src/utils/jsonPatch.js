@@ -0,0 +1,42 @@
+/**
+ * Minimal JSON Patch (RFC 6902) apply for add / remove / replace ops,
+ * as produced by the backend live channels. Returns a new document;
+ * the input is not mutated.
+ */
+
+const unescape = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+export function applyPatch(doc, ops) {
+  let root = structuredClone(doc);
+
+  for (const { op, path, value } of ops) {
+    if (path === '') {
+      if (op === 'remove') root = undefined;
+      else root = structuredClone(value);
+      continue;
+    }
+
+    const tokens = path.slice(1).split('/').map(unescape);
+    const last = tokens.pop();
+    let parent = root;
+    for (const token of tokens) {
+      parent = parent?.[Array.isArray(parent) ? Number(token) : token];
+    }
+    if (parent == null || typeof parent !== 'object') {
+      throw new Error(`Invalid patch path: ${path}`);
+    }
+
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : Number(last);
+      if (op === 'remove') parent.splice(index, 1);
+      else if (op === 'add') parent.splice(index, 0, structuredClone(value));
+      else parent[index] = structuredClone(value);
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = structuredClone(value);
+    }
+  }
+
+  return root;
+}
@@ -0,0 +1,425 @@
+/**
+ * Place Gazetteer
+ * Countries, territories and frequently reported cities, shared by the
+ * backend (geotagging feed items, country scores) and the frontend (capital
+ * markers, country names from the world map).
+ *
+ * `code` is ISO 3166-1 alpha-2, `ccn3` ISO 3166-1 numeric (the world-atlas
+ * feature id).
+ */
+
+// lat/lon are the capital's coordinates; `capital` is null when it matches the
+// country name or is too ambiguous to match in free text (e.g. Kingston, Victoria)
+export const COUNTRIES = [
+  { code: 'AD', ccn3: '020', name: 'Andorra', capital: 'Andorra la Vella', lat: 42.51, lon: 1.52, aliases: ['Andorran'] },
+  { code: 'AE', ccn3: '784', name: 'United Arab Emirates', capital: 'Abu Dhabi', lat: 24.45, lon: 54.65, aliases: ['Emirati', 'UAE'] },
+  { code: 'AF', ccn3: '004', name: 'Afghanistan', capital: 'Kabul', lat: 34.53, lon: 69.17, aliases: ['Afghan'] },
+  { code: 'AG', ccn3: '028', name: 'Antigua and Barbuda', capital: 'Saint John\'s', lat: 17.12, lon: -61.85, aliases: ['Antiguan'] },
+  { code: 'AL', ccn3: '008', name: 'Albania', capital: 'Tirana', lat: 41.33, lon: 19.82, aliases: ['Albanian'] },
+  { code: 'AM', ccn3: '051', name: 'Armenia', capital: 'Yerevan', lat: 40.18, lon: 44.51, aliases: ['Armenian'] },
+  { code: 'AO', ccn3: '024', name: 'Angola', capital: 'Luanda', lat: -8.84, lon: 13.23, aliases: ['Angolan'] },
+  { code: 'AR', ccn3: '032', name: 'Argentina', capital: 'Buenos Aires', lat: -34.6, lon: -58.38, aliases: ['Argentine'] },
+  { code: 'AT', ccn3: '040', name: 'Austria', capital: 'Vienna', lat: 48.21, lon: 16.37, aliases: ['Austrian'] },
+  { code: 'AU', ccn3: '036', name: 'Australia', capital: 'Canberra', lat: -35.28, lon: 149.13, aliases: ['Australian'] },
+  { code: 'AZ', ccn3: '031', name: 'Azerbaijan', capital: 'Baku', lat: 40.41, lon: 49.87, aliases: ['Azerbaijani'] },
+  { code: 'BA', ccn3: '070', name: 'Bosnia and Herzegovina', capital: 'Sarajevo', lat: 43.86, lon: 18.41, aliases: ['Bosnian'] },
+  { code: 'BB', ccn3: '052', name: 'Barbados', capital: 'Bridgetown', lat: 13.1, lon: -59.61, aliases: ['Barbadian'] },
+  { code: 'BD', ccn3: '050', name: 'Bangladesh', capital: 'Dhaka', lat: 23.81, lon: 90.41, aliases: ['Bangladeshi'] },
+  { code: 'BE', ccn3: '056', name: 'Belgium', capital: 'Brussels', lat: 50.85, lon: 4.35, aliases: ['Belgian'] },
+  { code: 'BF', ccn3: '854', name: 'Burkina Faso', capital: 'Ouagadougou', lat: 12.37, lon: -1.52, aliases: ['Burkinabe'] },
+  { code: 'BG', ccn3: '100', name: 'Bulgaria', capital: 'Sofia', lat: 42.7, lon: 23.32, aliases: ['Bulgarian'] },
+  { code: 'BH', ccn3: '048', name: 'Bahrain', capital: 'Manama', lat: 26.23, lon: 50.58, aliases: ['Bahraini'] },
+  { code: 'BI', ccn3: '108', name: 'Burundi', capital: 'Gitega', lat: -3.43, lon: 29.93, aliases: ['Burundian'] },
+  { code: 'BJ', ccn3: '204', name: 'Benin', capital: 'Porto-Novo', lat: 6.5, lon: 2.63, aliases: ['Beninese'] },
+  { code: 'BN', ccn3: '096', name: 'Brunei', capital: 'Bandar Seri Begawan', lat: 4.94, lon: 114.95, aliases: ['Bruneian', 'Brunei Darussalam'] },
+  { code: 'BO', ccn3: '068', name: 'Bolivia', capital: null, lat: -19.04, lon: -65.26, aliases: ['Bolivian'] },
+  { code: 'BR', ccn3: '076', name: 'Brazil', capital: 'Brasília', lat: -15.79, lon: -47.88, aliases: ['Brazilian'] },
+  { code: 'BS', ccn3: '044', name: 'Bahamas', capital: 'Nassau', lat: 25.05, lon: -77.35, aliases: ['Bahamian'] },
+  { code: 'BT', ccn3: '064', name: 'Bhutan', capital: 'Thimphu', lat: 27.47, lon: 89.64, aliases: ['Bhutanese'] },
+  { code: 'BW', ccn3: '072', name: 'Botswana', capital: 'Gaborone', lat: -24.65, lon: 25.91, aliases: ['Motswana'] },
+  { code: 'BY', ccn3: '112', name: 'Belarus', capital: 'Minsk', lat: 53.9, lon: 27.57, aliases: ['Belarusian'] },
+  { code: 'BZ', ccn3: '084', name: 'Belize', capital: 'Belmopan', lat: 17.25, lon: -88.77, aliases: ['Belizean'] },
+  { code: 'CA', ccn3: '124', name: 'Canada', capital: 'Ottawa', lat: 45.42, lon: -75.7, aliases: ['Canadian'] },
+  { code: 'CD', ccn3: '180', name: 'DR Congo', capital: 'Kinshasa', lat: -4.32, lon: 15.31, aliases: ['Congolese', 'Congo', 'Democratic Republic of the Congo', 'DRC'] },
+  { code: 'CF', ccn3: '140', name: 'Central African Republic', capital: 'Bangui', lat: 4.36, lon: 18.56, aliases: ['Central African'] },
+  { code: 'CG', ccn3: '178', name: 'Republic of the Congo', capital: 'Brazzaville', lat: -4.27, lon: 15.28, aliases: ['Congo-Brazzaville'] },
+  { code: 'CH', ccn3: '756', name: 'Switzerland', capital: 'Bern', lat: 46.95, lon: 7.45, aliases: ['Swiss'] },
+  { code: 'CI', ccn3: '384', name: 'Ivory Coast', capital: 'Yamoussoukro', lat: 6.82, lon: -5.28, aliases: ['Ivorian', 'Côte d\'Ivoire'] },
+  { code: 'CL', ccn3: '152', name: 'Chile', capital: 'Santiago', lat: -33.45, lon: -70.67, aliases: ['Chilean'] },
+  { code: 'CM', ccn3: '120', name: 'Cameroon', capital: 'Yaoundé', lat: 3.87, lon: 11.52, aliases: ['Cameroonian'] },
+  { code: 'CN', ccn3: '156', name: 'China', capital: 'Beijing', lat: 39.9, lon: 116.4, aliases: ['Chinese'] },
+  { code: 'CO', ccn3: '170', name: 'Colombia', capital: 'Bogotá', lat: 4.71, lon: -74.07, aliases: ['Colombian'] },
+  { code: 'CR', ccn3: '188', name: 'Costa Rica', capital: 'San José', lat: 9.93, lon: -84.08, aliases: ['Costa Rican'] },
+  { code: 'CU', ccn3: '192', name: 'Cuba', capital: 'Havana', lat: 23.11, lon: -82.37, aliases: ['Cuban'] },
+  { code: 'CV', ccn3: '132', name: 'Cape Verde', capital: 'Praia', lat: 14.93, lon: -23.51, aliases: ['Cape Verdian', 'Cabo Verde'] },
+  { code: 'CY', ccn3: '196', name: 'Cyprus', capital: 'Nicosia', lat: 35.17, lon: 33.37, aliases: ['Cypriot'] },
+  { code: 'CZ', ccn3: '203', name: 'Czechia', capital: 'Prague', lat: 50.08, lon: 14.42, aliases: ['Czech', 'Czech Republic'] },
+  { code: 'DE', ccn3: '276', name: 'Germany', capital: 'Berlin', lat: 52.52, lon: 13.41, aliases: ['German'] },
+  { code: 'DJ', ccn3: '262', name: 'Djibouti', capital: null, lat: 11.59, lon: 43.15, aliases: [] },
+  { code: 'DK', ccn3: '208', name: 'Denmark', capital: 'Copenhagen', lat: 55.68, lon: 12.57, aliases: ['Danish'] },
+  { code: 'DM', ccn3: '212', name: 'Dominica', capital: 'Roseau', lat: 15.3, lon: -61.39, aliases: [] },
+  { code: 'DO', ccn3: '214', name: 'Dominican Republic', capital: 'Santo Domingo', lat: 18.47, lon: -69.9, aliases: ['Dominican'] },
+  { code: 'DZ', ccn3: '012', name: 'Algeria', capital: 'Algiers', lat: 36.75, lon: 3.04, aliases: ['Algerian'] },
+  { code: 'EC', ccn3: '218', name: 'Ecuador', capital: 'Quito', lat: -0.18, lon: -78.47, aliases: ['Ecuadorean'] },
+  { code: 'EE', ccn3: '233', name: 'Estonia', capital: 'Tallinn', lat: 59.44, lon: 24.75, aliases: ['Estonian'] },
+  { code: 'EG', ccn3: '818', name: 'Egypt', capital: 'Cairo', lat: 30.04, lon: 31.24, aliases: ['Egyptian'] },
+  { code: 'EH', ccn3: '732', name: 'Western Sahara', capital: 'El Aaiún', lat: 27.15, lon: -13.2, aliases: ['Sahrawi'] },
+  { code: 'ER', ccn3: '232', name: 'Eritrea', capital: 'Asmara', lat: 15.34, lon: 38.93, aliases: ['Eritrean'] },
+  { code: 'ES', ccn3: '724', name: 'Spain', capital: 'Madrid', lat: 40.42, lon: -3.7, aliases: ['Spanish'] },
+  { code: 'ET', ccn3: '231', name: 'Ethiopia', capital: 'Addis Ababa', lat: 9.02, lon: 38.75, aliases: ['Ethiopian'] },
+  { code: 'FI', ccn3: '246', name: 'Finland', capital: 'Helsinki', lat: 60.17, lon: 24.94, aliases: ['Finnish'] },
+  { code: 'FJ', ccn3: '242', name: 'Fiji', capital: 'Suva', lat: -18.14, lon: 178.44, aliases: ['Fijian'] },
+  { code: 'FM', ccn3: '583', name: 'Micronesia', capital: null, lat: 6.92, lon: 158.16, aliases: ['Micronesian'] },
+  { code: 'FR', ccn3: '250', name: 'France', capital: 'Paris', lat: 48.86, lon: 2.35, aliases: ['French'] },
+  { code: 'GA', ccn3: '266', name: 'Gabon', capital: 'Libreville', lat: 0.39, lon: 9.45, aliases: ['Gabonese'] },
+  { code: 'GB', ccn3: '826', name: 'United Kingdom', capital: 'London', lat: 51.51, lon: -0.13, aliases: ['British', 'Britain', 'Great Britain', 'UK', 'U.K.', 'Northern Ireland'] },
+  { code: 'GD', ccn3: '308', name: 'Grenada', capital: 'St. George\'s', lat: 12.05, lon: -61.75, aliases: ['Grenadian'] },
+  { code: 'GE', ccn3: '268', name: 'Georgia', capital: 'Tbilisi', lat: 41.72, lon: 44.79, aliases: ['Georgian'] },
+  { code: 'GH', ccn3: '288', name: 'Ghana', capital: 'Accra', lat: 5.56, lon: -0.19, aliases: ['Ghanaian'] },
+  { code: 'GL', ccn3: '304', name: 'Greenland', capital: 'Nuuk', lat: 64.18, lon: -51.72, aliases: ['Greenlandic'] },
+  { code: 'GM', ccn3: '270', name: 'Gambia', capital: 'Banjul', lat: 13.45, lon: -16.58, aliases: ['Gambian'] },
+  { code: 'GN', ccn3: '324', name: 'Guinea', capital: 'Conakry', lat: 9.54, lon: -13.68, aliases: ['Guinean'] },
+  { code: 'GQ', ccn3: '226', name: 'Equatorial Guinea', capital: 'Malabo', lat: 3.75, lon: 8.78, aliases: ['Equatorial Guinean'] },
+  { code: 'GR', ccn3: '300', name: 'Greece', capital: 'Athens', lat: 37.98, lon: 23.73, aliases: ['Greek'] },
+  { code: 'GT', ccn3: '320', name: 'Guatemala', capital: 'Guatemala City', lat: 14.63, lon: -90.51, aliases: ['Guatemalan'] },
+  { code: 'GW', ccn3: '624', name: 'Guinea-Bissau', capital: 'Bissau', lat: 11.86, lon: -15.6, aliases: ['Guinea-Bissauan'] },
+  { code: 'GY', ccn3: '328', name: 'Guyana', capital: null, lat: 6.8, lon: -58.16, aliases: ['Guyanese'] },
+  { code: 'HK', ccn3: '344', name: 'Hong Kong', capital: null, lat: 22.28, lon: 114.16, aliases: ['Hong Konger'] },
+  { code: 'HN', ccn3: '340', name: 'Honduras', capital: 'Tegucigalpa', lat: 14.07, lon: -87.19, aliases: ['Honduran'] },
+  { code: 'HR', ccn3: '191', name: 'Croatia', capital: 'Zagreb', lat: 45.81, lon: 15.98, aliases: ['Croatian'] },
+  { code: 'HT', ccn3: '332', name: 'Haiti', capital: 'Port-au-Prince', lat: 18.54, lon: -72.34, aliases: ['Haitian'] },
+  { code: 'HU', ccn3: '348', name: 'Hungary', capital: 'Budapest', lat: 47.5, lon: 19.04, aliases: ['Hungarian'] },
+  { code: 'ID', ccn3: '360', name: 'Indonesia', capital: 'Jakarta', lat: -6.21, lon: 106.85, aliases: ['Indonesian'] },
+  { code: 'IE', ccn3: '372', name: 'Ireland', capital: 'Dublin', lat: 53.33, lon: -6.26, aliases: ['Irish'] },
+  { code: 'IL', ccn3: '376', name: 'Israel', capital: 'Jerusalem', lat: 31.77, lon: 35.23, aliases: ['Israeli'] },
+  { code: 'IN', ccn3: '356', name: 'India', capital: 'New Delhi', lat: 28.61, lon: 77.21, aliases: ['Indian'] },
+  { code: 'IQ', ccn3: '368', name: 'Iraq', capital: 'Baghdad', lat: 33.31, lon: 44.37, aliases: ['Iraqi'] },
+  { code: 'IR', ccn3: '364', name: 'Iran', capital: 'Tehran', lat: 35.69, lon: 51.39, aliases: ['Iranian'] },
+  { code: 'IS', ccn3: '352', name: 'Iceland', capital: 'Reykjavik', lat: 64.15, lon: -21.94, aliases: ['Icelandic'] },
+  { code: 'IT', ccn3: '380', name: 'Italy', capital: 'Rome', lat: 41.9, lon: 12.5, aliases: ['Italian'] },
+  { code: 'JM', ccn3: '388', name: 'Jamaica', capital: null, lat: 18, lon: -76.79, aliases: ['Jamaican'] },
+  { code: 'JO', ccn3: '400', name: 'Jordan', capital: 'Amman', lat: 31.95, lon: 35.93, aliases: ['Jordanian'] },
+  { code: 'JP', ccn3: '392', name: 'Japan', capital: 'Tokyo', lat: 35.68, lon: 139.69, aliases: ['Japanese'] },
+  { code: 'KE', ccn3: '404', name: 'Kenya', capital: 'Nairobi', lat: -1.29, lon: 36.82, aliases: ['Kenyan'] },
+  { code: 'KG', ccn3: '417', name: 'Kyrgyzstan', capital: 'Bishkek', lat: 42.87, lon: 74.59, aliases: ['Kyrgyz'] },
+  { code: 'KH', ccn3: '116', name: 'Cambodia', capital: 'Phnom Penh', lat: 11.56, lon: 104.92, aliases: ['Cambodian'] },
+  { code: 'KI', ccn3: '296', name: 'Kiribati', capital: null, lat: 1.45, lon: 173, aliases: ['I-Kiribati'] },
+  { code: 'KM', ccn3: '174', name: 'Comoros', capital: 'Moroni', lat: -11.7, lon: 43.25, aliases: ['Comoran'] },
+  { code: 'KN', ccn3: '659', name: 'Saint Kitts and Nevis', capital: 'Basseterre', lat: 17.3, lon: -62.72, aliases: ['Kittitian'] },
+  { code: 'KP', ccn3: '408', name: 'North Korea', capital: 'Pyongyang', lat: 39.02, lon: 125.75, aliases: ['North Korean', 'DPRK'] },
+  { code: 'KR', ccn3: '410', name: 'South Korea', capital: 'Seoul', lat: 37.57, lon: 126.98, aliases: ['South Korean'] },
+  { code: 'KW', ccn3: '414', name: 'Kuwait', capital: 'Kuwait City', lat: 29.38, lon: 47.99, aliases: ['Kuwaiti'] },
+  { code: 'KZ', ccn3: '398', name: 'Kazakhstan', capital: 'Astana', lat: 51.17, lon: 71.43, aliases: ['Kazakh'] },
+  { code: 'LA', ccn3: '418', name: 'Laos', capital: 'Vientiane', lat: 17.97, lon: 102.63, aliases: ['Laotian'] },
+  { code: 'LB', ccn3: '422', name: 'Lebanon', capital: 'Beirut', lat: 33.89, lon: 35.5, aliases: ['Lebanese'] },
+  { code: 'LC', ccn3: '662', name: 'Saint Lucia', capital: 'Castries', lat: 14.01, lon: -61, aliases: ['Saint Lucian'] },
+  { code: 'LI', ccn3: '438', name: 'Liechtenstein', capital: 'Vaduz', lat: 47.14, lon: 9.52, aliases: ['Liechtensteiner'] },
+  { code: 'LK', ccn3: '144', name: 'Sri Lanka', capital: 'Colombo', lat: 6.93, lon: 79.84, aliases: ['Sri Lankan'] },
+  { code: 'LR', ccn3: '430', name: 'Liberia', capital: 'Monrovia', lat: 6.3, lon: -10.8, aliases: ['Liberian'] },
+  { code: 'LS', ccn3: '426', name: 'Lesotho', capital: 'Maseru', lat: -29.31, lon: 27.48, aliases: ['Mosotho'] },
+  { code: 'LT', ccn3: '440', name: 'Lithuania', capital: 'Vilnius', lat: 54.69, lon: 25.28, aliases: ['Lithuanian'] },
+  { code: 'LU', ccn3: '442', name: 'Luxembourg', capital: null, lat: 49.61, lon: 6.13, aliases: ['Luxembourger'] },
+  { code: 'LV', ccn3: '428', name: 'Latvia', capital: 'Riga', lat: 56.95, lon: 24.11, aliases: ['Latvian'] },
+  { code: 'LY', ccn3: '434', name: 'Libya', capital: 'Tripoli', lat: 32.9, lon: 13.18, aliases: ['Libyan'] },
+  { code: 'MA', ccn3: '504', name: 'Morocco', capital: 'Rabat', lat: 34.02, lon: -6.84, aliases: ['Moroccan'] },
+  { code: 'MC', ccn3: '492', name: 'Monaco', capital: null, lat: 43.73, lon: 7.42, aliases: ['Monegasque'] },
+  { code: 'MD', ccn3: '498', name: 'Moldova', capital: 'Chișinău', lat: 47.01, lon: 28.86, aliases: ['Moldovan'] },
+  { code: 'ME', ccn3: '499', name: 'Montenegro', capital: 'Podgorica', lat: 42.44, lon: 19.26, aliases: ['Montenegrin'] },
+  { code: 'MG', ccn3: '450', name: 'Madagascar', capital: 'Antananarivo', lat: -18.91, lon: 47.54, aliases: ['Malagasy'] },
+  { code: 'MH', ccn3: '584', name: 'Marshall Islands', capital: null, lat: 7.09, lon: 171.38, aliases: ['Marshallese'] },
+  { code: 'MK', ccn3: '807', name: 'North Macedonia', capital: 'Skopje', lat: 42, lon: 21.43, aliases: ['Macedonian', 'Macedonia'] },
+  { code: 'ML', ccn3: '466', name: 'Mali', capital: 'Bamako', lat: 12.65, lon: -8, aliases: ['Malian'] },
+  { code: 'MM', ccn3: '104', name: 'Myanmar', capital: 'Naypyidaw', lat: 19.76, lon: 96.07, aliases: ['Burmese', 'Burma'] },
+  { code: 'MN', ccn3: '496', name: 'Mongolia', capital: 'Ulaanbaatar', lat: 47.91, lon: 106.91, aliases: ['Mongolian'] },
+  { code: 'MR', ccn3: '478', name: 'Mauritania', capital: 'Nouakchott', lat: 18.09, lon: -15.98, aliases: ['Mauritanian'] },
+  { code: 'MT', ccn3: '470', name: 'Malta', capital: 'Valletta', lat: 35.9, lon: 14.51, aliases: ['Maltese'] },
+  { code: 'MU', ccn3: '480', name: 'Mauritius', capital: 'Port Louis', lat: -20.16, lon: 57.5, aliases: ['Mauritian'] },
+  { code: 'MV', ccn3: '462', name: 'Maldives', capital: null, lat: 4.18, lon: 73.51, aliases: ['Maldivian'] },
+  { code: 'MW', ccn3: '454', name: 'Malawi', capital: 'Lilongwe', lat: -13.97, lon: 33.79, aliases: ['Malawian'] },
+  { code: 'MX', ccn3: '484', name: 'Mexico', capital: 'Mexico City', lat: 19.43, lon: -99.13, aliases: ['Mexican'] },
+  { code: 'MY', ccn3: '458', name: 'Malaysia', capital: 'Kuala Lumpur', lat: 3.14, lon: 101.69, aliases: ['Malaysian'] },
+  { code: 'MZ', ccn3: '508', name: 'Mozambique', capital: 'Maputo', lat: -25.97, lon: 32.58, aliases: ['Mozambican'] },
+  { code: 'NA', ccn3: '516', name: 'Namibia', capital: 'Windhoek', lat: -22.56, lon: 17.08, aliases: ['Namibian'] },
+  { code: 'NE', ccn3: '562', name: 'Niger', capital: 'Niamey', lat: 13.51, lon: 2.11, aliases: ['Nigerien'] },
+  { code: 'NG', ccn3: '566', name: 'Nigeria', capital: 'Abuja', lat: 9.06, lon: 7.49, aliases: ['Nigerian'] },
+  { code: 'NI', ccn3: '558', name: 'Nicaragua', capital: 'Managua', lat: 12.13, lon: -86.25, aliases: ['Nicaraguan'] },
+  { code: 'NL', ccn3: '528', name: 'Netherlands', capital: 'Amsterdam', lat: 52.37, lon: 4.89, aliases: ['Dutch'] },
+  { code: 'NO', ccn3: '578', name: 'Norway', capital: 'Oslo', lat: 59.91, lon: 10.75, aliases: ['Norwegian'] },
+  { code: 'NP', ccn3: '524', name: 'Nepal', capital: 'Kathmandu', lat: 27.72, lon: 85.32, aliases: ['Nepalese'] },
+  { code: 'NR', ccn3: '520', name: 'Nauru', capital: null, lat: -0.55, lon: 166.92, aliases: ['Nauruan'] },
+  { code: 'NZ', ccn3: '554', name: 'New Zealand', capital: 'Wellington', lat: -41.29, lon: 174.78, aliases: ['New Zealander'] },
+  { code: 'OM', ccn3: '512', name: 'Oman', capital: 'Muscat', lat: 23.61, lon: 58.59, aliases: ['Omani'] },
+  { code: 'PA', ccn3: '591', name: 'Panama', capital: 'Panama City', lat: 8.98, lon: -79.52, aliases: ['Panamanian'] },
+  { code: 'PE', ccn3: '604', name: 'Peru', capital: 'Lima', lat: -12.05, lon: -77.04, aliases: ['Peruvian'] },
+  { code: 'PG', ccn3: '598', name: 'Papua New Guinea', capital: 'Port Moresby', lat: -6.21, lon: 155.56, aliases: ['Papua New Guinean'] },
+  { code: 'PH', ccn3: '608', name: 'Philippines', capital: 'Manila', lat: 14.6, lon: 120.98, aliases: ['Filipino'] },
+  { code: 'PK', ccn3: '586', name: 'Pakistan', capital: 'Islamabad', lat: 33.69, lon: 73.04, aliases: ['Pakistani'] },
+  { code: 'PL', ccn3: '616', name: 'Poland', capital: 'Warsaw', lat: 52.23, lon: 21.01, aliases: ['Polish'] },
+  { code: 'PR', ccn3: '630', name: 'Puerto Rico', capital: 'San Juan', lat: 18.47, lon: -66.12, aliases: ['Puerto Rican'] },
+  { code: 'PS', ccn3: '275', name: 'Palestine', capital: 'Ramallah', lat: 31.9, lon: 35.2, aliases: ['Palestinian'] },
+  { code: 'PT', ccn3: '620', name: 'Portugal', capital: 'Lisbon', lat: 38.72, lon: -9.14, aliases: ['Portuguese'] },
+  { code: 'PW', ccn3: '585', name: 'Palau', capital: null, lat: 7.5, lon: 134.62, aliases: ['Palauan'] },
+  { code: 'PY', ccn3: '600', name: 'Paraguay', capital: 'Asunción', lat: -25.26, lon: -57.58, aliases: ['Paraguayan'] },
+  { code: 'QA', ccn3: '634', name: 'Qatar', capital: 'Doha', lat: 25.29, lon: 51.53, aliases: ['Qatari'] },
+  { code: 'RO', ccn3: '642', name: 'Romania', capital: 'Bucharest', lat: 44.43, lon: 26.1, aliases: ['Romanian'] },
+  { code: 'RS', ccn3: '688', name: 'Serbia', capital: 'Belgrade', lat: 44.79, lon: 20.45, aliases: ['Serbian'] },
+  { code: 'RU', ccn3: '643', name: 'Russia', capital: 'Moscow', lat: 55.76, lon: 37.62, aliases: ['Russian'] },
+  { code: 'RW', ccn3: '646', name: 'Rwanda', capital: 'Kigali', lat: -1.94, lon: 29.87, aliases: ['Rwandan'] },
+  { code: 'SA', ccn3: '682', name: 'Saudi Arabia', capital: 'Riyadh', lat: 24.69, lon: 46.72, aliases: ['Saudi', 'Saudi Arabian'] },
+  { code: 'SB', ccn3: '090', name: 'Solomon Islands', capital: 'Honiara', lat: -9.43, lon: 160.03, aliases: ['Solomon Islander'] },
+  { code: 'SC', ccn3: '690', name: 'Seychelles', capital: null, lat: -4.68, lon: 55.49, aliases: ['Seychellois'] },
+  { code: 'SD', ccn3: '729', name: 'Sudan', capital: 'Khartoum', lat: 15.59, lon: 32.53, aliases: ['Sudanese'] },
+  { code: 'SE', ccn3: '752', name: 'Sweden', capital: 'Stockholm', lat: 59.33, lon: 18.07, aliases: ['Swedish'] },
+  { code: 'SG', ccn3: '702', name: 'Singapore', capital: null, lat: 1.29, lon: 103.85, aliases: ['Singaporean'] },
+  { code: 'SI', ccn3: '705', name: 'Slovenia', capital: 'Ljubljana', lat: 46.05, lon: 14.51, aliases: ['Slovene', 'Slovenian'] },
+  { code: 'SK', ccn3: '703', name: 'Slovakia', capital: 'Bratislava', lat: 48.15, lon: 17.11, aliases: ['Slovak'] },
+  { code: 'SL', ccn3: '694', name: 'Sierra Leone', capital: 'Freetown', lat: 8.48, lon: -13.23, aliases: ['Sierra Leonean'] },
+  { code: 'SM', ccn3: '674', name: 'San Marino', capital: 'City of San Marino', lat: 43.94, lon: 12.45, aliases: ['Sammarinese'] },
+  { code: 'SN', ccn3: '686', name: 'Senegal', capital: 'Dakar', lat: 14.69, lon: -17.44, aliases: ['Senegalese'] },
+  { code: 'SO', ccn3: '706', name: 'Somalia', capital: 'Mogadishu', lat: 2.05, lon: 45.34, aliases: ['Somali', 'Somaliland'] },
+  { code: 'SR', ccn3: '740', name: 'Suriname', capital: 'Paramaribo', lat: 5.87, lon: -55.17, aliases: ['Surinamer'] },
+  { code: 'SS', ccn3: '728', name: 'South Sudan', capital: 'Juba', lat: 4.85, lon: 31.6, aliases: ['South Sudanese'] },
+  { code: 'ST', ccn3: '678', name: 'São Tomé and Príncipe', capital: 'São Tomé', lat: 0.34, lon: 6.73, aliases: ['Sao Tomean'] },
+  { code: 'SV', ccn3: '222', name: 'El Salvador', capital: 'San Salvador', lat: 13.69, lon: -89.19, aliases: ['Salvadoran'] },
+  { code: 'SY', ccn3: '760', name: 'Syria', capital: 'Damascus', lat: 33.51, lon: 36.29, aliases: ['Syrian'] },
+  { code: 'SZ', ccn3: '748', name: 'Eswatini', capital: 'Lobamba', lat: -26.32, lon: 31.13, aliases: ['Swazi', 'Swaziland'] },
+  { code: 'TD', ccn3: '148', name: 'Chad', capital: 'N\'Djamena', lat: 12.11, lon: 15.04, aliases: ['Chadian'] },
+  { code: 'TG', ccn3: '768', name: 'Togo', capital: 'Lomé', lat: 6.14, lon: 1.21, aliases: ['Togolese'] },
+  { code: 'TH', ccn3: '764', name: 'Thailand', capital: 'Bangkok', lat: 13.76, lon: 100.5, aliases: ['Thai'] },
+  { code: 'TJ', ccn3: '762', name: 'Tajikistan', capital: 'Dushanbe', lat: 38.56, lon: 68.77, aliases: ['Tajik'] },
+  { code: 'TL', ccn3: '626', name: 'East Timor', capital: 'Dili', lat: -8.56, lon: 125.57, aliases: ['East Timorese', 'Timor-Leste'] },
+  { code: 'TM', ccn3: '795', name: 'Turkmenistan', capital: 'Ashgabat', lat: 37.95, lon: 58.38, aliases: ['Turkmen'] },
+  { code: 'TN', ccn3: '788', name: 'Tunisia', capital: 'Tunis', lat: 36.81, lon: 10.18, aliases: ['Tunisian'] },
+  { code: 'TO', ccn3: '776', name: 'Tonga', capital: 'Nuku\'alofa', lat: -21.21, lon: -175.15, aliases: ['Tongan'] },
+  { code: 'TR', ccn3: '792', name: 'Turkey', capital: 'Ankara', lat: 39.93, lon: 32.86, aliases: ['Turkish', 'Türkiye'] },
+  { code: 'TT', ccn3: '780', name: 'Trinidad and Tobago', capital: 'Port of Spain', lat: 10.66, lon: -61.51, aliases: ['Trinidadian'] },
+  { code: 'TV', ccn3: '798', name: 'Tuvalu', capital: null, lat: -8.52, lon: 179.2, aliases: ['Tuvaluan'] },
+  { code: 'TW', ccn3: '158', name: 'Taiwan', capital: 'Taipei', lat: 25.03, lon: 121.57, aliases: ['Taiwanese'] },
+  { code: 'TZ', ccn3: '834', name: 'Tanzania', capital: 'Dodoma', lat: -6.16, lon: 35.75, aliases: ['Tanzanian'] },
+  { code: 'UA', ccn3: '804', name: 'Ukraine', capital: 'Kyiv', lat: 50.45, lon: 30.52, aliases: ['Ukrainian'] },
+  { code: 'UG', ccn3: '800', name: 'Uganda', capital: 'Kampala', lat: 0.31, lon: 32.58, aliases: ['Ugandan'] },
+  { code: 'US', ccn3: '840', name: 'United States', capital: 'Washington', lat: 38.9, lon: -77.04, aliases: ['American', 'United States of America', 'US', 'U.S.', 'USA'] },
+  { code: 'UY', ccn3: '858', name: 'Uruguay', capital: 'Montevideo', lat: -34.88, lon: -56.18, aliases: ['Uruguayan'] },
+  { code: 'UZ', ccn3: '860', name: 'Uzbekistan', capital: 'Tashkent', lat: 41.3, lon: 69.28, aliases: ['Uzbek'] },
+  { code: 'VA', ccn3: '336', name: 'Vatican City', capital: null, lat: 41.9, lon: 12.45, aliases: ['Vatican'] },
+  { code: 'VC', ccn3: '670', name: 'Saint Vincent and the Grenadines', capital: 'Kingstown', lat: 13.16, lon: -61.22, aliases: ['Saint Vincentian'] },
+  { code: 'VE', ccn3: '862', name: 'Venezuela', capital: 'Caracas', lat: 10.49, lon: -66.88, aliases: ['Venezuelan'] },
+  { code: 'VN', ccn3: '704', name: 'Vietnam', capital: 'Hanoi', lat: 21.03, lon: 105.85, aliases: ['Vietnamese'] },
+  { code: 'VU', ccn3: '548', name: 'Vanuatu', capital: 'Port Vila', lat: -17.73, lon: 168.32, aliases: ['Ni-Vanuatu'] },
+  { code: 'WS', ccn3: '882', name: 'Samoa', capital: 'Apia', lat: -13.83, lon: -171.76, aliases: ['Samoan'] },
+  { code: 'YE', ccn3: '887', name: 'Yemen', capital: 'Sana\'a', lat: 15.37, lon: 44.21, aliases: ['Yemeni'] },
+  { code: 'ZA', ccn3: '710', name: 'South Africa', capital: 'Pretoria', lat: -25.75, lon: 28.19, aliases: ['South African'] },
+  { code: 'ZM', ccn3: '894', name: 'Zambia', capital: 'Lusaka', lat: -15.39, lon: 28.32, aliases: ['Zambian'] },
+  { code: 'ZW', ccn3: '716', name: 'Zimbabwe', capital: 'Harare', lat: -17.83, lon: 31.05, aliases: ['Zimbabwean'] },
+];
+
+// Dependencies and other territories the map draws; capital coordinates only
+export const TERRITORIES = [
+  { code: 'AI', ccn3: '660', name: 'Anguilla', capital: 'The Valley', lat: 18.22, lon: -63.06 },
+  { code: 'AS', ccn3: '016', name: 'American Samoa', capital: 'Pago Pago', lat: -14.27, lon: -170.7 },
+  { code: 'AW', ccn3: '533', name: 'Aruba', capital: 'Oranjestad', lat: 12.51, lon: -70.03 },
+  { code: 'AX', ccn3: '248', name: 'Åland Islands', capital: 'Mariehamn', lat: 60.1, lon: 19.94 },
+  { code: 'BL', ccn3: '652', name: 'Saint Barthélemy', capital: 'Gustavia', lat: 17.9, lon: -62.85 },
+  { code: 'BM', ccn3: '060', name: 'Bermuda', capital: 'Hamilton', lat: 32.29, lon: -64.78 },
+  { code: 'BQ', ccn3: '535', name: 'Caribbean Netherlands', capital: 'Kralendijk', lat: 12.14, lon: -68.27 },
+  { code: 'CC', ccn3: '166', name: 'Cocos (Keeling) Islands', capital: 'West Island', lat: -12.19, lon: 96.83 },
+  { code: 'CK', ccn3: '184', name: 'Cook Islands', capital: 'Avarua', lat: -21.21, lon: -159.78 },
+  { code: 'CW', ccn3: '531', name: 'Curaçao', capital: 'Willemstad', lat: 12.11, lon: -68.93 },
+  { code: 'CX', ccn3: '162', name: 'Christmas Island', capital: 'Flying Fish Cove', lat: -10.49, lon: 105.63 },
+  { code: 'FK', ccn3: '238', name: 'Falkland Islands', capital: 'Stanley', lat: -51.7, lon: -57.85 },
+  { code: 'FO', ccn3: '234', name: 'Faroe Islands', capital: 'Tórshavn', lat: 62.01, lon: -6.77 },
+  { code: 'GF', ccn3: '254', name: 'French Guiana', capital: 'Cayenne', lat: 4.94, lon: -52.33 },
+  { code: 'GG', ccn3: '831', name: 'Guernsey', capital: 'St. Peter Port', lat: 49.45, lon: -2.54 },
+  { code: 'GI', ccn3: '292', name: 'Gibraltar', capital: 'Gibraltar', lat: 36.14, lon: -5.35 },
+  { code: 'GP', ccn3: '312', name: 'Guadeloupe', capital: 'Basse-Terre', lat: 16, lon: -61.73 },
+  { code: 'GS', ccn3: '239', name: 'South Georgia', capital: 'King Edward Point', lat: -54.28, lon: -36.51 },
+  { code: 'GU', ccn3: '316', name: 'Guam', capital: 'Hagåtña', lat: 13.47, lon: 144.75 },
+  { code: 'IM', ccn3: '833', name: 'Isle of Man', capital: 'Douglas', lat: 54.15, lon: -4.48 },
+  { code: 'IO', ccn3: '086', name: 'British Indian Ocean Territory', capital: 'Diego Garcia', lat: -7.31, lon: 72.42 },
+  { code: 'JE', ccn3: '832', name: 'Jersey', capital: 'Saint Helier', lat: 49.19, lon: -2.11 },
+  { code: 'KY', ccn3: '136', name: 'Cayman Islands', capital: 'George Town', lat: 19.3, lon: -81.38 },
+  { code: 'MF', ccn3: '663', name: 'Saint Martin', capital: 'Marigot', lat: 18.07, lon: -63.08 },
+  { code: 'MP', ccn3: '580', name: 'Northern Mariana Islands', capital: 'Saipan', lat: 15.18, lon: 145.75 },
+  { code: 'MQ', ccn3: '474', name: 'Martinique', capital: 'Fort-de-France', lat: 14.62, lon: -61.06 },
+  { code: 'MS', ccn3: '500', name: 'Montserrat', capital: 'Plymouth', lat: 16.71, lon: -62.22 },
+  { code: 'NC', ccn3: '540', name: 'New Caledonia', capital: 'Nouméa', lat: -22.28, lon: 166.46 },
+  { code: 'NF', ccn3: '574', name: 'Norfolk Island', capital: 'Kingston (Norfolk)', lat: -29.05, lon: 167.97 },
+  { code: 'NU', ccn3: '570', name: 'Niue', capital: 'Alofi', lat: -19.06, lon: -169.92 },
+  { code: 'PF', ccn3: '258', name: 'French Polynesia', capital: 'Papeetē', lat: -17.53, lon: -149.57 },
+  { code: 'PM', ccn3: '666', name: 'Saint Pierre and Miquelon', capital: 'Saint-Pierre', lat: 46.78, lon: -56.18 },
+  { code: 'PN', ccn3: '612', name: 'Pitcairn Islands', capital: 'Adamstown', lat: -25.07, lon: -130.1 },
+  { code: 'RE', ccn3: '638', name: 'Réunion', capital: 'Saint-Denis', lat: -20.88, lon: 55.45 },
+  { code: 'SH', ccn3: '654', name: 'Saint Helena, Ascension and Tristan da Cunha', capital: 'Jamestown', lat: -15.93, lon: -5.72 },
+  { code: 'SJ', ccn3: '744', name: 'Svalbard and Jan Mayen', capital: 'Longyearbyen', lat: 78.22, lon: 15.64 },
+  { code: 'SX', ccn3: '534', name: 'Sint Maarten', capital: 'Philipsburg', lat: 18.04, lon: -63.05 },
+  { code: 'TC', ccn3: '796', name: 'Turks and Caicos Islands', capital: 'Cockburn Town', lat: 21.46, lon: -71.14 },
+  { code: 'TF', ccn3: '260', name: 'French Southern and Antarctic Lands', capital: 'Port-aux-Français', lat: -49.35, lon: 70.22 },
+  { code: 'TK', ccn3: '772', name: 'Tokelau', capital: 'Fakaofo', lat: -9.17, lon: -171.82 },
+  { code: 'VG', ccn3: '092', name: 'British Virgin Islands', capital: 'Road Town', lat: 18.43, lon: -64.62 },
+  { code: 'VI', ccn3: '850', name: 'United States Virgin Islands', capital: 'Charlotte Amalie', lat: 18.35, lon: -64.93 },
+  { code: 'WF', ccn3: '876', name: 'Wallis and Futuna', capital: 'Mata-Utu', lat: -13.28, lon: -176.18 },
+  { code: 'YT', ccn3: '175', name: 'Mayotte', capital: 'Mamoudzou', lat: -12.78, lon: 45.23 },
+];
+
+// Non-capital cities and regions that headlines use as datelines
+export const CITIES = [
+  { name: 'Gaza', country: 'PS', lat: 31.5, lon: 34.47 },
+  { name: 'West Bank', country: 'PS', lat: 31.95, lon: 35.3 },
+  { name: 'Rafah', country: 'PS', lat: 31.29, lon: 34.25 },
+  { name: 'Khan Younis', country: 'PS', lat: 31.34, lon: 34.31 },
+  { name: 'Tel Aviv', country: 'IL', lat: 32.09, lon: 34.78 },
+  { name: 'Haifa', country: 'IL', lat: 32.79, lon: 34.99 },
+  { name: 'Kharkiv', country: 'UA', lat: 49.99, lon: 36.23 },
+  { name: 'Odesa', country: 'UA', lat: 46.48, lon: 30.72, aliases: ['Odessa'] },
+  { name: 'Lviv', country: 'UA', lat: 49.84, lon: 24.03 },
+  { name: 'Dnipro', country: 'UA', lat: 48.46, lon: 35.05 },
+  { name: 'Zaporizhzhia', country: 'UA', lat: 47.84, lon: 35.14 },
+  { name: 'Kherson', country: 'UA', lat: 46.64, lon: 32.62 },
+  { name: 'Mariupol', country: 'UA', lat: 47.1, lon: 37.55 },
+  { name: 'Donetsk', country: 'UA', lat: 48.02, lon: 37.8 },
+  { name: 'Luhansk', country: 'UA', lat: 48.57, lon: 39.31 },
+  { name: 'Pokrovsk', country: 'UA', lat: 48.28, lon: 37.18 },
+  { name: 'Crimea', country: 'UA', lat: 44.95, lon: 34.1 },
+  { name: 'Sevastopol', country: 'UA', lat: 44.62, lon: 33.52 },
+  { name: 'Belgorod', country: 'RU', lat: 50.6, lon: 36.59 },
+  { name: 'Kursk', country: 'RU', lat: 51.73, lon: 36.19 },
+  { name: 'St. Petersburg', country: 'RU', lat: 59.94, lon: 30.31, aliases: ['Saint Petersburg'] },
+  { name: 'Aleppo', country: 'SY', lat: 36.2, lon: 37.16 },
+  { name: 'Idlib', country: 'SY', lat: 35.93, lon: 36.63 },
+  { name: 'Homs', country: 'SY', lat: 34.73, lon: 36.71 },
+  { name: 'Mosul', country: 'IQ', lat: 36.34, lon: 43.13 },
+  { name: 'Basra', country: 'IQ', lat: 30.51, lon: 47.81 },
+  { name: 'Erbil', country: 'IQ', lat: 36.19, lon: 44.01 },
+  { name: 'Benghazi', country: 'LY', lat: 32.12, lon: 20.07 },
+  { name: 'Aden', country: 'YE', lat: 12.79, lon: 45.03 },
+  { name: 'Hodeidah', country: 'YE', lat: 14.8, lon: 42.95 },
+  { name: 'Isfahan', country: 'IR', lat: 32.65, lon: 51.67 },
+  { name: 'Darfur', country: 'SD', lat: 13.5, lon: 24 },
+  { name: 'El Fasher', country: 'SD', lat: 13.63, lon: 25.35 },
+  { name: 'Port Sudan', country: 'SD', lat: 19.62, lon: 37.22 },
+  { name: 'Goma', country: 'CD', lat: -1.68, lon: 29.23 },
+  { name: 'Istanbul', country: 'TR', lat: 41.01, lon: 28.98 },
+  { name: 'Dubai', country: 'AE', lat: 25.2, lon: 55.27 },
+  { name: 'Jeddah', country: 'SA', lat: 21.49, lon: 39.19 },
+  { name: 'Karachi', country: 'PK', lat: 24.86, lon: 67.01 },
+  { name: 'Lahore', country: 'PK', lat: 31.55, lon: 74.34 },
+  { name: 'Mumbai', country: 'IN', lat: 19.08, lon: 72.88 },
+  { name: 'Kolkata', country: 'IN', lat: 22.57, lon: 88.36 },
+  { name: 'Bengaluru', country: 'IN', lat: 12.97, lon: 77.59, aliases: ['Bangalore'] },
+  { name: 'Shanghai', country: 'CN', lat: 31.23, lon: 121.47 },
+  { name: 'Shenzhen', country: 'CN', lat: 22.54, lon: 114.06 },
+  { name: 'Guangzhou', country: 'CN', lat: 23.13, lon: 113.26 },
+  { name: 'Wuhan', country: 'CN', lat: 30.59, lon: 114.31 },
+  { name: 'Xinjiang', country: 'CN', lat: 43.79, lon: 87.6 },
+  { name: 'Osaka', country: 'JP', lat: 34.69, lon: 135.5 },
+  { name: 'Busan', country: 'KR', lat: 35.18, lon: 129.08 },
+  { name: 'New York', country: 'US', lat: 40.71, lon: -74.01 },
+  { name: 'Los Angeles', country: 'US', lat: 34.05, lon: -118.24 },
+  { name: 'Chicago', country: 'US', lat: 41.88, lon: -87.63 },
+  { name: 'San Francisco', country: 'US', lat: 37.77, lon: -122.42 },
+  { name: 'Houston', country: 'US', lat: 29.76, lon: -95.37 },
+  { name: 'Miami', country: 'US', lat: 25.76, lon: -80.19 },
+  { name: 'Seattle', country: 'US', lat: 47.61, lon: -122.33 },
+  { name: 'Toronto', country: 'CA', lat: 43.65, lon: -79.38 },
+  { name: 'Montreal', country: 'CA', lat: 45.5, lon: -73.57 },
+  { name: 'Vancouver', country: 'CA', lat: 49.28, lon: -123.12 },
+  { name: 'Sydney', country: 'AU', lat: -33.87, lon: 151.21 },
+  { name: 'Melbourne', country: 'AU', lat: -37.81, lon: 144.96 },
+  { name: 'São Paulo', country: 'BR', lat: -23.55, lon: -46.63 },
+  { name: 'Rio de Janeiro', country: 'BR', lat: -22.91, lon: -43.17 },
+  { name: 'La Paz', country: 'BO', lat: -16.5, lon: -68.15 },
+  { name: 'Johannesburg', country: 'ZA', lat: -26.2, lon: 28.05 },
+  { name: 'Cape Town', country: 'ZA', lat: -33.92, lon: 18.42 },
+  { name: 'Lagos', country: 'NG', lat: 6.52, lon: 3.38 },
+  { name: 'Geneva', country: 'CH', lat: 46.2, lon: 6.14 },
+  { name: 'Zurich', country: 'CH', lat: 47.38, lon: 8.54 },
+  { name: 'Davos', country: 'CH', lat: 46.8, lon: 9.84 },
+  { name: 'Frankfurt', country: 'DE', lat: 50.11, lon: 8.68 },
+  { name: 'Munich', country: 'DE', lat: 48.14, lon: 11.58 },
+  { name: 'Hamburg', country: 'DE', lat: 53.55, lon: 9.99 },
+  { name: 'Milan', country: 'IT', lat: 45.46, lon: 9.19 },
+  { name: 'Barcelona', country: 'ES', lat: 41.39, lon: 2.17 },
+  { name: 'Marseille', country: 'FR', lat: 43.3, lon: 5.37 },
+  { name: 'Manchester', country: 'GB', lat: 53.48, lon: -2.24 },
+  { name: 'Edinburgh', country: 'GB', lat: 55.95, lon: -3.19 },
+];
+
+// Extra spellings for capitals
+export const CAPITAL_ALIASES = {
+  Kyiv: ['Kiev'],
+  "Sana'a": ['Sanaa'],
+  Washington: ['Washington D.C.', 'Washington, D.C.'],
+  'New Delhi': ['Delhi'],
+};
+
+// Phrases that contain a place name but do not refer to it; matched first so
+// the embedded name is skipped ("Indian Ocean", "New Mexico")
+export const NON_PLACES = [
+  'Indian Ocean', 'New Mexico', 'New Jersey', 'New England', 'New South Wales',
+  'Latin American', 'South American', 'North American', 'Central American',
+  'African American', 'Native American', 'American Samoa', 'British Columbia',
+  'French Guiana', 'French Polynesia', 'Guinea pig',
+];
+
+// Names that are also common words, given names or US states; only counted
+// when the text has some geopolitical context (see AMBIGUOUS_NAMES in App.jsx)
+export const AMBIGUOUS_NAMES = new Set([
+  'Georgia', 'Jordan', 'Chad', 'Niger', 'Guinea', 'Mali', 'Sofia', 'Lima', 'Santiago', 'Colombo',
+]);
+
+// world-atlas (TopoJSON) abbreviated/variant names -> the common names used by
+// WORLD_LEADERS, REST Countries and approval data
+export const MAP_NAME_ALIASES = {
+  'United States of America': 'United States',
+  'Dem. Rep. Congo': 'DR Congo',
+  'Central African Rep.': 'Central African Republic',
+  'Dominican Rep.': 'Dominican Republic',
+  'Eq. Guinea': 'Equatorial Guinea',
+  'S. Sudan': 'South Sudan',
+  'Bosnia and Herz.': 'Bosnia and Herzegovina',
+  'Côte d\'Ivoire': 'Ivory Coast',
+  'Macedonia': 'North Macedonia',
+  'eSwatini': 'Eswatini',
+  'Congo': 'Republic of the Congo',
+  'Antigua and Barb.': 'Antigua and Barbuda',
+  'St. Vin. and Gren.': 'Saint Vincent and the Grenadines',
+  'St. Kitts and Nevis': 'Saint Kitts and Nevis',
+  'São Tomé and Principe': 'Sao Tome and Principe',
+  'Cabo Verde': 'Cape Verde',
+  'Timor-Leste': 'East Timor',
+  'Brunei': 'Brunei Darussalam',
+  'Solomon Is.': 'Solomon Islands',
+  'Marshall Is.': 'Marshall Islands',
+  'Cook Is.': 'Cook Islands',
+  'Falkland Is.': 'Falkland Islands',
+  'Cayman Is.': 'Cayman Islands',
+  'British Virgin Is.': 'British Virgin Islands',
+  'U.S. Virgin Is.': 'US Virgin Islands',
+  'Turks and Caicos Is.': 'Turks and Caicos Islands',
+  'N. Mariana Is.': 'Northern Mariana Islands',
+  'Faeroe Is.': 'Faroe Islands',
+  'Fr. Polynesia': 'French Polynesia',
+  'Wallis and Futuna Is.': 'Wallis and Futuna',
+  'Br. Indian Ocean Ter.': 'British Indian Ocean Territory',
+  'Fr. S. Antarctic Lands': 'French Southern Territories',
+  'S. Geo. and the Is.': 'South Georgia',
+  'Heard I. and McDonald Is.': 'Heard Island and McDonald Islands',
+  'Pitcairn Is.': 'Pitcairn Islands',
+  'Indian Ocean Ter.': 'Christmas Island',
+  'St-Martin': 'Saint Martin',
+  'St-Barthélemy': 'Saint Barthelemy',
+  'Curaçao': 'Curacao',
+  'Åland': 'Aland Islands',
+  'W. Sahara': 'Western Sahara',
+  'Somaliland': 'Somalia',
+  'N. Cyprus': 'Northern Cyprus',
+};
+
+export function resolveCountryName(name) {
+  return MAP_NAME_ALIASES[name] || name;
+}
+
+// Capital [lat, lon] by ISO numeric code, for placing markers on world-atlas features
+export const CAPITAL_COORDS = Object.fromEntries(
+  [...COUNTRIES, ...TERRITORIES].map(place => [place.ccn3, [place.lat, place.lon]])
+);